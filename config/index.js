@@ -63,6 +63,25 @@ module.exports = {
   },
   
   webhook: {
-    proxyUrl: process.env.WEBHOOK_PROXY_URL
+    proxyUrl: process.env.WEBHOOK_PROXY_URL,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_SECONDS) || 30,
+    retryMaxDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_SECONDS) || 3600,
+    // Only for local development; production receivers must be on the public internet
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  },
+  
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24
+  },
+  
+  wheel: {
+    prizeClaimDays: parseInt(process.env.WHEEL_PRIZE_CLAIM_DAYS) || 14,
+    driftWindowsHours: process.env.WHEEL_DRIFT_WINDOWS_HOURS
+      ? process.env.WHEEL_DRIFT_WINDOWS_HOURS.split(',').map(hours => parseInt(hours)).filter(hours => hours > 0)
+      : [24, 168],
+    driftSignificanceLevel: parseFloat(process.env.WHEEL_DRIFT_SIGNIFICANCE_LEVEL) || 0.001,
+    driftMinSpins: parseInt(process.env.WHEEL_DRIFT_MIN_SPINS) || 200
   }
 };
\ No newline at end of file
@@ -173,13 +173,24 @@ class TransactionSyncJob {
                       'system', 
                       { source: 'external_api_sync' } 
                     );
+
+                    // A transaction that completed since the last sync earns its points now; already credited ones are skipped
+                    await transactionService.createSyncedTransaction(
+                      { ...transformedTransaction, member_id: existingMember.id },
+                      brand.id,
+                      { source: 'external_api_sync' }
+                    );
                     console.log(`  ✅ Updated existing transaction: ${transformedTransaction.external_id}`);
                   } else {
                     console.log(` Transaction ${transformedTransaction.external_id} is up to date`);
                   }
                 } else {
-                  // Create new transaction
-                  await transactionService.createTransaction(transformedTransaction);
+                  // Create new transaction; the synced cash amount earns points through the brand's points rules
+                  await transactionService.createSyncedTransaction(
+                    { ...transformedTransaction, member_id: existingMember.id },
+                    brand.id,
+                    { source: 'external_api_sync' }
+                  );
                   console.log(`  ✅ Created new transaction: ${transformedTransaction.external_id}`);
                 }
                  
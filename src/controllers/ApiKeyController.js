@@ -0,0 +1,101 @@
+/**
+ * API Key Controller
+ * Handles brand API key HTTP requests
+ */
+
+const { ApiKeyService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class ApiKeyController {
+  constructor() {
+    this.apiKeyService = new ApiKeyService();
+  }
+
+  /**
+   * Create an API key
+   * POST /api/admin/brands/:brandId/api-keys
+   */
+  createApiKey = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const keyData = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await this.apiKeyService.createApiKey(keyData, brandId, userId, context);
+
+    logger.info('API key created successfully', {
+      apiKeyId: result.api_key.id,
+      brandId,
+      createdBy: userId
+    });
+
+    return response.success(res, {
+      message: 'API key created successfully. Store the key now; it cannot be shown again.',
+      data: result
+    }, 201);
+  });
+
+  /**
+   * List API keys for a brand
+   * GET /api/admin/brands/:brandId/api-keys
+   */
+  listApiKeys = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const options = req.query;
+
+    const result = await this.apiKeyService.listApiKeys(options, brandId);
+
+    return response.success(res, {
+      message: 'API keys retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Get API key by ID
+   * GET /api/admin/brands/:brandId/api-keys/:id
+   */
+  getApiKeyById = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const apiKey = await this.apiKeyService.getApiKeyById(id, brandId);
+
+    return response.success(res, {
+      message: 'API key retrieved successfully',
+      data: { api_key: apiKey }
+    });
+  });
+
+  /**
+   * Revoke an API key
+   * POST /api/admin/brands/:brandId/api-keys/:id/revoke
+   */
+  revokeApiKey = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const { reason } = req.body || {};
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const apiKey = await this.apiKeyService.revokeApiKey(id, reason, brandId, userId, context);
+
+    logger.info('API key revoked successfully', {
+      apiKeyId: id,
+      brandId,
+      revokedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'API key revoked successfully',
+      data: { api_key: apiKey }
+    });
+  });
+}
+
+module.exports = new ApiKeyController();
@@ -0,0 +1,95 @@
+/**
+ * Ingest Controller
+ * Handles server-to-server event ingestion and the admin view of ingested events
+ */
+
+const { EventIngestionService } = require('../services');
+const { response } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class IngestController {
+  constructor() {
+    this.eventIngestionService = new EventIngestionService();
+  }
+
+  /**
+   * Ingest a single event or a batch of events
+   * POST /api/ingest/events
+   */
+  ingestEvents = asyncHandler(async (req, res) => {
+    const { brand_id: brandId, id: apiKeyId } = req.apiKey;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    if (Array.isArray(req.body.events)) {
+      const result = await this.eventIngestionService.ingestEvents(req.body.events, brandId, apiKeyId, context);
+
+      return response.success(res, {
+        message: 'Events ingested',
+        data: result
+      });
+    }
+
+    const { event, duplicate } = await this.eventIngestionService.ingestEvent(req.body, brandId, apiKeyId, context);
+
+    return response.success(res, {
+      message: duplicate ? 'Event already ingested' : 'Event ingested',
+      data: { event, duplicate }
+    }, duplicate ? 200 : 201);
+  });
+
+  /**
+   * List ingested events for a brand
+   * GET /api/admin/brands/:brandId/ingested-events
+   */
+  listEvents = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const options = req.query;
+
+    const result = await this.eventIngestionService.listEvents(options, brandId);
+
+    return response.success(res, {
+      message: 'Ingested events retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Get ingested event by ID
+   * GET /api/admin/brands/:brandId/ingested-events/:id
+   */
+  getEventById = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const event = await this.eventIngestionService.getEventById(id, brandId);
+
+    return response.success(res, {
+      message: 'Ingested event retrieved successfully',
+      data: { event }
+    });
+  });
+
+  /**
+   * Process an ingested event again
+   * POST /api/admin/brands/:brandId/ingested-events/:id/replay
+   */
+  replayEvent = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const event = await this.eventIngestionService.replayEvent(id, brandId, userId, context);
+
+    return response.success(res, {
+      message: 'Ingested event replayed',
+      data: { event }
+    });
+  });
+}
+
+module.exports = new IngestController();
@@ -0,0 +1,46 @@
+/**
+ * Ledger Controller
+ * Handles points ledger report HTTP requests
+ */
+
+const { LedgerService } = require('../services');
+const { response } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class LedgerController {
+  constructor() {
+    this.ledgerService = new LedgerService();
+  }
+
+  /**
+   * Get the ledger reconciliation report for a brand
+   * GET /api/admin/brands/:brandId/ledger/reconciliation
+   */
+  getReconciliation = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+
+    const report = await this.ledgerService.getReconciliationReport(brandId, req.query);
+
+    return response.success(res, {
+      message: 'Ledger reconciliation report generated',
+      data: { report }
+    });
+  });
+
+  /**
+   * Get a member's ledger entries and balance snapshots
+   * GET /api/admin/brands/:brandId/members/:memberId/ledger
+   */
+  getMemberLedger = asyncHandler(async (req, res) => {
+    const { brandId, memberId } = req.params;
+
+    const ledger = await this.ledgerService.getMemberLedger(memberId, brandId, req.query);
+
+    return response.success(res, {
+      message: 'Member ledger retrieved successfully',
+      data: ledger
+    });
+  });
+}
+
+module.exports = new LedgerController();
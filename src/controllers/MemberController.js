@@ -3,13 +3,17 @@
  * Handles member-related HTTP requests
  */
 
-const { MemberService } = require('../services');
+const { MemberService, RewardService, NotificationService, PointsExpirationService, StreakService } = require('../services');
 const { response, logger } = require('../utils');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 class MemberController {
   constructor() {
     this.memberService = new MemberService();
+    this.rewardService = new RewardService();
+    this.notificationService = new NotificationService();
+    this.pointsExpirationService = new PointsExpirationService();
+    this.streakService = new StreakService();
   }
 
   /**
@@ -19,7 +23,8 @@ class MemberController {
   createMember = asyncHandler(async (req, res) => {
     const { brandId } = req.params;
     const memberData = req.body;
-    const userId = req.user.id;
+    // Brand backends calling with an API key act without a user
+    const userId = req.user ? req.user.id : null;
     const context = {
       ip: req.ip,
       userAgent: req.get('User-Agent')
@@ -62,7 +67,7 @@ class MemberController {
   updateMember = asyncHandler(async (req, res) => {
     const { brandId, id } = req.params;
     const updateData = req.body;
-    const userId = req.user.id;
+    const userId = req.user ? req.user.id : null;
     const context = {
       ip: req.ip,
       userAgent: req.get('User-Agent')
@@ -130,7 +135,7 @@ class MemberController {
   updateMemberPoints = asyncHandler(async (req, res) => {
     const { brandId, id } = req.params;
     const pointsData = req.body;
-    const userId = req.user.id;
+    const userId = req.user ? req.user.id : null;
     const context = {
       ip: req.ip,
       userAgent: req.get('User-Agent')
@@ -305,16 +310,18 @@ class MemberController {
   });
 
   /**
-   * Get member dashboard data
-   * GET /api/brands/:brandId/members/:id/dashboard
+   * Get member dashboard data, with the member's check-in streak (member portal)
+   * GET /api/member/dashboard
    */
   getMemberDashboard = asyncHandler(async (req, res) => {
-    const { brandId, id } = req.params;
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
     const options = req.query;
 
-    const [member, transactions] = await Promise.all([
-      this.memberService.getMemberById(id, brandId),
-      this.memberService.getMemberTransactions(id, { limit: 10 }, brandId)
+    const [member, transactions, streak] = await Promise.all([
+      this.memberService.getMemberById(memberId, brandId),
+      this.memberService.getMemberTransactions(memberId, { limit: 10 }, brandId),
+      this.streakService.getStreak(memberId, brandId, { month: options.month })
     ]);
 
     const dashboard = {
@@ -330,6 +337,7 @@ class MemberController {
         status: member.status
       },
       recent_transactions: transactions.transactions,
+      streak,
       summary: {
         total_transactions: transactions.pagination?.total || 0,
         points_this_month: 0, // This would be calculated
@@ -615,11 +623,13 @@ class MemberController {
 
     const member = await this.memberService.getMemberById(memberId, brandId);
     const transactions = await this.memberService.getMemberTransactions(memberId, { limit: 20, type: 'points' }, brandId);
+    const expiringSoon = await this.pointsExpirationService.getExpiringPoints(memberId, brandId);
 
     const pointsData = {
       current_balance: member.points_balance,
       total_earned: member.total_points_earned,
       total_redeemed: member.total_points_redeemed || 0,
+      expiring_soon: expiringSoon,
       recent_transactions: transactions.transactions,
       last_updated: new Date()
     };
@@ -674,37 +684,13 @@ class MemberController {
   getMemberRewards = asyncHandler(async (req, res) => {
     const memberId = req.user.member_id;
     const brandId = req.user.brand_id;
+    const options = req.query;
 
-    const member = await this.memberService.getMemberById(memberId, brandId);
-    
-    // Mock rewards data - this would typically come from a rewards service
-    const rewards = [
-      {
-        id: '1',
-        name: '10% Discount Coupon',
-        description: 'Get 10% off your next purchase',
-        points_required: 500,
-        available: member.points_balance >= 500,
-        category: 'discount',
-        expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-      },
-      {
-        id: '2',
-        name: 'Free Shipping',
-        description: 'Free shipping on your next order',
-        points_required: 200,
-        available: member.points_balance >= 200,
-        category: 'shipping',
-        expires_at: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000) // 60 days
-      }
-    ];
+    const catalog = await this.rewardService.getMemberRewardsCatalog(memberId, options, brandId);
 
     return response.success(res, {
       message: 'Available rewards retrieved successfully',
-      data: { 
-        rewards,
-        member_points: member.points_balance
-      }
+      data: catalog
     });
   });
 
@@ -721,40 +707,36 @@ class MemberController {
       userAgent: req.get('User-Agent')
     };
 
-    // This would typically involve a rewards service
-    // For now, we'll simulate the redemption
-    const member = await this.memberService.getMemberById(memberId, brandId);
-    
-    // Mock reward validation
-    const reward = { id: rewardId, points_required: 500, name: '10% Discount Coupon' };
-    
-    if (member.points_balance < reward.points_required) {
-      return response.error(res, 'Insufficient points for this reward', 400);
-    }
-
-    // Deduct points
-    await this.memberService.updateMemberPoints(memberId, {
-      type: 'deduct',
-      amount: reward.points_required,
-      description: `Redeemed: ${reward.name}`,
-      reference_type: 'reward_redemption',
-      reference_id: rewardId
-    }, brandId, memberId, context);
+    const redemption = await this.rewardService.redeemReward(rewardId, memberId, brandId, context);
 
     logger.info('Reward redeemed by member', {
       memberId,
       brandId,
       rewardId,
-      pointsDeducted: reward.points_required
+      redemptionId: redemption.id,
+      pointsDeducted: redemption.points_spent
     });
 
     return response.success(res, {
       message: 'Reward redeemed successfully',
-      data: { 
-        reward,
-        redemption_code: `RDM-${Date.now()}`,
-        redeemed_at: new Date()
-      }
+      data: { redemption }
+    }, 201);
+  });
+
+  /**
+   * Get member reward redemptions (member portal)
+   * GET /api/member/rewards/redemptions
+   */
+  getMemberRedemptions = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+    const options = req.query;
+
+    const result = await this.rewardService.getMemberRedemptions(memberId, options, brandId);
+
+    return response.success(res, {
+      message: 'Redemptions retrieved successfully',
+      data: result
     });
   });
 
@@ -764,45 +746,29 @@ class MemberController {
    */
   getMemberNotifications = asyncHandler(async (req, res) => {
     const memberId = req.user.member_id;
-    const brandId = req.user.brand_id;
-    const { limit = 20, offset = 0, unread_only = false } = req.query;
-
-    // Mock notifications - this would typically come from a notifications service
-    const notifications = [
-      {
-        id: '1',
-        type: 'points_earned',
-        title: 'Points Earned!',
-        message: 'You earned 100 points from completing a mission',
-        read: false,
-        created_at: new Date(),
-        data: { points: 100, source: 'mission_completion' }
-      },
-      {
-        id: '2',
-        type: 'tier_upgrade',
-        title: 'Tier Upgrade!',
-        message: 'Congratulations! You have been upgraded to Silver tier',
-        read: true,
-        created_at: new Date(Date.now() - 86400000), // 1 day ago
-        data: { new_tier: 'Silver', previous_tier: 'Bronze' }
-      }
-    ];
+    const options = req.query;
 
-    const filteredNotifications = unread_only === 'true' 
-      ? notifications.filter(n => !n.read)
-      : notifications;
+    const result = await this.notificationService.getMemberNotifications(memberId, options);
 
     return response.success(res, {
       message: 'Notifications retrieved successfully',
-      data: { 
-        notifications: filteredNotifications.slice(offset, offset + limit),
-        pagination: {
-          total: filteredNotifications.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset)
-        }
-      }
+      data: result
+    });
+  });
+
+  /**
+   * Get unread notification count (member portal)
+   * GET /api/member/notifications/unread-count
+   */
+  getUnreadNotificationCount = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const { type } = req.query;
+
+    const unreadCount = await this.notificationService.getUnreadCount(memberId, type);
+
+    return response.success(res, {
+      message: 'Unread notification count retrieved successfully',
+      data: { unread_count: unreadCount }
     });
   });
 
@@ -814,18 +780,42 @@ class MemberController {
     const memberId = req.user.member_id;
     const { id: notificationId } = req.params;
 
-    // Mock notification update - this would typically update in a notifications service
-    logger.info('Notification marked as read', {
-      memberId,
-      notificationId
-    });
+    const notification = await this.notificationService.markAsRead(notificationId, memberId);
 
     return response.success(res, {
       message: 'Notification marked as read',
-      data: { 
-        notification_id: notificationId,
-        marked_read_at: new Date()
-      }
+      data: { notification }
+    });
+  });
+
+  /**
+   * Mark all notifications as read (member portal)
+   * PUT /api/member/notifications/read-all
+   */
+  markAllNotificationsAsRead = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const { type } = req.body || {};
+
+    const updatedCount = await this.notificationService.markAllAsRead(memberId, type);
+
+    return response.success(res, {
+      message: 'Notifications marked as read',
+      data: { updated_count: updatedCount }
+    });
+  });
+
+  /**
+   * Delete notification (member portal)
+   * DELETE /api/member/notifications/:id
+   */
+  deleteMemberNotification = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const { id: notificationId } = req.params;
+
+    await this.notificationService.deleteNotification(notificationId, memberId);
+
+    return response.success(res, {
+      message: 'Notification deleted successfully'
     });
   });
 }
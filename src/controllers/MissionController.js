@@ -628,6 +628,7 @@ class MissionController {
       data: {
         completion: result.completion,
         rewards_earned: result.completion.mission?.reward_points || 0,
+        reward_claim: result.reward_claim,
         completed_at: new Date()
       }
     });
@@ -649,6 +650,43 @@ class MissionController {
       data: result
     });
   });
+
+  /**
+   * Get member's mission rewards waiting to be claimed (member portal)
+   * GET /api/member/missions/rewards
+   */
+  getMemberClaimableRewards = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const rewards = await this.missionService.getClaimableRewards(memberId, brandId);
+
+    return response.success(res, {
+      message: 'Claimable mission rewards retrieved successfully',
+      data: { rewards }
+    });
+  });
+
+  /**
+   * Claim a completed mission's reward (member portal)
+   * POST /api/member/missions/rewards/:completion_id/claim
+   */
+  claimMemberMissionReward = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+    const { completion_id: completionId } = req.params;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await this.missionService.claimMissionReward(completionId, memberId, brandId, context);
+
+    return response.success(res, {
+      message: 'Mission reward claimed successfully',
+      data: result
+    });
+  });
 }
 
 module.exports = new MissionController();
\ No newline at end of file
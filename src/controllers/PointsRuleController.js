@@ -0,0 +1,156 @@
+/**
+ * Points Rule Controller
+ * Handles brand points earning rule HTTP requests
+ */
+
+const { PointsRuleService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class PointsRuleController {
+  constructor() {
+    this.pointsRuleService = new PointsRuleService();
+  }
+
+  /**
+   * Create a points rule
+   * POST /api/admin/brands/:brandId/points-rules
+   */
+  createRule = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const ruleData = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const rule = await this.pointsRuleService.createRule(ruleData, brandId, userId, context);
+
+    logger.info('Points rule created successfully', {
+      ruleId: rule.id,
+      brandId,
+      createdBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Points rule created successfully',
+      data: { rule }
+    }, 201);
+  });
+
+  /**
+   * Get points rule by ID
+   * GET /api/admin/brands/:brandId/points-rules/:id
+   */
+  getRuleById = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const rule = await this.pointsRuleService.getRuleById(id, brandId);
+
+    return response.success(res, {
+      message: 'Points rule retrieved successfully',
+      data: { rule }
+    });
+  });
+
+  /**
+   * List points rules for a brand
+   * GET /api/admin/brands/:brandId/points-rules
+   */
+  listRules = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const options = req.query;
+
+    const result = await this.pointsRuleService.listRules(options, brandId);
+
+    return response.success(res, {
+      message: 'Points rules retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Update points rule
+   * PUT /api/admin/brands/:brandId/points-rules/:id
+   */
+  updateRule = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const updateData = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const rule = await this.pointsRuleService.updateRule(id, updateData, brandId, userId, context);
+
+    logger.info('Points rule updated successfully', {
+      ruleId: id,
+      brandId,
+      updatedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Points rule updated successfully',
+      data: { rule }
+    });
+  });
+
+  /**
+   * Delete points rule
+   * DELETE /api/admin/brands/:brandId/points-rules/:id
+   */
+  deleteRule = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    await this.pointsRuleService.deleteRule(id, brandId, userId, context);
+
+    logger.info('Points rule deleted successfully', {
+      ruleId: id,
+      brandId,
+      deletedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Points rule deleted successfully'
+    });
+  });
+
+  /**
+   * Preview the points an activity would earn
+   * POST /api/admin/brands/:brandId/points-rules/preview
+   */
+  previewPoints = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+
+    const preview = await this.pointsRuleService.previewPoints(req.body, brandId);
+
+    return response.success(res, {
+      message: 'Points preview calculated',
+      data: preview
+    });
+  });
+
+  /**
+   * Get the rules that produced a transaction
+   * GET /api/admin/brands/:brandId/transactions/:id/points-rules
+   */
+  getTransactionApplications = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const applications = await this.pointsRuleService.getTransactionApplications(id, brandId);
+
+    return response.success(res, {
+      message: 'Transaction points rules retrieved successfully',
+      data: { applications }
+    });
+  });
+}
+
+module.exports = new PointsRuleController();
@@ -0,0 +1,147 @@
+/**
+ * Prize Claim Controller
+ * Handles wheel prize claim HTTP requests from winners and the admin review queue
+ */
+
+const { PrizeClaimService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class PrizeClaimController {
+  constructor() {
+    this.prizeClaimService = new PrizeClaimService();
+  }
+
+  /**
+   * List prize claims for a brand
+   * GET /api/admin/brands/:brandId/prize-claims
+   */
+  listClaims = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+
+    const result = await this.prizeClaimService.listClaims(req.query, brandId);
+
+    return response.success(res, {
+      message: 'Prize claims retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Approve a submitted prize claim
+   * POST /api/admin/brands/:brandId/prize-claims/:id/approve
+   */
+  approveClaim = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const claim = await this.prizeClaimService.approveClaim(id, req.body || {}, brandId, userId, context);
+
+    logger.info('Prize claim approved successfully', {
+      claimId: id,
+      brandId,
+      approvedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Prize claim approved successfully',
+      data: { claim }
+    });
+  });
+
+  /**
+   * Reject a prize claim and return the prize to stock
+   * POST /api/admin/brands/:brandId/prize-claims/:id/reject
+   */
+  rejectClaim = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const { reason } = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const claim = await this.prizeClaimService.rejectClaim(id, reason, brandId, userId, context);
+
+    logger.info('Prize claim rejected successfully', {
+      claimId: id,
+      brandId,
+      rejectedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Prize claim rejected successfully',
+      data: { claim }
+    });
+  });
+
+  /**
+   * Mark an approved product prize as shipped
+   * POST /api/admin/brands/:brandId/prize-claims/:id/ship
+   */
+  shipClaim = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const claim = await this.prizeClaimService.shipClaim(id, req.body, brandId, userId, context);
+
+    logger.info('Prize shipped successfully', {
+      claimId: id,
+      brandId,
+      shippedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Prize marked as shipped',
+      data: { claim }
+    });
+  });
+
+  /**
+   * Get the member's prize claims (member portal)
+   * GET /api/member/prize-claims
+   */
+  getMemberClaims = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const result = await this.prizeClaimService.getMemberClaims(memberId, req.query, brandId);
+
+    return response.success(res, {
+      message: 'Prize claims retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Submit the details needed to deliver a prize (member portal)
+   * POST /api/member/prize-claims/:id/submit
+   */
+  submitMemberClaim = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const claim = await this.prizeClaimService.submitClaim(id, req.body, memberId, brandId, context);
+
+    return response.success(res, {
+      message: 'Prize claim submitted successfully',
+      data: { claim }
+    });
+  });
+}
+
+module.exports = new PrizeClaimController();
@@ -0,0 +1,130 @@
+/**
+ * Quest Controller
+ * Handles quest HTTP requests: building quests in the admin portal and members' progress through them
+ */
+
+const { QuestService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class QuestController {
+  constructor() {
+    this.questService = new QuestService();
+  }
+
+  /**
+   * List a brand's quests
+   * GET /api/admin/brands/:brandId/quests
+   */
+  listQuests = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+
+    const result = await this.questService.listQuests(req.query, brandId);
+
+    return response.success(res, {
+      message: 'Quests retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Create a quest
+   * POST /api/admin/brands/:brandId/quests
+   */
+  createQuest = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const quest = await this.questService.createQuest(req.body, brandId, userId, context);
+
+    logger.info('Quest created successfully', {
+      questId: quest.id,
+      brandId,
+      createdBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Quest created successfully',
+      data: { quest }
+    }, 201);
+  });
+
+  /**
+   * Get a quest
+   * GET /api/admin/brands/:brandId/quests/:questId
+   */
+  getQuest = asyncHandler(async (req, res) => {
+    const { brandId, questId } = req.params;
+
+    const quest = await this.questService.getQuest(questId, brandId);
+
+    return response.success(res, {
+      message: 'Quest retrieved successfully',
+      data: { quest }
+    });
+  });
+
+  /**
+   * Update a quest
+   * PUT /api/admin/brands/:brandId/quests/:questId
+   */
+  updateQuest = asyncHandler(async (req, res) => {
+    const { brandId, questId } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const quest = await this.questService.updateQuest(questId, req.body, brandId, userId, context);
+
+    logger.info('Quest updated successfully', {
+      questId,
+      brandId,
+      updatedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Quest updated successfully',
+      data: { quest }
+    });
+  });
+
+  /**
+   * Get the brand's active quests with the member's progress (member portal)
+   * GET /api/member/quests
+   */
+  getMemberQuests = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const quests = await this.questService.getMemberQuests(memberId, brandId);
+
+    return response.success(res, {
+      message: 'Quests retrieved successfully',
+      data: { quests }
+    });
+  });
+
+  /**
+   * Get a quest with the member's progress through its steps (member portal)
+   * GET /api/member/quests/:questId
+   */
+  getMemberQuest = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const quest = await this.questService.getMemberQuest(req.params.questId, memberId, brandId);
+
+    return response.success(res, {
+      message: 'Quest retrieved successfully',
+      data: { quest }
+    });
+  });
+}
+
+module.exports = new QuestController();
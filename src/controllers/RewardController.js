@@ -0,0 +1,246 @@
+/**
+ * Reward Controller
+ * Handles rewards catalog HTTP requests
+ */
+
+const { RewardService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class RewardController {
+  constructor() {
+    this.rewardService = new RewardService();
+  }
+
+  /**
+   * Create a new reward
+   * POST /api/admin/brands/:brandId/rewards
+   */
+  createReward = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const rewardData = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const reward = await this.rewardService.createReward(rewardData, brandId, userId, context);
+
+    logger.info('Reward created successfully', {
+      rewardId: reward.id,
+      rewardName: reward.name,
+      brandId,
+      createdBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Reward created successfully',
+      data: { reward }
+    }, 201);
+  });
+
+  /**
+   * Get reward by ID
+   * GET /api/admin/brands/:brandId/rewards/:id
+   */
+  getRewardById = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const reward = await this.rewardService.getRewardById(id, brandId);
+
+    return response.success(res, {
+      message: 'Reward retrieved successfully',
+      data: { reward }
+    });
+  });
+
+  /**
+   * List rewards for a brand
+   * GET /api/admin/brands/:brandId/rewards
+   */
+  listRewards = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const options = req.query;
+
+    const result = await this.rewardService.listRewards(options, brandId);
+
+    return response.success(res, {
+      message: 'Rewards retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Update reward
+   * PUT /api/admin/brands/:brandId/rewards/:id
+   */
+  updateReward = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const updateData = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const reward = await this.rewardService.updateReward(id, updateData, brandId, userId, context);
+
+    logger.info('Reward updated successfully', {
+      rewardId: id,
+      brandId,
+      updatedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Reward updated successfully',
+      data: { reward }
+    });
+  });
+
+  /**
+   * Delete reward
+   * DELETE /api/admin/brands/:brandId/rewards/:id
+   */
+  deleteReward = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    await this.rewardService.deleteReward(id, brandId, userId, context);
+
+    logger.info('Reward deleted successfully', {
+      rewardId: id,
+      brandId,
+      deletedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Reward deleted successfully'
+    });
+  });
+
+  /**
+   * Load codes into a reward's code pool
+   * POST /api/admin/brands/:brandId/rewards/:id/codes
+   */
+  importRewardCodes = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const { codes } = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await this.rewardService.importRewardCodes(id, codes, brandId, userId, context);
+
+    return response.success(res, {
+      message: 'Reward codes imported successfully',
+      data: result
+    }, 201);
+  });
+
+  /**
+   * List redemptions for a brand
+   * GET /api/admin/brands/:brandId/redemptions
+   */
+  listRedemptions = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const options = req.query;
+
+    const result = await this.rewardService.listRedemptions(options, brandId);
+
+    return response.success(res, {
+      message: 'Redemptions retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Redeem a reward for a member on behalf of the brand's backend
+   * POST /api/integration/rewards/:id/redeem
+   */
+  redeemReward = asyncHandler(async (req, res) => {
+    const { brandId, id: rewardId } = req.params;
+    const { member_id } = req.body;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const redemption = await this.rewardService.redeemReward(rewardId, member_id, brandId, context);
+
+    logger.info('Reward redeemed for member', {
+      memberId: member_id,
+      brandId,
+      rewardId,
+      redemptionId: redemption.id,
+      pointsDeducted: redemption.points_spent
+    });
+
+    return response.success(res, {
+      message: 'Reward redeemed successfully',
+      data: { redemption }
+    }, 201);
+  });
+
+  /**
+   * Mark a redemption as fulfilled
+   * POST /api/admin/brands/:brandId/redemptions/:id/fulfill
+   */
+  fulfillRedemption = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const fulfillmentData = req.body || {};
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const redemption = await this.rewardService.fulfillRedemption(id, fulfillmentData, brandId, userId, context);
+
+    logger.info('Redemption fulfilled successfully', {
+      redemptionId: id,
+      brandId,
+      fulfilledBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Redemption fulfilled successfully',
+      data: { redemption }
+    });
+  });
+
+  /**
+   * Cancel a redemption and refund its points
+   * POST /api/admin/brands/:brandId/redemptions/:id/cancel
+   */
+  cancelRedemption = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const { reason } = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const redemption = await this.rewardService.cancelRedemption(id, reason, brandId, userId, context);
+
+    logger.info('Redemption cancelled successfully', {
+      redemptionId: id,
+      brandId,
+      cancelledBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Redemption cancelled successfully',
+      data: { redemption }
+    });
+  });
+}
+
+module.exports = new RewardController();
@@ -0,0 +1,111 @@
+/**
+ * Spin Ticket Controller
+ * Handles spin ticket wallet HTTP requests from members and admins
+ */
+
+const { SpinTicketService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class SpinTicketController {
+  constructor() {
+    this.spinTicketService = new SpinTicketService();
+  }
+
+  /**
+   * Get the member's ticket wallet (member portal)
+   * GET /api/member/spin-tickets
+   */
+  getMyWallet = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const wallet = await this.spinTicketService.getWallet(memberId, brandId);
+
+    return response.success(res, {
+      message: 'Spin ticket wallet retrieved successfully',
+      data: { wallet }
+    });
+  });
+
+  /**
+   * Get the member's ticket history (member portal)
+   * GET /api/member/spin-tickets/history
+   */
+  getMyHistory = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const result = await this.spinTicketService.getHistory(memberId, req.query, brandId);
+
+    return response.success(res, {
+      message: 'Spin ticket history retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Buy spin tickets with points (member portal)
+   * POST /api/member/spin-tickets/purchase
+   */
+  purchaseTickets = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+    const { quantity } = req.body;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await this.spinTicketService.purchaseTickets(memberId, brandId, quantity, context);
+
+    return response.success(res, {
+      message: 'Spin tickets purchased successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Get a member's ticket wallet and history
+   * GET /api/admin/brands/:brandId/members/:memberId/spin-tickets
+   */
+  getMemberTickets = asyncHandler(async (req, res) => {
+    const { brandId, memberId } = req.params;
+
+    const [wallet, history] = await Promise.all([
+      this.spinTicketService.getWallet(memberId, brandId),
+      this.spinTicketService.getHistory(memberId, req.query, brandId)
+    ]);
+
+    return response.success(res, {
+      message: 'Spin tickets retrieved successfully',
+      data: { wallet, ...history }
+    });
+  });
+
+  /**
+   * Give a member spin tickets
+   * POST /api/admin/brands/:brandId/members/:memberId/spin-tickets
+   */
+  grantTickets = asyncHandler(async (req, res) => {
+    const { brandId, memberId } = req.params;
+    const { quantity, reason } = req.body;
+    const userId = req.user.id;
+
+    const result = await this.spinTicketService.grantTickets(memberId, brandId, quantity, reason, userId);
+
+    logger.info('Spin tickets granted successfully', {
+      memberId,
+      brandId,
+      quantity,
+      grantedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Spin tickets granted successfully',
+      data: result
+    });
+  });
+}
+
+module.exports = new SpinTicketController();
@@ -0,0 +1,73 @@
+/**
+ * Streak Controller
+ * Handles members' check-in streak HTTP requests in the member portal
+ */
+
+const { StreakService } = require('../services');
+const { response } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class StreakController {
+  constructor() {
+    this.streakService = new StreakService();
+  }
+
+  /**
+   * Check the member in for today
+   * POST /api/member/check-in
+   */
+  checkIn = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const checkIn = await this.streakService.checkIn(memberId, brandId, context);
+
+    return response.success(res, {
+      message: checkIn.checked_in ? 'Checked in successfully' : 'Already checked in today',
+      data: { check_in: checkIn }
+    });
+  });
+
+  /**
+   * Get the member's streak and streak calendar
+   * GET /api/member/streak
+   */
+  getStreak = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const streak = await this.streakService.getStreak(memberId, brandId, req.query);
+
+    return response.success(res, {
+      message: 'Streak retrieved successfully',
+      data: { streak }
+    });
+  });
+
+  /**
+   * Buy streak freezes with points
+   * POST /api/member/streak/freezes/purchase
+   */
+  purchaseFreezes = asyncHandler(async (req, res) => {
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+    const { quantity } = req.body;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await this.streakService.purchaseFreezes(memberId, brandId, quantity, context);
+
+    return response.success(res, {
+      message: 'Streak freezes purchased successfully',
+      data: result
+    });
+  });
+}
+
+module.exports = new StreakController();
@@ -0,0 +1,185 @@
+/**
+ * Webhook Controller
+ * Handles brand webhook subscription HTTP requests
+ */
+
+const { WebhookService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class WebhookController {
+  constructor() {
+    this.webhookService = new WebhookService();
+  }
+
+  /**
+   * Create a webhook subscription
+   * POST /api/admin/brands/:brandId/webhooks
+   */
+  createSubscription = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const subscriptionData = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const subscription = await this.webhookService.createSubscription(subscriptionData, brandId, userId, context);
+
+    logger.info('Webhook subscription created successfully', {
+      subscriptionId: subscription.id,
+      brandId,
+      createdBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Webhook subscription created successfully',
+      data: { subscription }
+    }, 201);
+  });
+
+  /**
+   * Get webhook subscription by ID
+   * GET /api/admin/brands/:brandId/webhooks/:id
+   */
+  getSubscriptionById = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const subscription = await this.webhookService.getSubscriptionById(id, brandId);
+
+    return response.success(res, {
+      message: 'Webhook subscription retrieved successfully',
+      data: { subscription }
+    });
+  });
+
+  /**
+   * List webhook subscriptions for a brand
+   * GET /api/admin/brands/:brandId/webhooks
+   */
+  listSubscriptions = asyncHandler(async (req, res) => {
+    const { brandId } = req.params;
+    const options = req.query;
+
+    const result = await this.webhookService.listSubscriptions(options, brandId);
+
+    return response.success(res, {
+      message: 'Webhook subscriptions retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Update webhook subscription
+   * PUT /api/admin/brands/:brandId/webhooks/:id
+   */
+  updateSubscription = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const updateData = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const subscription = await this.webhookService.updateSubscription(id, updateData, brandId, userId, context);
+
+    logger.info('Webhook subscription updated successfully', {
+      subscriptionId: id,
+      brandId,
+      updatedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Webhook subscription updated successfully',
+      data: { subscription }
+    });
+  });
+
+  /**
+   * Delete webhook subscription
+   * DELETE /api/admin/brands/:brandId/webhooks/:id
+   */
+  deleteSubscription = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    await this.webhookService.deleteSubscription(id, brandId, userId, context);
+
+    logger.info('Webhook subscription deleted successfully', {
+      subscriptionId: id,
+      brandId,
+      deletedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Webhook subscription deleted successfully'
+    });
+  });
+
+  /**
+   * List the delivery log of a subscription
+   * GET /api/admin/brands/:brandId/webhooks/:id/deliveries
+   */
+  listDeliveries = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const options = req.query;
+
+    const result = await this.webhookService.listDeliveries(id, options, brandId);
+
+    return response.success(res, {
+      message: 'Webhook deliveries retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Send a test event to a subscription
+   * POST /api/admin/brands/:brandId/webhooks/:id/test
+   */
+  sendTestEvent = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+
+    const delivery = await this.webhookService.sendTestEvent(id, brandId, userId);
+
+    return response.success(res, {
+      message: 'Webhook test event sent',
+      data: { delivery }
+    });
+  });
+
+  /**
+   * Resend a webhook delivery
+   * POST /api/admin/brands/:brandId/webhook-deliveries/:id/redeliver
+   */
+  redeliver = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const delivery = await this.webhookService.redeliver(id, brandId, userId, context);
+
+    logger.info('Webhook delivery resent', {
+      deliveryId: id,
+      newDeliveryId: delivery.id,
+      brandId,
+      requestedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Webhook delivery resent',
+      data: { delivery }
+    });
+  });
+}
+
+module.exports = new WebhookController();
@@ -3,13 +3,15 @@
  * Handles wheel and spin-related HTTP requests
  */
 
-const { WheelService } = require('../services');
+const { WheelService, WheelDriftService, WheelVersionService } = require('../services');
 const { response, logger } = require('../utils');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 class WheelController {
   constructor() {
     this.wheelService = new WheelService();
+    this.wheelDriftService = new WheelDriftService();
+    this.wheelVersionService = new WheelVersionService();
   }
 
   /**
@@ -99,7 +101,7 @@ class WheelController {
       return response.error(res, 'Items array is required', 400);
     }
 
-    const wheel = await this.wheelService.updateWheelItems(id, items, brandId, userId, context);
+    const wheel = await this.wheelVersionService.updateWheelItems(id, items, brandId, userId, context);
 
     logger.info('Wheel items updated successfully', {
       wheelId: id,
@@ -161,7 +163,7 @@ class WheelController {
    */
   spinWheel = asyncHandler(async (req, res) => {
     const { brandId, id } = req.params;
-    const { member_id } = req.body;
+    const { member_id, payment_method } = req.body;
     const context = {
       ip: req.ip,
       userAgent: req.get('User-Agent')
@@ -171,7 +173,7 @@ class WheelController {
       return response.error(res, 'Member ID is required', 400);
     }
 
-    const result = await this.wheelService.spinWheel(id, member_id, brandId, context);
+    const result = await this.wheelService.spinWheel(id, member_id, brandId, context, payment_method);
 
     logger.info('Wheel spin successful', {
       wheelId: id,
@@ -266,6 +268,36 @@ class WheelController {
     });
   });
 
+  /**
+   * Simulate spins against the wheel's current or a proposed configuration
+   * POST /api/admin/brands/:brandId/wheels/:id/simulate
+   */
+  simulateWheel = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const simulation = await this.wheelService.simulateWheel(id, req.body, brandId);
+
+    return response.success(res, {
+      message: 'Wheel simulated successfully',
+      data: { simulation }
+    });
+  });
+
+  /**
+   * Get the latest probability drift checks, with observed vs expected rates per item
+   * GET /api/admin/brands/:brandId/wheels/:id/drift
+   */
+  getWheelDrift = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const drift = await this.wheelDriftService.getWheelDrift(id, brandId);
+
+    return response.success(res, {
+      message: 'Wheel probability drift retrieved successfully',
+      data: { drift }
+    });
+  });
+
   /**
    * Get member daily spin count
    * GET /api/brands/:brandId/wheels/:id/members/:memberId/daily-count
@@ -318,10 +350,11 @@ class WheelController {
     const { brandId, id } = req.params;
     const options = req.query;
 
-    const [wheel, statistics, recentSpins] = await Promise.all([
+    const [wheel, statistics, recentSpins, drift] = await Promise.all([
       this.wheelService.getWheelById(id, brandId),
       this.wheelService.getWheelStatistics(id, options, brandId),
-      this.wheelService.getSpinHistory(id, { limit: 10 }, brandId)
+      this.wheelService.getSpinHistory(id, { limit: 10 }, brandId),
+      this.wheelDriftService.getWheelDrift(id, brandId)
     ]);
 
     const dashboard = {
@@ -336,6 +369,7 @@ class WheelController {
       },
       statistics,
       recent_spins: recentSpins.spins,
+      probability_drift: drift,
       summary: {
         total_spins: statistics.total_spins || 0,
         unique_spinners: statistics.unique_spinners || 0,
@@ -587,12 +621,13 @@ class WheelController {
     const memberId = req.user.member_id;
     const brandId = req.user.brand_id;
     const { id } = req.params;
+    const { payment_method } = req.body;
     const context = {
       ip: req.ip,
       userAgent: req.get('User-Agent')
     };
 
-    const result = await this.wheelService.spinWheel(id, memberId, brandId, context);
+    const result = await this.wheelService.spinWheel(id, memberId, brandId, context, payment_method);
 
     logger.info('Wheel spin by member', {
       wheelId: id,
@@ -608,6 +643,9 @@ class WheelController {
         spin_result: result.spin,
         winning_item: result.spin.winning_item,
         rewards_earned: result.spin.winning_item.value,
+        payment: result.payment,
+        points_balance: result.member.points_balance,
+        fairness: result.fairness,
         spun_at: new Date()
       }
     });
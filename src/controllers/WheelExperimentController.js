@@ -0,0 +1,130 @@
+/**
+ * Wheel Experiment Controller
+ * Handles wheel A/B experiment HTTP requests: setup, start and stop, and variant results
+ */
+
+const { WheelExperimentService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class WheelExperimentController {
+  constructor() {
+    this.wheelExperimentService = new WheelExperimentService();
+  }
+
+  /**
+   * List a wheel's experiments
+   * GET /api/admin/brands/:brandId/wheels/:id/experiments
+   */
+  listExperiments = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const result = await this.wheelExperimentService.listExperiments(id, req.query, brandId);
+
+    return response.success(res, {
+      message: 'Wheel experiments retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Create a draft experiment
+   * POST /api/admin/brands/:brandId/wheels/:id/experiments
+   */
+  createExperiment = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+
+    const experiment = await this.wheelExperimentService.createExperiment(id, req.body, brandId, userId);
+
+    logger.info('Wheel experiment created successfully', {
+      wheelId: id,
+      experimentId: experiment.id,
+      brandId,
+      createdBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Wheel experiment created successfully',
+      data: { experiment }
+    });
+  });
+
+  /**
+   * Get an experiment
+   * GET /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId
+   */
+  getExperiment = asyncHandler(async (req, res) => {
+    const { brandId, id, experimentId } = req.params;
+
+    const experiment = await this.wheelExperimentService.getExperiment(id, experimentId, brandId);
+
+    return response.success(res, {
+      message: 'Wheel experiment retrieved successfully',
+      data: { experiment }
+    });
+  });
+
+  /**
+   * Start bucketing spins into the experiment's variants
+   * POST /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId/start
+   */
+  startExperiment = asyncHandler(async (req, res) => {
+    const { brandId, id, experimentId } = req.params;
+    const userId = req.user.id;
+
+    const experiment = await this.wheelExperimentService.startExperiment(id, experimentId, brandId, userId);
+
+    logger.info('Wheel experiment started successfully', {
+      wheelId: id,
+      experimentId,
+      brandId,
+      startedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Wheel experiment started successfully',
+      data: { experiment }
+    });
+  });
+
+  /**
+   * Stop a running experiment
+   * POST /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId/stop
+   */
+  stopExperiment = asyncHandler(async (req, res) => {
+    const { brandId, id, experimentId } = req.params;
+    const userId = req.user.id;
+
+    const experiment = await this.wheelExperimentService.stopExperiment(id, experimentId, brandId, userId);
+
+    logger.info('Wheel experiment stopped successfully', {
+      wheelId: id,
+      experimentId,
+      brandId,
+      stoppedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Wheel experiment stopped successfully',
+      data: { experiment }
+    });
+  });
+
+  /**
+   * Compare the experiment's variants
+   * GET /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId/results
+   */
+  getExperimentResults = asyncHandler(async (req, res) => {
+    const { brandId, id, experimentId } = req.params;
+
+    const results = await this.wheelExperimentService.getExperimentResults(id, experimentId, brandId);
+
+    return response.success(res, {
+      message: 'Wheel experiment results retrieved successfully',
+      data: results
+    });
+  });
+}
+
+module.exports = new WheelExperimentController();
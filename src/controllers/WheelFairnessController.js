@@ -0,0 +1,66 @@
+/**
+ * Wheel Fairness Controller
+ * Handles provably fair seed and spin verification HTTP requests
+ */
+
+const { WheelFairnessService } = require('../services');
+const { response } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class WheelFairnessController {
+  constructor() {
+    this.fairnessService = new WheelFairnessService();
+  }
+
+  /**
+   * Get the member's current seed pair for a wheel (member portal)
+   * GET /api/member/wheels/:id/fairness
+   */
+  getMemberSeed = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const seed = await this.fairnessService.getSeedPair(id, memberId, brandId);
+
+    return response.success(res, {
+      message: 'Seed pair retrieved successfully',
+      data: { seed }
+    });
+  });
+
+  /**
+   * Reveal the member's server seed and start a new seed pair (member portal)
+   * POST /api/member/wheels/:id/fairness/rotate
+   */
+  rotateMemberSeed = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { client_seed: clientSeed } = req.body || {};
+    const memberId = req.user.member_id;
+    const brandId = req.user.brand_id;
+
+    const result = await this.fairnessService.rotateSeed(id, memberId, brandId, clientSeed);
+
+    return response.success(res, {
+      message: 'Seed pair rotated successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Recompute the outcome of a provably fair spin
+   * GET /api/fairness/spins/:spinId
+   */
+  verifySpin = asyncHandler(async (req, res) => {
+    const { spinId } = req.params;
+
+    const verification = await this.fairnessService.verifySpin(spinId);
+
+    return response.success(res, {
+      message: verification.verified ? 'Spin verified' : 'Spin outcome does not match its seeds',
+      data: { verification }
+    });
+  });
+}
+
+module.exports = new WheelFairnessController();
@@ -0,0 +1,166 @@
+/**
+ * Wheel Version Controller
+ * Handles wheel configuration version HTTP requests: drafts, publishing, diffs and rollback
+ */
+
+const { WheelVersionService } = require('../services');
+const { response, logger } = require('../utils');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class WheelVersionController {
+  constructor() {
+    this.wheelVersionService = new WheelVersionService();
+  }
+
+  /**
+   * List a wheel's versions
+   * GET /api/admin/brands/:brandId/wheels/:id/versions
+   */
+  listVersions = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+
+    const result = await this.wheelVersionService.listVersions(id, req.query, brandId);
+
+    return response.success(res, {
+      message: 'Wheel versions retrieved successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Save a draft version
+   * POST /api/admin/brands/:brandId/wheels/:id/versions
+   */
+  createDraft = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const userId = req.user.id;
+
+    const version = await this.wheelVersionService.createDraft(id, req.body, brandId, userId);
+
+    logger.info('Wheel version drafted successfully', {
+      wheelId: id,
+      versionId: version.id,
+      brandId,
+      createdBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Wheel version saved as draft',
+      data: { version }
+    });
+  });
+
+  /**
+   * Get a version with its configuration
+   * GET /api/admin/brands/:brandId/wheels/:id/versions/:versionId
+   */
+  getVersion = asyncHandler(async (req, res) => {
+    const { brandId, id, versionId } = req.params;
+
+    const version = await this.wheelVersionService.getVersion(id, versionId, brandId);
+
+    return response.success(res, {
+      message: 'Wheel version retrieved successfully',
+      data: { version }
+    });
+  });
+
+  /**
+   * Compare two versions
+   * GET /api/admin/brands/:brandId/wheels/:id/versions/diff?from=&to=
+   */
+  diffVersions = asyncHandler(async (req, res) => {
+    const { brandId, id } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await this.wheelVersionService.diffVersions(id, from, to, brandId);
+
+    return response.success(res, {
+      message: 'Wheel versions compared successfully',
+      data: { diff }
+    });
+  });
+
+  /**
+   * Publish a version now, or schedule it when publish_at is given
+   * POST /api/admin/brands/:brandId/wheels/:id/versions/:versionId/publish
+   */
+  publishVersion = asyncHandler(async (req, res) => {
+    const { brandId, id, versionId } = req.params;
+    const { publish_at: publishAt } = req.body;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    if (publishAt) {
+      const version = await this.wheelVersionService.scheduleVersion(id, versionId, publishAt, brandId, userId);
+
+      return response.success(res, {
+        message: 'Wheel version scheduled successfully',
+        data: { version }
+      });
+    }
+
+    const result = await this.wheelVersionService.publishVersion(id, versionId, brandId, userId, context);
+
+    logger.info('Wheel version published successfully', {
+      wheelId: id,
+      versionId,
+      brandId,
+      publishedBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Wheel version published successfully',
+      data: result
+    });
+  });
+
+  /**
+   * Cancel a scheduled publish
+   * POST /api/admin/brands/:brandId/wheels/:id/versions/:versionId/unschedule
+   */
+  unscheduleVersion = asyncHandler(async (req, res) => {
+    const { brandId, id, versionId } = req.params;
+    const userId = req.user.id;
+
+    const version = await this.wheelVersionService.unscheduleVersion(id, versionId, brandId, userId);
+
+    return response.success(res, {
+      message: 'Wheel version unscheduled successfully',
+      data: { version }
+    });
+  });
+
+  /**
+   * Roll back to a version by publishing a copy of it
+   * POST /api/admin/brands/:brandId/wheels/:id/versions/:versionId/rollback
+   */
+  rollbackToVersion = asyncHandler(async (req, res) => {
+    const { brandId, id, versionId } = req.params;
+    const userId = req.user.id;
+    const context = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await this.wheelVersionService.rollbackToVersion(id, versionId, brandId, userId, context);
+
+    logger.info('Wheel rolled back successfully', {
+      wheelId: id,
+      rolledBackTo: versionId,
+      versionId: result.version.id,
+      brandId,
+      rolledBackBy: userId
+    });
+
+    return response.success(res, {
+      message: 'Wheel rolled back successfully',
+      data: result
+    });
+  });
+}
+
+module.exports = new WheelVersionController();
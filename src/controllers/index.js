@@ -4,23 +4,49 @@
  */
 
 const AdminController = require('./AdminController');
+const ApiKeyController = require('./ApiKeyController');
 const AuthController = require('./AuthController');
+const IngestController = require('./IngestController');
+const LedgerController = require('./LedgerController');
 const MemberController = require('./MemberController');
 const MissionController = require('./MissionController');
+const PointsRuleController = require('./PointsRuleController');
+const PrizeClaimController = require('./PrizeClaimController');
+const QuestController = require('./QuestController');
+const RewardController = require('./RewardController');
+const SpinTicketController = require('./SpinTicketController');
+const StreakController = require('./StreakController');
 const TierController = require('./TierController');
 const TransactionController = require('./TransactionController');
 const UserController = require('./UserController');
+const WebhookController = require('./WebhookController');
 const WheelController = require('./WheelController');
+const WheelFairnessController = require('./WheelFairnessController');
+const WheelVersionController = require('./WheelVersionController');
+const WheelExperimentController = require('./WheelExperimentController');
 const BrandController = require('./brandController');
 
 module.exports = {
   AdminController,
+  ApiKeyController,
   AuthController,
+  IngestController,
+  LedgerController,
   MemberController,
   MissionController,
+  PointsRuleController,
+  PrizeClaimController,
+  QuestController,
+  RewardController,
+  SpinTicketController,
+  StreakController,
   TierController,
   TransactionController,
   UserController,
+  WebhookController,
   WheelController,
+  WheelFairnessController,
+  WheelVersionController,
+  WheelExperimentController,
   BrandController
 };
\ No newline at end of file
@@ -57,6 +57,8 @@ const VALIDATION_ERRORS = {
   REQUIRED_FIELD_MISSING: 'REQUIRED_FIELD_MISSING',
   // Data format is invalid (email, phone, etc.)
   INVALID_FORMAT: 'INVALID_FORMAT',
+  // Idempotency-Key header is empty or too long
+  INVALID_IDEMPOTENCY_KEY: 'INVALID_IDEMPOTENCY_KEY',
 };
 
 /**
@@ -85,6 +87,10 @@ const RESOURCE_ERRORS = {
   RESOURCE_ALREADY_EXISTS: 'RESOURCE_ALREADY_EXISTS',
   // Resource conflict (concurrent modification)
   RESOURCE_CONFLICT: 'RESOURCE_CONFLICT',
+  // Idempotency key was already used for a different request
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  // Request with the same idempotency key is still being processed
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
 };
 
 /**
@@ -129,6 +135,7 @@ const ERROR_STATUS_MAP = {
   [ERROR_CODES.VALIDATION_FAILED]: HTTP_STATUS.BAD_REQUEST,
   [ERROR_CODES.REQUIRED_FIELD_MISSING]: HTTP_STATUS.BAD_REQUEST,
   [ERROR_CODES.INVALID_FORMAT]: HTTP_STATUS.BAD_REQUEST,
+  [ERROR_CODES.INVALID_IDEMPOTENCY_KEY]: HTTP_STATUS.BAD_REQUEST,
 
   // Business Logic Errors (400 Bad Request)
   [ERROR_CODES.INSUFFICIENT_POINTS]: HTTP_STATUS.BAD_REQUEST,
@@ -141,6 +148,8 @@ const ERROR_STATUS_MAP = {
   [ERROR_CODES.RESOURCE_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
   [ERROR_CODES.RESOURCE_ALREADY_EXISTS]: HTTP_STATUS.CONFLICT,
   [ERROR_CODES.RESOURCE_CONFLICT]: HTTP_STATUS.CONFLICT,
+  [ERROR_CODES.IDEMPOTENCY_KEY_REUSED]: HTTP_STATUS.CONFLICT,
+  [ERROR_CODES.IDEMPOTENCY_REQUEST_IN_PROGRESS]: HTTP_STATUS.CONFLICT,
 
   // System Errors
   [ERROR_CODES.DATABASE_ERROR]: HTTP_STATUS.INTERNAL_SERVER_ERROR,
@@ -165,6 +174,7 @@ const ERROR_DESCRIPTIONS = {
   [ERROR_CODES.VALIDATION_FAILED]: 'The submitted data failed validation checks',
   [ERROR_CODES.REQUIRED_FIELD_MISSING]: 'One or more required fields are missing',
   [ERROR_CODES.INVALID_FORMAT]: 'The data format is invalid or incorrect',
+  [ERROR_CODES.INVALID_IDEMPOTENCY_KEY]: 'The Idempotency-Key header must be between 1 and 255 characters',
   
   [ERROR_CODES.INSUFFICIENT_POINTS]: 'You do not have enough points for this transaction',
   [ERROR_CODES.DAILY_SPIN_LIMIT_EXCEEDED]: 'You have reached your daily spin limit',
@@ -175,6 +185,8 @@ const ERROR_DESCRIPTIONS = {
   [ERROR_CODES.RESOURCE_NOT_FOUND]: 'The requested resource could not be found',
   [ERROR_CODES.RESOURCE_ALREADY_EXISTS]: 'A resource with this identifier already exists',
   [ERROR_CODES.RESOURCE_CONFLICT]: 'There was a conflict while processing this resource',
+  [ERROR_CODES.IDEMPOTENCY_KEY_REUSED]: 'This idempotency key was already used for a different request',
+  [ERROR_CODES.IDEMPOTENCY_REQUEST_IN_PROGRESS]: 'A request with this idempotency key is still being processed',
   
   [ERROR_CODES.DATABASE_ERROR]: 'A database error occurred while processing your request',
   [ERROR_CODES.EXTERNAL_SERVICE_ERROR]: 'An external service is currently unavailable',
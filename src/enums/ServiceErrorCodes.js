@@ -87,6 +87,7 @@ const SERVICE_ERROR_CODES = {
   TRANSACTION_INVALID_ACTION: 'TRANSACTION_INVALID_ACTION',
   TRANSACTION_MEMBER_ID_REQUIRED: 'TRANSACTION_MEMBER_ID_REQUIRED',
   TRANSACTION_VALID_TYPE_REQUIRED: 'TRANSACTION_VALID_TYPE_REQUIRED',
+  TRANSACTION_TYPE_SYSTEM_ONLY: 'TRANSACTION_TYPE_SYSTEM_ONLY',
   TRANSACTION_AMOUNT_MUST_BE_POSITIVE: 'TRANSACTION_AMOUNT_MUST_BE_POSITIVE',
   TRANSACTION_DESCRIPTION_REQUIRED: 'TRANSACTION_DESCRIPTION_REQUIRED',
 
@@ -105,6 +106,17 @@ const SERVICE_ERROR_CODES = {
   MISSION_REWARD_POINTS_CANNOT_BE_NEGATIVE: 'MISSION_REWARD_POINTS_CANNOT_BE_NEGATIVE',
   MISSION_END_DATE_MUST_BE_AFTER_START: 'MISSION_END_DATE_MUST_BE_AFTER_START',
   MISSION_PROFILE_COMPLETION_DATA_REQUIRED: 'MISSION_PROFILE_COMPLETION_DATA_REQUIRED',
+  MISSION_TARGET_NOT_REACHED: 'MISSION_TARGET_NOT_REACHED',
+  MISSION_INVALID_PREREQUISITES: 'MISSION_INVALID_PREREQUISITES',
+  MISSION_QUEST_NOT_FOUND: 'MISSION_QUEST_NOT_FOUND',
+  MISSION_QUEST_INVALID_STEPS: 'MISSION_QUEST_INVALID_STEPS',
+  MISSION_STREAK_DISABLED: 'MISSION_STREAK_DISABLED',
+  MISSION_STREAK_FREEZE_PURCHASE_DISABLED: 'MISSION_STREAK_FREEZE_PURCHASE_DISABLED',
+  MISSION_STREAK_FREEZE_LIMIT_REACHED: 'MISSION_STREAK_FREEZE_LIMIT_REACHED',
+  MISSION_STREAK_INSUFFICIENT_POINTS: 'MISSION_STREAK_INSUFFICIENT_POINTS',
+  MISSION_REWARD_NOT_FOUND: 'MISSION_REWARD_NOT_FOUND',
+  MISSION_REWARD_ALREADY_CLAIMED: 'MISSION_REWARD_ALREADY_CLAIMED',
+  MISSION_REWARD_CLAIM_EXPIRED: 'MISSION_REWARD_CLAIM_EXPIRED',
 
   // Wheel Service Errors (WHEEL_)
   WHEEL_NOT_FOUND: 'WHEEL_NOT_FOUND',
@@ -118,6 +130,28 @@ const SERVICE_ERROR_CODES = {
   WHEEL_MUST_HAVE_AT_LEAST_ONE_ITEM: 'WHEEL_MUST_HAVE_AT_LEAST_ONE_ITEM',
   WHEEL_PROBABILITIES_MUST_SUM_TO_ONE: 'WHEEL_PROBABILITIES_MUST_SUM_TO_ONE',
   WHEEL_INVALID_PROBABILITY: 'WHEEL_INVALID_PROBABILITY',
+  WHEEL_PRIZES_EXHAUSTED: 'WHEEL_PRIZES_EXHAUSTED',
+  WHEEL_PRIZE_REWARD_NOT_FOUND: 'WHEEL_PRIZE_REWARD_NOT_FOUND',
+  WHEEL_PRIZE_CLAIM_NOT_FOUND: 'WHEEL_PRIZE_CLAIM_NOT_FOUND',
+  WHEEL_PRIZE_CLAIM_INVALID_STATUS: 'WHEEL_PRIZE_CLAIM_INVALID_STATUS',
+  WHEEL_PRIZE_CLAIM_EXPIRED: 'WHEEL_PRIZE_CLAIM_EXPIRED',
+  WHEEL_PRIZE_CLAIM_DETAILS_REQUIRED: 'WHEEL_PRIZE_CLAIM_DETAILS_REQUIRED',
+  WHEEL_INVALID_PITY_RULES: 'WHEEL_INVALID_PITY_RULES',
+  WHEEL_NOT_PROVABLY_FAIR: 'WHEEL_NOT_PROVABLY_FAIR',
+  WHEEL_SPIN_NOT_FOUND: 'WHEEL_SPIN_NOT_FOUND',
+  WHEEL_SEED_NOT_REVEALED: 'WHEEL_SEED_NOT_REVEALED',
+  WHEEL_PAYMENT_METHOD_NOT_ACCEPTED: 'WHEEL_PAYMENT_METHOD_NOT_ACCEPTED',
+  WHEEL_INSUFFICIENT_POINTS: 'WHEEL_INSUFFICIENT_POINTS',
+  WHEEL_INSUFFICIENT_TICKETS: 'WHEEL_INSUFFICIENT_TICKETS',
+  WHEEL_TICKET_PURCHASE_DISABLED: 'WHEEL_TICKET_PURCHASE_DISABLED',
+  WHEEL_VERSION_NOT_FOUND: 'WHEEL_VERSION_NOT_FOUND',
+  WHEEL_VERSION_INVALID_STATUS: 'WHEEL_VERSION_INVALID_STATUS',
+  WHEEL_VERSION_INVALID_PUBLISH_TIME: 'WHEEL_VERSION_INVALID_PUBLISH_TIME',
+  WHEEL_VERSION_UNKNOWN_ITEM: 'WHEEL_VERSION_UNKNOWN_ITEM',
+  WHEEL_EXPERIMENT_NOT_FOUND: 'WHEEL_EXPERIMENT_NOT_FOUND',
+  WHEEL_EXPERIMENT_INVALID_STATUS: 'WHEEL_EXPERIMENT_INVALID_STATUS',
+  WHEEL_EXPERIMENT_ALREADY_RUNNING: 'WHEEL_EXPERIMENT_ALREADY_RUNNING',
+  WHEEL_EXPERIMENT_INVALID_VARIANT: 'WHEEL_EXPERIMENT_INVALID_VARIANT',
 
   // Tier Service Errors (TIER_)
   TIER_BRAND_NOT_FOUND: 'TIER_BRAND_NOT_FOUND',
@@ -129,6 +163,56 @@ const SERVICE_ERROR_CODES = {
   TIER_INVALID_HIERARCHY: 'TIER_INVALID_HIERARCHY',
   TIER_MEMBER_NOT_FOUND: 'TIER_MEMBER_NOT_FOUND',
 
+  // Reward Service Errors (REWARD_)
+  REWARD_NOT_FOUND: 'REWARD_NOT_FOUND',
+  REWARD_BRAND_NOT_FOUND: 'REWARD_BRAND_NOT_FOUND',
+  REWARD_MEMBER_NOT_FOUND: 'REWARD_MEMBER_NOT_FOUND',
+  REWARD_NAME_ALREADY_EXISTS: 'REWARD_NAME_ALREADY_EXISTS',
+  REWARD_INVALID_VALIDITY_WINDOW: 'REWARD_INVALID_VALIDITY_WINDOW',
+  REWARD_INVALID_TIER: 'REWARD_INVALID_TIER',
+  REWARD_CANNOT_DELETE_WITH_REDEMPTIONS: 'REWARD_CANNOT_DELETE_WITH_REDEMPTIONS',
+  REWARD_NOT_AVAILABLE: 'REWARD_NOT_AVAILABLE',
+  REWARD_NOT_ELIGIBLE: 'REWARD_NOT_ELIGIBLE',
+  REWARD_INSUFFICIENT_POINTS: 'REWARD_INSUFFICIENT_POINTS',
+  REWARD_OUT_OF_STOCK: 'REWARD_OUT_OF_STOCK',
+  REWARD_CODE_POOL_EXHAUSTED: 'REWARD_CODE_POOL_EXHAUSTED',
+  REWARD_REDEMPTION_NOT_FOUND: 'REWARD_REDEMPTION_NOT_FOUND',
+  REWARD_REDEMPTION_INVALID_STATUS: 'REWARD_REDEMPTION_INVALID_STATUS',
+
+  // Notification Service Errors (NOTIFICATION_)
+  NOTIFICATION_NOT_FOUND: 'NOTIFICATION_NOT_FOUND',
+
+  // Webhook Service Errors (WEBHOOK_)
+  WEBHOOK_NOT_FOUND: 'WEBHOOK_NOT_FOUND',
+  WEBHOOK_DELIVERY_NOT_FOUND: 'WEBHOOK_DELIVERY_NOT_FOUND',
+  WEBHOOK_INVALID_URL: 'WEBHOOK_INVALID_URL',
+  WEBHOOK_URL_NOT_ALLOWED: 'WEBHOOK_URL_NOT_ALLOWED',
+  WEBHOOK_INVALID_EVENT: 'WEBHOOK_INVALID_EVENT',
+  WEBHOOK_SUBSCRIPTION_INACTIVE: 'WEBHOOK_SUBSCRIPTION_INACTIVE',
+
+  // API Key Service Errors (API_KEY_)
+  API_KEY_NOT_FOUND: 'API_KEY_NOT_FOUND',
+  API_KEY_ALREADY_REVOKED: 'API_KEY_ALREADY_REVOKED',
+  API_KEY_NAME_ALREADY_EXISTS: 'API_KEY_NAME_ALREADY_EXISTS',
+  API_KEY_INVALID_EXPIRY: 'API_KEY_INVALID_EXPIRY',
+
+  // Event Ingestion Service Errors (INGEST_)
+  INGEST_EVENT_NOT_FOUND: 'INGEST_EVENT_NOT_FOUND',
+  INGEST_MEMBER_NOT_FOUND: 'INGEST_MEMBER_NOT_FOUND',
+  INGEST_EVENT_ALREADY_PROCESSED: 'INGEST_EVENT_ALREADY_PROCESSED',
+
+  // Points Rule Service Errors (POINTS_RULE_)
+  POINTS_RULE_NOT_FOUND: 'POINTS_RULE_NOT_FOUND',
+  POINTS_RULE_NAME_ALREADY_EXISTS: 'POINTS_RULE_NAME_ALREADY_EXISTS',
+  POINTS_RULE_INVALID_CONFIG: 'POINTS_RULE_INVALID_CONFIG',
+  POINTS_RULE_INVALID_VALIDITY_WINDOW: 'POINTS_RULE_INVALID_VALIDITY_WINDOW',
+  POINTS_RULE_INVALID_TIER: 'POINTS_RULE_INVALID_TIER',
+  POINTS_RULE_CANNOT_DELETE_WITH_HISTORY: 'POINTS_RULE_CANNOT_DELETE_WITH_HISTORY',
+  POINTS_RULE_MEMBER_NOT_FOUND: 'POINTS_RULE_MEMBER_NOT_FOUND',
+
+  // Ledger Service Errors (LEDGER_)
+  LEDGER_MEMBER_NOT_FOUND: 'LEDGER_MEMBER_NOT_FOUND',
+
   // Admin Service Errors (ADMIN_)
   ADMIN_INVALID_REPORT_TYPE: 'ADMIN_INVALID_REPORT_TYPE',
   ADMIN_USER_NOT_FOUND: 'ADMIN_USER_NOT_FOUND',
@@ -204,6 +288,7 @@ const SERVICE_ERROR_DESCRIPTIONS = {
   [SERVICE_ERROR_CODES.TRANSACTION_INVALID_ACTION]: 'Invalid action. Must be approve or reject',
   [SERVICE_ERROR_CODES.TRANSACTION_MEMBER_ID_REQUIRED]: 'Member ID is required',
   [SERVICE_ERROR_CODES.TRANSACTION_VALID_TYPE_REQUIRED]: 'Valid transaction type is required',
+  [SERVICE_ERROR_CODES.TRANSACTION_TYPE_SYSTEM_ONLY]: 'Transaction type is recorded by the system only',
   [SERVICE_ERROR_CODES.TRANSACTION_AMOUNT_MUST_BE_POSITIVE]: 'Amount must be greater than 0',
   [SERVICE_ERROR_CODES.TRANSACTION_DESCRIPTION_REQUIRED]: 'Description is required',
 
@@ -222,6 +307,17 @@ const SERVICE_ERROR_DESCRIPTIONS = {
   [SERVICE_ERROR_CODES.MISSION_REWARD_POINTS_CANNOT_BE_NEGATIVE]: 'Reward points cannot be negative',
   [SERVICE_ERROR_CODES.MISSION_END_DATE_MUST_BE_AFTER_START]: 'End date must be after start date',
   [SERVICE_ERROR_CODES.MISSION_PROFILE_COMPLETION_DATA_REQUIRED]: 'Profile completion data required',
+  [SERVICE_ERROR_CODES.MISSION_TARGET_NOT_REACHED]: 'Mission target has not been reached',
+  [SERVICE_ERROR_CODES.MISSION_INVALID_PREREQUISITES]: 'Prerequisites must be other missions of the brand and cannot form a cycle',
+  [SERVICE_ERROR_CODES.MISSION_QUEST_NOT_FOUND]: 'Quest not found',
+  [SERVICE_ERROR_CODES.MISSION_QUEST_INVALID_STEPS]: 'Quest steps must use missions of the brand once each, with at least one required step',
+  [SERVICE_ERROR_CODES.MISSION_STREAK_DISABLED]: 'Check-in streaks are not enabled for this brand',
+  [SERVICE_ERROR_CODES.MISSION_STREAK_FREEZE_PURCHASE_DISABLED]: 'Streak freezes cannot be bought with points',
+  [SERVICE_ERROR_CODES.MISSION_STREAK_FREEZE_LIMIT_REACHED]: 'Member cannot hold more streak freezes',
+  [SERVICE_ERROR_CODES.MISSION_STREAK_INSUFFICIENT_POINTS]: 'Insufficient points to buy streak freezes',
+  [SERVICE_ERROR_CODES.MISSION_REWARD_NOT_FOUND]: 'Mission reward not found',
+  [SERVICE_ERROR_CODES.MISSION_REWARD_ALREADY_CLAIMED]: 'Mission reward has already been claimed',
+  [SERVICE_ERROR_CODES.MISSION_REWARD_CLAIM_EXPIRED]: 'Mission reward claim deadline has passed',
 
   // Wheel Service
   [SERVICE_ERROR_CODES.WHEEL_NOT_FOUND]: 'Wheel not found',
@@ -235,6 +331,28 @@ const SERVICE_ERROR_DESCRIPTIONS = {
   [SERVICE_ERROR_CODES.WHEEL_MUST_HAVE_AT_LEAST_ONE_ITEM]: 'Wheel must have at least one item',
   [SERVICE_ERROR_CODES.WHEEL_PROBABILITIES_MUST_SUM_TO_ONE]: 'Wheel item probabilities must sum to 1.0',
   [SERVICE_ERROR_CODES.WHEEL_INVALID_PROBABILITY]: 'Invalid probability for wheel item',
+  [SERVICE_ERROR_CODES.WHEEL_PRIZES_EXHAUSTED]: 'Every prize on the wheel is out of stock or over budget',
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_REWARD_NOT_FOUND]: 'Coupon or discount reward not found for the brand',
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_NOT_FOUND]: 'Prize claim not found',
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_INVALID_STATUS]: 'Prize claim cannot be changed in its current status',
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_EXPIRED]: 'Prize claim deadline has passed',
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_DETAILS_REQUIRED]: 'Prize claim is missing the details needed to deliver the prize',
+  [SERVICE_ERROR_CODES.WHEEL_INVALID_PITY_RULES]: 'Wheel pity rules do not match its items',
+  [SERVICE_ERROR_CODES.WHEEL_NOT_PROVABLY_FAIR]: 'Wheel or spin does not use provably fair mode',
+  [SERVICE_ERROR_CODES.WHEEL_SPIN_NOT_FOUND]: 'Wheel spin not found',
+  [SERVICE_ERROR_CODES.WHEEL_SEED_NOT_REVEALED]: 'Server seed is still in use; rotate it to verify this spin',
+  [SERVICE_ERROR_CODES.WHEEL_PAYMENT_METHOD_NOT_ACCEPTED]: 'The wheel does not accept this payment method',
+  [SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_POINTS]: 'Insufficient points to pay for the spin',
+  [SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_TICKETS]: 'Insufficient spin tickets',
+  [SERVICE_ERROR_CODES.WHEEL_TICKET_PURCHASE_DISABLED]: 'The brand does not sell spin tickets for points',
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_NOT_FOUND]: 'Wheel version not found',
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_STATUS]: 'Wheel version cannot be changed in its current status',
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_PUBLISH_TIME]: 'Publish time must be in the future',
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_UNKNOWN_ITEM]: 'Wheel version refers to an item that does not belong to the wheel',
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_NOT_FOUND]: 'Wheel experiment not found',
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_INVALID_STATUS]: 'Wheel experiment cannot be changed in its current status',
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_ALREADY_RUNNING]: 'Another experiment is already running on the wheel',
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_INVALID_VARIANT]: 'Experiment variant must use a version of the wheel',
 
   // Tier Service
   [SERVICE_ERROR_CODES.TIER_BRAND_NOT_FOUND]: 'Brand not found',
@@ -246,6 +364,56 @@ const SERVICE_ERROR_DESCRIPTIONS = {
   [SERVICE_ERROR_CODES.TIER_INVALID_HIERARCHY]: 'Invalid tier hierarchy configuration',
   [SERVICE_ERROR_CODES.TIER_MEMBER_NOT_FOUND]: 'Member not found for tier assignment',
 
+  // Reward Service
+  [SERVICE_ERROR_CODES.REWARD_NOT_FOUND]: 'Reward not found',
+  [SERVICE_ERROR_CODES.REWARD_BRAND_NOT_FOUND]: 'Brand not found',
+  [SERVICE_ERROR_CODES.REWARD_MEMBER_NOT_FOUND]: 'Member not found',
+  [SERVICE_ERROR_CODES.REWARD_NAME_ALREADY_EXISTS]: 'Reward name already exists for this brand',
+  [SERVICE_ERROR_CODES.REWARD_INVALID_VALIDITY_WINDOW]: 'Reward valid_until must be after valid_from',
+  [SERVICE_ERROR_CODES.REWARD_INVALID_TIER]: 'Reward tier restriction references an unknown tier',
+  [SERVICE_ERROR_CODES.REWARD_CANNOT_DELETE_WITH_REDEMPTIONS]: 'Cannot delete reward with redemptions. Please archive instead.',
+  [SERVICE_ERROR_CODES.REWARD_NOT_AVAILABLE]: 'Reward is not currently available',
+  [SERVICE_ERROR_CODES.REWARD_NOT_ELIGIBLE]: 'Member is not eligible for this reward',
+  [SERVICE_ERROR_CODES.REWARD_INSUFFICIENT_POINTS]: 'Insufficient points for this reward',
+  [SERVICE_ERROR_CODES.REWARD_OUT_OF_STOCK]: 'Reward is out of stock',
+  [SERVICE_ERROR_CODES.REWARD_CODE_POOL_EXHAUSTED]: 'No redemption codes left for this reward',
+  [SERVICE_ERROR_CODES.REWARD_REDEMPTION_NOT_FOUND]: 'Redemption not found',
+  [SERVICE_ERROR_CODES.REWARD_REDEMPTION_INVALID_STATUS]: 'Redemption status does not allow this operation',
+
+  // Notification Service
+  [SERVICE_ERROR_CODES.NOTIFICATION_NOT_FOUND]: 'Notification not found',
+
+  // Webhook Service
+  [SERVICE_ERROR_CODES.WEBHOOK_NOT_FOUND]: 'Webhook subscription not found',
+  [SERVICE_ERROR_CODES.WEBHOOK_DELIVERY_NOT_FOUND]: 'Webhook delivery not found',
+  [SERVICE_ERROR_CODES.WEBHOOK_INVALID_URL]: 'Webhook URL must use http or https',
+  [SERVICE_ERROR_CODES.WEBHOOK_URL_NOT_ALLOWED]: 'Webhook URL must point to a public address',
+  [SERVICE_ERROR_CODES.WEBHOOK_INVALID_EVENT]: 'Unknown webhook event type',
+  [SERVICE_ERROR_CODES.WEBHOOK_SUBSCRIPTION_INACTIVE]: 'Webhook subscription is not active',
+
+  // API Key Service
+  [SERVICE_ERROR_CODES.API_KEY_NOT_FOUND]: 'API key not found',
+  [SERVICE_ERROR_CODES.API_KEY_ALREADY_REVOKED]: 'API key is already revoked',
+  [SERVICE_ERROR_CODES.API_KEY_NAME_ALREADY_EXISTS]: 'An active API key with this name already exists',
+  [SERVICE_ERROR_CODES.API_KEY_INVALID_EXPIRY]: 'API key expiry must be in the future',
+
+  // Event Ingestion Service
+  [SERVICE_ERROR_CODES.INGEST_EVENT_NOT_FOUND]: 'Ingested event not found',
+  [SERVICE_ERROR_CODES.INGEST_MEMBER_NOT_FOUND]: 'Member not found for ingested event',
+  [SERVICE_ERROR_CODES.INGEST_EVENT_ALREADY_PROCESSED]: 'Ingested event has already been processed',
+
+  // Points Rule Service
+  [SERVICE_ERROR_CODES.POINTS_RULE_NOT_FOUND]: 'Points rule not found',
+  [SERVICE_ERROR_CODES.POINTS_RULE_NAME_ALREADY_EXISTS]: 'Points rule name already exists for this brand',
+  [SERVICE_ERROR_CODES.POINTS_RULE_INVALID_CONFIG]: 'Points rule config does not match its rule type',
+  [SERVICE_ERROR_CODES.POINTS_RULE_INVALID_VALIDITY_WINDOW]: 'Points rule valid_until must be after valid_from',
+  [SERVICE_ERROR_CODES.POINTS_RULE_INVALID_TIER]: 'Points rule tier condition references an unknown tier',
+  [SERVICE_ERROR_CODES.POINTS_RULE_CANNOT_DELETE_WITH_HISTORY]: 'Cannot delete a points rule that has awarded points',
+  [SERVICE_ERROR_CODES.POINTS_RULE_MEMBER_NOT_FOUND]: 'Member not found',
+
+  // Ledger Service
+  [SERVICE_ERROR_CODES.LEDGER_MEMBER_NOT_FOUND]: 'Member not found',
+
   // Admin Service
   [SERVICE_ERROR_CODES.ADMIN_INVALID_REPORT_TYPE]: 'Invalid report type',
   [SERVICE_ERROR_CODES.ADMIN_USER_NOT_FOUND]: 'User not found',
@@ -321,6 +489,7 @@ const SERVICE_ERROR_HTTP_STATUS = {
   [SERVICE_ERROR_CODES.TRANSACTION_INVALID_ACTION]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.TRANSACTION_MEMBER_ID_REQUIRED]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.TRANSACTION_VALID_TYPE_REQUIRED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.TRANSACTION_TYPE_SYSTEM_ONLY]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.TRANSACTION_AMOUNT_MUST_BE_POSITIVE]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.TRANSACTION_DESCRIPTION_REQUIRED]: HTTP_STATUS.BAD_REQUEST,
 
@@ -339,6 +508,17 @@ const SERVICE_ERROR_HTTP_STATUS = {
   [SERVICE_ERROR_CODES.MISSION_REWARD_POINTS_CANNOT_BE_NEGATIVE]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.MISSION_END_DATE_MUST_BE_AFTER_START]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.MISSION_PROFILE_COMPLETION_DATA_REQUIRED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_TARGET_NOT_REACHED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_INVALID_PREREQUISITES]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_QUEST_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.MISSION_QUEST_INVALID_STEPS]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_STREAK_DISABLED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_STREAK_FREEZE_PURCHASE_DISABLED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_STREAK_FREEZE_LIMIT_REACHED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_STREAK_INSUFFICIENT_POINTS]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_REWARD_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.MISSION_REWARD_ALREADY_CLAIMED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.MISSION_REWARD_CLAIM_EXPIRED]: HTTP_STATUS.BAD_REQUEST,
 
   // Wheel Service - mostly 404 Not Found, 400 Bad Request, 500 Internal Server Error
   [SERVICE_ERROR_CODES.WHEEL_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
@@ -352,6 +532,28 @@ const SERVICE_ERROR_HTTP_STATUS = {
   [SERVICE_ERROR_CODES.WHEEL_MUST_HAVE_AT_LEAST_ONE_ITEM]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.WHEEL_PROBABILITIES_MUST_SUM_TO_ONE]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.WHEEL_INVALID_PROBABILITY]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_PRIZES_EXHAUSTED]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_REWARD_NOT_FOUND]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_INVALID_STATUS]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_EXPIRED]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_DETAILS_REQUIRED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_INVALID_PITY_RULES]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_NOT_PROVABLY_FAIR]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_SPIN_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.WHEEL_SEED_NOT_REVEALED]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.WHEEL_PAYMENT_METHOD_NOT_ACCEPTED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_POINTS]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_TICKETS]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_TICKET_PURCHASE_DISABLED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_STATUS]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_PUBLISH_TIME]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_VERSION_UNKNOWN_ITEM]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_INVALID_STATUS]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_ALREADY_RUNNING]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_INVALID_VARIANT]: HTTP_STATUS.BAD_REQUEST,
 
   // Tier Service - mostly 404 Not Found, 409 Conflict, 400 Bad Request
   [SERVICE_ERROR_CODES.TIER_BRAND_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
@@ -363,6 +565,56 @@ const SERVICE_ERROR_HTTP_STATUS = {
   [SERVICE_ERROR_CODES.TIER_INVALID_HIERARCHY]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.TIER_MEMBER_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
 
+  // Reward Service - mostly 404 Not Found, 409 Conflict, 400 Bad Request
+  [SERVICE_ERROR_CODES.REWARD_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.REWARD_BRAND_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.REWARD_MEMBER_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.REWARD_NAME_ALREADY_EXISTS]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.REWARD_INVALID_VALIDITY_WINDOW]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.REWARD_INVALID_TIER]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.REWARD_CANNOT_DELETE_WITH_REDEMPTIONS]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.REWARD_NOT_AVAILABLE]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.REWARD_NOT_ELIGIBLE]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.REWARD_INSUFFICIENT_POINTS]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.REWARD_OUT_OF_STOCK]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.REWARD_CODE_POOL_EXHAUSTED]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.REWARD_REDEMPTION_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.REWARD_REDEMPTION_INVALID_STATUS]: HTTP_STATUS.CONFLICT,
+
+  // Notification Service - mostly 404 Not Found
+  [SERVICE_ERROR_CODES.NOTIFICATION_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+
+  // Webhook Service - mostly 404 Not Found, 400 Bad Request
+  [SERVICE_ERROR_CODES.WEBHOOK_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.WEBHOOK_DELIVERY_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.WEBHOOK_INVALID_URL]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WEBHOOK_URL_NOT_ALLOWED]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WEBHOOK_INVALID_EVENT]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.WEBHOOK_SUBSCRIPTION_INACTIVE]: HTTP_STATUS.BAD_REQUEST,
+
+  // API Key Service - mostly 404 Not Found, 409 Conflict, 400 Bad Request
+  [SERVICE_ERROR_CODES.API_KEY_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.API_KEY_ALREADY_REVOKED]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.API_KEY_NAME_ALREADY_EXISTS]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.API_KEY_INVALID_EXPIRY]: HTTP_STATUS.BAD_REQUEST,
+
+  // Event Ingestion Service - mostly 404 Not Found, 409 Conflict
+  [SERVICE_ERROR_CODES.INGEST_EVENT_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.INGEST_MEMBER_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.INGEST_EVENT_ALREADY_PROCESSED]: HTTP_STATUS.CONFLICT,
+
+  // Points Rule Service - mostly 404 Not Found, 409 Conflict, 400 Bad Request
+  [SERVICE_ERROR_CODES.POINTS_RULE_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+  [SERVICE_ERROR_CODES.POINTS_RULE_NAME_ALREADY_EXISTS]: HTTP_STATUS.CONFLICT,
+  [SERVICE_ERROR_CODES.POINTS_RULE_INVALID_CONFIG]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.POINTS_RULE_INVALID_VALIDITY_WINDOW]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.POINTS_RULE_INVALID_TIER]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.POINTS_RULE_CANNOT_DELETE_WITH_HISTORY]: HTTP_STATUS.BAD_REQUEST,
+  [SERVICE_ERROR_CODES.POINTS_RULE_MEMBER_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+
+  // Ledger Service - 404 Not Found
+  [SERVICE_ERROR_CODES.LEDGER_MEMBER_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
+
   // Admin Service - mostly 404 Not Found, 403 Forbidden, 400 Bad Request
   [SERVICE_ERROR_CODES.ADMIN_INVALID_REPORT_TYPE]: HTTP_STATUS.BAD_REQUEST,
   [SERVICE_ERROR_CODES.ADMIN_USER_NOT_FOUND]: HTTP_STATUS.NOT_FOUND,
@@ -383,6 +635,13 @@ const SERVICE_PREFIXES = {
   MISSION: 'MISSION_',
   WHEEL: 'WHEEL_',
   TIER: 'TIER_',
+  REWARD: 'REWARD_',
+  NOTIFICATION: 'NOTIFICATION_',
+  WEBHOOK: 'WEBHOOK_',
+  API_KEY: 'API_KEY_',
+  INGEST: 'INGEST_',
+  POINTS_RULE: 'POINTS_RULE_',
+  LEDGER: 'LEDGER_',
   ADMIN: 'ADMIN_'
 };
 
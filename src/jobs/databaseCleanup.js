@@ -27,6 +27,7 @@ class DatabaseCleanupJob {
       oldSpinsDeleted: 0,
       expiredMissionsDeleted: 0,
       failedTransactionsDeleted: 0,
+      expiredIdempotencyKeysDeleted: 0,
       tablesOptimized: 0
     };
 
@@ -48,6 +49,9 @@ class DatabaseCleanupJob {
       // Clean up failed transactions (older than 30 days)
       results.failedTransactionsDeleted = await this.cleanupFailedTransactions(client);
 
+      // Clean up idempotency keys past their replay window
+      results.expiredIdempotencyKeysDeleted = await this.cleanupExpiredIdempotencyKeys(client);
+
       // Optimize database tables
       results.tablesOptimized = await this.optimizeTables(client);
 
@@ -196,6 +200,25 @@ class DatabaseCleanupJob {
     return deletedCount;
   }
 
+  /**
+   * Clean up idempotency keys past their replay window
+   */
+  async cleanupExpiredIdempotencyKeys(client) {
+    const query = `
+      DELETE FROM idempotency_keys 
+      WHERE expires_at < NOW()
+    `;
+
+    const result = await client.query(query);
+    const deletedCount = result.rowCount;
+
+    if (deletedCount > 0) {
+      logger.info(`Deleted ${deletedCount} expired idempotency keys`);
+    }
+
+    return deletedCount;
+  }
+
   /**
    * Optimize database tables
    */
@@ -293,6 +316,11 @@ class DatabaseCleanupJob {
       );
       stats.failedTransactions = parseInt(failedTransactionResult.rows[0].count);
 
+      const expiredIdempotencyKeyResult = await client.query(
+        'SELECT COUNT(*) as count FROM idempotency_keys WHERE expires_at < NOW()'
+      );
+      stats.expiredIdempotencyKeys = parseInt(expiredIdempotencyKeyResult.rows[0].count);
+
       return stats;
     } catch (error) {
       logger.error('Failed to get cleanup stats:', error);
@@ -12,8 +12,17 @@ const databaseCleanup = require('./databaseCleanup');
 const tokenCleanup = require('./tokenCleanup');
 const auditLogCleanup = require('./auditLogCleanup');
 const memberPointsRecalculation = require('./memberPointsRecalculation');
+const pointsExpiration = require('./pointsExpiration');
+const ledgerSnapshot = require('./ledgerSnapshot');
 const missionExpiration = require('./missionExpiration');
+const missionProgress = require('./missionProgress');
+const missionRewardExpiration = require('./missionRewardExpiration');
+const rewardRedemptionExpiration = require('./rewardRedemptionExpiration');
+const prizeClaimExpiration = require('./prizeClaimExpiration');
+const webhookDelivery = require('./webhookDelivery');
 const wheelStatisticsUpdate = require('./wheelStatisticsUpdate');
+const wheelProbabilityDrift = require('./wheelProbabilityDrift');
+const wheelVersionPublish = require('./wheelVersionPublish');
 const systemHealthCheck = require('./systemHealthCheck');
 
 class JobManager {
@@ -59,7 +68,19 @@ class JobManager {
 
       // Member points recalculation - runs daily at 1 AM
       this.scheduleJob('member-points-recalculation', '0 1 * * *', memberPointsRecalculation.run, {
-        description: 'Recalculate member points balances and fix discrepancies',
+        description: 'Recalculate member lifetime points totals',
+        timezone: config.server.timezone || 'UTC'
+      });
+
+      // Points expiration - runs every hour at quarter past
+      this.scheduleJob('points-expiration', '15 * * * *', pointsExpiration.run, {
+        description: 'Expire points lots that have passed their expiry date',
+        timezone: config.server.timezone || 'UTC'
+      });
+
+      // Ledger snapshot - runs daily at midnight
+      this.scheduleJob('ledger-snapshot', '0 0 * * *', ledgerSnapshot.run, {
+        description: 'Snapshot points ledger account balances',
         timezone: config.server.timezone || 'UTC'
       });
 
@@ -69,12 +90,54 @@ class JobManager {
         timezone: config.server.timezone || 'UTC'
       });
 
+      // Mission progress - runs every minute
+      this.scheduleJob('mission-progress', '* * * * *', missionProgress.run, {
+        description: 'Complete missions whose tracked progress reached its target',
+        timezone: config.server.timezone || 'UTC'
+      });
+
+      // Mission reward expiration - runs every hour at ten past
+      this.scheduleJob('mission-reward-expiration', '10 * * * *', missionRewardExpiration.run, {
+        description: 'Expire mission rewards that were not claimed before their deadline',
+        timezone: config.server.timezone || 'UTC'
+      });
+
+      // Reward redemption expiration - runs every hour at half past
+      this.scheduleJob('reward-redemption-expiration', '30 * * * *', rewardRedemptionExpiration.run, {
+        description: 'Expire issued reward redemption codes that have passed their expiry',
+        timezone: config.server.timezone || 'UTC'
+      });
+
+      // Prize claim expiration - runs every hour at quarter to
+      this.scheduleJob('prize-claim-expiration', '45 * * * *', prizeClaimExpiration.run, {
+        description: 'Expire unclaimed wheel prizes that have passed their claim deadline',
+        timezone: config.server.timezone || 'UTC'
+      });
+
+      // Webhook delivery - runs every minute
+      this.scheduleJob('webhook-delivery', '* * * * *', webhookDelivery.run, {
+        description: 'Send queued webhook deliveries and retry failed ones',
+        timezone: config.server.timezone || 'UTC'
+      });
+
       // Wheel statistics update - runs every 30 minutes
       this.scheduleJob('wheel-statistics-update', '*/30 * * * *', wheelStatisticsUpdate.run, {
         description: 'Update wheel performance statistics and analytics',
         timezone: config.server.timezone || 'UTC'
       });
 
+      // Wheel probability drift - runs every hour at twenty past
+      this.scheduleJob('wheel-probability-drift', '20 * * * *', wheelProbabilityDrift.run, {
+        description: 'Check wheel outcomes against configured probabilities',
+        timezone: config.server.timezone || 'UTC'
+      });
+
+      // Wheel version publish - runs every minute
+      this.scheduleJob('wheel-version-publish', '* * * * *', wheelVersionPublish.run, {
+        description: 'Publish scheduled wheel versions',
+        timezone: config.server.timezone || 'UTC'
+      });
+
       // System health check - runs every 5 minutes
       this.scheduleJob('system-health-check', '*/5 * * * *', systemHealthCheck.run, {
         description: 'Monitor system health and send alerts if needed',
@@ -221,8 +284,17 @@ class JobManager {
       'token-cleanup': tokenCleanup.run,
       'audit-log-cleanup': auditLogCleanup.run,
       'member-points-recalculation': memberPointsRecalculation.run,
+      'points-expiration': pointsExpiration.run,
+      'ledger-snapshot': ledgerSnapshot.run,
       'mission-expiration': missionExpiration.run,
+      'mission-progress': missionProgress.run,
+      'mission-reward-expiration': missionRewardExpiration.run,
+      'reward-redemption-expiration': rewardRedemptionExpiration.run,
+      'prize-claim-expiration': prizeClaimExpiration.run,
+      'webhook-delivery': webhookDelivery.run,
       'wheel-statistics-update': wheelStatisticsUpdate.run,
+      'wheel-probability-drift': wheelProbabilityDrift.run,
+      'wheel-version-publish': wheelVersionPublish.run,
       'system-health-check': systemHealthCheck.run
     };
 
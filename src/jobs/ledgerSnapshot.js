@@ -0,0 +1,34 @@
+/**
+ * Ledger Snapshot Job
+ * Records the balance of every points ledger account
+ */
+
+const { LedgerService } = require('../services');
+const { logger } = require('../utils');
+
+class LedgerSnapshotJob {
+  constructor() {
+    this.name = 'ledger-snapshot';
+    this.description = 'Snapshot points ledger account balances';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting ledger snapshot job...');
+
+    try {
+      const ledgerService = new LedgerService();
+      const summary = await ledgerService.takeSnapshots();
+
+      const duration = Date.now() - startTime;
+      logger.info(`Ledger snapshot completed: ${summary.accounts} accounts (${duration}ms)`);
+
+      return { ...summary, duration };
+    } catch (error) {
+      logger.error('Ledger snapshot failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LedgerSnapshotJob();
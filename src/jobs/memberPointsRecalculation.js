@@ -1,15 +1,36 @@
 /**
  * Member Points Recalculation Job
- * Recalculates member points balances and fixes discrepancies
+ * Recalculates member lifetime points totals from completed transactions
  */
 
 const db = require('../../config/database');
-const { logger } = require('../utils');
+const { logger, constants } = require('../utils');
+
+const { TRANSACTION_TYPES } = constants;
+
+// Transaction amounts are stored unsigned, so the type says whether points came in or went out.
+// Refunds restore spent points and expiry is neither earned nor redeemed
+const EARNING_TYPES = [
+  TRANSACTION_TYPES.CREDIT,
+  TRANSACTION_TYPES.POINTS_EARNED,
+  TRANSACTION_TYPES.POINTS_AWARDED,
+  TRANSACTION_TYPES.WHEEL_WIN,
+  TRANSACTION_TYPES.MISSION_REWARD,
+  TRANSACTION_TYPES.BONUS_POINTS,
+  TRANSACTION_TYPES.REFERRAL_BONUS,
+  TRANSACTION_TYPES.TIER_UPGRADE_BONUS
+];
+
+const REDEEMING_TYPES = [
+  TRANSACTION_TYPES.DEBIT,
+  TRANSACTION_TYPES.POINTS_SPENT,
+  TRANSACTION_TYPES.POINTS_DEDUCTED
+];
 
 class MemberPointsRecalculationJob {
   constructor() {
     this.name = 'member-points-recalculation';
-    this.description = 'Recalculate member points balances and fix discrepancies';
+    this.description = 'Recalculate member lifetime points totals';
   }
 
   async run() {
@@ -22,23 +43,19 @@ class MemberPointsRecalculationJob {
     try {
       await client.query('BEGIN');
 
-      // Recalculate points balances based on completed transactions
+      // Recalculate lifetime totals based on completed transactions. Balances are not touched:
+      // they move together with the points ledger, and differences show up in the reconciliation report
       const updateQuery = `
         UPDATE members SET 
-          points_balance = COALESCE((
-            SELECT SUM(amount) 
-            FROM transactions 
-            WHERE member_id = members.id AND status = 'completed'
-          ), 0),
           total_points_earned = COALESCE((
             SELECT SUM(amount) 
             FROM transactions 
-            WHERE member_id = members.id AND status = 'completed' AND amount > 0
+            WHERE member_id = members.id AND status = 'completed' AND type = ANY($1)
           ), 0),
           total_points_redeemed = COALESCE((
             SELECT SUM(ABS(amount)) 
             FROM transactions 
-            WHERE member_id = members.id AND status = 'completed' AND amount < 0
+            WHERE member_id = members.id AND status = 'completed' AND type = ANY($2)
           ), 0),
           updated_at = CURRENT_TIMESTAMP
         WHERE EXISTS (
@@ -46,7 +63,7 @@ class MemberPointsRecalculationJob {
         )
       `;
 
-      const result = await client.query(updateQuery);
+      const result = await client.query(updateQuery, [EARNING_TYPES, REDEEMING_TYPES]);
       updatedCount = result.rowCount;
 
       await client.query('COMMIT');
@@ -0,0 +1,35 @@
+/**
+ * Mission Progress Job
+ * Completes missions whose tracked progress reached its target, for progress counted by
+ * transactions that did not complete their missions straight away
+ */
+
+const { MissionService } = require('../services');
+const { logger } = require('../utils');
+
+class MissionProgressJob {
+  constructor() {
+    this.name = 'mission-progress';
+    this.description = 'Complete missions whose tracked progress reached its target';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting mission progress job...');
+
+    try {
+      const missionService = new MissionService();
+      const summary = await missionService.completeReachedMissions({ limit: 500 });
+
+      const duration = Date.now() - startTime;
+      logger.info(`Mission progress completed: ${summary.completed} of ${summary.reached} reached missions completed, ${summary.failed} failed (${duration}ms)`);
+
+      return { reached: summary.reached, completed: summary.completed, failed: summary.failed, duration };
+    } catch (error) {
+      logger.error('Mission progress failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MissionProgressJob();
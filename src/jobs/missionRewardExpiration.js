@@ -0,0 +1,37 @@
+/**
+ * Mission Reward Expiration Job
+ * Expires mission rewards members did not claim before the deadline
+ */
+
+const { MissionService } = require('../services');
+const { logger } = require('../utils');
+
+// Rewards left over are picked up by the next run
+const BATCH_SIZE = 500;
+
+class MissionRewardExpirationJob {
+  constructor() {
+    this.name = 'mission-reward-expiration';
+    this.description = 'Expire mission rewards that were not claimed before their deadline';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting mission reward expiration job...');
+
+    try {
+      const missionService = new MissionService();
+      const summary = await missionService.expireUnclaimedRewards(BATCH_SIZE);
+
+      const duration = Date.now() - startTime;
+      logger.info(`Mission reward expiration completed: expired ${summary.expired} of ${summary.due} rewards, ${summary.failed} failed (${duration}ms)`);
+
+      return { ...summary, duration };
+    } catch (error) {
+      logger.error('Mission reward expiration failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MissionRewardExpirationJob();
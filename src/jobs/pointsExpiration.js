@@ -0,0 +1,37 @@
+/**
+ * Points Expiration Job
+ * Expires points lots that have passed their expiry and records points_expired debits
+ */
+
+const { PointsExpirationService } = require('../services');
+const { logger } = require('../utils');
+
+// Members left over are picked up by the next run
+const BATCH_SIZE = 500;
+
+class PointsExpirationJob {
+  constructor() {
+    this.name = 'points-expiration';
+    this.description = 'Expire points lots that have passed their expiry date';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting points expiration job...');
+
+    try {
+      const pointsExpirationService = new PointsExpirationService();
+      const summary = await pointsExpirationService.expireDuePoints(BATCH_SIZE);
+
+      const duration = Date.now() - startTime;
+      logger.info(`Points expiration completed: ${summary.expired} members expired ${summary.points} points, ${summary.failed} failed (${duration}ms)`);
+
+      return { ...summary, duration };
+    } catch (error) {
+      logger.error('Points expiration failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PointsExpirationJob();
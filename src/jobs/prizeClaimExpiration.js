@@ -0,0 +1,37 @@
+/**
+ * Prize Claim Expiration Job
+ * Expires wheel prize claims the winner did not submit before the deadline and returns the prizes to stock
+ */
+
+const { PrizeClaimService } = require('../services');
+const { logger } = require('../utils');
+
+// Claims left over are picked up by the next run
+const BATCH_SIZE = 200;
+
+class PrizeClaimExpirationJob {
+  constructor() {
+    this.name = 'prize-claim-expiration';
+    this.description = 'Expire unclaimed wheel prizes that have passed their claim deadline';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting prize claim expiration job...');
+
+    try {
+      const prizeClaimService = new PrizeClaimService();
+      const summary = await prizeClaimService.expireOverdueClaims(BATCH_SIZE);
+
+      const duration = Date.now() - startTime;
+      logger.info(`Prize claim expiration completed: expired ${summary.expired} of ${summary.due} claims, ${summary.failed} failed (${duration}ms)`);
+
+      return { ...summary, duration };
+    } catch (error) {
+      logger.error('Prize claim expiration failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PrizeClaimExpirationJob();
@@ -0,0 +1,48 @@
+/**
+ * Reward Redemption Expiration Job
+ * Expires issued redemption codes that have passed their expiry date
+ */
+
+const db = require('../../config/database');
+const { logger } = require('../utils');
+
+class RewardRedemptionExpirationJob {
+  constructor() {
+    this.name = 'reward-redemption-expiration';
+    this.description = 'Expire issued reward redemption codes that have passed their expiry';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting reward redemption expiration job...');
+
+    const client = await db.connect();
+    let expiredCount = 0;
+
+    try {
+      // Expired redemptions keep their points spent; only cancellation refunds
+      const query = `
+        UPDATE reward_redemptions
+        SET status = 'expired', expired_at = NOW(), updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'issued'
+        AND expires_at IS NOT NULL
+        AND expires_at < NOW()
+      `;
+
+      const result = await client.query(query);
+      expiredCount = result.rowCount;
+
+      const duration = Date.now() - startTime;
+      logger.info(`Reward redemption expiration completed: expired ${expiredCount} redemptions (${duration}ms)`);
+
+      return { expiredCount, duration };
+    } catch (error) {
+      logger.error('Reward redemption expiration failed:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new RewardRedemptionExpirationJob();
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Webhook Delivery Job
+ * Sends queued webhook deliveries and retries failed ones with exponential backoff
+ */
+
+const { WebhookService } = require('../services');
+const { logger } = require('../utils');
+
+// Deliveries left over are picked up by the next run
+const BATCH_SIZE = 50;
+
+class WebhookDeliveryJob {
+  constructor() {
+    this.name = 'webhook-delivery';
+    this.description = 'Send queued webhook deliveries and retry failed ones';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting webhook delivery job...');
+
+    try {
+      const webhookService = new WebhookService();
+      const summary = await webhookService.processDueDeliveries(BATCH_SIZE);
+
+      const duration = Date.now() - startTime;
+      logger.info(`Webhook delivery completed: ${summary.processed} processed, ${summary.succeeded} succeeded, ${summary.retrying} retrying, ${summary.failed} failed (${duration}ms)`);
+
+      return { ...summary, duration };
+    } catch (error) {
+      logger.error('Webhook delivery failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookDeliveryJob();
@@ -0,0 +1,34 @@
+/**
+ * Wheel Probability Drift Job
+ * Tests whether wheel outcomes still match the configured probabilities and alerts on significant drift
+ */
+
+const { WheelDriftService } = require('../services');
+const { logger } = require('../utils');
+
+class WheelProbabilityDriftJob {
+  constructor() {
+    this.name = 'wheel-probability-drift';
+    this.description = 'Check wheel outcomes against configured probabilities';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting wheel probability drift job...');
+
+    try {
+      const wheelDriftService = new WheelDriftService();
+      const summary = await wheelDriftService.runDriftChecks();
+
+      const duration = Date.now() - startTime;
+      logger.info(`Wheel probability drift completed: ${summary.checks} checks on ${summary.wheels} wheels, ${summary.drifts} drifting, ${summary.failed} failed (${duration}ms)`);
+
+      return { ...summary, duration };
+    } catch (error) {
+      logger.error('Wheel probability drift failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WheelProbabilityDriftJob();
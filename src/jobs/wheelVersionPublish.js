@@ -0,0 +1,34 @@
+/**
+ * Wheel Version Publish Job
+ * Publishes scheduled wheel versions once their publish time has come
+ */
+
+const { WheelVersionService } = require('../services');
+const { logger } = require('../utils');
+
+class WheelVersionPublishJob {
+  constructor() {
+    this.name = 'wheel-version-publish';
+    this.description = 'Publish scheduled wheel versions';
+  }
+
+  async run() {
+    const startTime = Date.now();
+    logger.info('Starting wheel version publish job...');
+
+    try {
+      const wheelVersionService = new WheelVersionService();
+      const summary = await wheelVersionService.publishDueVersions();
+
+      const duration = Date.now() - startTime;
+      logger.info(`Wheel version publish completed: ${summary.published} of ${summary.due} due versions published, ${summary.skipped} skipped, ${summary.failed} failed (${duration}ms)`);
+
+      return { ...summary, duration };
+    } catch (error) {
+      logger.error('Wheel version publish failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WheelVersionPublishJob();
@@ -3,11 +3,12 @@
  * Handles JWT token validation and user authentication
  */
 
-const { jwt, response, logger, constants } = require('../utils');
-const { UserRepository } = require('../repositories');
-const { HTTP_STATUS, ERROR_CODES, USER_ROLES } = constants;
+const { jwt, response, logger, constants, encryption } = require('../utils');
+const { UserRepository, ApiKeyRepository } = require('../repositories');
+const { HTTP_STATUS, ERROR_CODES, USER_ROLES, BRAND_STATUS } = constants;
 
 const userRepository = new UserRepository();
+const apiKeyRepository = new ApiKeyRepository();
 
 /**
  * Authenticate JWT token
@@ -359,11 +360,23 @@ const validateApiKey = async (req, res, next) => {
       return response.unauthorized(res, 'API key is required', ERROR_CODES.UNAUTHORIZED_ACCESS);
     }
 
-    // In a real implementation, you would validate the API key against a database
-    // For now, we'll just check if it's a valid format
-    if (apiKey.length < 32) {
-      logger.security('Invalid API key format', {
-        apiKey: apiKey.substring(0, 8) + '...',
+    const storedKey = await apiKeyRepository.findByHash(encryption.hashApiKey(apiKey));
+    let rejection = null;
+    if (!storedKey) {
+      rejection = 'unknown key';
+    } else if (storedKey.revoked_at) {
+      rejection = 'revoked';
+    } else if (storedKey.expires_at && new Date(storedKey.expires_at) <= new Date()) {
+      rejection = 'expired';
+    } else if (storedKey.brand_status !== BRAND_STATUS.ACTIVE) {
+      rejection = 'brand inactive';
+    }
+
+    if (rejection) {
+      logger.security('API key rejected', {
+        reason: rejection,
+        apiKeyId: storedKey?.id,
+        keyPrefix: apiKey.substring(0, 11),
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         path: req.path
@@ -372,8 +385,22 @@ const validateApiKey = async (req, res, next) => {
       return response.unauthorized(res, 'Invalid API key', ERROR_CODES.UNAUTHORIZED_ACCESS);
     }
 
+    // Usage tracking must never fail the request, so it is not awaited and failures are only logged
+    apiKeyRepository.touchLastUsed(storedKey.id, req.ip).catch(error => {
+      logger.error('API key usage tracking failed', {
+        error: error.message,
+        apiKeyId: storedKey.id,
+        brandId: storedKey.brand_id
+      });
+    });
+
     // Attach API key info to request
-    req.apiKey = apiKey;
+    req.apiKey = {
+      id: storedKey.id,
+      name: storedKey.name,
+      brand_id: storedKey.brand_id,
+      scopes: storedKey.scopes || []
+    };
     
     next();
   } catch (error) {
@@ -387,6 +414,53 @@ const validateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Require the authenticated API key to hold all given scopes
+ * @param {string|array} scopes - Required scopes
+ * @returns {function} - Middleware function
+ */
+const requireApiKeyScope = (scopes) => {
+  const requiredScopes = Array.isArray(scopes) ? scopes : [scopes];
+
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return response.unauthorized(res, 'API key is required', ERROR_CODES.UNAUTHORIZED_ACCESS);
+    }
+
+    const missingScopes = requiredScopes.filter(scope => !req.apiKey.scopes.includes(scope));
+    if (missingScopes.length > 0) {
+      logger.security('API key scope check failed', {
+        apiKeyId: req.apiKey.id,
+        brandId: req.apiKey.brand_id,
+        missingScopes,
+        ip: req.ip,
+        path: req.path
+      });
+
+      return response.forbidden(res, `API key is missing scope: ${missingScopes.join(', ')}`, ERROR_CODES.UNAUTHORIZED_ACCESS);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Scope the request to the brand of the authenticated API key
+ * Brand controllers read the brand from req.params.brandId; request validation strips params its
+ * schema does not list, so this runs after validation unless the schema itself checks brandId
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const useApiKeyBrand = (req, res, next) => {
+  if (!req.apiKey) {
+    return response.unauthorized(res, 'API key is required', ERROR_CODES.UNAUTHORIZED_ACCESS);
+  }
+
+  req.params.brandId = req.apiKey.brand_id;
+  next();
+};
+
 /**
  * Authenticate member token (for member portal)
  * @param {object} req - Express request object
@@ -500,5 +574,7 @@ module.exports = {
   requireBrandAccess,
   requireSelfOrAdmin,
   authRateLimit,
-  validateApiKey
+  validateApiKey,
+  requireApiKeyScope,
+  useApiKeyBrand
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Idempotency Middleware
+ * Makes state-changing requests safe to retry with an Idempotency-Key header
+ */
+
+const crypto = require('crypto');
+const { logger, constants } = require('../utils');
+const { IdempotencyKeyRepository } = require('../repositories');
+const { AppError } = require('./errorHandler');
+const config = require('../../config');
+const { HTTP_STATUS, ERROR_CODES, IDEMPOTENCY_KEY_STATUS, VALIDATION_RULES } = constants;
+
+const idempotencyKeyRepository = new IdempotencyKeyRepository();
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads give equal fingerprints
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint a request by method, URL and body
+ * @param {object} req - Express request object
+ * @returns {string} - SHA-256 hex digest
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ method: req.method, url: req.originalUrl, body: req.body || {} }))
+    .digest('hex');
+};
+
+/**
+ * Get the caller a key belongs to, so two callers can use the same key
+ * @param {object} req - Express request object
+ * @returns {string|null} - Scope, or null for anonymous requests
+ */
+const getScope = (req) => {
+  if (req.apiKey) {
+    return `api_key:${req.apiKey.id}`;
+  }
+
+  if (req.user && req.user.member_id) {
+    return `member:${req.user.member_id}`;
+  }
+
+  if (req.user && req.user.id) {
+    return `user:${req.user.id}`;
+  }
+
+  return null;
+};
+
+/**
+ * Store the response once it is sent; failed requests release the key so they can be retried
+ * @param {object} res - Express response object
+ * @param {object} record - Reserved key record
+ */
+const storeResponseOnFinish = (res, record) => {
+  let responseBody;
+  let settled = false;
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  const settle = (finished) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    const storeResult = finished && res.statusCode < HTTP_STATUS.INTERNAL_SERVER_ERROR
+      ? idempotencyKeyRepository.complete(record.id, res.statusCode, responseBody)
+      : idempotencyKeyRepository.release(record.id);
+
+    // The response has already gone out, so a storage failure can only be logged
+    storeResult.catch(error => {
+      logger.error('Error storing idempotent response', { id: record.id, error: error.message });
+    });
+  };
+
+  res.on('finish', () => settle(true));
+  res.on('close', () => settle(res.writableFinished));
+};
+
+/**
+ * Honour an Idempotency-Key header: replay the stored response for a retry of the same request,
+ * and reject the key when it is reused for a different request. Requests without the header pass through.
+ * Place after authentication and validation so the key is scoped to the caller and covers the validated body.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const idempotent = async (req, res, next) => {
+  try {
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+    const scope = getScope(req);
+
+    if (idempotencyKey === undefined || !scope) {
+      return next();
+    }
+
+    const key = idempotencyKey.trim();
+    if (!key || key.length > VALIDATION_RULES.IDEMPOTENCY_KEY_MAX_LENGTH) {
+      return next(new AppError(
+        `${IDEMPOTENCY_HEADER} header must be between 1 and ${VALIDATION_RULES.IDEMPOTENCY_KEY_MAX_LENGTH} characters`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_IDEMPOTENCY_KEY
+      ));
+    }
+
+    const fingerprint = fingerprintRequest(req);
+    const expiresAt = new Date(Date.now() + config.idempotency.ttlHours * 60 * 60 * 1000);
+
+    const reserved = await idempotencyKeyRepository.reserve({
+      scope,
+      idempotency_key: key,
+      fingerprint,
+      method: req.method,
+      path: req.originalUrl
+    }, expiresAt);
+
+    if (reserved) {
+      storeResponseOnFinish(res, reserved);
+      return next();
+    }
+
+    const existing = await idempotencyKeyRepository.findActive(scope, key);
+
+    if (existing && existing.fingerprint !== fingerprint) {
+      logger.logSecurity('Idempotency key reused with a different payload', {
+        scope,
+        idempotencyKey: key,
+        path: req.originalUrl,
+        ip: req.ip
+      });
+
+      return next(new AppError(
+        `${IDEMPOTENCY_HEADER} was already used for a different request`,
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.IDEMPOTENCY_KEY_REUSED
+      ));
+    }
+
+    // No record means the earlier request was released a moment ago; the caller can simply retry
+    if (!existing || existing.status === IDEMPOTENCY_KEY_STATUS.IN_PROGRESS) {
+      return next(new AppError(
+        `A request with this ${IDEMPOTENCY_HEADER} is still being processed`,
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.IDEMPOTENCY_REQUEST_IN_PROGRESS
+      ));
+    }
+
+    logger.debug('Replaying idempotent response', { scope, idempotencyKey: key, path: req.originalUrl });
+
+    res.set(REPLAYED_HEADER, 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  } catch (error) {
+    logger.error('Idempotency check failed', { path: req.originalUrl, error: error.message });
+    return next(error);
+  }
+};
+
+module.exports = {
+  idempotent,
+  fingerprintRequest,
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER
+};
@@ -10,6 +10,7 @@ const rateLimit = require('./rateLimit');
 const errorHandler = require('./errorHandler');
 const cache = require('./cache');
 const queryOptimization = require('./queryOptimization');
+const idempotency = require('./idempotency');
 
 module.exports = {
   auth,
@@ -18,5 +19,6 @@ module.exports = {
   rateLimit,
   errorHandler,
   cache,
-  queryOptimization
+  queryOptimization,
+  idempotency
 };
\ No newline at end of file
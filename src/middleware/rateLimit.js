@@ -323,7 +323,7 @@ const apiKeyRateLimit = createRateLimit({
     code: ERROR_CODES.TOO_MANY_REQUESTS
   },
   keyGenerator: (req) => {
-    return req.apiKey || ipKeyGenerator(req);
+    return req.apiKey?.id || ipKeyGenerator(req);
   }
 });
 
@@ -0,0 +1,182 @@
+/**
+ * API Key Repository
+ * Handles database operations for hashed brand API keys
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+// Columns safe to return to admins; the key hash never leaves the repository
+const PUBLIC_COLUMNS = `
+  ak.id, ak.brand_id, ak.name, ak.key_prefix, ak.scopes, ak.expires_at,
+  ak.last_used_at, ak.last_used_ip, ak.revoked_at, ak.revoked_by, ak.revoke_reason,
+  ak.created_by, ak.created_at, ak.updated_at
+`;
+
+class ApiKeyRepository extends BaseRepository {
+  constructor() {
+    super('api_keys');
+  }
+
+  /**
+   * Find a key by its hash together with the status of its brand
+   * @param {string} keyHash - SHA-256 hash of the presented key
+   * @returns {object|null} - API key or null
+   */
+  async findByHash(keyHash) {
+    try {
+      const query = `
+        SELECT ${PUBLIC_COLUMNS}, b.status as brand_status
+        FROM api_keys ak
+        JOIN brands b ON b.id = ak.brand_id
+        WHERE ak.key_hash = $1
+        LIMIT 1
+      `;
+
+      const result = await this.query(query, [keyHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding API key by hash', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a key of a brand without its hash
+   * @param {string} id - API key ID
+   * @param {string} brandId - Brand ID
+   * @returns {object|null} - API key or null
+   */
+  async findByIdForBrand(id, brandId) {
+    try {
+      const query = `SELECT ${PUBLIC_COLUMNS} FROM api_keys ak WHERE ak.id = $1 AND ak.brand_id = $2`;
+      const result = await this.query(query, [id, brandId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding API key', { id, brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find keys by brand with pagination and filters
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated API keys
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        include_revoked = false
+      } = options;
+
+      let whereClause = 'WHERE ak.brand_id = $1';
+      const params = [brandId];
+      const paramIndex = 2;
+
+      if (!include_revoked) {
+        whereClause += ' AND ak.revoked_at IS NULL';
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM api_keys ak ${whereClause}`;
+      const dataQuery = `
+        SELECT ${PUBLIC_COLUMNS}
+        FROM api_keys ak
+        ${whereClause}
+        ORDER BY ak.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding API keys by brand', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an unrevoked key of a brand already uses a name
+   * @param {string} brandId - Brand ID
+   * @param {string} name - Key name
+   * @returns {boolean} - True if the name is taken
+   */
+  async activeNameExists(brandId, name) {
+    try {
+      const result = await this.query(
+        'SELECT 1 FROM api_keys WHERE brand_id = $1 AND LOWER(name) = LOWER($2) AND revoked_at IS NULL LIMIT 1',
+        [brandId, name]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking API key name', { brandId, name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key unless it is already revoked
+   * @param {string} id - API key ID
+   * @param {string} userId - User ID revoking the key
+   * @param {string} reason - Revocation reason
+   * @returns {object|null} - Revoked key, or null if it was already revoked
+   */
+  async revoke(id, userId, reason = null) {
+    try {
+      const query = `
+        UPDATE api_keys ak
+        SET revoked_at = NOW(), revoked_by = $2, revoke_reason = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE ak.id = $1 AND ak.revoked_at IS NULL
+        RETURNING ${PUBLIC_COLUMNS}
+      `;
+
+      const result = await this.query(query, [id, userId, reason]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error revoking API key', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a key was used
+   * Only writes when the stored value is older than a minute so busy keys do not update on every request
+   * @param {string} id - API key ID
+   * @param {string} ip - Caller IP address
+   */
+  async touchLastUsed(id, ip) {
+    try {
+      await this.query(
+        `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+         WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+        [id, ip]
+      );
+    } catch (error) {
+      logger.error('Error recording API key usage', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKeyRepository;
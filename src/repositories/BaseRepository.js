@@ -123,6 +123,18 @@ class BaseRepository {
     return await this.findOne({ id }, select);
   }
 
+  /**
+   * Find a record by ID and lock its row until the transaction ends
+   * @param {string} id - Record ID
+   * @param {object} client - Database client (required, must be inside a transaction)
+   * @returns {object|null} - Record or null
+   */
+  async findByIdForUpdate(id, client) {
+    const query = `SELECT * FROM ${this.tableName} WHERE id = $1 FOR UPDATE`;
+    const result = await this.query(query, [id], client);
+    return result.rows[0] || null;
+  }
+
   /**
    * Create a new record
    * @param {object} data - Record data
@@ -75,6 +75,26 @@ class BrandRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get a brand's mission config, which holds the timezone mission windows follow
+   * @param {string} brandId - Brand ID
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {object} - Mission config ({} when the brand has no settings)
+   */
+  async getMissionConfig(brandId, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT mission_config FROM brand_settings WHERE brand_id = $1',
+        [brandId],
+        client
+      );
+      return (result.rows[0] && result.rows[0].mission_config) || {};
+    } catch (error) {
+      logger.error('Error getting brand mission config', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Create brand with default settings
    * @param {object} brandData - Brand data
@@ -104,6 +124,7 @@ class BrandRepository extends BaseRepository {
           daily_mission_limit: 5,
           weekly_mission_limit: 3,
           auto_assign_missions: true,
+          timezone: 'UTC',
           default_point_rewards: {
             easy: 10,
             medium: 25,
@@ -114,8 +135,11 @@ class BrandRepository extends BaseRepository {
           currency_name: 'Points',
           currency_symbol: 'pts',
           point_expiry_days: 365,
+          expiry_policy: 'none',
+          expiry_warning_days: 30,
           minimum_redemption: 100,
-          welcome_bonus: 50
+          welcome_bonus: 50,
+          spin_ticket_price: null
         },
         notification_config: {
           email_notifications: true,
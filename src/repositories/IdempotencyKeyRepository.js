@@ -0,0 +1,129 @@
+/**
+ * Idempotency Key Repository
+ * Stores the fingerprint and response of requests sent with an Idempotency-Key header
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { IDEMPOTENCY_KEY_STATUS } = constants;
+
+class IdempotencyKeyRepository extends BaseRepository {
+  constructor() {
+    super('idempotency_keys');
+  }
+
+  /**
+   * Reserve a key for a request; an expired record with the same key is taken over
+   * @param {object} keyData - Key data (scope, idempotency_key, fingerprint, method, path)
+   * @param {Date} expiresAt - Time the stored response stops being replayed
+   * @returns {object|null} - Reserved record, or null if the key is held by an earlier request
+   */
+  async reserve(keyData, expiresAt) {
+    try {
+      const query = `
+        INSERT INTO idempotency_keys (id, scope, idempotency_key, fingerprint, method, path, status, expires_at, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+        ON CONFLICT (scope, idempotency_key) DO UPDATE SET
+          fingerprint = EXCLUDED.fingerprint,
+          method = EXCLUDED.method,
+          path = EXCLUDED.path,
+          status = EXCLUDED.status,
+          response_status = NULL,
+          response_body = NULL,
+          expires_at = EXCLUDED.expires_at,
+          created_at = NOW(),
+          updated_at = NOW()
+        WHERE idempotency_keys.expires_at <= NOW()
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        keyData.scope,
+        keyData.idempotency_key,
+        keyData.fingerprint,
+        keyData.method,
+        keyData.path,
+        IDEMPOTENCY_KEY_STATUS.IN_PROGRESS,
+        expiresAt
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error reserving idempotency key', {
+        scope: keyData.scope,
+        idempotencyKey: keyData.idempotency_key,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a key that is still inside its replay window
+   * @param {string} scope - Caller the key belongs to
+   * @param {string} idempotencyKey - Key sent by the caller
+   * @returns {object|null} - Key record or null
+   */
+  async findActive(scope, idempotencyKey) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2 AND expires_at > NOW()',
+        [scope, idempotencyKey]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding idempotency key', { scope, idempotencyKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response of the request that reserved a key
+   * @param {string} id - Key record ID
+   * @param {number} statusCode - Response status code
+   * @param {*} body - Response body
+   * @returns {object|null} - Updated record
+   */
+  async complete(id, statusCode, body) {
+    try {
+      const query = `
+        UPDATE idempotency_keys
+        SET status = $2, response_status = $3, response_body = $4, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        id,
+        IDEMPOTENCY_KEY_STATUS.COMPLETED,
+        statusCode,
+        body === undefined ? null : JSON.stringify(body)
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error completing idempotency key', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a key whose request did not finish, so a retry can run it again
+   * @param {string} id - Key record ID
+   * @returns {boolean} - Whether the key was released
+   */
+  async release(id) {
+    try {
+      const result = await this.query(
+        'DELETE FROM idempotency_keys WHERE id = $1 AND status = $2',
+        [id, IDEMPOTENCY_KEY_STATUS.IN_PROGRESS]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error releasing idempotency key', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
@@ -0,0 +1,229 @@
+/**
+ * Ingested Event Repository
+ * Handles database operations for events pushed by brand backends
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { INGEST_EVENT_STATUS } = constants;
+
+class IngestedEventRepository extends BaseRepository {
+  constructor() {
+    super('ingested_events');
+  }
+
+  /**
+   * Store an event unless the brand already sent one with the same idempotency key
+   * @param {object} eventData - Event data
+   * @returns {object|null} - Stored event, or null if the key was already used
+   */
+  async createIfAbsent(eventData) {
+    try {
+      const recordData = { id: uuidv4(), ...eventData };
+      const columns = Object.keys(recordData);
+      const values = Object.values(recordData);
+      const placeholders = values.map((_, index) => `$${index + 1}`).join(', ');
+
+      const query = `
+        INSERT INTO ingested_events (${columns.join(', ')}, created_at, updated_at)
+        VALUES (${placeholders}, NOW(), NOW())
+        ON CONFLICT (brand_id, idempotency_key) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.query(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error storing ingested event', {
+        brandId: eventData.brand_id,
+        idempotencyKey: eventData.idempotency_key,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find an event by its idempotency key
+   * @param {string} brandId - Brand ID
+   * @param {string} idempotencyKey - Idempotency key sent by the brand
+   * @returns {object|null} - Event or null
+   */
+  async findByIdempotencyKey(brandId, idempotencyKey) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM ingested_events WHERE brand_id = $1 AND idempotency_key = $2',
+        [brandId, idempotencyKey]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding ingested event by idempotency key', { brandId, idempotencyKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find an event of a brand
+   * @param {string} id - Event ID
+   * @param {string} brandId - Brand ID
+   * @returns {object|null} - Event or null
+   */
+  async findByIdForBrand(id, brandId) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM ingested_events WHERE id = $1 AND brand_id = $2',
+        [id, brandId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding ingested event', { id, brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find events by brand with pagination and filters
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated events
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = null,
+        event_type = null,
+        member_id = null,
+        start_date = null,
+        end_date = null
+      } = options;
+
+      let whereClause = 'WHERE ie.brand_id = $1';
+      const params = [brandId];
+      let paramIndex = 2;
+
+      if (status) {
+        whereClause += ` AND ie.status = $${paramIndex}`;
+        params.push(status);
+        paramIndex++;
+      }
+
+      if (event_type) {
+        whereClause += ` AND ie.event_type = $${paramIndex}`;
+        params.push(event_type);
+        paramIndex++;
+      }
+
+      if (member_id) {
+        whereClause += ` AND ie.external_member_id = $${paramIndex}`;
+        params.push(member_id);
+        paramIndex++;
+      }
+
+      if (start_date) {
+        whereClause += ` AND ie.created_at >= $${paramIndex}`;
+        params.push(start_date);
+        paramIndex++;
+      }
+
+      if (end_date) {
+        whereClause += ` AND ie.created_at <= $${paramIndex}`;
+        params.push(end_date);
+        paramIndex++;
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM ingested_events ie ${whereClause}`;
+      const dataQuery = `
+        SELECT ie.*
+        FROM ingested_events ie
+        ${whereClause}
+        ORDER BY ie.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding ingested events by brand', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an event as processed
+   * @param {string} id - Event ID
+   * @param {object} outcome - Processing outcome (member_id, points_awarded, transaction_id, result)
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {object} - Updated event
+   */
+  async markProcessed(id, outcome, client = null) {
+    try {
+      const query = `
+        UPDATE ingested_events
+        SET status = $2, member_id = $3, points_awarded = $4, transaction_id = $5, result = $6,
+            error_message = NULL, attempts = attempts + 1, processed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        id,
+        INGEST_EVENT_STATUS.PROCESSED,
+        outcome.member_id || null,
+        outcome.points_awarded || 0,
+        outcome.transaction_id || null,
+        outcome.result || {}
+      ], client);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error marking ingested event processed', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an event as failed
+   * @param {string} id - Event ID
+   * @param {string} errorMessage - Why processing failed
+   * @returns {object} - Updated event
+   */
+  async markFailed(id, errorMessage) {
+    try {
+      const query = `
+        UPDATE ingested_events
+        SET status = $2, error_message = $3, attempts = attempts + 1, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [id, INGEST_EVENT_STATUS.FAILED, errorMessage]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error marking ingested event failed', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = IngestedEventRepository;
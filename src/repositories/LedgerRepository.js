@@ -0,0 +1,339 @@
+/**
+ * Ledger Repository
+ * Append-only double-entry ledger of points movements
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { LEDGER_ACCOUNT_TYPES, LEDGER_DIRECTIONS, TRANSACTION_TYPES } = constants;
+
+// Signed balance of an account: credits add, debits subtract
+const SIGNED_AMOUNT = `CASE WHEN direction = '${LEDGER_DIRECTIONS.CREDIT}' THEN amount ELSE -amount END`;
+
+class LedgerRepository extends BaseRepository {
+  constructor() {
+    super('ledger_entries');
+  }
+
+  /**
+   * Post a journal whose debit and credit lines balance
+   * @param {string} brandId - Brand ID
+   * @param {string} entryType - Kind of movement (transaction type)
+   * @param {array} lines - Journal lines (account_type, account_id, member_id, direction, amount)
+   * @param {string} transactionId - Transaction behind the movement (optional)
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {array} - Posted entries
+   */
+  async postJournal(brandId, entryType, lines, transactionId = null, client = null) {
+    try {
+      const total = (direction) => lines
+        .filter(line => line.direction === direction)
+        .reduce((sum, line) => sum + line.amount, 0);
+
+      if (lines.length < 2 || total(LEDGER_DIRECTIONS.DEBIT) !== total(LEDGER_DIRECTIONS.CREDIT)) {
+        throw new Error('Ledger journal does not balance');
+      }
+
+      const journalId = uuidv4();
+      const values = [];
+      const placeholders = lines.map((line, index) => {
+        const offset = index * 10;
+        values.push(
+          uuidv4(), journalId, brandId, line.account_type, line.account_id,
+          line.member_id || null, line.direction, line.amount, entryType, transactionId
+        );
+        return `(${Array.from({ length: 10 }, (_, i) => `$${offset + i + 1}`).join(', ')}, NOW())`;
+      });
+
+      const query = `
+        INSERT INTO ledger_entries (
+          id, journal_id, brand_id, account_type, account_id,
+          member_id, direction, amount, entry_type, transaction_id, created_at
+        )
+        VALUES ${placeholders.join(', ')}
+        RETURNING *
+      `;
+
+      const result = await this.query(query, values, client);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error posting ledger journal', { brandId, entryType, transactionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Post a change to a member's balance against the brand account it moves to or from
+   * Points come from the promo budget, go to brand liability, and refunds return from brand liability.
+   * A member's first posting opens the ledger with the balance they held before it existed.
+   * @param {object} member - Member before the change
+   * @param {number} pointsChange - Signed change applied to the balance
+   * @param {string} entryType - Transaction type behind the change
+   * @param {string} transactionId - Transaction ID (optional)
+   * @param {object} client - Database client (for transaction)
+   * @returns {array} - Posted entries
+   */
+  async postMemberMovement(member, pointsChange, entryType, transactionId = null, client = null) {
+    try {
+      if (member.points_balance > 0 && !(await this.hasAccountEntries(LEDGER_ACCOUNT_TYPES.MEMBER, member.id, client))) {
+        await this.postJournal(member.brand_id, 'opening_balance', this.buildMemberLines(
+          member, member.points_balance, LEDGER_ACCOUNT_TYPES.PROMO_BUDGET
+        ), null, client);
+      }
+
+      const counterAccount = pointsChange < 0 || entryType === TRANSACTION_TYPES.REFUND
+        ? LEDGER_ACCOUNT_TYPES.BRAND_LIABILITY
+        : LEDGER_ACCOUNT_TYPES.PROMO_BUDGET;
+
+      return await this.postJournal(
+        member.brand_id,
+        entryType,
+        this.buildMemberLines(member, pointsChange, counterAccount),
+        transactionId,
+        client
+      );
+    } catch (error) {
+      logger.error('Error posting member ledger movement', { memberId: member.id, pointsChange, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the two lines of a member movement
+   * @param {object} member - Member
+   * @param {number} pointsChange - Signed change to the member balance
+   * @param {string} counterAccount - Brand account on the other side
+   * @returns {array} - Journal lines
+   */
+  buildMemberLines(member, pointsChange, counterAccount) {
+    const amount = Math.abs(pointsChange);
+    const memberDirection = pointsChange > 0 ? LEDGER_DIRECTIONS.CREDIT : LEDGER_DIRECTIONS.DEBIT;
+    const counterDirection = pointsChange > 0 ? LEDGER_DIRECTIONS.DEBIT : LEDGER_DIRECTIONS.CREDIT;
+
+    return [
+      { account_type: LEDGER_ACCOUNT_TYPES.MEMBER, account_id: member.id, member_id: member.id, direction: memberDirection, amount },
+      { account_type: counterAccount, account_id: member.brand_id, member_id: member.id, direction: counterDirection, amount }
+    ];
+  }
+
+  /**
+   * Check whether an account has any entries
+   * @param {string} accountType - Account type
+   * @param {string} accountId - Account ID
+   * @param {object} client - Database client (optional)
+   * @returns {boolean} - True if the account has entries
+   */
+  async hasAccountEntries(accountType, accountId, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT 1 FROM ledger_entries WHERE account_type = $1 AND account_id = $2 LIMIT 1',
+        [accountType, accountId],
+        client
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking ledger account entries', { accountType, accountId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an account's balance from its entries
+   * @param {string} accountType - Account type
+   * @param {string} accountId - Account ID
+   * @returns {number} - Balance (credits minus debits)
+   */
+  async getAccountBalance(accountType, accountId) {
+    try {
+      const result = await this.query(
+        `SELECT COALESCE(SUM(${SIGNED_AMOUNT}), 0) as balance FROM ledger_entries WHERE account_type = $1 AND account_id = $2`,
+        [accountType, accountId]
+      );
+      return parseInt(result.rows[0].balance);
+    } catch (error) {
+      logger.error('Error getting ledger account balance', { accountType, accountId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member's entries with pagination
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options (page, limit)
+   * @returns {object} - Paginated entries
+   */
+  async findMemberEntries(memberId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const offset = (page - 1) * limit;
+
+      const [entriesResult, countResult] = await Promise.all([
+        this.query(`
+          SELECT *
+          FROM ledger_entries
+          WHERE account_type = $1 AND account_id = $2
+          ORDER BY created_at DESC
+          LIMIT $3 OFFSET $4
+        `, [LEDGER_ACCOUNT_TYPES.MEMBER, memberId, limit, offset]),
+        this.query(
+          'SELECT COUNT(*) as total FROM ledger_entries WHERE account_type = $1 AND account_id = $2',
+          [LEDGER_ACCOUNT_TYPES.MEMBER, memberId]
+        )
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+
+      return {
+        entries: entriesResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding member ledger entries', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find members whose cached balance differs from their ledger balance
+   * @param {string} brandId - Brand ID
+   * @param {number} limit - Maximum number of mismatches
+   * @returns {object} - Members checked and mismatches
+   */
+  async findBalanceMismatches(brandId, limit) {
+    try {
+      const ledgerBalances = `
+        SELECT account_id, SUM(${SIGNED_AMOUNT}) as balance, COUNT(*) as entry_count
+        FROM ledger_entries
+        WHERE brand_id = $1 AND account_type = '${LEDGER_ACCOUNT_TYPES.MEMBER}'
+        GROUP BY account_id
+      `;
+
+      const [mismatchResult, countResult] = await Promise.all([
+        this.query(`
+          SELECT
+            m.id as member_id,
+            m.member_id as external_member_id,
+            m.points_balance as cached_balance,
+            COALESCE(l.balance, 0) as ledger_balance,
+            COALESCE(l.entry_count, 0) as entry_count
+          FROM members m
+          LEFT JOIN (${ledgerBalances}) l ON l.account_id = m.id
+          WHERE m.brand_id = $1 AND m.points_balance <> COALESCE(l.balance, 0)
+          ORDER BY ABS(m.points_balance - COALESCE(l.balance, 0)) DESC
+          LIMIT $2
+        `, [brandId, limit]),
+        this.query(`
+          SELECT
+            COUNT(*) as members_checked,
+            COUNT(*) FILTER (WHERE m.points_balance <> COALESCE(l.balance, 0)) as mismatch_count
+          FROM members m
+          LEFT JOIN (${ledgerBalances}) l ON l.account_id = m.id
+          WHERE m.brand_id = $1
+        `, [brandId])
+      ]);
+
+      return {
+        membersChecked: parseInt(countResult.rows[0].members_checked),
+        mismatchCount: parseInt(countResult.rows[0].mismatch_count),
+        mismatches: mismatchResult.rows
+      };
+    } catch (error) {
+      logger.error('Error finding ledger balance mismatches', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find journals whose debits and credits do not match
+   * @param {string} brandId - Brand ID
+   * @param {number} limit - Maximum number of journals
+   * @returns {array} - Unbalanced journals
+   */
+  async findUnbalancedJournals(brandId, limit) {
+    try {
+      const query = `
+        SELECT journal_id, SUM(${SIGNED_AMOUNT}) as difference, MIN(created_at) as created_at
+        FROM ledger_entries
+        WHERE brand_id = $1
+        GROUP BY journal_id
+        HAVING SUM(${SIGNED_AMOUNT}) <> 0
+        LIMIT $2
+      `;
+
+      const result = await this.query(query, [brandId, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding unbalanced ledger journals', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get balances per account type for a brand
+   * @param {string} brandId - Brand ID
+   * @returns {array} - Account type balances
+   */
+  async getAccountTypeTotals(brandId) {
+    try {
+      const query = `
+        SELECT account_type, SUM(${SIGNED_AMOUNT}) as balance
+        FROM ledger_entries
+        WHERE brand_id = $1
+        GROUP BY account_type
+      `;
+
+      const result = await this.query(query, [brandId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting ledger account type totals', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get every account's balance as of a point in time
+   * @param {Date} asOf - Cut-off
+   * @returns {array} - Account balances
+   */
+  async getBalancesAsOf(asOf) {
+    try {
+      const query = `
+        SELECT brand_id, account_type, account_id, SUM(${SIGNED_AMOUNT}) as balance, COUNT(*) as entry_count
+        FROM ledger_entries
+        WHERE created_at <= $1
+        GROUP BY brand_id, account_type, account_id
+      `;
+
+      const result = await this.query(query, [asOf]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting ledger balances', { asOf, error: error.message });
+      throw error;
+    }
+  }
+
+  // Entries are never changed once posted; corrections are new journals
+  async update() {
+    throw new Error('Ledger entries are append-only');
+  }
+
+  async updateWhere() {
+    throw new Error('Ledger entries are append-only');
+  }
+
+  async delete() {
+    throw new Error('Ledger entries are append-only');
+  }
+
+  async deleteWhere() {
+    throw new Error('Ledger entries are append-only');
+  }
+}
+
+module.exports = LedgerRepository;
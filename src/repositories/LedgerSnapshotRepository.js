@@ -0,0 +1,97 @@
+/**
+ * Ledger Snapshot Repository
+ * Stores periodic ledger account balances
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+// Rows written per INSERT statement
+const INSERT_CHUNK_SIZE = 500;
+
+class LedgerSnapshotRepository extends BaseRepository {
+  constructor() {
+    super('ledger_balance_snapshots');
+  }
+
+  /**
+   * Record account balances taken at the same point in time
+   * @param {array} balances - Account balances (brand_id, account_type, account_id, balance, entry_count)
+   * @param {Date} snapshotAt - Time the balances were taken at
+   * @returns {number} - Number of snapshots recorded
+   */
+  async recordSnapshots(balances, snapshotAt) {
+    try {
+      let recorded = 0;
+
+      for (let start = 0; start < balances.length; start += INSERT_CHUNK_SIZE) {
+        const chunk = balances.slice(start, start + INSERT_CHUNK_SIZE);
+        const values = [];
+        const placeholders = chunk.map((balance, index) => {
+          const offset = index * 7;
+          values.push(uuidv4(), balance.brand_id, balance.account_type, balance.account_id, balance.balance, balance.entry_count, snapshotAt);
+          return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, NOW())`;
+        });
+
+        const query = `
+          INSERT INTO ledger_balance_snapshots (id, brand_id, account_type, account_id, balance, entry_count, snapshot_at, created_at)
+          VALUES ${placeholders.join(', ')}
+        `;
+
+        const result = await this.query(query, values);
+        recorded += result.rowCount;
+      }
+
+      return recorded;
+    } catch (error) {
+      logger.error('Error recording ledger snapshots', { snapshotAt, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find an account's most recent snapshots
+   * @param {string} accountType - Account type
+   * @param {string} accountId - Account ID
+   * @param {number} limit - Maximum number of snapshots
+   * @returns {array} - Snapshots, newest first
+   */
+  async findByAccount(accountType, accountId, limit = 30) {
+    try {
+      const query = `
+        SELECT balance, entry_count, snapshot_at
+        FROM ledger_balance_snapshots
+        WHERE account_type = $1 AND account_id = $2
+        ORDER BY snapshot_at DESC
+        LIMIT $3
+      `;
+
+      const result = await this.query(query, [accountType, accountId, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding ledger snapshots', { accountType, accountId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the time of the latest snapshot run for a brand
+   * @param {string} brandId - Brand ID
+   * @returns {Date|null} - Latest snapshot time
+   */
+  async getLatestSnapshotAt(brandId) {
+    try {
+      const result = await this.query(
+        'SELECT MAX(snapshot_at) as snapshot_at FROM ledger_balance_snapshots WHERE brand_id = $1',
+        [brandId]
+      );
+      return result.rows[0].snapshot_at;
+    } catch (error) {
+      logger.error('Error getting latest ledger snapshot', { brandId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = LedgerSnapshotRepository;
@@ -4,11 +4,20 @@
  */
 
 const BaseRepository = require('./BaseRepository');
-const { logger } = require('../utils');
+const NotificationRepository = require('./NotificationRepository');
+const WebhookDeliveryRepository = require('./WebhookDeliveryRepository');
+const PointsLotRepository = require('./PointsLotRepository');
+const LedgerRepository = require('./LedgerRepository');
+const { logger, constants } = require('../utils');
+const { NOTIFICATION_TYPES, WEBHOOK_EVENTS, TRANSACTION_TYPES } = constants;
 
 class MemberRepository extends BaseRepository {
   constructor() {
     super('members');
+    this.notificationRepository = new NotificationRepository();
+    this.webhookDeliveryRepository = new WebhookDeliveryRepository();
+    this.pointsLotRepository = new PointsLotRepository();
+    this.ledgerRepository = new LedgerRepository();
   }
 
   /**
@@ -182,18 +191,20 @@ class MemberRepository extends BaseRepository {
    * @param {number} pointsChange - Points to add/subtract
    * @param {string} type - Transaction type
    * @param {object} client - Database client (for transaction)
+   * @param {string} transactionId - Transaction behind the change, recorded on its ledger entries
    * @returns {object} - Updated member
    */
-  async updatePoints(id, pointsChange, type = 'points_earned', client = null) {
+  async updatePoints(id, pointsChange, type = 'points_earned', client = null, transactionId = null) {
     try {
       const executeQuery = async (dbClient) => {
-        // Get current member data
-        const member = await this.findById(id);
+        // Get current member data, locking the row so concurrent balance changes serialize
+        const member = await this.findByIdForUpdate(id, dbClient);
         if (!member) {
           throw new Error('Member not found');
         }
 
         const newBalance = member.points_balance + pointsChange;
+        const appliedChange = Math.max(0, newBalance) - member.points_balance;
         const newTotalEarned = type.includes('earned') || type.includes('win') || type.includes('reward') 
           ? member.total_points_earned + Math.max(0, pointsChange)
           : member.total_points_earned;
@@ -205,6 +216,18 @@ class MemberRepository extends BaseRepository {
           last_activity_at: new Date()
         }, dbClient);
 
+        // Every applied change is posted to the ledger in the same database transaction as the cached balance
+        if (appliedChange !== 0) {
+          await this.ledgerRepository.postMemberMovement(member, appliedChange, type, transactionId, dbClient);
+        }
+
+        // Earned points open a lot; spent points come out of the oldest lots. Expiry closes its own lots
+        if (pointsChange > 0) {
+          await this.pointsLotRepository.createLot(member, pointsChange, type, dbClient);
+        } else if (pointsChange < 0 && type !== TRANSACTION_TYPES.POINTS_EXPIRED) {
+          await this.pointsLotRepository.consumeFifo(id, -appliedChange, dbClient);
+        }
+
         // Check for tier upgrade
         await this.checkTierUpgrade(id, newTotalEarned, dbClient);
 
@@ -253,6 +276,19 @@ class MemberRepository extends BaseRepository {
       }
 
       const newTier = tierResult.rows[0];
+
+      // A tier set by an admin or won as a prize is kept until the member earns their way past it
+      if (member.tier_manual && member.tier_id) {
+        const currentTierResult = await this.query(
+          'SELECT sort_order FROM membership_tiers WHERE id = $1',
+          [member.tier_id],
+          client
+        );
+        const currentTier = currentTierResult.rows[0];
+        if (currentTier && newTier.sort_order <= currentTier.sort_order) {
+          return null;
+        }
+      }
       
       // Check if tier upgrade is needed
       if (member.tier_id !== newTier.id) {
@@ -261,6 +297,7 @@ class MemberRepository extends BaseRepository {
         // Update member tier and timestamp
         await this.update(memberId, { 
           tier_id: newTier.id,
+          tier_manual: false,
           tier_upgraded_at: new Date()
         }, client);
         
@@ -276,6 +313,29 @@ class MemberRepository extends BaseRepository {
           triggered_by: 'system',
           notes: `Automatic tier upgrade to ${newTier.name} based on ${totalPoints} points earned`
         }, client);
+
+        await this.notificationRepository.create({
+          member_id: memberId,
+          brand_id: member.brand_id,
+          type: NOTIFICATION_TYPES.TIER_CHANGE,
+          title: 'Tier Upgrade!',
+          message: `Congratulations! You are now a ${newTier.name} member`,
+          data: {
+            previous_tier_id: oldTierId,
+            new_tier_id: newTier.id,
+            new_tier: newTier.name
+          },
+          read_at: null
+        }, client);
+
+        await this.webhookDeliveryRepository.enqueueEvent(member.brand_id, WEBHOOK_EVENTS.TIER_CHANGED, {
+          member_id: memberId,
+          previous_tier_id: oldTierId,
+          new_tier_id: newTier.id,
+          new_tier: newTier.name,
+          reason: 'points_earned',
+          total_points_earned: totalPoints
+        }, {}, client);
         
         logger.info('Member tier upgraded', {
           memberId,
@@ -671,10 +731,10 @@ class MemberRepository extends BaseRepository {
   }
 
   /**
-   * Manually upgrade member tier (admin action)
+   * Manually upgrade member tier (admin action, or a system award such as a wheel prize)
    * @param {string} memberId - Member ID
    * @param {string} newTierId - New tier ID
-   * @param {string} adminUserId - Admin user ID
+   * @param {string|null} adminUserId - Admin user ID, or null for a system award
    * @param {string} reason - Reason for upgrade
    * @param {object} client - Database client (for transaction)
    * @returns {object} - Updated member
@@ -689,9 +749,10 @@ class MemberRepository extends BaseRepository {
 
         const oldTierId = member.tier_id;
         
-        // Update member tier
+        // Update member tier; automatic tier checks keep it until points earn a higher one
         const updatedMember = await this.update(memberId, {
           tier_id: newTierId,
+          tier_manual: true,
           tier_upgraded_at: new Date()
         }, dbClient);
 
@@ -704,8 +765,8 @@ class MemberRepository extends BaseRepository {
           reason: reason,
           points_at_change: member.points_balance,
           total_points_earned: member.total_points_earned,
-          triggered_by: 'admin',
-          notes: `Manual tier upgrade by admin user ${adminUserId}`,
+          triggered_by: adminUserId ? 'admin' : 'system',
+          notes: adminUserId ? `Manual tier upgrade by admin user ${adminUserId}` : `Tier upgrade awarded for ${reason}`,
           metadata: { admin_user_id: adminUserId }
         }, dbClient);
 
@@ -14,16 +14,18 @@ class MissionCompletionRepository extends BaseRepository {
   /**
    * Create a mission completion record
    * @param {object} completionData - Completion data
+   * @param {object} client - Database client (optional, for transaction)
    * @returns {object} - Created completion record
    */
-  async create(completionData) {
+  async create(completionData, client = null) {
     try {
       const query = `
         INSERT INTO mission_completions (
           mission_id, member_id, brand_id, completion_date, 
           progress_value, status, evidence, notes, 
-          reward_points, reward_claimed, created_by, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP)
+          reward_points, reward_spin_tickets, reward_claimed, reward_claim_expires_at,
+          created_by, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP)
         RETURNING *
       `;
 
@@ -37,11 +39,13 @@ class MissionCompletionRepository extends BaseRepository {
         completionData.evidence || null,
         completionData.notes || null,
         completionData.reward_points || 0,
+        completionData.reward_spin_tickets || 0,
         completionData.reward_claimed || false,
+        completionData.reward_claim_expires_at || null,
         completionData.created_by
       ];
 
-      const result = await this.query(query, values);
+      const result = await this.query(query, values, client);
       return result.rows[0];
     } catch (error) {
       logger.error('Error creating mission completion:', error);
@@ -72,6 +76,135 @@ class MissionCompletionRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Count a member's completions of a mission since a time; rejected completions do not count
+   * @param {string} memberId - Member ID
+   * @param {string} missionId - Mission ID
+   * @param {Date} since - Start of the window
+   * @returns {number} - Completion count
+   */
+  async countCompletionsSince(memberId, missionId, since) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS count FROM mission_completions
+        WHERE member_id = $1 AND mission_id = $2 AND status <> 'rejected' AND completed_at >= $3
+      `;
+
+      const result = await this.query(query, [memberId, missionId, since]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting mission completions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find which of some missions a member has completed
+   * @param {string} memberId - Member ID
+   * @param {Array} missionIds - Mission IDs
+   * @returns {Array} - IDs of the completed missions
+   */
+  async findCompletedMissionIds(memberId, missionIds) {
+    try {
+      if (missionIds.length === 0) {
+        return [];
+      }
+
+      const query = `
+        SELECT DISTINCT mission_id FROM mission_completions
+        WHERE member_id = $1 AND mission_id = ANY($2) AND status = 'completed'
+      `;
+
+      const result = await this.query(query, [memberId, missionIds]);
+      return result.rows.map(row => row.mission_id);
+    } catch (error) {
+      logger.error('Error finding completed missions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member's mission rewards waiting to be claimed, soonest deadline first
+   * @param {string} memberId - Member ID
+   * @param {Date} at - Time the deadlines are checked against
+   * @returns {Array} - Completions with their mission's name, description and type
+   */
+  async findClaimableByMember(memberId, at = new Date()) {
+    try {
+      const query = `
+        SELECT
+          mc.*,
+          mis.name as mission_name,
+          mis.description as mission_description,
+          mis.type as mission_type
+        FROM mission_completions mc
+        JOIN missions mis ON mc.mission_id = mis.id
+        WHERE mc.member_id = $1
+          AND mc.status = 'completed'
+          AND mc.reward_claimed = false
+          AND mc.reward_expired_at IS NULL
+          AND mc.reward_claim_expires_at > $2
+        ORDER BY mc.reward_claim_expires_at ASC
+      `;
+
+      const result = await this.query(query, [memberId, at]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding claimable mission rewards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find completions whose reward was not claimed before its deadline
+   * @param {Date} at - Deadline cut-off
+   * @param {number} limit - Maximum completions to return
+   * @returns {Array} - Completion IDs, oldest deadline first
+   */
+  async findUnclaimedOverdue(at = new Date(), limit = 100) {
+    try {
+      const query = `
+        SELECT id FROM mission_completions
+        WHERE reward_claimed = false
+          AND reward_expired_at IS NULL
+          AND reward_claim_expires_at IS NOT NULL
+          AND reward_claim_expires_at <= $1
+        ORDER BY reward_claim_expires_at ASC
+        LIMIT $2
+      `;
+
+      const result = await this.query(query, [at, limit]);
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error finding overdue mission rewards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an unclaimed reward as expired
+   * @param {string} completionId - Completion ID
+   * @param {Date} at - Expiry time
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Updated completion, or null if it was claimed or expired meanwhile
+   */
+  async expireReward(completionId, at = new Date(), client = null) {
+    try {
+      const query = `
+        UPDATE mission_completions
+        SET reward_expired_at = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND reward_claimed = false AND reward_expired_at IS NULL
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [completionId, at], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error expiring mission reward:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get completions for a mission
    * @param {string} missionId - Mission ID
@@ -0,0 +1,218 @@
+/**
+ * Mission Progress Repository
+ * Handles database operations for the progress members make towards missions, one row per member,
+ * mission and reset period
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class MissionProgressRepository extends BaseRepository {
+  constructor() {
+    super('mission_progress');
+  }
+
+  /**
+   * Add to a member's progress on a mission for a period, starting the period's row if needed.
+   * Progress on a period whose mission was already completed is left as it is.
+   * @param {object} progressData - Progress data (member_id, mission_id, brand_id, period_start, amount, target)
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Updated progress, or null if the period was already completed
+   */
+  async increment(progressData, client = null) {
+    try {
+      const query = `
+        INSERT INTO mission_progress (id, member_id, mission_id, brand_id, period_start, progress, target, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+        ON CONFLICT (member_id, mission_id, period_start) DO UPDATE SET
+          progress = mission_progress.progress + EXCLUDED.progress,
+          target = EXCLUDED.target,
+          updated_at = NOW()
+        WHERE mission_progress.completed_at IS NULL
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        progressData.member_id,
+        progressData.mission_id,
+        progressData.brand_id,
+        progressData.period_start,
+        progressData.amount,
+        progressData.target
+      ], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error incrementing mission progress', {
+        memberId: progressData.member_id,
+        missionId: progressData.mission_id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member's progress on a mission for a period
+   * @param {string} memberId - Member ID
+   * @param {string} missionId - Mission ID
+   * @param {Date} periodStart - Start of the period
+   * @returns {object|null} - Progress
+   */
+  async findForPeriod(memberId, missionId, periodStart) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM mission_progress WHERE member_id = $1 AND mission_id = $2 AND period_start = $3',
+        [memberId, missionId, periodStart]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding mission progress', { memberId, missionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member's progress on missions, latest period first
+   * @param {string} memberId - Member ID
+   * @param {Array} missionIds - Mission IDs
+   * @returns {Array} - Progress rows
+   */
+  async findByMemberAndMissions(memberId, missionIds) {
+    try {
+      if (missionIds.length === 0) {
+        return [];
+      }
+
+      const result = await this.query(
+        'SELECT * FROM mission_progress WHERE member_id = $1 AND mission_id = ANY($2) ORDER BY period_start DESC',
+        [memberId, missionIds]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding member mission progress', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find progress that reached its target but has not been completed yet, oldest first
+   * @param {object} options - Query options (memberId, limit)
+   * @returns {Array} - Progress rows
+   */
+  async findReached(options = {}) {
+    try {
+      const { memberId = null, limit = 100 } = options;
+
+      const params = [limit];
+      let memberFilter = '';
+      if (memberId) {
+        memberFilter = 'AND member_id = $2';
+        params.push(memberId);
+      }
+
+      const result = await this.query(`
+        SELECT * FROM mission_progress
+        WHERE completed_at IS NULL AND progress >= target ${memberFilter}
+        ORDER BY updated_at ASC
+        LIMIT $1
+      `, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding reached mission progress', { options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim reached progress for completion, so it is completed once however many callers find it.
+   * Progress restarted by a completion that committed meanwhile is below its target and is not claimed.
+   * @param {string} id - Progress ID
+   * @param {object} client - Database client (optional, to claim inside the completion's transaction)
+   * @returns {object|null} - Claimed progress, or null if it was already claimed
+   */
+  async claim(id, client = null) {
+    try {
+      const result = await this.query(
+        `UPDATE mission_progress SET completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND completed_at IS NULL AND progress >= target
+         RETURNING *`,
+        [id],
+        client
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error claiming mission progress', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Link a period's progress to the completion it earned
+   * @param {string} id - Progress ID
+   * @param {string} completionId - Mission completion ID
+   * @param {object} client - Database client (optional, for transaction)
+   * @returns {object} - Updated progress
+   */
+  async recordCompletion(id, completionId, client = null) {
+    try {
+      const result = await this.query(`
+        UPDATE mission_progress
+        SET completion_id = $2, completion_error = NULL, completed_at = COALESCE(completed_at, NOW()), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, completionId], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error recording mission progress completion', { id, completionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Start a period's progress again from zero after a completion, so the mission can be completed again
+   * in the same period
+   * @param {string} id - Progress ID
+   * @param {object} client - Database client (optional, for transaction)
+   * @returns {object} - Restarted progress
+   */
+  async restart(id, client = null) {
+    try {
+      const result = await this.query(`
+        UPDATE mission_progress
+        SET progress = 0, completed_at = NULL, completion_id = NULL, completion_error = NULL, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error restarting mission progress', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Close reached progress that cannot complete its mission, recording why, so it is not retried.
+   * Progress another caller claimed meanwhile is left as it is.
+   * @param {string} id - Progress ID
+   * @param {string} reason - Failure reason
+   * @returns {object|null} - Closed progress, or null if it was already claimed
+   */
+  async recordFailure(id, reason) {
+    try {
+      const result = await this.query(
+        `UPDATE mission_progress SET completed_at = NOW(), completion_error = $2, updated_at = NOW()
+         WHERE id = $1 AND completed_at IS NULL AND progress >= target
+         RETURNING *`,
+        [id, reason]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error recording mission progress failure', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = MissionProgressRepository;
@@ -4,7 +4,7 @@
  */
 
 const BaseRepository = require('./BaseRepository');
-const { logger } = require('../utils');
+const { logger, missionWindows } = require('../utils');
 
 class MissionRepository extends BaseRepository {
   constructor() {
@@ -76,6 +76,52 @@ class MissionRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Find a brand's active missions whose requirement is an action
+   * @param {string} brandId - Brand ID
+   * @param {string} action - Required action (requirements.action)
+   * @param {object} client - Database client (for transaction)
+   * @returns {array} - Active missions
+   */
+  async findActiveByAction(brandId, action, client = null) {
+    try {
+      const query = `
+        SELECT * FROM missions
+        WHERE brand_id = $1
+          AND status = 'active'
+          AND requirements->>'action' = $2
+          AND (start_date IS NULL OR start_date <= NOW())
+          AND (end_date IS NULL OR end_date >= NOW())
+      `;
+
+      const result = await this.query(query, [brandId, action], client);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding active missions by action', { brandId, action, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a brand's missions by ID
+   * @param {Array} ids - Mission IDs
+   * @param {string} brandId - Brand ID
+   * @returns {array} - Missions found (missing or other brands' IDs are left out)
+   */
+  async findByIds(ids, brandId) {
+    try {
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const result = await this.query('SELECT * FROM missions WHERE id = ANY($1) AND brand_id = $2', [ids, brandId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding missions by IDs', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Find missions by brand with pagination and search
    * @param {string} brandId - Brand ID
@@ -529,19 +575,23 @@ class MissionRepository extends BaseRepository {
   }
 
   /**
-   * Get member's available missions
+   * Get member's available missions: one time missions they have not completed, and missions that reset
+   * whose completion limit (max_completions, one by default; none for recurring missions) is not used up
+   * in the current window of the member's timezone
    * @param {string} memberId - Member ID
    * @param {string} brandId - Brand ID
-   * @param {object} options - Query options
+   * @param {object} options - Query options (type, limit, timezone)
    * @returns {array} - Available missions
    */
   async getMemberAvailableMissions(memberId, brandId, options = {}) {
     try {
       const {
         type = null,
-        limit = null
+        limit = null,
+        timezone = missionWindows.DEFAULT_TIMEZONE
       } = options;
 
+      const now = new Date();
       let whereClause = `
         WHERE m.brand_id = $1 
         AND m.status = 'active' 
@@ -551,16 +601,28 @@ class MissionRepository extends BaseRepository {
           SELECT 1 FROM mission_completions mc 
           WHERE mc.mission_id = m.id 
           AND mc.member_id = $2
-          AND (
-            m.type = 'one_time' 
-            OR (m.type = 'daily' AND mc.completed_at >= CURRENT_DATE)
-            OR (m.type = 'weekly' AND mc.completed_at >= DATE_TRUNC('week', NOW()))
-            OR (m.type = 'monthly' AND mc.completed_at >= DATE_TRUNC('month', NOW()))
-          )
+          AND m.type = 'one_time'
+        )
+        AND (
+          m.type NOT IN ('daily', 'weekly', 'monthly', 'recurring')
+          OR (m.type = 'recurring' AND m.max_completions IS NULL)
+          OR (
+            SELECT COUNT(*) FROM mission_completions mc
+            WHERE mc.mission_id = m.id
+            AND mc.member_id = $2
+            AND mc.status <> 'rejected'
+            AND mc.completed_at >= CASE m.type WHEN 'weekly' THEN $4::timestamptz WHEN 'monthly' THEN $5::timestamptz ELSE $3::timestamptz END
+          ) < COALESCE(m.max_completions, 1)
         )
       `;
-      const params = [brandId, memberId];
-      let paramIndex = 3;
+      const params = [
+        brandId,
+        memberId,
+        missionWindows.getWindowStart('daily', now, timezone),
+        missionWindows.getWindowStart('weekly', now, timezone),
+        missionWindows.getWindowStart('monthly', now, timezone)
+      ];
+      let paramIndex = 6;
 
       // Add type filter
       if (type) {
@@ -0,0 +1,174 @@
+/**
+ * Notification Repository
+ * Handles database operations for the member notification inbox
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class NotificationRepository extends BaseRepository {
+  constructor() {
+    super('member_notifications');
+  }
+
+  /**
+   * Find notifications of a member with pagination and filters
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated notifications
+   */
+  async findByMember(memberId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        type = null,
+        unread_only = false
+      } = options;
+
+      let whereClause = 'WHERE n.member_id = $1';
+      const params = [memberId];
+      let paramIndex = 2;
+
+      if (type) {
+        whereClause += ` AND n.type = $${paramIndex}`;
+        params.push(type);
+        paramIndex++;
+      }
+
+      if (unread_only) {
+        whereClause += ' AND n.read_at IS NULL';
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM member_notifications n ${whereClause}`;
+      const dataQuery = `
+        SELECT n.*
+        FROM member_notifications n
+        ${whereClause}
+        ORDER BY n.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding notifications by member', { memberId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count unread notifications of a member
+   * @param {string} memberId - Member ID
+   * @param {string} type - Notification type (optional)
+   * @returns {number} - Unread count
+   */
+  async countUnread(memberId, type = null) {
+    try {
+      let query = 'SELECT COUNT(*) AS total FROM member_notifications WHERE member_id = $1 AND read_at IS NULL';
+      const params = [memberId];
+
+      if (type) {
+        query += ' AND type = $2';
+        params.push(type);
+      }
+
+      const result = await this.query(query, params);
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error('Error counting unread notifications', { memberId, type, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a member's notification as read
+   * @param {string} id - Notification ID
+   * @param {string} memberId - Member ID
+   * @returns {object|null} - Updated notification, or null if not found
+   */
+  async markAsRead(id, memberId) {
+    try {
+      // COALESCE keeps the original read time when a notification is marked twice
+      const query = `
+        UPDATE member_notifications
+        SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND member_id = $2
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [id, memberId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error marking notification as read', { id, memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark all unread notifications of a member as read
+   * @param {string} memberId - Member ID
+   * @param {string} type - Notification type (optional)
+   * @returns {number} - Number of notifications marked
+   */
+  async markAllAsRead(memberId, type = null) {
+    try {
+      let query = `
+        UPDATE member_notifications
+        SET read_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE member_id = $1 AND read_at IS NULL
+      `;
+      const params = [memberId];
+
+      if (type) {
+        query += ' AND type = $2';
+        params.push(type);
+      }
+
+      const result = await this.query(query, params);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error marking all notifications as read', { memberId, type, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a member's notification
+   * @param {string} id - Notification ID
+   * @param {string} memberId - Member ID
+   * @returns {boolean} - True if a notification was deleted
+   */
+  async deleteForMember(id, memberId) {
+    try {
+      const query = 'DELETE FROM member_notifications WHERE id = $1 AND member_id = $2';
+
+      const result = await this.query(query, [id, memberId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting notification', { id, memberId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationRepository;
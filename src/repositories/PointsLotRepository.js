@@ -0,0 +1,217 @@
+/**
+ * Points Lot Repository
+ * Tracks earned points as lots so redemptions consume the oldest points first and lots can expire
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, pointsExpiry } = require('../utils');
+
+class PointsLotRepository extends BaseRepository {
+  constructor() {
+    super('points_lots');
+  }
+
+  /**
+   * Get a brand's point config, which holds its expiry policy
+   * @param {string} brandId - Brand ID
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {object} - Point config ({} when the brand has no settings)
+   */
+  async getPointConfig(brandId, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT point_config FROM brand_settings WHERE brand_id = $1',
+        [brandId],
+        client
+      );
+      return (result.rows[0] && result.rows[0].point_config) || {};
+    } catch (error) {
+      logger.error('Error getting brand point config', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record newly earned points as a lot, dated by the brand's expiry policy
+   * @param {object} member - Member earning the points
+   * @param {number} points - Points earned
+   * @param {string} sourceType - Transaction type that earned the points
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {object} - Created lot
+   */
+  async createLot(member, points, sourceType, client = null) {
+    try {
+      const earnedAt = new Date();
+      const pointConfig = await this.getPointConfig(member.brand_id, client);
+
+      const query = `
+        INSERT INTO points_lots (
+          id, member_id, brand_id, source_type, points, remaining_points,
+          earned_at, expires_at, created_at, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $5, $6, $7, NOW(), NOW())
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        member.id,
+        member.brand_id,
+        sourceType,
+        points,
+        earnedAt,
+        pointsExpiry.calculateExpiresAt(pointConfig, earnedAt)
+      ], client);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating points lot', { memberId: member.id, points, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Consume points from a member's open lots, oldest first
+   * Points beyond the tracked lots come from balances earned before lots existed and are not tracked
+   * @param {string} memberId - Member ID
+   * @param {number} points - Points to consume
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {array} - Consumed lots ({ lot_id, points })
+   */
+  async consumeFifo(memberId, points, client = null) {
+    try {
+      const lotsResult = await this.query(`
+        SELECT id, remaining_points
+        FROM points_lots
+        WHERE member_id = $1 AND remaining_points > 0 AND expired_at IS NULL
+        ORDER BY earned_at ASC, created_at ASC
+        FOR UPDATE
+      `, [memberId], client);
+
+      const consumed = [];
+      let outstanding = points;
+
+      for (const lot of lotsResult.rows) {
+        if (outstanding <= 0) {
+          break;
+        }
+
+        const taken = Math.min(lot.remaining_points, outstanding);
+        await this.query(
+          'UPDATE points_lots SET remaining_points = remaining_points - $1, updated_at = NOW() WHERE id = $2',
+          [taken, lot.id],
+          client
+        );
+
+        consumed.push({ lot_id: lot.id, points: taken });
+        outstanding -= taken;
+      }
+
+      return consumed;
+    } catch (error) {
+      logger.error('Error consuming points lots', { memberId, points, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find members holding lots that are due to expire
+   * @param {Date} at - Expiry cut-off
+   * @param {number} limit - Maximum number of members
+   * @returns {array} - Member and brand IDs
+   */
+  async findMembersWithDueLots(at, limit) {
+    try {
+      const query = `
+        SELECT DISTINCT member_id, brand_id
+        FROM points_lots
+        WHERE remaining_points > 0 AND expired_at IS NULL AND expires_at <= $1
+        LIMIT $2
+      `;
+
+      const result = await this.query(query, [at, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding members with due points lots', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find and lock a member's lots that are due to expire
+   * @param {string} memberId - Member ID
+   * @param {Date} at - Expiry cut-off
+   * @param {object} client - Database client (for transaction)
+   * @returns {array} - Due lots
+   */
+  async findDueLotsForUpdate(memberId, at, client) {
+    try {
+      const query = `
+        SELECT *
+        FROM points_lots
+        WHERE member_id = $1 AND remaining_points > 0 AND expired_at IS NULL AND expires_at <= $2
+        ORDER BY expires_at ASC
+        FOR UPDATE
+      `;
+
+      const result = await this.query(query, [memberId, at], client);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding due points lots', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Close lots as expired, keeping how many points each lost
+   * @param {array} lotIds - Lot IDs
+   * @param {string} transactionId - Expiry transaction ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {number} - Number of lots expired
+   */
+  async markExpired(lotIds, transactionId, client) {
+    try {
+      const query = `
+        UPDATE points_lots
+        SET expired_points = remaining_points,
+            remaining_points = 0,
+            expired_at = NOW(),
+            expiry_transaction_id = $2,
+            updated_at = NOW()
+        WHERE id = ANY($1)
+      `;
+
+      const result = await this.query(query, [lotIds, transactionId], client);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error marking points lots expired', { lotIds, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member's open lots that expire before a cut-off
+   * @param {string} memberId - Member ID
+   * @param {Date} until - Cut-off
+   * @returns {array} - Lots ordered by expiry
+   */
+  async findExpiringForMember(memberId, until) {
+    try {
+      const query = `
+        SELECT id, remaining_points, earned_at, expires_at
+        FROM points_lots
+        WHERE member_id = $1 AND remaining_points > 0 AND expired_at IS NULL
+        AND expires_at IS NOT NULL AND expires_at <= $2
+        ORDER BY expires_at ASC
+      `;
+
+      const result = await this.query(query, [memberId, until]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding expiring points lots', { memberId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = PointsLotRepository;
@@ -0,0 +1,116 @@
+/**
+ * Points Rule Application Repository
+ * Records which points rules produced each transaction
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class PointsRuleApplicationRepository extends BaseRepository {
+  constructor() {
+    super('points_rule_applications');
+  }
+
+  /**
+   * Record the rules that produced a transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {array} applications - Rule applications (rule_id, rule_type, points)
+   * @param {Date} occurredAt - When the activity that earned the points happened, which daily caps count by
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {array} - Recorded applications
+   */
+  async recordApplications(transactionId, memberId, brandId, applications, occurredAt, client = null) {
+    try {
+      if (applications.length === 0) {
+        return [];
+      }
+
+      const values = [];
+      const placeholders = applications.map((application, index) => {
+        const offset = index * 8;
+        values.push(uuidv4(), brandId, application.rule_id, transactionId, memberId, application.rule_type, application.points, occurredAt);
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, NOW())`;
+      });
+
+      const query = `
+        INSERT INTO points_rule_applications (id, brand_id, rule_id, transaction_id, member_id, rule_type, points, occurred_at, created_at)
+        VALUES ${placeholders.join(', ')}
+        RETURNING *
+      `;
+
+      const result = await this.query(query, values, client);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error recording points rule applications', { transactionId, memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Sum the points a member earned through rules for activity that happened in a period
+   * @param {string} memberId - Member ID
+   * @param {Date} start - Start of the period (inclusive)
+   * @param {Date} end - End of the period (exclusive)
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {number} - Points earned
+   */
+  async getMemberPointsForPeriod(memberId, start, end, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT COALESCE(SUM(points), 0) as total FROM points_rule_applications WHERE member_id = $1 AND occurred_at >= $2 AND occurred_at < $3',
+        [memberId, start, end],
+        client
+      );
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error('Error summing member points rule applications', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the rule applications behind a transaction
+   * @param {string} transactionId - Transaction ID
+   * @returns {array} - Applications with rule names
+   */
+  async findByTransaction(transactionId) {
+    try {
+      const query = `
+        SELECT pra.*, pr.name as rule_name
+        FROM points_rule_applications pra
+        LEFT JOIN points_rules pr ON pr.id = pra.rule_id
+        WHERE pra.transaction_id = $1
+        ORDER BY pra.created_at ASC
+      `;
+
+      const result = await this.query(query, [transactionId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding points rule applications by transaction', { transactionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a rule has ever awarded points
+   * @param {string} ruleId - Rule ID
+   * @returns {boolean} - True if the rule has applications
+   */
+  async ruleHasApplications(ruleId) {
+    try {
+      const result = await this.query(
+        'SELECT 1 FROM points_rule_applications WHERE rule_id = $1 LIMIT 1',
+        [ruleId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking points rule applications', { ruleId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = PointsRuleApplicationRepository;
@@ -0,0 +1,162 @@
+/**
+ * Points Rule Repository
+ * Handles database operations for brand points earning rules
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class PointsRuleRepository extends BaseRepository {
+  constructor() {
+    super('points_rules');
+  }
+
+  /**
+   * Find rules by brand with pagination and filters
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated rules
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        rule_type = null,
+        event_type = null,
+        is_active = null
+      } = options;
+
+      let whereClause = 'WHERE pr.brand_id = $1';
+      const params = [brandId];
+      let paramIndex = 2;
+
+      if (rule_type) {
+        whereClause += ` AND pr.rule_type = $${paramIndex}`;
+        params.push(rule_type);
+        paramIndex++;
+      }
+
+      if (event_type) {
+        whereClause += ` AND (cardinality(pr.event_types) = 0 OR $${paramIndex} = ANY(pr.event_types))`;
+        params.push(event_type);
+        paramIndex++;
+      }
+
+      if (is_active !== null && is_active !== undefined) {
+        whereClause += ` AND pr.is_active = $${paramIndex}`;
+        params.push(is_active);
+        paramIndex++;
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM points_rules pr ${whereClause}`;
+      const dataQuery = `
+        SELECT pr.*
+        FROM points_rules pr
+        ${whereClause}
+        ORDER BY pr.priority DESC, pr.created_at ASC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding points rules by brand', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a rule of a brand
+   * @param {string} id - Rule ID
+   * @param {string} brandId - Brand ID
+   * @returns {object|null} - Rule or null
+   */
+  async findByIdForBrand(id, brandId) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM points_rules WHERE id = $1 AND brand_id = $2',
+        [id, brandId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding points rule', { id, brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active rules of a brand that apply to an event type at a point in time
+   * Rules without event types apply to every event type
+   * @param {string} brandId - Brand ID
+   * @param {string} eventType - Event type
+   * @param {Date} at - When the activity happened
+   * @returns {array} - Rules ordered by priority
+   */
+  async findApplicable(brandId, eventType, at = new Date()) {
+    try {
+      const query = `
+        SELECT *
+        FROM points_rules
+        WHERE brand_id = $1
+          AND is_active = true
+          AND (cardinality(event_types) = 0 OR $2 = ANY(event_types))
+          AND (valid_from IS NULL OR valid_from <= $3)
+          AND (valid_until IS NULL OR valid_until > $3)
+        ORDER BY priority DESC, created_at ASC
+      `;
+
+      const result = await this.query(query, [brandId, eventType, at]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding applicable points rules', { brandId, eventType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a rule name is already used within a brand
+   * @param {string} brandId - Brand ID
+   * @param {string} name - Rule name
+   * @param {string} excludeId - Rule ID to exclude (for updates)
+   * @returns {boolean} - True if the name is taken
+   */
+  async nameExists(brandId, name, excludeId = null) {
+    try {
+      let query = 'SELECT 1 FROM points_rules WHERE brand_id = $1 AND LOWER(name) = LOWER($2)';
+      const params = [brandId, name];
+
+      if (excludeId) {
+        query += ' AND id != $3';
+        params.push(excludeId);
+      }
+
+      const result = await this.query(`${query} LIMIT 1`, params);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking points rule name', { brandId, name, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = PointsRuleRepository;
@@ -0,0 +1,151 @@
+/**
+ * Quest Repository
+ * Handles database operations for quests (ordered chains of mission steps) and the members who
+ * finished them
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { QUEST_STATUS } = constants;
+
+class QuestRepository extends BaseRepository {
+  constructor() {
+    super('quests');
+  }
+
+  /**
+   * Create a quest
+   * @param {object} questData - Quest data (brand_id, name, description, steps, bonus_points, bonus_spin_tickets, status, created_by)
+   * @returns {object} - Created quest
+   */
+  async createQuest(questData) {
+    try {
+      return await this.create({
+        ...questData,
+        // The driver would otherwise send an array as a Postgres array
+        steps: JSON.stringify(questData.steps)
+      });
+    } catch (error) {
+      logger.error('Error creating quest', { brandId: questData.brand_id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a quest
+   * @param {string} id - Quest ID
+   * @param {object} questData - Fields to update
+   * @returns {object} - Updated quest
+   */
+  async updateQuest(id, questData) {
+    try {
+      const data = { ...questData };
+      if (data.steps) {
+        data.steps = JSON.stringify(data.steps);
+      }
+
+      return await this.update(id, data);
+    } catch (error) {
+      logger.error('Error updating quest', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a brand's quests with pagination, newest first
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options (page, limit, status)
+   * @returns {object} - Quests and pagination
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+
+      const where = { brand_id: brandId };
+      if (status) {
+        where.status = status;
+      }
+
+      return await this.paginate({ page, limit, where, orderBy: 'created_at', order: 'DESC' });
+    } catch (error) {
+      logger.error('Error finding quests', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a brand's active quests, oldest first
+   * @param {string} brandId - Brand ID
+   * @returns {Array} - Active quests
+   */
+  async findActiveByBrand(brandId) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM quests WHERE brand_id = $1 AND status = $2 ORDER BY created_at ASC',
+        [brandId, QUEST_STATUS.ACTIVE]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding active quests', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a member finished a quest, once per member
+   * @param {object} completionData - Completion data (quest_id, member_id, brand_id)
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Completion, or null if the member had already finished the quest
+   */
+  async recordCompletion(completionData, client = null) {
+    try {
+      const query = `
+        INSERT INTO quest_completions (id, quest_id, member_id, brand_id, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (quest_id, member_id) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        completionData.quest_id,
+        completionData.member_id,
+        completionData.brand_id
+      ], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error recording quest completion', {
+        questId: completionData.quest_id,
+        memberId: completionData.member_id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the quests a member has finished
+   * @param {string} memberId - Member ID
+   * @param {Array} questIds - Quest IDs
+   * @returns {Array} - Quest completions
+   */
+  async findCompletions(memberId, questIds) {
+    try {
+      if (questIds.length === 0) {
+        return [];
+      }
+
+      const result = await this.query(
+        'SELECT * FROM quest_completions WHERE member_id = $1 AND quest_id = ANY($2)',
+        [memberId, questIds]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding quest completions', { memberId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = QuestRepository;
@@ -0,0 +1,125 @@
+/**
+ * Reward Code Repository
+ * Handles database operations for pre-loaded reward code pools
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+const { v4: uuidv4 } = require('uuid');
+
+class RewardCodeRepository extends BaseRepository {
+  constructor() {
+    super('reward_codes');
+  }
+
+  /**
+   * Take the next available code from a reward's pool
+   * @param {string} rewardId - Reward ID
+   * @param {string} redemptionId - Redemption the code is assigned to
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Assigned code record, or null if the pool is empty
+   */
+  async assignNextAvailable(rewardId, redemptionId, client = null) {
+    try {
+      // SKIP LOCKED lets concurrent redemptions take different codes instead of waiting on each other
+      const query = `
+        UPDATE reward_codes
+        SET status = 'assigned', redemption_id = $2, assigned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM reward_codes
+          WHERE reward_id = $1 AND status = 'available'
+          ORDER BY created_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [rewardId, redemptionId], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error assigning reward code', { rewardId, redemptionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Take the next available code from a reward's pool for a wheel prize
+   * @param {string} rewardId - Reward ID
+   * @param {string} spinId - Wheel spin the code is assigned to
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Assigned code record, or null if the pool is empty
+   */
+  async assignNextAvailableToSpin(rewardId, spinId, client = null) {
+    try {
+      const query = `
+        UPDATE reward_codes
+        SET status = 'assigned', wheel_spin_id = $2, assigned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM reward_codes
+          WHERE reward_id = $1 AND status = 'available'
+          ORDER BY created_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [rewardId, spinId], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error assigning reward code to wheel spin', { rewardId, spinId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Load codes into a reward's pool, skipping duplicates
+   * @param {string} rewardId - Reward ID
+   * @param {string} brandId - Brand ID
+   * @param {array} codes - Codes to add
+   * @returns {number} - Number of codes inserted
+   */
+  async bulkCreate(rewardId, brandId, codes) {
+    try {
+      if (codes.length === 0) {
+        return 0;
+      }
+
+      const values = [];
+      const placeholders = codes.map((code, index) => {
+        const offset = index * 4;
+        values.push(uuidv4(), rewardId, brandId, code);
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, 'available', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`;
+      });
+
+      const query = `
+        INSERT INTO reward_codes (id, reward_id, brand_id, code, status, created_at, updated_at)
+        VALUES ${placeholders.join(', ')}
+        ON CONFLICT (brand_id, code) DO NOTHING
+      `;
+
+      const result = await this.query(query, values);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error loading reward codes', { rewardId, count: codes.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count available codes for a reward
+   * @param {string} rewardId - Reward ID
+   * @returns {number} - Available code count
+   */
+  async countAvailable(rewardId) {
+    try {
+      return await this.count({ reward_id: rewardId, status: 'available' });
+    } catch (error) {
+      logger.error('Error counting reward codes', { rewardId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = RewardCodeRepository;
@@ -0,0 +1,198 @@
+/**
+ * Reward Redemption Repository
+ * Handles database operations for reward redemptions
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class RewardRedemptionRepository extends BaseRepository {
+  constructor() {
+    super('reward_redemptions');
+  }
+
+  /**
+   * Find redemption with reward and member details
+   * @param {string} id - Redemption ID
+   * @returns {object|null} - Redemption or null
+   */
+  async findWithDetails(id) {
+    try {
+      const query = `
+        SELECT
+          rr.*,
+          r.name AS reward_name,
+          r.category AS reward_category,
+          m.member_id AS member_code,
+          m.first_name,
+          m.last_name,
+          m.email
+        FROM reward_redemptions rr
+        JOIN rewards r ON rr.reward_id = r.id
+        JOIN members m ON rr.member_id = m.id
+        WHERE rr.id = $1
+      `;
+
+      const result = await this.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding redemption with details', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find redemptions by brand with pagination and filters
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated redemptions
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = null,
+        reward_id = null,
+        member_id = null,
+        start_date = null,
+        end_date = null
+      } = options;
+
+      let whereClause = 'WHERE rr.brand_id = $1';
+      const params = [brandId];
+      let paramIndex = 2;
+
+      if (status) {
+        whereClause += ` AND rr.status = $${paramIndex}`;
+        params.push(status);
+        paramIndex++;
+      }
+
+      if (reward_id) {
+        whereClause += ` AND rr.reward_id = $${paramIndex}`;
+        params.push(reward_id);
+        paramIndex++;
+      }
+
+      if (member_id) {
+        whereClause += ` AND rr.member_id = $${paramIndex}`;
+        params.push(member_id);
+        paramIndex++;
+      }
+
+      if (start_date) {
+        whereClause += ` AND rr.created_at >= $${paramIndex}`;
+        params.push(start_date);
+        paramIndex++;
+      }
+
+      if (end_date) {
+        whereClause += ` AND rr.created_at <= $${paramIndex}`;
+        params.push(end_date);
+        paramIndex++;
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM reward_redemptions rr ${whereClause}`;
+      const dataQuery = `
+        SELECT
+          rr.*,
+          r.name AS reward_name,
+          r.category AS reward_category,
+          m.member_id AS member_code,
+          m.first_name,
+          m.last_name,
+          m.email
+        FROM reward_redemptions rr
+        JOIN rewards r ON rr.reward_id = r.id
+        JOIN members m ON rr.member_id = m.id
+        ${whereClause}
+        ORDER BY rr.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding redemptions by brand', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find redemptions of a member
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated redemptions
+   */
+  async findByMember(memberId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+
+      let whereClause = 'WHERE rr.member_id = $1';
+      const params = [memberId];
+
+      if (status) {
+        whereClause += ' AND rr.status = $2';
+        params.push(status);
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM reward_redemptions rr ${whereClause}`;
+      const dataQuery = `
+        SELECT rr.*, r.name AS reward_name, r.category AS reward_category, r.image_url AS reward_image_url
+        FROM reward_redemptions rr
+        JOIN rewards r ON rr.reward_id = r.id
+        ${whereClause}
+        ORDER BY rr.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding redemptions by member', { memberId, options, error: error.message });
+      throw error;
+    }
+  }
+
+}
+
+module.exports = RewardRedemptionRepository;
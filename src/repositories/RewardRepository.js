@@ -0,0 +1,234 @@
+/**
+ * Reward Repository
+ * Handles database operations for the brand rewards catalog
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class RewardRepository extends BaseRepository {
+  constructor() {
+    super('rewards');
+  }
+
+  /**
+   * Find rewards by brand with pagination and filters
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated rewards
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = null,
+        category = null,
+        search = null,
+        sort_by = 'created_at',
+        sort_order = 'desc'
+      } = options;
+
+      let whereClause = 'WHERE r.brand_id = $1';
+      const params = [brandId];
+      let paramIndex = 2;
+
+      if (status) {
+        whereClause += ` AND r.status = $${paramIndex}`;
+        params.push(status);
+        paramIndex++;
+      }
+
+      if (category) {
+        whereClause += ` AND r.category = $${paramIndex}`;
+        params.push(category);
+        paramIndex++;
+      }
+
+      if (search) {
+        whereClause += ` AND (r.name ILIKE $${paramIndex} OR r.description ILIKE $${paramIndex})`;
+        params.push(`%${search}%`);
+        paramIndex++;
+      }
+
+      const allowedSortFields = ['name', 'points_cost', 'category', 'valid_until', 'created_at'];
+      const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'created_at';
+      const sortDirection = sort_order.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM rewards r ${whereClause}`;
+      const dataQuery = `
+        SELECT r.*
+        FROM rewards r
+        ${whereClause}
+        ORDER BY r.${sortField} ${sortDirection}
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding rewards by brand', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find rewards currently offered to members of a brand
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {array} - Active rewards within their validity window
+   */
+  async findAvailableByBrand(brandId, options = {}) {
+    try {
+      const { category = null, at = new Date() } = options;
+
+      let whereClause = `
+        WHERE r.brand_id = $1
+        AND r.status = 'active'
+        AND (r.valid_from IS NULL OR r.valid_from <= $2)
+        AND (r.valid_until IS NULL OR r.valid_until > $2)
+      `;
+      const params = [brandId, at];
+
+      if (category) {
+        whereClause += ' AND r.category = $3';
+        params.push(category);
+      }
+
+      const query = `
+        SELECT r.*
+        FROM rewards r
+        ${whereClause}
+        ORDER BY r.points_cost ASC, r.name ASC
+      `;
+
+      const result = await this.query(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding available rewards', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a reward name is already used within a brand
+   * @param {string} brandId - Brand ID
+   * @param {string} name - Reward name
+   * @param {string} excludeId - Reward ID to exclude (for updates)
+   * @returns {boolean} - True if name is taken
+   */
+  async nameExists(brandId, name, excludeId = null) {
+    try {
+      let query = 'SELECT 1 FROM rewards WHERE brand_id = $1 AND LOWER(name) = LOWER($2)';
+      const params = [brandId, name];
+
+      if (excludeId) {
+        query += ' AND id != $3';
+        params.push(excludeId);
+      }
+
+      const result = await this.query(`${query} LIMIT 1`, params);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking reward name', { brandId, name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count redemptions per reward for a member
+   * @param {string} memberId - Member ID
+   * @param {array} rewardIds - Reward IDs
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {object} - Map of reward ID to redemption count
+   */
+  async countMemberRedemptions(memberId, rewardIds = [], client = null) {
+    try {
+      if (rewardIds.length === 0) {
+        return {};
+      }
+
+      // Cancelled redemptions are refunded and do not count towards per-member limits
+      const query = `
+        SELECT reward_id, COUNT(*) AS redemption_count
+        FROM reward_redemptions
+        WHERE member_id = $1
+        AND reward_id = ANY($2)
+        AND status != 'cancelled'
+        GROUP BY reward_id
+      `;
+
+      const result = await this.query(query, [memberId, rewardIds], client);
+      return result.rows.reduce((counts, row) => {
+        counts[row.reward_id] = parseInt(row.redemption_count);
+        return counts;
+      }, {});
+    } catch (error) {
+      logger.error('Error counting member redemptions', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count total redemptions of a reward
+   * @param {string} rewardId - Reward ID
+   * @returns {number} - Redemption count
+   */
+  async countRedemptions(rewardId) {
+    try {
+      const query = 'SELECT COUNT(*) AS total FROM reward_redemptions WHERE reward_id = $1';
+
+      const result = await this.query(query, [rewardId]);
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error('Error counting reward redemptions', { rewardId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Adjust remaining stock of a reward with limited inventory
+   * @param {string} rewardId - Reward ID
+   * @param {number} delta - Stock change (negative to take, positive to return)
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Updated reward, or null if stock would go negative
+   */
+  async adjustStock(rewardId, delta, client = null) {
+    try {
+      const query = `
+        UPDATE rewards
+        SET stock_quantity = stock_quantity + $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        AND stock_quantity IS NOT NULL
+        AND stock_quantity + $2 >= 0
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [rewardId, delta], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error adjusting reward stock', { rewardId, delta, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = RewardRepository;
@@ -0,0 +1,175 @@
+/**
+ * Spin Ticket Repository
+ * Handles database operations for members' spin ticket wallets and their ticket history
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class SpinTicketRepository extends BaseRepository {
+  constructor() {
+    super('spin_ticket_wallets');
+  }
+
+  /**
+   * Get the spin tickets a member holds
+   * @param {string} memberId - Member ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {number} - Ticket balance
+   */
+  async getBalance(memberId, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT balance FROM spin_ticket_wallets WHERE member_id = $1',
+        [memberId],
+        client
+      );
+      return result.rows.length > 0 ? parseInt(result.rows[0].balance) : 0;
+    } catch (error) {
+      logger.error('Error getting spin ticket balance', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add tickets to a member's wallet, creating the wallet on first use
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {number} quantity - Tickets to add
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Updated wallet
+   */
+  async credit(memberId, brandId, quantity, client = null) {
+    try {
+      const query = `
+        INSERT INTO spin_ticket_wallets (id, member_id, brand_id, balance, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, NOW(), NOW())
+        ON CONFLICT (member_id) DO UPDATE SET
+          balance = spin_ticket_wallets.balance + EXCLUDED.balance,
+          updated_at = NOW()
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [uuidv4(), memberId, brandId, quantity], client);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error crediting spin tickets', { memberId, quantity, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Take tickets from a member's wallet
+   * @param {string} memberId - Member ID
+   * @param {number} quantity - Tickets to take
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Updated wallet, or null if the member holds too few tickets
+   */
+  async debit(memberId, quantity, client = null) {
+    try {
+      const query = `
+        UPDATE spin_ticket_wallets
+        SET balance = balance - $2, updated_at = NOW()
+        WHERE member_id = $1 AND balance >= $2
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [memberId, quantity], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error debiting spin tickets', { memberId, quantity, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a change to a member's ticket balance
+   * @param {object} entry - Entry data (member_id, brand_id, amount, source, reference_type, reference_id, balance_after, description, created_by)
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Ticket transaction
+   */
+  async recordTransaction(entry, client = null) {
+    try {
+      const query = `
+        INSERT INTO spin_ticket_transactions (
+          id, member_id, brand_id, amount, source, reference_type, reference_id,
+          balance_after, description, created_by, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        entry.member_id,
+        entry.brand_id,
+        entry.amount,
+        entry.source,
+        entry.reference_type || null,
+        entry.reference_id || null,
+        entry.balance_after,
+        entry.description || null,
+        entry.created_by || null
+      ], client);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording spin ticket transaction', { entry, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member's ticket history with pagination
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options (page, limit, source)
+   * @returns {object} - Ticket transactions and pagination
+   */
+  async findTransactionsByMember(memberId, options = {}) {
+    try {
+      const { page = 1, limit = 20, source = null } = options;
+
+      let whereClause = 'WHERE member_id = $1';
+      const params = [memberId];
+
+      if (source) {
+        whereClause += ' AND source = $2';
+        params.push(source);
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM spin_ticket_transactions ${whereClause}`;
+      const dataQuery = `
+        SELECT * FROM spin_ticket_transactions
+        ${whereClause}
+        ORDER BY created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding spin ticket transactions', { memberId, options, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = SpinTicketRepository;
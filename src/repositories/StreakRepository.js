@@ -0,0 +1,148 @@
+/**
+ * Streak Repository
+ * Handles database operations for members' check-in streaks and the days they checked in on
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+// Dates are read as YYYY-MM-DD strings; the driver would otherwise turn them into server-local Dates
+const STREAK_COLUMNS = `
+  id, member_id, brand_id, current_streak, longest_streak, freezes_available,
+  TO_CHAR(last_check_in_date, 'YYYY-MM-DD') AS last_check_in_date, created_at, updated_at
+`;
+
+class StreakRepository extends BaseRepository {
+  constructor() {
+    super('member_streaks');
+  }
+
+  /**
+   * Find a member's streak
+   * @param {string} memberId - Member ID
+   * @returns {object|null} - Streak or null if the member never checked in
+   */
+  async findByMember(memberId) {
+    try {
+      const result = await this.query(`SELECT ${STREAK_COLUMNS} FROM member_streaks WHERE member_id = $1`, [memberId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding member streak', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a member's streak, creating an empty one if needed, and lock it until the transaction ends
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} client - Database client (required, must be inside a transaction)
+   * @returns {object} - Streak
+   */
+  async findOrCreateForUpdate(memberId, brandId, client) {
+    try {
+      await this.query(`
+        INSERT INTO member_streaks (id, member_id, brand_id, current_streak, longest_streak, freezes_available, created_at, updated_at)
+        VALUES ($1, $2, $3, 0, 0, 0, NOW(), NOW())
+        ON CONFLICT (member_id) DO NOTHING
+      `, [uuidv4(), memberId, brandId], client);
+
+      const result = await this.query(
+        `SELECT ${STREAK_COLUMNS} FROM member_streaks WHERE member_id = $1 FOR UPDATE`,
+        [memberId],
+        client
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error locking member streak', { memberId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a streak
+   * @param {string} id - Streak ID
+   * @param {object} streakData - Fields to update
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Updated streak
+   */
+  async updateStreak(id, streakData, client = null) {
+    try {
+      const updateData = { ...streakData, updated_at: new Date() };
+      const columns = Object.keys(updateData);
+      const setClause = columns.map((column, index) => `${column} = $${index + 1}`).join(', ');
+
+      const result = await this.query(
+        `UPDATE member_streaks SET ${setClause} WHERE id = $${columns.length + 1} RETURNING ${STREAK_COLUMNS}`,
+        [...Object.values(updateData), id],
+        client
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating member streak', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a day a member's streak counted, once per member and date
+   * @param {object} checkInData - Check-in data (member_id, brand_id, check_in_date, source, streak_day, milestone_day)
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Check-in, or null if the day was already recorded
+   */
+  async recordCheckIn(checkInData, client = null) {
+    try {
+      const query = `
+        INSERT INTO streak_check_ins (id, member_id, brand_id, check_in_date, source, streak_day, milestone_day, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        ON CONFLICT (member_id, check_in_date) DO NOTHING
+        RETURNING id, member_id, brand_id, TO_CHAR(check_in_date, 'YYYY-MM-DD') AS check_in_date, source, streak_day, milestone_day, created_at
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        checkInData.member_id,
+        checkInData.brand_id,
+        checkInData.check_in_date,
+        checkInData.source,
+        checkInData.streak_day,
+        checkInData.milestone_day || null
+      ], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error recording streak check-in', {
+        memberId: checkInData.member_id,
+        checkInDate: checkInData.check_in_date,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the days a member's streak counted between two dates
+   * @param {string} memberId - Member ID
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Array} - Check-ins, oldest first
+   */
+  async findCheckIns(memberId, from, to) {
+    try {
+      const query = `
+        SELECT id, TO_CHAR(check_in_date, 'YYYY-MM-DD') AS check_in_date, source, streak_day, milestone_day, created_at
+        FROM streak_check_ins
+        WHERE member_id = $1 AND check_in_date BETWEEN $2 AND $3
+        ORDER BY check_in_date ASC
+      `;
+
+      const result = await this.query(query, [memberId, from, to]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding streak check-ins', { memberId, from, to, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = StreakRepository;
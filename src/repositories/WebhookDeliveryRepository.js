@@ -0,0 +1,178 @@
+/**
+ * Webhook Delivery Repository
+ * Handles database operations for the webhook delivery log and retry queue
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { v4: uuidv4 } = require('uuid');
+const { WEBHOOK_DELIVERY_STATUS } = constants;
+
+class WebhookDeliveryRepository extends BaseRepository {
+  constructor() {
+    super('webhook_deliveries');
+  }
+
+  /**
+   * Queue an event for every active subscription of a brand listening to it
+   * @param {string} brandId - Brand ID
+   * @param {string} eventType - Event type
+   * @param {object} data - Event data
+   * @param {object} options - Queue options (nextAttemptAt)
+   * @param {object} client - Database client (optional, to queue inside an outer transaction)
+   * @returns {array} - Queued deliveries
+   */
+  async enqueueEvent(brandId, eventType, data, options = {}, client = null) {
+    try {
+      const { nextAttemptAt = new Date() } = options;
+
+      const subscriptionsResult = await this.query(
+        'SELECT id FROM webhook_subscriptions WHERE brand_id = $1 AND is_active = TRUE AND $2 = ANY(events)',
+        [brandId, eventType],
+        client
+      );
+
+      if (subscriptionsResult.rows.length === 0) {
+        return [];
+      }
+
+      // Every subscription receives the same envelope so receivers can dedupe on the event ID
+      const payload = this.buildPayload(brandId, eventType, data);
+
+      const deliveries = [];
+      for (const subscription of subscriptionsResult.rows) {
+        deliveries.push(await this.create({
+          subscription_id: subscription.id,
+          brand_id: brandId,
+          event_id: payload.id,
+          event_type: eventType,
+          payload,
+          status: WEBHOOK_DELIVERY_STATUS.PENDING,
+          attempts: 0,
+          next_attempt_at: nextAttemptAt,
+          is_test: false
+        }, client));
+      }
+
+      return deliveries;
+    } catch (error) {
+      logger.error('Error queueing webhook event', { brandId, eventType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the envelope sent for an event
+   * @param {string} brandId - Brand ID
+   * @param {string} eventType - Event type
+   * @param {object} data - Event data
+   * @returns {object} - Event payload
+   */
+  buildPayload(brandId, eventType, data) {
+    return {
+      id: uuidv4(),
+      type: eventType,
+      brand_id: brandId,
+      created_at: new Date().toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Lease pending deliveries that are due so concurrent workers do not send them twice
+   * @param {number} limit - Maximum deliveries to claim
+   * @param {number} leaseSeconds - How long the claim holds before the delivery is due again
+   * @returns {array} - Claimed deliveries
+   */
+  async claimDue(limit = 50, leaseSeconds = 300) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET next_attempt_at = NOW() + ($2 * INTERVAL '1 second'), updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM webhook_deliveries
+          WHERE status = 'pending' AND next_attempt_at <= NOW()
+          ORDER BY next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [limit, leaseSeconds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error claiming webhook deliveries', { limit, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find deliveries of a subscription with pagination and filters
+   * @param {string} subscriptionId - Subscription ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated deliveries
+   */
+  async findBySubscription(subscriptionId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = null,
+        event_type = null
+      } = options;
+
+      let whereClause = 'WHERE wd.subscription_id = $1';
+      const params = [subscriptionId];
+      let paramIndex = 2;
+
+      if (status) {
+        whereClause += ` AND wd.status = $${paramIndex}`;
+        params.push(status);
+        paramIndex++;
+      }
+
+      if (event_type) {
+        whereClause += ` AND wd.event_type = $${paramIndex}`;
+        params.push(event_type);
+        paramIndex++;
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM webhook_deliveries wd ${whereClause}`;
+      const dataQuery = `
+        SELECT wd.*
+        FROM webhook_deliveries wd
+        ${whereClause}
+        ORDER BY wd.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding webhook deliveries', { subscriptionId, options, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookDeliveryRepository;
@@ -0,0 +1,82 @@
+/**
+ * Webhook Subscription Repository
+ * Handles database operations for brand webhook subscriptions
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class WebhookSubscriptionRepository extends BaseRepository {
+  constructor() {
+    super('webhook_subscriptions');
+  }
+
+  /**
+   * Find subscriptions by brand with pagination and filters
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated subscriptions
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        event = null,
+        is_active = null
+      } = options;
+
+      let whereClause = 'WHERE ws.brand_id = $1';
+      const params = [brandId];
+      let paramIndex = 2;
+
+      if (event) {
+        whereClause += ` AND $${paramIndex} = ANY(ws.events)`;
+        params.push(event);
+        paramIndex++;
+      }
+
+      if (is_active !== null && is_active !== undefined) {
+        whereClause += ` AND ws.is_active = $${paramIndex}`;
+        params.push(is_active);
+        paramIndex++;
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM webhook_subscriptions ws ${whereClause}`;
+      const dataQuery = `
+        SELECT ws.*
+        FROM webhook_subscriptions ws
+        ${whereClause}
+        ORDER BY ws.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding webhook subscriptions by brand', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookSubscriptionRepository;
@@ -0,0 +1,113 @@
+/**
+ * Wheel Drift Check Repository
+ * Stores the results of the goodness-of-fit tests comparing wheel outcomes with configured probabilities
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { WHEEL_DRIFT_STATUS } = constants;
+
+class WheelDriftCheckRepository extends BaseRepository {
+  constructor() {
+    super('wheel_drift_checks');
+  }
+
+  /**
+   * Record a drift check
+   * @param {object} check - Check data (wheel_id, brand_id, window_hours, window_start, window_end, total_spins,
+   *   statistic, degrees_of_freedom, p_value, significance_level, status, items)
+   * @returns {object} - Drift check
+   */
+  async recordCheck(check) {
+    try {
+      const query = `
+        INSERT INTO wheel_drift_checks (
+          id, wheel_id, brand_id, window_hours, window_start, window_end, total_spins,
+          statistic, degrees_of_freedom, p_value, significance_level, status, items, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        check.wheel_id,
+        check.brand_id,
+        check.window_hours,
+        check.window_start,
+        check.window_end,
+        check.total_spins,
+        check.statistic,
+        check.degrees_of_freedom,
+        check.p_value,
+        check.significance_level,
+        check.status,
+        JSON.stringify(check.items || [])
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording wheel drift check', { wheelId: check.wheel_id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the latest check of each window for a wheel
+   * @param {string} wheelId - Wheel ID
+   * @returns {Array} - Drift checks, shortest window first
+   */
+  async findLatestByWheel(wheelId) {
+    try {
+      const query = `
+        SELECT DISTINCT ON (window_hours) *
+        FROM wheel_drift_checks
+        WHERE wheel_id = $1
+        ORDER BY window_hours, created_at DESC
+      `;
+
+      const result = await this.query(query, [wheelId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding wheel drift checks', { wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find wheels whose latest check of a window found drift
+   * @param {string} brandId - Brand ID (all brands when null)
+   * @returns {Array} - Drift checks with the wheel name, most significant first
+   */
+  async findActiveDrifts(brandId = null) {
+    try {
+      const params = [WHEEL_DRIFT_STATUS.DRIFT];
+      let brandFilter = '';
+
+      if (brandId) {
+        brandFilter = 'AND brand_id = $2';
+        params.push(brandId);
+      }
+
+      const query = `
+        SELECT latest.*, w.name AS wheel_name
+        FROM (
+          SELECT DISTINCT ON (wheel_id, window_hours) *
+          FROM wheel_drift_checks
+          WHERE 1 = 1 ${brandFilter}
+          ORDER BY wheel_id, window_hours, created_at DESC
+        ) latest
+        JOIN wheels w ON w.id = latest.wheel_id
+        WHERE latest.status = $1 AND w.is_active = true
+        ORDER BY latest.p_value ASC
+      `;
+
+      const result = await this.query(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding active wheel drifts', { brandId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelDriftCheckRepository;
@@ -0,0 +1,129 @@
+/**
+ * Wheel Experiment Repository
+ * Handles database operations for wheel A/B experiments and their variant engagement
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { WHEEL_EXPERIMENT_STATUS, TRANSACTION_TYPES } = constants;
+
+// Transactions that come from the wheel itself and so do not count as downstream engagement
+const WHEEL_REFERENCE_TYPES = ['wheel', 'wheel_spin', 'spin_ticket_purchase'];
+
+class WheelExperimentRepository extends BaseRepository {
+  constructor() {
+    super('wheel_experiments');
+  }
+
+  /**
+   * Create an experiment
+   * @param {object} experimentData - Experiment data (wheel_id, brand_id, name, description, variants, created_by)
+   * @returns {object} - Created experiment
+   */
+  async createExperiment(experimentData) {
+    try {
+      return await this.create({
+        ...experimentData,
+        status: WHEEL_EXPERIMENT_STATUS.DRAFT,
+        // The driver would otherwise send an array as a Postgres array
+        variants: JSON.stringify(experimentData.variants)
+      });
+    } catch (error) {
+      logger.error('Error creating wheel experiment', { wheelId: experimentData.wheel_id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a wheel's experiments with pagination, newest first
+   * @param {string} wheelId - Wheel ID
+   * @param {object} options - Query options (page, limit, status)
+   * @returns {object} - Experiments and pagination
+   */
+  async findByWheel(wheelId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+
+      const where = { wheel_id: wheelId };
+      if (status) {
+        where.status = status;
+      }
+
+      return await this.paginate({ page, limit, where, orderBy: 'created_at', order: 'DESC' });
+    } catch (error) {
+      logger.error('Error finding wheel experiments', { wheelId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the experiment running on a wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Running experiment
+   */
+  async findRunningByWheel(wheelId, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM wheel_experiments WHERE wheel_id = $1 AND status = $2 LIMIT 1',
+        [wheelId, WHEEL_EXPERIMENT_STATUS.RUNNING],
+        client
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding running wheel experiment', { wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Measure what each variant's members did after their first spin in the experiment: whether they
+   * came back to spin on a later day, and the transactions they made outside the wheel
+   * @param {string} experimentId - Experiment ID
+   * @param {Date} until - End of the measurement (experiment end, or now)
+   * @returns {Array} - Engagement per variant (wheel_variant, participants, returning_members, transactions, points_earned)
+   */
+  async getVariantEngagement(experimentId, until) {
+    try {
+      const query = `
+        WITH participants AS (
+          SELECT member_id, wheel_variant, MIN(created_at) AS first_spin_at
+          FROM wheel_spins
+          WHERE wheel_experiment_id = $1
+          GROUP BY member_id, wheel_variant
+        )
+        SELECT
+          p.wheel_variant,
+          COUNT(*) AS participants,
+          COUNT(*) FILTER (WHERE EXISTS (
+            SELECT 1 FROM wheel_spins later
+            WHERE later.wheel_experiment_id = $1
+              AND later.member_id = p.member_id
+              AND later.created_at >= p.first_spin_at + INTERVAL '1 day'
+          )) AS returning_members,
+          COALESCE(SUM(activity.transactions), 0) AS transactions,
+          COALESCE(SUM(activity.points_earned), 0) AS points_earned
+        FROM participants p
+        LEFT JOIN LATERAL (
+          SELECT
+            COUNT(*) AS transactions,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.type = $4), 0) AS points_earned
+          FROM transactions t
+          WHERE t.member_id = p.member_id
+            AND t.created_at > p.first_spin_at
+            AND t.created_at <= $2
+            AND (t.reference_type IS NULL OR t.reference_type <> ALL($3))
+        ) activity ON true
+        GROUP BY p.wheel_variant
+      `;
+
+      const result = await this.query(query, [experimentId, until, WHEEL_REFERENCE_TYPES, TRANSACTION_TYPES.CREDIT]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting wheel experiment engagement', { experimentId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelExperimentRepository;
@@ -0,0 +1,50 @@
+/**
+ * Wheel Item Repository
+ * Handles database operations for wheel items
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class WheelItemRepository extends BaseRepository {
+  constructor() {
+    super('wheel_items');
+  }
+
+  /**
+   * Find the items of a wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {array} - Items in wheel order
+   */
+  async findByWheelId(wheelId, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM wheel_items WHERE wheel_id = $1 ORDER BY position',
+        [wheelId],
+        client
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding wheel items', { wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete wheel items by ID
+   * @param {array} ids - Item IDs
+   * @returns {number} - Number of deleted items
+   */
+  async deleteMany(ids) {
+    try {
+      const result = await this.query('DELETE FROM wheel_items WHERE id = ANY($1)', [ids]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error deleting wheel items', { ids, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelItemRepository;
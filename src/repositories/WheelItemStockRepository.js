@@ -0,0 +1,108 @@
+/**
+ * Wheel Item Stock Repository
+ * Handles the win counters wheel item stock limits are checked against: in total, per day and per member.
+ * Days are brand-local calendar dates (YYYY-MM-DD) worked out by the caller.
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class WheelItemStockRepository extends BaseRepository {
+  constructor() {
+    super('wheel_item_stock');
+  }
+
+  /**
+   * Get how often each item of a wheel has been won, in total, on a day and by one member
+   * @param {string} wheelId - Wheel ID
+   * @param {string} memberId - Member ID
+   * @param {string} day - Brand-local date (YYYY-MM-DD)
+   * @param {object} client - Database client (for transaction)
+   * @returns {array} - Usage per item (wheel_item_id, total_won, won_today, member_won)
+   */
+  async getUsage(wheelId, memberId, day, client = null) {
+    try {
+      const query = `
+        SELECT
+          s.wheel_item_id,
+          s.total_won,
+          COALESCE(d.won, 0) as won_today,
+          COALESCE(m.won, 0) as member_won
+        FROM wheel_item_stock s
+        LEFT JOIN wheel_item_daily_stock d ON d.wheel_item_id = s.wheel_item_id AND d.day = $3
+        LEFT JOIN wheel_item_member_stock m ON m.wheel_item_id = s.wheel_item_id AND m.member_id = $2
+        WHERE s.wheel_id = $1
+      `;
+
+      const result = await this.query(query, [wheelId, memberId, day], client);
+      return result.rows.map(row => ({
+        wheel_item_id: row.wheel_item_id,
+        total_won: parseInt(row.total_won),
+        won_today: parseInt(row.won_today),
+        member_won: parseInt(row.member_won)
+      }));
+    } catch (error) {
+      logger.error('Error getting wheel item stock usage', { wheelId, memberId, day, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a win of an item against its total, daily and per-member stock
+   * @param {object} win - Win (wheel_id, wheel_item_id, member_id, day)
+   * @param {object} client - Database client (for transaction)
+   */
+  async recordWin(win, client = null) {
+    await this.adjustCounters(win, 1, client);
+  }
+
+  /**
+   * Give a win back to an item's stock, for prizes that were never handed out
+   * @param {object} win - Win (wheel_id, wheel_item_id, member_id, day; day may be null for spins counted before daily stock had a day)
+   * @param {object} client - Database client (for transaction)
+   */
+  async returnWin(win, client = null) {
+    await this.adjustCounters(win, -1, client);
+  }
+
+  /**
+   * Add to or take from the three counters of a win; counters never go below zero
+   * @param {object} win - Win (wheel_id, wheel_item_id, member_id, day)
+   * @param {number} delta - 1 for a win, -1 for a returned prize
+   * @param {object} client - Database client (for transaction)
+   */
+  async adjustCounters({ wheel_id: wheelId, wheel_item_id: itemId, member_id: memberId, day }, delta, client = null) {
+    try {
+      const initial = Math.max(delta, 0);
+
+      await this.query(`
+        INSERT INTO wheel_item_stock (wheel_item_id, wheel_id, total_won, updated_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (wheel_item_id) DO UPDATE SET
+          total_won = GREATEST(wheel_item_stock.total_won + $4, 0),
+          updated_at = NOW()
+      `, [itemId, wheelId, initial, delta], client);
+
+      if (day) {
+        await this.query(`
+          INSERT INTO wheel_item_daily_stock (wheel_item_id, day, won)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (wheel_item_id, day) DO UPDATE SET
+            won = GREATEST(wheel_item_daily_stock.won + $4, 0)
+        `, [itemId, day, initial, delta], client);
+      }
+
+      await this.query(`
+        INSERT INTO wheel_item_member_stock (wheel_item_id, member_id, won)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (wheel_item_id, member_id) DO UPDATE SET
+          won = GREATEST(wheel_item_member_stock.won + $4, 0)
+      `, [itemId, memberId, initial, delta], client);
+    } catch (error) {
+      logger.error('Error adjusting wheel item stock', { wheelId, itemId, memberId, day, delta, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelItemStockRepository;
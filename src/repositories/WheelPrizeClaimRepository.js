@@ -0,0 +1,201 @@
+/**
+ * Wheel Prize Claim Repository
+ * Handles database operations for wheel prizes that are fulfilled by an admin
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { CLAIM_STATUS } = constants;
+
+class WheelPrizeClaimRepository extends BaseRepository {
+  constructor() {
+    super('wheel_prize_claims');
+  }
+
+  /**
+   * Find the claim created for a spin
+   * @param {string} spinId - Wheel spin ID
+   * @returns {object|null} - Claim record or null
+   */
+  async findBySpinId(spinId) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM wheel_prize_claims WHERE wheel_spin_id = $1',
+        [spinId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding wheel prize claim', { spinId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find claims by brand with pagination and filters
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated claims
+   */
+  async findByBrand(brandId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = null,
+        prize_type = null,
+        wheel_id = null,
+        member_id = null
+      } = options;
+
+      let whereClause = 'WHERE c.brand_id = $1';
+      const params = [brandId];
+      let paramIndex = 2;
+
+      if (status) {
+        whereClause += ` AND c.status = $${paramIndex}`;
+        params.push(status);
+        paramIndex++;
+      }
+
+      if (prize_type) {
+        whereClause += ` AND c.prize_type = $${paramIndex}`;
+        params.push(prize_type);
+        paramIndex++;
+      }
+
+      if (wheel_id) {
+        whereClause += ` AND c.wheel_id = $${paramIndex}`;
+        params.push(wheel_id);
+        paramIndex++;
+      }
+
+      if (member_id) {
+        whereClause += ` AND c.member_id = $${paramIndex}`;
+        params.push(member_id);
+        paramIndex++;
+      }
+
+      const offset = (page - 1) * limit;
+
+      // Oldest first, so the review queue is worked in the order prizes were won
+      const countQuery = `SELECT COUNT(*) as total FROM wheel_prize_claims c ${whereClause}`;
+      const dataQuery = `
+        SELECT
+          c.*,
+          w.name AS wheel_name,
+          m.member_id AS member_code,
+          m.first_name,
+          m.last_name,
+          m.email
+        FROM wheel_prize_claims c
+        JOIN wheels w ON c.wheel_id = w.id
+        JOIN members m ON c.member_id = m.id
+        ${whereClause}
+        ORDER BY c.created_at ASC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding prize claims by brand', { brandId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find claims of a member
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options
+   * @returns {object} - Paginated claims
+   */
+  async findByMember(memberId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+
+      let whereClause = 'WHERE c.member_id = $1';
+      const params = [memberId];
+
+      if (status) {
+        whereClause += ' AND c.status = $2';
+        params.push(status);
+      }
+
+      const offset = (page - 1) * limit;
+
+      const countQuery = `SELECT COUNT(*) as total FROM wheel_prize_claims c ${whereClause}`;
+      const dataQuery = `
+        SELECT c.*, w.name AS wheel_name
+        FROM wheel_prize_claims c
+        JOIN wheels w ON c.wheel_id = w.id
+        ${whereClause}
+        ORDER BY c.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+      const [countResult, dataResult] = await Promise.all([
+        this.query(countQuery, params),
+        this.query(dataQuery, [...params, limit, offset])
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: dataResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding prize claims by member', { memberId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find pending claims whose deadline has passed
+   * @param {Date} at - Deadline cut-off
+   * @param {number} limit - Maximum claims to return
+   * @returns {array} - Overdue claim IDs
+   */
+  async findOverdue(at = new Date(), limit = 100) {
+    try {
+      const result = await this.query(
+        `SELECT id FROM wheel_prize_claims
+         WHERE status = $1 AND expires_at IS NOT NULL AND expires_at < $2
+         ORDER BY expires_at ASC
+         LIMIT $3`,
+        [CLAIM_STATUS.PENDING, at, limit]
+      );
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error finding overdue prize claims', { at, limit, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelPrizeClaimRepository;
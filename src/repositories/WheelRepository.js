@@ -75,7 +75,14 @@ class WheelRepository extends BaseRepository {
                 'icon', wi.icon,
                 'description', wi.description,
                 'is_active', wi.is_active,
-                'position', wi.position
+                'position', wi.position,
+                'stock_total', wi.stock_total,
+                'stock_daily', wi.stock_daily,
+                'stock_per_member', wi.stock_per_member,
+                'is_fallback', wi.is_fallback,
+                'is_rare', wi.is_rare,
+                'tier_probabilities', wi.tier_probabilities,
+                'reward_id', wi.reward_id
               ) ORDER BY wi.position
             ) FILTER (WHERE wi.id IS NOT NULL),
             '[]'
@@ -230,10 +237,10 @@ class WheelRepository extends BaseRepository {
     try {
       const query = `
         INSERT INTO wheel_spins (
-          id, member_id, wheel_id, wheel_item_id, result_type, result_value,
-          is_winner, spin_data, created_at, updated_at
+          id, member_id, wheel_id, wheel_version_id, wheel_experiment_id, wheel_variant, wheel_item_id,
+          result_type, result_value, is_winner, spin_data, created_at, updated_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING *
       `;
 
@@ -244,6 +251,9 @@ class WheelRepository extends BaseRepository {
         uuidv4(),
         spinData.member_id,
         spinData.wheel_id,
+        spinData.wheel_version_id || null,
+        spinData.wheel_experiment_id || null,
+        spinData.wheel_variant || null,
         spinData.wheel_item_id,
         spinData.result_type,
         spinData.result_value || 0,
@@ -261,6 +271,142 @@ class WheelRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Add the value of a won prize to the wheel's spent budget
+   * @param {string} wheelId - Wheel ID
+   * @param {number} amount - Prize value charged to the budget
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Updated wheel
+   */
+  async addBudgetSpent(wheelId, amount, client = null) {
+    try {
+      const query = `
+        UPDATE wheels
+        SET budget_spent = COALESCE(budget_spent, 0) + $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [wheelId, amount], client);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error adding wheel budget spent', { wheelId, amount, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a member's spins on a wheel today
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @returns {number} - Spins today
+   */
+  async getMemberDailySpinCount(memberId, wheelId) {
+    try {
+      const result = await this.query(
+        'SELECT COUNT(*) as count FROM wheel_spins WHERE member_id = $1 AND wheel_id = $2 AND created_at >= DATE_TRUNC(\'day\', NOW())',
+        [memberId, wheelId]
+      );
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting member daily spins', { memberId, wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a member's spins on a wheel today that used the free allowance (spins paid with tickets or points are left out)
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @param {object} client - Database client (optional, to read inside the spin transaction)
+   * @returns {number} - Free spins today
+   */
+  async getMemberDailyFreeSpinCount(memberId, wheelId, client = null) {
+    try {
+      const result = await this.query(
+        `SELECT COUNT(*) as count FROM wheel_spins
+         WHERE member_id = $1 AND wheel_id = $2 AND created_at >= DATE_TRUNC('day', NOW())
+           AND COALESCE(spin_data->>'payment_method', 'free') = 'free'`,
+        [memberId, wheelId],
+        client
+      );
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting member daily free spins', { memberId, wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's latest spin on a wheel
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @param {object} client - Database client (optional, to read inside the spin transaction)
+   * @returns {object|null} - Latest spin or null
+   */
+  async getMemberLastSpin(memberId, wheelId, client = null) {
+    try {
+      const result = await this.query(
+        'SELECT * FROM wheel_spins WHERE member_id = $1 AND wheel_id = $2 ORDER BY created_at DESC LIMIT 1',
+        [memberId, wheelId],
+        client
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting member last spin', { memberId, wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's latest spins on a wheel, newest first
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @param {number} limit - Number of spins to return
+   * @param {object} client - Database client (for transaction)
+   * @returns {array} - Spins (wheel_item_id, is_winner, created_at)
+   */
+  async getMemberRecentSpins(memberId, wheelId, limit, client = null) {
+    try {
+      const result = await this.query(
+        `SELECT wheel_item_id, is_winner, created_at
+         FROM wheel_spins
+         WHERE member_id = $1 AND wheel_id = $2
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [memberId, wheelId, limit],
+        client
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting member recent spins', { memberId, wheelId, limit, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a spin with the brand of its wheel
+   * @param {string} spinId - Wheel spin ID
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {object|null} - Spin record or null
+   */
+  async findSpinById(spinId, client = null) {
+    try {
+      const result = await this.query(
+        `SELECT ws.*, w.brand_id
+         FROM wheel_spins ws
+         JOIN wheels w ON ws.wheel_id = w.id
+         WHERE ws.id = $1`,
+        [spinId],
+        client
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding wheel spin', { spinId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get member's spin history
    * @param {string} memberId - Member ID
@@ -341,14 +487,16 @@ class WheelRepository extends BaseRepository {
   /**
    * Get wheel statistics
    * @param {string} wheelId - Wheel ID
-   * @param {object} options - Query options
+   * @param {object} options - Query options (startDate, endDate, experimentId, variant)
    * @returns {object} - Wheel statistics
    */
   async getWheelStatistics(wheelId, options = {}) {
     try {
       const {
         startDate = null,
-        endDate = null
+        endDate = null,
+        experimentId = null,
+        variant = null
       } = options;
 
       let dateFilter = '';
@@ -367,6 +515,18 @@ class WheelRepository extends BaseRepository {
         paramIndex++;
       }
 
+      if (experimentId) {
+        dateFilter += ` AND ws.wheel_experiment_id = $${paramIndex}`;
+        params.push(experimentId);
+        paramIndex++;
+      }
+
+      if (variant) {
+        dateFilter += ` AND ws.wheel_variant = $${paramIndex}`;
+        params.push(variant);
+        paramIndex++;
+      }
+
       const query = `
         SELECT 
           COUNT(*) as total_spins,
@@ -374,6 +534,8 @@ class WheelRepository extends BaseRepository {
           COUNT(DISTINCT ws.member_id) as unique_spinners,
           COALESCE(SUM(ws.result_value), 0) as total_value_distributed,
           COALESCE(AVG(ws.result_value), 0) as average_value_per_spin,
+          COALESCE(SUM(ws.result_value) FILTER (WHERE ws.result_type = 'points'), 0) as points_distributed,
+          COALESCE(SUM(ws.result_value) FILTER (WHERE ws.result_type IN ('cash', 'product')), 0) as currency_value_distributed,
           COUNT(CASE WHEN ws.created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as spins_last_24h,
           COUNT(CASE WHEN ws.created_at > NOW() - INTERVAL '7 days' THEN 1 END) as spins_last_7d
         FROM wheel_spins ws
@@ -389,6 +551,8 @@ class WheelRepository extends BaseRepository {
           unique_spinners: 0,
           total_value_distributed: 0,
           average_value_per_spin: 0,
+          points_distributed: 0,
+          currency_value_distributed: 0,
           spins_last_24h: 0,
           spins_last_7d: 0,
           win_rate: 0
@@ -415,7 +579,8 @@ class WheelRepository extends BaseRepository {
     try {
       const {
         startDate = null,
-        endDate = null
+        endDate = null,
+        stockDay = null
       } = options;
 
       let dateFilter = '';
@@ -434,23 +599,34 @@ class WheelRepository extends BaseRepository {
         paramIndex++;
       }
 
+      // Stock comes from the win counters spins keep, which leave out prizes that went back into stock
+      params.push(stockDay);
+
       const query = `
         SELECT 
           wi.id,
           wi.name,
           wi.type,
           wi.probability as expected_probability,
+          wi.stock_total,
+          wi.stock_daily,
+          wi.stock_per_member,
+          wi.is_fallback,
           COUNT(ws.id) as actual_hits,
           COALESCE(SUM(ws.result_value), 0) as total_value_distributed,
           CASE 
-            WHEN (SELECT COUNT(*) FROM wheel_spins WHERE wheel_id = $1 ${dateFilter}) > 0 
-            THEN COUNT(ws.id)::float / (SELECT COUNT(*) FROM wheel_spins WHERE wheel_id = $1 ${dateFilter})
+            WHEN (SELECT COUNT(*) FROM wheel_spins ws WHERE ws.wheel_id = $1 ${dateFilter}) > 0 
+            THEN COUNT(ws.id)::float / (SELECT COUNT(*) FROM wheel_spins ws WHERE ws.wheel_id = $1 ${dateFilter})
             ELSE 0 
-          END as actual_probability
+          END as actual_probability,
+          COALESCE(stock.total_won, 0) as total_won,
+          COALESCE(daily.won, 0) as won_today
         FROM wheel_items wi
         LEFT JOIN wheel_spins ws ON wi.id = ws.wheel_item_id ${dateFilter}
+        LEFT JOIN wheel_item_stock stock ON stock.wheel_item_id = wi.id
+        LEFT JOIN wheel_item_daily_stock daily ON daily.wheel_item_id = wi.id AND daily.day = $${paramIndex}
         WHERE wi.wheel_id = $1 AND wi.is_active = true
-        GROUP BY wi.id, wi.name, wi.type, wi.probability
+        GROUP BY wi.id, wi.name, wi.type, wi.probability, stock.total_won, daily.won
         ORDER BY wi.position
       `;
 
@@ -462,6 +638,58 @@ class WheelRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Find active wheels with the time their items last changed, for probability drift checks
+   * @returns {Array} - Wheels (id, brand_id, name, items_changed_at)
+   */
+  async findActiveForDriftCheck() {
+    try {
+      const query = `
+        SELECT
+          w.id,
+          w.brand_id,
+          w.name,
+          (SELECT MAX(GREATEST(wi.created_at, wi.updated_at)) FROM wheel_items wi WHERE wi.wheel_id = w.id) as items_changed_at
+        FROM wheels w
+        WHERE w.is_active = true
+        ORDER BY w.id
+      `;
+
+      const result = await this.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding wheels for drift check', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count the outcomes of spins drawn at the configured probabilities. Spins whose odds were changed by
+   * tier probabilities, stock or budget limits or a pity rule are left out.
+   * @param {string} wheelId - Wheel ID
+   * @param {Date} since - Window start
+   * @param {Date} until - Window end
+   * @returns {Array} - Spins per item (wheel_item_id, spins)
+   */
+  async getConfiguredOddsOutcomes(wheelId, since, until) {
+    try {
+      const query = `
+        SELECT wheel_item_id, COUNT(*) as spins
+        FROM wheel_spins
+        WHERE wheel_id = $1
+        AND created_at >= $2 AND created_at < $3
+        AND COALESCE(spin_data->>'configured_odds', 'true') = 'true'
+        GROUP BY wheel_item_id
+      `;
+
+      const result = await this.query(query, [wheelId, since, until]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting wheel outcomes', { wheelId, since, until, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get brand wheel statistics
    * @param {string} brandId - Brand ID
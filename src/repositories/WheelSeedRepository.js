@@ -0,0 +1,119 @@
+/**
+ * Wheel Seed Repository
+ * Handles database operations for the provably fair seed pairs members spin with
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { WHEEL_SEED_STATUS } = constants;
+
+class WheelSeedRepository extends BaseRepository {
+  constructor() {
+    super('wheel_seeds');
+  }
+
+  /**
+   * Find the seed pair a member is currently spinning a wheel with
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @param {object} client - Database client (for transaction)
+   * @param {boolean} forUpdate - Lock the row until the transaction ends
+   * @returns {object|null} - Active seed or null
+   */
+  async findActive(memberId, wheelId, client = null, forUpdate = false) {
+    try {
+      const result = await this.query(
+        `SELECT * FROM wheel_seeds
+         WHERE member_id = $1 AND wheel_id = $2 AND status = $3
+         ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [memberId, wheelId, WHEEL_SEED_STATUS.ACTIVE],
+        client
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding active wheel seed', { memberId, wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a member's active seed pair, unless another request created it first
+   * @param {object} seedData - Seed data (member_id, wheel_id, brand_id, server_seed, server_seed_hash, client_seed)
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Created seed, or null if the member already has an active one
+   */
+  async createActive(seedData, client = null) {
+    try {
+      const query = `
+        INSERT INTO wheel_seeds (
+          id, member_id, wheel_id, brand_id, server_seed, server_seed_hash, client_seed,
+          nonce, status, created_at, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, 0, $8, NOW(), NOW())
+        ON CONFLICT (member_id, wheel_id) WHERE status = '${WHEEL_SEED_STATUS.ACTIVE}' DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        seedData.member_id,
+        seedData.wheel_id,
+        seedData.brand_id,
+        seedData.server_seed,
+        seedData.server_seed_hash,
+        seedData.client_seed,
+        WHEEL_SEED_STATUS.ACTIVE
+      ], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating wheel seed', { memberId: seedData.member_id, wheelId: seedData.wheel_id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a seed pair on to its next nonce
+   * @param {string} seedId - Seed ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Updated seed
+   */
+  async incrementNonce(seedId, client = null) {
+    try {
+      const result = await this.query(
+        'UPDATE wheel_seeds SET nonce = nonce + 1, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [seedId],
+        client
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error incrementing wheel seed nonce', { seedId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Retire a seed pair and publish its server seed
+   * @param {string} seedId - Seed ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Revealed seed
+   */
+  async reveal(seedId, client = null) {
+    try {
+      const result = await this.query(
+        `UPDATE wheel_seeds
+         SET status = $2, revealed_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [seedId, WHEEL_SEED_STATUS.REVEALED],
+        client
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error revealing wheel seed', { seedId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelSeedRepository;
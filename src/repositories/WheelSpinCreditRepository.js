@@ -0,0 +1,87 @@
+/**
+ * Wheel Spin Credit Repository
+ * Handles database operations for bonus spins members hold on a wheel
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../utils');
+
+class WheelSpinCreditRepository extends BaseRepository {
+  constructor() {
+    super('wheel_spin_credits');
+  }
+
+  /**
+   * Add bonus spins to a member's balance on a wheel
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @param {string} brandId - Brand ID
+   * @param {number} credits - Number of spins to add
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Updated credit record
+   */
+  async grant(memberId, wheelId, brandId, credits, client = null) {
+    try {
+      const query = `
+        INSERT INTO wheel_spin_credits (id, member_id, wheel_id, brand_id, credits, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+        ON CONFLICT (member_id, wheel_id) DO UPDATE SET
+          credits = wheel_spin_credits.credits + EXCLUDED.credits,
+          updated_at = NOW()
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [uuidv4(), memberId, wheelId, brandId, credits], client);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error granting bonus spins', { memberId, wheelId, credits, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the bonus spins a member has left on a wheel
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @returns {number} - Bonus spins available
+   */
+  async getBalance(memberId, wheelId) {
+    try {
+      const result = await this.query(
+        'SELECT credits FROM wheel_spin_credits WHERE member_id = $1 AND wheel_id = $2',
+        [memberId, wheelId]
+      );
+      return result.rows.length > 0 ? parseInt(result.rows[0].credits) : 0;
+    } catch (error) {
+      logger.error('Error getting bonus spin balance', { memberId, wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Use one bonus spin
+   * @param {string} memberId - Member ID
+   * @param {string} wheelId - Wheel ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Updated credit record, or null if none were left
+   */
+  async consume(memberId, wheelId, client = null) {
+    try {
+      const query = `
+        UPDATE wheel_spin_credits
+        SET credits = credits - 1, updated_at = NOW()
+        WHERE member_id = $1 AND wheel_id = $2 AND credits > 0
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [memberId, wheelId], client);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error using bonus spin', { memberId, wheelId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelSpinCreditRepository;
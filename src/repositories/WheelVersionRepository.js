@@ -0,0 +1,147 @@
+/**
+ * Wheel Version Repository
+ * Handles database operations for immutable wheel configuration versions
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseRepository = require('./BaseRepository');
+const { logger, constants } = require('../utils');
+const { WHEEL_VERSION_STATUS } = constants;
+
+// Item settings a version keeps; everything the draw and prize fulfilment depend on
+const VERSION_ITEM_FIELDS = [
+  'id', 'name', 'type', 'value', 'probability', 'color', 'icon', 'description', 'position', 'is_active',
+  'stock_total', 'stock_daily', 'stock_per_member', 'is_fallback', 'is_rare', 'tier_probabilities', 'reward_id'
+];
+
+// Numeric columns the driver returns as strings; stored as numbers so versions compare cleanly
+const NUMERIC_ITEM_FIELDS = ['value', 'probability'];
+
+class WheelVersionRepository extends BaseRepository {
+  constructor() {
+    super('wheel_versions');
+  }
+
+  /**
+   * Create the wheel's next version
+   * @param {object} versionData - Version data (wheel_id, brand_id, status, items, pity_rules, notes,
+   *   rolled_back_from, created_by, published_by, published_at)
+   * @param {object} client - Database client (for transaction; lock the wheel first so version numbers do not collide)
+   * @returns {object} - Created version
+   */
+  async createVersion(versionData, client = null) {
+    try {
+      const config = {
+        items: versionData.items.map((item, index) => {
+          const versionItem = {};
+          for (const field of VERSION_ITEM_FIELDS) {
+            if (item[field] !== undefined) {
+              versionItem[field] = NUMERIC_ITEM_FIELDS.includes(field) && item[field] !== null
+                ? Number(item[field])
+                : item[field];
+            }
+          }
+          versionItem.position = item.position || index;
+          return versionItem;
+        }),
+        pity_rules: versionData.pity_rules || []
+      };
+
+      const query = `
+        INSERT INTO wheel_versions (
+          id, wheel_id, brand_id, version_number, status, config, notes, rolled_back_from,
+          created_by, published_by, published_at, created_at, updated_at
+        )
+        VALUES (
+          $1, $2, $3,
+          (SELECT COALESCE(MAX(version_number), 0) + 1 FROM wheel_versions WHERE wheel_id = $2),
+          $4, $5, $6, $7, $8, $9, $10, NOW(), NOW()
+        )
+        RETURNING *
+      `;
+
+      const result = await this.query(query, [
+        uuidv4(),
+        versionData.wheel_id,
+        versionData.brand_id,
+        versionData.status || WHEEL_VERSION_STATUS.DRAFT,
+        JSON.stringify(config),
+        versionData.notes || null,
+        versionData.rolled_back_from || null,
+        versionData.created_by || null,
+        versionData.published_by || null,
+        versionData.published_at || null
+      ], client);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating wheel version', { wheelId: versionData.wheel_id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a wheel's versions with pagination, newest first
+   * @param {string} wheelId - Wheel ID
+   * @param {object} options - Query options (page, limit, status)
+   * @returns {object} - Versions and pagination
+   */
+  async findByWheel(wheelId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+
+      const where = { wheel_id: wheelId };
+      if (status) {
+        where.status = status;
+      }
+
+      return await this.paginate({ page, limit, where, orderBy: 'version_number', order: 'DESC' });
+    } catch (error) {
+      logger.error('Error finding wheel versions', { wheelId, options, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the IDs of every item any version of a wheel has configured
+   * @param {string} wheelId - Wheel ID
+   * @returns {Array} - Item IDs
+   */
+  async findItemIds(wheelId) {
+    try {
+      const result = await this.query(
+        `SELECT DISTINCT item->>'id' AS id
+         FROM wheel_versions, JSONB_ARRAY_ELEMENTS(config->'items') AS item
+         WHERE wheel_id = $1`,
+        [wheelId]
+      );
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error finding wheel version item IDs', { wheelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find scheduled versions whose publish time has come, earliest first
+   * @param {Date} at - Cut-off time
+   * @param {number} limit - Maximum number of versions
+   * @returns {Array} - Version IDs
+   */
+  async findDueScheduled(at, limit = 100) {
+    try {
+      const result = await this.query(
+        `SELECT id FROM wheel_versions
+         WHERE status = $1 AND publish_at <= $2
+         ORDER BY publish_at ASC, version_number ASC
+         LIMIT $3`,
+        [WHEEL_VERSION_STATUS.SCHEDULED, at, limit]
+      );
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error finding due wheel versions', { at, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = WheelVersionRepository;
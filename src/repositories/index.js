@@ -8,10 +8,36 @@ const BrandRepository = require('./BrandRepository');
 const UserRepository = require('./UserRepository');
 const MemberRepository = require('./MemberRepository');
 const WheelRepository = require('./WheelRepository');
+const WheelItemRepository = require('./WheelItemRepository');
+const WheelItemStockRepository = require('./WheelItemStockRepository');
+const WheelSpinCreditRepository = require('./WheelSpinCreditRepository');
+const WheelPrizeClaimRepository = require('./WheelPrizeClaimRepository');
+const WheelSeedRepository = require('./WheelSeedRepository');
+const SpinTicketRepository = require('./SpinTicketRepository');
+const WheelDriftCheckRepository = require('./WheelDriftCheckRepository');
+const WheelVersionRepository = require('./WheelVersionRepository');
+const WheelExperimentRepository = require('./WheelExperimentRepository');
 const MissionRepository = require('./MissionRepository');
 const MissionCompletionRepository = require('./MissionCompletionRepository');
+const MissionProgressRepository = require('./MissionProgressRepository');
+const QuestRepository = require('./QuestRepository');
+const StreakRepository = require('./StreakRepository');
 const TransactionRepository = require('./TransactionRepository');
 const AuditLogRepository = require('./AuditLogRepository');
+const RewardRepository = require('./RewardRepository');
+const RewardCodeRepository = require('./RewardCodeRepository');
+const RewardRedemptionRepository = require('./RewardRedemptionRepository');
+const NotificationRepository = require('./NotificationRepository');
+const WebhookSubscriptionRepository = require('./WebhookSubscriptionRepository');
+const WebhookDeliveryRepository = require('./WebhookDeliveryRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const IngestedEventRepository = require('./IngestedEventRepository');
+const PointsRuleRepository = require('./PointsRuleRepository');
+const PointsRuleApplicationRepository = require('./PointsRuleApplicationRepository');
+const PointsLotRepository = require('./PointsLotRepository');
+const LedgerRepository = require('./LedgerRepository');
+const LedgerSnapshotRepository = require('./LedgerSnapshotRepository');
+const IdempotencyKeyRepository = require('./IdempotencyKeyRepository');
 
 module.exports = {
   BaseRepository,
@@ -19,8 +45,34 @@ module.exports = {
   UserRepository,
   MemberRepository,
   WheelRepository,
+  WheelItemRepository,
+  WheelItemStockRepository,
+  WheelSpinCreditRepository,
+  WheelPrizeClaimRepository,
+  WheelSeedRepository,
+  SpinTicketRepository,
+  WheelDriftCheckRepository,
+  WheelVersionRepository,
+  WheelExperimentRepository,
   MissionRepository,
   MissionCompletionRepository,
+  MissionProgressRepository,
+  QuestRepository,
+  StreakRepository,
   TransactionRepository,
-  AuditLogRepository
+  AuditLogRepository,
+  RewardRepository,
+  RewardCodeRepository,
+  RewardRedemptionRepository,
+  NotificationRepository,
+  WebhookSubscriptionRepository,
+  WebhookDeliveryRepository,
+  ApiKeyRepository,
+  IngestedEventRepository,
+  PointsRuleRepository,
+  PointsRuleApplicationRepository,
+  PointsLotRepository,
+  LedgerRepository,
+  LedgerSnapshotRepository,
+  IdempotencyKeyRepository
 };
\ No newline at end of file
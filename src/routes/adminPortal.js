@@ -12,9 +12,20 @@ const {
   MissionController, 
   WheelController, 
   TransactionController,
-  TierController 
+  TierController,
+  RewardController,
+  WebhookController,
+  ApiKeyController,
+  IngestController,
+  PointsRuleController,
+  LedgerController,
+  PrizeClaimController,
+  SpinTicketController,
+  WheelVersionController,
+  WheelExperimentController,
+  QuestController
 } = require('../controllers');
-const { auth, validation, rateLimit, brandContext } = require('../middleware');
+const { auth, validation, rateLimit, brandContext, idempotency } = require('../middleware');
 const { 
   adminValidators, 
   userValidators, 
@@ -23,7 +34,13 @@ const {
   missionValidators, 
   wheelValidators, 
   transactionValidators,
-  tierValidators 
+  tierValidators,
+  rewardValidators,
+  webhookValidators,
+  apiKeyValidators,
+  ingestValidators,
+  pointsRuleValidators,
+  ledgerValidators 
 } = require('../validators');
 
 const router = express.Router();
@@ -269,6 +286,21 @@ router.put('/brands/:brandId/members/:id',
   MemberController.updateMember
 );
 
+/**
+ * @route   POST /api/admin/brands/:brandId/members/:id/points
+ * @desc    Credit or debit member points (honours Idempotency-Key)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/members/:id/points',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(memberValidators.updateMemberPointsSchema),
+  idempotency.idempotent,
+  MemberController.updateMemberPoints
+);
+
 // =============================================================================
 // MISSION MANAGEMENT ROUTES
 // =============================================================================
@@ -301,6 +333,63 @@ router.post('/brands/:brandId/missions',
   MissionController.createMission
 );
 
+/**
+ * @route   GET /api/admin/brands/:brandId/quests
+ * @desc    List brand quests
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/quests',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.listQuestsSchema, 'query'),
+  QuestController.listQuests
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/quests
+ * @desc    Create a quest from ordered mission steps (honours Idempotency-Key)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/quests',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.createQuestSchema),
+  idempotency.idempotent,
+  QuestController.createQuest
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/quests/:questId
+ * @desc    Get a quest
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/quests/:questId',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.getQuestSchema),
+  QuestController.getQuest
+);
+
+/**
+ * @route   PUT /api/admin/brands/:brandId/quests/:questId
+ * @desc    Update a quest's details, steps, bonus or status
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.put('/brands/:brandId/quests/:questId',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.updateQuestSchema),
+  QuestController.updateQuest
+);
+
 // =============================================================================
 // WHEEL MANAGEMENT ROUTES
 // =============================================================================
@@ -333,6 +422,311 @@ router.post('/brands/:brandId/wheels',
   WheelController.createWheel
 );
 
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/simulate
+ * @desc    Simulate spins against the current or a proposed wheel configuration (no spins are recorded)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/simulate',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.simulateWheelSchema),
+  WheelController.simulateWheel
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/wheels/:id/drift
+ * @desc    Get the latest probability drift checks (observed vs expected rate per item)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/wheels/:id/drift',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getWheelDriftSchema),
+  WheelController.getWheelDrift
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/wheels/:id/versions
+ * @desc    List wheel configuration versions, newest first
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/wheels/:id/versions',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.listWheelVersionsSchema, 'query'),
+  WheelVersionController.listVersions
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/versions
+ * @desc    Save a draft wheel version (honours Idempotency-Key)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/versions',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.createWheelVersionSchema),
+  idempotency.idempotent,
+  WheelVersionController.createDraft
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/wheels/:id/versions/diff
+ * @desc    Compare two wheel versions
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/wheels/:id/versions/diff',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.diffWheelVersionsSchema, 'query'),
+  WheelVersionController.diffVersions
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/wheels/:id/versions/:versionId
+ * @desc    Get a wheel version with its configuration
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/wheels/:id/versions/:versionId',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getWheelVersionSchema),
+  WheelVersionController.getVersion
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/versions/:versionId/publish
+ * @desc    Publish a wheel version now, or schedule it with publish_at
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/versions/:versionId/publish',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.publishWheelVersionSchema),
+  WheelVersionController.publishVersion
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/versions/:versionId/unschedule
+ * @desc    Cancel a scheduled wheel version publish
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/versions/:versionId/unschedule',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.unscheduleWheelVersionSchema),
+  WheelVersionController.unscheduleVersion
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/versions/:versionId/rollback
+ * @desc    Roll back to a wheel version by publishing a copy of it
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/versions/:versionId/rollback',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.rollbackWheelVersionSchema),
+  WheelVersionController.rollbackToVersion
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/wheels/:id/experiments
+ * @desc    List wheel A/B experiments, newest first
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/wheels/:id/experiments',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.listWheelExperimentsSchema, 'query'),
+  WheelExperimentController.listExperiments
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/experiments
+ * @desc    Create a draft wheel A/B experiment (honours Idempotency-Key)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/experiments',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.createWheelExperimentSchema),
+  idempotency.idempotent,
+  WheelExperimentController.createExperiment
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId
+ * @desc    Get a wheel A/B experiment
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/wheels/:id/experiments/:experimentId',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getWheelExperimentSchema),
+  WheelExperimentController.getExperiment
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId/start
+ * @desc    Start bucketing members into the experiment's variants
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/experiments/:experimentId/start',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.startWheelExperimentSchema),
+  WheelExperimentController.startExperiment
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId/stop
+ * @desc    Stop a running wheel A/B experiment
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/wheels/:id/experiments/:experimentId/stop',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.stopWheelExperimentSchema),
+  WheelExperimentController.stopExperiment
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/wheels/:id/experiments/:experimentId/results
+ * @desc    Compare spin rate, prize cost and engagement across variants
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/wheels/:id/experiments/:experimentId/results',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getWheelExperimentResultsSchema),
+  WheelExperimentController.getExperimentResults
+);
+
+// =============================================================================
+// PRIZE CLAIM ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/prize-claims
+ * @desc    List wheel prize claims (review queue, oldest first)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/prize-claims',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.listPrizeClaimsSchema, 'query'),
+  PrizeClaimController.listClaims
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/prize-claims/:id/approve
+ * @desc    Approve a submitted prize claim
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/prize-claims/:id/approve',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.approvePrizeClaimSchema),
+  PrizeClaimController.approveClaim
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/prize-claims/:id/reject
+ * @desc    Reject a prize claim and return the prize to stock
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/prize-claims/:id/reject',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.rejectPrizeClaimSchema),
+  PrizeClaimController.rejectClaim
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/prize-claims/:id/ship
+ * @desc    Mark an approved product prize as shipped
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/prize-claims/:id/ship',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.shipPrizeClaimSchema),
+  PrizeClaimController.shipClaim
+);
+
+// =============================================================================
+// SPIN TICKET ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/members/:memberId/spin-tickets
+ * @desc    Get a member's spin ticket balance and history
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/members/:memberId/spin-tickets',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getMemberSpinTicketsSchema),
+  SpinTicketController.getMemberTickets
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/members/:memberId/spin-tickets
+ * @desc    Give a member spin tickets (honours Idempotency-Key)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/members/:memberId/spin-tickets',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.grantSpinTicketsSchema),
+  idempotency.idempotent,
+  SpinTicketController.grantTickets
+);
+
 // =============================================================================
 // TRANSACTION MANAGEMENT ROUTES
 // =============================================================================
@@ -351,36 +745,541 @@ router.get('/brands/:brandId/transactions',
   TransactionController.listTransactions
 );
 
-// =============================================================================
-// TIER MANAGEMENT ROUTES
-// =============================================================================
-
 /**
- * @route   GET /api/admin/brands/:brandId/tiers
- * @desc    List brand tiers
+ * @route   POST /api/admin/brands/:brandId/transactions
+ * @desc    Create a transaction (honours Idempotency-Key)
  * @access  Private (Super Admin, Brand Admin)
  */
-router.get('/brands/:brandId/tiers',
+router.post('/brands/:brandId/transactions',
   auth.authenticate,
   brandContext.validateBrandOwnership,
   auth.requireRole(['super_admin', 'brand_admin']),
   rateLimit.generalRateLimit,
-  validation.validate(tierValidators.listTiersSchema, 'query'),
-  TierController.listTiers
+  validation.validate(transactionValidators.createTransactionSchema),
+  idempotency.idempotent,
+  TransactionController.createTransaction
 );
 
 /**
- * @route   POST /api/admin/brands/:brandId/tiers
- * @desc    Create a new tier
+ * @route   GET /api/admin/brands/:brandId/transactions/:id/points-rules
+ * @desc    Get the points rules that produced a transaction
  * @access  Private (Super Admin, Brand Admin)
  */
-router.post('/brands/:brandId/tiers',
+router.get('/brands/:brandId/transactions/:id/points-rules',
   auth.authenticate,
   brandContext.validateBrandOwnership,
   auth.requireRole(['super_admin', 'brand_admin']),
   rateLimit.generalRateLimit,
-  validation.validate(tierValidators.createTierSchema),
-  TierController.createTier
+  validation.validate(pointsRuleValidators.getTransactionPointsRulesSchema),
+  PointsRuleController.getTransactionApplications
+);
+
+// =============================================================================
+// POINTS RULE ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/points-rules
+ * @desc    List brand points earning rules
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/points-rules',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(pointsRuleValidators.listPointsRulesSchema, 'query'),
+  PointsRuleController.listRules
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/points-rules
+ * @desc    Create points earning rule
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/points-rules',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(pointsRuleValidators.createPointsRuleSchema),
+  PointsRuleController.createRule
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/points-rules/preview
+ * @desc    Preview the points an activity would earn (dry run)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/points-rules/preview',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(pointsRuleValidators.previewPointsSchema),
+  PointsRuleController.previewPoints
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/points-rules/:id
+ * @desc    Get points rule details
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/points-rules/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(pointsRuleValidators.getPointsRuleSchema),
+  PointsRuleController.getRuleById
+);
+
+/**
+ * @route   PUT /api/admin/brands/:brandId/points-rules/:id
+ * @desc    Update points rule
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.put('/brands/:brandId/points-rules/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(pointsRuleValidators.updatePointsRuleSchema),
+  PointsRuleController.updateRule
+);
+
+/**
+ * @route   DELETE /api/admin/brands/:brandId/points-rules/:id
+ * @desc    Delete points rule that has never awarded points
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.delete('/brands/:brandId/points-rules/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(pointsRuleValidators.deletePointsRuleSchema),
+  PointsRuleController.deleteRule
+);
+
+// =============================================================================
+// TIER MANAGEMENT ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/tiers
+ * @desc    List brand tiers
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/tiers',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(tierValidators.listTiersSchema, 'query'),
+  TierController.listTiers
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/tiers
+ * @desc    Create a new tier
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/tiers',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(tierValidators.createTierSchema),
+  TierController.createTier
+);
+
+// =============================================================================
+// REWARD MANAGEMENT ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/rewards
+ * @desc    List brand rewards catalog
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/rewards',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.listRewardsSchema, 'query'),
+  RewardController.listRewards
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/rewards
+ * @desc    Create a new reward
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/rewards',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.createRewardSchema),
+  RewardController.createReward
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/rewards/:id
+ * @desc    Get reward details
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/rewards/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.getRewardSchema),
+  RewardController.getRewardById
+);
+
+/**
+ * @route   PUT /api/admin/brands/:brandId/rewards/:id
+ * @desc    Update reward
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.put('/brands/:brandId/rewards/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.updateRewardSchema),
+  RewardController.updateReward
+);
+
+/**
+ * @route   DELETE /api/admin/brands/:brandId/rewards/:id
+ * @desc    Delete reward
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.delete('/brands/:brandId/rewards/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.deleteRewardSchema),
+  RewardController.deleteReward
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/rewards/:id/codes
+ * @desc    Load codes into a reward's code pool
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/rewards/:id/codes',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.importRewardCodesSchema),
+  RewardController.importRewardCodes
+);
+
+// =============================================================================
+// REDEMPTION MANAGEMENT ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/redemptions
+ * @desc    List reward redemptions
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/redemptions',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.listRedemptionsSchema, 'query'),
+  RewardController.listRedemptions
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/redemptions/:id/fulfill
+ * @desc    Mark a redemption as fulfilled
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/redemptions/:id/fulfill',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.fulfillRedemptionSchema),
+  RewardController.fulfillRedemption
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/redemptions/:id/cancel
+ * @desc    Cancel a redemption and refund its points
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/redemptions/:id/cancel',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.cancelRedemptionSchema),
+  RewardController.cancelRedemption
+);
+
+// =============================================================================
+// WEBHOOK MANAGEMENT ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/webhooks
+ * @desc    List brand webhook subscriptions
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/webhooks',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.listWebhooksSchema, 'query'),
+  WebhookController.listSubscriptions
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/webhooks
+ * @desc    Create a webhook subscription
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/webhooks',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.createWebhookSchema),
+  WebhookController.createSubscription
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/webhooks/:id
+ * @desc    Get webhook subscription details
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/webhooks/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.getWebhookSchema),
+  WebhookController.getSubscriptionById
+);
+
+/**
+ * @route   PUT /api/admin/brands/:brandId/webhooks/:id
+ * @desc    Update webhook subscription
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.put('/brands/:brandId/webhooks/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.updateWebhookSchema),
+  WebhookController.updateSubscription
+);
+
+/**
+ * @route   DELETE /api/admin/brands/:brandId/webhooks/:id
+ * @desc    Delete webhook subscription
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.delete('/brands/:brandId/webhooks/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.deleteWebhookSchema),
+  WebhookController.deleteSubscription
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/webhooks/:id/deliveries
+ * @desc    List the delivery log of a webhook subscription
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/webhooks/:id/deliveries',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.listWebhookDeliveriesSchema, 'query'),
+  WebhookController.listDeliveries
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/webhooks/:id/test
+ * @desc    Send a test event to a webhook subscription
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/webhooks/:id/test',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.testWebhookSchema),
+  WebhookController.sendTestEvent
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/webhook-deliveries/:id/redeliver
+ * @desc    Resend a webhook delivery
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/webhook-deliveries/:id/redeliver',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(webhookValidators.redeliverWebhookSchema),
+  WebhookController.redeliver
+);
+
+// =============================================================================
+// API KEY MANAGEMENT ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/api-keys
+ * @desc    List brand API keys
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/api-keys',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(apiKeyValidators.listApiKeysSchema, 'query'),
+  ApiKeyController.listApiKeys
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/api-keys
+ * @desc    Create a scoped API key (the key is only returned once)
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/api-keys',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(apiKeyValidators.createApiKeySchema),
+  ApiKeyController.createApiKey
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/api-keys/:id
+ * @desc    Get API key details
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/api-keys/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(apiKeyValidators.getApiKeySchema),
+  ApiKeyController.getApiKeyById
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/api-keys/:id/revoke
+ * @desc    Revoke an API key
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/api-keys/:id/revoke',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(apiKeyValidators.revokeApiKeySchema),
+  ApiKeyController.revokeApiKey
+);
+
+// =============================================================================
+// INGESTED EVENT ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/ingested-events
+ * @desc    List events pushed through the ingestion API
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/ingested-events',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(ingestValidators.listIngestedEventsSchema, 'query'),
+  IngestController.listEvents
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/ingested-events/:id
+ * @desc    Get ingested event details
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/ingested-events/:id',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(ingestValidators.getIngestedEventSchema),
+  IngestController.getEventById
+);
+
+/**
+ * @route   POST /api/admin/brands/:brandId/ingested-events/:id/replay
+ * @desc    Process a failed ingested event again
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.post('/brands/:brandId/ingested-events/:id/replay',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(ingestValidators.replayIngestedEventSchema),
+  IngestController.replayEvent
+);
+
+// =============================================================================
+// POINTS LEDGER ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/admin/brands/:brandId/ledger/reconciliation
+ * @desc    Report members whose cached balance disagrees with the points ledger
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/ledger/reconciliation',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(ledgerValidators.getReconciliationSchema, 'query'),
+  LedgerController.getReconciliation
+);
+
+/**
+ * @route   GET /api/admin/brands/:brandId/members/:memberId/ledger
+ * @desc    Get a member's points ledger entries and balance snapshots
+ * @access  Private (Super Admin, Brand Admin)
+ */
+router.get('/brands/:brandId/members/:memberId/ledger',
+  auth.authenticate,
+  brandContext.validateBrandOwnership,
+  auth.requireRole(['super_admin', 'brand_admin']),
+  rateLimit.generalRateLimit,
+  validation.validate(ledgerValidators.getMemberLedgerSchema, 'query'),
+  LedgerController.getMemberLedger
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Fairness Routes
+ * Public endpoints for checking provably fair wheel spins
+ */
+
+const express = require('express');
+const { WheelFairnessController } = require('../controllers');
+const { validation, rateLimit } = require('../middleware');
+const { wheelValidators } = require('../validators');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/fairness/spins/:spinId
+ * @desc    Reveal the seeds of a provably fair spin and recompute its outcome
+ * @access  Public
+ */
+router.get('/spins/:spinId',
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.verifySpinSchema),
+  WheelFairnessController.verifySpin
+);
+
+module.exports = router;
@@ -8,6 +8,11 @@ const authRoutes = require('./auth');
 // Portal routes
 const adminPortalRoutes = require('./adminPortal');
 const memberPortalRoutes = require('./memberPortal');
+// Server-to-server routes
+const ingestRoutes = require('./ingest');
+const integrationRoutes = require('./integration');
+// Public verification routes
+const fairnessRoutes = require('./fairness');
 const { errorHandler } = require('../middleware');
 const { response } = require('../utils');
 
@@ -45,6 +50,9 @@ router.get('/', (req, res) => {
       auth: '/api/auth',
       admin: '/api/admin',
       member: '/api/member',
+      ingest: '/api/ingest',
+      integration: '/api/integration',
+      fairness: '/api/fairness',
       health: '/api/health'
     },
     documentation: '/api/docs',
@@ -65,6 +73,15 @@ router.use('/admin', adminPortalRoutes);
 // Member Portal routes - Member-facing access
 router.use('/member', memberPortalRoutes);
 
+// Ingestion routes - Brand backends pushing events with API keys
+router.use('/ingest', ingestRoutes);
+
+// Integration routes - Brand backends acting on members with scoped API keys
+router.use('/integration', integrationRoutes);
+
+// Fairness routes - Anyone can verify a provably fair spin
+router.use('/fairness', fairnessRoutes);
+
 // Legacy routes have been removed - use /api/admin/* and /api/member/* instead
 
 // 404 handler for undefined routes
@@ -0,0 +1,28 @@
+/**
+ * Ingest Routes
+ * Server-to-server endpoints for brand backends, authenticated with scoped API keys
+ */
+
+const express = require('express');
+const { IngestController } = require('../controllers');
+const { auth, validation, rateLimit } = require('../middleware');
+const { ingestValidators } = require('../validators');
+const { constants } = require('../utils');
+const { API_KEY_SCOPES } = constants;
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/ingest/events
+ * @desc    Ingest a single event or a batch of events (purchase, deposit, login, referral signup)
+ * @access  API Key (events:ingest)
+ */
+router.post('/events',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope([API_KEY_SCOPES.EVENTS_INGEST]),
+  validation.validate(ingestValidators.ingestEventsSchema),
+  IngestController.ingestEvents
+);
+
+module.exports = router;
@@ -0,0 +1,158 @@
+/**
+ * Integration Routes
+ * Server-to-server endpoints for brand backends acting on their members, authenticated with scoped API keys
+ * The brand is always the one that owns the key
+ */
+
+const express = require('express');
+const { MemberController, MissionController, WheelController, RewardController } = require('../controllers');
+const { auth, validation, rateLimit, idempotency } = require('../middleware');
+const { memberValidators, missionValidators, wheelValidators, rewardValidators } = require('../validators');
+const { constants } = require('../utils');
+const { API_KEY_SCOPES, TRANSACTION_TYPES } = constants;
+
+const router = express.Router();
+
+/**
+ * Require the scope matching the points adjustment type (points:credit or points:debit)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const requirePointsScope = (req, res, next) => {
+  const scope = req.body.type === TRANSACTION_TYPES.DEBIT
+    ? API_KEY_SCOPES.POINTS_DEBIT
+    : API_KEY_SCOPES.POINTS_CREDIT;
+
+  return auth.requireApiKeyScope(scope)(req, res, next);
+};
+
+// =============================================================================
+// MEMBER ROUTES
+// =============================================================================
+
+/**
+ * @route   POST /api/integration/members
+ * @desc    Create a member
+ * @access  API Key (members:write)
+ */
+router.post('/members',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope(API_KEY_SCOPES.MEMBERS_WRITE),
+  validation.validate(memberValidators.createMemberSchema),
+  auth.useApiKeyBrand,
+  MemberController.createMember
+);
+
+/**
+ * @route   GET /api/integration/members/:id
+ * @desc    Get a member
+ * @access  API Key (members:read)
+ */
+router.get('/members/:id',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope(API_KEY_SCOPES.MEMBERS_READ),
+  validation.validate(memberValidators.getMemberSchema),
+  auth.useApiKeyBrand,
+  MemberController.getMemberById
+);
+
+/**
+ * @route   PUT /api/integration/members/:id
+ * @desc    Update a member
+ * @access  API Key (members:write)
+ */
+router.put('/members/:id',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope(API_KEY_SCOPES.MEMBERS_WRITE),
+  validation.validate(memberValidators.updateMemberSchema),
+  auth.useApiKeyBrand,
+  MemberController.updateMember
+);
+
+// =============================================================================
+// POINTS ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/integration/members/:id/transactions
+ * @desc    Get a member's points transactions
+ * @access  API Key (points:read)
+ */
+router.get('/members/:id/transactions',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope(API_KEY_SCOPES.POINTS_READ),
+  validation.validate(memberValidators.getMemberTransactionsSchema),
+  auth.useApiKeyBrand,
+  MemberController.getMemberTransactions
+);
+
+/**
+ * @route   POST /api/integration/members/:id/points
+ * @desc    Credit or debit member points (honours Idempotency-Key)
+ * @access  API Key (points:credit for credits, points:debit for debits)
+ */
+router.post('/members/:id/points',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.useApiKeyBrand,
+  validation.validate(memberValidators.updateMemberPointsSchema),
+  requirePointsScope,
+  idempotency.idempotent,
+  MemberController.updateMemberPoints
+);
+
+// =============================================================================
+// ENGAGEMENT ROUTES
+// =============================================================================
+
+/**
+ * @route   POST /api/integration/missions/:id/complete
+ * @desc    Complete a mission for a member (honours Idempotency-Key)
+ * @access  API Key (missions:complete)
+ */
+router.post('/missions/:id/complete',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope(API_KEY_SCOPES.MISSIONS_COMPLETE),
+  validation.validate(missionValidators.completeMissionSchema),
+  auth.useApiKeyBrand,
+  idempotency.idempotent,
+  MissionController.completeMission
+);
+
+/**
+ * @route   POST /api/integration/wheels/:id/spin
+ * @desc    Spin a wheel for a member (honours Idempotency-Key)
+ * @access  API Key (wheels:spin)
+ */
+router.post('/wheels/:id/spin',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope(API_KEY_SCOPES.WHEELS_SPIN),
+  validation.validate(wheelValidators.spinWheelSchema),
+  auth.useApiKeyBrand,
+  idempotency.idempotent,
+  WheelController.spinWheel
+);
+
+/**
+ * @route   POST /api/integration/rewards/:id/redeem
+ * @desc    Redeem a reward for a member (honours Idempotency-Key)
+ * @access  API Key (rewards:redeem)
+ */
+router.post('/rewards/:id/redeem',
+  auth.validateApiKey,
+  rateLimit.apiKeyRateLimit,
+  auth.requireApiKeyScope(API_KEY_SCOPES.REWARDS_REDEEM),
+  validation.validate(rewardValidators.redeemRewardForMemberSchema),
+  auth.useApiKeyBrand,
+  idempotency.idempotent,
+  RewardController.redeemReward
+);
+
+module.exports = router;
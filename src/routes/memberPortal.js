@@ -4,9 +4,19 @@
  */
 
 const express = require('express');
-const { MemberController, WheelController, MissionController, TransactionController } = require('../controllers');
-const { auth, validation, rateLimit, brandContext } = require('../middleware');
-const { memberValidators, wheelValidators, missionValidators } = require('../validators');
+const {
+  MemberController,
+  WheelController,
+  WheelFairnessController,
+  MissionController,
+  TransactionController,
+  PrizeClaimController,
+  SpinTicketController,
+  QuestController,
+  StreakController
+} = require('../controllers');
+const { auth, validation, rateLimit, brandContext, idempotency } = require('../middleware');
+const { memberValidators, wheelValidators, missionValidators, rewardValidators, notificationValidators } = require('../validators');
 
 const router = express.Router();
 
@@ -21,6 +31,18 @@ router.get('/profile',
   MemberController.getMemberProfile
 );
 
+/**
+ * @route   GET /api/member/dashboard
+ * @desc    Get member dashboard: profile, recent transactions and check-in streak
+ * @access  Private (Member)
+ */
+router.get('/dashboard',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.getStreakSchema, 'query'),
+  MemberController.getMemberDashboard
+);
+
 /**
  * @route   PUT /api/member/profile
  * @desc    Update member profile
@@ -69,13 +91,14 @@ router.get('/missions',
 
 /**
  * @route   POST /api/member/missions/:id/complete
- * @desc    Complete a mission
+ * @desc    Complete a mission (honours Idempotency-Key)
  * @access  Private (Member)
  */
 router.post('/missions/:id/complete',
   auth.authenticateMember,
   rateLimit.generalRateLimit,
   validation.validate(missionValidators.completeMissionSchema),
+  idempotency.idempotent,
   MissionController.completeMemberMission
 );
 
@@ -91,6 +114,89 @@ router.get('/missions/completed',
   MissionController.getMemberCompletedMissions
 );
 
+/**
+ * @route   GET /api/member/missions/rewards
+ * @desc    Get mission rewards waiting to be claimed, soonest deadline first
+ * @access  Private (Member)
+ */
+router.get('/missions/rewards',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  MissionController.getMemberClaimableRewards
+);
+
+/**
+ * @route   POST /api/member/missions/rewards/:completion_id/claim
+ * @desc    Claim a completed mission's reward before its deadline (honours Idempotency-Key)
+ * @access  Private (Member)
+ */
+router.post('/missions/rewards/:completion_id/claim',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.claimMissionRewardSchema),
+  idempotency.idempotent,
+  MissionController.claimMemberMissionReward
+);
+
+/**
+ * @route   GET /api/member/quests
+ * @desc    Get active quests with the member's progress through their steps
+ * @access  Private (Member)
+ */
+router.get('/quests',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  QuestController.getMemberQuests
+);
+
+/**
+ * @route   GET /api/member/quests/:questId
+ * @desc    Get a quest with its completed, unlocked and locked steps
+ * @access  Private (Member)
+ */
+router.get('/quests/:questId',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.getMemberQuestSchema),
+  QuestController.getMemberQuest
+);
+
+/**
+ * @route   POST /api/member/check-in
+ * @desc    Check in for today, extending the member's streak (repeat check-ins the same day change nothing)
+ * @access  Private (Member)
+ */
+router.post('/check-in',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  StreakController.checkIn
+);
+
+/**
+ * @route   GET /api/member/streak
+ * @desc    Get member's check-in streak, freezes, next milestone and streak calendar for a month
+ * @access  Private (Member)
+ */
+router.get('/streak',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.getStreakSchema, 'query'),
+  StreakController.getStreak
+);
+
+/**
+ * @route   POST /api/member/streak/freezes/purchase
+ * @desc    Buy streak freezes with points (honours Idempotency-Key)
+ * @access  Private (Member)
+ */
+router.post('/streak/freezes/purchase',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(missionValidators.purchaseStreakFreezesSchema),
+  idempotency.idempotent,
+  StreakController.purchaseFreezes
+);
+
 /**
  * @route   GET /api/member/transactions
  * @desc    Get member transaction history
@@ -116,13 +222,14 @@ router.get('/wheels',
 
 /**
  * @route   POST /api/member/wheels/:id/spin
- * @desc    Spin a wheel
+ * @desc    Spin a wheel, paying with the free allowance, spin tickets or points (honours Idempotency-Key)
  * @access  Private (Member)
  */
 router.post('/wheels/:id/spin',
   auth.authenticateMember,
   rateLimit.wheelSpinRateLimit,
   validation.validate(wheelValidators.spinWheelSchema),
+  idempotency.idempotent,
   WheelController.spinMemberWheel
 );
 
@@ -138,6 +245,90 @@ router.get('/wheels/:id/history',
   WheelController.getMemberWheelHistory
 );
 
+/**
+ * @route   GET /api/member/wheels/:id/fairness
+ * @desc    Get the provably fair seed pair (server seed hash, client seed, nonce) for the next spin
+ * @access  Private (Member)
+ */
+router.get('/wheels/:id/fairness',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getWheelSeedSchema),
+  WheelFairnessController.getMemberSeed
+);
+
+/**
+ * @route   POST /api/member/wheels/:id/fairness/rotate
+ * @desc    Reveal the current server seed and start a new seed pair, optionally with a chosen client seed
+ * @access  Private (Member)
+ */
+router.post('/wheels/:id/fairness/rotate',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.rotateWheelSeedSchema),
+  WheelFairnessController.rotateMemberSeed
+);
+
+/**
+ * @route   GET /api/member/prize-claims
+ * @desc    Get member's wheel prize claims
+ * @access  Private (Member)
+ */
+router.get('/prize-claims',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getMemberPrizeClaimsSchema, 'query'),
+  PrizeClaimController.getMemberClaims
+);
+
+/**
+ * @route   POST /api/member/prize-claims/:id/submit
+ * @desc    Submit shipping address or bank details for a won prize
+ * @access  Private (Member)
+ */
+router.post('/prize-claims/:id/submit',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.submitPrizeClaimSchema),
+  PrizeClaimController.submitMemberClaim
+);
+
+/**
+ * @route   GET /api/member/spin-tickets
+ * @desc    Get member's spin ticket balance and the ticket price in points
+ * @access  Private (Member)
+ */
+router.get('/spin-tickets',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  SpinTicketController.getMyWallet
+);
+
+/**
+ * @route   GET /api/member/spin-tickets/history
+ * @desc    Get member's spin ticket history
+ * @access  Private (Member)
+ */
+router.get('/spin-tickets/history',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.getSpinTicketHistorySchema, 'query'),
+  SpinTicketController.getMyHistory
+);
+
+/**
+ * @route   POST /api/member/spin-tickets/purchase
+ * @desc    Buy spin tickets with points (honours Idempotency-Key)
+ * @access  Private (Member)
+ */
+router.post('/spin-tickets/purchase',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(wheelValidators.purchaseSpinTicketsSchema),
+  idempotency.idempotent,
+  SpinTicketController.purchaseTickets
+);
+
 /**
  * @route   GET /api/member/leaderboard
  * @desc    Get member leaderboard position
@@ -151,24 +342,38 @@ router.get('/leaderboard',
 
 /**
  * @route   GET /api/member/rewards
- * @desc    Get available rewards for member
+ * @desc    Get rewards catalog with affordability and eligibility
  * @access  Private (Member)
  */
 router.get('/rewards',
   auth.authenticateMember,
   rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.getMemberRewardsSchema, 'query'),
   MemberController.getMemberRewards
 );
 
+/**
+ * @route   GET /api/member/rewards/redemptions
+ * @desc    Get member reward redemptions
+ * @access  Private (Member)
+ */
+router.get('/rewards/redemptions',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(rewardValidators.getMemberRedemptionsSchema, 'query'),
+  MemberController.getMemberRedemptions
+);
+
 /**
  * @route   POST /api/member/rewards/:id/redeem
- * @desc    Redeem a reward
+ * @desc    Redeem a reward (honours Idempotency-Key)
  * @access  Private (Member)
  */
 router.post('/rewards/:id/redeem',
   auth.authenticateMember,
   rateLimit.generalRateLimit,
-  validation.validate(memberValidators.redeemRewardSchema),
+  validation.validate(rewardValidators.redeemRewardSchema),
+  idempotency.idempotent,
   MemberController.redeemMemberReward
 );
 
@@ -180,10 +385,34 @@ router.post('/rewards/:id/redeem',
 router.get('/notifications',
   auth.authenticateMember,
   rateLimit.generalRateLimit,
-  validation.validate(memberValidators.getMemberNotificationsSchema, 'query'),
+  validation.validate(notificationValidators.getMemberNotificationsSchema, 'query'),
   MemberController.getMemberNotifications
 );
 
+/**
+ * @route   GET /api/member/notifications/unread-count
+ * @desc    Get unread notification count
+ * @access  Private (Member)
+ */
+router.get('/notifications/unread-count',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(notificationValidators.getUnreadCountSchema, 'query'),
+  MemberController.getUnreadNotificationCount
+);
+
+/**
+ * @route   PUT /api/member/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private (Member)
+ */
+router.put('/notifications/read-all',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(notificationValidators.markAllNotificationsReadSchema),
+  MemberController.markAllNotificationsAsRead
+);
+
 /**
  * @route   PUT /api/member/notifications/:id/read
  * @desc    Mark notification as read
@@ -192,7 +421,20 @@ router.get('/notifications',
 router.put('/notifications/:id/read',
   auth.authenticateMember,
   rateLimit.generalRateLimit,
+  validation.validate(notificationValidators.markNotificationReadSchema),
   MemberController.markNotificationAsRead
 );
 
+/**
+ * @route   DELETE /api/member/notifications/:id
+ * @desc    Delete notification
+ * @access  Private (Member)
+ */
+router.delete('/notifications/:id',
+  auth.authenticateMember,
+  rateLimit.generalRateLimit,
+  validation.validate(notificationValidators.deleteNotificationSchema),
+  MemberController.deleteMemberNotification
+);
+
 module.exports = router;
\ No newline at end of file
@@ -12,6 +12,7 @@ const {
   MissionRepository, 
   AuditLogRepository 
 } = require('../repositories');
+const WheelDriftService = require('./WheelDriftService');
 const { logger, constants } = require('../utils');
 const { errorHandler } = require('../middleware');
 const { NotFoundError, AuthorizationError, ValidationError } = errorHandler;
@@ -27,6 +28,7 @@ class AdminService {
     this.wheelRepository = new WheelRepository();
     this.missionRepository = new MissionRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.wheelDriftService = new WheelDriftService();
   }
 
   /**
@@ -245,11 +247,15 @@ class AdminService {
       // Get error rates
       const errorRates = await this.getErrorRates();
 
+      // Check wheels for outcomes drifting from their configured probabilities
+      const wheelDriftHealth = await this.checkWheelDriftHealth();
+
       const health = {
-        overall_status: this.calculateOverallHealth([dbHealth, resourceHealth, serviceHealth]),
+        overall_status: this.calculateOverallHealth([dbHealth, resourceHealth, serviceHealth, wheelDriftHealth]),
         database: dbHealth,
         resources: resourceHealth,
         services: serviceHealth,
+        wheel_drift: wheelDriftHealth,
         error_rates: errorRates,
         last_checked: new Date()
       };
@@ -578,6 +584,19 @@ class AdminService {
     };
   }
 
+  /**
+   * Check for wheels whose latest drift check found significant drift
+   * @returns {object} - Wheel drift health status and alerts
+   */
+  async checkWheelDriftHealth() {
+    const alerts = await this.wheelDriftService.getDriftAlerts();
+
+    return {
+      status: alerts.length > 0 ? 'warning' : 'healthy',
+      alerts
+    };
+  }
+
   /**
    * Get error rates
    * @returns {object} - Error rate statistics
@@ -0,0 +1,195 @@
+/**
+ * API Key Service
+ * Handles scoped brand API keys for server-to-server access
+ */
+
+const { ApiKeyRepository, BrandRepository, AuditLogRepository } = require('../repositories');
+const { logger, constants, encryption } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { AUDIT_ACTIONS } = constants;
+
+// Enough of the key to tell keys apart in listings without weakening it
+const KEY_PREFIX_LENGTH = 11;
+
+class ApiKeyService {
+  constructor() {
+    this.apiKeyRepository = new ApiKeyRepository();
+    this.brandRepository = new BrandRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Create an API key for a brand
+   * @param {object} keyData - Key data (name, scopes, expires_at)
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID creating the key
+   * @param {object} context - Request context
+   * @returns {object} - Created key and the plain key, which is only available here
+   */
+  async createApiKey(keyData, brandId, userId, context = {}) {
+    try {
+      const brand = await this.brandRepository.findById(brandId);
+      if (!brand) {
+        throw new NotFoundError('Brand not found', 404, SERVICE_ERROR_CODES.BRAND_NOT_FOUND);
+      }
+
+      if (await this.apiKeyRepository.activeNameExists(brandId, keyData.name)) {
+        throw new ConflictError('An active API key with this name already exists', 409, SERVICE_ERROR_CODES.API_KEY_NAME_ALREADY_EXISTS);
+      }
+
+      if (keyData.expires_at && new Date(keyData.expires_at) <= new Date()) {
+        throw new ValidationError('API key expiry must be in the future', 400, SERVICE_ERROR_CODES.API_KEY_INVALID_EXPIRY);
+      }
+
+      const plainKey = encryption.generateApiKey();
+
+      const createdKey = await this.apiKeyRepository.create({
+        brand_id: brandId,
+        name: keyData.name,
+        key_prefix: plainKey.substring(0, KEY_PREFIX_LENGTH),
+        key_hash: encryption.hashApiKey(plainKey),
+        scopes: [...new Set(keyData.scopes)],
+        expires_at: keyData.expires_at || null,
+        created_by: userId
+      });
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.API_KEY_CREATE,
+        resource_type: 'api_key',
+        resource_id: createdKey.id,
+        description: 'API key created',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          name: createdKey.name,
+          keyPrefix: createdKey.key_prefix,
+          scopes: createdKey.scopes
+        }
+      });
+
+      logger.logSecurity('API key created', {
+        apiKeyId: createdKey.id,
+        brandId,
+        scopes: createdKey.scopes,
+        createdBy: userId
+      });
+
+      const { key_hash, ...apiKey } = createdKey;
+      return { api_key: apiKey, key: plainKey };
+    } catch (error) {
+      logger.error('API key creation failed', {
+        error: error.message,
+        name: keyData.name,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List API keys of a brand
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated API keys
+   */
+  async listApiKeys(options = {}, brandId) {
+    try {
+      const result = await this.apiKeyRepository.findByBrand(brandId, options);
+
+      return {
+        api_keys: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List API keys failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get API key by ID
+   * @param {string} apiKeyId - API key ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - API key
+   */
+  async getApiKeyById(apiKeyId, brandId) {
+    try {
+      const apiKey = await this.apiKeyRepository.findByIdForBrand(apiKeyId, brandId);
+      if (!apiKey) {
+        throw new NotFoundError('API key not found', 404, SERVICE_ERROR_CODES.API_KEY_NOT_FOUND);
+      }
+
+      return apiKey;
+    } catch (error) {
+      logger.error('Get API key failed', {
+        error: error.message,
+        apiKeyId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} apiKeyId - API key ID
+   * @param {string} reason - Revocation reason
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID revoking the key
+   * @param {object} context - Request context
+   * @returns {object} - Revoked API key
+   */
+  async revokeApiKey(apiKeyId, reason, brandId, userId, context = {}) {
+    try {
+      await this.getApiKeyById(apiKeyId, brandId);
+
+      const revokedKey = await this.apiKeyRepository.revoke(apiKeyId, userId, reason || null);
+      if (!revokedKey) {
+        throw new ConflictError('API key is already revoked', 409, SERVICE_ERROR_CODES.API_KEY_ALREADY_REVOKED);
+      }
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.API_KEY_REVOKE,
+        resource_type: 'api_key',
+        resource_id: apiKeyId,
+        description: 'API key revoked',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          name: revokedKey.name,
+          keyPrefix: revokedKey.key_prefix,
+          reason: reason || null
+        }
+      });
+
+      logger.logSecurity('API key revoked', {
+        apiKeyId,
+        brandId,
+        revokedBy: userId
+      });
+
+      return revokedKey;
+    } catch (error) {
+      logger.error('API key revocation failed', {
+        error: error.message,
+        apiKeyId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKeyService;
@@ -4,16 +4,22 @@
  */
 
 const { UserRepository, AuditLogRepository } = require('../repositories');
+const MissionProgressService = require('./MissionProgressService');
+const MissionService = require('./MissionService');
+const StreakService = require('./StreakService');
 const { encryption, jwt, logger, constants } = require('../utils');
 const { errorHandler } = require('../middleware');
 const { AuthenticationError, ValidationError, NotFoundError, ConflictError } = errorHandler;
 const { SERVICE_ERROR_CODES } = require('../enums');
-const { USER_ROLES, AUDIT_ACTIONS } = constants;
+const { USER_ROLES, AUDIT_ACTIONS, INGEST_EVENT_TYPES } = constants;
 
 class AuthService {
   constructor() {
     this.userRepository = new UserRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.missionProgressService = new MissionProgressService();
+    this.missionService = new MissionService();
+    this.streakService = new StreakService();
   }
 
   /**
@@ -178,6 +184,10 @@ class AuthService {
         brandId: user.brand_id
       });
 
+      if (user.role === USER_ROLES.MEMBER) {
+        await this.recordMemberLogin(user, context);
+      }
+
       // Remove sensitive data from response
       const { password_hash, email_verification_token, password_reset_token, ...userResponse } = user;
 
@@ -200,6 +210,56 @@ class AuthService {
     }
   }
 
+  /**
+   * Count a member's login towards missions requiring logins, as an ingested login event does, and
+   * complete the missions it took to their target. The login also checks the member in for their streak.
+   * The login has succeeded by then, so a failure is logged rather than thrown and the mission-progress
+   * job completes the missions later.
+   * @param {object} user - Logged in member user
+   * @param {object} context - Request context
+   */
+  async recordMemberLogin(user, context = {}) {
+    // Member users without a linked member are the member themselves, as in auth.authenticateMember
+    const memberId = user.member_id || user.id;
+
+    await this.recordMemberActivity(user, context);
+
+    try {
+      const reached = await this.missionProgressService.recordActivity(memberId, user.brand_id, INGEST_EVENT_TYPES.LOGIN);
+      if (reached.length > 0) {
+        await this.missionService.completeReachedMissions({ memberId }, context);
+      }
+    } catch (error) {
+      logger.warn('Recording member login activity failed', {
+        error: error.message,
+        userId: user.id,
+        memberId,
+        brandId: user.brand_id
+      });
+    }
+  }
+
+  /**
+   * Check a member in for their streak. Check-ins are once per day, so repeated logins and token
+   * refreshes on the same day leave the streak as it is. Failures are logged rather than thrown.
+   * @param {object} user - Authenticated member user
+   * @param {object} context - Request context
+   */
+  async recordMemberActivity(user, context = {}) {
+    const memberId = user.member_id || user.id;
+
+    try {
+      await this.streakService.recordActivity(memberId, user.brand_id, context);
+    } catch (error) {
+      logger.warn('Recording member streak activity failed', {
+        error: error.message,
+        userId: user.id,
+        memberId,
+        brandId: user.brand_id
+      });
+    }
+  }
+
   /**
    * Refresh access token
    * @param {string} refreshToken - Refresh token
@@ -229,6 +289,11 @@ class AuthService {
         email: user.email
       });
 
+      // A member coming back with a still valid session is active without logging in again
+      if (user.role === USER_ROLES.MEMBER) {
+        await this.recordMemberActivity(user, context);
+      }
+
       return {
         access_token: newAccessToken,
         refresh_token: newRefreshToken,
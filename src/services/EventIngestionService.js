@@ -0,0 +1,398 @@
+/**
+ * Event Ingestion Service
+ * Stores and processes events pushed by brand backends through the ingestion API
+ */
+
+const {
+  IngestedEventRepository,
+  MemberRepository,
+  PointsRuleApplicationRepository,
+  AuditLogRepository
+} = require('../repositories');
+const TransactionService = require('./TransactionService');
+const MissionService = require('./MissionService');
+const MissionProgressService = require('./MissionProgressService');
+const PointsRuleService = require('./PointsRuleService');
+const StreakService = require('./StreakService');
+const { logger, constants } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { AUDIT_ACTIONS, TRANSACTION_TYPES, INGEST_EVENT_TYPES, INGEST_EVENT_STATUS } = constants;
+
+class EventIngestionService {
+  constructor() {
+    this.ingestedEventRepository = new IngestedEventRepository();
+    this.memberRepository = new MemberRepository();
+    this.pointsRuleApplicationRepository = new PointsRuleApplicationRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.transactionService = new TransactionService();
+    this.missionService = new MissionService();
+    this.missionProgressService = new MissionProgressService();
+    this.pointsRuleService = new PointsRuleService();
+    this.streakService = new StreakService();
+  }
+
+  /**
+   * Ingest a batch of events, one after another in the order they were sent
+   * @param {Array} events - Events to ingest
+   * @param {string} brandId - Brand ID of the API key
+   * @param {string} apiKeyId - API key ID that pushed the events
+   * @param {object} context - Request context
+   * @returns {object} - Per-event results and a summary
+   */
+  async ingestEvents(events, brandId, apiKeyId, context = {}) {
+    try {
+      const results = [];
+      const summary = {
+        total: events.length,
+        processed: 0,
+        failed: 0,
+        duplicates: 0
+      };
+
+      for (const eventData of events) {
+        const result = await this.ingestEvent(eventData, brandId, apiKeyId, context);
+        results.push(result);
+
+        if (result.duplicate) {
+          summary.duplicates++;
+        } else if (result.event.status === INGEST_EVENT_STATUS.PROCESSED) {
+          summary.processed++;
+        } else {
+          summary.failed++;
+        }
+      }
+
+      logger.logBusiness('Event batch ingested', {
+        brandId,
+        apiKeyId,
+        ...summary
+      });
+
+      return { events: results, summary };
+    } catch (error) {
+      logger.error('Event batch ingestion failed', {
+        error: error.message,
+        count: events.length,
+        brandId,
+        apiKeyId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Ingest a single event
+   * An event whose idempotency key was already used is not processed again; the stored event is returned instead
+   * @param {object} eventData - Event data
+   * @param {string} brandId - Brand ID of the API key
+   * @param {string} apiKeyId - API key ID that pushed the event
+   * @param {object} context - Request context
+   * @returns {object} - Stored event and whether it was a duplicate
+   */
+  async ingestEvent(eventData, brandId, apiKeyId, context = {}) {
+    try {
+      const storedEvent = await this.ingestedEventRepository.createIfAbsent({
+        brand_id: brandId,
+        api_key_id: apiKeyId,
+        idempotency_key: eventData.idempotency_key,
+        event_type: eventData.event_type,
+        external_member_id: eventData.member_id,
+        amount: eventData.amount ?? null,
+        currency: eventData.currency || null,
+        points: eventData.points ?? null,
+        data: eventData.data || {},
+        occurred_at: eventData.occurred_at || new Date(),
+        status: INGEST_EVENT_STATUS.RECEIVED,
+        attempts: 0,
+        source_ip: context.ip || null
+      });
+
+      if (!storedEvent) {
+        const existingEvent = await this.ingestedEventRepository.findByIdempotencyKey(brandId, eventData.idempotency_key);
+        return { event: existingEvent, duplicate: true };
+      }
+
+      try {
+        const event = await this.processEvent(storedEvent, context);
+        return { event, duplicate: false };
+      } catch (error) {
+        // A replay got to the new event first; it is returned as stored, like a reused key
+        if (!(error instanceof ConflictError)) {
+          throw error;
+        }
+
+        const processedEvent = await this.ingestedEventRepository.findByIdempotencyKey(brandId, eventData.idempotency_key);
+        return { event: processedEvent, duplicate: true };
+      }
+    } catch (error) {
+      logger.error('Event ingestion failed', {
+        error: error.message,
+        eventType: eventData.event_type,
+        idempotencyKey: eventData.idempotency_key,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Process a stored event: credit its points and advance matching missions
+   * Events that carry no points of their own earn whatever the brand's points rules award
+   * Processing errors are recorded on the event rather than thrown so one bad event does not fail a batch,
+   * except for an event another caller processed meanwhile, which is left as it is
+   * @param {object} event - Stored event
+   * @param {object} context - Request context
+   * @returns {object} - Updated event
+   */
+  async processEvent(event, context = {}) {
+    let member;
+    let processedEvent;
+
+    try {
+      member = await this.memberRepository.findOne({
+        member_id: event.external_member_id,
+        brand_id: event.brand_id
+      });
+      if (!member) {
+        throw new NotFoundError('Member not found for ingested event', 404, SERVICE_ERROR_CODES.INGEST_MEMBER_NOT_FOUND);
+      }
+
+      // The credit and the processed status commit together under the event's row lock, so concurrent
+      // replays, or a replay racing the first processing, credit the member once
+      processedEvent = await this.ingestedEventRepository.withTransaction(async (client) => {
+        const lockedEvent = await this.ingestedEventRepository.findByIdForUpdate(event.id, client);
+        if (!lockedEvent || lockedEvent.status === INGEST_EVENT_STATUS.PROCESSED) {
+          throw new ConflictError('Ingested event has already been processed', 409, SERVICE_ERROR_CODES.INGEST_EVENT_ALREADY_PROCESSED);
+        }
+
+        let points = event.points;
+        let applications = [];
+        let occurredAt = event.occurred_at;
+
+        // Rules are evaluated in the crediting transaction so daily caps are read under the member's row lock
+        if (points === null || points === undefined) {
+          ({ points, applications, occurred_at: occurredAt } = await this.pointsRuleService.evaluate({
+            event_type: event.event_type,
+            amount: event.amount,
+            currency: event.currency,
+            occurred_at: event.occurred_at
+          }, member, event.brand_id, client));
+        }
+
+        let transaction = null;
+
+        if (points > 0) {
+          transaction = await this.transactionService.createTransaction({
+            member_id: member.id,
+            type: TRANSACTION_TYPES.CREDIT,
+            amount: points,
+            description: `Points for ${event.event_type.replace('_', ' ')} event`,
+            reference_type: 'ingested_event',
+            reference_id: event.id,
+            metadata: applications.length > 0 ? { points_rules: applications } : {}
+          }, event.brand_id, null, context, client);
+
+          await this.pointsRuleApplicationRepository.recordApplications(
+            transaction.id, member.id, event.brand_id, applications, occurredAt, client
+          );
+        }
+
+        // Missions requiring the event type count its amount, or 1 for events without an amount
+        await this.missionProgressService.recordActivity(
+          member.id, event.brand_id, event.event_type, this.getMissionProgress(event), client
+        );
+
+        return this.ingestedEventRepository.markProcessed(event.id, {
+          member_id: member.id,
+          points_awarded: transaction ? points : 0,
+          transaction_id: transaction ? transaction.id : null,
+          result: applications.length > 0 ? { points_rules: applications } : {}
+        }, client);
+      });
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        throw error;
+      }
+
+      logger.warn('Ingested event processing failed', {
+        error: error.message,
+        eventId: event.id,
+        eventType: event.event_type,
+        brandId: event.brand_id
+      });
+      return this.ingestedEventRepository.markFailed(event.id, error.message);
+    }
+
+    if (event.event_type === INGEST_EVENT_TYPES.LOGIN) {
+      await this.recordStreakActivity(event, member, context);
+    }
+
+    const completedMissions = await this.advanceMissions(event, member, context);
+    if (completedMissions.length > 0) {
+      processedEvent = await this.ingestedEventRepository.update(event.id, {
+        result: { ...processedEvent.result, completed_missions: completedMissions }
+      });
+    }
+
+    logger.logBusiness('Ingested event processed', {
+      eventId: event.id,
+      eventType: event.event_type,
+      brandId: event.brand_id,
+      memberId: member.id,
+      pointsAwarded: processedEvent.points_awarded,
+      completedMissions: completedMissions.length
+    });
+
+    return processedEvent;
+  }
+
+  /**
+   * How much an event counts towards missions requiring its type
+   * @param {object} event - Event
+   * @returns {number} - The event amount, or 1 for events without an amount
+   */
+  getMissionProgress(event) {
+    return event.amount !== null && event.amount !== undefined ? Number(event.amount) : 1;
+  }
+
+  /**
+   * Complete the member's missions whose progress reached the target, counting the event and the points it earned
+   * Missions the member is not eligible for are skipped; the event itself stays processed
+   * @param {object} event - Processed event
+   * @param {object} member - Member the event belongs to
+   * @param {object} context - Request context
+   * @returns {Array} - Completed missions
+   */
+  async advanceMissions(event, member, context = {}) {
+    try {
+      const { completions } = await this.missionService.completeReachedMissions({ memberId: member.id }, context);
+      return completions.map(completion => ({ mission_id: completion.mission_id, completion_id: completion.completion_id }));
+    } catch (error) {
+      logger.error('Mission progress from ingested event failed', {
+        error: error.message,
+        eventId: event.id,
+        memberId: member.id
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Record a login as member activity, checking the member in for their streak. The event stays processed
+   * if the check-in fails.
+   * @param {object} event - Processed event
+   * @param {object} member - Member the event belongs to
+   * @param {object} context - Request context
+   * @returns {object|null} - Check-in result, or null when streaks are disabled or the check-in failed
+   */
+  async recordStreakActivity(event, member, context = {}) {
+    try {
+      return await this.streakService.recordActivity(member.id, event.brand_id, context);
+    } catch (error) {
+      logger.error('Streak check-in from ingested event failed', {
+        error: error.message,
+        eventId: event.id,
+        memberId: member.id
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List ingested events of a brand
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated events
+   */
+  async listEvents(options = {}, brandId) {
+    try {
+      const result = await this.ingestedEventRepository.findByBrand(brandId, options);
+
+      return {
+        events: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List ingested events failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get ingested event by ID
+   * @param {string} eventId - Event ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Event
+   */
+  async getEventById(eventId, brandId) {
+    try {
+      const event = await this.ingestedEventRepository.findByIdForBrand(eventId, brandId);
+      if (!event) {
+        throw new NotFoundError('Ingested event not found', 404, SERVICE_ERROR_CODES.INGEST_EVENT_NOT_FOUND);
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('Get ingested event failed', {
+        error: error.message,
+        eventId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Process a stored event again, e.g. after the missing member was created
+   * @param {string} eventId - Event ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID requesting the replay
+   * @param {object} context - Request context
+   * @returns {object} - Updated event
+   */
+  async replayEvent(eventId, brandId, userId, context = {}) {
+    try {
+      const event = await this.getEventById(eventId, brandId);
+
+      if (event.status === INGEST_EVENT_STATUS.PROCESSED) {
+        throw new ConflictError('Ingested event has already been processed', 409, SERVICE_ERROR_CODES.INGEST_EVENT_ALREADY_PROCESSED);
+      }
+
+      const replayedEvent = await this.processEvent(event, context);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.INGEST_EVENT_REPLAY,
+        resource_type: 'ingested_event',
+        resource_id: eventId,
+        description: 'Ingested event replayed',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          eventType: event.event_type,
+          previousStatus: event.status,
+          status: replayedEvent.status
+        }
+      });
+
+      return replayedEvent;
+    } catch (error) {
+      logger.error('Ingested event replay failed', {
+        error: error.message,
+        eventId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = EventIngestionService;
@@ -0,0 +1,140 @@
+/**
+ * Ledger Service
+ * Reports on the double-entry points ledger and keeps its periodic balance snapshots
+ */
+
+const { LedgerRepository, LedgerSnapshotRepository, MemberRepository } = require('../repositories');
+const { logger, constants } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { LEDGER_ACCOUNT_TYPES } = constants;
+
+class LedgerService {
+  constructor() {
+    this.ledgerRepository = new LedgerRepository();
+    this.ledgerSnapshotRepository = new LedgerSnapshotRepository();
+    this.memberRepository = new MemberRepository();
+  }
+
+  /**
+   * Compare every member's cached balance with the ledger, without changing anything
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Report options (limit on listed mismatches)
+   * @returns {object} - Reconciliation report
+   */
+  async getReconciliationReport(brandId, options = {}) {
+    try {
+      const { limit = 100 } = options;
+
+      const [balanceCheck, unbalancedJournals, accountTotals, lastSnapshotAt] = await Promise.all([
+        this.ledgerRepository.findBalanceMismatches(brandId, limit),
+        this.ledgerRepository.findUnbalancedJournals(brandId, limit),
+        this.ledgerRepository.getAccountTypeTotals(brandId),
+        this.ledgerSnapshotRepository.getLatestSnapshotAt(brandId)
+      ]);
+
+      const accounts = Object.values(LEDGER_ACCOUNT_TYPES).reduce((totals, accountType) => {
+        const row = accountTotals.find(total => total.account_type === accountType);
+        totals[accountType] = row ? Number(row.balance) : 0;
+        return totals;
+      }, {});
+
+      const mismatches = balanceCheck.mismatches.map(row => ({
+        member_id: row.member_id,
+        external_member_id: row.external_member_id,
+        cached_balance: Number(row.cached_balance),
+        ledger_balance: Number(row.ledger_balance),
+        difference: Number(row.cached_balance) - Number(row.ledger_balance),
+        entry_count: Number(row.entry_count)
+      }));
+
+      const report = {
+        brand_id: brandId,
+        generated_at: new Date(),
+        balanced: balanceCheck.mismatchCount === 0 && unbalancedJournals.length === 0,
+        members_checked: balanceCheck.membersChecked,
+        mismatch_count: balanceCheck.mismatchCount,
+        mismatches,
+        unbalanced_journals: unbalancedJournals.map(row => ({
+          journal_id: row.journal_id,
+          difference: Number(row.difference),
+          created_at: row.created_at
+        })),
+        accounts,
+        last_snapshot_at: lastSnapshotAt || null
+      };
+
+      logger.logBusiness('Ledger reconciliation run', {
+        brandId,
+        membersChecked: report.members_checked,
+        mismatchCount: report.mismatch_count,
+        unbalancedJournals: report.unbalanced_journals.length
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Error building ledger reconciliation report', { brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's ledger entries, ledger balance and recent snapshots
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options (page, limit)
+   * @returns {object} - Member ledger
+   */
+  async getMemberLedger(memberId, brandId, options = {}) {
+    try {
+      const member = await this.memberRepository.findById(memberId);
+      if (!member || member.brand_id !== brandId) {
+        throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.LEDGER_MEMBER_NOT_FOUND);
+      }
+
+      const [ledgerBalance, entries, snapshots] = await Promise.all([
+        this.ledgerRepository.getAccountBalance(LEDGER_ACCOUNT_TYPES.MEMBER, memberId),
+        this.ledgerRepository.findMemberEntries(memberId, options),
+        this.ledgerSnapshotRepository.findByAccount(LEDGER_ACCOUNT_TYPES.MEMBER, memberId)
+      ]);
+
+      return {
+        member_id: memberId,
+        cached_balance: member.points_balance,
+        ledger_balance: ledgerBalance,
+        entries: entries.entries,
+        snapshots: snapshots.map(snapshot => ({
+          balance: Number(snapshot.balance),
+          entry_count: Number(snapshot.entry_count),
+          snapshot_at: snapshot.snapshot_at
+        })),
+        pagination: entries.pagination
+      };
+    } catch (error) {
+      logger.error('Error getting member ledger', { memberId, brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshot every ledger account's balance
+   * @param {Date} snapshotAt - Time to take the balances at
+   * @returns {object} - Summary (accounts)
+   */
+  async takeSnapshots(snapshotAt = new Date()) {
+    try {
+      const balances = await this.ledgerRepository.getBalancesAsOf(snapshotAt);
+      const accounts = await this.ledgerSnapshotRepository.recordSnapshots(balances, snapshotAt);
+
+      logger.logBusiness('Ledger snapshots taken', { accounts, snapshotAt });
+
+      return { accounts, snapshotAt };
+    } catch (error) {
+      logger.error('Error taking ledger snapshots', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = LedgerService;
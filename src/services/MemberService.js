@@ -4,17 +4,19 @@
  */
 
 const { MemberRepository, TransactionRepository, AuditLogRepository } = require('../repositories');
+const WebhookService = require('./WebhookService');
 const { logger, constants, encryption } = require('../utils');
 const { errorHandler } = require('../middleware');
 const { NotFoundError, ConflictError, ValidationError, AuthorizationError } = errorHandler;
 const { SERVICE_ERROR_CODES } = require('../enums');
-const { AUDIT_ACTIONS, TRANSACTION_TYPES, MEMBER_STATUS } = constants;
+const { AUDIT_ACTIONS, TRANSACTION_TYPES, MEMBER_STATUS, WEBHOOK_EVENTS } = constants;
 
 class MemberService {
   constructor() {
     this.memberRepository = new MemberRepository();
     this.transactionRepository = new TransactionRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.webhookService = new WebhookService();
   }
 
   /**
@@ -47,34 +49,42 @@ class MemberService {
       const bronzeTier = defaultTier.find(tier => tier.slug === 'bronze');
       const tierId = memberData.tier_id || (bronzeTier ? bronzeTier.id : null);
 
-      // Prepare member data
+      // Prepare member data; a starting balance is credited like any other points, so it has its ledger
+      // entries and points lot
+      const { points_balance: initialPoints = 0, ...profileData } = memberData;
       const memberToCreate = {
-        ...memberData,
+        ...profileData,
         member_id: memberId,
         brand_id: brandId,
         tier_id: tierId,
         status: memberData.status || MEMBER_STATUS.ACTIVE,
-        points_balance: memberData.points_balance || 0,
-        total_points_earned: memberData.points_balance || 0,
+        points_balance: 0,
+        total_points_earned: 0,
         created_by: userId
       };
 
-      // Create member
-      const member = await this.memberRepository.create(memberToCreate);
+      // Create the member and credit its starting balance together
+      const member = await this.transactionRepository.withTransaction(async (client) => {
+        const createdMember = await this.memberRepository.create(memberToCreate, client);
+        if (!(initialPoints > 0)) {
+          return createdMember;
+        }
 
-      // Create initial points transaction if points were assigned
-      if (member.points_balance > 0) {
-        await this.transactionRepository.create({
-          member_id: member.id,
+        const transaction = await this.transactionRepository.create({
+          member_id: createdMember.id,
           brand_id: brandId,
           type: TRANSACTION_TYPES.CREDIT,
-          amount: member.points_balance,
+          amount: initialPoints,
           description: 'Initial points balance',
           reference_type: 'member_creation',
-          reference_id: member.id,
+          reference_id: createdMember.id,
           created_by: userId
-        });
-      }
+        }, client);
+
+        return await this.memberRepository.updatePoints(
+          createdMember.id, initialPoints, TRANSACTION_TYPES.POINTS_EARNED, client, transaction.id
+        );
+      });
 
       // Log member creation
       await this.auditLogRepository.logUserAction({
@@ -91,6 +101,20 @@ class MemberService {
         }
       });
 
+      await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.MEMBER_CREATED, {
+        member: {
+          id: member.id,
+          member_id: member.member_id,
+          email: member.email,
+          first_name: member.first_name,
+          last_name: member.last_name,
+          tier_id: member.tier_id,
+          points_balance: member.points_balance,
+          status: member.status,
+          created_at: member.created_at
+        }
+      });
+
       logger.logBusiness('Member created', {
         memberId: member.id,
         memberIdString: member.member_id,
@@ -339,34 +363,30 @@ class MemberService {
         throw new ValidationError('Insufficient points balance');
       }
 
-      // Create transaction
-      const transaction = await this.transactionRepository.create({
-        member_id: memberId,
-        brand_id: brandId,
-        type,
-        amount,
-        description,
-        reference_type,
-        reference_id,
-        created_by: userId
-      });
+      // Create the transaction and apply it to the balance (and ledger) together
+      const { transaction, newBalance } = await this.transactionRepository.withTransaction(async (client) => {
+        const createdTransaction = await this.transactionRepository.create({
+          member_id: memberId,
+          brand_id: brandId,
+          type,
+          amount,
+          description,
+          reference_type,
+          reference_id,
+          created_by: userId
+        }, client);
 
-      // Update member points balance
-      const newBalance = type === TRANSACTION_TYPES.CREDIT 
-        ? existingMember.points_balance + amount
-        : existingMember.points_balance - amount;
+        const updatedMember = await this.memberRepository.updatePoints(
+          memberId,
+          type === TRANSACTION_TYPES.CREDIT ? amount : -amount,
+          type === TRANSACTION_TYPES.CREDIT ? TRANSACTION_TYPES.POINTS_EARNED : type,
+          client,
+          createdTransaction.id
+        );
 
-      const updatedMember = await this.memberRepository.updatePoints(memberId, {
-        points_balance: newBalance,
-        total_points_earned: type === TRANSACTION_TYPES.CREDIT 
-          ? existingMember.total_points_earned + amount
-          : existingMember.total_points_earned
+        return { transaction: createdTransaction, newBalance: updatedMember.points_balance };
       });
 
-      // Check for tier upgrade based on new points total
-      const memberWithNewPoints = await this.memberRepository.findById(memberId);
-      await this.memberRepository.checkTierUpgrade(memberId, memberWithNewPoints.total_points_earned);
-
       // Log points update
       await this.auditLogRepository.logUserAction({
         user_id: userId,
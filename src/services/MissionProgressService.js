@@ -0,0 +1,209 @@
+/**
+ * Mission Progress Service
+ * Tracks the progress members make towards missions from what they do: transactions, wheel spins and
+ * ingested events (logins, purchases, ...). Progress is kept per member, mission and reset period; periods
+ * follow the member's timezone, then the brand's, then UTC. Completing a mission whose progress reached its target is left to MissionService.
+ */
+
+const { MissionRepository, MissionProgressRepository, MemberRepository, BrandRepository } = require('../repositories');
+const QuestService = require('./QuestService');
+const { logger, constants, missionWindows } = require('../utils');
+const { MISSION_ACTIONS, INGEST_EVENT_TYPES, TRANSACTION_TYPES } = constants;
+
+// Actions the server measures; missions requiring any other action are completed on request
+const TRACKED_ACTIONS = [...Object.values(MISSION_ACTIONS), ...Object.values(INGEST_EVENT_TYPES)];
+
+class MissionProgressService {
+  constructor() {
+    this.missionRepository = new MissionRepository();
+    this.progressRepository = new MissionProgressRepository();
+    this.memberRepository = new MemberRepository();
+    this.brandRepository = new BrandRepository();
+    this.questService = new QuestService();
+  }
+
+  /**
+   * Add an action a member took to their progress on every active mission requiring it. Missions
+   * locked behind prerequisites or earlier quest steps do not progress until they unlock.
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {string} action - Action taken (a mission action or an ingested event type)
+   * @param {number} amount - How much the action counts for
+   * @param {object} client - Database client (to count the action in the transaction that records it)
+   * @returns {Array} - Progress that reached its target
+   */
+  async recordActivity(memberId, brandId, action, amount = 1, client = null) {
+    try {
+      if (!(amount > 0)) {
+        return [];
+      }
+
+      const missions = await this.missionRepository.findActiveByAction(brandId, action, client);
+      if (missions.length === 0) {
+        return [];
+      }
+
+      const locked = await this.questService.getLockedMissions(memberId, missions, brandId);
+      const timezone = missions.some(mission => missionWindows.isResetting(mission.type))
+        ? await this.getTimezone(await this.memberRepository.findById(memberId), client)
+        : missionWindows.DEFAULT_TIMEZONE;
+      const reached = [];
+
+      for (const mission of missions.filter(candidate => !locked.has(candidate.id))) {
+        const progress = await this.progressRepository.increment({
+          member_id: memberId,
+          mission_id: mission.id,
+          brand_id: brandId,
+          period_start: this.getPeriodStart(mission, new Date(), timezone),
+          amount,
+          target: this.getTarget(mission)
+        }, client);
+
+        if (progress && Number(progress.progress) >= Number(progress.target)) {
+          reached.push(progress);
+        }
+      }
+
+      return reached;
+    } catch (error) {
+      logger.error('Mission progress recording failed', {
+        error: error.message,
+        memberId,
+        brandId,
+        action,
+        amount
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a transaction towards transaction and points earned missions. Mission rewards do not count,
+   * so completing one mission cannot complete another.
+   * @param {object} transaction - Created transaction
+   * @param {object} client - Database client (for transaction)
+   * @returns {Array} - Progress that reached its target
+   */
+  async recordTransaction(transaction, client = null) {
+    if (transaction.reference_type === 'mission_completion') {
+      return [];
+    }
+
+    const reached = [];
+
+    if ([TRANSACTION_TYPES.CREDIT, TRANSACTION_TYPES.DEBIT].includes(transaction.type)) {
+      reached.push(...await this.recordActivity(transaction.member_id, transaction.brand_id, MISSION_ACTIONS.TRANSACTIONS, 1, client));
+    }
+
+    if (transaction.type === TRANSACTION_TYPES.CREDIT) {
+      reached.push(...await this.recordActivity(transaction.member_id, transaction.brand_id, MISSION_ACTIONS.POINTS_EARNED, Number(transaction.amount), client));
+    }
+
+    return reached;
+  }
+
+  /**
+   * Add a member's progress in the current period to missions
+   * @param {string} memberId - Member ID
+   * @param {Array} missions - Missions
+   * @param {string} timezone - Timezone the member's periods follow
+   * @returns {Array} - Missions with progress (current, target, percentage, completed); null for untracked missions
+   */
+  async attachProgress(memberId, missions, timezone = missionWindows.DEFAULT_TIMEZONE) {
+    const trackedMissions = missions.filter(mission => this.isTracked(mission));
+    const rows = await this.progressRepository.findByMemberAndMissions(memberId, trackedMissions.map(mission => mission.id));
+
+    return missions.map(mission => {
+      if (!this.isTracked(mission)) {
+        return { ...mission, progress: null };
+      }
+
+      const periodStart = this.getPeriodStart(mission, new Date(), timezone).getTime();
+      const row = rows.find(candidate => candidate.mission_id === mission.id && new Date(candidate.period_start).getTime() === periodStart);
+      const current = row ? Number(row.progress) : 0;
+      const target = this.getTarget(mission);
+
+      return {
+        ...mission,
+        progress: {
+          current,
+          target,
+          percentage: Math.min(100, Math.floor((current / target) * 100)),
+          completed: Boolean(row && row.completion_id),
+          period_start: new Date(periodStart)
+        }
+      };
+    });
+  }
+
+  /**
+   * Get a member's progress on a mission in the current period
+   * @param {string} memberId - Member ID
+   * @param {object} mission - Mission
+   * @param {string} timezone - Timezone the member's periods follow
+   * @returns {object|null} - Progress row, or null when the member has made none
+   */
+  async getCurrentProgress(memberId, mission, timezone = missionWindows.DEFAULT_TIMEZONE) {
+    return this.progressRepository.findForPeriod(memberId, mission.id, this.getPeriodStart(mission, new Date(), timezone));
+  }
+
+  /**
+   * Get the timezone a member's mission periods follow: their own preference, else the brand's
+   * mission_config.timezone, else UTC
+   * @param {object} member - Member
+   * @param {object} client - Database client (optional, for transactions)
+   * @returns {string} - Timezone
+   */
+  async getTimezone(member, client = null) {
+    const memberTimezone = member && member.preferences ? member.preferences.timezone : null;
+    if (!member || missionWindows.isValidTimezone(memberTimezone)) {
+      return missionWindows.resolveTimezone(memberTimezone);
+    }
+
+    const missionConfig = await this.brandRepository.getMissionConfig(member.brand_id, client);
+    return missionWindows.resolveTimezone(missionConfig.timezone);
+  }
+
+  /**
+   * Whether the server measures a mission's progress
+   * @param {object} mission - Mission
+   * @returns {boolean} - True if tracked
+   */
+  isTracked(mission) {
+    return TRACKED_ACTIONS.includes((mission.requirements || {}).action);
+  }
+
+  /**
+   * Progress a mission needs to complete
+   * @param {object} mission - Mission
+   * @returns {number} - Target
+   */
+  getTarget(mission) {
+    return Number(mission.target_value || (mission.requirements || {}).target_value || 1);
+  }
+
+  /**
+   * Start of the period a mission's progress counts in; daily and recurring missions reset at local
+   * midnight, weekly missions on Monday and monthly missions on the 1st
+   * @param {object} mission - Mission
+   * @param {Date} at - Time in the period
+   * @param {string} timezone - Timezone the period follows
+   * @returns {Date} - Period start (the epoch for missions that never reset)
+   */
+  getPeriodStart(mission, at = new Date(), timezone = missionWindows.DEFAULT_TIMEZONE) {
+    return missionWindows.getWindowStart(mission.type, at, timezone);
+  }
+
+  /**
+   * When a mission's current period ends and its progress and completions reset
+   * @param {object} mission - Mission
+   * @param {Date} at - Time in the period
+   * @param {string} timezone - Timezone the period follows
+   * @returns {Date|null} - Next reset, or null for missions that never reset
+   */
+  getNextReset(mission, at = new Date(), timezone = missionWindows.DEFAULT_TIMEZONE) {
+    return missionWindows.getNextReset(mission.type, at, timezone);
+  }
+}
+
+module.exports = MissionProgressService;
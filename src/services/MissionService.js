@@ -3,20 +3,54 @@
  * Handles mission management business logic
  */
 
-const { MissionRepository, MissionCompletionRepository, MemberRepository, TransactionRepository, AuditLogRepository } = require('../repositories');
+const {
+  MissionRepository,
+  MissionCompletionRepository,
+  MissionProgressRepository,
+  MemberRepository,
+  BrandRepository,
+  TransactionRepository,
+  AuditLogRepository
+} = require('../repositories');
+const MissionProgressService = require('./MissionProgressService');
+const QuestService = require('./QuestService');
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+const SpinTicketService = require('./SpinTicketService');
 const { logger, constants } = require('../utils');
 const { errorHandler } = require('../middleware');
 const { NotFoundError, ConflictError, ValidationError, AuthorizationError } = errorHandler;
 const { SERVICE_ERROR_CODES } = require('../enums');
-const { AUDIT_ACTIONS, TRANSACTION_TYPES, MISSION_TYPES, MISSION_STATUS, COMPLETION_STATUS } = constants;
+const { AUDIT_ACTIONS, TRANSACTION_TYPES, MISSION_TYPES, MISSION_STATUS, COMPLETION_STATUS, WEBHOOK_EVENTS, SPIN_TICKET_SOURCES } = constants;
+
+// How completion limit errors name the window a mission resets in
+const WINDOW_NAMES = {
+  [MISSION_TYPES.DAILY]: 'today',
+  [MISSION_TYPES.RECURRING]: 'today',
+  [MISSION_TYPES.WEEKLY]: 'this week',
+  [MISSION_TYPES.MONTHLY]: 'this month'
+};
+
+// Used for whatever a brand leaves out of mission_config.reward_claims
+const DEFAULT_REWARD_CLAIM_CONFIG = {
+  enabled: false, // rewards are credited on completion unless the brand asks members to claim them
+  claim_window_hours: 72
+};
 
 class MissionService {
   constructor() {
     this.missionRepository = new MissionRepository();
     this.missionCompletionRepository = new MissionCompletionRepository();
+    this.progressRepository = new MissionProgressRepository();
     this.memberRepository = new MemberRepository();
+    this.brandRepository = new BrandRepository();
     this.transactionRepository = new TransactionRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.notificationService = new NotificationService();
+    this.webhookService = new WebhookService();
+    this.spinTicketService = new SpinTicketService();
+    this.progressService = new MissionProgressService();
+    this.questService = new QuestService();
   }
 
   /**
@@ -31,6 +65,9 @@ class MissionService {
     try {
       // Validate mission data
       this.validateMissionData(missionData);
+      if (missionData.prerequisite_mission_ids) {
+        await this.validatePrerequisites(null, missionData.prerequisite_mission_ids, brandId);
+      }
 
       // Create mission
       const mission = await this.missionRepository.create({
@@ -125,6 +162,9 @@ class MissionService {
       if (updateData.type || updateData.target_value || updateData.conditions) {
         this.validateMissionData({ ...existingMission, ...updateData });
       }
+      if (updateData.prerequisite_mission_ids) {
+        await this.validatePrerequisites(missionId, updateData.prerequisite_mission_ids, brandId);
+      }
 
       // Update mission
       const updatedMission = await this.missionRepository.update(missionId, updateData);
@@ -270,9 +310,11 @@ class MissionService {
    * @param {object} completionData - Completion data
    * @param {string} brandId - Brand ID
    * @param {object} context - Request context
+   * @param {object|null} reachedProgress - Reached progress the caller found; completes on it rather than
+   *   on the current period's progress, which may have reset since
    * @returns {object} - Completion result
    */
-  async completeMission(missionId, memberId, completionData, brandId, context = {}) {
+  async completeMission(missionId, memberId, completionData, brandId, context = {}, reachedProgress = null) {
     try {
       // Check if mission exists and is active
       const mission = await this.missionRepository.findById(missionId);
@@ -299,10 +341,11 @@ class MissionService {
         throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.MISSION_MEMBER_NOT_FOUND);
       }
 
-      // Check if member has already completed this mission
-      const existingCompletion = await this.missionCompletionRepository.findByMissionAndMember(missionId, memberId);
-      if (existingCompletion && !mission.repeatable) {
-        throw new ValidationError('Mission has already been completed', 400, SERVICE_ERROR_CODES.MISSION_ALREADY_COMPLETED);
+      // Check the member has completions left in the mission's current window
+      const timezone = await this.progressService.getTimezone(member);
+      const completionsLeft = await this.getCompletionsLeft(mission, memberId, timezone);
+      if (completionsLeft === 0) {
+        throw new ValidationError(this.describeCompletionLimit(mission), 400, SERVICE_ERROR_CODES.MISSION_ALREADY_COMPLETED);
       }
 
       // Check mission eligibility
@@ -311,39 +354,94 @@ class MissionService {
         throw new ValidationError(eligibility.reason, 400, SERVICE_ERROR_CODES.MISSION_MEMBER_NOT_ELIGIBLE);
       }
 
+      // Tracked missions complete on the progress the server measured, never on progress sent with the request
+      let progress = completionData.progress || mission.target_value;
+      let trackedProgress = null;
+      if (this.progressService.isTracked(mission)) {
+        trackedProgress = reachedProgress || await this.progressService.getCurrentProgress(memberId, mission, timezone);
+        if (trackedProgress && trackedProgress.completion_id) {
+          throw new ValidationError('Mission has already been completed', 400, SERVICE_ERROR_CODES.MISSION_ALREADY_COMPLETED);
+        }
+
+        progress = trackedProgress ? Number(trackedProgress.progress) : 0;
+        const target = this.progressService.getTarget(mission);
+        if (progress < target) {
+          throw new ValidationError(`Mission progress is ${progress} of ${target}`, 400, SERVICE_ERROR_CODES.MISSION_TARGET_NOT_REACHED);
+        }
+      }
+
       // Validate completion data based on mission type
       this.validateCompletionData(mission, completionData);
 
-      // Create completion record
-      const completion = await this.missionCompletionRepository.create({
-        mission_id: missionId,
-        member_id: memberId,
-        brand_id: brandId,
-        status: COMPLETION_STATUS.COMPLETED,
-        progress: completionData.progress || mission.target_value,
-        completion_data: completionData.data || {},
-        completed_at: new Date()
-      });
+      // Brands can hold the rewards back until the member claims them before a deadline
+      const hasReward = mission.reward_points > 0 || mission.reward_spin_tickets > 0;
+      const claimConfig = hasReward ? await this.getRewardClaimConfig(brandId) : null;
+      const claimExpiresAt = claimConfig && claimConfig.enabled
+        ? new Date(Date.now() + claimConfig.claim_window_hours * 60 * 60 * 1000)
+        : null;
+
+      // The progress claim, the completion and its reward commit together
+      const { completion, transaction, spinTickets } = await this.transactionRepository.withTransaction(async (client) => {
+        // Claiming the period's progress makes a concurrent completion of it, by a request or after a spin, fail here
+        if (trackedProgress) {
+          const claimed = await this.progressRepository.claim(trackedProgress.id, client);
+          if (!claimed) {
+            throw new ValidationError('Mission has already been completed', 400, SERVICE_ERROR_CODES.MISSION_ALREADY_COMPLETED);
+          }
+        }
 
-      // Award points if mission has reward
-      let transaction = null;
-      if (mission.reward_points > 0) {
-        transaction = await this.transactionRepository.create({
+        // Create completion record
+        const createdCompletion = await this.missionCompletionRepository.create({
+          mission_id: missionId,
           member_id: memberId,
           brand_id: brandId,
-          type: TRANSACTION_TYPES.CREDIT,
-          amount: mission.reward_points,
-          description: `Mission completion reward: ${mission.name}`,
-          reference_type: 'mission_completion',
-          reference_id: completion.id
-        });
+          status: COMPLETION_STATUS.COMPLETED,
+          progress_value: progress,
+          completion_data: completionData.data || {},
+          reward_points: mission.reward_points || 0,
+          reward_spin_tickets: mission.reward_spin_tickets || 0,
+          reward_claimed: hasReward && !claimExpiresAt,
+          reward_claim_expires_at: claimExpiresAt,
+          completed_at: new Date()
+        }, client);
+
+        // Progress in the current period starts again while the window has completions left after this one;
+        // otherwise the period stays completed until the mission resets
+        if (trackedProgress) {
+          const periodStart = this.progressService.getPeriodStart(mission, new Date(), timezone);
+          const repeatsInPeriod = (completionsLeft === null || completionsLeft > 1) &&
+            new Date(trackedProgress.period_start).getTime() === periodStart.getTime();
+
+          if (repeatsInPeriod) {
+            await this.progressRepository.restart(trackedProgress.id, client);
+          } else {
+            await this.progressRepository.recordCompletion(trackedProgress.id, createdCompletion.id, client);
+          }
+        }
 
-        // Update member points
-        await this.memberRepository.updatePoints(memberId, {
-          points_balance: member.points_balance + mission.reward_points,
-          total_points_earned: member.total_points_earned + mission.reward_points
-        });
-      }
+        // Award points and spin tickets if the mission has them and they need no claim
+        const reward = hasReward && !claimExpiresAt
+          ? await this.awardReward(createdCompletion, mission.name, client)
+          : { transaction: null, spinTickets: null };
+
+        return { completion: createdCompletion, ...reward };
+      });
+
+      // Finishing a quest's last required step awards the quest bonus
+      const quests = await this.completeQuests(missionId, memberId, brandId, context);
+
+      await this.notificationService.notifyMissionCompleted(memberId, brandId, mission, completion);
+
+      await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.MISSION_COMPLETED, {
+        member_id: memberId,
+        mission_id: missionId,
+        mission_name: mission.name,
+        completion_id: completion.id,
+        reward_points: mission.reward_points || 0,
+        reward_spin_tickets: mission.reward_spin_tickets || 0,
+        transaction_id: transaction ? transaction.id : null,
+        reward_claim_expires_at: claimExpiresAt
+      });
 
       // Log mission completion
       await this.auditLogRepository.logUserAction({
@@ -373,10 +471,22 @@ class MissionService {
       return {
         completion,
         transaction,
+        spin_tickets: spinTickets ? {
+          earned: mission.reward_spin_tickets,
+          balance: spinTickets.balance
+        } : null,
+        reward_claim: claimExpiresAt ? {
+          completion_id: completion.id,
+          reward_points: completion.reward_points,
+          reward_spin_tickets: completion.reward_spin_tickets,
+          expires_at: claimExpiresAt
+        } : null,
+        quests,
         member: {
           id: member.id,
           member_id: member.member_id,
-          points_balance: member.points_balance + (mission.reward_points || 0)
+          points_balance: member.points_balance + (transaction ? mission.reward_points : 0) +
+            quests.reduce((sum, quest) => sum + quest.bonus_points, 0)
         }
       };
     } catch (error) {
@@ -393,41 +503,418 @@ class MissionService {
   }
 
   /**
-   * Get member missions (assigned and available)
+   * Complete missions whose tracked progress reached its target. Each period's progress is claimed in
+   * the completion's transaction, so it completes once however many callers find it, and the mission
+   * completes on the reached progress even if its period has reset since. A completion the member is not
+   * eligible for is recorded on the progress and not retried; any other failure rolls the claim back so
+   * the next run retries it.
+   * @param {object} options - Options (memberId to limit to one member, limit)
+   * @param {object} context - Request context
+   * @returns {object} - Summary (reached, completed, failed) and the completions made
+   */
+  async completeReachedMissions(options = {}, context = {}) {
+    try {
+      const reached = await this.progressRepository.findReached(options);
+      const summary = { reached: reached.length, completed: 0, failed: 0, completions: [] };
+
+      for (const progress of reached) {
+        try {
+          const { completion } = await this.completeMission(progress.mission_id, progress.member_id, {
+            data: { mission_progress_id: progress.id }
+          }, progress.brand_id, context, progress);
+
+          summary.completed++;
+          summary.completions.push({ mission_id: progress.mission_id, member_id: progress.member_id, completion_id: completion.id });
+        } catch (error) {
+          const notCompletable = error.statusCode >= 400 && error.statusCode < 500;
+          if (notCompletable && !await this.progressRepository.recordFailure(progress.id, error.message)) {
+            // Another caller claimed the progress first
+            continue;
+          }
+
+          summary.failed++;
+
+          logger.warn('Mission not completed from tracked progress', {
+            error: error.message,
+            missionId: progress.mission_id,
+            memberId: progress.member_id,
+            progressId: progress.id
+          });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Completing reached missions failed', {
+        error: error.message,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Award the bonus of every quest a member finished by completing a mission. Each quest is recorded
+   * as finished with its bonus, so a member gets it once. Bonuses are credited straight away even when
+   * the brand holds mission rewards back for claiming: the claim deadline belongs to mission completions.
+   * @param {string} missionId - Completed mission ID
    * @param {string} memberId - Member ID
-   * @param {object} options - Query options
    * @param {string} brandId - Brand ID
-   * @returns {object} - Member missions
+   * @param {object} context - Request context
+   * @returns {Array} - Finished quests (quest_id, quest_completion_id, bonus_points, bonus_spin_tickets, transaction_id)
    */
-  async getMemberMissions(memberId, options = {}, brandId) {
+  async completeQuests(missionId, memberId, brandId, context = {}) {
+    const quests = await this.questService.findFinishedQuests(missionId, memberId, brandId);
+    const finished = [];
+
+    for (const quest of quests) {
+      const result = await this.transactionRepository.withTransaction(async (client) => {
+        const questCompletion = await this.questService.recordCompletion(quest, memberId, client);
+        if (!questCompletion) {
+          return null;
+        }
+
+        const { transaction: bonus } = await this.creditReward({
+          memberId,
+          brandId,
+          points: quest.bonus_points,
+          spinTickets: quest.bonus_spin_tickets,
+          ticketSource: SPIN_TICKET_SOURCES.QUEST,
+          referenceType: 'quest_completion',
+          referenceId: questCompletion.id,
+          description: `Quest completion bonus: ${quest.name}`
+        }, client);
+
+        return {
+          quest_id: quest.id,
+          quest_completion_id: questCompletion.id,
+          bonus_points: quest.bonus_points || 0,
+          bonus_spin_tickets: quest.bonus_spin_tickets || 0,
+          transaction_id: bonus ? bonus.id : null
+        };
+      });
+
+      if (!result) {
+        continue;
+      }
+
+      await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.QUEST_COMPLETED, {
+        member_id: memberId,
+        quest_id: quest.id,
+        quest_name: quest.name,
+        ...result
+      });
+
+      await this.auditLogRepository.logUserAction({
+        user_id: null,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.QUEST_COMPLETE,
+        description: 'Quest completed successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          questId: quest.id,
+          questName: quest.name,
+          memberId,
+          bonusPoints: result.bonus_points
+        }
+      });
+
+      logger.logBusiness('Quest completed', {
+        questId: quest.id,
+        memberId,
+        lastMissionId: missionId,
+        bonusPoints: result.bonus_points,
+        bonusSpinTickets: result.bonus_spin_tickets
+      });
+
+      finished.push(result);
+    }
+
+    return finished;
+  }
+
+  /**
+   * Credit a completion's reward points and spin tickets to the member
+   * @param {object} completion - Mission completion (member_id, brand_id, reward_points, reward_spin_tickets)
+   * @param {string} missionName - Mission name for the transaction description
+   * @param {object} client - Database client (must be inside a transaction)
+   * @returns {object} - Points transaction and ticket wallet (each null when not awarded)
+   */
+  async awardReward(completion, missionName, client) {
+    return this.creditReward({
+      memberId: completion.member_id,
+      brandId: completion.brand_id,
+      points: completion.reward_points,
+      spinTickets: completion.reward_spin_tickets,
+      ticketSource: SPIN_TICKET_SOURCES.MISSION,
+      referenceType: 'mission_completion',
+      referenceId: completion.id,
+      description: `Mission completion reward: ${missionName}`
+    }, client);
+  }
+
+  /**
+   * Credit reward points and spin tickets to a member, referencing what earned them
+   * @param {object} reward - Reward (memberId, brandId, points, spinTickets, ticketSource, referenceType, referenceId, description)
+   * @param {object} client - Database client (must be inside a transaction)
+   * @returns {object} - Points transaction and ticket wallet (each null when not awarded)
+   */
+  async creditReward(reward, client) {
+    const { memberId, brandId, points, spinTickets: tickets, ticketSource, referenceType, referenceId, description } = reward;
+
+    // The transaction, balances, ticket wallet and ledger entries commit together
+    let transaction = null;
+    if (points > 0) {
+      transaction = await this.transactionRepository.create({
+        member_id: memberId,
+        brand_id: brandId,
+        type: TRANSACTION_TYPES.CREDIT,
+        amount: points,
+        description,
+        reference_type: referenceType,
+        reference_id: referenceId
+      }, client);
+
+      const updatedMember = await this.memberRepository.updatePoints(
+        memberId, points, TRANSACTION_TYPES.POINTS_EARNED, client, transaction.id
+      );
+
+      await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.POINTS_CREDITED, {
+        member_id: memberId,
+        transaction_id: transaction.id,
+        amount: points,
+        new_balance: updatedMember.points_balance,
+        description,
+        reference_type: referenceType,
+        reference_id: referenceId
+      }, client);
+    }
+
+    const spinTickets = tickets > 0
+      ? await this.spinTicketService.creditTickets({
+        memberId,
+        brandId,
+        quantity: tickets,
+        source: ticketSource,
+        referenceType,
+        referenceId,
+        description
+      }, client)
+      : null;
+
+    return { transaction, spinTickets };
+  }
+
+  /**
+   * Get a member's mission rewards waiting to be claimed (member portal)
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {Array} - Claimable rewards, soonest deadline first
+   */
+  async getClaimableRewards(memberId, brandId) {
     try {
-      // Check if member exists
       const member = await this.memberRepository.findById(memberId);
       if (!member || member.brand_id !== brandId) {
         throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.MISSION_MEMBER_NOT_FOUND);
       }
 
-      const {
-        page = 1,
-        limit = 10,
-        status = 'active',
-        completed = false
-      } = options;
+      const now = new Date();
+      const completions = await this.missionCompletionRepository.findClaimableByMember(memberId, now);
+
+      return completions.map(completion => ({
+        completion_id: completion.id,
+        mission_id: completion.mission_id,
+        mission_name: completion.mission_name,
+        mission_description: completion.mission_description,
+        mission_type: completion.mission_type,
+        reward_points: completion.reward_points,
+        reward_spin_tickets: completion.reward_spin_tickets,
+        completed_at: completion.completed_at,
+        expires_at: completion.reward_claim_expires_at,
+        expires_in_seconds: Math.ceil((new Date(completion.reward_claim_expires_at).getTime() - now.getTime()) / 1000)
+      }));
+    } catch (error) {
+      logger.error('Get claimable mission rewards failed', {
+        error: error.message,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
 
-      const queryOptions = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        member_id: memberId,
+  /**
+   * Claim the reward of a completed mission before its deadline (member portal)
+   * @param {string} completionId - Mission completion ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} context - Request context
+   * @returns {object} - Claimed completion, points transaction and spin tickets earned
+   */
+  async claimMissionReward(completionId, memberId, brandId, context = {}) {
+    try {
+      const result = await this.transactionRepository.withTransaction(async (client) => {
+        const completion = await this.missionCompletionRepository.findByIdForUpdate(completionId, client);
+        // Completions whose reward was credited straight away have no claim deadline
+        if (!completion || completion.member_id !== memberId || completion.brand_id !== brandId ||
+          completion.status !== COMPLETION_STATUS.COMPLETED || (!completion.reward_claimed && !completion.reward_claim_expires_at)) {
+          throw new NotFoundError('Mission reward not found', 404, SERVICE_ERROR_CODES.MISSION_REWARD_NOT_FOUND);
+        }
+
+        if (completion.reward_claimed) {
+          throw new ValidationError('Mission reward has already been claimed', 400, SERVICE_ERROR_CODES.MISSION_REWARD_ALREADY_CLAIMED);
+        }
+
+        if (completion.reward_expired_at || new Date(completion.reward_claim_expires_at) <= new Date()) {
+          throw new ValidationError('Mission reward claim deadline has passed', 400, SERVICE_ERROR_CODES.MISSION_REWARD_CLAIM_EXPIRED);
+        }
+
+        const claimed = await this.missionRepository.claimReward(completionId, client);
+        const mission = await this.missionRepository.findById(completion.mission_id);
+        const { transaction, spinTickets } = await this.awardReward(completion, mission ? mission.name : 'Mission', client);
+
+        return { completion: claimed, transaction, spinTickets };
+      });
+
+      await this.auditLogRepository.logUserAction({
+        user_id: null,
         brand_id: brandId,
-        status,
-        completed
+        action: AUDIT_ACTIONS.MISSION_CLAIM_REWARD,
+        description: 'Mission reward claimed',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          missionId: result.completion.mission_id,
+          memberId,
+          completionId,
+          reward: result.completion.reward_points,
+          spinTickets: result.completion.reward_spin_tickets
+        }
+      });
+
+      logger.logBusiness('Mission reward claimed', {
+        missionId: result.completion.mission_id,
+        memberId,
+        completionId,
+        reward: result.completion.reward_points
+      });
+
+      return {
+        completion: result.completion,
+        transaction: result.transaction,
+        spin_tickets: result.spinTickets ? {
+          earned: result.completion.reward_spin_tickets,
+          balance: result.spinTickets.balance
+        } : null
       };
+    } catch (error) {
+      logger.error('Mission reward claim failed', {
+        error: error.message,
+        completionId,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
 
-      const result = await this.missionRepository.findMemberMissions(queryOptions);
+  /**
+   * Expire mission rewards that were not claimed before their deadline
+   * @param {number} batchSize - Maximum rewards to expire in one run
+   * @param {Date} at - Deadline cut-off
+   * @returns {object} - Summary (due, expired, failed)
+   */
+  async expireUnclaimedRewards(batchSize = 100, at = new Date()) {
+    try {
+      const completionIds = await this.missionCompletionRepository.findUnclaimedOverdue(at, batchSize);
+      const summary = { due: completionIds.length, expired: 0, failed: 0 };
+
+      for (const completionId of completionIds) {
+        try {
+          const completion = await this.missionCompletionRepository.expireReward(completionId, at);
+          if (completion) {
+            summary.expired++;
+            logger.logBusiness('Mission reward expired', {
+              completionId,
+              missionId: completion.mission_id,
+              memberId: completion.member_id,
+              reward: completion.reward_points
+            });
+          }
+        } catch (error) {
+          // One reward's failure must not hold back the others; it stays due for the next run
+          summary.failed++;
+          logger.error('Error expiring mission reward', { completionId, error: error.message });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Error expiring unclaimed mission rewards', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a brand's mission reward claim settings with defaults
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Reward claim config (enabled, claim_window_hours)
+   */
+  async getRewardClaimConfig(brandId) {
+    const missionConfig = await this.brandRepository.getMissionConfig(brandId);
+    return { ...DEFAULT_REWARD_CLAIM_CONFIG, ...(missionConfig.reward_claims || {}) };
+  }
+
+  /**
+   * Get the missions a member can still complete, with their progress in the current period, when the
+   * period resets in the member's timezone and whether prerequisites or quest steps keep them locked
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options (page, limit, type)
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Member missions, the timezone their resets follow and pagination
+   */
+  async getMemberMissions(memberId, options = {}, brandId) {
+    try {
+      // Check if member exists
+      const member = await this.memberRepository.findById(memberId);
+      if (!member || member.brand_id !== brandId) {
+        throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.MISSION_MEMBER_NOT_FOUND);
+      }
+
+      const page = parseInt(options.page || 1);
+      const limit = parseInt(options.limit || 10);
+
+      const timezone = await this.progressService.getTimezone(member);
+      const missions = await this.missionRepository.getMemberAvailableMissions(memberId, brandId, { type: options.type, timezone });
+      const pageMissions = missions.slice((page - 1) * limit, page * limit);
+      const totalPages = Math.ceil(missions.length / limit);
+
+      const withProgress = await this.progressService.attachProgress(memberId, pageMissions, timezone);
+      const locked = await this.questService.getLockedMissions(memberId, pageMissions, brandId);
+      const now = new Date();
 
       return {
-        missions: result.missions,
-        pagination: result.pagination
+        missions: withProgress.map(mission => {
+          const resetsAt = this.progressService.getNextReset(mission, now, timezone);
+
+          return {
+            ...mission,
+            locked: locked.has(mission.id),
+            locked_reason: locked.get(mission.id) || null,
+            resets_at: resetsAt,
+            resets_in_seconds: resetsAt ? Math.ceil((resetsAt.getTime() - now.getTime()) / 1000) : null
+          };
+        }),
+        timezone,
+        pagination: {
+          page,
+          limit,
+          total: missions.length,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
       };
     } catch (error) {
       logger.error('Get member missions failed', {
@@ -645,12 +1132,11 @@ class MissionService {
         return { eligible: false, reason: 'Mission is no longer available' };
       }
 
-      // Check if already completed (for non-repeatable missions)
-      if (!mission.repeatable) {
-        const existingCompletion = await this.missionCompletionRepository.findByMissionAndMember(missionId, memberId);
-        if (existingCompletion) {
-          return { eligible: false, reason: 'Mission already completed' };
-        }
+      // Check completions left in the mission's current window
+      const timezone = await this.progressService.getTimezone(member);
+      const limitReason = await this.getCompletionLimitReason(mission, memberId, timezone);
+      if (limitReason) {
+        return { eligible: false, reason: limitReason };
       }
 
       // Check member tier requirements
@@ -663,6 +1149,12 @@ class MissionService {
         return { eligible: false, reason: 'Minimum points requirement not met' };
       }
 
+      // Check prerequisite missions and quest steps
+      const lockReason = await this.questService.getLockReason(mission, memberId);
+      if (lockReason) {
+        return { eligible: false, reason: lockReason };
+      }
+
       return { eligible: true };
     } catch (error) {
       logger.error('Mission eligibility check failed', {
@@ -675,6 +1167,72 @@ class MissionService {
     }
   }
 
+  /**
+   * How many times a member can complete a mission per window. Daily, weekly and monthly missions allow
+   * max_completions (one by default) per window; recurring and repeatable missions are only limited by
+   * max_completions; other missions complete once.
+   * @param {object} mission - Mission
+   * @returns {number|null} - Completion limit, or null when unlimited
+   */
+  getCompletionLimit(mission) {
+    if ([MISSION_TYPES.DAILY, MISSION_TYPES.WEEKLY, MISSION_TYPES.MONTHLY].includes(mission.type)) {
+      return mission.max_completions || 1;
+    }
+
+    if (mission.type === MISSION_TYPES.RECURRING || mission.repeatable) {
+      return mission.max_completions || null;
+    }
+
+    return 1;
+  }
+
+  /**
+   * Count the completions a member has left in a mission's current window
+   * @param {object} mission - Mission
+   * @param {string} memberId - Member ID
+   * @param {string} timezone - Timezone the member's windows follow
+   * @returns {number|null} - Completions left, or null when unlimited
+   */
+  async getCompletionsLeft(mission, memberId, timezone) {
+    const limit = this.getCompletionLimit(mission);
+    if (!limit) {
+      return null;
+    }
+
+    const windowStart = this.progressService.getPeriodStart(mission, new Date(), timezone);
+    const completions = await this.missionCompletionRepository.countCompletionsSince(memberId, mission.id, windowStart);
+    return Math.max(0, limit - completions);
+  }
+
+  /**
+   * Check whether a member has used up a mission's completions in its current window
+   * @param {object} mission - Mission
+   * @param {string} memberId - Member ID
+   * @param {string} timezone - Timezone the member's windows follow
+   * @returns {string|null} - Why the mission cannot be completed again, or null if it can
+   */
+  async getCompletionLimitReason(mission, memberId, timezone) {
+    const completionsLeft = await this.getCompletionsLeft(mission, memberId, timezone);
+    return completionsLeft === 0 ? this.describeCompletionLimit(mission) : null;
+  }
+
+  /**
+   * Describe a used up completion limit to the member
+   * @param {object} mission - Mission
+   * @returns {string} - Why the mission cannot be completed again
+   */
+  describeCompletionLimit(mission) {
+    const limit = this.getCompletionLimit(mission);
+    const windowName = WINDOW_NAMES[mission.type];
+    if (!windowName) {
+      return 'Mission has already been completed';
+    }
+
+    return limit === 1
+      ? `Mission has already been completed ${windowName}`
+      : `Mission has already been completed ${limit} times ${windowName}`;
+  }
+
   /**
    * Bulk create missions
    * @param {Array} missionsData - Array of mission data
@@ -850,23 +1408,49 @@ class MissionService {
     }
   }
 
+  /**
+   * Validate a mission's prerequisites: other missions of the brand that do not, through their own
+   * prerequisites, require the mission itself (which would lock it for good)
+   * @param {string|null} missionId - Mission ID (null for a new mission)
+   * @param {Array} prerequisiteIds - Prerequisite mission IDs
+   * @param {string} brandId - Brand ID
+   */
+  async validatePrerequisites(missionId, prerequisiteIds, brandId) {
+    const invalid = () => new ValidationError(
+      'Prerequisites must be other missions of the brand and cannot form a cycle', 400, SERVICE_ERROR_CODES.MISSION_INVALID_PREREQUISITES
+    );
+
+    if (missionId && prerequisiteIds.includes(missionId)) {
+      throw invalid();
+    }
+
+    const missions = await this.missionRepository.findByIds(prerequisiteIds, brandId);
+    if (missions.length !== new Set(prerequisiteIds).size) {
+      throw invalid();
+    }
+
+    // Walk the prerequisites' own prerequisites looking for the mission
+    const seen = new Set(prerequisiteIds);
+    let next = missionId ? missions : [];
+    while (next.length > 0) {
+      const ids = [...new Set(next.flatMap(mission => mission.prerequisite_mission_ids || []))].filter(id => !seen.has(id));
+      if (ids.includes(missionId)) {
+        throw invalid();
+      }
+
+      ids.forEach(id => seen.add(id));
+      next = ids.length > 0 ? await this.missionRepository.findByIds(ids, brandId) : [];
+    }
+  }
+
   /**
    * Validate completion data based on mission type
+   * Progress towards points, spins and other tracked actions is measured by the server, not validated here
    * @param {object} mission - Mission data
    * @param {object} completionData - Completion data
    */
   validateCompletionData(mission, completionData) {
     switch (mission.type) {
-      case MISSION_TYPES.POINTS_EARNED:
-        if (!completionData.progress || completionData.progress < mission.target_value) {
-          throw new ValidationError(`Minimum ${mission.target_value} points required`, 400, SERVICE_ERROR_CODES.MISSION_TARGET_VALUE_MUST_BE_POSITIVE);
-        }
-        break;
-      case MISSION_TYPES.SPINS_COMPLETED:
-        if (!completionData.progress || completionData.progress < mission.target_value) {
-          throw new ValidationError(`Minimum ${mission.target_value} spins required`, 400, SERVICE_ERROR_CODES.MISSION_TARGET_VALUE_MUST_BE_POSITIVE);
-        }
-        break;
       case MISSION_TYPES.PROFILE_COMPLETION:
         // Validate profile completion percentage
         if (!completionData.data || !completionData.data.profile_completion) {
@@ -0,0 +1,307 @@
+/**
+ * Notification Service
+ * Handles the member notification inbox and the events that feed it
+ */
+
+const { NotificationRepository } = require('../repositories');
+const { logger, constants } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { NOTIFICATION_TYPES, CLAIM_STATUS } = constants;
+
+// Member-facing wording for prize claim status changes
+const PRIZE_CLAIM_MESSAGES = {
+  [CLAIM_STATUS.APPROVED]: { title: 'Prize Claim Approved', message: (claim) => `Your claim for ${claim.prize_name} was approved` },
+  [CLAIM_STATUS.SHIPPED]: { title: 'Prize Shipped', message: (claim) => `${claim.prize_name} is on its way` },
+  [CLAIM_STATUS.REJECTED]: { title: 'Prize Claim Rejected', message: (claim) => `Your claim for ${claim.prize_name} was rejected` },
+  [CLAIM_STATUS.EXPIRED]: { title: 'Prize Claim Expired', message: (claim) => `The deadline to claim ${claim.prize_name} has passed` }
+};
+
+class NotificationService {
+  constructor() {
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  /**
+   * Get notifications of a member
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options
+   * @returns {object} - Notifications, unread count and pagination
+   */
+  async getMemberNotifications(memberId, options = {}) {
+    try {
+      const [result, unreadCount] = await Promise.all([
+        this.notificationRepository.findByMember(memberId, options),
+        this.notificationRepository.countUnread(memberId)
+      ]);
+
+      return {
+        notifications: result.data,
+        unread_count: unreadCount,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('Get member notifications failed', {
+        error: error.message,
+        memberId,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get unread notification count of a member
+   * @param {string} memberId - Member ID
+   * @param {string} type - Notification type (optional)
+   * @returns {number} - Unread count
+   */
+  async getUnreadCount(memberId, type = null) {
+    try {
+      return await this.notificationRepository.countUnread(memberId, type);
+    } catch (error) {
+      logger.error('Get unread notification count failed', {
+        error: error.message,
+        memberId,
+        type
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} notificationId - Notification ID
+   * @param {string} memberId - Member ID
+   * @returns {object} - Updated notification
+   */
+  async markAsRead(notificationId, memberId) {
+    try {
+      const notification = await this.notificationRepository.markAsRead(notificationId, memberId);
+      if (!notification) {
+        throw new NotFoundError('Notification not found', 404, SERVICE_ERROR_CODES.NOTIFICATION_NOT_FOUND);
+      }
+
+      return notification;
+    } catch (error) {
+      logger.error('Mark notification as read failed', {
+        error: error.message,
+        notificationId,
+        memberId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark all notifications of a member as read
+   * @param {string} memberId - Member ID
+   * @param {string} type - Only mark notifications of this type (optional)
+   * @returns {number} - Number of notifications marked
+   */
+  async markAllAsRead(memberId, type = null) {
+    try {
+      return await this.notificationRepository.markAllAsRead(memberId, type);
+    } catch (error) {
+      logger.error('Mark all notifications as read failed', {
+        error: error.message,
+        memberId,
+        type
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a notification
+   * @param {string} notificationId - Notification ID
+   * @param {string} memberId - Member ID
+   * @returns {boolean} - Success status
+   */
+  async deleteNotification(notificationId, memberId) {
+    try {
+      const deleted = await this.notificationRepository.deleteForMember(notificationId, memberId);
+      if (!deleted) {
+        throw new NotFoundError('Notification not found', 404, SERVICE_ERROR_CODES.NOTIFICATION_NOT_FOUND);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Delete notification failed', {
+        error: error.message,
+        notificationId,
+        memberId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Write an entry into a member's inbox
+   * @param {object} notificationData - Notification data
+   * @param {object} client - Database client (optional, to join an outer transaction)
+   * @returns {object} - Created notification
+   */
+  async createNotification(notificationData, client = null) {
+    try {
+      return await this.notificationRepository.create({
+        member_id: notificationData.member_id,
+        brand_id: notificationData.brand_id,
+        type: notificationData.type,
+        title: notificationData.title,
+        message: notificationData.message,
+        data: notificationData.data || {},
+        read_at: null
+      }, client);
+    } catch (error) {
+      logger.error('Create notification failed', {
+        error: error.message,
+        memberId: notificationData.member_id,
+        type: notificationData.type
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Notify a member about points credited to their balance
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} transaction - Credit transaction
+   * @param {number} newBalance - Balance after the credit
+   * @param {object} client - Database client (optional)
+   * @returns {object} - Created notification
+   */
+  async notifyPointsEarned(memberId, brandId, transaction, newBalance, client = null) {
+    return await this.createNotification({
+      member_id: memberId,
+      brand_id: brandId,
+      type: NOTIFICATION_TYPES.POINTS_EARNED,
+      title: 'Points Earned!',
+      message: `You earned ${transaction.amount} points${transaction.description ? `: ${transaction.description}` : ''}`,
+      data: {
+        points: transaction.amount,
+        new_balance: newBalance,
+        transaction_id: transaction.id,
+        source: transaction.reference_type || null
+      }
+    }, client);
+  }
+
+  /**
+   * Notify a member about points that expired from their balance
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} transaction - Expiry transaction
+   * @param {number} newBalance - Balance after the expiry
+   * @param {object} client - Database client (optional)
+   * @returns {object} - Created notification
+   */
+  async notifyPointsExpired(memberId, brandId, transaction, newBalance, client = null) {
+    return await this.createNotification({
+      member_id: memberId,
+      brand_id: brandId,
+      type: NOTIFICATION_TYPES.POINTS_EXPIRED,
+      title: 'Points Expired',
+      message: `${transaction.amount} of your points expired`,
+      data: {
+        points: transaction.amount,
+        new_balance: newBalance,
+        transaction_id: transaction.id
+      }
+    }, client);
+  }
+
+  /**
+   * Notify a member about a completed mission
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} mission - Completed mission
+   * @param {object} completion - Completion record
+   * @param {object} client - Database client (optional)
+   * @returns {object} - Created notification
+   */
+  async notifyMissionCompleted(memberId, brandId, mission, completion, client = null) {
+    const claimable = Boolean(completion.reward_claim_expires_at) && !completion.reward_claimed;
+    let rewardText = '';
+    if (mission.reward_points > 0) {
+      rewardText = claimable
+        ? `. Claim your ${mission.reward_points} points before they expire`
+        : ` and earned ${mission.reward_points} points`;
+    }
+
+    return await this.createNotification({
+      member_id: memberId,
+      brand_id: brandId,
+      type: NOTIFICATION_TYPES.MISSION_COMPLETED,
+      title: 'Mission Completed!',
+      message: `You completed "${mission.name}"${rewardText}`,
+      data: {
+        mission_id: mission.id,
+        completion_id: completion.id,
+        points: mission.reward_points || 0,
+        claim_expires_at: claimable ? completion.reward_claim_expires_at : null
+      }
+    }, client);
+  }
+
+  /**
+   * Notify a member about a prize won on a wheel
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} wheel - Wheel that was spun
+   * @param {object} item - Winning wheel item
+   * @param {object} spin - Spin record
+   * @param {object} client - Database client (optional)
+   * @returns {object} - Created notification
+   */
+  async notifyWheelPrize(memberId, brandId, wheel, item, spin, client = null) {
+    return await this.createNotification({
+      member_id: memberId,
+      brand_id: brandId,
+      type: NOTIFICATION_TYPES.WHEEL_PRIZE,
+      title: 'You Won a Prize!',
+      message: `You won ${item.name} on ${wheel.name}`,
+      data: {
+        wheel_id: wheel.id,
+        spin_id: spin.id,
+        item_id: item.id,
+        item_type: item.type,
+        value: item.value
+      }
+    }, client);
+  }
+
+  /**
+   * Notify a member that their wheel prize claim changed status
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} claim - Updated claim
+   * @param {object} client - Database client (optional)
+   * @returns {object|null} - Created notification, or null for statuses members are not told about
+   */
+  async notifyPrizeClaimUpdate(memberId, brandId, claim, client = null) {
+    const content = PRIZE_CLAIM_MESSAGES[claim.status];
+    if (!content) {
+      return null;
+    }
+
+    return await this.createNotification({
+      member_id: memberId,
+      brand_id: brandId,
+      type: NOTIFICATION_TYPES.PRIZE_CLAIM,
+      title: content.title,
+      message: content.message(claim),
+      data: {
+        claim_id: claim.id,
+        wheel_id: claim.wheel_id,
+        status: claim.status,
+        reason: claim.rejection_reason || null,
+        tracking_number: claim.tracking_number || null
+      }
+    }, client);
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,166 @@
+/**
+ * Points Expiration Service
+ * Expires points lots under each brand's expiry policy and reports points that expire soon
+ */
+
+const { PointsLotRepository, MemberRepository, TransactionRepository } = require('../repositories');
+const { logger, constants, pointsExpiry } = require('../utils');
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+const { TRANSACTION_TYPES, TRANSACTION_STATUS, WEBHOOK_EVENTS, POINTS_EXPIRY_POLICIES } = constants;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PointsExpirationService {
+  constructor() {
+    this.pointsLotRepository = new PointsLotRepository();
+    this.memberRepository = new MemberRepository();
+    this.transactionRepository = new TransactionRepository();
+    this.notificationService = new NotificationService();
+    this.webhookService = new WebhookService();
+  }
+
+  /**
+   * Expire every lot that has passed its expiry, one member at a time
+   * @param {number} batchSize - Maximum number of members to process
+   * @param {Date} at - Expiry cut-off
+   * @returns {object} - Summary (members, expired, failed, points)
+   */
+  async expireDuePoints(batchSize = 100, at = new Date()) {
+    try {
+      const dueMembers = await this.pointsLotRepository.findMembersWithDueLots(at, batchSize);
+      const summary = { members: dueMembers.length, expired: 0, failed: 0, points: 0 };
+
+      for (const { member_id: memberId, brand_id: brandId } of dueMembers) {
+        try {
+          const result = await this.expireMemberPoints(memberId, brandId, at);
+          if (result) {
+            summary.expired++;
+            summary.points += result.points;
+          }
+        } catch (error) {
+          // One member's failure must not hold back the others; their lots stay due for the next run
+          summary.failed++;
+          logger.error('Error expiring member points', { memberId, brandId, error: error.message });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Error expiring due points', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Expire a member's due lots with a single points_expired debit
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {Date} at - Expiry cut-off
+   * @returns {object|null} - Expiry result, or null when nothing was due
+   */
+  async expireMemberPoints(memberId, brandId, at = new Date()) {
+    try {
+      const result = await this.transactionRepository.withTransaction(async (client) => {
+        // Member first, then lots: the same order updatePoints takes them in, so expiry cannot deadlock a redemption
+        const member = await this.memberRepository.findByIdForUpdate(memberId, client);
+        const lots = await this.pointsLotRepository.findDueLotsForUpdate(memberId, at, client);
+        if (lots.length === 0) {
+          return null;
+        }
+
+        const lotPoints = lots.reduce((sum, lot) => sum + lot.remaining_points, 0);
+        // The balance can be lower than the open lots when points left through untracked adjustments
+        const points = Math.min(lotPoints, member.points_balance);
+        const lotIds = lots.map(lot => lot.id);
+
+        let transaction = null;
+        let newBalance = member.points_balance;
+
+        if (points > 0) {
+          transaction = await this.transactionRepository.create({
+            member_id: memberId,
+            brand_id: brandId,
+            type: TRANSACTION_TYPES.POINTS_EXPIRED,
+            amount: points,
+            description: `${points} points expired`,
+            status: TRANSACTION_STATUS.COMPLETED,
+            reference_type: 'points_lot',
+            metadata: { lot_ids: lotIds }
+          }, client);
+
+          const updatedMember = await this.memberRepository.updatePoints(memberId, -points, TRANSACTION_TYPES.POINTS_EXPIRED, client, transaction.id);
+          newBalance = updatedMember.points_balance;
+
+          await this.notificationService.notifyPointsExpired(memberId, brandId, transaction, newBalance, client);
+
+          await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.POINTS_EXPIRED, {
+            member_id: memberId,
+            transaction_id: transaction.id,
+            amount: points,
+            new_balance: newBalance
+          }, client);
+        }
+
+        await this.pointsLotRepository.markExpired(lotIds, transaction ? transaction.id : null, client);
+
+        return { points, lots: lotIds.length, transaction, newBalance };
+      });
+
+      if (result) {
+        logger.logBusiness('Points expired', {
+          memberId,
+          brandId,
+          points: result.points,
+          lots: result.lots,
+          transactionId: result.transaction ? result.transaction.id : null,
+          newBalance: result.newBalance
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error expiring member points', { memberId, brandId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's points that expire within the brand's warning window
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Expiring points summary
+   */
+  async getExpiringPoints(memberId, brandId) {
+    try {
+      const pointConfig = await this.pointsLotRepository.getPointConfig(brandId);
+      const windowDays = pointsExpiry.getExpiryWarningDays(pointConfig);
+      const until = new Date(Date.now() + windowDays * DAY_MS);
+
+      // Lots keep the expiry they were earned under, so they are checked even when the policy is now none
+      const lots = await this.pointsLotRepository.findExpiringForMember(memberId, until);
+
+      // Lots expiring at the same moment are reported together
+      const byExpiry = new Map();
+      for (const lot of lots) {
+        const key = new Date(lot.expires_at).toISOString();
+        byExpiry.set(key, (byExpiry.get(key) || 0) + lot.remaining_points);
+      }
+
+      const upcoming = Array.from(byExpiry, ([expiresAt, points]) => ({ points, expires_at: expiresAt }));
+
+      return {
+        expiry_policy: pointConfig.expiry_policy || POINTS_EXPIRY_POLICIES.NONE,
+        window_days: windowDays,
+        total_points: upcoming.reduce((sum, entry) => sum + entry.points, 0),
+        next_expiry_at: upcoming.length > 0 ? upcoming[0].expires_at : null,
+        lots: upcoming
+      };
+    } catch (error) {
+      logger.error('Error getting expiring points', { memberId, brandId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = PointsExpirationService;
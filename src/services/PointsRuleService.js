@@ -0,0 +1,510 @@
+/**
+ * Points Rule Service
+ * Handles brand points earning rules and evaluates them against incoming activity
+ */
+
+const {
+  PointsRuleRepository,
+  PointsRuleApplicationRepository,
+  MemberRepository,
+  BrandRepository,
+  TransactionRepository,
+  AuditLogRepository
+} = require('../repositories');
+const { logger, constants, missionWindows } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { AUDIT_ACTIONS, POINTS_RULE_TYPES, MISSION_TYPES } = constants;
+
+// Config keys each rule type needs; all of them are positive numbers
+const REQUIRED_CONFIG_KEYS = {
+  [POINTS_RULE_TYPES.RATE]: ['points', 'per_amount'],
+  [POINTS_RULE_TYPES.FIXED]: ['points'],
+  [POINTS_RULE_TYPES.MULTIPLIER]: ['multiplier'],
+  [POINTS_RULE_TYPES.DAILY_CAP]: ['max_points']
+};
+
+class PointsRuleService {
+  constructor() {
+    this.pointsRuleRepository = new PointsRuleRepository();
+    this.pointsRuleApplicationRepository = new PointsRuleApplicationRepository();
+    this.memberRepository = new MemberRepository();
+    this.brandRepository = new BrandRepository();
+    this.transactionRepository = new TransactionRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Create a points rule
+   * @param {object} ruleData - Rule data
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID creating the rule
+   * @param {object} context - Request context
+   * @returns {object} - Created rule
+   */
+  async createRule(ruleData, brandId, userId, context = {}) {
+    try {
+      if (await this.pointsRuleRepository.nameExists(brandId, ruleData.name)) {
+        throw new ConflictError('Points rule name already exists for this brand', 409, SERVICE_ERROR_CODES.POINTS_RULE_NAME_ALREADY_EXISTS);
+      }
+
+      this.validateValidityWindow(ruleData.valid_from, ruleData.valid_until);
+      await this.validateTierConditions(ruleData.conditions, brandId);
+
+      const rule = await this.pointsRuleRepository.create({
+        ...ruleData,
+        event_types: ruleData.event_types || [],
+        conditions: ruleData.conditions || {},
+        brand_id: brandId,
+        created_by: userId
+      });
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.POINTS_RULE_CREATE,
+        resource_type: 'points_rule',
+        resource_id: rule.id,
+        description: 'Points rule created successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          name: rule.name,
+          ruleType: rule.rule_type,
+          config: rule.config
+        }
+      });
+
+      logger.logBusiness('Points rule created', {
+        ruleId: rule.id,
+        ruleType: rule.rule_type,
+        brandId,
+        createdBy: userId
+      });
+
+      return rule;
+    } catch (error) {
+      logger.error('Points rule creation failed', {
+        error: error.message,
+        ruleData,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get points rule by ID
+   * @param {string} ruleId - Rule ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Rule
+   */
+  async getRuleById(ruleId, brandId) {
+    try {
+      const rule = await this.pointsRuleRepository.findByIdForBrand(ruleId, brandId);
+      if (!rule) {
+        throw new NotFoundError('Points rule not found', 404, SERVICE_ERROR_CODES.POINTS_RULE_NOT_FOUND);
+      }
+
+      return rule;
+    } catch (error) {
+      logger.error('Get points rule failed', {
+        error: error.message,
+        ruleId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List points rules of a brand
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated rules
+   */
+  async listRules(options = {}, brandId) {
+    try {
+      const result = await this.pointsRuleRepository.findByBrand(brandId, options);
+
+      return {
+        rules: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List points rules failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a points rule
+   * @param {string} ruleId - Rule ID
+   * @param {object} updateData - Fields to update
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID updating the rule
+   * @param {object} context - Request context
+   * @returns {object} - Updated rule
+   */
+  async updateRule(ruleId, updateData, brandId, userId, context = {}) {
+    try {
+      const existingRule = await this.getRuleById(ruleId, brandId);
+
+      if (updateData.name && await this.pointsRuleRepository.nameExists(brandId, updateData.name, ruleId)) {
+        throw new ConflictError('Points rule name already exists for this brand', 409, SERVICE_ERROR_CODES.POINTS_RULE_NAME_ALREADY_EXISTS);
+      }
+
+      if (updateData.config) {
+        this.validateRuleConfig(updateData.rule_type || existingRule.rule_type, updateData.config);
+      }
+
+      this.validateValidityWindow(
+        updateData.valid_from !== undefined ? updateData.valid_from : existingRule.valid_from,
+        updateData.valid_until !== undefined ? updateData.valid_until : existingRule.valid_until
+      );
+
+      if (updateData.conditions) {
+        await this.validateTierConditions(updateData.conditions, brandId);
+      }
+
+      const updatedRule = await this.pointsRuleRepository.update(ruleId, updateData);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.POINTS_RULE_UPDATE,
+        resource_type: 'points_rule',
+        resource_id: ruleId,
+        description: 'Points rule updated successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          updatedFields: Object.keys(updateData)
+        }
+      });
+
+      logger.logBusiness('Points rule updated', {
+        ruleId,
+        brandId,
+        updatedFields: Object.keys(updateData),
+        updatedBy: userId
+      });
+
+      return updatedRule;
+    } catch (error) {
+      logger.error('Points rule update failed', {
+        error: error.message,
+        ruleId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a points rule that has never awarded points
+   * @param {string} ruleId - Rule ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID deleting the rule
+   * @param {object} context - Request context
+   */
+  async deleteRule(ruleId, brandId, userId, context = {}) {
+    try {
+      const existingRule = await this.getRuleById(ruleId, brandId);
+
+      if (await this.pointsRuleApplicationRepository.ruleHasApplications(ruleId)) {
+        throw new ValidationError('Cannot delete a points rule that has awarded points. Please deactivate instead.', 400, SERVICE_ERROR_CODES.POINTS_RULE_CANNOT_DELETE_WITH_HISTORY);
+      }
+
+      await this.pointsRuleRepository.delete(ruleId);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.POINTS_RULE_DELETE,
+        resource_type: 'points_rule',
+        resource_id: ruleId,
+        description: 'Points rule deleted successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          name: existingRule.name
+        }
+      });
+
+      logger.logBusiness('Points rule deleted', {
+        ruleId,
+        brandId,
+        deletedBy: userId
+      });
+    } catch (error) {
+      logger.error('Points rule deletion failed', {
+        error: error.message,
+        ruleId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rules that produced a transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} brandId - Brand ID
+   * @returns {array} - Rule applications
+   */
+  async getTransactionApplications(transactionId, brandId) {
+    try {
+      const transaction = await this.transactionRepository.findById(transactionId);
+      if (!transaction || transaction.brand_id !== brandId) {
+        throw new NotFoundError('Transaction not found', 404, SERVICE_ERROR_CODES.TRANSACTION_NOT_FOUND);
+      }
+
+      return await this.pointsRuleApplicationRepository.findByTransaction(transactionId);
+    } catch (error) {
+      logger.error('Get transaction points rules failed', {
+        error: error.message,
+        transactionId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Preview the points an activity would earn without awarding anything
+   * @param {object} previewData - Activity (event_type, amount, currency, occurred_at) and an optional member_id or tier_id
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Points and the rules that produced them
+   */
+  async previewPoints(previewData, brandId) {
+    try {
+      let member = { id: null, tier_id: previewData.tier_id || null };
+
+      if (previewData.member_id) {
+        member = await this.memberRepository.findById(previewData.member_id);
+        if (!member || member.brand_id !== brandId) {
+          throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.POINTS_RULE_MEMBER_NOT_FOUND);
+        }
+      }
+
+      return await this.evaluate({
+        event_type: previewData.event_type,
+        amount: previewData.amount,
+        currency: previewData.currency,
+        occurred_at: previewData.occurred_at
+      }, member, brandId);
+    } catch (error) {
+      logger.error('Points rule preview failed', {
+        error: error.message,
+        previewData,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate the brand's rules against an activity
+   * Earning rules (rate, fixed) are added up, multipliers are applied in priority order on the running total,
+   * and the lowest daily cap limits what the member can still earn through rules on the day the activity happened.
+   * Days follow the brand's timezone (mission_config.timezone). To award the points, evaluate inside the
+   * transaction that credits them: the member row is locked before the cap is read, so concurrent credits
+   * for the member see each other's applications.
+   * @param {object} activity - Activity (event_type, amount, currency, occurred_at)
+   * @param {object} member - Member the activity belongs to (id may be null for previews)
+   * @param {string} brandId - Brand ID
+   * @param {object} client - Database client of the crediting transaction (omit for previews)
+   * @returns {object} - Points, one application per rule that changed them, and the time the activity was evaluated at
+   */
+  async evaluate(activity, member, brandId, client = null) {
+    const occurredAt = activity.occurred_at ? new Date(activity.occurred_at) : new Date();
+    const missionConfig = await this.brandRepository.getMissionConfig(brandId, client);
+    const timezone = missionWindows.resolveTimezone(missionConfig.timezone);
+    const rules = await this.pointsRuleRepository.findApplicable(brandId, activity.event_type, occurredAt);
+    const matchingRules = rules.filter(rule => this.matchesConditions(rule, activity, member, occurredAt, timezone));
+
+    const applications = [];
+    let points = 0;
+
+    for (const rule of matchingRules) {
+      const earned = this.calculateEarnedPoints(rule, activity);
+      if (earned > 0) {
+        points += earned;
+        applications.push(this.buildApplication(rule, earned));
+      }
+    }
+
+    for (const rule of matchingRules.filter(r => r.rule_type === POINTS_RULE_TYPES.MULTIPLIER)) {
+      const multiplied = Math.floor(points * Number(rule.config.multiplier));
+      if (multiplied !== points) {
+        applications.push(this.buildApplication(rule, multiplied - points));
+        points = multiplied;
+      }
+    }
+
+    const capRules = matchingRules.filter(r => r.rule_type === POINTS_RULE_TYPES.DAILY_CAP);
+    if (capRules.length > 0 && points > 0) {
+      const capRule = capRules.reduce((lowest, rule) => (
+        Number(rule.config.max_points) < Number(lowest.config.max_points) ? rule : lowest
+      ));
+
+      const remaining = Math.max(Number(capRule.config.max_points) - await this.getEarnedOnDay(member, occurredAt, timezone, client), 0);
+
+      if (points > remaining) {
+        applications.push(this.buildApplication(capRule, remaining - points));
+        points = remaining;
+      }
+    }
+
+    return { points, applications, occurred_at: occurredAt };
+  }
+
+  /**
+   * Points a member earned through rules for activity on the brand-local day of an instant
+   * @param {object} member - Member (nothing is read for previews without a member)
+   * @param {Date} occurredAt - Instant on the day
+   * @param {string} timezone - Brand timezone
+   * @param {object} client - Database client of the crediting transaction
+   * @returns {number} - Points earned that day
+   */
+  async getEarnedOnDay(member, occurredAt, timezone, client = null) {
+    if (!member.id) {
+      return 0;
+    }
+
+    if (client) {
+      await this.memberRepository.findByIdForUpdate(member.id, client);
+    }
+
+    return this.pointsRuleApplicationRepository.getMemberPointsForPeriod(
+      member.id,
+      missionWindows.getWindowStart(MISSION_TYPES.DAILY, occurredAt, timezone),
+      missionWindows.getNextReset(MISSION_TYPES.DAILY, occurredAt, timezone),
+      client
+    );
+  }
+
+  /**
+   * Points a single earning rule produces for an activity
+   * @param {object} rule - Points rule
+   * @param {object} activity - Activity
+   * @returns {number} - Points earned (0 for non-earning rules)
+   */
+  calculateEarnedPoints(rule, activity) {
+    switch (rule.rule_type) {
+      case POINTS_RULE_TYPES.RATE:
+        if (activity.amount === null || activity.amount === undefined) {
+          return 0;
+        }
+        return Math.floor(Number(activity.amount) / Number(rule.config.per_amount)) * Number(rule.config.points);
+      case POINTS_RULE_TYPES.FIXED:
+        return Number(rule.config.points);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Check the optional conditions of a rule
+   * @param {object} rule - Points rule
+   * @param {object} activity - Activity
+   * @param {object} member - Member
+   * @param {Date} occurredAt - When the activity happened
+   * @param {string} timezone - Brand timezone the day of the week is taken in
+   * @returns {boolean} - True if every condition holds
+   */
+  matchesConditions(rule, activity, member, occurredAt, timezone = missionWindows.DEFAULT_TIMEZONE) {
+    const conditions = rule.conditions || {};
+
+    if (conditions.days_of_week && conditions.days_of_week.length > 0 &&
+        !conditions.days_of_week.includes(missionWindows.getLocalDayOfWeek(occurredAt, timezone))) {
+      return false;
+    }
+
+    if (conditions.tier_ids && conditions.tier_ids.length > 0 &&
+        !conditions.tier_ids.includes(member.tier_id)) {
+      return false;
+    }
+
+    if (conditions.min_amount !== undefined && conditions.min_amount !== null &&
+        (activity.amount === null || activity.amount === undefined || Number(activity.amount) < Number(conditions.min_amount))) {
+      return false;
+    }
+
+    if (conditions.currencies && conditions.currencies.length > 0 &&
+        !conditions.currencies.includes(activity.currency)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Describe how a rule changed the points of an activity
+   * @param {object} rule - Points rule
+   * @param {number} points - Points added (negative when capped)
+   * @returns {object} - Application
+   */
+  buildApplication(rule, points) {
+    return {
+      rule_id: rule.id,
+      rule_name: rule.name,
+      rule_type: rule.rule_type,
+      points
+    };
+  }
+
+  /**
+   * Validate that a config has what its rule type needs
+   * @param {string} ruleType - Rule type
+   * @param {object} config - Rule config
+   */
+  validateRuleConfig(ruleType, config) {
+    const missingKeys = REQUIRED_CONFIG_KEYS[ruleType].filter(key => !(Number(config[key]) > 0));
+
+    if (missingKeys.length > 0) {
+      throw new ValidationError(`Points rule config for ${ruleType} requires ${missingKeys.join(', ')}`, 400, SERVICE_ERROR_CODES.POINTS_RULE_INVALID_CONFIG);
+    }
+  }
+
+  /**
+   * Validate that valid_until comes after valid_from
+   * @param {Date} validFrom - Start of validity
+   * @param {Date} validUntil - End of validity
+   */
+  validateValidityWindow(validFrom, validUntil) {
+    if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+      throw new ValidationError('Points rule valid_until must be after valid_from', 400, SERVICE_ERROR_CODES.POINTS_RULE_INVALID_VALIDITY_WINDOW);
+    }
+  }
+
+  /**
+   * Validate that tier conditions reference tiers of the brand
+   * @param {object} conditions - Rule conditions
+   * @param {string} brandId - Brand ID
+   */
+  async validateTierConditions(conditions, brandId) {
+    if (!conditions || !conditions.tier_ids || conditions.tier_ids.length === 0) {
+      return;
+    }
+
+    const tiers = await this.memberRepository.getMembershipTiers(brandId, { includeInactive: true });
+    const brandTierIds = tiers.map(tier => tier.id);
+    const unknownTiers = conditions.tier_ids.filter(tierId => !brandTierIds.includes(tierId));
+
+    if (unknownTiers.length > 0) {
+      throw new ValidationError('Points rule tier condition references an unknown tier', 400, SERVICE_ERROR_CODES.POINTS_RULE_INVALID_TIER);
+    }
+  }
+}
+
+module.exports = PointsRuleService;
@@ -0,0 +1,456 @@
+/**
+ * Prize Claim Service
+ * Handles claims for wheel prizes that are delivered by hand, from the winner's details to shipment
+ */
+
+const {
+  WheelPrizeClaimRepository,
+  WheelRepository,
+  WheelItemStockRepository,
+  MemberRepository,
+  AuditLogRepository
+} = require('../repositories');
+const NotificationService = require('./NotificationService');
+const { logger, constants } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { AUDIT_ACTIONS, CLAIM_STATUS, WHEEL_ITEM_TYPES } = constants;
+
+// Details a winner has to submit before a prize can be delivered
+const REQUIRED_CLAIM_DETAILS = {
+  [WHEEL_ITEM_TYPES.PRODUCT]: 'shipping_address',
+  [WHEEL_ITEM_TYPES.CASH]: 'bank_details'
+};
+
+class PrizeClaimService {
+  constructor() {
+    this.prizeClaimRepository = new WheelPrizeClaimRepository();
+    this.wheelRepository = new WheelRepository();
+    this.stockRepository = new WheelItemStockRepository();
+    this.memberRepository = new MemberRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Get prize claims of a member
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated claims
+   */
+  async getMemberClaims(memberId, options = {}, brandId) {
+    try {
+      const member = await this.memberRepository.findById(memberId);
+      if (!member || member.brand_id !== brandId) {
+        throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.WHEEL_MEMBER_NOT_FOUND);
+      }
+
+      const result = await this.prizeClaimRepository.findByMember(memberId, options);
+
+      return {
+        claims: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('Get member prize claims failed', {
+        error: error.message,
+        memberId,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Submit the details needed to deliver a prize (member action)
+   * @param {string} claimId - Claim ID
+   * @param {object} details - Claim details (shipping_address, bank_details, notes)
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} context - Request context
+   * @returns {object} - Updated claim
+   */
+  async submitClaim(claimId, details, memberId, brandId, context = {}) {
+    try {
+      const claim = await this.prizeClaimRepository.withTransaction(async (client) => {
+        const existingClaim = await this.prizeClaimRepository.findByIdForUpdate(claimId, client);
+        if (!existingClaim || existingClaim.brand_id !== brandId || existingClaim.member_id !== memberId) {
+          throw new NotFoundError('Prize claim not found', 404, SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_NOT_FOUND);
+        }
+
+        this.assertStatus(existingClaim, [CLAIM_STATUS.PENDING], 'submit');
+
+        if (existingClaim.expires_at && new Date(existingClaim.expires_at) < new Date()) {
+          throw new ConflictError('The deadline to claim this prize has passed', 409, SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_EXPIRED);
+        }
+
+        const requiredDetail = REQUIRED_CLAIM_DETAILS[existingClaim.prize_type];
+        if (requiredDetail && !details[requiredDetail]) {
+          throw new ValidationError(
+            `${requiredDetail} is required to claim a ${existingClaim.prize_type} prize`,
+            400,
+            SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_DETAILS_REQUIRED
+          );
+        }
+
+        const updatedClaim = await this.prizeClaimRepository.update(claimId, {
+          status: CLAIM_STATUS.CLAIMED,
+          claim_details: {
+            shipping_address: details.shipping_address || null,
+            bank_details: details.bank_details || null,
+            notes: details.notes || null
+          },
+          claimed_at: new Date()
+        }, client);
+
+        await this.auditLogRepository.logUserAction({
+          user_id: null,
+          member_id: memberId,
+          brand_id: brandId,
+          action: AUDIT_ACTIONS.PRIZE_CLAIM_SUBMIT,
+          resource_type: 'wheel_prize_claim',
+          resource_id: claimId,
+          description: 'Prize claim details submitted',
+          ip_address: context.ip,
+          user_agent: context.userAgent,
+          metadata: {
+            prizeType: existingClaim.prize_type,
+            wheelId: existingClaim.wheel_id
+          }
+        }, client);
+
+        return updatedClaim;
+      });
+
+      logger.logBusiness('Prize claim submitted', {
+        claimId,
+        memberId,
+        brandId,
+        prizeType: claim.prize_type
+      });
+
+      return claim;
+    } catch (error) {
+      logger.error('Prize claim submission failed', {
+        error: error.message,
+        claimId,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List prize claims for a brand (admin review queue)
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated claims
+   */
+  async listClaims(options = {}, brandId) {
+    try {
+      const result = await this.prizeClaimRepository.findByBrand(brandId, options);
+
+      return {
+        claims: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List prize claims failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a submitted claim
+   * @param {string} claimId - Claim ID
+   * @param {object} reviewData - Review details (notes)
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID approving the claim
+   * @param {object} context - Request context
+   * @returns {object} - Updated claim
+   */
+  async approveClaim(claimId, reviewData = {}, brandId, userId, context = {}) {
+    try {
+      return await this.reviewClaim(claimId, brandId, userId, context, {
+        verb: 'approve',
+        action: AUDIT_ACTIONS.PRIZE_CLAIM_APPROVE,
+        description: 'Prize claim approved',
+        allowedStatuses: [CLAIM_STATUS.CLAIMED],
+        updates: {
+          status: CLAIM_STATUS.APPROVED,
+          reviewed_by: userId,
+          reviewed_at: new Date(),
+          review_notes: reviewData.notes || null
+        }
+      });
+    } catch (error) {
+      logger.error('Prize claim approval failed', {
+        error: error.message,
+        claimId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a claim; the prize goes back into stock and its budget is refunded
+   * @param {string} claimId - Claim ID
+   * @param {string} reason - Rejection reason
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID rejecting the claim
+   * @param {object} context - Request context
+   * @returns {object} - Updated claim
+   */
+  async rejectClaim(claimId, reason, brandId, userId, context = {}) {
+    try {
+      return await this.reviewClaim(claimId, brandId, userId, context, {
+        verb: 'reject',
+        action: AUDIT_ACTIONS.PRIZE_CLAIM_REJECT,
+        description: 'Prize claim rejected',
+        allowedStatuses: [CLAIM_STATUS.PENDING, CLAIM_STATUS.CLAIMED],
+        returnPrize: true,
+        updates: {
+          status: CLAIM_STATUS.REJECTED,
+          reviewed_by: userId,
+          reviewed_at: new Date(),
+          rejection_reason: reason
+        }
+      });
+    } catch (error) {
+      logger.error('Prize claim rejection failed', {
+        error: error.message,
+        claimId,
+        reason,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an approved product prize as shipped
+   * @param {string} claimId - Claim ID
+   * @param {object} shipment - Shipment details (carrier, tracking_number, notes)
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID shipping the prize
+   * @param {object} context - Request context
+   * @returns {object} - Updated claim
+   */
+  async shipClaim(claimId, shipment, brandId, userId, context = {}) {
+    try {
+      return await this.reviewClaim(claimId, brandId, userId, context, {
+        verb: 'ship',
+        action: AUDIT_ACTIONS.PRIZE_CLAIM_SHIP,
+        description: 'Prize shipped',
+        allowedStatuses: [CLAIM_STATUS.APPROVED],
+        prizeTypes: [WHEEL_ITEM_TYPES.PRODUCT],
+        updates: {
+          status: CLAIM_STATUS.SHIPPED,
+          shipped_by: userId,
+          shipped_at: new Date(),
+          carrier: shipment.carrier,
+          tracking_number: shipment.tracking_number,
+          shipping_notes: shipment.notes || null
+        }
+      });
+    } catch (error) {
+      logger.error('Prize shipment failed', {
+        error: error.message,
+        claimId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Expire pending claims that were not submitted before their deadline, one claim at a time
+   * @param {number} batchSize - Maximum number of claims to process
+   * @param {Date} at - Deadline cut-off
+   * @returns {object} - Summary (due, expired, failed)
+   */
+  async expireOverdueClaims(batchSize = 100, at = new Date()) {
+    try {
+      const claimIds = await this.prizeClaimRepository.findOverdue(at, batchSize);
+      const summary = { due: claimIds.length, expired: 0, failed: 0 };
+
+      for (const claimId of claimIds) {
+        try {
+          const claim = await this.expireClaim(claimId, at);
+          if (claim) {
+            summary.expired++;
+          }
+        } catch (error) {
+          // One claim's failure must not hold back the others; it stays due for the next run
+          summary.failed++;
+          logger.error('Error expiring prize claim', { claimId, error: error.message });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Error expiring overdue prize claims', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Expire one overdue claim, return the prize to stock and tell the winner
+   * @param {string} claimId - Claim ID
+   * @param {Date} at - Deadline cut-off
+   * @returns {object|null} - Expired claim, or null if it was submitted or expired meanwhile
+   */
+  async expireClaim(claimId, at = new Date()) {
+    try {
+      const claim = await this.prizeClaimRepository.withTransaction(async (client) => {
+        const existingClaim = await this.prizeClaimRepository.findByIdForUpdate(claimId, client);
+        if (!existingClaim || existingClaim.status !== CLAIM_STATUS.PENDING || new Date(existingClaim.expires_at) >= at) {
+          return null;
+        }
+
+        const expiredClaim = await this.prizeClaimRepository.update(claimId, {
+          status: CLAIM_STATUS.EXPIRED,
+          expired_at: at
+        }, client);
+
+        await this.returnPrize(existingClaim, client);
+        await this.notificationService.notifyPrizeClaimUpdate(existingClaim.member_id, existingClaim.brand_id, expiredClaim, client);
+
+        return expiredClaim;
+      });
+
+      if (claim) {
+        logger.logBusiness('Prize claim expired', {
+          claimId,
+          memberId: claim.member_id,
+          brandId: claim.brand_id,
+          prizeType: claim.prize_type
+        });
+      }
+
+      return claim;
+    } catch (error) {
+      logger.error('Prize claim expiry failed', {
+        error: error.message,
+        claimId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a claim to a new status on an admin's behalf, then tell the winner
+   * @param {string} claimId - Claim ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID acting on the claim
+   * @param {object} context - Request context
+   * @param {object} review - Review (verb, action, description, allowedStatuses, prizeTypes, returnPrize, updates)
+   * @returns {object} - Updated claim
+   */
+  async reviewClaim(claimId, brandId, userId, context, review) {
+    const claim = await this.prizeClaimRepository.withTransaction(async (client) => {
+      const existingClaim = await this.prizeClaimRepository.findByIdForUpdate(claimId, client);
+      if (!existingClaim || existingClaim.brand_id !== brandId) {
+        throw new NotFoundError('Prize claim not found', 404, SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_NOT_FOUND);
+      }
+
+      this.assertStatus(existingClaim, review.allowedStatuses, review.verb);
+
+      if (review.prizeTypes && !review.prizeTypes.includes(existingClaim.prize_type)) {
+        throw new ConflictError(
+          `Cannot ${review.verb} a ${existingClaim.prize_type} prize`,
+          409,
+          SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_INVALID_STATUS
+        );
+      }
+
+      const updatedClaim = await this.prizeClaimRepository.update(claimId, review.updates, client);
+
+      if (review.returnPrize) {
+        await this.returnPrize(existingClaim, client);
+      }
+
+      await this.notificationService.notifyPrizeClaimUpdate(existingClaim.member_id, brandId, updatedClaim, client);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        member_id: existingClaim.member_id,
+        brand_id: brandId,
+        action: review.action,
+        resource_type: 'wheel_prize_claim',
+        resource_id: claimId,
+        description: review.description,
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          prizeType: existingClaim.prize_type,
+          previousStatus: existingClaim.status,
+          newStatus: updatedClaim.status
+        }
+      }, client);
+
+      return updatedClaim;
+    });
+
+    logger.logBusiness(review.description, {
+      claimId,
+      brandId,
+      status: claim.status,
+      userId
+    });
+
+    return claim;
+  }
+
+  /**
+   * Give an undelivered prize back to its wheel: the win is taken off the item's stock counters,
+   * on the day the spin counted it, and the budget it used is refunded
+   * @param {object} claim - Claim being closed
+   * @param {object} client - Database client (for transaction)
+   */
+  async returnPrize(claim, client) {
+    const spin = await this.wheelRepository.findSpinById(claim.wheel_spin_id, client);
+    await this.stockRepository.returnWin({
+      wheel_id: claim.wheel_id,
+      wheel_item_id: claim.wheel_item_id,
+      member_id: claim.member_id,
+      day: spin && spin.spin_data ? spin.spin_data.stock_day : null
+    }, client);
+
+    const budgetCost = Number(claim.budget_cost) || 0;
+    if (budgetCost > 0) {
+      await this.wheelRepository.addBudgetSpent(claim.wheel_id, -budgetCost, client);
+    }
+  }
+
+  /**
+   * Check that a claim is in one of the statuses an action is allowed from
+   * @param {object} claim - Claim
+   * @param {Array} allowedStatuses - Allowed statuses
+   * @param {string} action - Action being taken, for the error message
+   * @throws {ConflictError} - If the claim is in another status
+   */
+  assertStatus(claim, allowedStatuses, action) {
+    if (!allowedStatuses.includes(claim.status)) {
+      throw new ConflictError(
+        `Cannot ${action} a ${claim.status} prize claim`,
+        409,
+        SERVICE_ERROR_CODES.WHEEL_PRIZE_CLAIM_INVALID_STATUS
+      );
+    }
+  }
+}
+
+module.exports = PrizeClaimService;
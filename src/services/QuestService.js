@@ -0,0 +1,476 @@
+/**
+ * Quest Service
+ * Handles quests: ordered chains of mission steps where finishing a step unlocks the next one.
+ * A step offers one or more missions as branches (completing any of them completes the step) and may
+ * be optional, in which case it neither blocks later steps nor counts towards finishing the quest.
+ * Also decides which missions are locked, by quest steps or by a mission's prerequisite missions.
+ */
+
+const {
+  QuestRepository,
+  MissionRepository,
+  MissionCompletionRepository,
+  MemberRepository,
+  AuditLogRepository
+} = require('../repositories');
+const { logger, constants } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { AUDIT_ACTIONS, QUEST_STATUS, QUEST_STEP_STATUS } = constants;
+
+class QuestService {
+  constructor() {
+    this.questRepository = new QuestRepository();
+    this.missionRepository = new MissionRepository();
+    this.missionCompletionRepository = new MissionCompletionRepository();
+    this.memberRepository = new MemberRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * List a brand's quests, newest first
+   * @param {object} options - Query options (page, limit, status)
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Quests and pagination
+   */
+  async listQuests(options = {}, brandId) {
+    try {
+      const result = await this.questRepository.findByBrand(brandId, options);
+
+      return {
+        quests: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List quests failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a quest
+   * @param {string} questId - Quest ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Quest
+   */
+  async getQuest(questId, brandId) {
+    try {
+      return await this.findQuest(questId, brandId);
+    } catch (error) {
+      logger.error('Get quest failed', {
+        error: error.message,
+        questId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a quest
+   * @param {object} questData - Quest data (name, description, steps, bonus_points, bonus_spin_tickets, status)
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID creating the quest
+   * @param {object} context - Request context
+   * @returns {object} - Created quest
+   */
+  async createQuest(questData, brandId, userId, context = {}) {
+    try {
+      const steps = await this.validateSteps(questData.steps, brandId);
+
+      const quest = await this.questRepository.createQuest({
+        brand_id: brandId,
+        name: questData.name,
+        description: questData.description || null,
+        steps,
+        bonus_points: questData.bonus_points || 0,
+        bonus_spin_tickets: questData.bonus_spin_tickets || 0,
+        status: questData.status || QUEST_STATUS.DRAFT,
+        created_by: userId
+      });
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.QUEST_CREATE,
+        description: 'Quest created successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          questId: quest.id,
+          questName: quest.name,
+          steps: steps.length
+        }
+      });
+
+      logger.logBusiness('Quest created', {
+        questId: quest.id,
+        brandId,
+        steps: steps.length,
+        createdBy: userId
+      });
+
+      return quest;
+    } catch (error) {
+      logger.error('Quest creation failed', {
+        error: error.message,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a quest
+   * @param {string} questId - Quest ID
+   * @param {object} updateData - Fields to update (name, description, steps, bonus_points, bonus_spin_tickets, status)
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID updating the quest
+   * @param {object} context - Request context
+   * @returns {object} - Updated quest
+   */
+  async updateQuest(questId, updateData, brandId, userId, context = {}) {
+    try {
+      await this.findQuest(questId, brandId);
+
+      const data = { ...updateData };
+      if (updateData.steps) {
+        data.steps = await this.validateSteps(updateData.steps, brandId);
+      }
+
+      const quest = await this.questRepository.updateQuest(questId, data);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.QUEST_UPDATE,
+        description: 'Quest updated successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          questId,
+          updatedFields: Object.keys(updateData)
+        }
+      });
+
+      logger.logBusiness('Quest updated', {
+        questId,
+        updatedFields: Object.keys(updateData),
+        updatedBy: userId
+      });
+
+      return quest;
+    } catch (error) {
+      logger.error('Quest update failed', {
+        error: error.message,
+        questId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a brand's active quests with a member's progress through their steps
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {Array} - Quests with progress
+   */
+  async getMemberQuests(memberId, brandId) {
+    try {
+      await this.findMember(memberId, brandId);
+
+      const quests = await this.questRepository.findActiveByBrand(brandId);
+      return await this.describeProgress(memberId, quests, brandId);
+    } catch (error) {
+      logger.error('Get member quests failed', {
+        error: error.message,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an active quest with a member's progress through its steps
+   * @param {string} questId - Quest ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Quest with progress
+   */
+  async getMemberQuest(questId, memberId, brandId) {
+    try {
+      await this.findMember(memberId, brandId);
+
+      const quest = await this.findQuest(questId, brandId);
+      if (quest.status !== QUEST_STATUS.ACTIVE) {
+        throw new NotFoundError('Quest not found', 404, SERVICE_ERROR_CODES.MISSION_QUEST_NOT_FOUND);
+      }
+
+      const [described] = await this.describeProgress(memberId, [quest], brandId);
+      return described;
+    } catch (error) {
+      logger.error('Get member quest failed', {
+        error: error.message,
+        questId,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find which missions are locked for a member: missions with a prerequisite mission the member has
+   * not completed, and missions on a step of an active quest after a required step the member has
+   * not completed
+   * @param {string} memberId - Member ID
+   * @param {Array} missions - Missions
+   * @param {string} brandId - Brand ID
+   * @returns {Map} - Why each locked mission is locked, by mission ID
+   */
+  async getLockedMissions(memberId, missions, brandId) {
+    const missionIds = missions.map(mission => mission.id);
+    const quests = (await this.questRepository.findActiveByBrand(brandId))
+      .filter(quest => this.getMissionIds(quest).some(id => missionIds.includes(id)));
+
+    const relevantIds = new Set(quests.flatMap(quest => this.getMissionIds(quest)));
+    missions.forEach(mission => (mission.prerequisite_mission_ids || []).forEach(id => relevantIds.add(id)));
+
+    const locked = new Map();
+    if (relevantIds.size === 0) {
+      return locked;
+    }
+
+    const completedIds = new Set(await this.missionCompletionRepository.findCompletedMissionIds(memberId, [...relevantIds]));
+
+    for (const mission of missions) {
+      if ((mission.prerequisite_mission_ids || []).some(id => !completedIds.has(id))) {
+        locked.set(mission.id, 'Mission is locked until its prerequisite missions are completed');
+        continue;
+      }
+
+      for (const quest of quests) {
+        const step = this.buildSteps(quest, completedIds).find(candidate => candidate.mission_ids.includes(mission.id));
+        if (step && step.status === QUEST_STEP_STATUS.LOCKED) {
+          locked.set(mission.id, `Mission is locked until the earlier steps of quest "${quest.name}" are completed`);
+          break;
+        }
+      }
+    }
+
+    return locked;
+  }
+
+  /**
+   * Why a mission is locked for a member
+   * @param {object} mission - Mission
+   * @param {string} memberId - Member ID
+   * @returns {string|null} - Reason, or null when the mission is unlocked
+   */
+  async getLockReason(mission, memberId) {
+    const locked = await this.getLockedMissions(memberId, [mission], mission.brand_id);
+    return locked.get(mission.id) || null;
+  }
+
+  /**
+   * Find the active quests a member finished by completing a mission, leaving out quests they had
+   * already finished
+   * @param {string} missionId - Completed mission ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {Array} - Finished quests
+   */
+  async findFinishedQuests(missionId, memberId, brandId) {
+    const quests = (await this.questRepository.findActiveByBrand(brandId))
+      .filter(quest => this.getMissionIds(quest).includes(missionId));
+    if (quests.length === 0) {
+      return [];
+    }
+
+    const completedIds = new Set(await this.missionCompletionRepository.findCompletedMissionIds(
+      memberId, [...new Set(quests.flatMap(quest => this.getMissionIds(quest)))]
+    ));
+    const finishedIds = (await this.questRepository.findCompletions(memberId, quests.map(quest => quest.id)))
+      .map(completion => completion.quest_id);
+
+    return quests.filter(quest => !finishedIds.includes(quest.id) && this.isFinished(this.buildSteps(quest, completedIds)));
+  }
+
+  /**
+   * Record that a member finished a quest
+   * @param {object} quest - Quest
+   * @param {string} memberId - Member ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {object|null} - Completion, or null if the member had already finished the quest
+   */
+  async recordCompletion(quest, memberId, client = null) {
+    return this.questRepository.recordCompletion({
+      quest_id: quest.id,
+      member_id: memberId,
+      brand_id: quest.brand_id
+    }, client);
+  }
+
+  /**
+   * Describe a member's progress through quests: each step's status and missions, and whether
+   * the quest is finished
+   * @param {string} memberId - Member ID
+   * @param {Array} quests - Quests
+   * @param {string} brandId - Brand ID
+   * @returns {Array} - Quests with progress
+   */
+  async describeProgress(memberId, quests, brandId) {
+    const missionIds = [...new Set(quests.flatMap(quest => this.getMissionIds(quest)))];
+    const [missions, completedIds, completions] = await Promise.all([
+      this.missionRepository.findByIds(missionIds, brandId),
+      this.missionCompletionRepository.findCompletedMissionIds(memberId, missionIds),
+      this.questRepository.findCompletions(memberId, quests.map(quest => quest.id))
+    ]);
+    const completed = new Set(completedIds);
+
+    return quests.map(quest => {
+      const steps = this.buildSteps(quest, completed);
+      const requiredSteps = steps.filter(step => !step.optional);
+      const completedSteps = requiredSteps.filter(step => step.status === QUEST_STEP_STATUS.COMPLETED);
+      const completion = completions.find(candidate => candidate.quest_id === quest.id);
+
+      return {
+        id: quest.id,
+        name: quest.name,
+        description: quest.description,
+        bonus_points: quest.bonus_points,
+        bonus_spin_tickets: quest.bonus_spin_tickets,
+        progress: {
+          completed_steps: completedSteps.length,
+          required_steps: requiredSteps.length,
+          percentage: Math.floor((completedSteps.length / requiredSteps.length) * 100)
+        },
+        completed: this.isFinished(steps),
+        completed_at: completion ? completion.created_at : null,
+        steps: steps.map(step => ({
+          step: step.step,
+          optional: step.optional,
+          status: step.status,
+          missions: step.mission_ids.map(id => {
+            const mission = missions.find(candidate => candidate.id === id) || { id };
+            return {
+              id,
+              name: mission.name,
+              type: mission.type,
+              reward_points: mission.reward_points,
+              completed: completed.has(id)
+            };
+          })
+        }))
+      };
+    });
+  }
+
+  /**
+   * Work out each step's status from the missions a member has completed. A step is completed once
+   * any of its missions is, and unlocked once every required step before it is completed.
+   * @param {object} quest - Quest
+   * @param {Set} completedIds - IDs of the missions the member has completed
+   * @returns {Array} - Steps (step number, optional, mission_ids, status)
+   */
+  buildSteps(quest, completedIds) {
+    let unlocked = true;
+
+    return quest.steps.map((step, index) => {
+      const completed = step.mission_ids.some(id => completedIds.has(id));
+      const status = completed
+        ? QUEST_STEP_STATUS.COMPLETED
+        : unlocked ? QUEST_STEP_STATUS.UNLOCKED : QUEST_STEP_STATUS.LOCKED;
+
+      if (!step.optional && !completed) {
+        unlocked = false;
+      }
+
+      return { step: index + 1, optional: Boolean(step.optional), mission_ids: step.mission_ids, status };
+    });
+  }
+
+  /**
+   * Whether every required step is completed
+   * @param {Array} steps - Steps from buildSteps
+   * @returns {boolean} - True if the quest is finished
+   */
+  isFinished(steps) {
+    return steps.every(step => step.optional || step.status === QUEST_STEP_STATUS.COMPLETED);
+  }
+
+  /**
+   * IDs of the missions on a quest's steps
+   * @param {object} quest - Quest
+   * @returns {Array} - Mission IDs
+   */
+  getMissionIds(quest) {
+    return quest.steps.flatMap(step => step.mission_ids);
+  }
+
+  /**
+   * Check quest steps use missions of the brand, each mission once, and have a required step
+   * @param {Array} steps - Steps (mission_ids, optional)
+   * @param {string} brandId - Brand ID
+   * @returns {Array} - Steps to store
+   */
+  async validateSteps(steps, brandId) {
+    const missionIds = steps.flatMap(step => step.mission_ids);
+
+    if (new Set(missionIds).size !== missionIds.length) {
+      throw new ValidationError('A mission can only be on one quest step', 400, SERVICE_ERROR_CODES.MISSION_QUEST_INVALID_STEPS);
+    }
+
+    if (steps.every(step => step.optional)) {
+      throw new ValidationError('A quest needs at least one required step', 400, SERVICE_ERROR_CODES.MISSION_QUEST_INVALID_STEPS);
+    }
+
+    const missions = await this.missionRepository.findByIds(missionIds, brandId);
+    if (missions.length !== missionIds.length) {
+      throw new ValidationError('Quest steps must use missions of the brand', 400, SERVICE_ERROR_CODES.MISSION_QUEST_INVALID_STEPS);
+    }
+
+    return steps.map(step => ({ mission_ids: step.mission_ids, optional: Boolean(step.optional) }));
+  }
+
+  /**
+   * Find a brand's quest
+   * @param {string} questId - Quest ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Quest
+   */
+  async findQuest(questId, brandId) {
+    const quest = await this.questRepository.findById(questId);
+    if (!quest || quest.brand_id !== brandId) {
+      throw new NotFoundError('Quest not found', 404, SERVICE_ERROR_CODES.MISSION_QUEST_NOT_FOUND);
+    }
+
+    return quest;
+  }
+
+  /**
+   * Find a brand's member
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Member
+   */
+  async findMember(memberId, brandId) {
+    const member = await this.memberRepository.findById(memberId);
+    if (!member || member.brand_id !== brandId) {
+      throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.MISSION_MEMBER_NOT_FOUND);
+    }
+
+    return member;
+  }
+}
+
+module.exports = QuestService;
@@ -0,0 +1,816 @@
+/**
+ * Reward Service
+ * Handles rewards catalog business logic
+ */
+
+const {
+  RewardRepository,
+  RewardCodeRepository,
+  RewardRedemptionRepository,
+  MemberRepository,
+  BrandRepository,
+  AuditLogRepository
+} = require('../repositories');
+const TransactionService = require('./TransactionService');
+const WebhookService = require('./WebhookService');
+const { logger, constants, encryption } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { AUDIT_ACTIONS, REWARD_STATUS, REWARD_CODE_SOURCES, REDEMPTION_STATUS, TRANSACTION_TYPES, WEBHOOK_EVENTS } = constants;
+
+class RewardService {
+  constructor() {
+    this.rewardRepository = new RewardRepository();
+    this.rewardCodeRepository = new RewardCodeRepository();
+    this.rewardRedemptionRepository = new RewardRedemptionRepository();
+    this.memberRepository = new MemberRepository();
+    this.brandRepository = new BrandRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.transactionService = new TransactionService();
+    this.webhookService = new WebhookService();
+  }
+
+  /**
+   * Create a new reward
+   * @param {object} rewardData - Reward creation data
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID creating the reward
+   * @param {object} context - Request context
+   * @returns {object} - Created reward
+   */
+  async createReward(rewardData, brandId, userId, context = {}) {
+    try {
+      const brand = await this.brandRepository.findById(brandId);
+      if (!brand) {
+        throw new NotFoundError('Brand not found', 404, SERVICE_ERROR_CODES.REWARD_BRAND_NOT_FOUND);
+      }
+
+      if (await this.rewardRepository.nameExists(brandId, rewardData.name)) {
+        throw new ConflictError('Reward name already exists for this brand', 409, SERVICE_ERROR_CODES.REWARD_NAME_ALREADY_EXISTS);
+      }
+
+      this.validateValidityWindow(rewardData.valid_from, rewardData.valid_until);
+      await this.validateTierRestrictions(rewardData.allowed_tier_ids, brandId);
+
+      const reward = await this.rewardRepository.create({
+        ...rewardData,
+        brand_id: brandId,
+        status: rewardData.status || REWARD_STATUS.ACTIVE,
+        code_source: rewardData.code_source || REWARD_CODE_SOURCES.GENERATED,
+        images: rewardData.images || [],
+        allowed_tier_ids: rewardData.allowed_tier_ids || [],
+        metadata: rewardData.metadata || {},
+        created_by: userId
+      });
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.REWARD_CREATE,
+        description: 'Reward created successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          rewardId: reward.id,
+          rewardName: reward.name,
+          pointsCost: reward.points_cost
+        }
+      });
+
+      logger.logBusiness('Reward created', {
+        rewardId: reward.id,
+        rewardName: reward.name,
+        brandId,
+        createdBy: userId
+      });
+
+      return reward;
+    } catch (error) {
+      logger.error('Reward creation failed', {
+        error: error.message,
+        rewardData,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get reward by ID
+   * @param {string} rewardId - Reward ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Reward data
+   */
+  async getRewardById(rewardId, brandId) {
+    try {
+      const reward = await this.rewardRepository.findById(rewardId);
+      if (!reward || reward.brand_id !== brandId) {
+        throw new NotFoundError('Reward not found', 404, SERVICE_ERROR_CODES.REWARD_NOT_FOUND);
+      }
+
+      return reward;
+    } catch (error) {
+      logger.error('Get reward failed', {
+        error: error.message,
+        rewardId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List rewards for a brand
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated rewards
+   */
+  async listRewards(options = {}, brandId) {
+    try {
+      const result = await this.rewardRepository.findByBrand(brandId, options);
+
+      return {
+        rewards: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List rewards failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update reward
+   * @param {string} rewardId - Reward ID
+   * @param {object} updateData - Update data
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID updating the reward
+   * @param {object} context - Request context
+   * @returns {object} - Updated reward
+   */
+  async updateReward(rewardId, updateData, brandId, userId, context = {}) {
+    try {
+      const existingReward = await this.getRewardById(rewardId, brandId);
+
+      if (updateData.name && await this.rewardRepository.nameExists(brandId, updateData.name, rewardId)) {
+        throw new ConflictError('Reward name already exists for this brand', 409, SERVICE_ERROR_CODES.REWARD_NAME_ALREADY_EXISTS);
+      }
+
+      this.validateValidityWindow(
+        updateData.valid_from !== undefined ? updateData.valid_from : existingReward.valid_from,
+        updateData.valid_until !== undefined ? updateData.valid_until : existingReward.valid_until
+      );
+
+      if (updateData.allowed_tier_ids) {
+        await this.validateTierRestrictions(updateData.allowed_tier_ids, brandId);
+      }
+
+      const updatedReward = await this.rewardRepository.update(rewardId, updateData);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.REWARD_UPDATE,
+        description: 'Reward updated successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          rewardId,
+          updatedFields: Object.keys(updateData)
+        }
+      });
+
+      logger.logBusiness('Reward updated', {
+        rewardId,
+        brandId,
+        updatedFields: Object.keys(updateData),
+        updatedBy: userId
+      });
+
+      return updatedReward;
+    } catch (error) {
+      logger.error('Reward update failed', {
+        error: error.message,
+        rewardId,
+        updateData,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete reward
+   * @param {string} rewardId - Reward ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID deleting the reward
+   * @param {object} context - Request context
+   * @returns {boolean} - Success status
+   */
+  async deleteReward(rewardId, brandId, userId, context = {}) {
+    try {
+      const reward = await this.getRewardById(rewardId, brandId);
+
+      const redemptionCount = await this.rewardRepository.countRedemptions(rewardId);
+      if (redemptionCount > 0) {
+        throw new ConflictError(
+          'Cannot delete reward with redemptions. Please archive instead.',
+          409,
+          SERVICE_ERROR_CODES.REWARD_CANNOT_DELETE_WITH_REDEMPTIONS
+        );
+      }
+
+      await this.rewardRepository.delete(rewardId);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.REWARD_DELETE,
+        description: 'Reward deleted successfully',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          rewardId,
+          rewardName: reward.name
+        }
+      });
+
+      logger.logBusiness('Reward deleted', {
+        rewardId,
+        rewardName: reward.name,
+        brandId,
+        deletedBy: userId
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Reward deletion failed', {
+        error: error.message,
+        rewardId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rewards catalog as seen by a member
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Rewards with affordability and eligibility flags
+   */
+  async getMemberRewardsCatalog(memberId, options = {}, brandId) {
+    try {
+      const member = await this.memberRepository.findById(memberId);
+      if (!member || member.brand_id !== brandId) {
+        throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.REWARD_MEMBER_NOT_FOUND);
+      }
+
+      const rewards = await this.rewardRepository.findAvailableByBrand(brandId, options);
+      const redemptionCounts = await this.rewardRepository.countMemberRedemptions(
+        memberId,
+        rewards.map(reward => reward.id)
+      );
+
+      const catalog = rewards.map(reward => ({
+        ...reward,
+        ...this.evaluateMemberEligibility(reward, member, redemptionCounts[reward.id] || 0)
+      }));
+
+      return {
+        rewards: options.eligible_only ? catalog.filter(reward => reward.eligible) : catalog,
+        member_points: member.points_balance
+      };
+    } catch (error) {
+      logger.error('Get member rewards catalog failed', {
+        error: error.message,
+        memberId,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem a reward for a member
+   * Locks the member and reward rows, takes stock, debits points and issues a code in one DB transaction
+   * @param {string} rewardId - Reward ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} context - Request context
+   * @returns {object} - Redemption record
+   */
+  async redeemReward(rewardId, memberId, brandId, context = {}) {
+    try {
+      const redemption = await this.rewardRedemptionRepository.withTransaction(async (client) => {
+        const member = await this.memberRepository.findByIdForUpdate(memberId, client);
+        if (!member || member.brand_id !== brandId) {
+          throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.REWARD_MEMBER_NOT_FOUND);
+        }
+
+        const reward = await this.rewardRepository.findByIdForUpdate(rewardId, client);
+        if (!reward || reward.brand_id !== brandId) {
+          throw new NotFoundError('Reward not found', 404, SERVICE_ERROR_CODES.REWARD_NOT_FOUND);
+        }
+
+        if (!this.isRewardAvailable(reward)) {
+          throw new ValidationError('Reward is not currently available', 400, SERVICE_ERROR_CODES.REWARD_NOT_AVAILABLE);
+        }
+
+        const redemptionCounts = await this.rewardRepository.countMemberRedemptions(memberId, [rewardId], client);
+        const eligibility = this.evaluateMemberEligibility(reward, member, redemptionCounts[rewardId] || 0);
+
+        if (eligibility.ineligible_reasons.includes('out_of_stock')) {
+          throw new ConflictError('Reward is out of stock', 409, SERVICE_ERROR_CODES.REWARD_OUT_OF_STOCK);
+        }
+        if (!eligibility.eligible) {
+          throw new ValidationError('Member is not eligible for this reward', 400, SERVICE_ERROR_CODES.REWARD_NOT_ELIGIBLE);
+        }
+        if (!eligibility.affordable) {
+          throw new ValidationError('Insufficient points for this reward', 400, SERVICE_ERROR_CODES.REWARD_INSUFFICIENT_POINTS);
+        }
+
+        if (reward.stock_quantity !== null) {
+          const updatedReward = await this.rewardRepository.adjustStock(rewardId, -1, client);
+          if (!updatedReward) {
+            throw new ConflictError('Reward is out of stock', 409, SERVICE_ERROR_CODES.REWARD_OUT_OF_STOCK);
+          }
+        }
+
+        const pendingRedemption = await this.rewardRedemptionRepository.create({
+          brand_id: brandId,
+          reward_id: rewardId,
+          member_id: memberId,
+          points_spent: reward.points_cost,
+          status: REDEMPTION_STATUS.PENDING,
+          metadata: {}
+        }, client);
+
+        const transaction = await this.transactionService.createTransaction({
+          member_id: memberId,
+          type: TRANSACTION_TYPES.DEBIT,
+          amount: reward.points_cost,
+          description: `Redeemed: ${reward.name}`,
+          reference_type: 'reward_redemption',
+          reference_id: pendingRedemption.id
+        }, brandId, null, context, client);
+
+        // Rewards without codes stay pending until an admin fulfills them
+        const code = await this.issueRedemptionCode(reward, pendingRedemption.id, client);
+        const updateData = { transaction_id: transaction.id };
+
+        if (code) {
+          updateData.code = code;
+          updateData.status = REDEMPTION_STATUS.ISSUED;
+          updateData.issued_at = new Date();
+          updateData.expires_at = reward.redemption_valid_days
+            ? new Date(Date.now() + reward.redemption_valid_days * 24 * 60 * 60 * 1000)
+            : null;
+        }
+
+        const issuedRedemption = await this.rewardRedemptionRepository.update(pendingRedemption.id, updateData, client);
+
+        await this.auditLogRepository.logUserAction({
+          user_id: null,
+          member_id: memberId,
+          brand_id: brandId,
+          action: AUDIT_ACTIONS.REWARD_REDEEM,
+          resource_type: 'reward_redemption',
+          resource_id: issuedRedemption.id,
+          description: `Reward redeemed: ${reward.name}`,
+          ip_address: context.ip,
+          user_agent: context.userAgent,
+          metadata: {
+            rewardId,
+            pointsSpent: reward.points_cost,
+            transactionId: transaction.id,
+            status: issuedRedemption.status
+          }
+        }, client);
+
+        await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.REWARD_REDEEMED, {
+          member_id: memberId,
+          reward_id: rewardId,
+          reward_name: reward.name,
+          redemption_id: issuedRedemption.id,
+          points_spent: reward.points_cost,
+          status: issuedRedemption.status,
+          transaction_id: transaction.id
+        }, client);
+
+        return { ...issuedRedemption, reward_name: reward.name };
+      });
+
+      logger.logBusiness('Reward redeemed', {
+        redemptionId: redemption.id,
+        rewardId,
+        memberId,
+        brandId,
+        pointsSpent: redemption.points_spent,
+        status: redemption.status
+      });
+
+      return redemption;
+    } catch (error) {
+      logger.error('Reward redemption failed', {
+        error: error.message,
+        rewardId,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a redemption code from the reward's pool or generate one
+   * @param {object} reward - Reward data
+   * @param {string} redemptionId - Redemption ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {string|null} - Issued code, or null for rewards without codes
+   */
+  async issueRedemptionCode(reward, redemptionId, client) {
+    if (reward.code_source === REWARD_CODE_SOURCES.NONE) {
+      return null;
+    }
+
+    if (reward.code_source === REWARD_CODE_SOURCES.POOL) {
+      const poolCode = await this.rewardCodeRepository.assignNextAvailable(reward.id, redemptionId, client);
+      if (!poolCode) {
+        throw new ConflictError('No redemption codes left for this reward', 409, SERVICE_ERROR_CODES.REWARD_CODE_POOL_EXHAUSTED);
+      }
+      return poolCode.code;
+    }
+
+    const prefix = reward.code_prefix || 'RDM';
+    return `${prefix}-${encryption.generateSecureRandomString(5).toUpperCase()}`;
+  }
+
+  /**
+   * Load codes into a reward's code pool
+   * @param {string} rewardId - Reward ID
+   * @param {array} codes - Codes to load
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID loading the codes
+   * @param {object} context - Request context
+   * @returns {object} - Import summary
+   */
+  async importRewardCodes(rewardId, codes, brandId, userId, context = {}) {
+    try {
+      await this.getRewardById(rewardId, brandId);
+
+      const uniqueCodes = [...new Set(codes.map(code => code.trim()).filter(Boolean))];
+      const inserted = await this.rewardCodeRepository.bulkCreate(rewardId, brandId, uniqueCodes);
+      const available = await this.rewardCodeRepository.countAvailable(rewardId);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.REWARD_CODES_IMPORT,
+        description: 'Reward codes imported',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          rewardId,
+          submitted: codes.length,
+          inserted
+        }
+      });
+
+      logger.logBusiness('Reward codes imported', {
+        rewardId,
+        brandId,
+        inserted,
+        available,
+        importedBy: userId
+      });
+
+      return {
+        submitted: codes.length,
+        inserted,
+        skipped: codes.length - inserted,
+        available
+      };
+    } catch (error) {
+      logger.error('Reward code import failed', {
+        error: error.message,
+        rewardId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List redemptions for a brand
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated redemptions
+   */
+  async listRedemptions(options = {}, brandId) {
+    try {
+      const result = await this.rewardRedemptionRepository.findByBrand(brandId, options);
+
+      return {
+        redemptions: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List redemptions failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get redemptions of a member
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated redemptions
+   */
+  async getMemberRedemptions(memberId, options = {}, brandId) {
+    try {
+      const member = await this.memberRepository.findById(memberId);
+      if (!member || member.brand_id !== brandId) {
+        throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.REWARD_MEMBER_NOT_FOUND);
+      }
+
+      const result = await this.rewardRedemptionRepository.findByMember(memberId, options);
+
+      return {
+        redemptions: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('Get member redemptions failed', {
+        error: error.message,
+        memberId,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a redemption as fulfilled
+   * @param {string} redemptionId - Redemption ID
+   * @param {object} fulfillmentData - Fulfillment details
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID fulfilling the redemption
+   * @param {object} context - Request context
+   * @returns {object} - Updated redemption
+   */
+  async fulfillRedemption(redemptionId, fulfillmentData = {}, brandId, userId, context = {}) {
+    try {
+      // Locks the redemption so a concurrent cancellation cannot refund a redemption being fulfilled
+      const updatedRedemption = await this.rewardRedemptionRepository.withTransaction(async (client) => {
+        const redemption = await this.rewardRedemptionRepository.findByIdForUpdate(redemptionId, client);
+        if (!redemption || redemption.brand_id !== brandId) {
+          throw new NotFoundError('Redemption not found', 404, SERVICE_ERROR_CODES.REWARD_REDEMPTION_NOT_FOUND);
+        }
+
+        if (![REDEMPTION_STATUS.PENDING, REDEMPTION_STATUS.ISSUED].includes(redemption.status)) {
+          throw new ConflictError(
+            `Cannot fulfill a ${redemption.status} redemption`,
+            409,
+            SERVICE_ERROR_CODES.REWARD_REDEMPTION_INVALID_STATUS
+          );
+        }
+
+        const fulfilledRedemption = await this.rewardRedemptionRepository.update(redemptionId, {
+          status: REDEMPTION_STATUS.FULFILLED,
+          fulfilled_at: new Date(),
+          fulfilled_by: userId,
+          fulfillment_notes: fulfillmentData.notes || null
+        }, client);
+
+        await this.auditLogRepository.logUserAction({
+          user_id: userId,
+          member_id: redemption.member_id,
+          brand_id: brandId,
+          action: AUDIT_ACTIONS.REDEMPTION_FULFILL,
+          resource_type: 'reward_redemption',
+          resource_id: redemptionId,
+          description: 'Redemption fulfilled',
+          ip_address: context.ip,
+          user_agent: context.userAgent,
+          metadata: {
+            rewardId: redemption.reward_id,
+            previousStatus: redemption.status
+          }
+        }, client);
+
+        return fulfilledRedemption;
+      });
+
+      logger.logBusiness('Redemption fulfilled', {
+        redemptionId,
+        brandId,
+        fulfilledBy: userId
+      });
+
+      return updatedRedemption;
+    } catch (error) {
+      logger.error('Redemption fulfillment failed', {
+        error: error.message,
+        redemptionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a redemption, refund its points and return its stock
+   * @param {string} redemptionId - Redemption ID
+   * @param {string} reason - Cancellation reason
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID cancelling the redemption
+   * @param {object} context - Request context
+   * @returns {object} - Updated redemption
+   */
+  async cancelRedemption(redemptionId, reason, brandId, userId, context = {}) {
+    try {
+      const cancelledRedemption = await this.rewardRedemptionRepository.withTransaction(async (client) => {
+        const redemption = await this.rewardRedemptionRepository.findByIdForUpdate(redemptionId, client);
+        if (!redemption || redemption.brand_id !== brandId) {
+          throw new NotFoundError('Redemption not found', 404, SERVICE_ERROR_CODES.REWARD_REDEMPTION_NOT_FOUND);
+        }
+
+        if (![REDEMPTION_STATUS.PENDING, REDEMPTION_STATUS.ISSUED].includes(redemption.status)) {
+          throw new ConflictError(
+            `Cannot cancel a ${redemption.status} redemption`,
+            409,
+            SERVICE_ERROR_CODES.REWARD_REDEMPTION_INVALID_STATUS
+          );
+        }
+
+        const refund = await this.transactionService.createTransaction({
+          member_id: redemption.member_id,
+          type: TRANSACTION_TYPES.REFUND,
+          amount: redemption.points_spent,
+          description: `Refund for cancelled redemption: ${reason}`,
+          reference_type: 'reward_redemption_refund',
+          reference_id: redemptionId
+        }, brandId, userId, context, client);
+
+        // No-op for rewards with unlimited stock
+        await this.rewardRepository.adjustStock(redemption.reward_id, 1, client);
+
+        const updatedRedemption = await this.rewardRedemptionRepository.update(redemptionId, {
+          status: REDEMPTION_STATUS.CANCELLED,
+          cancelled_at: new Date(),
+          cancelled_by: userId,
+          cancel_reason: reason,
+          refund_transaction_id: refund.id
+        }, client);
+
+        await this.auditLogRepository.logUserAction({
+          user_id: userId,
+          member_id: redemption.member_id,
+          brand_id: brandId,
+          action: AUDIT_ACTIONS.REDEMPTION_CANCEL,
+          resource_type: 'reward_redemption',
+          resource_id: redemptionId,
+          description: 'Redemption cancelled and refunded',
+          ip_address: context.ip,
+          user_agent: context.userAgent,
+          metadata: {
+            rewardId: redemption.reward_id,
+            previousStatus: redemption.status,
+            pointsRefunded: redemption.points_spent,
+            refundTransactionId: refund.id,
+            reason
+          }
+        }, client);
+
+        return updatedRedemption;
+      });
+
+      logger.logBusiness('Redemption cancelled', {
+        redemptionId,
+        brandId,
+        pointsRefunded: cancelledRedemption.points_spent,
+        cancelledBy: userId
+      });
+
+      return cancelledRedemption;
+    } catch (error) {
+      logger.error('Redemption cancellation failed', {
+        error: error.message,
+        redemptionId,
+        reason,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a reward is active and within its validity window
+   * @param {object} reward - Reward data
+   * @param {Date} at - Reference time
+   * @returns {boolean} - True if the reward can be redeemed
+   */
+  isRewardAvailable(reward, at = new Date()) {
+    if (reward.status !== REWARD_STATUS.ACTIVE) {
+      return false;
+    }
+    if (reward.valid_from && new Date(reward.valid_from) > at) {
+      return false;
+    }
+    if (reward.valid_until && new Date(reward.valid_until) <= at) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Evaluate whether a member can afford and is eligible for a reward
+   * @param {object} reward - Reward data
+   * @param {object} member - Member data
+   * @param {number} redemptionCount - Times the member has redeemed this reward
+   * @returns {object} - Eligibility flags
+   */
+  evaluateMemberEligibility(reward, member, redemptionCount = 0) {
+    const reasons = [];
+
+    const allowedTiers = reward.allowed_tier_ids || [];
+    if (allowedTiers.length > 0 && !allowedTiers.includes(member.tier_id)) {
+      reasons.push('tier_restricted');
+    }
+
+    const remainingRedemptions = reward.max_per_member
+      ? Math.max(0, reward.max_per_member - redemptionCount)
+      : null;
+    if (remainingRedemptions === 0) {
+      reasons.push('redemption_limit_reached');
+    }
+
+    if (reward.stock_quantity !== null && reward.stock_quantity !== undefined && reward.stock_quantity <= 0) {
+      reasons.push('out_of_stock');
+    }
+
+    const affordable = member.points_balance >= reward.points_cost;
+    const eligible = reasons.length === 0;
+
+    return {
+      affordable,
+      eligible,
+      can_redeem: affordable && eligible,
+      points_needed: Math.max(0, reward.points_cost - member.points_balance),
+      remaining_redemptions: remainingRedemptions,
+      ineligible_reasons: reasons
+    };
+  }
+
+  /**
+   * Validate reward validity window
+   * @param {Date|string|null} validFrom - Start of validity window
+   * @param {Date|string|null} validUntil - End of validity window
+   */
+  validateValidityWindow(validFrom, validUntil) {
+    if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+      throw new ValidationError('Reward valid_until must be after valid_from', 400, SERVICE_ERROR_CODES.REWARD_INVALID_VALIDITY_WINDOW);
+    }
+  }
+
+  /**
+   * Validate that tier restrictions reference tiers of the brand
+   * @param {array} tierIds - Allowed tier IDs
+   * @param {string} brandId - Brand ID
+   */
+  async validateTierRestrictions(tierIds, brandId) {
+    if (!tierIds || tierIds.length === 0) {
+      return;
+    }
+
+    const tiers = await this.memberRepository.getMembershipTiers(brandId, { includeInactive: true });
+    const brandTierIds = tiers.map(tier => tier.id);
+    const unknownTiers = tierIds.filter(tierId => !brandTierIds.includes(tierId));
+
+    if (unknownTiers.length > 0) {
+      throw new ValidationError('Reward tier restriction references an unknown tier', 400, SERVICE_ERROR_CODES.REWARD_INVALID_TIER);
+    }
+  }
+}
+
+module.exports = RewardService;
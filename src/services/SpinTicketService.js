@@ -0,0 +1,291 @@
+/**
+ * Spin Ticket Service
+ * Handles members' spin ticket wallets: earning tickets from missions, buying them with points,
+ * admin grants and paying for wheel spins
+ */
+
+const { SpinTicketRepository, MemberRepository, BrandRepository } = require('../repositories');
+const TransactionService = require('./TransactionService');
+const { logger, constants } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { TRANSACTION_TYPES, SPIN_TICKET_SOURCES } = constants;
+
+class SpinTicketService {
+  constructor() {
+    this.spinTicketRepository = new SpinTicketRepository();
+    this.memberRepository = new MemberRepository();
+    this.brandRepository = new BrandRepository();
+    this.transactionService = new TransactionService();
+  }
+
+  /**
+   * Get a member's ticket wallet and what a ticket costs in points
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Wallet (balance, ticket_price_points)
+   */
+  async getWallet(memberId, brandId) {
+    try {
+      await this.getBrandMember(memberId, brandId);
+
+      const [balance, ticketPrice] = await Promise.all([
+        this.spinTicketRepository.getBalance(memberId),
+        this.getTicketPrice(brandId)
+      ]);
+
+      return {
+        member_id: memberId,
+        balance,
+        ticket_price_points: ticketPrice
+      };
+    } catch (error) {
+      logger.error('Get spin ticket wallet failed', {
+        error: error.message,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's ticket history
+   * @param {string} memberId - Member ID
+   * @param {object} options - Query options (page, limit, source)
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Ticket transactions and pagination
+   */
+  async getHistory(memberId, options = {}, brandId) {
+    try {
+      await this.getBrandMember(memberId, brandId);
+
+      const result = await this.spinTicketRepository.findTransactionsByMember(memberId, {
+        page: parseInt(options.page) || 1,
+        limit: parseInt(options.limit) || 20,
+        source: options.source || null
+      });
+
+      return {
+        transactions: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('Get spin ticket history failed', {
+        error: error.message,
+        memberId,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the spin tickets a member holds
+   * @param {string} memberId - Member ID
+   * @returns {number} - Ticket balance
+   */
+  async getBalance(memberId) {
+    return this.spinTicketRepository.getBalance(memberId);
+  }
+
+  /**
+   * Buy spin tickets with points at the brand's ticket price (point_config.spin_ticket_price)
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {number} quantity - Tickets to buy
+   * @param {object} context - Request context
+   * @returns {object} - Ticket transaction, points transaction and both balances
+   */
+  async purchaseTickets(memberId, brandId, quantity, context = {}) {
+    try {
+      const ticketPrice = await this.getTicketPrice(brandId);
+      if (!ticketPrice) {
+        throw new ValidationError('Spin tickets cannot be bought with points', 400, SERVICE_ERROR_CODES.WHEEL_TICKET_PURCHASE_DISABLED);
+      }
+
+      const pointsCost = ticketPrice * quantity;
+
+      // The points debit and the ticket credit commit together
+      const result = await this.spinTicketRepository.withTransaction(async (client) => {
+        const member = await this.memberRepository.findByIdForUpdate(memberId, client);
+        if (!member || member.brand_id !== brandId) {
+          throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.WHEEL_MEMBER_NOT_FOUND);
+        }
+
+        if (member.points_balance < pointsCost) {
+          throw new ValidationError('Insufficient points to buy spin tickets', 400, SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_POINTS);
+        }
+
+        const ticketResult = await this.creditTickets({
+          memberId,
+          brandId,
+          quantity,
+          source: SPIN_TICKET_SOURCES.PURCHASE,
+          description: `Bought ${quantity} spin ticket(s) for ${pointsCost} points`
+        }, client);
+
+        const transaction = await this.transactionService.createTransaction({
+          member_id: memberId,
+          type: TRANSACTION_TYPES.DEBIT,
+          amount: pointsCost,
+          description: `Spin ticket purchase: ${quantity} ticket(s)`,
+          reference_type: 'spin_ticket_purchase',
+          reference_id: ticketResult.transaction.id
+        }, brandId, null, context, client);
+
+        return {
+          ticket_transaction: ticketResult.transaction,
+          transaction,
+          tickets_balance: ticketResult.balance,
+          points_balance: member.points_balance - pointsCost
+        };
+      });
+
+      logger.logBusiness('Spin tickets purchased', {
+        memberId,
+        brandId,
+        quantity,
+        pointsCost,
+        ticketsBalance: result.tickets_balance
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Spin ticket purchase failed', {
+        error: error.message,
+        memberId,
+        brandId,
+        quantity,
+        context
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Give a member spin tickets (admin)
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {number} quantity - Tickets to give
+   * @param {string} reason - Why the tickets were given
+   * @param {string} userId - Admin user ID
+   * @returns {object} - Ticket transaction and balance
+   */
+  async grantTickets(memberId, brandId, quantity, reason, userId) {
+    try {
+      await this.getBrandMember(memberId, brandId);
+
+      const result = await this.spinTicketRepository.withTransaction(client => this.creditTickets({
+        memberId,
+        brandId,
+        quantity,
+        source: SPIN_TICKET_SOURCES.ADMIN,
+        description: reason,
+        createdBy: userId
+      }, client));
+
+      logger.logBusiness('Spin tickets granted', {
+        memberId,
+        brandId,
+        quantity,
+        grantedBy: userId,
+        ticketsBalance: result.balance
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Spin ticket grant failed', {
+        error: error.message,
+        memberId,
+        brandId,
+        quantity,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add tickets to a member's wallet and record where they came from
+   * @param {object} entry - memberId, brandId, quantity, source, referenceType, referenceId, description, createdBy
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Ticket transaction and balance
+   */
+  async creditTickets({ memberId, brandId, quantity, source, referenceType, referenceId, description, createdBy }, client) {
+    const wallet = await this.spinTicketRepository.credit(memberId, brandId, quantity, client);
+    const balance = parseInt(wallet.balance);
+
+    const transaction = await this.spinTicketRepository.recordTransaction({
+      member_id: memberId,
+      brand_id: brandId,
+      amount: quantity,
+      source,
+      reference_type: referenceType,
+      reference_id: referenceId,
+      balance_after: balance,
+      description,
+      created_by: createdBy
+    }, client);
+
+    return { transaction, balance };
+  }
+
+  /**
+   * Take tickets from a member's wallet and record what they paid for
+   * @param {object} entry - memberId, brandId, quantity, source, referenceType, referenceId, description
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Ticket transaction and balance
+   */
+  async debitTickets({ memberId, brandId, quantity, source, referenceType, referenceId, description }, client) {
+    const wallet = await this.spinTicketRepository.debit(memberId, quantity, client);
+    if (!wallet) {
+      throw new ValidationError('Insufficient spin tickets', 400, SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_TICKETS);
+    }
+
+    const balance = parseInt(wallet.balance);
+    const transaction = await this.spinTicketRepository.recordTransaction({
+      member_id: memberId,
+      brand_id: brandId,
+      amount: -quantity,
+      source,
+      reference_type: referenceType,
+      reference_id: referenceId,
+      balance_after: balance,
+      description
+    }, client);
+
+    return { transaction, balance };
+  }
+
+  /**
+   * Get the points price of one spin ticket; null when the brand does not sell tickets
+   * @param {string} brandId - Brand ID
+   * @returns {number|null} - Ticket price in points
+   */
+  async getTicketPrice(brandId) {
+    const brand = await this.brandRepository.findWithSettings(brandId);
+    const price = brand && brand.point_config ? Number(brand.point_config.spin_ticket_price) : 0;
+
+    return price > 0 ? price : null;
+  }
+
+  /**
+   * Load a member of the brand
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Member
+   */
+  async getBrandMember(memberId, brandId) {
+    const member = await this.memberRepository.findById(memberId);
+    if (!member || member.brand_id !== brandId) {
+      throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.WHEEL_MEMBER_NOT_FOUND);
+    }
+
+    return member;
+  }
+}
+
+module.exports = SpinTicketService;
@@ -0,0 +1,467 @@
+/**
+ * Streak Service
+ * Handles members' daily check-in streaks: checking in explicitly or through recorded activity, counting
+ * the current and longest streak in the member's timezone, covering missed days with streak freezes and
+ * rewarding milestone days. Brands configure streaks in mission_config.streaks.
+ */
+
+const { StreakRepository, MemberRepository, BrandRepository } = require('../repositories');
+const TransactionService = require('./TransactionService');
+const SpinTicketService = require('./SpinTicketService');
+const MissionProgressService = require('./MissionProgressService');
+const WebhookService = require('./WebhookService');
+const { logger, constants, missionWindows } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { TRANSACTION_TYPES, SPIN_TICKET_SOURCES, WEBHOOK_EVENTS, STREAK_CHECK_IN_SOURCES, STREAK_DAY_STATUS } = constants;
+
+// Used for whatever a brand leaves out of mission_config.streaks
+const DEFAULT_STREAK_CONFIG = {
+  enabled: false, // brands turn streaks on in mission_config.streaks; the milestones below apply once they do
+  milestones: [
+    { day: 3, reward_points: 50 },
+    { day: 7, reward_points: 150, reward_spin_tickets: 1 },
+    { day: 30, reward_points: 1000, reward_freezes: 1 }
+  ],
+  freeze_price: null, // points per freeze; null when freezes are not for sale
+  max_freezes: 2
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ * @param {string} date - Date
+ * @param {number} days - Days to add
+ * @returns {string} - Shifted date
+ */
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Count the days from one YYYY-MM-DD date to another
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number} - Days
+ */
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+class StreakService {
+  constructor() {
+    this.streakRepository = new StreakRepository();
+    this.memberRepository = new MemberRepository();
+    this.brandRepository = new BrandRepository();
+    this.transactionService = new TransactionService();
+    this.spinTicketService = new SpinTicketService();
+    this.missionProgressService = new MissionProgressService();
+    this.webhookService = new WebhookService();
+  }
+
+  /**
+   * Check a member in for today (member portal)
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} context - Request context
+   * @returns {object} - Check-in result (checked_in is false when the member already checked in today)
+   */
+  async checkIn(memberId, brandId, context = {}) {
+    try {
+      const member = await this.getBrandMember(memberId, brandId);
+      const config = await this.getConfig(brandId);
+      if (!config.enabled) {
+        throw new ValidationError('Check-in streaks are not enabled for this brand', 400, SERVICE_ERROR_CODES.MISSION_STREAK_DISABLED);
+      }
+
+      return await this.recordCheckIn(member, config, STREAK_CHECK_IN_SOURCES.CHECK_IN, context);
+    } catch (error) {
+      logger.error('Streak check-in failed', {
+        error: error.message,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a member was active: updates their last activity and checks them in for today when the
+   * brand has streaks enabled
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} context - Request context
+   * @returns {object|null} - Check-in result, or null when streaks are disabled
+   */
+  async recordActivity(memberId, brandId, context = {}) {
+    try {
+      await this.memberRepository.updateLastActivity(memberId);
+
+      const member = await this.getBrandMember(memberId, brandId);
+      const config = await this.getConfig(brandId);
+      if (!config.enabled) {
+        return null;
+      }
+
+      return await this.recordCheckIn(member, config, STREAK_CHECK_IN_SOURCES.ACTIVITY, context);
+    } catch (error) {
+      logger.error('Streak activity recording failed', {
+        error: error.message,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's streak with its calendar for a month (member portal)
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {object} options - Query options (month as YYYY-MM, defaults to the member's current month)
+   * @returns {object} - Streak, freezes, next milestone and calendar
+   */
+  async getStreak(memberId, brandId, options = {}) {
+    try {
+      const member = await this.getBrandMember(memberId, brandId);
+      const [config, timezone, streak] = await Promise.all([
+        this.getConfig(brandId),
+        this.missionProgressService.getTimezone(member),
+        this.streakRepository.findByMember(memberId)
+      ]);
+
+      const today = missionWindows.getLocalDate(new Date(), timezone);
+      const currentStreak = this.getCurrentStreak(streak, today);
+
+      return {
+        enabled: config.enabled,
+        current_streak: currentStreak,
+        longest_streak: streak ? streak.longest_streak : 0,
+        checked_in_today: Boolean(streak && streak.last_check_in_date === today),
+        last_check_in_date: streak ? streak.last_check_in_date : null,
+        freezes_available: streak ? streak.freezes_available : 0,
+        max_freezes: config.max_freezes,
+        freeze_price: config.freeze_price,
+        next_milestone: this.getNextMilestone(config, currentStreak),
+        timezone,
+        calendar: await this.getCalendar(memberId, streak, options.month || today.slice(0, 7), today, timezone)
+      };
+    } catch (error) {
+      logger.error('Get member streak failed', {
+        error: error.message,
+        memberId,
+        brandId,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Buy streak freezes with points at the brand's freeze price (member portal)
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {number} quantity - Freezes to buy
+   * @param {object} context - Request context
+   * @returns {object} - Points transaction, freezes held and points balance
+   */
+  async purchaseFreezes(memberId, brandId, quantity, context = {}) {
+    try {
+      const config = await this.getConfig(brandId);
+      if (!config.enabled) {
+        throw new ValidationError('Check-in streaks are not enabled for this brand', 400, SERVICE_ERROR_CODES.MISSION_STREAK_DISABLED);
+      }
+      if (!(config.freeze_price > 0)) {
+        throw new ValidationError('Streak freezes cannot be bought with points', 400, SERVICE_ERROR_CODES.MISSION_STREAK_FREEZE_PURCHASE_DISABLED);
+      }
+
+      const pointsCost = config.freeze_price * quantity;
+
+      // The points debit and the freezes commit together
+      const result = await this.streakRepository.withTransaction(async (client) => {
+        const member = await this.memberRepository.findByIdForUpdate(memberId, client);
+        if (!member || member.brand_id !== brandId) {
+          throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.MISSION_MEMBER_NOT_FOUND);
+        }
+
+        const streak = await this.streakRepository.findOrCreateForUpdate(memberId, brandId, client);
+        if (streak.freezes_available + quantity > config.max_freezes) {
+          throw new ValidationError(
+            `Members can hold at most ${config.max_freezes} streak freeze(s)`,
+            400,
+            SERVICE_ERROR_CODES.MISSION_STREAK_FREEZE_LIMIT_REACHED
+          );
+        }
+
+        if (member.points_balance < pointsCost) {
+          throw new ValidationError('Insufficient points to buy streak freezes', 400, SERVICE_ERROR_CODES.MISSION_STREAK_INSUFFICIENT_POINTS);
+        }
+
+        const transaction = await this.transactionService.createTransaction({
+          member_id: memberId,
+          type: TRANSACTION_TYPES.DEBIT,
+          amount: pointsCost,
+          description: `Streak freeze purchase: ${quantity} freeze(s)`,
+          reference_type: 'streak_freeze_purchase',
+          reference_id: streak.id
+        }, brandId, null, context, client);
+
+        const updated = await this.streakRepository.updateStreak(streak.id, {
+          freezes_available: streak.freezes_available + quantity
+        }, client);
+
+        return {
+          transaction,
+          freezes_available: updated.freezes_available,
+          points_balance: member.points_balance - pointsCost
+        };
+      });
+
+      logger.logBusiness('Streak freezes purchased', {
+        memberId,
+        brandId,
+        quantity,
+        pointsCost,
+        freezesAvailable: result.freezes_available
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Streak freeze purchase failed', {
+        error: error.message,
+        memberId,
+        brandId,
+        quantity
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count today towards a member's streak. A gap since the last check-in is bridged when the member holds
+   * a freeze for every missed day, otherwise the streak starts over. Reaching a milestone day awards its
+   * reward in the same transaction.
+   * @param {object} member - Member
+   * @param {object} config - Streak config
+   * @param {string} source - Check-in source (STREAK_CHECK_IN_SOURCES)
+   * @param {object} context - Request context
+   * @returns {object} - Check-in result
+   */
+  async recordCheckIn(member, config, source, context = {}) {
+    const timezone = await this.missionProgressService.getTimezone(member);
+    const today = missionWindows.getLocalDate(new Date(), timezone);
+
+    const result = await this.streakRepository.withTransaction(async (client) => {
+      const streak = await this.streakRepository.findOrCreateForUpdate(member.id, member.brand_id, client);
+
+      // A member who moved to a timezone behind their last check-in may already be past "today"
+      if (streak.last_check_in_date && streak.last_check_in_date >= today) {
+        return { checked_in: false, check_in_date: today, streak, frozen_days: 0, milestone: null };
+      }
+
+      const missedDays = streak.last_check_in_date ? daysBetween(streak.last_check_in_date, today) - 1 : 0;
+      const frozenDays = missedDays > 0 && missedDays <= streak.freezes_available ? missedDays : 0;
+      const currentStreak = missedDays === 0 || frozenDays > 0 ? streak.current_streak + 1 : 1;
+      const milestone = config.milestones.find(candidate => candidate.day === currentStreak) || null;
+
+      for (let day = 1; day <= frozenDays; day++) {
+        await this.streakRepository.recordCheckIn({
+          member_id: member.id,
+          brand_id: member.brand_id,
+          check_in_date: addDays(streak.last_check_in_date, day),
+          source: STREAK_CHECK_IN_SOURCES.FREEZE,
+          streak_day: streak.current_streak
+        }, client);
+      }
+
+      const checkIn = await this.streakRepository.recordCheckIn({
+        member_id: member.id,
+        brand_id: member.brand_id,
+        check_in_date: today,
+        source,
+        streak_day: currentStreak,
+        milestone_day: milestone ? milestone.day : null
+      }, client);
+
+      const freezesLeft = streak.freezes_available - frozenDays;
+      const freezesAwarded = milestone
+        ? Math.max(0, Math.min(milestone.reward_freezes || 0, config.max_freezes - freezesLeft))
+        : 0;
+
+      const updated = await this.streakRepository.updateStreak(streak.id, {
+        current_streak: currentStreak,
+        longest_streak: Math.max(streak.longest_streak, currentStreak),
+        last_check_in_date: today,
+        freezes_available: freezesLeft + freezesAwarded
+      }, client);
+
+      const reward = milestone
+        ? await this.awardMilestone(member, milestone, checkIn, freezesAwarded, context, client)
+        : null;
+
+      return { checked_in: true, check_in_date: today, streak: updated, frozen_days: frozenDays, milestone: reward };
+    });
+
+    if (result.checked_in) {
+      logger.logBusiness('Member checked in', {
+        memberId: member.id,
+        brandId: member.brand_id,
+        source,
+        currentStreak: result.streak.current_streak,
+        frozenDays: result.frozen_days,
+        milestoneDay: result.milestone ? result.milestone.day : null
+      });
+    }
+
+    return {
+      checked_in: result.checked_in,
+      check_in_date: result.check_in_date,
+      current_streak: result.streak.current_streak,
+      longest_streak: result.streak.longest_streak,
+      freezes_available: result.streak.freezes_available,
+      frozen_days: result.frozen_days,
+      milestone: result.milestone
+    };
+  }
+
+  /**
+   * Award a milestone's points and spin tickets, and tell the brand's webhooks
+   * @param {object} member - Member
+   * @param {object} milestone - Milestone (day, reward_points, reward_spin_tickets, reward_freezes)
+   * @param {object} checkIn - Check-in that reached the milestone
+   * @param {number} freezesAwarded - Freezes the member received (capped at max_freezes)
+   * @param {object} context - Request context
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Awarded rewards
+   */
+  async awardMilestone(member, milestone, checkIn, freezesAwarded, context, client) {
+    const description = `Check-in streak reward: day ${milestone.day}`;
+
+    const transaction = milestone.reward_points > 0
+      ? await this.transactionService.createTransaction({
+        member_id: member.id,
+        type: TRANSACTION_TYPES.CREDIT,
+        amount: milestone.reward_points,
+        description,
+        reference_type: 'streak_check_in',
+        reference_id: checkIn.id
+      }, member.brand_id, null, context, client)
+      : null;
+
+    if (milestone.reward_spin_tickets > 0) {
+      await this.spinTicketService.creditTickets({
+        memberId: member.id,
+        brandId: member.brand_id,
+        quantity: milestone.reward_spin_tickets,
+        source: SPIN_TICKET_SOURCES.STREAK,
+        referenceType: 'streak_check_in',
+        referenceId: checkIn.id,
+        description
+      }, client);
+    }
+
+    const reward = {
+      day: milestone.day,
+      reward_points: milestone.reward_points || 0,
+      reward_spin_tickets: milestone.reward_spin_tickets || 0,
+      reward_freezes: freezesAwarded,
+      transaction_id: transaction ? transaction.id : null
+    };
+
+    await this.webhookService.dispatchEvent(member.brand_id, WEBHOOK_EVENTS.STREAK_MILESTONE_REACHED, {
+      member_id: member.id,
+      check_in_id: checkIn.id,
+      ...reward
+    }, client);
+
+    return reward;
+  }
+
+  /**
+   * Build a month of the streak calendar: days checked in on, covered by a freeze or missed since the
+   * member's streak began
+   * @param {string} memberId - Member ID
+   * @param {object|null} streak - Member's streak
+   * @param {string} month - Month (YYYY-MM)
+   * @param {string} today - Member's local date
+   * @param {string} timezone - Member's timezone
+   * @returns {object} - Month and its days (date, status, milestone_day)
+   */
+  async getCalendar(memberId, streak, month, today, timezone) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const first = `${month}-01`;
+    const last = new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+    const checkIns = streak ? await this.streakRepository.findCheckIns(memberId, first, last) : [];
+    const byDate = new Map(checkIns.map(checkIn => [checkIn.check_in_date, checkIn]));
+    const startedOn = streak ? missionWindows.getLocalDate(streak.created_at, timezone) : null;
+
+    const days = [];
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+      const checkIn = byDate.get(date);
+      let status = null;
+      if (checkIn) {
+        status = checkIn.source === STREAK_CHECK_IN_SOURCES.FREEZE ? STREAK_DAY_STATUS.FROZEN : STREAK_DAY_STATUS.CHECKED_IN;
+      } else if (startedOn && date >= startedOn && date < today) {
+        status = STREAK_DAY_STATUS.MISSED;
+      }
+
+      days.push({ date, status, milestone_day: checkIn ? checkIn.milestone_day : null });
+    }
+
+    return { month, days };
+  }
+
+  /**
+   * The streak a member still has today: kept while they checked in yesterday or today, or hold a
+   * freeze for every day missed since
+   * @param {object|null} streak - Member's streak
+   * @param {string} today - Member's local date
+   * @returns {number} - Current streak
+   */
+  getCurrentStreak(streak, today) {
+    if (!streak || !streak.last_check_in_date) {
+      return 0;
+    }
+
+    const missedDays = daysBetween(streak.last_check_in_date, today) - 1;
+    return missedDays <= streak.freezes_available ? streak.current_streak : 0;
+  }
+
+  /**
+   * The next milestone a streak can reach
+   * @param {object} config - Streak config
+   * @param {number} currentStreak - Current streak
+   * @returns {object|null} - Milestone with days_left, or null when none is left
+   */
+  getNextMilestone(config, currentStreak) {
+    const milestone = config.milestones.find(candidate => candidate.day > currentStreak);
+    return milestone ? { ...milestone, days_left: milestone.day - currentStreak } : null;
+  }
+
+  /**
+   * Get a brand's streak config with defaults, milestones in day order
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Streak config
+   */
+  async getConfig(brandId) {
+    const missionConfig = await this.brandRepository.getMissionConfig(brandId);
+    const config = { ...DEFAULT_STREAK_CONFIG, ...(missionConfig.streaks || {}) };
+
+    return { ...config, milestones: [...config.milestones].sort((a, b) => a.day - b.day) };
+  }
+
+  /**
+   * Load a member of the brand
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Member
+   */
+  async getBrandMember(memberId, brandId) {
+    const member = await this.memberRepository.findById(memberId);
+    if (!member || member.brand_id !== brandId) {
+      throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.MISSION_MEMBER_NOT_FOUND);
+    }
+
+    return member;
+  }
+}
+
+module.exports = StreakService;
@@ -4,16 +4,18 @@
  */
 
 const { MemberRepository, BrandRepository, AuditLogRepository } = require('../repositories');
+const WebhookService = require('./WebhookService');
 const { logger, response } = require('../utils');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 const { SERVICE_ERROR_CODES } = require('../enums');
-const { TIER_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
+const { TIER_STATUS, AUDIT_ACTIONS, WEBHOOK_EVENTS } = require('../utils/constants');
 
 class TierService {
   constructor() {
     this.memberRepository = new MemberRepository();
     this.brandRepository = new BrandRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.webhookService = new WebhookService();
   }
 
   /**
@@ -546,6 +548,16 @@ class TierService {
             }
           });
 
+          if (member.tier_id !== tier_id) {
+            await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.TIER_CHANGED, {
+              member_id,
+              previous_tier_id: member.tier_id,
+              new_tier_id: tier_id,
+              new_tier: tier.name,
+              reason: 'manual_assignment'
+            });
+          }
+
           results.successful.push({
             member_id,
             tier_id,
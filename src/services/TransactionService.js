@@ -3,18 +3,38 @@
  * Handles transaction management business logic
  */
 
-const { TransactionRepository, MemberRepository, AuditLogRepository } = require('../repositories');
+const {
+  TransactionRepository,
+  MemberRepository,
+  AuditLogRepository,
+  PointsRuleApplicationRepository
+} = require('../repositories');
 const { logger, constants } = require('../utils');
 const { errorHandler } = require('../middleware');
 const { NotFoundError, ConflictError, ValidationError, AuthorizationError } = errorHandler;
 const { SERVICE_ERROR_CODES } = require('../enums');
-const { AUDIT_ACTIONS, TRANSACTION_TYPES, TRANSACTION_STATUS } = constants;
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+const MissionProgressService = require('./MissionProgressService');
+const PointsRuleService = require('./PointsRuleService');
+const { AUDIT_ACTIONS, TRANSACTION_TYPES, TRANSACTION_STATUS, WEBHOOK_EVENTS, INGEST_EVENT_TYPES } = constants;
+
+// External transaction types synced from a brand's platform that earn points, keyed to the rule event type
+const SYNCED_EARNING_EVENT_TYPES = {
+  DEPOSIT: INGEST_EVENT_TYPES.DEPOSIT,
+  PURCHASE: INGEST_EVENT_TYPES.PURCHASE
+};
 
 class TransactionService {
   constructor() {
     this.transactionRepository = new TransactionRepository();
     this.memberRepository = new MemberRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.notificationService = new NotificationService();
+    this.webhookService = new WebhookService();
+    this.missionProgressService = new MissionProgressService();
+    this.pointsRuleApplicationRepository = new PointsRuleApplicationRepository();
+    this.pointsRuleService = new PointsRuleService();
   }
 
   /**
@@ -23,11 +43,12 @@ class TransactionService {
    * @param {string} brandId - Brand ID
    * @param {string} userId - User ID creating the transaction
    * @param {object} context - Request context
+   * @param {object} client - Database client (optional, to join an outer transaction)
    * @returns {object} - Created transaction
    */
-  async createTransaction(transactionData, brandId, userId, context = {}) {
+  async createTransaction(transactionData, brandId, userId, context = {}, client = null) {
     try {
-      const { member_id, type, amount, description, reference_type, reference_id } = transactionData;
+      const { member_id, type, amount } = transactionData;
 
       // Validate transaction data
       this.validateTransactionData(transactionData);
@@ -43,42 +64,72 @@ class TransactionService {
         throw new ValidationError('Insufficient points balance', 400, SERVICE_ERROR_CODES.TRANSACTION_INSUFFICIENT_POINTS);
       }
 
-      // Create transaction
-      const transaction = await this.transactionRepository.create({
-        ...transactionData,
-        brand_id: brandId,
-        status: TRANSACTION_STATUS.COMPLETED,
-        created_by: userId
-      });
-
-      // Update member points balance
-      const newBalance = type === TRANSACTION_TYPES.CREDIT 
-        ? member.points_balance + amount
-        : member.points_balance - amount;
+      const executeTransaction = async (dbClient) => {
+        // Create transaction
+        const transaction = await this.transactionRepository.create({
+          ...transactionData,
+          brand_id: brandId,
+          status: TRANSACTION_STATUS.COMPLETED,
+          created_by: userId
+        }, dbClient);
+
+        // Update member points balance; refunds restore the balance without counting as earned points
+        const isCredit = this.isCreditType(type);
+        const updatedMember = await this.memberRepository.updatePoints(
+          member_id,
+          isCredit ? amount : -amount,
+          type === TRANSACTION_TYPES.CREDIT ? TRANSACTION_TYPES.POINTS_EARNED : type,
+          dbClient,
+          transaction.id
+        );
+
+        // Counted in the same transaction, so mission progress only moves if the transaction commits
+        await this.missionProgressService.recordTransaction(transaction, dbClient);
+
+        // Log transaction creation
+        await this.auditLogRepository.logUserAction({
+          user_id: userId,
+          member_id,
+          brand_id: brandId,
+          action: AUDIT_ACTIONS.TRANSACTION_CREATE,
+          description: 'Transaction created successfully',
+          ip_address: context.ip,
+          user_agent: context.userAgent,
+          metadata: {
+            memberId: member.member_id,
+            transactionType: type,
+            amount,
+            newBalance: updatedMember.points_balance,
+            transactionId: transaction.id
+          }
+        }, dbClient);
+
+        if (type === TRANSACTION_TYPES.CREDIT) {
+          await this.notificationService.notifyPointsEarned(
+            member_id,
+            brandId,
+            transaction,
+            updatedMember.points_balance,
+            dbClient
+          );
+
+          await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.POINTS_CREDITED, {
+            member_id,
+            transaction_id: transaction.id,
+            amount,
+            new_balance: updatedMember.points_balance,
+            description: transaction.description || null,
+            reference_type: transaction.reference_type || null,
+            reference_id: transaction.reference_id || null
+          }, dbClient);
+        }
 
-      await this.memberRepository.updatePoints(member_id, {
-        points_balance: newBalance,
-        total_points_earned: type === TRANSACTION_TYPES.CREDIT 
-          ? member.total_points_earned + amount
-          : member.total_points_earned
-      });
+        return { transaction, newBalance: updatedMember.points_balance };
+      };
 
-      // Log transaction creation
-      await this.auditLogRepository.logUserAction({
-        user_id: userId,
-        brand_id: brandId,
-        action: AUDIT_ACTIONS.TRANSACTION_CREATE,
-        description: 'Transaction created successfully',
-        ip_address: context.ip,
-        user_agent: context.userAgent,
-        metadata: {
-          memberId: member.member_id,
-          transactionType: type,
-          amount,
-          newBalance,
-          transactionId: transaction.id
-        }
-      });
+      const { transaction, newBalance } = client
+        ? await executeTransaction(client)
+        : await this.transactionRepository.withTransaction(executeTransaction);
 
       logger.logBusiness('Transaction created', {
         transactionId: transaction.id,
@@ -90,7 +141,8 @@ class TransactionService {
         createdBy: userId
       });
 
-      return await this.transactionRepository.findWithMember(transaction.id);
+      // Rows written on an outer client are not visible to the pool until it commits
+      return client ? transaction : await this.transactionRepository.findWithMember(transaction.id);
     } catch (error) {
       logger.error('Transaction creation failed', {
         error: error.message,
@@ -103,6 +155,93 @@ class TransactionService {
     }
   }
 
+  /**
+   * Credit a member for a transaction synced from the brand's platform
+   * The synced cash amount is run through the brand's points rules rather than credited as points,
+   * and the rules that matched are recorded against the credit
+   * @param {object} syncedTransaction - Synced transaction (external_id, member_id, type, amount, status, created_date_time)
+   * @param {string} brandId - Brand ID
+   * @param {object} context - Request context
+   * @returns {object|null} - Points credit, or null when the synced transaction earns nothing
+   */
+  async createSyncedTransaction(syncedTransaction, brandId, context = {}) {
+    try {
+      const { external_id, member_id, type, amount, currency, status, created_date_time } = syncedTransaction;
+
+      const eventType = SYNCED_EARNING_EVENT_TYPES[String(type).toUpperCase()];
+      if (!eventType || String(status).toLowerCase() !== TRANSACTION_STATUS.COMPLETED) {
+        return null;
+      }
+
+      // A synced transaction seen again on a later run is credited once
+      const existingCredit = await this.transactionRepository.findOne({
+        brand_id: brandId,
+        reference_type: 'synced_transaction',
+        reference_id: external_id
+      });
+      if (existingCredit) {
+        return existingCredit;
+      }
+
+      const member = await this.memberRepository.findById(member_id);
+      if (!member || member.brand_id !== brandId) {
+        throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.TRANSACTION_MEMBER_NOT_FOUND);
+      }
+
+      // Rules are evaluated in the crediting transaction so daily caps are read under the member's row lock
+      const transaction = await this.transactionRepository.withTransaction(async (client) => {
+        const { points, applications, occurred_at: occurredAt } = await this.pointsRuleService.evaluate({
+          event_type: eventType,
+          amount,
+          currency,
+          occurred_at: created_date_time
+        }, member, brandId, client);
+
+        if (!(points > 0)) {
+          return null;
+        }
+
+        const credit = await this.createTransaction({
+          member_id,
+          type: TRANSACTION_TYPES.CREDIT,
+          amount: points,
+          description: `Points for synced ${eventType}`,
+          reference_type: 'synced_transaction',
+          reference_id: external_id,
+          metadata: { points_rules: applications }
+        }, brandId, null, context, client);
+
+        await this.pointsRuleApplicationRepository.recordApplications(
+          credit.id, member_id, brandId, applications, occurredAt, client
+        );
+
+        return credit;
+      });
+
+      if (!transaction) {
+        return null;
+      }
+
+      logger.logBusiness('Synced transaction credited', {
+        transactionId: transaction.id,
+        externalId: external_id,
+        memberId: member_id,
+        eventType,
+        points: transaction.amount,
+        brandId
+      });
+
+      return transaction;
+    } catch (error) {
+      logger.error('Synced transaction credit failed', {
+        error: error.message,
+        externalId: syncedTransaction.external_id,
+        brandId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get transaction by ID
    * @param {string} transactionId - Transaction ID
@@ -467,36 +606,44 @@ class TransactionService {
         throw new ValidationError('Insufficient points balance for reversal', 400, SERVICE_ERROR_CODES.TRANSACTION_INSUFFICIENT_POINTS_FOR_REVERSAL);
       }
 
-      // Create reversal transaction
-      const reversalTransaction = await this.transactionRepository.create({
-        member_id: originalTransaction.member_id,
-        brand_id: brandId,
-        type: reversalType,
-        amount: originalTransaction.amount,
-        description: `Reversal: ${reason}`,
-        reference_type: 'transaction_reversal',
-        reference_id: transactionId,
-        status: TRANSACTION_STATUS.COMPLETED,
-        created_by: userId
-      });
-
-      // Mark original transaction as reversed
-      await this.transactionRepository.update(transactionId, {
-        reversed_at: new Date(),
-        reversal_reason: reason,
-        reversed_by: userId
-      });
-
-      // Update member points balance
-      const newBalance = reversalType === TRANSACTION_TYPES.CREDIT 
-        ? member.points_balance + originalTransaction.amount
-        : member.points_balance - originalTransaction.amount;
+      const reversalTransaction = await this.transactionRepository.withTransaction(async (client) => {
+        // Create reversal transaction
+        const reversal = await this.transactionRepository.create({
+          member_id: originalTransaction.member_id,
+          brand_id: brandId,
+          type: reversalType,
+          amount: originalTransaction.amount,
+          description: `Reversal: ${reason}`,
+          reference_type: 'transaction_reversal',
+          reference_id: transactionId,
+          status: TRANSACTION_STATUS.COMPLETED,
+          created_by: userId
+        }, client);
+
+        // Mark original transaction as reversed
+        await this.transactionRepository.update(transactionId, {
+          reversed_at: new Date(),
+          reversal_reason: reason,
+          reversed_by: userId
+        }, client);
+
+        // Apply the reversal to the member balance
+        await this.memberRepository.updatePoints(
+          originalTransaction.member_id,
+          reversalType === TRANSACTION_TYPES.CREDIT ? originalTransaction.amount : -originalTransaction.amount,
+          reversalType,
+          client,
+          reversal.id
+        );
+
+        // A reversed credit no longer counts towards the points the member earned
+        if (reversalType === TRANSACTION_TYPES.DEBIT) {
+          await this.memberRepository.update(originalTransaction.member_id, {
+            total_points_earned: Math.max(0, member.total_points_earned - originalTransaction.amount)
+          }, client);
+        }
 
-      await this.memberRepository.updatePoints(originalTransaction.member_id, {
-        points_balance: newBalance,
-        total_points_earned: reversalType === TRANSACTION_TYPES.DEBIT 
-          ? Math.max(0, member.total_points_earned - originalTransaction.amount)
-          : member.total_points_earned
+        return reversal;
       });
 
       // Log transaction reversal
@@ -786,23 +933,24 @@ class TransactionService {
           throw new ValidationError('Insufficient points balance', 400, SERVICE_ERROR_CODES.TRANSACTION_INSUFFICIENT_POINTS);
         }
 
-        // Approve transaction
-        updatedTransaction = await this.transactionRepository.update(transactionId, {
-          status: TRANSACTION_STATUS.COMPLETED,
-          processed_at: new Date(),
-          processed_by: userId
-        });
-
-        // Update member balance
-        const newBalance = transaction.type === TRANSACTION_TYPES.CREDIT 
-          ? member.points_balance + transaction.amount
-          : member.points_balance - transaction.amount;
-
-        await this.memberRepository.updatePoints(transaction.member_id, {
-          points_balance: newBalance,
-          total_points_earned: transaction.type === TRANSACTION_TYPES.CREDIT 
-            ? member.total_points_earned + transaction.amount
-            : member.total_points_earned
+        // Approve transaction and apply it to the member balance together
+        updatedTransaction = await this.transactionRepository.withTransaction(async (client) => {
+          const approved = await this.transactionRepository.update(transactionId, {
+            status: TRANSACTION_STATUS.COMPLETED,
+            processed_at: new Date(),
+            processed_by: userId
+          }, client);
+
+          const isCredit = this.isCreditType(transaction.type);
+          await this.memberRepository.updatePoints(
+            transaction.member_id,
+            isCredit ? transaction.amount : -transaction.amount,
+            transaction.type === TRANSACTION_TYPES.CREDIT ? TRANSACTION_TYPES.POINTS_EARNED : transaction.type,
+            client,
+            transactionId
+          );
+
+          return approved;
         });
       } else if (action === 'reject') {
         // Reject transaction
@@ -882,6 +1030,15 @@ class TransactionService {
     }
   }
 
+  /**
+   * Check whether a transaction type adds points to the member balance
+   * @param {string} type - Transaction type
+   * @returns {boolean} - True for credit-like types
+   */
+  isCreditType(type) {
+    return type === TRANSACTION_TYPES.CREDIT || type === TRANSACTION_TYPES.REFUND;
+  }
+
   /**
    * Validate transaction data
    * @param {object} transactionData - Transaction data to validate
@@ -897,6 +1054,11 @@ class TransactionService {
       throw new ValidationError('Valid transaction type is required', 400, SERVICE_ERROR_CODES.TRANSACTION_VALID_TYPE_REQUIRED);
     }
 
+    // Expired points are written by the expiration job together with the lots they expire
+    if (type === TRANSACTION_TYPES.POINTS_EXPIRED) {
+      throw new ValidationError('Expired points cannot be recorded manually', 400, SERVICE_ERROR_CODES.TRANSACTION_TYPE_SYSTEM_ONLY);
+    }
+
     if (!amount || amount <= 0) {
       throw new ValidationError('Amount must be greater than 0', 400, SERVICE_ERROR_CODES.TRANSACTION_AMOUNT_MUST_BE_POSITIVE);
     }
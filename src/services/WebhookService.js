@@ -0,0 +1,633 @@
+/**
+ * Webhook Service
+ * Handles brand webhook subscriptions and signed, retried event delivery
+ */
+
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { WebhookSubscriptionRepository, WebhookDeliveryRepository, AuditLogRepository } = require('../repositories');
+const { logger, constants, encryption, network } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const config = require('../../config');
+const { AUDIT_ACTIONS, WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS } = constants;
+
+// Every address a delivery connects to is checked, so a DNS record changed after the URL was validated cannot reach internal hosts
+const publicHttpAgent = new http.Agent({ lookup: network.lookupPublicAddress });
+const publicHttpsAgent = new https.Agent({ lookup: network.lookupPublicAddress });
+
+class WebhookService {
+  constructor() {
+    this.webhookSubscriptionRepository = new WebhookSubscriptionRepository();
+    this.webhookDeliveryRepository = new WebhookDeliveryRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Create a webhook subscription
+   * @param {object} subscriptionData - Subscription data (url, events, description)
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID creating the subscription
+   * @param {object} context - Request context
+   * @returns {object} - Created subscription, including its signing secret
+   */
+  async createSubscription(subscriptionData, brandId, userId, context = {}) {
+    try {
+      await this.validateUrl(subscriptionData.url);
+      this.validateEvents(subscriptionData.events);
+
+      const subscription = await this.webhookSubscriptionRepository.create({
+        brand_id: brandId,
+        url: subscriptionData.url,
+        description: subscriptionData.description || null,
+        events: [...new Set(subscriptionData.events)],
+        secret: this.generateSecret(),
+        is_active: subscriptionData.is_active !== undefined ? subscriptionData.is_active : true,
+        created_by: userId
+      });
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.WEBHOOK_CREATE,
+        resource_type: 'webhook_subscription',
+        resource_id: subscription.id,
+        description: 'Webhook subscription created',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          url: subscription.url,
+          events: subscription.events
+        }
+      });
+
+      logger.logBusiness('Webhook subscription created', {
+        subscriptionId: subscription.id,
+        brandId,
+        events: subscription.events,
+        createdBy: userId
+      });
+
+      // The secret is only ever returned here; receivers need it to verify signatures
+      return subscription;
+    } catch (error) {
+      logger.error('Webhook subscription creation failed', {
+        error: error.message,
+        url: subscriptionData.url,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get webhook subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Subscription without its secret
+   */
+  async getSubscriptionById(subscriptionId, brandId) {
+    try {
+      const subscription = await this.findSubscription(subscriptionId, brandId);
+      return this.sanitizeSubscription(subscription);
+    } catch (error) {
+      logger.error('Get webhook subscription failed', {
+        error: error.message,
+        subscriptionId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook subscriptions of a brand
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated subscriptions
+   */
+  async listSubscriptions(options = {}, brandId) {
+    try {
+      const result = await this.webhookSubscriptionRepository.findByBrand(brandId, options);
+
+      return {
+        subscriptions: result.data.map(subscription => this.sanitizeSubscription(subscription)),
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List webhook subscriptions failed', {
+        error: error.message,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a webhook subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {object} updateData - Update data
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID updating the subscription
+   * @param {object} context - Request context
+   * @returns {object} - Updated subscription without its secret
+   */
+  async updateSubscription(subscriptionId, updateData, brandId, userId, context = {}) {
+    try {
+      await this.findSubscription(subscriptionId, brandId);
+
+      if (updateData.url !== undefined) {
+        await this.validateUrl(updateData.url);
+      }
+      if (updateData.events !== undefined) {
+        this.validateEvents(updateData.events);
+        updateData = { ...updateData, events: [...new Set(updateData.events)] };
+      }
+
+      const updatedSubscription = await this.webhookSubscriptionRepository.update(subscriptionId, updateData);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.WEBHOOK_UPDATE,
+        resource_type: 'webhook_subscription',
+        resource_id: subscriptionId,
+        description: 'Webhook subscription updated',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          updatedFields: Object.keys(updateData)
+        }
+      });
+
+      logger.logBusiness('Webhook subscription updated', {
+        subscriptionId,
+        brandId,
+        updatedFields: Object.keys(updateData),
+        updatedBy: userId
+      });
+
+      return this.sanitizeSubscription(updatedSubscription);
+    } catch (error) {
+      logger.error('Webhook subscription update failed', {
+        error: error.message,
+        subscriptionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID deleting the subscription
+   * @param {object} context - Request context
+   * @returns {boolean} - Success status
+   */
+  async deleteSubscription(subscriptionId, brandId, userId, context = {}) {
+    try {
+      const subscription = await this.findSubscription(subscriptionId, brandId);
+
+      await this.webhookSubscriptionRepository.delete(subscriptionId);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.WEBHOOK_DELETE,
+        resource_type: 'webhook_subscription',
+        resource_id: subscriptionId,
+        description: 'Webhook subscription deleted',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          url: subscription.url
+        }
+      });
+
+      logger.logBusiness('Webhook subscription deleted', {
+        subscriptionId,
+        brandId,
+        deletedBy: userId
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Webhook subscription deletion failed', {
+        error: error.message,
+        subscriptionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List the delivery log of a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {object} options - Query options
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Paginated deliveries
+   */
+  async listDeliveries(subscriptionId, options = {}, brandId) {
+    try {
+      await this.findSubscription(subscriptionId, brandId);
+
+      const result = await this.webhookDeliveryRepository.findBySubscription(subscriptionId, options);
+
+      return {
+        deliveries: result.data.map(delivery => this.sanitizeDelivery(delivery)),
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List webhook deliveries failed', {
+        error: error.message,
+        subscriptionId,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery and attempt it immediately
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID requesting the redelivery
+   * @param {object} context - Request context
+   * @returns {object} - New delivery after its first attempt
+   */
+  async redeliver(deliveryId, brandId, userId, context = {}) {
+    try {
+      const delivery = await this.webhookDeliveryRepository.findById(deliveryId);
+      if (!delivery || delivery.brand_id !== brandId) {
+        throw new NotFoundError('Webhook delivery not found', 404, SERVICE_ERROR_CODES.WEBHOOK_DELIVERY_NOT_FOUND);
+      }
+
+      const subscription = await this.findSubscription(delivery.subscription_id, brandId);
+      if (!subscription.is_active) {
+        throw new ValidationError('Webhook subscription is not active', 400, SERVICE_ERROR_CODES.WEBHOOK_SUBSCRIPTION_INACTIVE);
+      }
+
+      // The event ID is kept so receivers can recognise the redelivery as a duplicate
+      const redelivery = await this.webhookDeliveryRepository.create({
+        subscription_id: subscription.id,
+        brand_id: brandId,
+        event_id: delivery.event_id,
+        event_type: delivery.event_type,
+        payload: delivery.payload,
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: new Date(),
+        is_test: delivery.is_test,
+        redelivery_of: delivery.id
+      });
+
+      const attemptedDelivery = await this.attemptDelivery(redelivery, subscription);
+
+      await this.auditLogRepository.logUserAction({
+        user_id: userId,
+        brand_id: brandId,
+        action: AUDIT_ACTIONS.WEBHOOK_REDELIVER,
+        resource_type: 'webhook_delivery',
+        resource_id: attemptedDelivery.id,
+        description: 'Webhook delivery resent',
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        metadata: {
+          subscriptionId: subscription.id,
+          originalDeliveryId: delivery.id,
+          eventType: delivery.event_type,
+          status: attemptedDelivery.status
+        }
+      });
+
+      return attemptedDelivery;
+    } catch (error) {
+      logger.error('Webhook redelivery failed', {
+        error: error.message,
+        deliveryId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a test event to a subscription and attempt it immediately
+   * Test deliveries are logged but never retried
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID sending the test
+   * @returns {object} - Test delivery after its attempt
+   */
+  async sendTestEvent(subscriptionId, brandId, userId) {
+    try {
+      const subscription = await this.findSubscription(subscriptionId, brandId);
+
+      const payload = this.webhookDeliveryRepository.buildPayload(brandId, WEBHOOK_EVENTS.TEST, {
+        subscription_id: subscription.id,
+        message: 'This is a test event'
+      });
+
+      const delivery = await this.webhookDeliveryRepository.create({
+        subscription_id: subscription.id,
+        brand_id: brandId,
+        event_id: payload.id,
+        event_type: WEBHOOK_EVENTS.TEST,
+        payload,
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: new Date(),
+        is_test: true
+      });
+
+      const attemptedDelivery = await this.attemptDelivery(delivery, subscription);
+
+      logger.logBusiness('Webhook test event sent', {
+        subscriptionId,
+        brandId,
+        status: attemptedDelivery.status,
+        sentBy: userId
+      });
+
+      return attemptedDelivery;
+    } catch (error) {
+      logger.error('Webhook test event failed', {
+        error: error.message,
+        subscriptionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every subscription of the brand listening to it
+   * Deliveries are sent by the webhook delivery job
+   * @param {string} brandId - Brand ID
+   * @param {string} eventType - Event type
+   * @param {object} data - Event data
+   * @param {object} client - Database client (optional, so a rolled back change sends nothing)
+   * @returns {array} - Queued deliveries
+   */
+  async dispatchEvent(brandId, eventType, data, client = null) {
+    return await this.webhookDeliveryRepository.enqueueEvent(brandId, eventType, data, {}, client);
+  }
+
+  /**
+   * Send all pending deliveries that are due
+   * @param {number} limit - Maximum deliveries to send in this run
+   * @returns {object} - Run summary
+   */
+  async processDueDeliveries(limit = 50) {
+    const deliveries = await this.webhookDeliveryRepository.claimDue(limit);
+    const summary = { processed: deliveries.length, succeeded: 0, retrying: 0, failed: 0 };
+
+    for (const delivery of deliveries) {
+      try {
+        const subscription = await this.webhookSubscriptionRepository.findById(delivery.subscription_id);
+        const result = await this.attemptDelivery(delivery, subscription);
+
+        if (result.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED) {
+          summary.succeeded++;
+        } else if (result.status === WEBHOOK_DELIVERY_STATUS.FAILED) {
+          summary.failed++;
+        } else {
+          summary.retrying++;
+        }
+      } catch (error) {
+        // The lease from claimDue expires, so the delivery is picked up again on a later run
+        logger.error('Webhook delivery processing failed', {
+          error: error.message,
+          deliveryId: delivery.id
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * POST a delivery to its subscription and record the outcome
+   * @param {object} delivery - Delivery record
+   * @param {object|null} subscription - Subscription record
+   * @returns {object} - Updated delivery
+   */
+  async attemptDelivery(delivery, subscription) {
+    const attempts = delivery.attempts + 1;
+
+    if (!subscription || !subscription.is_active) {
+      const failedDelivery = await this.webhookDeliveryRepository.update(delivery.id, {
+        status: WEBHOOK_DELIVERY_STATUS.FAILED,
+        attempts,
+        last_attempt_at: new Date(),
+        error_message: 'Webhook subscription is not active',
+        next_attempt_at: null
+      });
+      return this.sanitizeDelivery(failedDelivery);
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+      const requestOptions = {
+        headers: this.buildHeaders(delivery, subscription.secret, body, timestamp),
+        timeout: config.webhook.timeoutMs,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      };
+
+      if (!config.webhook.allowPrivateUrls) {
+        // IP literals are connected to without a lookup, so the agents cannot check them
+        await network.resolvePublicAddresses(new URL(subscription.url).hostname);
+        requestOptions.httpAgent = publicHttpAgent;
+        requestOptions.httpsAgent = publicHttpsAgent;
+      }
+
+      // The response body is not kept; receivers' answers are not shown to brand admins
+      const response = await axios.post(subscription.url, body, requestOptions);
+
+      responseStatus = response.status;
+      if (responseStatus < 200 || responseStatus >= 300) {
+        errorMessage = `Receiver responded with HTTP ${responseStatus}`;
+      }
+    } catch (error) {
+      errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    const updateData = {
+      attempts,
+      last_attempt_at: new Date(),
+      response_status: responseStatus,
+      duration_ms: Date.now() - startTime,
+      error_message: errorMessage
+    };
+
+    if (!errorMessage) {
+      updateData.status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+      updateData.delivered_at = new Date();
+      updateData.next_attempt_at = null;
+    } else if (!delivery.is_test && attempts < config.webhook.maxAttempts) {
+      updateData.status = WEBHOOK_DELIVERY_STATUS.PENDING;
+      updateData.next_attempt_at = new Date(Date.now() + this.getRetryDelaySeconds(attempts) * 1000);
+    } else {
+      updateData.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+      updateData.next_attempt_at = null;
+    }
+
+    const updatedDelivery = await this.webhookDeliveryRepository.update(delivery.id, updateData);
+
+    logger.info('Webhook delivery attempted', {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      eventType: delivery.event_type,
+      attempts,
+      status: updateData.status,
+      responseStatus
+    });
+
+    return this.sanitizeDelivery(updatedDelivery);
+  }
+
+  /**
+   * Build the signed request headers of a delivery
+   * The signature covers "<timestamp>.<body>" so receivers can reject replayed requests
+   * @param {object} delivery - Delivery record
+   * @param {string} secret - Subscription secret
+   * @param {string} body - Serialized payload
+   * @param {string} timestamp - Unix timestamp in seconds
+   * @returns {object} - Request headers
+   */
+  buildHeaders(delivery, secret, body, timestamp) {
+    return {
+      'Content-Type': 'application/json',
+      'User-Agent': 'EngageCore-Webhooks/1.0',
+      'X-EngageCore-Event': delivery.event_type,
+      'X-EngageCore-Delivery': delivery.id,
+      'X-EngageCore-Timestamp': timestamp,
+      'X-EngageCore-Signature': `sha256=${encryption.createHMAC(`${timestamp}.${body}`, secret)}`
+    };
+  }
+
+  /**
+   * Exponential backoff delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in seconds
+   */
+  getRetryDelaySeconds(attempts) {
+    const { retryBaseDelaySeconds, retryMaxDelaySeconds } = config.webhook;
+    return Math.min(retryBaseDelaySeconds * Math.pow(2, attempts - 1), retryMaxDelaySeconds);
+  }
+
+  /**
+   * Find a subscription of a brand
+   * @private
+   */
+  async findSubscription(subscriptionId, brandId) {
+    const subscription = await this.webhookSubscriptionRepository.findById(subscriptionId);
+    if (!subscription || subscription.brand_id !== brandId) {
+      throw new NotFoundError('Webhook subscription not found', 404, SERVICE_ERROR_CODES.WEBHOOK_NOT_FOUND);
+    }
+    return subscription;
+  }
+
+  /**
+   * Validate a subscription URL, rejecting hosts that resolve to loopback, private or link-local addresses
+   * @private
+   */
+  async validateUrl(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw new ValidationError('Webhook URL is invalid', 400, SERVICE_ERROR_CODES.WEBHOOK_INVALID_URL);
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new ValidationError('Webhook URL must use http or https', 400, SERVICE_ERROR_CODES.WEBHOOK_INVALID_URL);
+    }
+
+    if (config.webhook.allowPrivateUrls) {
+      return;
+    }
+
+    try {
+      await network.resolvePublicAddresses(parsedUrl.hostname);
+    } catch (error) {
+      if (error.code === 'EPRIVATEADDRESS') {
+        throw new ValidationError('Webhook URL must point to a public address', 400, SERVICE_ERROR_CODES.WEBHOOK_URL_NOT_ALLOWED);
+      }
+      throw new ValidationError('Webhook URL host could not be resolved', 400, SERVICE_ERROR_CODES.WEBHOOK_INVALID_URL);
+    }
+  }
+
+  /**
+   * Validate subscribed event types
+   * @private
+   */
+  validateEvents(events) {
+    const subscribableEvents = this.getSubscribableEvents();
+    const unknownEvents = (events || []).filter(event => !subscribableEvents.includes(event));
+
+    if (!events || events.length === 0 || unknownEvents.length > 0) {
+      throw new ValidationError(
+        `Unknown webhook event type: ${unknownEvents.join(', ') || 'none given'}`,
+        400,
+        SERVICE_ERROR_CODES.WEBHOOK_INVALID_EVENT
+      );
+    }
+  }
+
+  /**
+   * Event types a subscription can listen to; test events go to a single subscription on demand
+   * @returns {array} - Event types
+   */
+  getSubscribableEvents() {
+    return Object.values(WEBHOOK_EVENTS).filter(event => event !== WEBHOOK_EVENTS.TEST);
+  }
+
+  /**
+   * Generate a subscription signing secret
+   * @private
+   */
+  generateSecret() {
+    return `whsec_${encryption.generateSecureRandomString(24)}`;
+  }
+
+  /**
+   * Remove the signing secret from a subscription
+   * @private
+   */
+  sanitizeSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  /**
+   * Remove receiver response bodies logged before they stopped being stored
+   * @private
+   */
+  sanitizeDelivery(delivery) {
+    const { response_body, ...rest } = delivery;
+    return rest;
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,235 @@
+/**
+ * Wheel Drift Service
+ * Checks that wheel outcomes match the configured probabilities with chi-square goodness-of-fit tests
+ * over rolling windows, stores the results and raises an alert when drift is significant
+ */
+
+const { WheelRepository, WheelDriftCheckRepository, AuditLogRepository } = require('../repositories');
+const { logger, constants, probability } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const config = require('../../config');
+const { WHEEL_DRIFT_STATUS, AUDIT_ACTIONS } = constants;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class WheelDriftService {
+  constructor() {
+    this.wheelRepository = new WheelRepository();
+    this.driftCheckRepository = new WheelDriftCheckRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Check every active wheel over each configured window (WHEEL_DRIFT_WINDOWS_HOURS)
+   * @param {Date} at - End of the windows
+   * @returns {object} - Summary (wheels, checks, drifts, failed)
+   */
+  async runDriftChecks(at = new Date()) {
+    try {
+      const wheels = await this.wheelRepository.findActiveForDriftCheck();
+      const summary = { wheels: wheels.length, checks: 0, drifts: 0, failed: 0 };
+
+      for (const wheel of wheels) {
+        try {
+          const { items } = await this.wheelRepository.findWithItems(wheel.id);
+          const previousChecks = await this.driftCheckRepository.findLatestByWheel(wheel.id);
+
+          for (const windowHours of config.wheel.driftWindowsHours) {
+            const check = await this.checkWheelWindow(wheel, items, windowHours, at);
+            summary.checks++;
+
+            if (check.status === WHEEL_DRIFT_STATUS.DRIFT) {
+              summary.drifts++;
+              const previous = previousChecks.find(previousCheck => Number(previousCheck.window_hours) === windowHours);
+              // Alert once when drift starts, not on every run while it lasts
+              if (!previous || previous.status !== WHEEL_DRIFT_STATUS.DRIFT) {
+                await this.raiseDriftAlert(wheel, check);
+              }
+            }
+          }
+        } catch (error) {
+          // One wheel's failure must not hold back the others
+          summary.failed++;
+          logger.error('Error checking wheel probability drift', { wheelId: wheel.id, error: error.message });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Error running wheel drift checks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Test a wheel's outcomes in one window against its configured probabilities and store the result.
+   * The window starts no earlier than the last change to the wheel's items.
+   * @param {object} wheel - Wheel (id, brand_id, items_changed_at)
+   * @param {Array} items - Wheel items
+   * @param {number} windowHours - Window length in hours
+   * @param {Date} at - Window end
+   * @returns {object} - Stored drift check
+   */
+  async checkWheelWindow(wheel, items, windowHours, at = new Date()) {
+    const windowStart = new Date(Math.max(
+      at.getTime() - windowHours * HOUR_MS,
+      wheel.items_changed_at ? new Date(wheel.items_changed_at).getTime() : 0
+    ));
+
+    const activeItems = (items || []).filter(item => item.is_active !== false);
+    const outcomes = await this.wheelRepository.getConfiguredOddsOutcomes(wheel.id, windowStart, at);
+    const spinsByItem = new Map(outcomes.map(outcome => [outcome.wheel_item_id, parseInt(outcome.spins)]));
+
+    const observed = activeItems.map(item => spinsByItem.get(item.id) || 0);
+    const configured = activeItems.map(item => Number(item.probability) || 0);
+    const totalSpins = observed.reduce((sum, count) => sum + count, 0);
+    const significanceLevel = config.wheel.driftSignificanceLevel;
+
+    let test = { statistic: null, degrees_of_freedom: null, p_value: null };
+    let status = WHEEL_DRIFT_STATUS.INSUFFICIENT_DATA;
+
+    if (totalSpins >= config.wheel.driftMinSpins) {
+      test = probability.chiSquareGoodnessOfFit(observed, configured);
+      status = test.p_value < significanceLevel ? WHEEL_DRIFT_STATUS.DRIFT : WHEEL_DRIFT_STATUS.OK;
+    }
+
+    const totalProbability = configured.reduce((sum, p) => sum + p, 0) || 1;
+
+    return this.driftCheckRepository.recordCheck({
+      wheel_id: wheel.id,
+      brand_id: wheel.brand_id,
+      window_hours: windowHours,
+      window_start: windowStart,
+      window_end: at,
+      total_spins: totalSpins,
+      statistic: test.statistic,
+      degrees_of_freedom: test.degrees_of_freedom,
+      p_value: test.p_value,
+      significance_level: significanceLevel,
+      status,
+      items: activeItems.map((item, index) => ({
+        item_id: item.id,
+        name: item.name,
+        configured_probability: configured[index],
+        expected_spins: parseFloat(((configured[index] / totalProbability) * totalSpins).toFixed(2)),
+        observed_spins: observed[index],
+        observed_probability: totalSpins > 0 ? parseFloat((observed[index] / totalSpins).toFixed(6)) : 0,
+        confidence_interval: probability.proportionConfidenceInterval(observed[index], totalSpins)
+      }))
+    });
+  }
+
+  /**
+   * Record a drift alert in the audit log
+   * @param {object} wheel - Wheel (id, brand_id, name)
+   * @param {object} check - Drift check that found drift
+   */
+  async raiseDriftAlert(wheel, check) {
+    logger.warn('Wheel outcomes drifted from configured probabilities', {
+      wheelId: wheel.id,
+      brandId: wheel.brand_id,
+      windowHours: check.window_hours,
+      pValue: check.p_value,
+      totalSpins: check.total_spins
+    });
+
+    await this.auditLogRepository.logSystemAction({
+      brand_id: wheel.brand_id,
+      action: AUDIT_ACTIONS.WHEEL_PROBABILITY_DRIFT,
+      resource_type: 'wheel',
+      resource_id: wheel.id,
+      description: `Outcomes of wheel "${wheel.name}" over the last ${check.window_hours} hours do not match its configured probabilities`,
+      metadata: {
+        drift_check_id: check.id,
+        window_hours: check.window_hours,
+        total_spins: check.total_spins,
+        statistic: check.statistic,
+        p_value: check.p_value,
+        significance_level: check.significance_level
+      }
+    });
+  }
+
+  /**
+   * Get the latest drift check of each window for a wheel, with observed vs expected rates per item
+   * @param {string} wheelId - Wheel ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Drift status and checks
+   */
+  async getWheelDrift(wheelId, brandId) {
+    try {
+      const wheel = await this.wheelRepository.findById(wheelId);
+      if (!wheel || wheel.brand_id !== brandId) {
+        throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
+      }
+
+      const checks = (await this.driftCheckRepository.findLatestByWheel(wheelId)).map(check => this.formatCheck(check));
+
+      return {
+        drifting: checks.some(check => check.status === WHEEL_DRIFT_STATUS.DRIFT),
+        checks
+      };
+    } catch (error) {
+      logger.error('Get wheel drift failed', {
+        error: error.message,
+        wheelId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the wheels currently drifting from their configured probabilities
+   * @param {string} brandId - Brand ID (all brands when null)
+   * @returns {Array} - Drift alerts, most significant first
+   */
+  async getDriftAlerts(brandId = null) {
+    try {
+      const drifts = await this.driftCheckRepository.findActiveDrifts(brandId);
+
+      return drifts.map(check => ({
+        wheel_id: check.wheel_id,
+        wheel_name: check.wheel_name,
+        brand_id: check.brand_id,
+        window_hours: Number(check.window_hours),
+        total_spins: Number(check.total_spins),
+        p_value: Number(check.p_value),
+        checked_at: check.created_at
+      }));
+    } catch (error) {
+      logger.error('Get wheel drift alerts failed', {
+        error: error.message,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a stored drift check's numeric columns
+   * @param {object} check - Drift check row
+   * @returns {object} - Drift check
+   */
+  formatCheck(check) {
+    const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+    return {
+      window_hours: Number(check.window_hours),
+      window_start: check.window_start,
+      window_end: check.window_end,
+      total_spins: Number(check.total_spins),
+      statistic: toNumber(check.statistic),
+      degrees_of_freedom: toNumber(check.degrees_of_freedom),
+      p_value: toNumber(check.p_value),
+      significance_level: Number(check.significance_level),
+      status: check.status,
+      items: check.items,
+      checked_at: check.created_at
+    };
+  }
+}
+
+module.exports = WheelDriftService;
@@ -0,0 +1,409 @@
+/**
+ * Wheel Experiment Service
+ * Runs A/B experiments between wheel versions: members are bucketed into variants by a hash of their
+ * member ID and the experiment ID, spins are attributed to the variant, and results compare spin rate,
+ * prize cost and downstream engagement across variants
+ */
+
+const {
+  WheelRepository,
+  WheelItemRepository,
+  WheelVersionRepository,
+  WheelExperimentRepository
+} = require('../repositories');
+const { logger, constants, probability } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { WHEEL_EXPERIMENT_STATUS } = constants;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WheelExperimentService {
+  constructor() {
+    this.wheelRepository = new WheelRepository();
+    this.wheelItemRepository = new WheelItemRepository();
+    this.versionRepository = new WheelVersionRepository();
+    this.experimentRepository = new WheelExperimentRepository();
+  }
+
+  /**
+   * List a wheel's experiments, newest first
+   * @param {string} wheelId - Wheel ID
+   * @param {object} options - Query options (page, limit, status)
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Experiments and pagination
+   */
+  async listExperiments(wheelId, options = {}, brandId) {
+    try {
+      await this.findWheel(wheelId, brandId);
+      const result = await this.experimentRepository.findByWheel(wheelId, options);
+
+      return {
+        experiments: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List wheel experiments failed', {
+        error: error.message,
+        wheelId,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a wheel experiment
+   * @param {string} wheelId - Wheel ID
+   * @param {string} experimentId - Experiment ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Experiment
+   */
+  async getExperiment(wheelId, experimentId, brandId) {
+    try {
+      return await this.findExperiment(wheelId, experimentId, brandId);
+    } catch (error) {
+      logger.error('Get wheel experiment failed', {
+        error: error.message,
+        wheelId,
+        experimentId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a draft experiment; each variant draws from a version of the wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {object} experimentData - Experiment data (name, description, variants of key, name, weight, wheel_version_id)
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID creating the experiment
+   * @returns {object} - Created experiment
+   */
+  async createExperiment(wheelId, experimentData, brandId, userId) {
+    try {
+      await this.findWheel(wheelId, brandId);
+
+      for (const variant of experimentData.variants) {
+        const version = await this.versionRepository.findById(variant.wheel_version_id);
+        if (!version || version.wheel_id !== wheelId) {
+          throw new ValidationError(`Variant "${variant.key}" must use a version of the wheel`, 400, SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_INVALID_VARIANT);
+        }
+      }
+
+      const experiment = await this.experimentRepository.createExperiment({
+        wheel_id: wheelId,
+        brand_id: brandId,
+        name: experimentData.name,
+        description: experimentData.description || null,
+        variants: experimentData.variants.map(variant => ({
+          key: variant.key,
+          name: variant.name || variant.key,
+          weight: variant.weight,
+          wheel_version_id: variant.wheel_version_id
+        })),
+        created_by: userId
+      });
+
+      logger.logBusiness('Wheel experiment created', {
+        wheelId,
+        experimentId: experiment.id,
+        variants: experimentData.variants.length,
+        createdBy: userId
+      });
+
+      return experiment;
+    } catch (error) {
+      logger.error('Wheel experiment creation failed', {
+        error: error.message,
+        wheelId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Start bucketing the wheel's spins into the experiment's variants. Items a variant adds are
+   * created on the wheel inactive, so spins can reference them without the live draw offering them.
+   * @param {string} wheelId - Wheel ID
+   * @param {string} experimentId - Experiment ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID starting the experiment
+   * @returns {object} - Running experiment
+   */
+  async startExperiment(wheelId, experimentId, brandId, userId) {
+    try {
+      const experiment = await this.findExperiment(wheelId, experimentId, brandId);
+
+      if (experiment.status !== WHEEL_EXPERIMENT_STATUS.DRAFT) {
+        throw new ConflictError(`Only draft experiments can be started (experiment is ${experiment.status})`, 409, SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_INVALID_STATUS);
+      }
+
+      const started = await this.experimentRepository.withTransaction(async (client) => {
+        // The wheel lock keeps two experiments from starting on the wheel at once
+        await this.wheelRepository.findByIdForUpdate(wheelId, client);
+
+        const running = await this.experimentRepository.findRunningByWheel(wheelId, client);
+        if (running) {
+          throw new ConflictError(`Experiment "${running.name}" is already running on the wheel`, 409, SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_ALREADY_RUNNING);
+        }
+
+        const wheelItemIds = new Set((await this.wheelItemRepository.findByWheelId(wheelId, client)).map(item => item.id));
+        for (const variant of experiment.variants) {
+          const version = await this.versionRepository.findById(variant.wheel_version_id);
+          for (const item of version.config.items) {
+            if (!wheelItemIds.has(item.id)) {
+              await this.wheelItemRepository.create({ ...item, wheel_id: wheelId, is_active: false }, client);
+              wheelItemIds.add(item.id);
+            }
+          }
+        }
+
+        return this.experimentRepository.update(experimentId, {
+          status: WHEEL_EXPERIMENT_STATUS.RUNNING,
+          started_at: new Date()
+        }, client);
+      });
+
+      logger.logBusiness('Wheel experiment started', {
+        wheelId,
+        experimentId,
+        startedBy: userId
+      });
+
+      return started;
+    } catch (error) {
+      logger.error('Wheel experiment start failed', {
+        error: error.message,
+        wheelId,
+        experimentId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a running experiment; spins go back to the live version
+   * @param {string} wheelId - Wheel ID
+   * @param {string} experimentId - Experiment ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID stopping the experiment
+   * @returns {object} - Completed experiment
+   */
+  async stopExperiment(wheelId, experimentId, brandId, userId) {
+    try {
+      const experiment = await this.findExperiment(wheelId, experimentId, brandId);
+
+      if (experiment.status !== WHEEL_EXPERIMENT_STATUS.RUNNING) {
+        throw new ConflictError(`Only running experiments can be stopped (experiment is ${experiment.status})`, 409, SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_INVALID_STATUS);
+      }
+
+      const stopped = await this.experimentRepository.update(experimentId, {
+        status: WHEEL_EXPERIMENT_STATUS.COMPLETED,
+        ended_at: new Date()
+      });
+
+      logger.logBusiness('Wheel experiment stopped', {
+        wheelId,
+        experimentId,
+        stoppedBy: userId
+      });
+
+      return stopped;
+    } catch (error) {
+      logger.error('Wheel experiment stop failed', {
+        error: error.message,
+        wheelId,
+        experimentId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the variant a member spins in, when an experiment is running on the wheel
+   * @param {object} wheel - Wheel
+   * @param {string} memberId - Member ID
+   * @returns {object|null} - Variant assignment (experiment_id, variant, wheel_version_id, items, pity_rules)
+   */
+  async resolveVariant(wheel, memberId) {
+    const experiment = await this.experimentRepository.findRunningByWheel(wheel.id);
+    if (!experiment) {
+      return null;
+    }
+
+    const variant = probability.bucketVariant(memberId, experiment.id, experiment.variants);
+    if (!variant) {
+      return null;
+    }
+
+    const version = await this.versionRepository.findById(variant.wheel_version_id);
+
+    return {
+      experiment_id: experiment.id,
+      variant: variant.key,
+      wheel_version_id: version.id,
+      items: version.config.items,
+      pity_rules: version.config.pity_rules || []
+    };
+  }
+
+  /**
+   * Compare the experiment's variants: spin rate, win rate, prize cost and what members did after
+   * their first spin (returning on a later day, transactions outside the wheel). Each variant's lift
+   * is relative to the first variant, the control.
+   * @param {string} wheelId - Wheel ID
+   * @param {string} experimentId - Experiment ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Experiment and results per variant
+   */
+  async getExperimentResults(wheelId, experimentId, brandId) {
+    try {
+      const experiment = await this.findExperiment(wheelId, experimentId, brandId);
+      const until = experiment.ended_at ? new Date(experiment.ended_at) : new Date();
+      const days = experiment.started_at
+        ? Math.max(1, (until.getTime() - new Date(experiment.started_at).getTime()) / DAY_MS)
+        : 1;
+
+      const engagement = await this.experimentRepository.getVariantEngagement(experimentId, until);
+
+      const variants = [];
+      for (const variant of experiment.variants) {
+        const stats = await this.wheelRepository.getWheelStatistics(wheelId, { experimentId, variant: variant.key });
+        const activity = engagement.find(row => row.wheel_variant === variant.key) || {};
+
+        const spins = Number(stats.total_spins) || 0;
+        const participants = Number(stats.unique_spinners) || 0;
+        const winningSpins = Number(stats.winning_spins) || 0;
+        const returningMembers = Number(activity.returning_members) || 0;
+        const points = Number(stats.points_distributed) || 0;
+        const currency = Number(stats.currency_value_distributed) || 0;
+
+        variants.push({
+          key: variant.key,
+          name: variant.name,
+          weight: variant.weight,
+          wheel_version_id: variant.wheel_version_id,
+          participants,
+          spins,
+          spins_per_participant: this.ratio(spins, participants),
+          spins_per_participant_per_day: this.ratio(spins, participants * days),
+          win_rate: this.ratio(winningSpins, spins),
+          win_rate_confidence_interval: probability.proportionConfidenceInterval(winningSpins, spins),
+          prize_cost: {
+            points,
+            currency,
+            points_per_spin: this.ratio(points, spins),
+            currency_per_spin: this.ratio(currency, spins)
+          },
+          engagement: {
+            returning_members: returningMembers,
+            return_rate: this.ratio(returningMembers, participants),
+            return_rate_confidence_interval: probability.proportionConfidenceInterval(returningMembers, participants),
+            transactions_per_participant: this.ratio(Number(activity.transactions) || 0, participants),
+            points_earned_per_participant: this.ratio(Number(activity.points_earned) || 0, participants)
+          }
+        });
+      }
+
+      const totalParticipants = variants.reduce((sum, variant) => sum + variant.participants, 0);
+      const [control] = variants;
+
+      return {
+        experiment,
+        days: this.round(days),
+        variants: variants.map((variant, index) => ({
+          ...variant,
+          traffic_share: this.ratio(variant.participants, totalParticipants),
+          lift: index === 0 ? null : {
+            spins_per_participant: this.lift(variant.spins_per_participant, control.spins_per_participant),
+            win_rate: this.lift(variant.win_rate, control.win_rate),
+            points_per_spin: this.lift(variant.prize_cost.points_per_spin, control.prize_cost.points_per_spin),
+            currency_per_spin: this.lift(variant.prize_cost.currency_per_spin, control.prize_cost.currency_per_spin),
+            return_rate: this.lift(variant.engagement.return_rate, control.engagement.return_rate),
+            transactions_per_participant: this.lift(variant.engagement.transactions_per_participant, control.engagement.transactions_per_participant)
+          }
+        }))
+      };
+    } catch (error) {
+      logger.error('Get wheel experiment results failed', {
+        error: error.message,
+        wheelId,
+        experimentId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Divide, returning 0 when there is nothing to divide by
+   * @param {number} numerator - Numerator
+   * @param {number} denominator - Denominator
+   * @returns {number} - Rounded ratio
+   */
+  ratio(numerator, denominator) {
+    return denominator > 0 ? this.round(numerator / denominator) : 0;
+  }
+
+  /**
+   * Relative change of a variant's metric over the control's
+   * @param {number} value - Variant metric
+   * @param {number} controlValue - Control metric
+   * @returns {number|null} - Lift (0.1 is 10% higher), or null when the control is 0
+   */
+  lift(value, controlValue) {
+    return controlValue > 0 ? this.round((value - controlValue) / controlValue) : null;
+  }
+
+  /**
+   * Round a metric to six decimal places
+   * @param {number} value - Metric
+   * @returns {number} - Rounded metric
+   */
+  round(value) {
+    return parseFloat(value.toFixed(6));
+  }
+
+  /**
+   * Find a brand's wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Wheel
+   */
+  async findWheel(wheelId, brandId) {
+    const wheel = await this.wheelRepository.findById(wheelId);
+    if (!wheel || wheel.brand_id !== brandId) {
+      throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
+    }
+
+    return wheel;
+  }
+
+  /**
+   * Find an experiment of a brand's wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {string} experimentId - Experiment ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Experiment
+   */
+  async findExperiment(wheelId, experimentId, brandId) {
+    const experiment = await this.experimentRepository.findById(experimentId);
+    if (!experiment || experiment.wheel_id !== wheelId || experiment.brand_id !== brandId) {
+      throw new NotFoundError('Wheel experiment not found', 404, SERVICE_ERROR_CODES.WHEEL_EXPERIMENT_NOT_FOUND);
+    }
+
+    return experiment;
+  }
+}
+
+module.exports = WheelExperimentService;
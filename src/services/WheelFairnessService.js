@@ -0,0 +1,262 @@
+/**
+ * Wheel Fairness Service
+ * Handles provably fair spins: server seed commitments, client seeds, nonces and spin verification
+ */
+
+const { WheelRepository, WheelSeedRepository, MemberRepository } = require('../repositories');
+const { logger, constants, encryption, probability } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { WHEEL_SEED_STATUS } = constants;
+
+// 32 random bytes for the server seed, 16 for a client seed the member did not choose
+const SERVER_SEED_BYTES = 32;
+const CLIENT_SEED_BYTES = 16;
+
+class WheelFairnessService {
+  constructor() {
+    this.wheelRepository = new WheelRepository();
+    this.seedRepository = new WheelSeedRepository();
+    this.memberRepository = new MemberRepository();
+  }
+
+  /**
+   * Get the seed pair a member's next spin will use; only the hash of the server seed is shown
+   * @param {string} wheelId - Wheel ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Public seed pair (server_seed_hash, client_seed, nonce)
+   */
+  async getSeedPair(wheelId, memberId, brandId) {
+    try {
+      const wheel = await this.getProvablyFairWheel(wheelId, memberId, brandId);
+      const seed = await this.ensureActiveSeed(wheel, memberId);
+
+      return this.toPublicSeed(seed);
+    } catch (error) {
+      logger.error('Get wheel seed pair failed', {
+        error: error.message,
+        wheelId,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reveal the member's current server seed and start a new seed pair
+   * @param {string} wheelId - Wheel ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @param {string} clientSeed - Client seed for the new pair (a random one when omitted)
+   * @returns {object} - Revealed previous seed pair and the new public seed pair
+   */
+  async rotateSeed(wheelId, memberId, brandId, clientSeed = null) {
+    try {
+      const wheel = await this.getProvablyFairWheel(wheelId, memberId, brandId);
+
+      const { revealed, current } = await this.seedRepository.withTransaction(async (client) => {
+        const activeSeed = await this.ensureActiveSeed(wheel, memberId, client);
+        const revealedSeed = await this.seedRepository.reveal(activeSeed.id, client);
+        const newSeed = await this.seedRepository.createActive(this.generateSeed(wheel, memberId, clientSeed), client);
+
+        return { revealed: revealedSeed, current: newSeed };
+      });
+
+      logger.logBusiness('Wheel seed rotated', {
+        wheelId,
+        memberId,
+        brandId,
+        revealedSeedId: revealed.id,
+        spins: revealed.nonce
+      });
+
+      return {
+        previous_seed: this.toRevealedSeed(revealed),
+        current_seed: this.toPublicSeed(current)
+      };
+    } catch (error) {
+      logger.error('Wheel seed rotation failed', {
+        error: error.message,
+        wheelId,
+        memberId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Roll for a spin with the member's active seed pair and move the pair on to its next nonce.
+   * Must run inside the spin transaction so the nonce is only used once.
+   * @param {object} wheel - Wheel
+   * @param {string} memberId - Member ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Roll and the inputs it came from (seed_id, server_seed_hash, client_seed, nonce, roll)
+   */
+  async drawRoll(wheel, memberId, client) {
+    const seed = await this.ensureActiveSeed(wheel, memberId, client);
+    const roll = probability.provablyFairRoll(seed.server_seed, seed.client_seed, seed.nonce);
+
+    await this.seedRepository.incrementNonce(seed.id, client);
+
+    return {
+      seed_id: seed.id,
+      server_seed_hash: seed.server_seed_hash,
+      client_seed: seed.client_seed,
+      nonce: seed.nonce,
+      roll
+    };
+  }
+
+  /**
+   * Recompute the outcome of a provably fair spin from its revealed server seed
+   * @param {string} spinId - Wheel spin ID
+   * @returns {object} - Seeds, roll, draw table and whether the recorded outcome matches
+   */
+  async verifySpin(spinId) {
+    try {
+      const spin = await this.wheelRepository.findSpinById(spinId);
+      if (!spin) {
+        throw new NotFoundError('Wheel spin not found', 404, SERVICE_ERROR_CODES.WHEEL_SPIN_NOT_FOUND);
+      }
+
+      const fairness = spin.spin_data && spin.spin_data.fairness;
+      if (!fairness) {
+        throw new ValidationError('This spin was not made in provably fair mode', 400, SERVICE_ERROR_CODES.WHEEL_NOT_PROVABLY_FAIR);
+      }
+
+      const seed = await this.seedRepository.findById(fairness.seed_id);
+      if (!seed || seed.status !== WHEEL_SEED_STATUS.REVEALED) {
+        throw new ConflictError(
+          'The server seed of this spin is still in use; rotate the seed to verify it',
+          409,
+          SERVICE_ERROR_CODES.WHEEL_SEED_NOT_REVEALED
+        );
+      }
+
+      const roll = probability.provablyFairRoll(seed.server_seed, fairness.client_seed, fairness.nonce);
+      const computedItem = probability.weightedRandomSelection(fairness.draw, roll);
+      const hashMatches = encryption.hashSHA256(seed.server_seed) === fairness.server_seed_hash;
+      const computedItemId = computedItem ? computedItem.id : null;
+
+      return {
+        spin_id: spin.id,
+        wheel_id: spin.wheel_id,
+        server_seed: seed.server_seed,
+        server_seed_hash: fairness.server_seed_hash,
+        client_seed: fairness.client_seed,
+        nonce: fairness.nonce,
+        roll,
+        draw: fairness.draw,
+        recorded_item_id: spin.wheel_item_id,
+        computed_item_id: computedItemId,
+        verified: hashMatches && computedItemId === spin.wheel_item_id
+      };
+    } catch (error) {
+      logger.error('Wheel spin verification failed', {
+        error: error.message,
+        spinId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a provably fair wheel of the member's brand
+   * @param {string} wheelId - Wheel ID
+   * @param {string} memberId - Member ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Wheel
+   */
+  async getProvablyFairWheel(wheelId, memberId, brandId) {
+    const wheel = await this.wheelRepository.findById(wheelId);
+    if (!wheel || wheel.brand_id !== brandId) {
+      throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
+    }
+
+    if (!wheel.provably_fair) {
+      throw new ValidationError('This wheel does not use provably fair mode', 400, SERVICE_ERROR_CODES.WHEEL_NOT_PROVABLY_FAIR);
+    }
+
+    const member = await this.memberRepository.findById(memberId);
+    if (!member || member.brand_id !== brandId) {
+      throw new NotFoundError('Member not found', 404, SERVICE_ERROR_CODES.WHEEL_MEMBER_NOT_FOUND);
+    }
+
+    return wheel;
+  }
+
+  /**
+   * Get the member's active seed pair on a wheel, creating the first one when there is none.
+   * With a client the row stays locked until the transaction ends.
+   * @param {object} wheel - Wheel
+   * @param {string} memberId - Member ID
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Active seed
+   */
+  async ensureActiveSeed(wheel, memberId, client = null) {
+    const forUpdate = Boolean(client);
+    const existingSeed = await this.seedRepository.findActive(memberId, wheel.id, client, forUpdate);
+    if (existingSeed) {
+      return existingSeed;
+    }
+
+    // A concurrent request may create the pair first; either way there is exactly one to read back
+    await this.seedRepository.createActive(this.generateSeed(wheel, memberId), client);
+    return this.seedRepository.findActive(memberId, wheel.id, client, forUpdate);
+  }
+
+  /**
+   * Generate a new seed pair
+   * @param {object} wheel - Wheel
+   * @param {string} memberId - Member ID
+   * @param {string} clientSeed - Client seed chosen by the member
+   * @returns {object} - Seed data
+   */
+  generateSeed(wheel, memberId, clientSeed = null) {
+    const serverSeed = encryption.generateSecureRandomString(SERVER_SEED_BYTES);
+
+    return {
+      member_id: memberId,
+      wheel_id: wheel.id,
+      brand_id: wheel.brand_id,
+      server_seed: serverSeed,
+      server_seed_hash: encryption.hashSHA256(serverSeed),
+      client_seed: clientSeed || encryption.generateSecureRandomString(CLIENT_SEED_BYTES)
+    };
+  }
+
+  /**
+   * Seed pair as shown while it is in use (the server seed stays secret)
+   * @param {object} seed - Seed
+   * @returns {object} - Public seed pair
+   */
+  toPublicSeed(seed) {
+    return {
+      server_seed_hash: seed.server_seed_hash,
+      client_seed: seed.client_seed,
+      nonce: seed.nonce,
+      created_at: seed.created_at
+    };
+  }
+
+  /**
+   * Seed pair as shown once it has been rotated out
+   * @param {object} seed - Revealed seed
+   * @returns {object} - Revealed seed pair
+   */
+  toRevealedSeed(seed) {
+    return {
+      server_seed: seed.server_seed,
+      server_seed_hash: seed.server_seed_hash,
+      client_seed: seed.client_seed,
+      spins: seed.nonce,
+      revealed_at: seed.revealed_at
+    };
+  }
+}
+
+module.exports = WheelFairnessService;
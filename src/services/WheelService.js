@@ -3,19 +3,92 @@
  * Handles wheel and spin management business logic
  */
 
-const { WheelRepository, MemberRepository, TransactionRepository, AuditLogRepository } = require('../repositories');
-const { logger, constants, probability } = require('../utils');
+const {
+  WheelRepository,
+  WheelItemRepository,
+  WheelItemStockRepository,
+  WheelSpinCreditRepository,
+  WheelPrizeClaimRepository,
+  WheelVersionRepository,
+  MemberRepository,
+  BrandRepository,
+  TransactionRepository,
+  RewardRepository,
+  RewardCodeRepository,
+  AuditLogRepository
+} = require('../repositories');
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+const WheelFairnessService = require('./WheelFairnessService');
+const WheelExperimentService = require('./WheelExperimentService');
+const SpinTicketService = require('./SpinTicketService');
+const TransactionService = require('./TransactionService');
+const MissionService = require('./MissionService');
+const MissionProgressService = require('./MissionProgressService');
+const { logger, constants, probability, missionWindows } = require('../utils');
 const { errorHandler } = require('../middleware');
 const { NotFoundError, ConflictError, ValidationError, AuthorizationError } = errorHandler;
 const { SERVICE_ERROR_CODES } = require('../enums');
-const { AUDIT_ACTIONS, TRANSACTION_TYPES, WHEEL_ITEM_TYPES, SPIN_STATUS } = constants;
+const config = require('../../config');
+const {
+  AUDIT_ACTIONS,
+  TRANSACTION_TYPES,
+  WHEEL_ITEM_TYPES,
+  WHEEL_BUDGET_TYPES,
+  WHEEL_PITY_RULE_TYPES,
+  WHEEL_PAYMENT_METHODS,
+  WHEEL_VERSION_STATUS,
+  MISSION_ACTIONS,
+  SPIN_TICKET_SOURCES,
+  WEBHOOK_EVENTS,
+  CLAIM_STATUS
+} = constants;
+
+// Item types that count as a loss for the losing_streak pity rule
+const LOSING_ITEM_TYPES = [WHEEL_ITEM_TYPES.NOTHING, WHEEL_ITEM_TYPES.EMPTY];
 
 class WheelService {
   constructor() {
     this.wheelRepository = new WheelRepository();
+    this.wheelItemRepository = new WheelItemRepository();
+    this.stockRepository = new WheelItemStockRepository();
+    this.spinCreditRepository = new WheelSpinCreditRepository();
+    this.prizeClaimRepository = new WheelPrizeClaimRepository();
+    this.versionRepository = new WheelVersionRepository();
     this.memberRepository = new MemberRepository();
+    this.brandRepository = new BrandRepository();
     this.transactionRepository = new TransactionRepository();
+    this.rewardRepository = new RewardRepository();
+    this.rewardCodeRepository = new RewardCodeRepository();
     this.auditLogRepository = new AuditLogRepository();
+    this.notificationService = new NotificationService();
+    this.webhookService = new WebhookService();
+    this.fairnessService = new WheelFairnessService();
+    this.experimentService = new WheelExperimentService();
+    this.spinTicketService = new SpinTicketService();
+    this.transactionService = new TransactionService();
+    this.missionService = new MissionService();
+    this.missionProgressService = new MissionProgressService();
+
+    // Prize handlers keyed by item type; items without a handler (nothing, empty) are only recorded
+    this.prizeHandlers = {
+      [WHEEL_ITEM_TYPES.POINTS]: this.awardPointsPrize,
+      [WHEEL_ITEM_TYPES.BONUS_SPIN]: this.awardBonusSpinPrize,
+      [WHEEL_ITEM_TYPES.TIER_UPGRADE]: this.awardTierUpgradePrize,
+      [WHEEL_ITEM_TYPES.COUPON]: this.awardCodePrize,
+      [WHEEL_ITEM_TYPES.DISCOUNT]: this.awardCodePrize,
+      [WHEEL_ITEM_TYPES.PRODUCT]: this.createPrizeClaim,
+      [WHEEL_ITEM_TYPES.CASH]: this.createPrizeClaim
+    };
+  }
+
+  /**
+   * Register the handler that fulfils prizes of an item type, replacing any existing one
+   * @param {string} type - Wheel item type
+   * @param {function} handler - Async function receiving { wheel, item, member, spin, budgetCost, brandId, client }
+   */
+  registerPrizeHandler(type, handler) {
+    this.prizeHandlers[type] = handler;
   }
 
   /**
@@ -32,10 +105,12 @@ class WheelService {
 
       // Validate wheel items probabilities
       this.validateWheelProbabilities(items);
+      await this.validatePrizeRewards(items, brandId);
+      this.validatePityRules(wheelInfo.pity_rules, items);
 
       // Create wheel
       const wheel = await this.wheelRepository.create({
-        ...wheelInfo,
+        ...this.serializePityRules(wheelInfo),
         brand_id: brandId,
         created_by: userId
       });
@@ -51,6 +126,20 @@ class WheelService {
         wheelItems.push(item);
       }
 
+      // The initial configuration is the wheel's first live version
+      const version = await this.versionRepository.createVersion({
+        wheel_id: wheel.id,
+        brand_id: brandId,
+        status: WHEEL_VERSION_STATUS.LIVE,
+        items: wheelItems,
+        pity_rules: wheelInfo.pity_rules,
+        notes: 'Initial version',
+        created_by: userId,
+        published_by: userId,
+        published_at: new Date()
+      });
+      await this.wheelRepository.update(wheel.id, { live_version_id: version.id });
+
       // Log wheel creation
       await this.auditLogRepository.logUserAction({
         user_id: userId,
@@ -75,6 +164,7 @@ class WheelService {
 
       return {
         ...wheel,
+        live_version_id: version.id,
         items: wheelItems
       };
     } catch (error) {
@@ -130,8 +220,13 @@ class WheelService {
         throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
       }
 
+      if (updateData.pity_rules !== undefined) {
+        const items = await this.wheelItemRepository.findByWheelId(wheelId);
+        this.validatePityRules(updateData.pity_rules, items);
+      }
+
       // Update wheel
-      const updatedWheel = await this.wheelRepository.update(wheelId, updateData);
+      const updatedWheel = await this.wheelRepository.update(wheelId, this.serializePityRules(updateData));
 
       // Log wheel update
       await this.auditLogRepository.logUserAction({
@@ -168,105 +263,6 @@ class WheelService {
     }
   }
 
-  /**
-   * Update wheel items
-   * @param {string} wheelId - Wheel ID
-   * @param {Array} items - Updated items array
-   * @param {string} brandId - Brand ID
-   * @param {string} userId - User ID updating items
-   * @param {object} context - Request context
-   * @returns {object} - Updated wheel with items
-   */
-  async updateWheelItems(wheelId, items, brandId, userId, context = {}) {
-    try {
-      // Check if wheel exists
-      const existingWheel = await this.wheelRepository.findById(wheelId);
-      if (!existingWheel || existingWheel.brand_id !== brandId) {
-        throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
-      }
-
-      // Validate wheel items probabilities
-      this.validateWheelProbabilities(items);
-
-      // Get existing items
-      const existingItems = await this.wheelItemRepository.findByWheelId(wheelId);
-      const existingItemIds = existingItems.map(item => item.id);
-
-      // Process items
-      const updatedItems = [];
-      const itemsToCreate = [];
-      const itemsToUpdate = [];
-      const itemIdsToKeep = [];
-
-      for (let i = 0; i < items.length; i++) {
-        const item = { ...items[i], position: items[i].position || i };
-        
-        if (item.id && existingItemIds.includes(item.id)) {
-          // Update existing item
-          itemsToUpdate.push(item);
-          itemIdsToKeep.push(item.id);
-        } else {
-          // Create new item
-          itemsToCreate.push({ ...item, wheel_id: wheelId });
-        }
-      }
-
-      // Delete items not in the new list
-      const itemIdsToDelete = existingItemIds.filter(id => !itemIdsToKeep.includes(id));
-      if (itemIdsToDelete.length > 0) {
-        await this.wheelItemRepository.deleteMany(itemIdsToDelete);
-      }
-
-      // Update existing items
-      for (const item of itemsToUpdate) {
-        const updatedItem = await this.wheelItemRepository.update(item.id, item);
-        updatedItems.push(updatedItem);
-      }
-
-      // Create new items
-      for (const item of itemsToCreate) {
-        const createdItem = await this.wheelItemRepository.create(item);
-        updatedItems.push(createdItem);
-      }
-
-      // Log wheel items update
-      await this.auditLogRepository.logUserAction({
-        user_id: userId,
-        brand_id: brandId,
-        action: AUDIT_ACTIONS.WHEEL_UPDATE,
-        description: 'Wheel items updated',
-        ip_address: context.ip,
-        user_agent: context.userAgent,
-        metadata: {
-          wheelName: existingWheel.name,
-          itemsCreated: itemsToCreate.length,
-          itemsUpdated: itemsToUpdate.length,
-          itemsDeleted: itemIdsToDelete.length
-        }
-      });
-
-      logger.logBusiness('Wheel items updated', {
-        wheelId,
-        wheelName: existingWheel.name,
-        itemsCreated: itemsToCreate.length,
-        itemsUpdated: itemsToUpdate.length,
-        itemsDeleted: itemIdsToDelete.length,
-        updatedBy: userId
-      });
-
-      return await this.wheelRepository.findWithItems(wheelId);
-    } catch (error) {
-      logger.error('Wheel items update failed', {
-        error: error.message,
-        wheelId,
-        brandId,
-        userId,
-        context
-      });
-      throw error;
-    }
-  }
-
   /**
    * List wheels with pagination and filtering
    * @param {object} options - Query options
@@ -370,9 +366,10 @@ class WheelService {
    * @param {string} memberId - Member ID
    * @param {string} brandId - Brand ID
    * @param {object} context - Request context
+   * @param {string} paymentMethod - How the spin is paid for (free, ticket or points)
    * @returns {object} - Spin result
    */
-  async spinWheel(wheelId, memberId, brandId, context = {}) {
+  async spinWheel(wheelId, memberId, brandId, context = {}, paymentMethod = WHEEL_PAYMENT_METHODS.FREE) {
     try {
       // Check if wheel exists and is active
       const wheel = await this.wheelRepository.findWithItems(wheelId);
@@ -380,17 +377,17 @@ class WheelService {
         throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
       }
 
-      if (!wheel.active) {
+      if (!wheel.is_active) {
         throw new ValidationError('Wheel is not active', 400, SERVICE_ERROR_CODES.WHEEL_NOT_ACTIVE);
       }
 
       // Check if wheel is within active dates
       const now = new Date();
       if (wheel.start_date && now < new Date(wheel.start_date)) {
-        throw new ValidationError('Wheel is not yet available', 400, SERVICE_ERROR_CODES.WHEEL_NOT_AVAILABLE);
+        throw new ValidationError('Wheel is not yet available', 400, SERVICE_ERROR_CODES.WHEEL_NOT_YET_AVAILABLE);
       }
       if (wheel.end_date && now > new Date(wheel.end_date)) {
-        throw new ValidationError('Wheel is no longer available', 400, SERVICE_ERROR_CODES.WHEEL_NOT_AVAILABLE);
+        throw new ValidationError('Wheel is no longer available', 400, SERVICE_ERROR_CODES.WHEEL_NO_LONGER_AVAILABLE);
       }
 
       // Check if member exists
@@ -400,49 +397,133 @@ class WheelService {
       }
 
       // Check spin eligibility
-      const eligibility = await this.checkSpinEligibility(wheelId, memberId, brandId);
+      const eligibility = await this.checkSpinEligibility(wheelId, memberId, brandId, paymentMethod);
       if (!eligibility.eligible) {
-        throw new ValidationError(eligibility.reason);
+        throw new ValidationError(eligibility.reason, 400, eligibility.error_code || SERVICE_ERROR_CODES.WHEEL_MEMBER_NOT_ELIGIBLE);
       }
 
-      // Select winning item using probability
-      const winningItem = this.selectWinningItem(wheel.items);
-      if (!winningItem) {
-        throw new Error('Failed to select winning item');
-      }
+      // A running experiment draws from the member's variant instead of the live version
+      const variant = await this.experimentService.resolveVariant(wheel, memberId);
+      const configuredItems = variant ? variant.items : wheel.items;
+
+      // Take payment, draw, record the spin, charge the budget and fulfil the prize together
+      const { spin, winningItem, prize, fairRoll, payment } = await this.transactionRepository.withTransaction(async (client) => {
+        // Locking the wheel serializes its spins, so stock and budget cannot be overspent by concurrent draws
+        const lockedWheel = await this.wheelRepository.findByIdForUpdate(wheelId, client);
+
+        // Payment is taken before the draw; a failed spin rolls it back
+        const spinPayment = await this.chargeSpin(paymentMethod, {
+          wheel: lockedWheel,
+          memberId,
+          brandId,
+          context,
+          client
+        });
 
-      // Create spin record
-      const spin = await this.spinRepository.create({
-        wheel_id: wheelId,
-        member_id: memberId,
-        brand_id: brandId,
-        winning_item_id: winningItem.id,
-        status: SPIN_STATUS.COMPLETED,
-        ip_address: context.ip,
-        user_agent: context.userAgent
-      });
+        // Stock limits are checked against win counters kept by the spins themselves, under the wheel lock
+        const stockDay = await this.getStockDay(brandId, new Date(), client);
+        const stockUsage = await this.stockRepository.getUsage(wheelId, memberId, stockDay, client);
+        const pityRules = variant ? variant.pity_rules : lockedWheel.pity_rules;
+        const pityWindow = Math.max(0, ...(pityRules || []).map(rule => rule.spins));
+        const recentSpins = pityWindow > 0
+          ? await this.wheelRepository.getMemberRecentSpins(memberId, wheelId, pityWindow, client)
+          : [];
+
+        const tierItems = this.applyTierProbabilities(configuredItems, member.tier_id);
+        const availableItems = this.applyInventoryLimits(lockedWheel, tierItems, stockUsage);
+        const { items: drawItems, rule: pityRule } = this.applyPityRules(pityRules, availableItems, recentSpins, configuredItems);
+
+        // Provably fair wheels roll from the member's seed pair instead of the server's RNG
+        const fairRoll = lockedWheel.provably_fair
+          ? await this.fairnessService.drawRoll(lockedWheel, memberId, client)
+          : null;
+
+        const drawnItem = this.selectWinningItem(drawItems, fairRoll ? fairRoll.roll : undefined);
+        if (!drawnItem) {
+          throw new Error('Failed to select winning item');
+        }
 
-      // Process reward
-      let transaction = null;
-      if (winningItem.type === WHEEL_ITEM_TYPES.POINTS && winningItem.value > 0) {
-        // Award points
-        transaction = await this.transactionRepository.create({
+        // The member sees the item as configured, not its redistributed draw probability
+        const selectedItem = configuredItems.find(item => item.id === drawnItem.id);
+        const budgetCost = this.getItemBudgetCost(lockedWheel, selectedItem);
+
+        const spinRecord = await this.wheelRepository.recordSpin({
           member_id: memberId,
-          brand_id: brandId,
-          type: TRANSACTION_TYPES.CREDIT,
-          amount: winningItem.value,
-          description: `Wheel spin reward: ${winningItem.name}`,
-          reference_type: 'wheel_spin',
-          reference_id: spin.id
-        });
+          wheel_id: wheelId,
+          // The version the drawn items were loaded from
+          wheel_version_id: variant ? variant.wheel_version_id : (wheel.live_version_id || null),
+          wheel_experiment_id: variant ? variant.experiment_id : null,
+          wheel_variant: variant ? variant.variant : null,
+          wheel_item_id: selectedItem.id,
+          result_type: selectedItem.type,
+          result_value: selectedItem.value,
+          is_winner: !LOSING_ITEM_TYPES.includes(selectedItem.type),
+          spin_data: {
+            budget_cost: budgetCost,
+            bonus_spin: Boolean(spinPayment.bonus_spin),
+            payment_method: paymentMethod,
+            payment: spinPayment,
+            pity_triggered: Boolean(pityRule),
+            pity_rule: pityRule,
+            // The day the win counts against daily stock, so a returned prize is given back to the same day
+            stock_day: stockDay,
+            // Drift checks only compare spins drawn at the live configured probabilities
+            configured_odds: this.drawsAtConfiguredOdds(drawItems, wheel.items),
+            // The draw table is kept so the outcome can be recomputed once the server seed is revealed
+            fairness: fairRoll ? {
+              ...fairRoll,
+              draw: drawItems.map(item => ({ id: item.id, probability: item.probability }))
+            } : undefined,
+            ip_address: context.ip,
+            user_agent: context.userAgent
+          }
+        }, client);
+
+        await this.stockRepository.recordWin({
+          wheel_id: wheelId,
+          wheel_item_id: selectedItem.id,
+          member_id: memberId,
+          day: stockDay
+        }, client);
+
+        if (budgetCost > 0) {
+          await this.wheelRepository.addBudgetSpent(wheelId, budgetCost, client);
+        }
 
-        // Update member points
-        await this.memberRepository.updatePoints(memberId, {
-          points_balance: member.points_balance + winningItem.value,
-          total_points_earned: member.total_points_earned + winningItem.value
+        await this.missionProgressService.recordActivity(memberId, brandId, MISSION_ACTIONS.SPINS_COMPLETED, 1, client);
+
+        const prizeResult = await this.fulfillPrize({
+          wheel,
+          item: selectedItem,
+          member,
+          spin: spinRecord,
+          budgetCost,
+          brandId,
+          client
         });
+
+        return { spin: spinRecord, winningItem: selectedItem, prize: prizeResult, fairRoll, payment: spinPayment };
+      });
+
+      const { transaction = null, points_balance: pointsBalance, ...prizeDetails } = prize || {};
+
+      if (!LOSING_ITEM_TYPES.includes(winningItem.type)) {
+        await this.notificationService.notifyWheelPrize(memberId, brandId, wheel, winningItem, spin);
       }
 
+      await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.WHEEL_SPIN_COMPLETED, {
+        member_id: memberId,
+        wheel_id: wheelId,
+        spin_id: spin.id,
+        winning_item: {
+          id: winningItem.id,
+          name: winningItem.name,
+          type: winningItem.type,
+          value: winningItem.value
+        },
+        transaction_id: transaction ? transaction.id : null
+      });
+
       // Log spin
       await this.auditLogRepository.logUserAction({
         user_id: null,
@@ -456,6 +537,7 @@ class WheelService {
           memberId: member.member_id,
           winningItem: winningItem.name,
           reward: winningItem.value,
+          paymentMethod,
           spinId: spin.id
         }
       });
@@ -467,19 +549,33 @@ class WheelService {
         memberIdString: member.member_id,
         winningItem: winningItem.name,
         reward: winningItem.value,
+        paymentMethod,
         spinId: spin.id
       });
 
+      const completedMissions = await this.completeSpinMissions(memberId, context);
+
+      // A points prize reports the balance after both the spin cost and the prize
+      const balanceAfterPayment = payment.points_balance !== undefined ? payment.points_balance : member.points_balance;
+
       return {
         spin: {
           ...spin,
           winning_item: winningItem
         },
+        prize: prize ? prizeDetails : null,
         transaction,
+        payment,
+        fairness: fairRoll ? {
+          server_seed_hash: fairRoll.server_seed_hash,
+          client_seed: fairRoll.client_seed,
+          nonce: fairRoll.nonce
+        } : null,
+        completed_missions: completedMissions,
         member: {
           id: member.id,
           member_id: member.member_id,
-          points_balance: member.points_balance + (winningItem.type === WHEEL_ITEM_TYPES.POINTS ? winningItem.value : 0)
+          points_balance: pointsBalance !== undefined ? pointsBalance : balanceAfterPayment
         }
       };
     } catch (error) {
@@ -495,13 +591,35 @@ class WheelService {
   }
 
   /**
-   * Check spin eligibility for member
+   * Complete the missions a spin took to their target. The spin has committed by then, so a failure
+   * is logged rather than thrown and the mission-progress job completes them later.
+   * @param {string} memberId - Member ID
+   * @param {object} context - Request context
+   * @returns {Array} - Completed missions (mission_id, member_id, completion_id)
+   */
+  async completeSpinMissions(memberId, context = {}) {
+    try {
+      const { completions } = await this.missionService.completeReachedMissions({ memberId }, context);
+      return completions;
+    } catch (error) {
+      logger.warn('Completing missions after spin failed', {
+        error: error.message,
+        memberId
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Check spin eligibility for member. Every payment method is reported with what the member has left;
+   * with a payment method the result says whether the member can spin with it.
    * @param {string} wheelId - Wheel ID
    * @param {string} memberId - Member ID
    * @param {string} brandId - Brand ID
-   * @returns {object} - Eligibility result
+   * @param {string} paymentMethod - Payment method to check (any method when omitted)
+   * @returns {object} - Eligibility result with payment_options
    */
-  async checkSpinEligibility(wheelId, memberId, brandId) {
+  async checkSpinEligibility(wheelId, memberId, brandId, paymentMethod = null) {
     try {
       // Get wheel settings
       const wheel = await this.wheelRepository.findById(wheelId);
@@ -509,27 +627,38 @@ class WheelService {
         return { eligible: false, reason: 'Wheel not found' };
       }
 
-      // Check daily spin limit
-      if (wheel.max_spins_per_day > 0) {
-        const todaySpins = await this.spinRepository.getMemberDailySpinCount(memberId, wheelId);
-        if (todaySpins >= wheel.max_spins_per_day) {
-          return { eligible: false, reason: 'Daily spin limit reached' };
-        }
+      const paymentOptions = await this.getSpinPaymentOptions(wheel, memberId);
+
+      // Check cooldown period; it applies however the spin is paid for
+      const cooldownEnd = await this.getCooldownEnd(wheel, memberId);
+      if (cooldownEnd) {
+        return {
+          eligible: false,
+          reason: this.getCooldownReason(cooldownEnd),
+          cooldown_ends_at: cooldownEnd,
+          payment_options: paymentOptions
+        };
       }
 
-      // Check cooldown period
-      if (wheel.cooldown_minutes > 0) {
-        const lastSpin = await this.spinRepository.getMemberLastSpin(memberId, wheelId);
-        if (lastSpin) {
-          const cooldownEnd = new Date(lastSpin.created_at.getTime() + (wheel.cooldown_minutes * 60 * 1000));
-          if (new Date() < cooldownEnd) {
-            const remainingMinutes = Math.ceil((cooldownEnd - new Date()) / (60 * 1000));
-            return { eligible: false, reason: `Cooldown active. Try again in ${remainingMinutes} minutes` };
-          }
+      if (paymentMethod) {
+        const option = paymentOptions[paymentMethod];
+        if (!option.available) {
+          return { eligible: false, reason: option.reason, error_code: option.error_code, payment_options: paymentOptions };
         }
+
+        // Free spins past the daily allowance come from bonus spins won on the wheel
+        const useBonusSpin = paymentMethod === WHEEL_PAYMENT_METHODS.FREE && option.spins_left === 0;
+        return useBonusSpin
+          ? { eligible: true, use_bonus_spin: true, payment_options: paymentOptions }
+          : { eligible: true, payment_options: paymentOptions };
       }
 
-      return { eligible: true };
+      const availableMethods = Object.keys(paymentOptions).filter(method => paymentOptions[method].available);
+      if (availableMethods.length === 0) {
+        return { eligible: false, reason: paymentOptions[WHEEL_PAYMENT_METHODS.FREE].reason, payment_options: paymentOptions };
+      }
+
+      return { eligible: true, payment_methods: availableMethods, payment_options: paymentOptions };
     } catch (error) {
       logger.error('Spin eligibility check failed', {
         error: error.message,
@@ -541,6 +670,193 @@ class WheelService {
     }
   }
 
+  /**
+   * Work out what the member has left for each way of paying for a spin
+   * @param {object} wheel - Wheel
+   * @param {string} memberId - Member ID
+   * @returns {object} - Options keyed by payment method (available, reason and what is left)
+   */
+  async getSpinPaymentOptions(wheel, memberId) {
+    const options = {};
+
+    // Free spins: the daily allowance (none when max_spins_per_day is 0), then bonus spins won on the wheel
+    const dailyLimit = this.getDailyFreeSpinLimit(wheel);
+    const freeSpinsToday = dailyLimit ? await this.wheelRepository.getMemberDailyFreeSpinCount(memberId, wheel.id) : 0;
+    const spinsLeft = dailyLimit === null ? null : Math.max(0, dailyLimit - freeSpinsToday);
+    const bonusSpins = await this.spinCreditRepository.getBalance(memberId, wheel.id);
+
+    options[WHEEL_PAYMENT_METHODS.FREE] = {
+      available: spinsLeft !== 0 || bonusSpins > 0,
+      spins_left: spinsLeft,
+      bonus_spins: bonusSpins
+    };
+    if (!options[WHEEL_PAYMENT_METHODS.FREE].available) {
+      options[WHEEL_PAYMENT_METHODS.FREE].reason = dailyLimit === 0 ? 'This wheel has no free spins' : 'Daily spin limit reached';
+    }
+
+    options[WHEEL_PAYMENT_METHODS.TICKET] = await this.getPaidSpinOption(
+      wheel.spin_cost_tickets,
+      () => this.spinTicketService.getBalance(memberId),
+      { notAccepted: 'This wheel does not accept spin tickets', insufficient: 'Insufficient spin tickets' },
+      SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_TICKETS
+    );
+
+    options[WHEEL_PAYMENT_METHODS.POINTS] = await this.getPaidSpinOption(
+      wheel.spin_cost_points,
+      async () => {
+        const member = await this.memberRepository.findById(memberId);
+        return member ? member.points_balance : 0;
+      },
+      { notAccepted: 'This wheel does not accept points', insufficient: 'Insufficient points to pay for the spin' },
+      SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_POINTS
+    );
+
+    return options;
+  }
+
+  /**
+   * Get a wheel's daily free spin allowance
+   * @param {object} wheel - Wheel
+   * @returns {number|null} - Free spins per day, or null when unlimited
+   */
+  getDailyFreeSpinLimit(wheel) {
+    return wheel.max_spins_per_day === null || wheel.max_spins_per_day === undefined
+      ? null
+      : Number(wheel.max_spins_per_day);
+  }
+
+  /**
+   * Get when a member's cooldown on a wheel ends
+   * @param {object} wheel - Wheel
+   * @param {string} memberId - Member ID
+   * @param {object} client - Database client (optional, to read inside the spin transaction)
+   * @returns {Date|null} - End of the cooldown, or null when the member can spin now
+   */
+  async getCooldownEnd(wheel, memberId, client = null) {
+    if (!(wheel.cooldown_minutes > 0)) {
+      return null;
+    }
+
+    const lastSpin = await this.wheelRepository.getMemberLastSpin(memberId, wheel.id, client);
+    if (!lastSpin) {
+      return null;
+    }
+
+    const cooldownEnd = new Date(new Date(lastSpin.created_at).getTime() + (wheel.cooldown_minutes * 60 * 1000));
+    return new Date() < cooldownEnd ? cooldownEnd : null;
+  }
+
+  /**
+   * Describe an active cooldown to the member
+   * @param {Date} cooldownEnd - End of the cooldown
+   * @returns {string} - Reason the member cannot spin yet
+   */
+  getCooldownReason(cooldownEnd) {
+    const remainingMinutes = Math.ceil((cooldownEnd - new Date()) / (60 * 1000));
+    return `Cooldown active. Try again in ${remainingMinutes} minutes`;
+  }
+
+  /**
+   * Describe a paid spin option; the balance is only looked up when the wheel accepts the payment method
+   * @param {number|null} cost - Cost per spin (null when the wheel does not accept the method)
+   * @param {function} getBalance - Loads the member's balance
+   * @param {object} reasons - Messages for a method the wheel does not accept and for a balance that is too low
+   * @param {string} insufficientCode - Error code for a balance that is too low
+   * @returns {object} - Option (available, cost, balance, reason)
+   */
+  async getPaidSpinOption(cost, getBalance, reasons, insufficientCode) {
+    if (!(cost > 0)) {
+      return {
+        available: false,
+        cost: null,
+        reason: reasons.notAccepted,
+        error_code: SERVICE_ERROR_CODES.WHEEL_PAYMENT_METHOD_NOT_ACCEPTED
+      };
+    }
+
+    const balance = Number(await getBalance()) || 0;
+    const option = { available: balance >= cost, cost: Number(cost), balance };
+    if (!option.available) {
+      option.reason = reasons.insufficient;
+      option.error_code = insufficientCode;
+    }
+
+    return option;
+  }
+
+  /**
+   * Take payment for a spin inside the spin transaction.
+   * The cooldown and the free allowance are checked again here: the eligibility check ran before the wheel
+   * was locked, so concurrent spins could all have passed it.
+   * @param {string} paymentMethod - Payment method
+   * @param {object} paymentContext - Locked wheel, memberId, brandId, request context and client
+   * @returns {object} - Payment recorded with the spin
+   */
+  async chargeSpin(paymentMethod, { wheel, memberId, brandId, context, client }) {
+    const cooldownEnd = await this.getCooldownEnd(wheel, memberId, client);
+    if (cooldownEnd) {
+      throw new ValidationError(this.getCooldownReason(cooldownEnd), 400, SERVICE_ERROR_CODES.WHEEL_MEMBER_NOT_ELIGIBLE);
+    }
+
+    if (paymentMethod === WHEEL_PAYMENT_METHODS.TICKET) {
+      const tickets = Number(wheel.spin_cost_tickets);
+      if (!(tickets > 0)) {
+        throw new ValidationError('This wheel does not accept spin tickets', 400, SERVICE_ERROR_CODES.WHEEL_PAYMENT_METHOD_NOT_ACCEPTED);
+      }
+
+      const { transaction, balance } = await this.spinTicketService.debitTickets({
+        memberId,
+        brandId,
+        quantity: tickets,
+        source: SPIN_TICKET_SOURCES.SPIN,
+        referenceType: 'wheel',
+        referenceId: wheel.id,
+        description: `Wheel spin: ${wheel.name}`
+      }, client);
+
+      return { method: paymentMethod, tickets, ticket_transaction_id: transaction.id, tickets_balance: balance };
+    }
+
+    if (paymentMethod === WHEEL_PAYMENT_METHODS.POINTS) {
+      const points = Number(wheel.spin_cost_points);
+      if (!(points > 0)) {
+        throw new ValidationError('This wheel does not accept points', 400, SERVICE_ERROR_CODES.WHEEL_PAYMENT_METHOD_NOT_ACCEPTED);
+      }
+
+      // Lock the member so concurrent spins cannot spend the same points
+      const member = await this.memberRepository.findByIdForUpdate(memberId, client);
+      if (!member || member.points_balance < points) {
+        throw new ValidationError('Insufficient points to pay for the spin', 400, SERVICE_ERROR_CODES.WHEEL_INSUFFICIENT_POINTS);
+      }
+
+      const transaction = await this.transactionService.createTransaction({
+        member_id: memberId,
+        type: TRANSACTION_TYPES.DEBIT,
+        amount: points,
+        description: `Wheel spin: ${wheel.name}`,
+        reference_type: 'wheel',
+        reference_id: wheel.id
+      }, brandId, null, context, client);
+
+      return { method: paymentMethod, points, transaction_id: transaction.id, points_balance: member.points_balance - points };
+    }
+
+    // Free spins past the daily allowance come from bonus spins won on the wheel
+    const dailyLimit = this.getDailyFreeSpinLimit(wheel);
+    const freeSpinsToday = dailyLimit ? await this.wheelRepository.getMemberDailyFreeSpinCount(memberId, wheel.id, client) : 0;
+    const useBonusSpin = dailyLimit !== null && freeSpinsToday >= dailyLimit;
+
+    if (useBonusSpin) {
+      const credit = await this.spinCreditRepository.consume(memberId, wheel.id, client);
+      if (!credit) {
+        const reason = dailyLimit === 0 ? 'This wheel has no free spins' : 'Daily spin limit reached';
+        throw new ValidationError(reason, 400, SERVICE_ERROR_CODES.WHEEL_MEMBER_NOT_ELIGIBLE);
+      }
+    }
+
+    return { method: WHEEL_PAYMENT_METHODS.FREE, bonus_spin: useBonusSpin };
+  }
+
   /**
    * Get spin history for wheel
    * @param {string} wheelId - Wheel ID
@@ -704,12 +1020,20 @@ class WheelService {
         end_date
       } = options;
 
-      const performance = await this.wheelItemRepository.getPerformanceStats(wheelId, {
-        start_date,
-        end_date
+      const performance = await this.wheelRepository.getItemPerformance(wheelId, {
+        startDate: start_date,
+        endDate: end_date,
+        stockDay: await this.getStockDay(brandId)
       });
 
-      return performance;
+      // Stock is counted over all time, whatever date range the hit statistics cover
+      return performance.map(({ total_won: totalWon, won_today: wonToday, ...item }) => ({
+        ...item,
+        total_won: Number(totalWon),
+        won_today: Number(wonToday),
+        remaining_stock: item.stock_total === null ? null : Math.max(0, item.stock_total - Number(totalWon)),
+        remaining_today: item.stock_daily === null ? null : Math.max(0, item.stock_daily - Number(wonToday))
+      }));
     } catch (error) {
       logger.error('Get item performance failed', {
         error: error.message,
@@ -721,6 +1045,227 @@ class WheelService {
     }
   }
 
+  /**
+   * Run simulated spins against the wheel's current or a proposed configuration, through the same
+   * tier odds, stock and budget limits and pity rules as real spins. Nothing is written.
+   * @param {string} wheelId - Wheel ID
+   * @param {object} simulationData - spins, members, spins_per_day, tier_id and optional proposed
+   *   items, pity_rules, budget_type, budget_limit and spin_cost_points
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Prize distribution, points cost, return to player, budget burn-down and confidence intervals
+   */
+  async simulateWheel(wheelId, simulationData = {}, brandId) {
+    try {
+      const wheel = await this.wheelRepository.findWithItems(wheelId);
+      if (!wheel || wheel.brand_id !== brandId) {
+        throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
+      }
+
+      const proposed = Array.isArray(simulationData.items);
+      // Proposed items have no IDs yet; pity rules and stock are tracked by these instead
+      const items = proposed
+        ? simulationData.items.map((item, index) => ({ ...item, id: item.id || `proposed-${index + 1}` }))
+        : wheel.items;
+      const pityRules = simulationData.pity_rules !== undefined ? simulationData.pity_rules : wheel.pity_rules;
+
+      if (proposed) {
+        this.validateWheelProbabilities(items);
+      }
+      this.validatePityRules(pityRules, items);
+
+      const pick = (key) => (simulationData[key] !== undefined ? simulationData[key] : wheel[key]);
+      const members = simulationData.members || 100;
+      const dailyAllowance = Number(wheel.max_spins_per_day) > 0 ? Number(wheel.max_spins_per_day) : 1;
+
+      const result = this.runSpinSimulation({
+        items,
+        pityRules: pityRules || [],
+        budgetType: pick('budget_type'),
+        budgetLimit: pick('budget_limit'),
+        spinCostPoints: pick('spin_cost_points'),
+        tierId: simulationData.tier_id || null,
+        spins: simulationData.spins || 10000,
+        members,
+        // By default every simulated member uses their whole free allowance each day
+        spinsPerDay: simulationData.spins_per_day || members * dailyAllowance
+      });
+
+      logger.logBusiness('Wheel simulated', {
+        wheelId,
+        brandId,
+        itemSet: proposed ? 'proposed' : 'current',
+        spins: result.spins,
+        returnToPlayer: result.return_to_player ? result.return_to_player.value : null
+      });
+
+      return {
+        wheel_id: wheelId,
+        item_set: proposed ? 'proposed' : 'current',
+        ...result
+      };
+    } catch (error) {
+      logger.error('Wheel simulation failed', {
+        error: error.message,
+        wheelId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Simulate spins in memory. Spins go to the simulated members in turn, and daily stock resets
+   * every spinsPerDay spins. The wheel starts with nothing won and no budget spent.
+   * @param {object} setup - items, pityRules, budgetType, budgetLimit, spinCostPoints, tierId, spins, members, spinsPerDay
+   * @returns {object} - Simulation report
+   */
+  runSpinSimulation({ items, pityRules, budgetType, budgetLimit, spinCostPoints, tierId, spins, members, spinsPerDay }) {
+    const wheel = { budget_type: budgetType || null, budget_limit: budgetLimit, budget_spent: 0 };
+    const hasBudget = Boolean(wheel.budget_type) && budgetLimit !== null && budgetLimit !== undefined;
+    const tierItems = this.applyTierProbabilities(items, tierId);
+    const pityWindow = Math.max(0, ...pityRules.map(rule => rule.spins));
+
+    const totalWon = new Map();
+    const memberWon = Array.from({ length: members }, () => new Map());
+    const memberSpins = Array.from({ length: members }, () => []);
+    let wonToday = new Map();
+    let day = 0;
+
+    let wins = 0;
+    let pityTriggered = 0;
+    let pointsPaid = 0;
+    let pointsPaidSquares = 0;
+    let budgetExhaustedAt = null;
+    let prizesExhaustedAt = null;
+    let spinsRun = 0;
+
+    const checkpointEvery = Math.max(1, Math.ceil(spins / 10));
+    const burnDown = [];
+    const budgetedCosts = items.map(item => this.getItemBudgetCost(wheel, item)).filter(cost => cost > 0);
+    const cheapestBudgetedPrize = budgetedCosts.length > 0 ? Math.min(...budgetedCosts) : null;
+
+    for (let spin = 0; spin < spins; spin++) {
+      const spinDay = Math.floor(spin / spinsPerDay);
+      if (spinDay !== day) {
+        day = spinDay;
+        wonToday = new Map();
+      }
+
+      const member = spin % members;
+      const stockUsage = items.map(item => ({
+        wheel_item_id: item.id,
+        total_won: totalWon.get(item.id) || 0,
+        won_today: wonToday.get(item.id) || 0,
+        member_won: memberWon[member].get(item.id) || 0
+      }));
+
+      let availableItems;
+      try {
+        availableItems = this.applyInventoryLimits(wheel, tierItems, stockUsage);
+      } catch (error) {
+        if (!(error instanceof ConflictError)) {
+          throw error;
+        }
+        prizesExhaustedAt = spin + 1;
+        break;
+      }
+
+      const { items: drawItems, rule } = this.applyPityRules(pityRules, availableItems, memberSpins[member], items);
+      // Thousands of draws would flood the debug log
+      const drawnItem = this.selectWinningItem(drawItems, undefined, { quiet: true });
+      const item = items.find(candidate => candidate.id === drawnItem.id);
+      const isWinner = !LOSING_ITEM_TYPES.includes(item.type);
+      const points = item.type === WHEEL_ITEM_TYPES.POINTS ? Number(item.value) || 0 : 0;
+
+      totalWon.set(item.id, (totalWon.get(item.id) || 0) + 1);
+      wonToday.set(item.id, (wonToday.get(item.id) || 0) + 1);
+      memberWon[member].set(item.id, (memberWon[member].get(item.id) || 0) + 1);
+      if (pityWindow > 0) {
+        memberSpins[member].unshift({ wheel_item_id: item.id, is_winner: isWinner });
+        memberSpins[member].length = Math.min(memberSpins[member].length, pityWindow);
+      }
+
+      wins += isWinner ? 1 : 0;
+      pityTriggered += rule ? 1 : 0;
+      pointsPaid += points;
+      pointsPaidSquares += points * points;
+      wheel.budget_spent += this.getItemBudgetCost(wheel, item);
+      spinsRun = spin + 1;
+
+      if (hasBudget) {
+        const remaining = Number(budgetLimit) - wheel.budget_spent;
+        if (budgetExhaustedAt === null && cheapestBudgetedPrize !== null && remaining < cheapestBudgetedPrize) {
+          budgetExhaustedAt = spinsRun;
+        }
+        if (spinsRun % checkpointEvery === 0 || spinsRun === spins) {
+          burnDown.push({ spin: spinsRun, day: day + 1, spent: wheel.budget_spent, remaining });
+        }
+      }
+    }
+
+    const configured = new Map(tierItems.map(item => [item.id, Number(item.probability)]));
+    const pointsPerSpin = probability.meanConfidenceInterval(pointsPaid, pointsPaidSquares, spinsRun);
+    const winRate = probability.proportionConfidenceInterval(wins, spinsRun);
+    const cost = Number(spinCostPoints) > 0 ? Number(spinCostPoints) : null;
+
+    if (hasBudget && (burnDown.length === 0 || burnDown[burnDown.length - 1].spin !== spinsRun) && spinsRun > 0) {
+      burnDown.push({ spin: spinsRun, day: day + 1, spent: wheel.budget_spent, remaining: Number(budgetLimit) - wheel.budget_spent });
+    }
+
+    return {
+      spins: spinsRun,
+      members,
+      spins_per_day: spinsPerDay,
+      days: spinsRun > 0 ? day + 1 : 0,
+      confidence_level: 0.95,
+      prizes_exhausted_at_spin: prizesExhaustedAt,
+      distribution: items.map(item => {
+        const count = totalWon.get(item.id) || 0;
+        return {
+          item_id: item.id,
+          name: item.name,
+          type: item.type,
+          value: Number(item.value) || 0,
+          configured_probability: configured.get(item.id) || 0,
+          wins: count,
+          observed_probability: spinsRun > 0 ? parseFloat((count / spinsRun).toFixed(6)) : 0,
+          confidence_interval: probability.proportionConfidenceInterval(count, spinsRun)
+        };
+      }),
+      win_rate: {
+        value: spinsRun > 0 ? parseFloat((wins / spinsRun).toFixed(6)) : 0,
+        confidence_interval: winRate
+      },
+      expected_points_cost: {
+        // Without stock, budget or pity rules
+        configured: probability.calculateExpectedValue(tierItems.filter(item => item.type === WHEEL_ITEM_TYPES.POINTS)),
+        simulated: pointsPerSpin.mean,
+        confidence_interval: { low: pointsPerSpin.low, high: pointsPerSpin.high }
+      },
+      return_to_player: cost ? {
+        spin_cost_points: cost,
+        value: parseFloat((pointsPerSpin.mean / cost).toFixed(4)),
+        confidence_interval: {
+          low: parseFloat((pointsPerSpin.low / cost).toFixed(4)),
+          high: parseFloat((pointsPerSpin.high / cost).toFixed(4))
+        }
+      } : null,
+      pity: {
+        triggered: pityTriggered,
+        rate: spinsRun > 0 ? parseFloat((pityTriggered / spinsRun).toFixed(6)) : 0
+      },
+      budget: hasBudget ? {
+        type: wheel.budget_type,
+        limit: Number(budgetLimit),
+        spent: wheel.budget_spent,
+        remaining: Number(budgetLimit) - wheel.budget_spent,
+        average_cost_per_spin: spinsRun > 0 ? parseFloat((wheel.budget_spent / spinsRun).toFixed(4)) : 0,
+        exhausted_at_spin: budgetExhaustedAt,
+        burn_down: burnDown
+      } : null
+    };
+  }
+
   /**
    * Get member daily spin count
    * @param {string} memberId - Member ID
@@ -774,25 +1319,374 @@ class WheelService {
     }
   }
 
+  /**
+   * Check that the rewards coupon and discount items issue codes from belong to the brand
+   * @param {Array} items - Wheel items
+   * @param {string} brandId - Brand ID
+   * @throws {ValidationError} - If a reward does not exist for the brand
+   */
+  async validatePrizeRewards(items, brandId) {
+    const rewardIds = [...new Set((items || []).map(item => item.reward_id).filter(Boolean))];
+
+    for (const rewardId of rewardIds) {
+      const reward = await this.rewardRepository.findById(rewardId);
+      if (!reward || reward.brand_id !== brandId) {
+        throw new ValidationError(`Prize reward ${rewardId} not found`, 400, SERVICE_ERROR_CODES.WHEEL_PRIZE_REWARD_NOT_FOUND);
+      }
+    }
+  }
+
+  /**
+   * Fulfil a won prize with the handler registered for its type
+   * @param {object} prizeContext - Prize context (wheel, item, member, spin, budgetCost, brandId, client)
+   * @returns {object|null} - Handler result, or null if the item type has no handler
+   */
+  async fulfillPrize(prizeContext) {
+    const handler = this.prizeHandlers[prizeContext.item.type];
+    if (!handler) {
+      return null;
+    }
+
+    return await handler.call(this, prizeContext);
+  }
+
+  /**
+   * Credit a points prize to the member
+   * @param {object} prizeContext - Prize context (wheel, item, member, spin, budgetCost, brandId, client)
+   * @returns {object|null} - Reward transaction and new balance, or null for a zero-value item
+   */
+  async awardPointsPrize({ item, member, spin, brandId, client }) {
+    if (!(item.value > 0)) {
+      return null;
+    }
+
+    const transaction = await this.transactionRepository.create({
+      member_id: member.id,
+      brand_id: brandId,
+      type: TRANSACTION_TYPES.CREDIT,
+      amount: item.value,
+      description: `Wheel spin reward: ${item.name}`,
+      reference_type: 'wheel_spin',
+      reference_id: spin.id
+    }, client);
+
+    const updatedMember = await this.memberRepository.updatePoints(
+      member.id, item.value, TRANSACTION_TYPES.POINTS_EARNED, client, transaction.id
+    );
+
+    await this.missionProgressService.recordTransaction(transaction, client);
+
+    await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.POINTS_CREDITED, {
+      member_id: member.id,
+      transaction_id: transaction.id,
+      amount: item.value,
+      new_balance: updatedMember.points_balance,
+      description: transaction.description,
+      reference_type: 'wheel_spin',
+      reference_id: spin.id
+    }, client);
+
+    return { transaction, points_balance: updatedMember.points_balance };
+  }
+
+  /**
+   * Grant bonus spins on the wheel; they can be used after the daily spin limit is reached
+   * @param {object} prizeContext - Prize context (wheel, item, member, spin, budgetCost, brandId, client)
+   * @returns {object} - Spins granted and the member's bonus spin balance
+   */
+  async awardBonusSpinPrize({ wheel, item, member, brandId, client }) {
+    const spins = Math.max(1, Math.floor(Number(item.value) || 0));
+    const credit = await this.spinCreditRepository.grant(member.id, wheel.id, brandId, spins, client);
+
+    return { bonus_spins: spins, bonus_spins_balance: credit.credits };
+  }
+
+  /**
+   * Move the member up to the next tier
+   * @param {object} prizeContext - Prize context (wheel, item, member, spin, budgetCost, brandId, client)
+   * @returns {object} - New tier, or null if the member is already on the top tier
+   */
+  async awardTierUpgradePrize({ member, spin, brandId, client }) {
+    const nextTier = await this.memberRepository.getNextTier(member.id);
+    if (!nextTier) {
+      return { tier: null };
+    }
+
+    await this.memberRepository.manualTierUpgrade(member.id, nextTier.id, null, 'wheel_prize', client);
+
+    await this.webhookService.dispatchEvent(brandId, WEBHOOK_EVENTS.TIER_CHANGED, {
+      member_id: member.id,
+      previous_tier_id: member.tier_id,
+      new_tier_id: nextTier.id,
+      new_tier: nextTier.name,
+      reason: 'wheel_prize',
+      reference_id: spin.id
+    }, client);
+
+    return { tier: { id: nextTier.id, name: nextTier.name } };
+  }
+
+  /**
+   * Issue a coupon or discount code from the item's reward code pool.
+   * When the pool is empty the prize becomes a claim so an admin can issue a code by hand.
+   * @param {object} prizeContext - Prize context (wheel, item, member, spin, budgetCost, brandId, client)
+   * @returns {object} - Issued code, or the claim created instead
+   */
+  async awardCodePrize(prizeContext) {
+    const { item, spin, client } = prizeContext;
+
+    const rewardCode = item.reward_id
+      ? await this.rewardCodeRepository.assignNextAvailableToSpin(item.reward_id, spin.id, client)
+      : null;
+
+    if (!rewardCode) {
+      logger.warn('Wheel prize code pool is empty, creating a claim instead', {
+        wheelId: prizeContext.wheel.id,
+        itemId: item.id,
+        rewardId: item.reward_id
+      });
+      return await this.createPrizeClaim(prizeContext);
+    }
+
+    return { code: rewardCode.code, reward_id: item.reward_id };
+  }
+
+  /**
+   * Create a pending claim for a prize an admin fulfils, such as a product or cash.
+   * The winner has the wheel's claim window (or WHEEL_PRIZE_CLAIM_DAYS) to submit their details.
+   * @param {object} prizeContext - Prize context (wheel, item, member, spin, budgetCost, brandId, client)
+   * @returns {object} - Created claim
+   */
+  async createPrizeClaim({ wheel, item, member, spin, budgetCost = 0, brandId, client }) {
+    const claimDays = wheel.claim_window_days || config.wheel.prizeClaimDays;
+
+    const claim = await this.prizeClaimRepository.create({
+      brand_id: brandId,
+      member_id: member.id,
+      wheel_id: wheel.id,
+      wheel_spin_id: spin.id,
+      wheel_item_id: item.id,
+      prize_type: item.type,
+      prize_name: item.name,
+      prize_value: item.value,
+      budget_cost: budgetCost,
+      status: CLAIM_STATUS.PENDING,
+      expires_at: new Date(Date.now() + claimDays * 24 * 60 * 60 * 1000)
+    }, client);
+
+    return { claim };
+  }
+
+  /**
+   * Get the day daily item stock is counted on: the brand-local date in the brand's timezone (mission_config.timezone)
+   * @param {string} brandId - Brand ID
+   * @param {Date} at - Instant
+   * @param {object} client - Database client (for transaction)
+   * @returns {string} - Date as YYYY-MM-DD
+   */
+  async getStockDay(brandId, at = new Date(), client = null) {
+    const missionConfig = await this.brandRepository.getMissionConfig(brandId, client);
+    return missionWindows.getLocalDate(at, missionWindows.resolveTimezone(missionConfig.timezone));
+  }
+
+  /**
+   * Take items whose stock or the wheel budget is used up out of the draw.
+   * Their probability goes to the wheel's fallback item, or is spread over the remaining items.
+   * @param {object} wheel - Wheel (locked for the spin)
+   * @param {Array} items - Wheel items
+   * @param {Array} stockUsage - Wins per item (wheel_item_id, total_won, won_today, member_won)
+   * @returns {Array} - Items to draw from
+   */
+  applyInventoryLimits(wheel, items, stockUsage = []) {
+    const usageByItem = new Map(stockUsage.map(usage => [usage.wheel_item_id, usage]));
+    const budgetRemaining = wheel.budget_type && wheel.budget_limit !== null && wheel.budget_limit !== undefined
+      ? Number(wheel.budget_limit) - Number(wheel.budget_spent || 0)
+      : Infinity;
+
+    const isExhausted = (item) => {
+      const usage = usageByItem.get(item.id) || {};
+      const reached = (limit, used) => limit !== null && limit !== undefined && Number(used || 0) >= limit;
+
+      return reached(item.stock_total, usage.total_won)
+        || reached(item.stock_daily, usage.won_today)
+        || reached(item.stock_per_member, usage.member_won)
+        || this.getItemBudgetCost(wheel, item) > budgetRemaining;
+    };
+
+    const activeItems = (items || []).filter(item => item.is_active !== false);
+    const available = activeItems.filter(item => !isExhausted(item));
+
+    if (available.length === 0) {
+      throw new ConflictError('No prizes are left on this wheel', 409, SERVICE_ERROR_CODES.WHEEL_PRIZES_EXHAUSTED);
+    }
+
+    if (available.length === activeItems.length) {
+      return available;
+    }
+
+    const exhaustedProbability = activeItems
+      .filter(item => !available.includes(item))
+      .reduce((sum, item) => sum + (parseFloat(item.probability) || 0), 0);
+
+    const fallbackItem = available.find(item => item.is_fallback);
+    if (fallbackItem) {
+      return available.map(item => (item === fallbackItem
+        ? { ...item, probability: (parseFloat(item.probability) || 0) + exhaustedProbability }
+        : item));
+    }
+
+    return probability.normalizeWheelProbabilities(available);
+  }
+
+  /**
+   * Use the probabilities configured for the member's tier. Items a tier cannot win (probability 0) are left out.
+   * @param {Array} items - Wheel items
+   * @param {string} tierId - Member's tier ID
+   * @returns {Array} - Items with the tier's probabilities
+   */
+  applyTierProbabilities(items, tierId) {
+    if (!tierId) {
+      return items;
+    }
+
+    return (items || [])
+      .map(item => {
+        const override = item.tier_probabilities ? item.tier_probabilities[tierId] : undefined;
+        return override === undefined || override === null ? item : { ...item, probability: override };
+      })
+      .filter(item => Number(item.probability) > 0);
+  }
+
+  /**
+   * Apply the first pity rule the member's spin history triggers: the draw is narrowed to the
+   * guaranteed items, keeping their relative odds. A rule whose items are all unavailable is skipped.
+   * @param {Array} rules - Wheel pity rules
+   * @param {Array} items - Items to draw from
+   * @param {Array} recentSpins - Member's latest spins on the wheel, newest first
+   * @param {Array} wheelItems - All wheel items, so rare items that are out of stock still count in the history
+   * @returns {object} - Items to draw from and the rule that forced them (null when none did)
+   */
+  applyPityRules(rules, items, recentSpins = [], wheelItems = items) {
+    const rareItemIds = new Set(wheelItems.filter(item => item.is_rare).map(item => item.id));
+
+    for (const rule of rules || []) {
+      let guaranteedItems;
+
+      if (rule.type === WHEEL_PITY_RULE_TYPES.LOSING_STREAK) {
+        const streak = recentSpins.slice(0, rule.spins);
+        if (streak.length < rule.spins || streak.some(spin => spin.is_winner)) {
+          continue;
+        }
+        guaranteedItems = items.filter(item => !LOSING_ITEM_TYPES.includes(item.type));
+      } else if (rule.type === WHEEL_PITY_RULE_TYPES.RARE_ITEM) {
+        // Forced on the rule's last spin, so the member has gone spins - 1 spins without a rare item
+        const window = recentSpins.slice(0, rule.spins - 1);
+        if (window.length < rule.spins - 1 || window.some(spin => rareItemIds.has(spin.wheel_item_id))) {
+          continue;
+        }
+        guaranteedItems = items.filter(item => item.is_rare);
+      } else {
+        continue;
+      }
+
+      if (guaranteedItems.length > 0) {
+        return {
+          items: probability.normalizeWheelProbabilities(guaranteedItems),
+          rule: { type: rule.type, spins: rule.spins }
+        };
+      }
+    }
+
+    return { items, rule: null };
+  }
+
+  /**
+   * Check whether a draw used the wheel's configured probabilities, unchanged by tier odds, stock or budget limits or pity rules
+   * @param {Array} drawItems - Items the spin was drawn from
+   * @param {Array} wheelItems - Wheel items as configured
+   * @returns {boolean} - Whether every active item was drawn at its configured probability
+   */
+  drawsAtConfiguredOdds(drawItems, wheelItems) {
+    const activeItems = (wheelItems || []).filter(item => item.is_active !== false);
+
+    return drawItems.length === activeItems.length && drawItems.every(item => {
+      const configured = activeItems.find(candidate => candidate.id === item.id);
+      return Boolean(configured) && Number(configured.probability) === Number(item.probability);
+    });
+  }
+
+  /**
+   * Check that every pity rule has items it can guarantee
+   * @param {Array} rules - Wheel pity rules
+   * @param {Array} items - Wheel items
+   * @throws {ValidationError} - If a rule has nothing to guarantee
+   */
+  validatePityRules(rules, items) {
+    for (const rule of rules || []) {
+      if (rule.type === WHEEL_PITY_RULE_TYPES.RARE_ITEM && !(items || []).some(item => item.is_rare)) {
+        throw new ValidationError('A rare_item pity rule needs at least one item marked is_rare', 400, SERVICE_ERROR_CODES.WHEEL_INVALID_PITY_RULES);
+      }
+
+      if (rule.type === WHEEL_PITY_RULE_TYPES.LOSING_STREAK && !(items || []).some(item => !LOSING_ITEM_TYPES.includes(item.type))) {
+        throw new ValidationError('A losing_streak pity rule needs at least one winning item', 400, SERVICE_ERROR_CODES.WHEEL_INVALID_PITY_RULES);
+      }
+    }
+  }
+
+  /**
+   * Store pity rules as JSON; the driver would otherwise send an array as a Postgres array
+   * @param {object} wheelData - Wheel data
+   * @returns {object} - Wheel data ready to save
+   */
+  serializePityRules(wheelData) {
+    if (!Array.isArray(wheelData.pity_rules)) {
+      return wheelData;
+    }
+
+    return { ...wheelData, pity_rules: JSON.stringify(wheelData.pity_rules) };
+  }
+
+  /**
+   * Get the amount a prize takes from the wheel budget
+   * @param {object} wheel - Wheel
+   * @param {object} item - Wheel item
+   * @returns {number} - Budget cost (0 when the wheel has no budget or the prize does not count)
+   */
+  getItemBudgetCost(wheel, item) {
+    const value = Number(item.value) || 0;
+
+    if (wheel.budget_type === WHEEL_BUDGET_TYPES.POINTS) {
+      return item.type === WHEEL_ITEM_TYPES.POINTS ? value : 0;
+    }
+
+    if (wheel.budget_type === WHEEL_BUDGET_TYPES.CURRENCY) {
+      return [WHEEL_ITEM_TYPES.CASH, WHEEL_ITEM_TYPES.PRODUCT].includes(item.type) ? value : 0;
+    }
+
+    return 0;
+  }
+
   /**
    * Select winning item based on probabilities
    * @param {Array} items - Wheel items
+   * @param {number} roll - Provably fair roll in [0, 1), or undefined to draw at random
+   * @param {object} options - Selection options (quiet: skip the per-draw debug log)
    * @returns {object} - Selected item
    */
-  selectWinningItem(items) {
+  selectWinningItem(items, roll, options = {}) {
     if (!items || items.length === 0) {
       return null;
     }
 
     // Filter active items
-    const activeItems = items.filter(item => item.active);
+    const activeItems = items.filter(item => item.is_active !== false);
     if (activeItems.length === 0) {
       return null;
     }
 
     // Use probability utility to select item
-    return probability.selectByProbability(activeItems, 'probability');
+    return probability.weightedRandomSelection(activeItems, roll, options);
   }
 }
 
-module.exports = WheelService;
\ No newline at end of file
+module.exports = WheelService;
@@ -0,0 +1,645 @@
+/**
+ * Wheel Version Service
+ * Manages immutable wheel configuration versions: drafts, scheduled and immediate publishing,
+ * diffs between versions and rollback to an earlier configuration
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  WheelRepository,
+  WheelItemRepository,
+  WheelVersionRepository,
+  AuditLogRepository
+} = require('../repositories');
+const WheelService = require('./WheelService');
+const { logger, constants } = require('../utils');
+const { errorHandler } = require('../middleware');
+const { NotFoundError, ConflictError, ValidationError } = errorHandler;
+const { SERVICE_ERROR_CODES } = require('../enums');
+const { AUDIT_ACTIONS, WHEEL_VERSION_STATUS } = constants;
+
+// Item settings compared when diffing two versions
+const DIFF_ITEM_FIELDS = [
+  'name', 'type', 'value', 'probability', 'color', 'icon', 'description', 'position', 'is_active',
+  'stock_total', 'stock_daily', 'stock_per_member', 'is_fallback', 'is_rare', 'tier_probabilities', 'reward_id'
+];
+
+// Statuses a version can be published from
+const PUBLISHABLE_STATUSES = [WHEEL_VERSION_STATUS.DRAFT, WHEEL_VERSION_STATUS.SCHEDULED];
+
+class WheelVersionService {
+  constructor() {
+    this.wheelRepository = new WheelRepository();
+    this.wheelItemRepository = new WheelItemRepository();
+    this.versionRepository = new WheelVersionRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.wheelService = new WheelService();
+  }
+
+  /**
+   * List a wheel's versions, newest first
+   * @param {string} wheelId - Wheel ID
+   * @param {object} options - Query options (page, limit, status)
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Versions and pagination
+   */
+  async listVersions(wheelId, options = {}, brandId) {
+    try {
+      const wheel = await this.findWheel(wheelId, brandId);
+      const result = await this.versionRepository.findByWheel(wheelId, options);
+
+      return {
+        live_version_id: wheel.live_version_id || null,
+        versions: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      logger.error('List wheel versions failed', {
+        error: error.message,
+        wheelId,
+        options,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a wheel version with its configuration
+   * @param {string} wheelId - Wheel ID
+   * @param {string} versionId - Version ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Version
+   */
+  async getVersion(wheelId, versionId, brandId) {
+    try {
+      return await this.findVersion(wheelId, versionId, brandId);
+    } catch (error) {
+      logger.error('Get wheel version failed', {
+        error: error.message,
+        wheelId,
+        versionId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Save a draft version; it changes nothing until published
+   * @param {string} wheelId - Wheel ID
+   * @param {object} versionData - Version data (items, pity_rules, notes); pity rules default to the wheel's
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID saving the draft
+   * @returns {object} - Draft version
+   */
+  async createDraft(wheelId, versionData, brandId, userId) {
+    try {
+      const wheel = await this.findWheel(wheelId, brandId);
+      const pityRules = versionData.pity_rules !== undefined ? versionData.pity_rules : (wheel.pity_rules || []);
+      const items = await this.prepareItems(wheelId, versionData.items);
+
+      await this.validateConfig({ items, pity_rules: pityRules }, brandId);
+
+      const version = await this.versionRepository.withTransaction(async (client) => {
+        await this.wheelRepository.findByIdForUpdate(wheelId, client);
+
+        return this.versionRepository.createVersion({
+          wheel_id: wheelId,
+          brand_id: brandId,
+          status: WHEEL_VERSION_STATUS.DRAFT,
+          items,
+          pity_rules: pityRules,
+          notes: versionData.notes,
+          created_by: userId
+        }, client);
+      });
+
+      logger.logBusiness('Wheel version drafted', {
+        wheelId,
+        versionId: version.id,
+        versionNumber: version.version_number,
+        createdBy: userId
+      });
+
+      return version;
+    } catch (error) {
+      logger.error('Wheel version draft failed', {
+        error: error.message,
+        wheelId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a wheel's items with a new version and publish it straight away
+   * @param {string} wheelId - Wheel ID
+   * @param {Array} items - Updated items array
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID updating items
+   * @param {object} context - Request context
+   * @returns {object} - Updated wheel with items
+   */
+  async updateWheelItems(wheelId, items, brandId, userId, context = {}) {
+    try {
+      const version = await this.createDraft(wheelId, { items }, brandId, userId);
+      await this.publishVersion(wheelId, version.id, brandId, userId, context);
+
+      return await this.wheelRepository.findWithItems(wheelId);
+    } catch (error) {
+      logger.error('Wheel items update failed', {
+        error: error.message,
+        wheelId,
+        brandId,
+        userId,
+        context
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Publish a draft or scheduled version now
+   * @param {string} wheelId - Wheel ID
+   * @param {string} versionId - Version ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID publishing the version
+   * @param {object} context - Request context
+   * @returns {object} - Live version and the probability changes it made
+   */
+  async publishVersion(wheelId, versionId, brandId, userId, context = {}) {
+    try {
+      await this.findVersion(wheelId, versionId, brandId);
+
+      return await this.versionRepository.withTransaction(
+        (client) => this.applyVersion(wheelId, versionId, userId, context, client)
+      );
+    } catch (error) {
+      logger.error('Wheel version publish failed', {
+        error: error.message,
+        wheelId,
+        versionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a draft version to publish at a later time
+   * @param {string} wheelId - Wheel ID
+   * @param {string} versionId - Version ID
+   * @param {Date|string} publishAt - When to publish
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID scheduling the version
+   * @returns {object} - Scheduled version
+   */
+  async scheduleVersion(wheelId, versionId, publishAt, brandId, userId) {
+    try {
+      const version = await this.findVersion(wheelId, versionId, brandId);
+
+      if (version.status !== WHEEL_VERSION_STATUS.DRAFT) {
+        throw new ConflictError(`Only draft versions can be scheduled (version is ${version.status})`, 409, SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_STATUS);
+      }
+
+      if (new Date(publishAt) <= new Date()) {
+        throw new ValidationError('Publish time must be in the future', 400, SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_PUBLISH_TIME);
+      }
+
+      const scheduled = await this.versionRepository.update(versionId, {
+        status: WHEEL_VERSION_STATUS.SCHEDULED,
+        publish_at: new Date(publishAt),
+        scheduled_by: userId
+      });
+
+      logger.logBusiness('Wheel version scheduled', {
+        wheelId,
+        versionId,
+        versionNumber: version.version_number,
+        publishAt: scheduled.publish_at,
+        scheduledBy: userId
+      });
+
+      return scheduled;
+    } catch (error) {
+      logger.error('Wheel version schedule failed', {
+        error: error.message,
+        wheelId,
+        versionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled publish, returning the version to draft
+   * @param {string} wheelId - Wheel ID
+   * @param {string} versionId - Version ID
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID cancelling the schedule
+   * @returns {object} - Draft version
+   */
+  async unscheduleVersion(wheelId, versionId, brandId, userId) {
+    try {
+      const version = await this.findVersion(wheelId, versionId, brandId);
+
+      if (version.status !== WHEEL_VERSION_STATUS.SCHEDULED) {
+        throw new ConflictError(`Only scheduled versions can be unscheduled (version is ${version.status})`, 409, SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_STATUS);
+      }
+
+      const draft = await this.versionRepository.update(versionId, {
+        status: WHEEL_VERSION_STATUS.DRAFT,
+        publish_at: null,
+        scheduled_by: null
+      });
+
+      logger.logBusiness('Wheel version unscheduled', {
+        wheelId,
+        versionId,
+        versionNumber: version.version_number,
+        unscheduledBy: userId
+      });
+
+      return draft;
+    } catch (error) {
+      logger.error('Wheel version unschedule failed', {
+        error: error.message,
+        wheelId,
+        versionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Roll back to an earlier version by publishing a copy of its configuration as a new version
+   * @param {string} wheelId - Wheel ID
+   * @param {string} versionId - Version to roll back to
+   * @param {string} brandId - Brand ID
+   * @param {string} userId - User ID rolling back
+   * @param {object} context - Request context
+   * @returns {object} - New live version and the probability changes it made
+   */
+  async rollbackToVersion(wheelId, versionId, brandId, userId, context = {}) {
+    try {
+      const source = await this.findVersion(wheelId, versionId, brandId);
+
+      // Rewards may have been removed since the version was saved
+      await this.validateConfig(source.config, brandId);
+
+      const result = await this.versionRepository.withTransaction(async (client) => {
+        await this.wheelRepository.findByIdForUpdate(wheelId, client);
+
+        const rollback = await this.versionRepository.createVersion({
+          wheel_id: wheelId,
+          brand_id: brandId,
+          status: WHEEL_VERSION_STATUS.DRAFT,
+          items: source.config.items,
+          pity_rules: source.config.pity_rules,
+          notes: `Rollback to version ${source.version_number}`,
+          rolled_back_from: source.id,
+          created_by: userId
+        }, client);
+
+        return this.applyVersion(wheelId, rollback.id, userId, context, client);
+      });
+
+      logger.logBusiness('Wheel version rolled back', {
+        wheelId,
+        rolledBackTo: source.version_number,
+        versionId: result.version.id,
+        versionNumber: result.version.version_number,
+        rolledBackBy: userId
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Wheel version rollback failed', {
+        error: error.message,
+        wheelId,
+        versionId,
+        brandId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two versions of a wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {string} fromVersionId - Earlier version ID
+   * @param {string} toVersionId - Later version ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Added, removed and changed items, probability and pity rule changes
+   */
+  async diffVersions(wheelId, fromVersionId, toVersionId, brandId) {
+    try {
+      const [from, to] = await Promise.all([
+        this.findVersion(wheelId, fromVersionId, brandId),
+        this.findVersion(wheelId, toVersionId, brandId)
+      ]);
+
+      return {
+        from: { id: from.id, version_number: from.version_number, status: from.status },
+        to: { id: to.id, version_number: to.version_number, status: to.status },
+        ...this.diffConfigs(from.config, to.config)
+      };
+    } catch (error) {
+      logger.error('Wheel version diff failed', {
+        error: error.message,
+        wheelId,
+        fromVersionId,
+        toVersionId,
+        brandId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Publish scheduled versions whose publish time has come
+   * @param {Date} at - Current time
+   * @param {number} batchSize - Maximum number of versions per run
+   * @returns {object} - Summary (due, published, skipped, failed)
+   */
+  async publishDueVersions(at = new Date(), batchSize = 100) {
+    try {
+      const versionIds = await this.versionRepository.findDueScheduled(at, batchSize);
+      const summary = { due: versionIds.length, published: 0, skipped: 0, failed: 0 };
+
+      for (const versionId of versionIds) {
+        try {
+          const result = await this.versionRepository.withTransaction(async (client) => {
+            const version = await this.versionRepository.findByIdForUpdate(versionId, client);
+            // Unscheduled or published by hand since it was found
+            if (!version || version.status !== WHEEL_VERSION_STATUS.SCHEDULED) {
+              return null;
+            }
+
+            return this.applyVersion(version.wheel_id, versionId, version.scheduled_by, { scheduled: true }, client);
+          });
+          summary[result ? 'published' : 'skipped']++;
+        } catch (error) {
+          summary.failed++;
+          logger.error('Error publishing scheduled wheel version', { versionId, error: error.message });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Error publishing scheduled wheel versions', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Make a version live: apply its items and pity rules to the wheel, retire the previous live
+   * version and audit-log the probability changes. Items the version drops are deactivated rather
+   * than deleted so past spins keep their item.
+   * @param {string} wheelId - Wheel ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID publishing the version
+   * @param {object} context - Request context (ip, userAgent, scheduled)
+   * @param {object} client - Database client (for transaction)
+   * @returns {object} - Live version and the probability changes it made
+   */
+  async applyVersion(wheelId, versionId, userId, context, client) {
+    // Locking the wheel serializes publishes with each other and with spins
+    const wheel = await this.wheelRepository.findByIdForUpdate(wheelId, client);
+    const version = await this.versionRepository.findByIdForUpdate(versionId, client);
+
+    if (!PUBLISHABLE_STATUSES.includes(version.status)) {
+      throw new ConflictError(`Only draft or scheduled versions can be published (version is ${version.status})`, 409, SERVICE_ERROR_CODES.WHEEL_VERSION_INVALID_STATUS);
+    }
+
+    const currentItems = await this.wheelItemRepository.findByWheelId(wheelId, client);
+    const previousVersion = wheel.live_version_id
+      ? await this.versionRepository.findByIdForUpdate(wheel.live_version_id, client)
+      : null;
+    // Wheels created before versioning have no live version; compare with their current items
+    const previousConfig = previousVersion ? previousVersion.config : {
+      items: currentItems.filter(item => item.is_active !== false),
+      pity_rules: wheel.pity_rules || []
+    };
+
+    const { items, pity_rules: pityRules } = version.config;
+    const currentItemIds = currentItems.map(item => item.id);
+    const versionItemIds = items.map(item => item.id);
+
+    for (const item of items) {
+      const itemData = { ...item, is_active: item.is_active !== false };
+      if (currentItemIds.includes(item.id)) {
+        const { id, ...changes } = itemData;
+        await this.wheelItemRepository.update(id, changes, client);
+      } else {
+        await this.wheelItemRepository.create({ ...itemData, wheel_id: wheelId }, client);
+      }
+    }
+
+    for (const item of currentItems) {
+      if (!versionItemIds.includes(item.id) && item.is_active !== false) {
+        await this.wheelItemRepository.update(item.id, { is_active: false }, client);
+      }
+    }
+
+    await this.wheelRepository.update(wheelId, {
+      live_version_id: version.id,
+      pity_rules: JSON.stringify(pityRules || [])
+    }, client);
+
+    const now = new Date();
+    if (previousVersion) {
+      await this.versionRepository.update(previousVersion.id, {
+        status: WHEEL_VERSION_STATUS.RETIRED,
+        retired_at: now
+      }, client);
+    }
+
+    const published = await this.versionRepository.update(version.id, {
+      status: WHEEL_VERSION_STATUS.LIVE,
+      published_at: now,
+      published_by: userId
+    }, client);
+
+    const { probability_changes: probabilityChanges } = this.diffConfigs(previousConfig, version.config);
+
+    await this.auditLogRepository.logUserAction({
+      user_id: userId,
+      brand_id: wheel.brand_id,
+      action: AUDIT_ACTIONS.WHEEL_VERSION_PUBLISH,
+      resource_type: 'wheel',
+      resource_id: wheelId,
+      description: `Version ${version.version_number} of wheel "${wheel.name}" published${context.scheduled ? ' as scheduled' : ''}`,
+      ip_address: context.ip,
+      user_agent: context.userAgent,
+      metadata: {
+        version_id: version.id,
+        version_number: version.version_number,
+        previous_version_id: previousVersion ? previousVersion.id : null,
+        rolled_back_from: version.rolled_back_from || null,
+        scheduled: Boolean(context.scheduled),
+        probability_changes: probabilityChanges
+      }
+    }, client);
+
+    logger.logBusiness('Wheel version published', {
+      wheelId,
+      versionId: version.id,
+      versionNumber: version.version_number,
+      previousVersionId: previousVersion ? previousVersion.id : null,
+      probabilityChanges: probabilityChanges.length,
+      publishedBy: userId
+    });
+
+    return { version: published, probability_changes: probabilityChanges };
+  }
+
+  /**
+   * Compare two version configurations, matching items by ID
+   * @param {object} fromConfig - Earlier configuration (items, pity_rules)
+   * @param {object} toConfig - Later configuration (items, pity_rules)
+   * @returns {object} - added, removed, changed, probability_changes and pity_rules
+   */
+  diffConfigs(fromConfig, toConfig) {
+    const fromItems = new Map((fromConfig.items || []).map(item => [item.id, item]));
+    const toItems = new Map((toConfig.items || []).map(item => [item.id, item]));
+    const normalize = (field, value) => (['value', 'probability'].includes(field) && value !== null && value !== undefined
+      ? Number(value)
+      : (value === undefined ? null : value));
+    // Inactive and missing items are never drawn
+    const drawProbability = (item) => (item && item.is_active !== false ? Number(item.probability) || 0 : 0);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const probabilityChanges = [];
+
+    for (const [id, item] of toItems) {
+      if (!fromItems.has(id)) {
+        added.push({ item_id: id, name: item.name, type: item.type, probability: drawProbability(item) });
+        continue;
+      }
+
+      const previous = fromItems.get(id);
+      const changes = {};
+      for (const field of DIFF_ITEM_FIELDS) {
+        const before = normalize(field, previous[field]);
+        const after = normalize(field, item[field]);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          changes[field] = { from: before, to: after };
+        }
+      }
+
+      if (Object.keys(changes).length > 0) {
+        changed.push({ item_id: id, name: item.name, changes });
+      }
+    }
+
+    for (const [id, item] of fromItems) {
+      if (!toItems.has(id)) {
+        removed.push({ item_id: id, name: item.name, type: item.type, probability: drawProbability(item) });
+      }
+    }
+
+    for (const id of new Set([...fromItems.keys(), ...toItems.keys()])) {
+      const from = drawProbability(fromItems.get(id));
+      const to = drawProbability(toItems.get(id));
+      if (from !== to) {
+        probabilityChanges.push({ item_id: id, name: (toItems.get(id) || fromItems.get(id)).name, from, to });
+      }
+    }
+
+    const fromPityRules = fromConfig.pity_rules || [];
+    const toPityRules = toConfig.pity_rules || [];
+
+    return {
+      added,
+      removed,
+      changed,
+      probability_changes: probabilityChanges,
+      pity_rules: {
+        changed: JSON.stringify(fromPityRules) !== JSON.stringify(toPityRules),
+        from: fromPityRules,
+        to: toPityRules
+      }
+    };
+  }
+
+  /**
+   * Give new items an ID and check that existing IDs belong to the wheel, so a version
+   * cannot take over another wheel's item
+   * @param {string} wheelId - Wheel ID
+   * @param {Array} items - Version items
+   * @returns {Array} - Items, each with an ID
+   */
+  async prepareItems(wheelId, items) {
+    const [wheelItems, versionItemIds] = await Promise.all([
+      this.wheelItemRepository.findByWheelId(wheelId),
+      this.versionRepository.findItemIds(wheelId)
+    ]);
+    const knownItemIds = new Set([...wheelItems.map(item => item.id), ...versionItemIds]);
+
+    return (items || []).map((item, index) => {
+      if (item.id && !knownItemIds.has(item.id)) {
+        throw new ValidationError(`Item ${item.id} does not belong to the wheel`, 400, SERVICE_ERROR_CODES.WHEEL_VERSION_UNKNOWN_ITEM);
+      }
+
+      return { ...item, id: item.id || uuidv4(), position: item.position || index };
+    });
+  }
+
+  /**
+   * Check a version configuration with the wheel's own rules
+   * @param {object} versionConfig - Configuration (items, pity_rules)
+   * @param {string} brandId - Brand ID
+   */
+  async validateConfig(versionConfig, brandId) {
+    const activeItems = (versionConfig.items || []).filter(item => item.is_active !== false);
+
+    this.wheelService.validateWheelProbabilities(activeItems);
+    await this.wheelService.validatePrizeRewards(activeItems, brandId);
+    this.wheelService.validatePityRules(versionConfig.pity_rules, activeItems);
+  }
+
+  /**
+   * Find a brand's wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Wheel
+   */
+  async findWheel(wheelId, brandId) {
+    const wheel = await this.wheelRepository.findById(wheelId);
+    if (!wheel || wheel.brand_id !== brandId) {
+      throw new NotFoundError('Wheel not found', 404, SERVICE_ERROR_CODES.WHEEL_NOT_FOUND);
+    }
+
+    return wheel;
+  }
+
+  /**
+   * Find a version of a brand's wheel
+   * @param {string} wheelId - Wheel ID
+   * @param {string} versionId - Version ID
+   * @param {string} brandId - Brand ID
+   * @returns {object} - Version
+   */
+  async findVersion(wheelId, versionId, brandId) {
+    const version = await this.versionRepository.findById(versionId);
+    if (!version || version.wheel_id !== wheelId || version.brand_id !== brandId) {
+      throw new NotFoundError('Wheel version not found', 404, SERVICE_ERROR_CODES.WHEEL_VERSION_NOT_FOUND);
+    }
+
+    return version;
+  }
+}
+
+module.exports = WheelVersionService;
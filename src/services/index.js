@@ -4,25 +4,59 @@
  */
 
 const AdminService = require('./AdminService');
+const ApiKeyService = require('./ApiKeyService');
 const AuthService = require('./AuthService');
 const BrandService = require('./BrandService');
+const EventIngestionService = require('./EventIngestionService');
+const LedgerService = require('./LedgerService');
 const MemberService = require('./MemberService');
 const MissionService = require('./MissionService');
+const MissionProgressService = require('./MissionProgressService');
+const NotificationService = require('./NotificationService');
+const PointsExpirationService = require('./PointsExpirationService');
+const PointsRuleService = require('./PointsRuleService');
+const PrizeClaimService = require('./PrizeClaimService');
+const QuestService = require('./QuestService');
+const RewardService = require('./RewardService');
+const SpinTicketService = require('./SpinTicketService');
+const StreakService = require('./StreakService');
 const TierService = require('./TierService');
 const TransactionService = require('./TransactionService');
 const UserService = require('./UserService');
+const WebhookService = require('./WebhookService');
 const WheelService = require('./WheelService');
+const WheelFairnessService = require('./WheelFairnessService');
+const WheelDriftService = require('./WheelDriftService');
+const WheelVersionService = require('./WheelVersionService');
+const WheelExperimentService = require('./WheelExperimentService');
 const ExternalApiService = require('./ExternalApiService');
 
 module.exports = {
   AdminService,
+  ApiKeyService,
   AuthService,
   BrandService,
+  EventIngestionService,
+  LedgerService,
   MemberService,
   MissionService,
+  MissionProgressService,
+  NotificationService,
+  PointsExpirationService,
+  PointsRuleService,
+  PrizeClaimService,
+  QuestService,
+  RewardService,
+  SpinTicketService,
+  StreakService,
   TierService,
   TransactionService,
   UserService,
+  WebhookService,
   WheelService,
+  WheelFairnessService,
+  WheelDriftService,
+  WheelVersionService,
+  WheelExperimentService,
   ExternalApiService
 };
\ No newline at end of file
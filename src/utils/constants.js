@@ -144,6 +144,9 @@ const ROLE_PERMISSIONS = {
 
 // Transaction Types
 const TRANSACTION_TYPES = {
+  CREDIT: 'credit',
+  DEBIT: 'debit',
+  REFUND: 'refund',
   POINTS_EARNED: 'points_earned',
   POINTS_SPENT: 'points_spent',
   POINTS_AWARDED: 'points_awarded',
@@ -153,7 +156,17 @@ const TRANSACTION_TYPES = {
   BONUS_POINTS: 'bonus_points',
   REFERRAL_BONUS: 'referral_bonus',
   TIER_UPGRADE_BONUS: 'tier_upgrade_bonus',
-  ADMIN_ADJUSTMENT: 'admin_adjustment'
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  POINTS_EXPIRED: 'points_expired'
+};
+
+// Transaction Status
+const TRANSACTION_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  REVERSED: 'reversed'
 };
 
 // Mission Types
@@ -166,6 +179,14 @@ const MISSION_TYPES = {
   SPECIAL_EVENT: 'special_event'
 };
 
+// Mission actions the server measures itself; a mission whose requirements.action is one of these,
+// or an ingested event type, only completes once its tracked progress reaches the target
+const MISSION_ACTIONS = {
+  POINTS_EARNED: 'points_earned', // points credited by transactions and wheel prizes
+  SPINS_COMPLETED: 'spins_completed',
+  TRANSACTIONS: 'transactions' // credit and debit transactions
+};
+
 // Mission Status
 const MISSION_STATUS = {
   ACTIVE: 'active',
@@ -175,6 +196,41 @@ const MISSION_STATUS = {
   DRAFT: 'draft'
 };
 
+// Mission Completion Status
+const COMPLETION_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected'
+};
+
+// Quest Status
+const QUEST_STATUS = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+// Where a member is on a quest step
+const QUEST_STEP_STATUS = {
+  LOCKED: 'locked', // an earlier required step is not completed yet
+  UNLOCKED: 'unlocked',
+  COMPLETED: 'completed' // one of the step's missions is completed
+};
+
+// How a member's day counted towards their check-in streak
+const STREAK_CHECK_IN_SOURCES = {
+  CHECK_IN: 'check_in', // POST /api/member/check-in
+  ACTIVITY: 'activity', // recorded activity such as an ingested login
+  FREEZE: 'freeze' // a missed day covered by a streak freeze
+};
+
+// Days of the streak calendar
+const STREAK_DAY_STATUS = {
+  CHECKED_IN: 'checked_in',
+  FROZEN: 'frozen',
+  MISSED: 'missed'
+};
+
 // Wheel Item Types
 const WHEEL_ITEM_TYPES = {
   POINTS: 'points',
@@ -188,14 +244,200 @@ const WHEEL_ITEM_TYPES = {
   EMPTY: 'empty'
 };
 
+// Wheel Budget Types
+const WHEEL_BUDGET_TYPES = {
+  POINTS: 'points', // spends the value of points prizes
+  CURRENCY: 'currency' // spends the value of cash and product prizes
+};
+
+// Wheel Pity Rule Types
+const WHEEL_PITY_RULE_TYPES = {
+  LOSING_STREAK: 'losing_streak', // a winning prize once the member has lost `spins` spins in a row
+  RARE_ITEM: 'rare_item' // a rare item on the `spins`-th spin without one
+};
+
+// Provably fair seed status
+const WHEEL_SEED_STATUS = {
+  ACTIVE: 'active', // server seed is secret, only its hash is published
+  REVEALED: 'revealed' // rotated out, server seed is published for verification
+};
+
+// How a wheel spin is paid for
+const WHEEL_PAYMENT_METHODS = {
+  FREE: 'free', // daily allowance (max_spins_per_day), then bonus spins won on the wheel
+  TICKET: 'ticket', // spin tickets from the member's wallet (spin_cost_tickets)
+  POINTS: 'points' // points debited before the draw (spin_cost_points)
+};
+
+// Where spin tickets in a member's wallet came from or went to
+const SPIN_TICKET_SOURCES = {
+  MISSION: 'mission',
+  PURCHASE: 'purchase',
+  ADMIN: 'admin',
+  SPIN: 'spin',
+  QUEST: 'quest',
+  STREAK: 'streak'
+};
+
+// Outcome of a wheel probability drift check
+const WHEEL_DRIFT_STATUS = {
+  OK: 'ok', // outcomes fit the configured probabilities
+  DRIFT: 'drift', // outcomes differ from the configured probabilities beyond the significance level
+  INSUFFICIENT_DATA: 'insufficient_data' // too few spins in the window to test
+};
+
+// Wheel Version Status
+const WHEEL_VERSION_STATUS = {
+  DRAFT: 'draft', // saved, not yet published
+  SCHEDULED: 'scheduled', // publishes automatically at publish_at
+  LIVE: 'live', // the configuration spins currently draw from
+  RETIRED: 'retired' // was live, replaced by a later version
+};
+
+// Wheel Experiment Status
+const WHEEL_EXPERIMENT_STATUS = {
+  DRAFT: 'draft', // variants set up, no traffic yet
+  RUNNING: 'running', // spins are bucketed into the variants
+  COMPLETED: 'completed' // stopped; results stay available
+};
+
 // Claim Status
 const CLAIM_STATUS = {
-  PENDING: 'pending',
-  CLAIMED: 'claimed',
+  PENDING: 'pending', // waiting for the winner's claim details
+  CLAIMED: 'claimed', // details submitted, waiting for admin review
+  APPROVED: 'approved',
+  SHIPPED: 'shipped',
+  REJECTED: 'rejected',
   EXPIRED: 'expired',
   CANCELLED: 'cancelled'
 };
 
+// Reward Status
+const REWARD_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+  ARCHIVED: 'archived'
+};
+
+// Reward Categories
+const REWARD_CATEGORIES = {
+  DISCOUNT: 'discount',
+  SHIPPING: 'shipping',
+  PRODUCT: 'product',
+  VOUCHER: 'voucher',
+  EXPERIENCE: 'experience',
+  OTHER: 'other'
+};
+
+// Reward Code Sources
+const REWARD_CODE_SOURCES = {
+  GENERATED: 'generated',
+  POOL: 'pool',
+  NONE: 'none'
+};
+
+// Reward Redemption Status
+const REDEMPTION_STATUS = {
+  PENDING: 'pending',
+  ISSUED: 'issued',
+  FULFILLED: 'fulfilled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+// Member Notification Types
+const NOTIFICATION_TYPES = {
+  POINTS_EARNED: 'points_earned',
+  TIER_CHANGE: 'tier_change',
+  MISSION_COMPLETED: 'mission_completed',
+  WHEEL_PRIZE: 'wheel_prize',
+  PRIZE_CLAIM: 'prize_claim',
+  POINTS_EXPIRED: 'points_expired'
+};
+
+// Outbound Webhook Events
+const WEBHOOK_EVENTS = {
+  MEMBER_CREATED: 'member.created',
+  POINTS_CREDITED: 'points.credited',
+  WHEEL_SPIN_COMPLETED: 'wheel.spin.completed',
+  MISSION_COMPLETED: 'mission.completed',
+  QUEST_COMPLETED: 'quest.completed',
+  STREAK_MILESTONE_REACHED: 'streak.milestone_reached',
+  TIER_CHANGED: 'tier.changed',
+  REWARD_REDEEMED: 'reward.redeemed',
+  POINTS_EXPIRED: 'points.expired',
+  TEST: 'webhook.test'
+};
+
+// Webhook Delivery Status
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Brand API Key Scopes
+const API_KEY_SCOPES = {
+  MEMBERS_READ: 'members:read',
+  MEMBERS_WRITE: 'members:write',
+  POINTS_READ: 'points:read',
+  POINTS_CREDIT: 'points:credit',
+  POINTS_DEBIT: 'points:debit',
+  MISSIONS_COMPLETE: 'missions:complete',
+  WHEELS_SPIN: 'wheels:spin',
+  REWARDS_REDEEM: 'rewards:redeem',
+  EVENTS_INGEST: 'events:ingest'
+};
+
+// Ingested Event Types (pushed by brand backends)
+const INGEST_EVENT_TYPES = {
+  PURCHASE: 'purchase',
+  DEPOSIT: 'deposit',
+  LOGIN: 'login',
+  REFERRAL_SIGNUP: 'referral_signup'
+};
+
+// Points Earning Rule Types
+const POINTS_RULE_TYPES = {
+  RATE: 'rate', // points per amount of currency spent or deposited
+  FIXED: 'fixed', // flat points per event
+  MULTIPLIER: 'multiplier', // multiplies the points earned by the other rules
+  DAILY_CAP: 'daily_cap' // limits the points a member earns from rules per day
+};
+
+// Points Ledger Accounts
+const LEDGER_ACCOUNT_TYPES = {
+  MEMBER: 'member', // a member's points balance
+  BRAND_LIABILITY: 'brand_liability', // points members have redeemed, spent or lost to expiry
+  PROMO_BUDGET: 'promo_budget' // points the brand has issued to members
+};
+
+// Points Ledger Entry Directions
+const LEDGER_DIRECTIONS = {
+  DEBIT: 'debit',
+  CREDIT: 'credit'
+};
+
+// Points Expiry Policies
+const POINTS_EXPIRY_POLICIES = {
+  NONE: 'none', // points never expire
+  ROLLING: 'rolling', // points expire a number of months after they were earned
+  FIXED_DATE: 'fixed_date' // points expire on the next occurrence of a calendar date
+};
+
+// Ingested Event Processing Status
+const INGEST_EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+// Idempotency Key Status
+const IDEMPOTENCY_KEY_STATUS = {
+  IN_PROGRESS: 'in_progress', // the first request with the key is still being handled
+  COMPLETED: 'completed' // the response is stored and replayed for retries
+};
+
 // Membership Tier Status
 const TIER_STATUS = {
   ACTIVE: 'active',
@@ -212,6 +454,14 @@ const USER_STATUS = {
   PENDING_VERIFICATION: 'pending_verification'
 };
 
+// Member Status
+const MEMBER_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+  SUSPENDED: 'suspended',
+  BANNED: 'banned'
+};
+
 // Brand Status
 const BRAND_STATUS = {
   ACTIVE: 'active',
@@ -239,12 +489,51 @@ const AUDIT_ACTIONS = {
   WHEEL_SPIN: 'wheel_spin',
   WHEEL_WIN: 'wheel_win',
   WHEEL_CONFIG_UPDATE: 'wheel_config_update',
+  PRIZE_CLAIM_SUBMIT: 'prize_claim_submit',
+  PRIZE_CLAIM_APPROVE: 'prize_claim_approve',
+  PRIZE_CLAIM_REJECT: 'prize_claim_reject',
+  PRIZE_CLAIM_SHIP: 'prize_claim_ship',
+  WHEEL_PROBABILITY_DRIFT: 'wheel_probability_drift',
+  WHEEL_VERSION_PUBLISH: 'wheel_version_publish',
   
   // Mission actions
   MISSION_COMPLETE: 'mission_complete',
   MISSION_CLAIM_REWARD: 'mission_claim_reward',
   MISSION_CREATE: 'mission_create',
   MISSION_UPDATE: 'mission_update',
+  QUEST_CREATE: 'quest_create',
+  QUEST_UPDATE: 'quest_update',
+  QUEST_COMPLETE: 'quest_complete',
+  
+  // Reward actions
+  REWARD_CREATE: 'reward_create',
+  REWARD_UPDATE: 'reward_update',
+  REWARD_DELETE: 'reward_delete',
+  REWARD_REDEEM: 'reward_redeem',
+  REWARD_CODES_IMPORT: 'reward_codes_import',
+  REDEMPTION_FULFILL: 'redemption_fulfill',
+  REDEMPTION_CANCEL: 'redemption_cancel',
+  
+  // Transaction actions
+  TRANSACTION_CREATE: 'transaction_create',
+  
+  // Webhook actions
+  WEBHOOK_CREATE: 'webhook_create',
+  WEBHOOK_UPDATE: 'webhook_update',
+  WEBHOOK_DELETE: 'webhook_delete',
+  WEBHOOK_REDELIVER: 'webhook_redeliver',
+  
+  // API key actions
+  API_KEY_CREATE: 'api_key_create',
+  API_KEY_REVOKE: 'api_key_revoke',
+  
+  // Points rule actions
+  POINTS_RULE_CREATE: 'points_rule_create',
+  POINTS_RULE_UPDATE: 'points_rule_update',
+  POINTS_RULE_DELETE: 'points_rule_delete',
+  
+  // Event ingestion actions
+  INGEST_EVENT_REPLAY: 'ingest_event_replay',
   
   // Admin actions
   ADMIN_USER_CREATE: 'admin_user_create',
@@ -291,6 +580,8 @@ const VALIDATION_RULES = {
   WHEEL_ITEM_NAME_MAX_LENGTH: 255,
   MAX_DAILY_SPINS: 10,
   MAX_POINTS_PER_TRANSACTION: 1000000,
+  MAX_INGEST_BATCH_SIZE: 100,
+  IDEMPOTENCY_KEY_MAX_LENGTH: 255,
   MAX_PROBABILITY: 1.0,
   MIN_PROBABILITY: 0.0
 };
@@ -385,12 +676,43 @@ module.exports = {
   PERMISSIONS,
   ROLE_PERMISSIONS,
   TRANSACTION_TYPES,
+  TRANSACTION_STATUS,
   MISSION_TYPES,
+  MISSION_ACTIONS,
   MISSION_STATUS,
+  COMPLETION_STATUS,
+  QUEST_STATUS,
+  QUEST_STEP_STATUS,
+  STREAK_CHECK_IN_SOURCES,
+  STREAK_DAY_STATUS,
   WHEEL_ITEM_TYPES,
+  WHEEL_BUDGET_TYPES,
+  WHEEL_PITY_RULE_TYPES,
+  WHEEL_SEED_STATUS,
+  WHEEL_PAYMENT_METHODS,
+  SPIN_TICKET_SOURCES,
+  WHEEL_DRIFT_STATUS,
+  WHEEL_VERSION_STATUS,
+  WHEEL_EXPERIMENT_STATUS,
   CLAIM_STATUS,
+  REWARD_STATUS,
+  REWARD_CATEGORIES,
+  REWARD_CODE_SOURCES,
+  REDEMPTION_STATUS,
+  NOTIFICATION_TYPES,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUS,
+  API_KEY_SCOPES,
+  INGEST_EVENT_TYPES,
+  INGEST_EVENT_STATUS,
+  IDEMPOTENCY_KEY_STATUS,
+  POINTS_RULE_TYPES,
+  POINTS_EXPIRY_POLICIES,
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_DIRECTIONS,
   TIER_STATUS,
   USER_STATUS,
+  MEMBER_STATUS,
   BRAND_STATUS,
   AUDIT_ACTIONS,
   HTTP_STATUS,
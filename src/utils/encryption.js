@@ -233,6 +233,24 @@ const generateEmailVerificationToken = () => {
   return generateSecureRandomString(64);
 };
 
+/**
+ * Generate API key
+ * @returns {String} API key with a recognisable prefix
+ */
+const generateApiKey = () => {
+  return `ek_${generateSecureRandomString(32)}`;
+};
+
+/**
+ * Hash API key for storage and lookup
+ * API keys are long random values, so a fast unsalted hash can be indexed and looked up directly
+ * @param {String} apiKey - Plain API key
+ * @returns {String} SHA-256 hash of the key
+ */
+const hashApiKey = (apiKey) => {
+  return hashSHA256(apiKey);
+};
+
 /**
  * Validate password strength
  * @param {String} password - Password to validate
@@ -310,5 +328,7 @@ module.exports = {
   decryptAES,
   generatePasswordResetToken,
   generateEmailVerificationToken,
+  generateApiKey,
+  hashApiKey,
   validatePasswordStrength
 };
\ No newline at end of file
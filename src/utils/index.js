@@ -8,6 +8,9 @@ const response = require('./response');
 const encryption = require('./encryption');
 const jwt = require('./jwt');
 const probability = require('./probability');
+const pointsExpiry = require('./pointsExpiry');
+const missionWindows = require('./missionWindows');
+const network = require('./network');
 const dbMonitor = require('./dbMonitor');
 const maintenance = require('./maintenance');
 const constants = require('./constants');
@@ -20,6 +23,9 @@ module.exports = {
   encryption,
   jwt,
   probability,
+  pointsExpiry,
+  missionWindows,
+  network,
   dbMonitor,
   maintenance,
   constants,
@@ -185,6 +185,8 @@ logger.security = (event, details = {}) => {
   });
 };
 
+logger.logSecurity = logger.security;
+
 // Performance logger
 logger.performance = (operation, duration, details = {}) => {
   if (duration > 1000) { // Log slow operations (> 1 second)
@@ -219,4 +221,6 @@ logger.business = (event, details = {}) => {
   });
 };
 
+logger.logBusiness = logger.business;
+
 module.exports = logger;
\ No newline at end of file
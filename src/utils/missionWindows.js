@@ -0,0 +1,183 @@
+const { MISSION_TYPES } = require('./constants');
+
+// Mission windows are computed in UTC unless the member or brand sets a timezone
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Missions that never reset keep all their progress and completions in a single window
+const ALL_TIME_WINDOW_START = new Date(0);
+
+const localDateFormatters = new Map();
+
+/**
+ * Check whether a string is an IANA timezone (e.g. Europe/Berlin)
+ * @param {string} timezone - Timezone
+ * @returns {boolean} True if valid
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Pick the timezone mission windows follow: the first valid candidate, most specific first
+ * @param {...string} candidates - Timezones (member preference, then brand setting)
+ * @returns {string} Timezone
+ */
+const resolveTimezone = (...candidates) => candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+
+/**
+ * Get the wall clock date and time of an instant in a timezone
+ * @param {Date} at - Instant
+ * @param {string} timezone - Timezone
+ * @returns {Object} year, month (1-12), day, hour, minute and second
+ */
+const getLocalParts = (at, timezone) => {
+  let formatter = localDateFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    localDateFormatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  formatter.formatToParts(at).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+  return parts;
+};
+
+/**
+ * Get the local calendar date of an instant in a timezone
+ * @param {Date} at - Instant
+ * @param {string} timezone - Timezone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const getLocalDate = (at = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getLocalParts(new Date(at), timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the local day of the week of an instant in a timezone
+ * @param {Date} at - Instant
+ * @param {string} timezone - Timezone
+ * @returns {number} Day of the week (0 = Sunday, 6 = Saturday)
+ */
+const getLocalDayOfWeek = (at = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getLocalParts(new Date(at), timezone);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Get how far a timezone's wall clock is ahead of UTC at an instant
+ * @param {Date} at - Instant
+ * @param {string} timezone - Timezone
+ * @returns {number} Offset in milliseconds
+ */
+const getOffset = (at, timezone) => {
+  const { year, month, day, hour, minute, second } = getLocalParts(at, timezone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(at.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the instant a local calendar day starts in a timezone. Out of range days roll over like Date.UTC,
+ * and the offset is checked again at the result so days starting next to a DST change land correctly.
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month (0-11)
+ * @param {number} day - Day of the month
+ * @param {string} timezone - Timezone
+ * @returns {Date} Local midnight
+ */
+const getLocalMidnight = (year, monthIndex, day, timezone) => {
+  const wallClock = Date.UTC(year, monthIndex, day);
+  const guess = wallClock - getOffset(new Date(wallClock), timezone);
+  return new Date(wallClock - getOffset(new Date(guess), timezone));
+};
+
+/**
+ * Get the local calendar days a mission's window starts and ends on; daily and recurring missions reset
+ * every day, weekly missions on Monday and monthly missions on the 1st
+ * @param {string} type - Mission type
+ * @param {Date} at - Time in the window
+ * @param {string} timezone - Timezone
+ * @returns {Array|null} [start, end] as [year, monthIndex, day], or null for missions that never reset
+ */
+const getLocalWindow = (type, at, timezone) => {
+  const { year, month, day } = getLocalParts(at, timezone);
+  const monthIndex = month - 1;
+
+  switch (type) {
+    case MISSION_TYPES.DAILY:
+    case MISSION_TYPES.RECURRING:
+      return [[year, monthIndex, day], [year, monthIndex, day + 1]];
+    case MISSION_TYPES.WEEKLY: {
+      const monday = day - ((new Date(Date.UTC(year, monthIndex, day)).getUTCDay() + 6) % 7);
+      return [[year, monthIndex, monday], [year, monthIndex, monday + 7]];
+    }
+    case MISSION_TYPES.MONTHLY:
+      return [[year, monthIndex, 1], [year, monthIndex + 1, 1]];
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether missions of a type reset
+ * @param {string} type - Mission type
+ * @returns {boolean} True for daily, weekly, monthly and recurring missions
+ */
+const isResetting = (type) => getLocalWindow(type, new Date(), DEFAULT_TIMEZONE) !== null;
+
+/**
+ * Get the start of the window a mission's progress and completions count in
+ * @param {string} type - Mission type
+ * @param {Date} at - Time in the window
+ * @param {string} timezone - Timezone
+ * @returns {Date} Window start (the epoch for missions that never reset)
+ */
+const getWindowStart = (type, at = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const window = getLocalWindow(type, at, timezone);
+  return window ? getLocalMidnight(...window[0], timezone) : ALL_TIME_WINDOW_START;
+};
+
+/**
+ * Get when a mission next resets
+ * @param {string} type - Mission type
+ * @param {Date} at - Time in the current window
+ * @param {string} timezone - Timezone
+ * @returns {Date|null} Next reset, or null for missions that never reset
+ */
+const getNextReset = (type, at = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const window = getLocalWindow(type, at, timezone);
+  return window ? getLocalMidnight(...window[1], timezone) : null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  ALL_TIME_WINDOW_START,
+  isValidTimezone,
+  resolveTimezone,
+  getLocalDate,
+  getLocalDayOfWeek,
+  isResetting,
+  getWindowStart,
+  getNextReset
+};
@@ -0,0 +1,93 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['::ffff:0:0', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is not reachable on the public internet
+ * IPv4-mapped IPv6 addresses count as private so they cannot be used to reach internal IPv4 hosts
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve a hostname and fail when any of its addresses is private
+ * @param {string} hostname - Hostname or IP literal (IPv6 may be bracketed, as in URLs)
+ * @returns {Promise<string[]>} Resolved addresses
+ */
+const resolvePublicAddresses = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+
+  const privateAddress = addresses.find(isPrivateAddress);
+  if (privateAddress) {
+    throw createPrivateAddressError(host, privateAddress);
+  }
+  return addresses;
+};
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses to connect to private addresses
+ * Checking the address the socket actually connects to also covers DNS records changed after validation
+ * @param {string} hostname - Hostname being connected to
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const privateAddress = addresses.find(isPrivateAddress);
+    if (privateAddress) {
+      return callback(createPrivateAddressError(hostname, privateAddress));
+    }
+    return callback(null, address, family);
+  });
+};
+
+/**
+ * Build the error raised for hosts resolving to private addresses
+ * @private
+ */
+const createPrivateAddressError = (hostname, address) => {
+  const error = new Error(`${hostname} resolves to private address ${address}`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+};
+
+module.exports = {
+  isPrivateAddress,
+  resolvePublicAddresses,
+  lookupPublicAddress
+};
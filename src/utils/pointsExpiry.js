@@ -0,0 +1,108 @@
+const { POINTS_EXPIRY_POLICIES } = require('./constants');
+
+// Members are told about points expiring within this many days unless the brand sets its own window
+const DEFAULT_EXPIRY_WARNING_DAYS = 30;
+
+/**
+ * Add calendar months to a date, clamping to the last day of shorter months
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} Shifted date
+ */
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDayOfTargetMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(date.getUTCDate(), lastDayOfTargetMonth),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * Check that a fixed expiry date (MM-DD) names a day that exists in its month; 02-29 is allowed and
+ * falls on 02-28 in common years
+ * @param {string} value - Date as MM-DD
+ * @returns {boolean} True if valid
+ */
+const isValidExpiryDate = (value) => {
+  const match = /^(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    return false;
+  }
+
+  const [month, day] = [Number(match[1]), Number(match[2])];
+  // Days in the month of a leap year
+  return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(2000, month, 0)).getUTCDate();
+};
+
+/**
+ * Get the start of a MM-DD date in a year, clamped to the last day of the month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Date} Midnight UTC of the date
+ */
+const getFixedDateInYear = (year, month, day) => {
+  const lastDayOfMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1, Math.min(day, lastDayOfMonth)));
+};
+
+/**
+ * Calculate when points earned at a given time expire under a brand's point config
+ * @param {Object} pointConfig - Brand point_config (expiry_policy, expiry_months, expiry_date)
+ * @param {Date} earnedAt - When the points were earned
+ * @returns {Date|null} Expiry time, or null when the points never expire
+ */
+const calculateExpiresAt = (pointConfig, earnedAt = new Date()) => {
+  const config = pointConfig || {};
+  const earned = new Date(earnedAt);
+
+  switch (config.expiry_policy) {
+    case POINTS_EXPIRY_POLICIES.ROLLING:
+      if (!config.expiry_months) {
+        return null;
+      }
+      return addMonths(earned, config.expiry_months);
+
+    case POINTS_EXPIRY_POLICIES.FIXED_DATE: {
+      if (!config.expiry_date) {
+        return null;
+      }
+      // expiry_date is MM-DD; points expire at the start of its next occurrence (UTC)
+      const [month, day] = config.expiry_date.split('-').map(Number);
+      let expiresAt = getFixedDateInYear(earned.getUTCFullYear(), month, day);
+      if (expiresAt <= earned) {
+        expiresAt = getFixedDateInYear(earned.getUTCFullYear() + 1, month, day);
+      }
+      return expiresAt;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the number of days ahead members are warned about expiring points
+ * @param {Object} pointConfig - Brand point_config
+ * @returns {number} Warning window in days
+ */
+const getExpiryWarningDays = (pointConfig) => {
+  const warningDays = pointConfig && pointConfig.expiry_warning_days;
+  return Number.isInteger(warningDays) ? warningDays : DEFAULT_EXPIRY_WARNING_DAYS;
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  addMonths,
+  isValidExpiryDate,
+  calculateExpiresAt,
+  getExpiryWarningDays
+};
@@ -1,11 +1,28 @@
+const crypto = require('crypto');
 const logger = require('./logger');
+const encryption = require('./encryption');
+
+// crypto.randomInt only takes ranges below 2^48
+const SECURE_RANDOM_RANGE = 2 ** 48 - 1;
+
+// 52 bits of the HMAC fit exactly in a double, so every roll in [0, 1) is equally likely
+const ROLL_HEX_LENGTH = 13;
+const ROLL_RANGE = 2 ** 52;
+
+/**
+ * Cryptographically secure random number
+ * @returns {Number} Random number in [0, 1)
+ */
+const secureRandom = () => crypto.randomInt(0, SECURE_RANDOM_RANGE) / SECURE_RANDOM_RANGE;
 
 /**
  * Weighted random selection for lucky wheel
  * @param {Array} items - Array of wheel items with probability weights
+ * @param {Number} roll - Optional roll in [0, 1) to select with instead of a secure random number
+ * @param {Object} options - Selection options (quiet: skip the per-draw debug log, for simulations)
  * @returns {Object|null} Selected item or null if no items
  */
-const weightedRandomSelection = (items) => {
+const weightedRandomSelection = (items, roll = secureRandom(), { quiet = false } = {}) => {
   try {
     if (!Array.isArray(items) || items.length === 0) {
       logger.warn('No items provided for weighted random selection');
@@ -31,14 +48,17 @@ const weightedRandomSelection = (items) => {
       return null;
     }
 
-    // Generate random number between 0 and totalWeight
-    const random = Math.random() * totalWeight;
+    // Scale the roll to a number between 0 and totalWeight
+    const random = roll * totalWeight;
     
     // Find the selected item
     let currentWeight = 0;
     for (const item of activeItems) {
       currentWeight += parseFloat(item.probability) || 0;
       if (random <= currentWeight) {
+        if (quiet) {
+          return item;
+        }
         logger.debug('Item selected by weighted random', {
           itemId: item.id,
           itemName: item.name,
@@ -65,6 +85,48 @@ const weightedRandomSelection = (items) => {
   }
 };
 
+/**
+ * Derive a provably fair roll from a server seed, client seed and nonce.
+ * The roll is HMAC-SHA256(serverSeed, "clientSeed:nonce"), its first 52 bits read as a fraction of 2^52.
+ * @param {String} serverSeed - Secret server seed
+ * @param {String} clientSeed - Client seed chosen by the member
+ * @param {Number} nonce - Spin number under this seed pair
+ * @returns {Number} Roll in [0, 1)
+ */
+const provablyFairRoll = (serverSeed, clientSeed, nonce) => {
+  const hmac = encryption.createHMAC(`${clientSeed}:${nonce}`, serverSeed);
+  return parseInt(hmac.slice(0, ROLL_HEX_LENGTH), 16) / ROLL_RANGE;
+};
+
+/**
+ * Assign a member to an experiment variant. SHA-256 of "experimentId:memberId" is read as a
+ * fraction of 2^52, so a member always lands in the same variant of an experiment while
+ * different experiments bucket members independently.
+ * @param {String} memberId - Member ID
+ * @param {String} experimentId - Experiment ID
+ * @param {Array} variants - Variants with a traffic weight
+ * @returns {Object|null} Variant, or null when no variant has traffic
+ */
+const bucketVariant = (memberId, experimentId, variants) => {
+  const totalWeight = (variants || []).reduce((sum, variant) => sum + Number(variant.weight || 0), 0);
+  if (totalWeight <= 0) {
+    return null;
+  }
+
+  const hash = encryption.hashSHA256(`${experimentId}:${memberId}`);
+  const bucket = (parseInt(hash.slice(0, ROLL_HEX_LENGTH), 16) / ROLL_RANGE) * totalWeight;
+
+  let cumulativeWeight = 0;
+  for (const variant of variants) {
+    cumulativeWeight += Number(variant.weight || 0);
+    if (bucket < cumulativeWeight) {
+      return variant;
+    }
+  }
+
+  return variants[variants.length - 1];
+};
+
 /**
  * Validate wheel item probabilities
  * @param {Array} items - Array of wheel items
@@ -251,7 +313,7 @@ const calculateWinRate = (spinHistory, timeframeHours = 24) => {
 const generateRandomOutcome = (winProbability = 0.5) => {
   try {
     const probability = Math.max(0, Math.min(1, parseFloat(winProbability) || 0.5));
-    const random = Math.random();
+    const random = secureRandom();
     
     const isWin = random < probability;
     
@@ -279,11 +341,14 @@ const calculateExpectedValue = (items) => {
       return 0;
     }
 
-    const activeItems = items.filter(item => item.active !== false);
+    const activeItems = items.filter(item => item.active !== false && item.is_active !== false);
     
     const expectedValue = activeItems.reduce((sum, item) => {
       const probability = parseFloat(item.probability) || 0;
-      const value = parseFloat(item.value?.points || item.value?.amount || 0);
+      // Wheel items store a plain number; older configs used { points } or { amount }
+      const value = typeof item.value === 'object' && item.value !== null
+        ? parseFloat(item.value.points || item.value.amount || 0)
+        : parseFloat(item.value) || 0;
       return sum + (probability * value);
     }, 0);
 
@@ -365,12 +430,183 @@ const simulateWheelSpins = (items, spinCount = 1000) => {
   }
 };
 
+/**
+ * Wilson score confidence interval for an observed proportion
+ * @param {Number} successes - Number of successes
+ * @param {Number} trials - Number of trials
+ * @param {Number} z - z-score of the confidence level (1.96 for 95%)
+ * @returns {Object} Interval bounds ({ low, high })
+ */
+const proportionConfidenceInterval = (successes, trials, z = 1.96) => {
+  if (!trials) {
+    return { low: 0, high: 0 };
+  }
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const centre = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin = (z / (1 + z2 / trials)) * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials));
+
+  return {
+    low: parseFloat(Math.max(0, centre - margin).toFixed(6)),
+    high: parseFloat(Math.min(1, centre + margin).toFixed(6))
+  };
+};
+
+/**
+ * Normal-approximation confidence interval for a sample mean
+ * @param {Number} sum - Sum of the sample values
+ * @param {Number} sumOfSquares - Sum of the squared sample values
+ * @param {Number} count - Sample size
+ * @param {Number} z - z-score of the confidence level (1.96 for 95%)
+ * @returns {Object} Sample mean and interval bounds ({ mean, low, high })
+ */
+const meanConfidenceInterval = (sum, sumOfSquares, count, z = 1.96) => {
+  if (!count) {
+    return { mean: 0, low: 0, high: 0 };
+  }
+
+  const mean = sum / count;
+  const variance = count > 1 ? Math.max(0, (sumOfSquares - count * mean * mean) / (count - 1)) : 0;
+  const margin = z * Math.sqrt(variance / count);
+
+  return {
+    mean: parseFloat(mean.toFixed(4)),
+    low: parseFloat((mean - margin).toFixed(4)),
+    high: parseFloat((mean + margin).toFixed(4))
+  };
+};
+
+// Categories expected fewer times than this are pooled, as the chi-square approximation needs about 5 per category
+const MIN_EXPECTED_COUNT = 5;
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {Number} x - Positive number
+ * @returns {Number} ln(Γ(x))
+ */
+const logGamma = (x) => {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+
+  let denominator = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, coefficient) => sum + coefficient / ++denominator, 1.000000000190015);
+
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ * @param {Number} a - Shape
+ * @param {Number} x - Upper limit
+ * @returns {Number} Q(a, x)
+ */
+const regularizedGammaQ = (a, x) => {
+  if (x <= 0) {
+    return 1;
+  }
+
+  const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+  // Series for P(a, x) converges quickly below a + 1, the continued fraction for Q(a, x) above it
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * Math.exp(logPrefix));
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let fraction = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    fraction *= delta;
+    if (Math.abs(delta - 1) < 1e-15) {
+      break;
+    }
+  }
+
+  return Math.min(1, Math.exp(logPrefix) * fraction);
+};
+
+/**
+ * Chi-square goodness-of-fit test of observed counts against expected probabilities.
+ * Categories with fewer than 5 expected outcomes are pooled into one.
+ * @param {Array} observed - Observed count per category
+ * @param {Array} expectedProbabilities - Expected probability per category (normalized to sum to 1)
+ * @returns {Object} Test result ({ statistic, degrees_of_freedom, p_value, pooled_categories })
+ */
+const chiSquareGoodnessOfFit = (observed, expectedProbabilities) => {
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  const totalProbability = expectedProbabilities.reduce((sum, p) => sum + p, 0);
+
+  if (!total || !totalProbability) {
+    return { statistic: 0, degrees_of_freedom: 0, p_value: 1, pooled_categories: 0 };
+  }
+
+  const categories = [];
+  const pooled = { observed: 0, expected: 0, count: 0 };
+
+  observed.forEach((count, index) => {
+    const expected = (expectedProbabilities[index] / totalProbability) * total;
+    if (expected < MIN_EXPECTED_COUNT) {
+      pooled.observed += count;
+      pooled.expected += expected;
+      pooled.count++;
+    } else {
+      categories.push({ observed: count, expected });
+    }
+  });
+
+  if (pooled.count > 0) {
+    categories.push(pooled);
+  }
+
+  const degreesOfFreedom = categories.length - 1;
+  if (degreesOfFreedom < 1) {
+    return { statistic: 0, degrees_of_freedom: 0, p_value: 1, pooled_categories: pooled.count };
+  }
+
+  const statistic = categories.reduce((sum, category) => (
+    category.expected > 0 ? sum + ((category.observed - category.expected) ** 2) / category.expected : sum
+  ), 0);
+
+  return {
+    statistic: parseFloat(statistic.toFixed(4)),
+    degrees_of_freedom: degreesOfFreedom,
+    p_value: parseFloat(regularizedGammaQ(degreesOfFreedom / 2, statistic / 2).toPrecision(6)),
+    pooled_categories: pooled.count
+  };
+};
+
 module.exports = {
+  secureRandom,
   weightedRandomSelection,
+  provablyFairRoll,
+  bucketVariant,
   validateWheelProbabilities,
   normalizeWheelProbabilities,
   calculateWinRate,
   generateRandomOutcome,
   calculateExpectedValue,
-  simulateWheelSpins
+  simulateWheelSpins,
+  proportionConfidenceInterval,
+  meanConfidenceInterval,
+  chiSquareGoodnessOfFit
 };
\ No newline at end of file
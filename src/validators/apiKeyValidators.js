@@ -0,0 +1,70 @@
+/**
+ * API Key Validators
+ * Input validation schemas for brand API keys
+ */
+
+const Joi = require('joi');
+const { constants } = require('../utils');
+const { API_KEY_SCOPES } = constants;
+
+// Common validation patterns
+const uuidPattern = Joi.string().uuid();
+const scopePattern = Joi.string().valid(...Object.values(API_KEY_SCOPES));
+
+/**
+ * Create API key validation schema
+ */
+const createApiKeySchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    name: Joi.string().required().min(1).max(100).trim(),
+    scopes: Joi.array().items(scopePattern).min(1).unique().required(),
+    expires_at: Joi.date().iso().greater('now').optional().allow(null)
+  }).required()
+};
+
+/**
+ * List API keys validation schema
+ */
+const listApiKeysSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    include_revoked: Joi.boolean().optional().default(false)
+  }).optional()
+};
+
+/**
+ * Get API key validation schema
+ */
+const getApiKeySchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Revoke API key validation schema
+ */
+const revokeApiKeySchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    reason: Joi.string().max(500).trim().optional()
+  }).optional()
+};
+
+module.exports = {
+  createApiKeySchema,
+  listApiKeysSchema,
+  getApiKeySchema,
+  revokeApiKeySchema
+};
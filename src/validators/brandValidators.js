@@ -4,8 +4,49 @@
  */
 
 const Joi = require('joi');
-const { constants } = require('../utils');
-const { VALIDATION_RULES, BRAND_STATUS } = constants;
+const { constants, missionWindows, pointsExpiry } = require('../utils');
+const { VALIDATION_RULES, BRAND_STATUS, POINTS_EXPIRY_POLICIES } = constants;
+
+// Points expiry settings; rolling policies need a month count, fixed_date policies a MM-DD date
+const expiryPolicyPattern = Joi.string().valid(...Object.values(POINTS_EXPIRY_POLICIES));
+const expiryMonthsPattern = Joi.number().integer().min(1).max(120)
+  .when('expiry_policy', { is: POINTS_EXPIRY_POLICIES.ROLLING, then: Joi.required() });
+const expiryDatePattern = Joi.string().pattern(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/)
+  .custom((value, helpers) => (pointsExpiry.isValidExpiryDate(value) ? value : helpers.error('any.invalid')))
+  .when('expiry_policy', { is: POINTS_EXPIRY_POLICIES.FIXED_DATE, then: Joi.required() })
+  .messages({
+    'string.pattern.base': 'Expiry date must be in MM-DD format',
+    'any.invalid': 'Expiry date must be a day that exists in its month'
+  });
+
+// Timezone mission resets follow for members without one of their own
+const timezonePattern = Joi.string()
+  .custom((value, helpers) => (missionWindows.isValidTimezone(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': 'Timezone must be an IANA timezone such as Europe/Berlin' });
+
+// Check-in streak settings; each milestone day rewards points, spin tickets and/or streak freezes
+const streakConfigPattern = Joi.object({
+  enabled: Joi.boolean().optional(),
+  milestones: Joi.array()
+    .items(Joi.object({
+      day: Joi.number().integer().min(1).max(365).required(),
+      reward_points: Joi.number().integer().min(0).default(0),
+      reward_spin_tickets: Joi.number().integer().min(0).max(100).default(0),
+      reward_freezes: Joi.number().integer().min(0).max(10).default(0)
+    }))
+    .max(20)
+    .unique('day')
+    .optional()
+    .messages({ 'array.unique': 'Streak milestone days must be unique' }),
+  freeze_price: Joi.number().integer().min(1).allow(null).optional(),
+  max_freezes: Joi.number().integer().min(0).max(10).optional()
+});
+
+// Mission reward claims; when enabled, members claim completed missions' rewards within the window
+const rewardClaimConfigPattern = Joi.object({
+  enabled: Joi.boolean().optional(),
+  claim_window_hours: Joi.number().integer().min(1).max(720).optional()
+});
 
 /**
  * Create brand validation schema
@@ -114,6 +155,9 @@ const createBrandSchema = {
         daily_mission_limit: Joi.number().integer().min(1).max(20).default(5),
         weekly_mission_limit: Joi.number().integer().min(1).max(10).default(3),
         auto_assign_missions: Joi.boolean().default(true),
+        timezone: timezonePattern.default(missionWindows.DEFAULT_TIMEZONE),
+        streaks: streakConfigPattern.optional(),
+        reward_claims: rewardClaimConfigPattern.optional(),
         default_point_rewards: Joi.object({
           easy: Joi.number().integer().min(1).default(10),
           medium: Joi.number().integer().min(1).default(25),
@@ -125,8 +169,14 @@ const createBrandSchema = {
         currency_name: Joi.string().max(50).default('Points'),
         currency_symbol: Joi.string().max(10).default('pts'),
         point_expiry_days: Joi.number().integer().min(0).default(365),
+        expiry_policy: expiryPolicyPattern.default(POINTS_EXPIRY_POLICIES.NONE),
+        expiry_months: expiryMonthsPattern,
+        expiry_date: expiryDatePattern,
+        expiry_warning_days: Joi.number().integer().min(1).max(365).default(30),
         minimum_redemption: Joi.number().integer().min(1).default(100),
-        welcome_bonus: Joi.number().integer().min(0).default(50)
+        welcome_bonus: Joi.number().integer().min(0).default(50),
+        // Points for one wheel spin ticket; null means tickets cannot be bought with points
+        spin_ticket_price: Joi.number().integer().min(1).allow(null).default(null)
       }).optional(),
       
       notification_config: Joi.object({
@@ -277,6 +327,9 @@ const updateBrandSettingsSchema = {
       daily_mission_limit: Joi.number().integer().min(1).max(20).optional(),
       weekly_mission_limit: Joi.number().integer().min(1).max(10).optional(),
       auto_assign_missions: Joi.boolean().optional(),
+      timezone: timezonePattern.optional(),
+      streaks: streakConfigPattern.optional(),
+      reward_claims: rewardClaimConfigPattern.optional(),
       default_point_rewards: Joi.object({
         easy: Joi.number().integer().min(1).optional(),
         medium: Joi.number().integer().min(1).optional(),
@@ -288,8 +341,13 @@ const updateBrandSettingsSchema = {
       currency_name: Joi.string().max(50).optional(),
       currency_symbol: Joi.string().max(10).optional(),
       point_expiry_days: Joi.number().integer().min(0).optional(),
+      expiry_policy: expiryPolicyPattern.optional(),
+      expiry_months: expiryMonthsPattern,
+      expiry_date: expiryDatePattern,
+      expiry_warning_days: Joi.number().integer().min(1).max(365).optional(),
       minimum_redemption: Joi.number().integer().min(1).optional(),
-      welcome_bonus: Joi.number().integer().min(0).optional()
+      welcome_bonus: Joi.number().integer().min(0).optional(),
+      spin_ticket_price: Joi.number().integer().min(1).allow(null).optional()
     }).optional(),
     
     notification_config: Joi.object({
@@ -4,23 +4,37 @@
  */
 
 const adminValidators = require('./adminValidators');
+const apiKeyValidators = require('./apiKeyValidators');
 const authValidators = require('./authValidators');
 const brandValidators = require('./brandValidators');
+const ingestValidators = require('./ingestValidators');
+const ledgerValidators = require('./ledgerValidators');
 const memberValidators = require('./memberValidators');
 const missionValidators = require('./missionValidators');
+const notificationValidators = require('./notificationValidators');
+const pointsRuleValidators = require('./pointsRuleValidators');
+const rewardValidators = require('./rewardValidators');
 const tierValidators = require('./tierValidators');
 const transactionValidators = require('./transactionValidators');
 const userValidators = require('./userValidators');
+const webhookValidators = require('./webhookValidators');
 const wheelValidators = require('./wheelValidators');
 
 module.exports = {
   adminValidators,
+  apiKeyValidators,
   authValidators,
   brandValidators,
+  ingestValidators,
+  ledgerValidators,
   memberValidators,
   missionValidators,
+  notificationValidators,
+  pointsRuleValidators,
+  rewardValidators,
   tierValidators,
   transactionValidators,
   userValidators,
+  webhookValidators,
   wheelValidators
 };
\ No newline at end of file
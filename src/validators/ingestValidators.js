@@ -0,0 +1,87 @@
+/**
+ * Ingest Validators
+ * Input validation schemas for server-to-server event ingestion
+ */
+
+const Joi = require('joi');
+const { constants } = require('../utils');
+const { INGEST_EVENT_TYPES, INGEST_EVENT_STATUS, VALIDATION_RULES } = constants;
+
+// Common validation patterns
+const uuidPattern = Joi.string().uuid();
+const eventTypePattern = Joi.string().valid(...Object.values(INGEST_EVENT_TYPES));
+
+const eventPattern = Joi.object({
+  event_type: eventTypePattern.required(),
+  member_id: Joi.string().max(100).trim().required(),
+  idempotency_key: Joi.string().max(255).trim().required(),
+  occurred_at: Joi.date().iso().max('now').optional(),
+  amount: Joi.number().min(0).precision(2).optional(),
+  currency: Joi.string().length(3).uppercase().optional(),
+  // Omit to let the brand's points rules decide
+  points: Joi.number().integer().min(0).max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION).optional(),
+  data: Joi.object().optional().default({})
+});
+
+/**
+ * Ingest events validation schema
+ * Accepts a single event or a batch wrapped in an events array
+ */
+const ingestEventsSchema = {
+  body: Joi.alternatives().conditional(Joi.object({ events: Joi.exist() }).unknown(), {
+    then: Joi.object({
+      events: Joi.array()
+        .items(eventPattern)
+        .min(1)
+        .max(VALIDATION_RULES.MAX_INGEST_BATCH_SIZE)
+        .unique('idempotency_key')
+        .required()
+    }),
+    otherwise: eventPattern
+  }).required()
+};
+
+/**
+ * List ingested events validation schema
+ */
+const listIngestedEventsSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    status: Joi.string().valid(...Object.values(INGEST_EVENT_STATUS)).optional(),
+    event_type: eventTypePattern.optional(),
+    member_id: Joi.string().max(100).optional(),
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).optional()
+  }).optional()
+};
+
+/**
+ * Get ingested event validation schema
+ */
+const getIngestedEventSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Replay ingested event validation schema
+ */
+const replayIngestedEventSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+module.exports = {
+  ingestEventsSchema,
+  listIngestedEventsSchema,
+  getIngestedEventSchema,
+  replayIngestedEventSchema
+};
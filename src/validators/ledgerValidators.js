@@ -0,0 +1,40 @@
+/**
+ * Ledger Validators
+ * Input validation schemas for points ledger reports
+ */
+
+const Joi = require('joi');
+
+// Common validation patterns
+const uuidPattern = Joi.string().uuid();
+
+/**
+ * Ledger reconciliation report validation schema
+ */
+const getReconciliationSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100)
+  }).optional()
+};
+
+/**
+ * Member ledger validation schema
+ */
+const getMemberLedgerSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    memberId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20)
+  }).optional()
+};
+
+module.exports = {
+  getReconciliationSchema,
+  getMemberLedgerSchema
+};
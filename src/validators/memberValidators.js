@@ -4,8 +4,13 @@
  */
 
 const Joi = require('joi');
-const { constants } = require('../utils');
-const { VALIDATION_RULES } = constants;
+const { constants, missionWindows } = require('../utils');
+const { VALIDATION_RULES, TRANSACTION_TYPES } = constants;
+
+// Members' daily, weekly and monthly missions reset in their timezone
+const timezonePattern = Joi.string()
+  .custom((value, helpers) => (missionWindows.isValidTimezone(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': 'Timezone must be an IANA timezone such as Europe/Berlin' });
 
 /**
  * Create member validation schema
@@ -81,7 +86,7 @@ const createMemberSchema = {
     
     preferences: Joi.object({
       language: Joi.string().length(2).default('en'),
-      timezone: Joi.string().default('UTC'),
+      timezone: timezonePattern.default(missionWindows.DEFAULT_TIMEZONE),
       email_notifications: Joi.boolean().default(true),
       sms_notifications: Joi.boolean().default(false),
       marketing_emails: Joi.boolean().default(true)
@@ -200,7 +205,7 @@ const updateMemberSchema = {
     
     preferences: Joi.object({
       language: Joi.string().length(2).optional(),
-      timezone: Joi.string().optional(),
+      timezone: timezonePattern.optional(),
       email_notifications: Joi.boolean().optional(),
       sms_notifications: Joi.boolean().optional(),
       marketing_emails: Joi.boolean().optional()
@@ -295,23 +300,23 @@ const deleteMemberSchema = {
  */
 const updateMemberPointsSchema = {
   body: Joi.object({
-    points: Joi.number()
+    amount: Joi.number()
       .integer()
-      .min(-VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION)
+      .min(1)
       .max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION)
       .required()
       .messages({
-        'number.min': `Points adjustment cannot be less than -${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`,
+        'number.min': 'Points adjustment must be greater than 0',
         'number.max': `Points adjustment cannot exceed ${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`,
         'number.integer': 'Points must be a whole number',
         'any.required': 'Points adjustment is required'
       }),
       
     type: Joi.string()
-      .valid('points_earned', 'points_spent', 'points_awarded', 'points_deducted', 'admin_adjustment')
+      .valid(TRANSACTION_TYPES.CREDIT, TRANSACTION_TYPES.DEBIT)
       .required()
       .messages({
-        'any.only': 'Transaction type must be one of: points_earned, points_spent, points_awarded, points_deducted, admin_adjustment',
+        'any.only': `Transaction type must be one of: ${TRANSACTION_TYPES.CREDIT}, ${TRANSACTION_TYPES.DEBIT}`,
         'any.required': 'Transaction type is required'
       }),
       
@@ -338,6 +343,13 @@ const updateMemberPointsSchema = {
   }),
   
   params: Joi.object({
+    brandId: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Brand ID must be a valid UUID',
+        'any.required': 'Brand ID is required'
+      }),
     id: Joi.string()
       .uuid()
       .required()
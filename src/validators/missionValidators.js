@@ -5,7 +5,7 @@
 
 const Joi = require('joi');
 const { constants } = require('../utils');
-const { VALIDATION_RULES, MISSION_TYPES, MISSION_STATUS } = constants;
+const { VALIDATION_RULES, MISSION_TYPES, MISSION_STATUS, QUEST_STATUS } = constants;
 
 /**
  * Create mission validation schema
@@ -58,6 +58,16 @@ const createMissionSchema = {
         'number.integer': 'Reward points must be a whole number',
         'any.required': 'Reward points are required'
       }),
+
+    reward_spin_tickets: Joi.number()
+      .integer()
+      .min(0)
+      .max(100)
+      .default(0)
+      .messages({
+        'number.max': 'Reward spin tickets cannot exceed 100',
+        'number.integer': 'Reward spin tickets must be a whole number'
+      }),
       
     requirements: Joi.object({
       action: Joi.string().required().messages({
@@ -68,6 +78,17 @@ const createMissionSchema = {
     }).required().messages({
       'any.required': 'Mission requirements are required'
     }),
+
+    // Missions the member has to complete before this one unlocks
+    prerequisite_mission_ids: Joi.array()
+      .items(Joi.string().uuid())
+      .max(10)
+      .unique()
+      .optional()
+      .messages({
+        'array.max': 'Cannot have more than 10 prerequisite missions',
+        'array.unique': 'Prerequisite missions must be unique'
+      }),
     
     start_date: Joi.date()
       .iso()
@@ -192,12 +213,32 @@ const updateMissionSchema = {
         'number.max': `Reward points cannot exceed ${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`,
         'number.integer': 'Reward points must be a whole number'
       }),
+
+    reward_spin_tickets: Joi.number()
+      .integer()
+      .min(0)
+      .max(100)
+      .optional()
+      .messages({
+        'number.max': 'Reward spin tickets cannot exceed 100',
+        'number.integer': 'Reward spin tickets must be a whole number'
+      }),
       
     requirements: Joi.object({
       action: Joi.string().required(),
       target_value: Joi.number().min(1).optional(),
       conditions: Joi.object().optional()
     }).optional(),
+
+    prerequisite_mission_ids: Joi.array()
+      .items(Joi.string().uuid())
+      .max(10)
+      .unique()
+      .optional()
+      .messages({
+        'array.max': 'Cannot have more than 10 prerequisite missions',
+        'array.unique': 'Prerequisite missions must be unique'
+      }),
     
     start_date: Joi.date()
       .iso()
@@ -601,6 +642,219 @@ const assignMissionToMemberSchema = {
   })
 };
 
+const questAdminParams = Joi.object({
+  brandId: Joi.string().uuid().required()
+});
+const questParams = questAdminParams.keys({
+  questId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Quest ID must be a valid UUID',
+      'any.required': 'Quest ID is required'
+    })
+});
+
+// A step is completed by any one of its missions; optional steps do not block later ones
+const questStepsSchema = Joi.array()
+  .items(Joi.object({
+    mission_ids: Joi.array()
+      .items(Joi.string().uuid())
+      .min(1)
+      .max(5)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'A quest step needs at least one mission',
+        'array.max': 'A quest step cannot have more than 5 missions',
+        'any.required': 'Quest step missions are required'
+      }),
+    optional: Joi.boolean().default(false)
+  }))
+  .min(1)
+  .max(20)
+  .messages({
+    'array.min': 'A quest needs at least one step',
+    'array.max': 'A quest cannot have more than 20 steps'
+  });
+
+/**
+ * List quests validation schema (admin)
+ */
+const listQuestsSchema = {
+  params: questAdminParams,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string()
+      .valid(...Object.values(QUEST_STATUS))
+      .optional()
+      .messages({
+        'any.only': `Status must be one of: ${Object.values(QUEST_STATUS).join(', ')}`
+      })
+  })
+};
+
+/**
+ * Create quest validation schema (admin)
+ */
+const createQuestSchema = {
+  params: questAdminParams,
+  body: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(255)
+      .trim()
+      .required()
+      .messages({
+        'string.max': 'Quest name must not exceed 255 characters',
+        'any.required': 'Quest name is required'
+      }),
+
+    description: Joi.string()
+      .max(VALIDATION_RULES.MISSION_DESCRIPTION_MAX_LENGTH)
+      .trim()
+      .optional()
+      .allow(''),
+
+    steps: questStepsSchema.required().messages({
+      'any.required': 'Quest steps are required'
+    }),
+
+    // Awarded once to members who complete every required step
+    bonus_points: Joi.number()
+      .integer()
+      .min(0)
+      .max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION)
+      .default(0)
+      .messages({
+        'number.max': `Bonus points cannot exceed ${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`
+      }),
+
+    bonus_spin_tickets: Joi.number()
+      .integer()
+      .min(0)
+      .max(100)
+      .default(0)
+      .messages({
+        'number.max': 'Bonus spin tickets cannot exceed 100'
+      }),
+
+    status: Joi.string()
+      .valid(...Object.values(QUEST_STATUS))
+      .default(QUEST_STATUS.DRAFT)
+      .messages({
+        'any.only': `Status must be one of: ${Object.values(QUEST_STATUS).join(', ')}`
+      })
+  })
+};
+
+/**
+ * Get quest validation schema (admin)
+ */
+const getQuestSchema = {
+  params: questParams
+};
+
+/**
+ * Update quest validation schema (admin)
+ */
+const updateQuestSchema = {
+  params: questParams,
+  body: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(255)
+      .trim()
+      .optional()
+      .messages({
+        'string.max': 'Quest name must not exceed 255 characters'
+      }),
+
+    description: Joi.string()
+      .max(VALIDATION_RULES.MISSION_DESCRIPTION_MAX_LENGTH)
+      .trim()
+      .optional()
+      .allow(''),
+
+    steps: questStepsSchema.optional(),
+
+    bonus_points: Joi.number()
+      .integer()
+      .min(0)
+      .max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION)
+      .optional()
+      .messages({
+        'number.max': `Bonus points cannot exceed ${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`
+      }),
+
+    bonus_spin_tickets: Joi.number()
+      .integer()
+      .min(0)
+      .max(100)
+      .optional()
+      .messages({
+        'number.max': 'Bonus spin tickets cannot exceed 100'
+      }),
+
+    status: Joi.string()
+      .valid(...Object.values(QUEST_STATUS))
+      .optional()
+      .messages({
+        'any.only': `Status must be one of: ${Object.values(QUEST_STATUS).join(', ')}`
+      })
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  })
+};
+
+/**
+ * Get member quest validation schema
+ */
+const getMemberQuestSchema = {
+  params: Joi.object({
+    questId: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Quest ID must be a valid UUID',
+        'any.required': 'Quest ID is required'
+      })
+  })
+};
+
+/**
+ * Get member streak validation schema (member portal)
+ */
+const getStreakSchema = {
+  query: Joi.object({
+    month: Joi.string()
+      .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Month must be in YYYY-MM format'
+      })
+  })
+};
+
+/**
+ * Buy streak freezes with points validation schema (member portal)
+ */
+const purchaseStreakFreezesSchema = {
+  body: Joi.object({
+    quantity: Joi.number()
+      .integer()
+      .min(1)
+      .max(10)
+      .required()
+      .messages({
+        'number.min': 'Freeze quantity must be at least 1',
+        'number.max': 'Freeze quantity cannot exceed 10',
+        'any.required': 'Freeze quantity is required'
+      })
+  }).required()
+};
+
 module.exports = {
   createMissionSchema,
   updateMissionSchema,
@@ -617,5 +871,12 @@ module.exports = {
   getTopPerformingMissionsSchema,
   checkMissionEligibilitySchema,
   bulkCreateMissionsSchema,
-  assignMissionToMemberSchema
+  assignMissionToMemberSchema,
+  listQuestsSchema,
+  createQuestSchema,
+  getQuestSchema,
+  updateQuestSchema,
+  getMemberQuestSchema,
+  getStreakSchema,
+  purchaseStreakFreezesSchema
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Notification Validators
+ * Input validation schemas for the member notification inbox
+ */
+
+const Joi = require('joi');
+const { constants } = require('../utils');
+const { NOTIFICATION_TYPES } = constants;
+
+// Common validation patterns
+const uuidPattern = Joi.string().uuid();
+const notificationTypePattern = Joi.string().valid(...Object.values(NOTIFICATION_TYPES));
+
+/**
+ * Member notifications list validation schema
+ */
+const getMemberNotificationsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    type: notificationTypePattern.optional(),
+    unread_only: Joi.boolean().optional().default(false)
+  }).optional()
+};
+
+/**
+ * Unread notification count validation schema
+ */
+const getUnreadCountSchema = {
+  query: Joi.object({
+    type: notificationTypePattern.optional()
+  }).optional()
+};
+
+/**
+ * Mark notification as read validation schema
+ */
+const markNotificationReadSchema = {
+  params: Joi.object({
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Mark all notifications as read validation schema
+ */
+const markAllNotificationsReadSchema = {
+  body: Joi.object({
+    type: notificationTypePattern.optional()
+  }).optional()
+};
+
+/**
+ * Delete notification validation schema
+ */
+const deleteNotificationSchema = {
+  params: Joi.object({
+    id: uuidPattern.required()
+  }).required()
+};
+
+module.exports = {
+  getMemberNotificationsSchema,
+  getUnreadCountSchema,
+  markNotificationReadSchema,
+  markAllNotificationsReadSchema,
+  deleteNotificationSchema
+};
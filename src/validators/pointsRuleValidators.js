@@ -0,0 +1,173 @@
+/**
+ * Points Rule Validators
+ * Input validation schemas for brand points earning rules
+ */
+
+const Joi = require('joi');
+const { constants } = require('../utils');
+const { POINTS_RULE_TYPES, INGEST_EVENT_TYPES, VALIDATION_RULES } = constants;
+
+// Common validation patterns
+const uuidPattern = Joi.string().uuid();
+const ruleTypePattern = Joi.string().valid(...Object.values(POINTS_RULE_TYPES));
+const eventTypePattern = Joi.string().valid(...Object.values(INGEST_EVENT_TYPES));
+const pointsPattern = Joi.number().integer().min(1).max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION);
+
+// The shape of config depends on the rule type
+const configPattern = Joi.when('rule_type', {
+  switch: [
+    {
+      is: POINTS_RULE_TYPES.RATE,
+      then: Joi.object({
+        points: pointsPattern.required(),
+        per_amount: Joi.number().positive().precision(2).required()
+      })
+    },
+    {
+      is: POINTS_RULE_TYPES.FIXED,
+      then: Joi.object({
+        points: pointsPattern.required()
+      })
+    },
+    {
+      is: POINTS_RULE_TYPES.MULTIPLIER,
+      then: Joi.object({
+        multiplier: Joi.number().greater(0).max(100).precision(2).required()
+      })
+    },
+    {
+      is: POINTS_RULE_TYPES.DAILY_CAP,
+      then: Joi.object({
+        max_points: pointsPattern.required()
+      })
+    }
+  ]
+});
+
+const conditionsPattern = Joi.object({
+  days_of_week: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().optional(), // 0 = Sunday
+  tier_ids: Joi.array().items(uuidPattern).unique().optional(),
+  min_amount: Joi.number().min(0).precision(2).optional(),
+  currencies: Joi.array().items(Joi.string().length(3).uppercase()).unique().optional()
+});
+
+/**
+ * Create points rule validation schema
+ */
+const createPointsRuleSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    name: Joi.string().required().min(1).max(255).trim(),
+    description: Joi.string().optional().allow('', null).max(1000).trim(),
+    rule_type: ruleTypePattern.required(),
+    config: configPattern.required(),
+    event_types: Joi.array().items(eventTypePattern).unique().optional().default([]),
+    conditions: conditionsPattern.optional().default({}),
+    priority: Joi.number().integer().min(0).max(1000).optional().default(0),
+    is_active: Joi.boolean().optional().default(true),
+    valid_from: Joi.date().iso().optional().allow(null),
+    valid_until: Joi.date().iso().optional().allow(null)
+      .when('valid_from', {
+        is: Joi.date().required(),
+        then: Joi.date().greater(Joi.ref('valid_from'))
+      })
+  }).required()
+};
+
+/**
+ * Update points rule validation schema
+ * A new rule type needs a config of that type; a config sent alone is checked against the stored type
+ */
+const updatePointsRuleSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    name: Joi.string().min(1).max(255).trim().optional(),
+    description: Joi.string().optional().allow('', null).max(1000).trim(),
+    rule_type: ruleTypePattern.optional(),
+    config: configPattern.optional(),
+    event_types: Joi.array().items(eventTypePattern).unique().optional(),
+    conditions: conditionsPattern.optional(),
+    priority: Joi.number().integer().min(0).max(1000).optional(),
+    is_active: Joi.boolean().optional(),
+    valid_from: Joi.date().iso().optional().allow(null),
+    valid_until: Joi.date().iso().optional().allow(null)
+  }).with('rule_type', 'config').min(1).required() // At least one field must be provided
+};
+
+/**
+ * Get points rule validation schema
+ */
+const getPointsRuleSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * List points rules validation schema
+ */
+const listPointsRulesSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    rule_type: ruleTypePattern.optional(),
+    event_type: eventTypePattern.optional(),
+    is_active: Joi.boolean().optional()
+  }).optional()
+};
+
+/**
+ * Delete points rule validation schema
+ */
+const deletePointsRuleSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Preview points validation schema
+ */
+const previewPointsSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    event_type: eventTypePattern.required(),
+    amount: Joi.number().min(0).precision(2).optional(),
+    currency: Joi.string().length(3).uppercase().optional(),
+    occurred_at: Joi.date().iso().optional(),
+    member_id: uuidPattern.optional(),
+    tier_id: uuidPattern.optional()
+  }).oxor('member_id', 'tier_id').required()
+};
+
+/**
+ * Get transaction points rules validation schema
+ */
+const getTransactionPointsRulesSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+module.exports = {
+  createPointsRuleSchema,
+  updatePointsRuleSchema,
+  getPointsRuleSchema,
+  listPointsRulesSchema,
+  deletePointsRuleSchema,
+  previewPointsSchema,
+  getTransactionPointsRulesSchema
+};
@@ -0,0 +1,229 @@
+/**
+ * Reward Validators
+ * Input validation schemas for rewards catalog operations
+ */
+
+const Joi = require('joi');
+const { constants } = require('../utils');
+const { REWARD_STATUS, REWARD_CATEGORIES, REWARD_CODE_SOURCES, REDEMPTION_STATUS, VALIDATION_RULES } = constants;
+
+// Common validation patterns
+const uuidPattern = Joi.string().uuid();
+const rewardStatusPattern = Joi.string().valid(...Object.values(REWARD_STATUS));
+const rewardCategoryPattern = Joi.string().valid(...Object.values(REWARD_CATEGORIES));
+const pointsCostPattern = Joi.number().integer().min(1).max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION);
+const codeSourcePattern = Joi.string().valid(...Object.values(REWARD_CODE_SOURCES));
+const codePrefixPattern = Joi.string().pattern(/^[A-Z0-9]+$/).max(12);
+const redemptionStatusPattern = Joi.string().valid(...Object.values(REDEMPTION_STATUS));
+
+/**
+ * Create reward validation schema
+ */
+const createRewardSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    name: Joi.string().required().min(1).max(255).trim(),
+    description: Joi.string().optional().allow('').max(2000).trim(),
+    category: rewardCategoryPattern.required(),
+    points_cost: pointsCostPattern.required(),
+    image_url: Joi.string().uri().optional().allow(null),
+    images: Joi.array().items(Joi.string().uri()).max(10).optional().default([]),
+    valid_from: Joi.date().iso().optional().allow(null),
+    valid_until: Joi.date().iso().optional().allow(null)
+      .when('valid_from', {
+        is: Joi.date().required(),
+        then: Joi.date().greater(Joi.ref('valid_from'))
+      }),
+    max_per_member: Joi.number().integer().min(1).optional().allow(null),
+    allowed_tier_ids: Joi.array().items(uuidPattern).unique().optional().default([]),
+    stock_quantity: Joi.number().integer().min(0).optional().allow(null),
+    code_source: codeSourcePattern.optional().default(REWARD_CODE_SOURCES.GENERATED),
+    code_prefix: codePrefixPattern.optional().allow(null),
+    redemption_valid_days: Joi.number().integer().min(1).max(3650).optional().allow(null),
+    status: rewardStatusPattern.optional().default(REWARD_STATUS.ACTIVE),
+    metadata: Joi.object().optional().default({})
+  }).required()
+};
+
+/**
+ * Update reward validation schema
+ */
+const updateRewardSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    name: Joi.string().min(1).max(255).trim().optional(),
+    description: Joi.string().allow('').max(2000).trim().optional(),
+    category: rewardCategoryPattern.optional(),
+    points_cost: pointsCostPattern.optional(),
+    image_url: Joi.string().uri().optional().allow(null),
+    images: Joi.array().items(Joi.string().uri()).max(10).optional(),
+    valid_from: Joi.date().iso().optional().allow(null),
+    valid_until: Joi.date().iso().optional().allow(null),
+    max_per_member: Joi.number().integer().min(1).optional().allow(null),
+    allowed_tier_ids: Joi.array().items(uuidPattern).unique().optional(),
+    stock_quantity: Joi.number().integer().min(0).optional().allow(null),
+    code_source: codeSourcePattern.optional(),
+    code_prefix: codePrefixPattern.optional().allow(null),
+    redemption_valid_days: Joi.number().integer().min(1).max(3650).optional().allow(null),
+    status: rewardStatusPattern.optional(),
+    metadata: Joi.object().optional()
+  }).min(1).required() // At least one field must be provided
+};
+
+/**
+ * Get reward validation schema
+ */
+const getRewardSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * List rewards validation schema
+ */
+const listRewardsSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    status: rewardStatusPattern.optional(),
+    category: rewardCategoryPattern.optional(),
+    search: Joi.string().max(100).trim().optional(),
+    sort_by: Joi.string().valid('name', 'points_cost', 'category', 'valid_until', 'created_at').optional().default('created_at'),
+    sort_order: Joi.string().valid('asc', 'desc').optional().default('desc')
+  }).optional()
+};
+
+/**
+ * Delete reward validation schema
+ */
+const deleteRewardSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Member rewards catalog validation schema
+ */
+const getMemberRewardsSchema = {
+  query: Joi.object({
+    category: rewardCategoryPattern.optional(),
+    eligible_only: Joi.boolean().optional().default(false)
+  }).optional()
+};
+
+/**
+ * Import reward codes validation schema
+ */
+const importRewardCodesSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    codes: Joi.array().items(Joi.string().min(1).max(100).trim()).min(1).max(5000).required()
+  }).required()
+};
+
+/**
+ * List redemptions validation schema
+ */
+const listRedemptionsSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    status: redemptionStatusPattern.optional(),
+    reward_id: uuidPattern.optional(),
+    member_id: uuidPattern.optional(),
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).optional()
+  }).optional()
+};
+
+/**
+ * Fulfill redemption validation schema
+ */
+const fulfillRedemptionSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    notes: Joi.string().max(1000).trim().optional()
+  }).optional()
+};
+
+/**
+ * Cancel redemption validation schema
+ */
+const cancelRedemptionSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    reason: Joi.string().required().min(1).max(500).trim()
+  }).required()
+};
+
+/**
+ * Member reward redemption validation schema
+ */
+const redeemRewardSchema = {
+  params: Joi.object({
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Redeem reward for a member validation schema (brand API keys)
+ */
+const redeemRewardForMemberSchema = {
+  body: Joi.object({
+    member_id: uuidPattern.required()
+  }).required(),
+  params: Joi.object({
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Member redemptions validation schema
+ */
+const getMemberRedemptionsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    status: redemptionStatusPattern.optional()
+  }).optional()
+};
+
+module.exports = {
+  createRewardSchema,
+  updateRewardSchema,
+  getRewardSchema,
+  listRewardsSchema,
+  deleteRewardSchema,
+  getMemberRewardsSchema,
+  importRewardCodesSchema,
+  listRedemptionsSchema,
+  fulfillRedemptionSchema,
+  cancelRedemptionSchema,
+  redeemRewardSchema,
+  redeemRewardForMemberSchema,
+  getMemberRedemptionsSchema
+};
@@ -28,15 +28,15 @@ const createTransactionSchema = {
         'any.required': 'Transaction type is required'
       }),
       
-    points: Joi.number()
+    amount: Joi.number()
       .integer()
-      .min(-VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION)
+      .min(1)
       .max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION)
       .required()
       .messages({
-        'number.min': `Points cannot be less than -${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`,
-        'number.max': `Points cannot exceed ${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`,
-        'number.integer': 'Points must be a whole number',
+        'number.min': 'Amount must be greater than 0',
+        'number.max': `Amount cannot exceed ${VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION}`,
+        'number.integer': 'Amount must be a whole number',
         'any.required': 'Points amount is required'
       }),
       
@@ -75,6 +75,16 @@ const createTransactionSchema = {
       .messages({
         'object.base': 'Metadata must be an object'
       })
+  }),
+
+  params: Joi.object({
+    brandId: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Brand ID must be a valid UUID',
+        'any.required': 'Brand ID is required'
+      })
   })
 };
 
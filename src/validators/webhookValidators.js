@@ -0,0 +1,129 @@
+/**
+ * Webhook Validators
+ * Input validation schemas for brand webhook subscriptions
+ */
+
+const Joi = require('joi');
+const { constants } = require('../utils');
+const { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS } = constants;
+
+// Common validation patterns
+const uuidPattern = Joi.string().uuid();
+const webhookUrlPattern = Joi.string().uri({ scheme: ['http', 'https'] }).max(2048);
+const subscribableEventPattern = Joi.string().valid(
+  ...Object.values(WEBHOOK_EVENTS).filter(event => event !== WEBHOOK_EVENTS.TEST)
+);
+const deliveryStatusPattern = Joi.string().valid(...Object.values(WEBHOOK_DELIVERY_STATUS));
+
+/**
+ * Create webhook subscription validation schema
+ */
+const createWebhookSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    url: webhookUrlPattern.required(),
+    events: Joi.array().items(subscribableEventPattern).min(1).unique().required(),
+    description: Joi.string().max(500).trim().optional().allow('', null),
+    is_active: Joi.boolean().optional().default(true)
+  }).required()
+};
+
+/**
+ * Update webhook subscription validation schema
+ */
+const updateWebhookSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  body: Joi.object({
+    url: webhookUrlPattern.optional(),
+    events: Joi.array().items(subscribableEventPattern).min(1).unique().optional(),
+    description: Joi.string().max(500).trim().optional().allow('', null),
+    is_active: Joi.boolean().optional()
+  }).min(1).required() // At least one field must be provided
+};
+
+/**
+ * Get webhook subscription validation schema
+ */
+const getWebhookSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * List webhook subscriptions validation schema
+ */
+const listWebhooksSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    event: subscribableEventPattern.optional(),
+    is_active: Joi.boolean().optional()
+  }).optional()
+};
+
+/**
+ * Delete webhook subscription validation schema
+ */
+const deleteWebhookSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * List webhook deliveries validation schema
+ */
+const listWebhookDeliveriesSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required(),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    status: deliveryStatusPattern.optional(),
+    event_type: Joi.string().valid(...Object.values(WEBHOOK_EVENTS)).optional()
+  }).optional()
+};
+
+/**
+ * Send webhook test event validation schema
+ */
+const testWebhookSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+/**
+ * Redeliver webhook validation schema
+ */
+const redeliverWebhookSchema = {
+  params: Joi.object({
+    brandId: uuidPattern.required(),
+    id: uuidPattern.required()
+  }).required()
+};
+
+module.exports = {
+  createWebhookSchema,
+  updateWebhookSchema,
+  getWebhookSchema,
+  listWebhooksSchema,
+  deleteWebhookSchema,
+  listWebhookDeliveriesSchema,
+  testWebhookSchema,
+  redeliverWebhookSchema
+};
@@ -5,7 +5,83 @@
 
 const Joi = require('joi');
 const { constants } = require('../utils');
-const { VALIDATION_RULES, WHEEL_ITEM_TYPES } = constants;
+const {
+  VALIDATION_RULES,
+  WHEEL_ITEM_TYPES,
+  WHEEL_BUDGET_TYPES,
+  WHEEL_PITY_RULE_TYPES,
+  WHEEL_PAYMENT_METHODS,
+  WHEEL_VERSION_STATUS,
+  WHEEL_EXPERIMENT_STATUS,
+  SPIN_TICKET_SOURCES,
+  CLAIM_STATUS
+} = constants;
+
+// Stock limits are optional; null means unlimited
+const stockLimitPattern = Joi.number().integer().min(1).allow(null)
+  .messages({ 'number.min': 'Stock limit must be at least 1', 'number.integer': 'Stock limit must be a whole number' });
+const budgetLimitPattern = Joi.number().min(0).allow(null)
+  .when('budget_type', { is: Joi.valid(...Object.values(WHEEL_BUDGET_TYPES)).required(), then: Joi.required() })
+  .messages({ 'any.required': 'Budget limit is required when a budget type is set' });
+// Days a winner has to claim a product or cash prize; null uses WHEEL_PRIZE_CLAIM_DAYS
+const claimWindowPattern = Joi.number().integer().min(1).max(365).allow(null)
+  .messages({ 'number.min': 'Claim window must be at least 1 day', 'number.max': 'Claim window cannot exceed 365 days' });
+
+// Spin costs are optional; null means the wheel does not accept that payment method
+const spinCostPointsPattern = Joi.number().integer().min(1).max(VALIDATION_RULES.MAX_POINTS_PER_TRANSACTION).allow(null)
+  .messages({ 'number.min': 'Spin cost in points must be at least 1', 'number.integer': 'Spin cost in points must be a whole number' });
+const spinCostTicketsPattern = Joi.number().integer().min(1).max(100).allow(null)
+  .messages({ 'number.min': 'Spin cost in tickets must be at least 1', 'number.max': 'Spin cost in tickets cannot exceed 100' });
+const paymentMethodPattern = Joi.string()
+  .valid(...Object.values(WHEEL_PAYMENT_METHODS))
+  .messages({
+    'any.only': `Payment method must be one of: ${Object.values(WHEEL_PAYMENT_METHODS).join(', ')}`
+  });
+
+// Pity rules guarantee a result once a member has gone `spins` spins without it
+const pityRulesPattern = Joi.array()
+  .items(Joi.object({
+    type: Joi.string()
+      .valid(...Object.values(WHEEL_PITY_RULE_TYPES))
+      .required()
+      .messages({
+        'any.only': `Pity rule type must be one of: ${Object.values(WHEEL_PITY_RULE_TYPES).join(', ')}`
+      }),
+    spins: Joi.number()
+      .integer()
+      .min(2)
+      .max(1000)
+      .required()
+      .messages({
+        'number.min': 'Pity rule spins must be at least 2',
+        'number.max': 'Pity rule spins cannot exceed 1000'
+      })
+  }))
+  .max(5)
+  .allow(null)
+  .messages({
+    'array.max': 'A wheel can have at most 5 pity rules'
+  });
+
+/**
+ * Check that item probabilities with each tier's overrides applied still sum to 1.0
+ */
+const checkTierProbabilities = (items, helpers) => {
+  const tierIds = new Set(items.flatMap(item => Object.keys(item.tier_probabilities || {})));
+
+  for (const tierId of tierIds) {
+    const totalProbability = items.reduce((sum, item) => {
+      const override = item.tier_probabilities ? item.tier_probabilities[tierId] : undefined;
+      return sum + (override === undefined ? item.probability : override);
+    }, 0);
+
+    if (Math.abs(totalProbability - 1.0) > 0.001) {
+      return helpers.error('array.tierProbabilitySum', { tierId, totalProbability });
+    }
+  }
+
+  return items;
+};
 
 /**
  * Wheel item validation schema (reusable)
@@ -81,7 +157,46 @@ const wheelItemSchema = Joi.object({
     }),
     
   is_active: Joi.boolean()
-    .default(true)
+    .default(true),
+
+  stock_total: stockLimitPattern.optional(),
+  stock_daily: stockLimitPattern.optional(),
+  stock_per_member: stockLimitPattern.optional(),
+
+  // Receives the probability of items that run out of stock or budget
+  is_fallback: Joi.boolean()
+    .default(false),
+
+  // Counts for the rare_item pity rule
+  is_rare: Joi.boolean()
+    .default(false),
+
+  // Probability for members of a tier, keyed by tier ID; other tiers use probability
+  tier_probabilities: Joi.object()
+    .pattern(
+      Joi.string().uuid(),
+      Joi.number().min(0).max(VALIDATION_RULES.MAX_PROBABILITY)
+    )
+    .allow(null)
+    .optional()
+    .messages({
+      'object.unknown': 'Tier probabilities must be keyed by tier ID'
+    }),
+
+  // Reward whose code pool coupon and discount prizes are issued from
+  reward_id: Joi.string()
+    .uuid()
+    .allow(null)
+    .when('type', {
+      is: Joi.valid(WHEEL_ITEM_TYPES.COUPON, WHEEL_ITEM_TYPES.DISCOUNT).required(),
+      then: Joi.required().invalid(null),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'string.guid': 'Reward ID must be a valid UUID',
+      'any.required': 'Coupon and discount items need a reward to issue codes from',
+      'any.invalid': 'Coupon and discount items need a reward to issue codes from'
+    })
 });
 
 /**
@@ -110,11 +225,11 @@ const createWheelSchema = {
       
     max_spins_per_day: Joi.number()
       .integer()
-      .min(1)
+      .min(0)
       .max(VALIDATION_RULES.MAX_DAILY_SPINS)
       .default(3)
       .messages({
-        'number.min': 'Maximum spins per day must be at least 1',
+        'number.min': 'Maximum spins per day cannot be negative (0 means every spin must be paid for)',
         'number.max': `Maximum spins per day cannot exceed ${VALIDATION_RULES.MAX_DAILY_SPINS}`,
         'number.integer': 'Maximum spins per day must be a whole number'
       }),
@@ -148,12 +263,34 @@ const createWheelSchema = {
       
     is_active: Joi.boolean()
       .default(true),
+
+    budget_type: Joi.string()
+      .valid(...Object.values(WHEEL_BUDGET_TYPES))
+      .allow(null)
+      .optional()
+      .messages({
+        'any.only': `Budget type must be one of: ${Object.values(WHEEL_BUDGET_TYPES).join(', ')}`
+      }),
+
+    budget_limit: budgetLimitPattern,
+
+    claim_window_days: claimWindowPattern.optional(),
+
+    provably_fair: Joi.boolean()
+      .default(false),
+
+    spin_cost_points: spinCostPointsPattern.optional(),
+
+    spin_cost_tickets: spinCostTicketsPattern.optional(),
+
+    pity_rules: pityRulesPattern.optional(),
       
     items: Joi.array()
       .items(wheelItemSchema)
       .min(2)
       .max(20)
       .required()
+      .unique((a, b) => a.is_fallback && b.is_fallback)
       .custom((value, helpers) => {
         // Validate that probabilities sum to 1.0
         const totalProbability = value.reduce((sum, item) => sum + item.probability, 0);
@@ -165,10 +302,13 @@ const createWheelSchema = {
         
         return value;
       })
+      .custom(checkTierProbabilities)
       .messages({
         'array.min': 'Wheel must have at least 2 items',
         'array.max': 'Wheel cannot have more than 20 items',
+        'array.unique': 'Only one item can be the fallback item',
         'array.probabilitySum': 'Item probabilities must sum to 1.0 (current sum: {{#totalProbability}})',
+        'array.tierProbabilitySum': 'Item probabilities for tier {{#tierId}} must sum to 1.0 (current sum: {{#totalProbability}})',
         'any.required': 'Wheel items are required'
       })
   })
@@ -198,11 +338,11 @@ const updateWheelSchema = {
       
     max_spins_per_day: Joi.number()
       .integer()
-      .min(1)
+      .min(0)
       .max(VALIDATION_RULES.MAX_DAILY_SPINS)
       .optional()
       .messages({
-        'number.min': 'Maximum spins per day must be at least 1',
+        'number.min': 'Maximum spins per day cannot be negative (0 means every spin must be paid for)',
         'number.max': `Maximum spins per day cannot exceed ${VALIDATION_RULES.MAX_DAILY_SPINS}`,
         'number.integer': 'Maximum spins per day must be a whole number'
       }),
@@ -234,7 +374,27 @@ const updateWheelSchema = {
         'date.min': 'End date must be after start date'
       }),
       
-    is_active: Joi.boolean().optional()
+    is_active: Joi.boolean().optional(),
+
+    budget_type: Joi.string()
+      .valid(...Object.values(WHEEL_BUDGET_TYPES))
+      .allow(null)
+      .optional()
+      .messages({
+        'any.only': `Budget type must be one of: ${Object.values(WHEEL_BUDGET_TYPES).join(', ')}`
+      }),
+
+    budget_limit: budgetLimitPattern,
+
+    claim_window_days: claimWindowPattern.optional(),
+
+    provably_fair: Joi.boolean().optional(),
+
+    spin_cost_points: spinCostPointsPattern.optional(),
+
+    spin_cost_tickets: spinCostTicketsPattern.optional(),
+
+    pity_rules: pityRulesPattern.optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
@@ -262,6 +422,7 @@ const updateWheelItemsSchema = {
       .min(2)
       .max(20)
       .required()
+      .unique((a, b) => a.is_fallback && b.is_fallback)
       .custom((value, helpers) => {
         // Validate that probabilities sum to 1.0
         const totalProbability = value.reduce((sum, item) => sum + item.probability, 0);
@@ -273,10 +434,13 @@ const updateWheelItemsSchema = {
         
         return value;
       })
+      .custom(checkTierProbabilities)
       .messages({
         'array.min': 'Wheel must have at least 2 items',
         'array.max': 'Wheel cannot have more than 20 items',
+        'array.unique': 'Only one item can be the fallback item',
         'array.probabilitySum': 'Item probabilities must sum to 1.0 (current sum: {{#totalProbability}})',
+        'array.tierProbabilitySum': 'Item probabilities for tier {{#tierId}} must sum to 1.0 (current sum: {{#totalProbability}})',
         'any.required': 'Wheel items are required'
       })
   }),
@@ -347,7 +511,9 @@ const spinWheelSchema = {
       .messages({
         'string.uuid': 'Member ID must be a valid UUID',
         'any.required': 'Member ID is required'
-      })
+      }),
+
+    payment_method: paymentMethodPattern.default(WHEEL_PAYMENT_METHODS.FREE)
   }),
   
   params: Joi.object({
@@ -454,6 +620,331 @@ const getItemPerformanceSchema = {
   })
 };
 
+/**
+ * Simulate wheel validation schema (admin). Settings that are left out use the wheel's current configuration.
+ */
+const simulateWheelSchema = {
+  params: Joi.object({
+    brandId: Joi.string().uuid().required(),
+    id: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Wheel ID must be a valid UUID',
+        'any.required': 'Wheel ID is required'
+      })
+  }),
+
+  body: Joi.object({
+    spins: Joi.number()
+      .integer()
+      .min(1)
+      .max(100000)
+      .default(10000)
+      .messages({
+        'number.min': 'Simulate at least 1 spin',
+        'number.max': 'A simulation cannot exceed 100000 spins'
+      }),
+
+    // Simulated members the spins are shared between, for per-member stock and pity rules
+    members: Joi.number()
+      .integer()
+      .min(1)
+      .max(10000)
+      .default(100)
+      .messages({
+        'number.max': 'A simulation cannot exceed 10000 members'
+      }),
+
+    // Spins per day, for daily stock and the budget burn-down; defaults to every member using their daily spins
+    spins_per_day: Joi.number()
+      .integer()
+      .min(1)
+      .optional(),
+
+    tier_id: Joi.string()
+      .uuid()
+      .optional()
+      .messages({
+        'string.guid': 'Tier ID must be a valid UUID'
+      }),
+
+    items: createWheelSchema.body.extract('items').optional(),
+
+    pity_rules: pityRulesPattern.optional(),
+
+    budget_type: Joi.string()
+      .valid(...Object.values(WHEEL_BUDGET_TYPES))
+      .allow(null)
+      .optional()
+      .messages({
+        'any.only': `Budget type must be one of: ${Object.values(WHEEL_BUDGET_TYPES).join(', ')}`
+      }),
+
+    budget_limit: budgetLimitPattern,
+
+    spin_cost_points: spinCostPointsPattern.optional()
+  })
+};
+
+/**
+ * Get wheel probability drift validation schema (admin)
+ */
+const getWheelDriftSchema = {
+  params: Joi.object({
+    brandId: Joi.string().uuid().required(),
+    id: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Wheel ID must be a valid UUID',
+        'any.required': 'Wheel ID is required'
+      })
+  })
+};
+
+// Route params of a wheel and of one of its versions (admin)
+const wheelAdminParams = Joi.object({
+  brandId: Joi.string().uuid().required(),
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Wheel ID must be a valid UUID',
+      'any.required': 'Wheel ID is required'
+    })
+});
+const wheelVersionParams = wheelAdminParams.keys({
+  versionId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Version ID must be a valid UUID',
+      'any.required': 'Version ID is required'
+    })
+});
+
+/**
+ * List wheel versions validation schema (admin)
+ */
+const listWheelVersionsSchema = {
+  params: wheelAdminParams,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string()
+      .valid(...Object.values(WHEEL_VERSION_STATUS))
+      .optional()
+      .messages({
+        'any.only': `Status must be one of: ${Object.values(WHEEL_VERSION_STATUS).join(', ')}`
+      })
+  })
+};
+
+/**
+ * Create draft wheel version validation schema (admin)
+ */
+const createWheelVersionSchema = {
+  params: wheelAdminParams,
+  body: Joi.object({
+    items: updateWheelItemsSchema.body.extract('items'),
+
+    // Defaults to the wheel's current pity rules
+    pity_rules: pityRulesPattern.optional(),
+
+    notes: Joi.string()
+      .max(500)
+      .trim()
+      .optional()
+      .allow('')
+      .messages({
+        'string.max': 'Notes must not exceed 500 characters'
+      })
+  })
+};
+
+/**
+ * Get wheel version validation schema (admin)
+ */
+const getWheelVersionSchema = {
+  params: wheelVersionParams
+};
+
+/**
+ * Diff wheel versions validation schema (admin)
+ */
+const diffWheelVersionsSchema = {
+  params: wheelAdminParams,
+  query: Joi.object({
+    from: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'any.required': 'The version to compare from is required'
+      }),
+    to: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'any.required': 'The version to compare to is required'
+      })
+  })
+};
+
+/**
+ * Publish wheel version validation schema (admin)
+ */
+const publishWheelVersionSchema = {
+  params: wheelVersionParams,
+  body: Joi.object({
+    // Schedules the version instead of publishing it now
+    publish_at: Joi.date()
+      .iso()
+      .greater('now')
+      .optional()
+      .messages({
+        'date.format': 'Publish time must be in ISO format',
+        'date.greater': 'Publish time must be in the future'
+      })
+  })
+};
+
+/**
+ * Unschedule wheel version validation schema (admin)
+ */
+const unscheduleWheelVersionSchema = {
+  params: wheelVersionParams
+};
+
+/**
+ * Roll back to wheel version validation schema (admin)
+ */
+const rollbackWheelVersionSchema = {
+  params: wheelVersionParams
+};
+
+// Route params of one of a wheel's experiments (admin)
+const wheelExperimentParams = wheelAdminParams.keys({
+  experimentId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Experiment ID must be a valid UUID',
+      'any.required': 'Experiment ID is required'
+    })
+});
+
+/**
+ * List wheel experiments validation schema (admin)
+ */
+const listWheelExperimentsSchema = {
+  params: wheelAdminParams,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string()
+      .valid(...Object.values(WHEEL_EXPERIMENT_STATUS))
+      .optional()
+      .messages({
+        'any.only': `Status must be one of: ${Object.values(WHEEL_EXPERIMENT_STATUS).join(', ')}`
+      })
+  })
+};
+
+/**
+ * Create wheel experiment validation schema (admin)
+ */
+const createWheelExperimentSchema = {
+  params: wheelAdminParams,
+  body: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(255)
+      .trim()
+      .required()
+      .messages({
+        'string.max': 'Experiment name must not exceed 255 characters',
+        'any.required': 'Experiment name is required'
+      }),
+
+    description: Joi.string()
+      .max(1000)
+      .trim()
+      .optional()
+      .allow(''),
+
+    // The first variant is the control the others are compared to
+    variants: Joi.array()
+      .items(Joi.object({
+        key: Joi.string()
+          .pattern(/^[a-z0-9_-]+$/)
+          .max(50)
+          .required()
+          .messages({
+            'string.pattern.base': 'Variant key may only contain lowercase letters, numbers, hyphens and underscores',
+            'any.required': 'Variant key is required'
+          }),
+        name: Joi.string()
+          .max(255)
+          .trim()
+          .optional(),
+        // Relative share of members bucketed into the variant
+        weight: Joi.number()
+          .integer()
+          .min(1)
+          .required()
+          .messages({
+            'number.min': 'Variant weight must be at least 1',
+            'any.required': 'Variant weight is required'
+          }),
+        wheel_version_id: Joi.string()
+          .uuid()
+          .required()
+          .messages({
+            'any.required': 'Variant wheel version is required'
+          })
+      }))
+      .min(2)
+      .max(10)
+      .unique('key')
+      .required()
+      .messages({
+        'array.min': 'An experiment needs at least 2 variants',
+        'array.max': 'An experiment cannot have more than 10 variants',
+        'array.unique': 'Variant keys must be unique',
+        'any.required': 'Experiment variants are required'
+      })
+  })
+};
+
+/**
+ * Get wheel experiment validation schema (admin)
+ */
+const getWheelExperimentSchema = {
+  params: wheelExperimentParams
+};
+
+/**
+ * Start wheel experiment validation schema (admin)
+ */
+const startWheelExperimentSchema = {
+  params: wheelExperimentParams
+};
+
+/**
+ * Stop wheel experiment validation schema (admin)
+ */
+const stopWheelExperimentSchema = {
+  params: wheelExperimentParams
+};
+
+/**
+ * Get wheel experiment results validation schema (admin)
+ */
+const getWheelExperimentResultsSchema = {
+  params: wheelExperimentParams
+};
+
 /**
  * Check member spin eligibility validation schema
  */
@@ -531,6 +1022,254 @@ const validateWheelProbabilitiesSchema = {
   })
 };
 
+const claimStatusPattern = Joi.string()
+  .valid(...Object.values(CLAIM_STATUS))
+  .messages({
+    'any.only': `Status must be one of: ${Object.values(CLAIM_STATUS).join(', ')}`
+  });
+
+const claimParamsSchema = Joi.object({
+  brandId: Joi.string().uuid().required(),
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Claim ID must be a valid UUID',
+      'any.required': 'Claim ID is required'
+    })
+});
+
+/**
+ * List prize claims validation schema (admin review queue)
+ */
+const listPrizeClaimsSchema = {
+  params: Joi.object({
+    brandId: Joi.string().uuid().required()
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: claimStatusPattern.optional(),
+    prize_type: Joi.string().valid(...Object.values(WHEEL_ITEM_TYPES)).optional(),
+    wheel_id: Joi.string().uuid().optional(),
+    member_id: Joi.string().uuid().optional()
+  })
+};
+
+/**
+ * Member prize claims validation schema
+ */
+const getMemberPrizeClaimsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: claimStatusPattern.optional()
+  })
+};
+
+/**
+ * Submit prize claim details validation schema (member portal).
+ * Product prizes need a shipping address and cash prizes need bank details; the service checks which.
+ */
+const submitPrizeClaimSchema = {
+  params: Joi.object({
+    id: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Claim ID must be a valid UUID',
+        'any.required': 'Claim ID is required'
+      })
+  }),
+
+  body: Joi.object({
+    shipping_address: Joi.object({
+      recipient_name: Joi.string().max(255).trim().required(),
+      line1: Joi.string().max(255).trim().required(),
+      line2: Joi.string().max(255).trim().optional().allow(null, ''),
+      city: Joi.string().max(100).trim().required(),
+      region: Joi.string().max(100).trim().optional().allow(null, ''),
+      postal_code: Joi.string().max(20).trim().required(),
+      country: Joi.string().max(100).trim().required(),
+      phone: Joi.string().max(30).trim().optional().allow(null, '')
+    }).optional(),
+
+    bank_details: Joi.object({
+      account_holder: Joi.string().max(255).trim().required(),
+      bank_name: Joi.string().max(255).trim().required(),
+      account_number: Joi.string().max(50).trim().required(),
+      routing_code: Joi.string().max(50).trim().optional().allow(null, '')
+    }).optional(),
+
+    notes: Joi.string().max(1000).trim().optional().allow(null, '')
+  }).required()
+};
+
+/**
+ * Approve prize claim validation schema
+ */
+const approvePrizeClaimSchema = {
+  params: claimParamsSchema,
+
+  body: Joi.object({
+    notes: Joi.string().max(1000).trim().optional()
+  }).optional()
+};
+
+/**
+ * Reject prize claim validation schema
+ */
+const rejectPrizeClaimSchema = {
+  params: claimParamsSchema,
+
+  body: Joi.object({
+    reason: Joi.string()
+      .min(1)
+      .max(500)
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Rejection reason is required'
+      })
+  }).required()
+};
+
+/**
+ * Ship prize claim validation schema
+ */
+const shipPrizeClaimSchema = {
+  params: claimParamsSchema,
+
+  body: Joi.object({
+    carrier: Joi.string().max(100).trim().required(),
+    tracking_number: Joi.string().max(100).trim().required(),
+    notes: Joi.string().max(1000).trim().optional()
+  }).required()
+};
+
+const wheelIdParamsSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Wheel ID must be a valid UUID',
+      'any.required': 'Wheel ID is required'
+    })
+});
+
+/**
+ * Get provably fair seed pair validation schema (member portal)
+ */
+const getWheelSeedSchema = {
+  params: wheelIdParamsSchema
+};
+
+/**
+ * Rotate provably fair seed pair validation schema (member portal)
+ */
+const rotateWheelSeedSchema = {
+  params: wheelIdParamsSchema,
+
+  body: Joi.object({
+    client_seed: Joi.string()
+      .trim()
+      .min(1)
+      .max(64)
+      .optional()
+      .messages({
+        'string.max': 'Client seed cannot exceed 64 characters'
+      })
+  })
+};
+
+/**
+ * Verify provably fair spin validation schema
+ */
+const verifySpinSchema = {
+  params: Joi.object({
+    spinId: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'Spin ID must be a valid UUID',
+        'any.required': 'Spin ID is required'
+      })
+  })
+};
+
+const ticketQuantityPattern = (max) => Joi.number()
+  .integer()
+  .min(1)
+  .max(max)
+  .required()
+  .messages({
+    'number.min': 'Ticket quantity must be at least 1',
+    'number.max': `Ticket quantity cannot exceed ${max}`,
+    'any.required': 'Ticket quantity is required'
+  });
+
+const ticketHistoryQuery = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  source: Joi.string().valid(...Object.values(SPIN_TICKET_SOURCES)).optional()
+});
+
+/**
+ * Member spin ticket history validation schema (member portal)
+ */
+const getSpinTicketHistorySchema = {
+  query: ticketHistoryQuery
+};
+
+/**
+ * Buy spin tickets with points validation schema (member portal)
+ */
+const purchaseSpinTicketsSchema = {
+  body: Joi.object({
+    quantity: ticketQuantityPattern(100)
+  }).required()
+};
+
+const memberTicketParamsSchema = Joi.object({
+  brandId: Joi.string().uuid().required(),
+  memberId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Member ID must be a valid UUID',
+      'any.required': 'Member ID is required'
+    })
+});
+
+/**
+ * Get a member's spin tickets validation schema (admin)
+ */
+const getMemberSpinTicketsSchema = {
+  params: memberTicketParamsSchema,
+
+  query: ticketHistoryQuery
+};
+
+/**
+ * Grant spin tickets validation schema (admin)
+ */
+const grantSpinTicketsSchema = {
+  params: memberTicketParamsSchema,
+
+  body: Joi.object({
+    quantity: ticketQuantityPattern(1000),
+    reason: Joi.string()
+      .min(1)
+      .max(255)
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Reason is required'
+      })
+  }).required()
+};
+
 module.exports = {
   createWheelSchema,
   updateWheelSchema,
@@ -543,7 +1282,35 @@ module.exports = {
   getMemberSpinHistorySchema,
   getWheelStatisticsSchema,
   getItemPerformanceSchema,
+  simulateWheelSchema,
+  getWheelDriftSchema,
+  listWheelVersionsSchema,
+  createWheelVersionSchema,
+  getWheelVersionSchema,
+  diffWheelVersionsSchema,
+  publishWheelVersionSchema,
+  unscheduleWheelVersionSchema,
+  rollbackWheelVersionSchema,
+  listWheelExperimentsSchema,
+  createWheelExperimentSchema,
+  getWheelExperimentSchema,
+  startWheelExperimentSchema,
+  stopWheelExperimentSchema,
+  getWheelExperimentResultsSchema,
   checkSpinEligibilitySchema,
   getMemberDailySpinCountSchema,
-  validateWheelProbabilitiesSchema
+  validateWheelProbabilitiesSchema,
+  listPrizeClaimsSchema,
+  getMemberPrizeClaimsSchema,
+  submitPrizeClaimSchema,
+  approvePrizeClaimSchema,
+  rejectPrizeClaimSchema,
+  shipPrizeClaimSchema,
+  getWheelSeedSchema,
+  rotateWheelSeedSchema,
+  verifySpinSchema,
+  getSpinTicketHistorySchema,
+  purchaseSpinTicketsSchema,
+  getMemberSpinTicketsSchema,
+  grantSpinTicketsSchema
 };
\ No newline at end of file
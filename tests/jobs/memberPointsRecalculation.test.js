@@ -0,0 +1,75 @@
+/**
+ * Member Points Recalculation Job Tests
+ * Covers which completed transactions count towards lifetime earned and redeemed totals
+ */
+
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../../config/database', () => ({
+  connect: jest.fn(async () => mockClient)
+}));
+
+const memberPointsRecalculationJob = require('../../src/jobs/memberPointsRecalculation');
+
+describe('memberPointsRecalculation job', () => {
+  // Amounts are stored unsigned, as the services write them
+  const transactions = [
+    { member_id: 'member-1', type: 'credit', amount: 500, status: 'completed' },
+    { member_id: 'member-1', type: 'debit', amount: 200, status: 'completed' },
+    { member_id: 'member-1', type: 'refund', amount: 50, status: 'completed' },
+    { member_id: 'member-1', type: 'points_expired', amount: 100, status: 'completed' },
+    { member_id: 'member-1', type: 'credit', amount: 80, status: 'pending' }
+  ];
+
+  const members = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    members['member-1'] = { total_points_earned: 0, total_points_redeemed: 0 };
+
+    // Applies the job's type filters to the rows above the way PostgreSQL would
+    mockClient.query.mockImplementation(async (sql, params) => {
+      if (!sql.includes('UPDATE members')) {
+        return { rows: [], rowCount: 0 };
+      }
+
+      const [earningTypes, redeemingTypes] = params;
+      const sum = (memberId, types) => transactions
+        .filter(row => row.member_id === memberId && row.status === 'completed' && types.includes(row.type))
+        .reduce((total, row) => total + Math.abs(row.amount), 0);
+
+      for (const memberId of Object.keys(members)) {
+        members[memberId] = {
+          total_points_earned: sum(memberId, earningTypes),
+          total_points_redeemed: sum(memberId, redeemingTypes)
+        };
+      }
+      return { rows: [], rowCount: Object.keys(members).length };
+    });
+  });
+
+  test('should not count debits as earned points', async () => {
+    const result = await memberPointsRecalculationJob.run();
+
+    expect(members['member-1']).toEqual({ total_points_earned: 500, total_points_redeemed: 200 });
+    expect(result.updatedCount).toBe(1);
+    expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('should roll back when the recalculation fails', async () => {
+    mockClient.query.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE members')) {
+        throw new Error('deadlock detected');
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    await expect(memberPointsRecalculationJob.run()).rejects.toThrow('deadlock detected');
+    expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * API Key Authentication Middleware Tests
+ * Covers key lookup, rejection reasons and scope checks
+ */
+
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+
+const mockApiKeyRepository = {
+  findByHash: jest.fn(),
+  touchLastUsed: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  ApiKeyRepository: jest.fn(() => mockApiKeyRepository)
+}));
+
+const { logger } = require('../../src/utils');
+const { validateApiKey, requireApiKeyScope } = require('../../src/middleware/auth');
+
+const plainKey = `ek_${'a1'.repeat(32)}`;
+const keyHash = crypto.createHash('sha256').update(plainKey).digest('hex');
+
+const buildStoredKey = (overrides = {}) => ({
+  id: 'key-1',
+  brand_id: 'brand-1',
+  name: 'POS integration',
+  scopes: ['points:credit'],
+  expires_at: null,
+  revoked_at: null,
+  brand_status: 'active',
+  ...overrides
+});
+
+const app = express();
+app.get('/integration/points', validateApiKey, requireApiKeyScope('points:credit'), (req, res) => {
+  res.json({ success: true, apiKey: req.apiKey });
+});
+app.get('/integration/spins', validateApiKey, requireApiKeyScope(['wheels:spin']), (req, res) => {
+  res.json({ success: true });
+});
+
+describe('API key authentication', () => {
+  beforeEach(() => {
+    mockApiKeyRepository.touchLastUsed.mockResolvedValue();
+  });
+
+  test('should reject requests without a key', async () => {
+    const response = await request(app).get('/integration/points');
+
+    expect(response.status).toBe(401);
+    expect(mockApiKeyRepository.findByHash).not.toHaveBeenCalled();
+  });
+
+  test('should look the key up by its hash and attach it to the request', async () => {
+    mockApiKeyRepository.findByHash.mockResolvedValue(buildStoredKey());
+
+    const response = await request(app)
+      .get('/integration/points')
+      .set('x-api-key', plainKey);
+
+    expect(response.status).toBe(200);
+    expect(mockApiKeyRepository.findByHash).toHaveBeenCalledWith(keyHash);
+    expect(mockApiKeyRepository.touchLastUsed).toHaveBeenCalledWith('key-1', expect.any(String));
+    expect(response.body.apiKey).toEqual({
+      id: 'key-1',
+      name: 'POS integration',
+      brand_id: 'brand-1',
+      scopes: ['points:credit']
+    });
+  });
+
+  test.each([
+    ['unknown', null],
+    ['revoked', buildStoredKey({ revoked_at: new Date().toISOString() })],
+    ['expired', buildStoredKey({ expires_at: new Date(Date.now() - 1000).toISOString() })],
+    ['brand inactive', buildStoredKey({ brand_status: 'suspended' })]
+  ])('should reject %s keys', async (reason, storedKey) => {
+    mockApiKeyRepository.findByHash.mockResolvedValue(storedKey);
+
+    const response = await request(app)
+      .get('/integration/points')
+      .set('x-api-key', plainKey);
+
+    expect(response.status).toBe(401);
+    expect(mockApiKeyRepository.touchLastUsed).not.toHaveBeenCalled();
+  });
+
+  test('should not fail the request when usage tracking fails, but log the failure', async () => {
+    const errorSpy = jest.spyOn(logger, 'error');
+    mockApiKeyRepository.findByHash.mockResolvedValue(buildStoredKey());
+    mockApiKeyRepository.touchLastUsed.mockRejectedValue(new Error('connection lost'));
+
+    const response = await request(app)
+      .get('/integration/points')
+      .set('x-api-key', plainKey);
+
+    expect(response.status).toBe(200);
+    expect(errorSpy).toHaveBeenCalledWith('API key usage tracking failed', expect.objectContaining({
+      error: 'connection lost',
+      apiKeyId: 'key-1'
+    }));
+    errorSpy.mockRestore();
+  });
+
+  test('should forbid keys missing a required scope', async () => {
+    mockApiKeyRepository.findByHash.mockResolvedValue(buildStoredKey());
+
+    const response = await request(app)
+      .get('/integration/spins')
+      .set('x-api-key', plainKey);
+
+    expect(response.status).toBe(403);
+  });
+});
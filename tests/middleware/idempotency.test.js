@@ -0,0 +1,170 @@
+/**
+ * Idempotency Middleware Tests
+ * Covers key reservation, response replay, payload mismatches and key release
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const mockIdempotencyKeyRepository = {
+  reserve: jest.fn(),
+  findActive: jest.fn(),
+  complete: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  IdempotencyKeyRepository: jest.fn(() => mockIdempotencyKeyRepository)
+}));
+
+const { idempotent, fingerprintRequest } = require('../../src/middleware/idempotency');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const handler = jest.fn((req, res) => {
+  if (req.body.fail) {
+    return res.status(500).json({ success: false, message: 'Spin failed' });
+  }
+  return res.status(201).json({ success: true, data: { spin: { id: 'spin-1', points: req.body.points } } });
+});
+
+const app = express();
+app.use(express.json());
+app.post('/api/member/wheels/:id/spin', (req, res, next) => {
+  req.user = { member_id: 'member-1', brand_id: 'brand-1' };
+  next();
+}, idempotent, handler);
+app.use(errorHandler);
+
+// Lets the response listeners store or release the key
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const spinFingerprint = (body) => fingerprintRequest({ method: 'POST', originalUrl: '/api/member/wheels/wheel-1/spin', body });
+
+describe('Idempotency middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockIdempotencyKeyRepository.complete.mockResolvedValue({});
+    mockIdempotencyKeyRepository.release.mockResolvedValue(true);
+  });
+
+  test('should pass requests without a key straight through', async () => {
+    const response = await request(app).post('/api/member/wheels/wheel-1/spin').send({ points: 10 });
+
+    expect(response.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(mockIdempotencyKeyRepository.reserve).not.toHaveBeenCalled();
+  });
+
+  test('should reserve the key for the caller and store the response', async () => {
+    mockIdempotencyKeyRepository.reserve.mockResolvedValue({ id: 'key-1' });
+
+    const response = await request(app)
+      .post('/api/member/wheels/wheel-1/spin')
+      .set('Idempotency-Key', 'spin-attempt-1')
+      .send({ points: 10 });
+    await flush();
+
+    expect(response.status).toBe(201);
+    expect(mockIdempotencyKeyRepository.reserve).toHaveBeenCalledWith({
+      scope: 'member:member-1',
+      idempotency_key: 'spin-attempt-1',
+      fingerprint: spinFingerprint({ points: 10 }),
+      method: 'POST',
+      path: '/api/member/wheels/wheel-1/spin'
+    }, expect.any(Date));
+    expect(mockIdempotencyKeyRepository.complete).toHaveBeenCalledWith('key-1', 201, response.body);
+    expect(mockIdempotencyKeyRepository.release).not.toHaveBeenCalled();
+  });
+
+  test('should replay the stored response for a retry without running the handler', async () => {
+    const storedBody = { success: true, data: { spin: { id: 'spin-1', points: 10 } } };
+    mockIdempotencyKeyRepository.reserve.mockResolvedValue(null);
+    mockIdempotencyKeyRepository.findActive.mockResolvedValue({
+      id: 'key-1',
+      status: 'completed',
+      fingerprint: spinFingerprint({ points: 10 }),
+      response_status: 201,
+      response_body: storedBody
+    });
+
+    const response = await request(app)
+      .post('/api/member/wheels/wheel-1/spin')
+      .set('Idempotency-Key', 'spin-attempt-1')
+      .send({ points: 10 });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual(storedBody);
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(mockIdempotencyKeyRepository.findActive).toHaveBeenCalledWith('member:member-1', 'spin-attempt-1');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should reject a key reused with a different payload', async () => {
+    mockIdempotencyKeyRepository.reserve.mockResolvedValue(null);
+    mockIdempotencyKeyRepository.findActive.mockResolvedValue({
+      id: 'key-1',
+      status: 'completed',
+      fingerprint: spinFingerprint({ points: 10 }),
+      response_status: 201,
+      response_body: {}
+    });
+
+    const response = await request(app)
+      .post('/api/member/wheels/wheel-1/spin')
+      .set('Idempotency-Key', 'spin-attempt-1')
+      .send({ points: 99 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should reject a retry while the first request is still running', async () => {
+    mockIdempotencyKeyRepository.reserve.mockResolvedValue(null);
+    mockIdempotencyKeyRepository.findActive.mockResolvedValue({
+      id: 'key-1',
+      status: 'in_progress',
+      fingerprint: spinFingerprint({ points: 10 })
+    });
+
+    const response = await request(app)
+      .post('/api/member/wheels/wheel-1/spin')
+      .set('Idempotency-Key', 'spin-attempt-1')
+      .send({ points: 10 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should release the key when the request fails with a server error', async () => {
+    mockIdempotencyKeyRepository.reserve.mockResolvedValue({ id: 'key-2' });
+
+    const response = await request(app)
+      .post('/api/member/wheels/wheel-1/spin')
+      .set('Idempotency-Key', 'spin-attempt-2')
+      .send({ points: 10, fail: true });
+    await flush();
+
+    expect(response.status).toBe(500);
+    expect(mockIdempotencyKeyRepository.release).toHaveBeenCalledWith('key-2');
+    expect(mockIdempotencyKeyRepository.complete).not.toHaveBeenCalled();
+  });
+
+  test('should reject keys that are too long', async () => {
+    const response = await request(app)
+      .post('/api/member/wheels/wheel-1/spin')
+      .set('Idempotency-Key', 'k'.repeat(256))
+      .send({ points: 10 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(mockIdempotencyKeyRepository.reserve).not.toHaveBeenCalled();
+  });
+
+  test('should fingerprint payloads regardless of key order', () => {
+    expect(spinFingerprint({ a: 1, b: { c: 2, d: 3 } })).toBe(spinFingerprint({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(spinFingerprint({ a: 1 })).not.toBe(spinFingerprint({ a: 2 }));
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Member Repository Tests
+ * Covers automatic tier checks for members whose tier was set by hand or won as a prize
+ */
+
+const MemberRepository = require('../../src/repositories/MemberRepository');
+
+describe('MemberRepository', () => {
+  let repository;
+  let member;
+
+  const tiers = [
+    { id: 'tier-bronze', name: 'Bronze', sort_order: 1, min_points_required: 0, max_points_required: 999 },
+    { id: 'tier-silver', name: 'Silver', sort_order: 2, min_points_required: 1000, max_points_required: 4999 },
+    { id: 'tier-gold', name: 'Gold', sort_order: 3, min_points_required: 5000, max_points_required: null }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repository = new MemberRepository();
+    member = {
+      id: 'member-1',
+      brand_id: 'brand-1',
+      tier_id: 'tier-bronze',
+      tier_manual: false,
+      points_balance: 200,
+      total_points_earned: 200
+    };
+
+    jest.spyOn(repository, 'findById').mockImplementation(async () => ({ ...member }));
+    jest.spyOn(repository, 'findByIdForUpdate').mockImplementation(async () => ({ ...member }));
+    jest.spyOn(repository, 'update').mockImplementation(async (id, data) => {
+      member = { ...member, ...data };
+      return { ...member };
+    });
+    jest.spyOn(repository, 'createTierHistory').mockResolvedValue({});
+    jest.spyOn(repository, 'query').mockImplementation(async (sql, params) => {
+      if (sql.includes('min_points_required <=')) {
+        const totalPoints = params[1];
+        const tier = tiers.find(t => t.min_points_required <= totalPoints
+          && (t.max_points_required === null || t.max_points_required >= totalPoints));
+        return { rows: tier ? [tier] : [] };
+      }
+      if (sql.includes('SELECT sort_order FROM membership_tiers')) {
+        return { rows: tiers.filter(t => t.id === params[0]) };
+      }
+      return { rows: [] };
+    });
+
+    repository.ledgerRepository = { postMemberMovement: jest.fn() };
+    repository.pointsLotRepository = { createLot: jest.fn(), consumeFifo: jest.fn() };
+    repository.notificationRepository = { create: jest.fn() };
+    repository.webhookDeliveryRepository = { enqueueEvent: jest.fn() };
+  });
+
+  test('should keep a tier won as a prize when the member earns points afterwards', async () => {
+    await repository.manualTierUpgrade('member-1', 'tier-silver', null, 'wheel_prize', 'tx-client');
+    expect(member).toMatchObject({ tier_id: 'tier-silver', tier_manual: true });
+
+    await repository.updatePoints('member-1', 50, 'points_earned', 'tx-client', 'tx-1');
+
+    expect(member).toMatchObject({ tier_id: 'tier-silver', tier_manual: true, total_points_earned: 250 });
+    expect(repository.createTierHistory).toHaveBeenCalledTimes(1);
+  });
+
+  test('should move a member past a won tier once their points earn a higher one', async () => {
+    await repository.manualTierUpgrade('member-1', 'tier-silver', null, 'wheel_prize', 'tx-client');
+
+    await repository.updatePoints('member-1', 5000, 'points_earned', 'tx-client', 'tx-1');
+
+    expect(member).toMatchObject({ tier_id: 'tier-gold', tier_manual: false });
+    expect(repository.createTierHistory).toHaveBeenLastCalledWith(expect.objectContaining({
+      from_tier_id: 'tier-silver',
+      to_tier_id: 'tier-gold',
+      reason: 'points_earned'
+    }), 'tx-client');
+  });
+
+  test('should still move members without a manual tier to the tier their points earn', async () => {
+    await repository.updatePoints('member-1', 1000, 'points_earned', 'tx-client', 'tx-1');
+
+    expect(member).toMatchObject({ tier_id: 'tier-silver', tier_manual: false });
+  });
+});
@@ -31,22 +31,94 @@ jest.mock('../../src/validators', () => ({
     listMembersSchema: {},
     createMemberSchema: {},
     getMemberSchema: {},
-    updateMemberSchema: {}
+    updateMemberSchema: {},
+    updateMemberPointsSchema: {}
   },
   missionValidators: {
     listMissionsSchema: {},
-    createMissionSchema: {}
+    createMissionSchema: {},
+    listQuestsSchema: {},
+    createQuestSchema: {},
+    getQuestSchema: {},
+    updateQuestSchema: {}
   },
   wheelValidators: {
     listWheelsSchema: {},
-    createWheelSchema: {}
+    createWheelSchema: {},
+    simulateWheelSchema: {},
+    getWheelDriftSchema: {},
+    listWheelVersionsSchema: {},
+    createWheelVersionSchema: {},
+    getWheelVersionSchema: {},
+    diffWheelVersionsSchema: {},
+    publishWheelVersionSchema: {},
+    unscheduleWheelVersionSchema: {},
+    rollbackWheelVersionSchema: {},
+    listWheelExperimentsSchema: {},
+    createWheelExperimentSchema: {},
+    getWheelExperimentSchema: {},
+    startWheelExperimentSchema: {},
+    stopWheelExperimentSchema: {},
+    getWheelExperimentResultsSchema: {},
+    listPrizeClaimsSchema: {},
+    approvePrizeClaimSchema: {},
+    rejectPrizeClaimSchema: {},
+    shipPrizeClaimSchema: {},
+    getMemberSpinTicketsSchema: {},
+    grantSpinTicketsSchema: {}
   },
   transactionValidators: {
-    listTransactionsSchema: {}
+    listTransactionsSchema: {},
+    createTransactionSchema: {}
   },
   tierValidators: {
     listTiersSchema: {},
     createTierSchema: {}
+  },
+  rewardValidators: {
+    listRewardsSchema: {},
+    createRewardSchema: {},
+    getRewardSchema: {},
+    updateRewardSchema: {},
+    deleteRewardSchema: {},
+    importRewardCodesSchema: {},
+    listRedemptionsSchema: {},
+    fulfillRedemptionSchema: {},
+    cancelRedemptionSchema: {}
+  },
+  webhookValidators: {
+    listWebhooksSchema: {},
+    createWebhookSchema: {},
+    getWebhookSchema: {},
+    updateWebhookSchema: {},
+    deleteWebhookSchema: {},
+    listWebhookDeliveriesSchema: {},
+    testWebhookSchema: {},
+    redeliverWebhookSchema: {}
+  },
+  apiKeyValidators: {
+    listApiKeysSchema: {},
+    createApiKeySchema: {},
+    getApiKeySchema: {},
+    revokeApiKeySchema: {}
+  },
+  ingestValidators: {
+    listIngestedEventsSchema: {},
+    getIngestedEventSchema: {},
+    replayIngestedEventSchema: {}
+  },
+  pointsRuleValidators: {
+    listPointsRulesSchema: {},
+    createPointsRuleSchema: {},
+    getPointsRuleSchema: {},
+    updatePointsRuleSchema: {},
+    deletePointsRuleSchema: {},
+    previewPointsSchema: {},
+    getTransactionPointsRulesSchema: {}
+  },
+  ledgerValidators: {
+    getReconciliationSchema: {},
+    getMemberLedgerSchema: {}
   }
 }));
 
@@ -82,6 +154,9 @@ jest.mock('../../src/middleware', () => ({
   rateLimit: {
     generalRateLimit: (req, res, next) => next()
   },
+  idempotency: {
+    idempotent: (req, res, next) => next()
+  },
   brandContext: {
     validateBrandOwnership: (req, res, next) => {
       // Handle both :brandId and :id parameters
@@ -250,6 +325,13 @@ jest.mock('../../src/controllers', () => ({
         message: 'Member updated successfully',
         data: { member: { id: parseInt(req.params.id), ...req.body, brandId: 1, isActive: true } }
       });
+    }),
+    updateMemberPoints: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Member points updated successfully',
+        data: { member: { id: parseInt(req.params.id), brandId: 1, points_balance: 150 } }
+      });
     })
   },
   MissionController: {
@@ -292,6 +374,20 @@ jest.mock('../../src/controllers', () => ({
         message: 'Wheel created successfully',
         data: { wheel: { id: 3, ...req.body, brandId: 1, isActive: true, createdAt: new Date() } }
       });
+    }),
+    simulateWheel: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Wheel simulated successfully',
+        data: { simulation: { wheel_id: req.params.id, spins: req.body.spins, return_to_player: { value: 0.95 } } }
+      });
+    }),
+    getWheelDrift: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Wheel probability drift retrieved successfully',
+        data: { drift: { drifting: false, checks: [{ window_hours: 24, status: 'ok', p_value: 0.42 }] } }
+      });
     })
   },
   TransactionController: {
@@ -306,6 +402,13 @@ jest.mock('../../src/controllers', () => ({
           pagination: { page: 1, limit: 10, total: 2 }
         }
       });
+    }),
+    createTransaction: jest.fn((req, res) => {
+      res.status(201).json({
+        success: true,
+        message: 'Transaction created successfully',
+        data: { transaction: { id: 3, brandId: 1, ...req.body } }
+      });
     })
   },
   TierController: {
@@ -328,467 +431,1872 @@ jest.mock('../../src/controllers', () => ({
         data: { tier: { id: 3, ...req.body, brandId: 1, isActive: true, createdAt: new Date() } }
       });
     })
-  }
-}));
-
-// Get reference to mocked controllers for test assertions
-const { AdminController, UserController, BrandController, MemberController, MissionController, WheelController, TransactionController, TierController } = require('../../src/controllers');
-
-// Import routes after mocks
-const adminPortalRoutes = require('../../src/routes/adminPortal');
-
-// Create test app
-const app = express();
-app.use(express.json());
-app.use('/api/admin', adminPortalRoutes);
-
-describe('Admin Portal Routes', () => {
-  let superAdminToken;
-  let brandAdminToken;
-  let userToken;
-
-  beforeEach(() => {
-    jest.clearAllMocks();
-    superAdminToken = 'super-admin-token';
-    brandAdminToken = 'brand-admin-token';
-    userToken = 'user-token';
-  });
-
-  describe('System Administration Routes', () => {
-    describe('GET /dashboard', () => {
-      test('should get system dashboard for super admin', async () => {
-        const response = await request(app)
-          .get('/api/admin/dashboard')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('totalUsers');
-        expect(response.body.data).toHaveProperty('totalBrands');
-        expect(response.body.data).toHaveProperty('systemHealth');
-        expect(AdminController.getSystemDashboard).toHaveBeenCalled();
+  },
+  RewardController: {
+    listRewards: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          rewards: [
+            { id: 1, brandId: 1, name: '10% Discount', category: 'discount', pointsCost: 500, status: 'active' },
+            { id: 2, brandId: 1, name: 'Free Shipping', category: 'shipping', pointsCost: 200, status: 'active' }
+          ],
+          pagination: { page: 1, limit: 20, total: 2 }
+        }
       });
-
-      test('should reject access for non-super admin', async () => {
-        const response = await request(app)
-          .get('/api/admin/dashboard')
-          .set('Authorization', `Bearer ${brandAdminToken}`);
-
-        expect(response.status).toBe(403);
-        expect(response.body.success).toBe(false);
+    }),
+    createReward: jest.fn((req, res) => {
+      res.status(201).json({
+        success: true,
+        message: 'Reward created successfully',
+        data: { reward: { id: 3, ...req.body, brandId: 1, status: 'active', createdAt: new Date() } }
       });
-
-      test('should reject unauthenticated requests', async () => {
-        const response = await request(app)
-          .get('/api/admin/dashboard');
-
-        expect(response.status).toBe(401);
-        expect(response.body.success).toBe(false);
+    }),
+    getRewardById: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { reward: { id: parseInt(req.params.id), brandId: 1, name: '10% Discount', pointsCost: 500 } }
       });
-    });
-
-    describe('GET /analytics', () => {
-      test('should get system analytics for super admin', async () => {
-        const response = await request(app)
-          .get('/api/admin/analytics')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('userGrowth');
-        expect(response.body.data).toHaveProperty('engagement');
-        expect(AdminController.getSystemAnalytics).toHaveBeenCalled();
+    }),
+    updateReward: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Reward updated successfully',
+        data: { reward: { id: parseInt(req.params.id), ...req.body, updatedAt: new Date() } }
       });
-    });
-
-    describe('GET /health', () => {
-      test('should get system health status', async () => {
-        const response = await request(app)
-          .get('/api/admin/health')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('status');
-        expect(response.body.data).toHaveProperty('database');
-        expect(AdminController.getSystemHealth).toHaveBeenCalled();
+    }),
+    deleteReward: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Reward deleted successfully'
       });
-    });
-
-    describe('GET /audit-logs', () => {
-      test('should get audit logs for super admin', async () => {
-        const response = await request(app)
-          .get('/api/admin/audit-logs')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('logs');
-        expect(response.body.data).toHaveProperty('pagination');
-        expect(AdminController.getAuditLogs).toHaveBeenCalled();
+    }),
+    importRewardCodes: jest.fn((req, res) => {
+      res.status(201).json({
+        success: true,
+        message: 'Reward codes imported successfully',
+        data: { submitted: req.body.codes.length, inserted: req.body.codes.length, skipped: 0 }
       });
-    });
-  });
-
-  describe('User Management Routes', () => {
-    describe('GET /users', () => {
-      test('should list all users for super admin', async () => {
-        const response = await request(app)
-          .get('/api/admin/users')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('users');
-        expect(response.body.data).toHaveProperty('pagination');
-        expect(UserController.listUsers).toHaveBeenCalled();
+    }),
+    listRedemptions: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          redemptions: [
+            { id: 1, brandId: 1, rewardId: 1, status: 'issued', code: 'RDM-4F9A2C7E1B', pointsSpent: 500 }
+          ],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
       });
-    });
-
-    describe('POST /users', () => {
-      test('should create new user for super admin', async () => {
-        const userData = {
-          email: 'newuser@example.com',
-          firstName: 'New',
-          lastName: 'User',
-          role: 'user'
-        };
-
-        const response = await request(app)
-          .post('/api/admin/users')
-          .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(userData);
-
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('user');
-        expect(UserController.createUser).toHaveBeenCalled();
+    }),
+    fulfillRedemption: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Redemption fulfilled successfully',
+        data: { redemption: { id: parseInt(req.params.id), status: 'fulfilled', fulfilledAt: new Date() } }
       });
-    });
-
-    describe('GET /users/:id', () => {
-      test('should get user by ID', async () => {
-        const response = await request(app)
-          .get('/api/admin/users/1')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('user');
-        expect(UserController.getUserById).toHaveBeenCalled();
+    }),
+    cancelRedemption: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Redemption cancelled successfully',
+        data: { redemption: { id: parseInt(req.params.id), status: 'cancelled', cancelReason: req.body.reason } }
       });
-    });
-
-    describe('PUT /users/:id', () => {
-      test('should update user', async () => {
-        const updateData = {
-          firstName: 'Updated',
-          lastName: 'Name'
-        };
-
-        const response = await request(app)
-          .put('/api/admin/users/1')
-          .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(updateData);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(UserController.updateUser).toHaveBeenCalled();
+    })
+  },
+  WebhookController: {
+    listSubscriptions: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          subscriptions: [
+            { id: 1, brandId: 1, url: 'https://hooks.example.com/engage', events: ['member.created'], isActive: true }
+          ],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
       });
-    });
-
-    describe('DELETE /users/:id', () => {
-      test('should delete user', async () => {
-        const response = await request(app)
-          .delete('/api/admin/users/1')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(UserController.deleteUser).toHaveBeenCalled();
+    }),
+    createSubscription: jest.fn((req, res) => {
+      res.status(201).json({
+        success: true,
+        message: 'Webhook subscription created successfully',
+        data: { subscription: { id: 2, ...req.body, brandId: 1, secret: 'whsec_test', isActive: true } }
       });
-    });
-  });
-
-  describe('Brand Management Routes', () => {
-    describe('GET /brands', () => {
-      test('should list brands for super admin', async () => {
-        const response = await request(app)
-          .get('/api/admin/brands')
-          .set('Authorization', `Bearer ${superAdminToken}`);
-
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('brands');
-        expect(BrandController.listBrands).toHaveBeenCalled();
+    }),
+    getSubscriptionById: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { subscription: { id: parseInt(req.params.id), brandId: 1, url: 'https://hooks.example.com/engage' } }
       });
-
-      test('should list brands for brand admin', async () => {
-        const response = await request(app)
-          .get('/api/admin/brands')
-          .set('Authorization', `Bearer ${brandAdminToken}`);
-
+    }),
+    updateSubscription: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Webhook subscription updated successfully',
+        data: { subscription: { id: parseInt(req.params.id), ...req.body } }
+      });
+    }),
+    deleteSubscription: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Webhook subscription deleted successfully'
+      });
+    }),
+    listDeliveries: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          deliveries: [
+            { id: 1, subscriptionId: parseInt(req.params.id), eventType: 'points.credited', status: 'succeeded', attempts: 1 }
+          ],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    sendTestEvent: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Webhook test event sent',
+        data: { delivery: { id: 5, subscriptionId: parseInt(req.params.id), eventType: 'webhook.test', status: 'succeeded' } }
+      });
+    }),
+    redeliver: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Webhook delivery resent',
+        data: { delivery: { id: 6, redeliveryOf: parseInt(req.params.id), status: 'succeeded' } }
+      });
+    })
+  },
+  ApiKeyController: {
+    listApiKeys: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          api_keys: [
+            { id: 1, brandId: 1, name: 'POS integration', keyPrefix: 'ek_3f9a2c7e', scopes: ['points:credit'] }
+          ],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    createApiKey: jest.fn((req, res) => {
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully. Store the key now; it cannot be shown again.',
+        data: {
+          api_key: { id: 2, brandId: 1, name: req.body.name, scopes: req.body.scopes, keyPrefix: 'ek_5b1d0e4a' },
+          key: 'ek_5b1d0e4a0000000000000000000000000000000000000000000000000000000000'
+        }
+      });
+    }),
+    getApiKeyById: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { api_key: { id: parseInt(req.params.id), brandId: 1, name: 'POS integration' } }
+      });
+    }),
+    revokeApiKey: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: { api_key: { id: parseInt(req.params.id), revokedAt: new Date(), revokeReason: req.body.reason } }
+      });
+    })
+  },
+  IngestController: {
+    listEvents: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          events: [
+            { id: 1, brandId: 1, eventType: 'purchase', status: 'processed', pointsAwarded: 50 }
+          ],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    getEventById: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { event: { id: parseInt(req.params.id), brandId: 1, eventType: 'deposit', status: 'failed' } }
+      });
+    }),
+    replayEvent: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Ingested event replayed',
+        data: { event: { id: parseInt(req.params.id), status: 'processed', attempts: 2 } }
+      });
+    })
+  },
+  PointsRuleController: {
+    listRules: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          rules: [
+            { id: 1, brandId: 1, name: 'Deposit rate', ruleType: 'rate', config: { points: 1, per_amount: 10 } }
+          ],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    createRule: jest.fn((req, res) => {
+      res.status(201).json({
+        success: true,
+        message: 'Points rule created successfully',
+        data: { rule: { id: 2, brandId: 1, ...req.body } }
+      });
+    }),
+    previewPoints: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          points: 20,
+          applications: [
+            { rule_id: 1, rule_type: 'rate', points: 10 },
+            { rule_id: 3, rule_type: 'multiplier', points: 10 }
+          ]
+        }
+      });
+    }),
+    getRuleById: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { rule: { id: parseInt(req.params.id), brandId: 1, name: 'Deposit rate' } }
+      });
+    }),
+    updateRule: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Points rule updated successfully',
+        data: { rule: { id: parseInt(req.params.id), ...req.body } }
+      });
+    }),
+    deleteRule: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Points rule deleted successfully'
+      });
+    }),
+    getTransactionApplications: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { applications: [{ rule_id: 1, transaction_id: parseInt(req.params.id), points: 10 }] }
+      });
+    })
+  },
+  LedgerController: {
+    getReconciliation: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Ledger reconciliation report generated',
+        data: {
+          report: {
+            balanced: false,
+            members_checked: 2,
+            mismatch_count: 1,
+            mismatches: [{ member_id: 1, cached_balance: 150, ledger_balance: 100, difference: 50 }],
+            unbalanced_journals: []
+          }
+        }
+      });
+    }),
+    getMemberLedger: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          member_id: parseInt(req.params.memberId),
+          cached_balance: 100,
+          ledger_balance: 100,
+          entries: [{ id: 1, account_type: 'member', direction: 'credit', amount: 100 }],
+          snapshots: [],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    })
+  },
+  PrizeClaimController: {
+    listClaims: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          claims: [{ id: 1, prize_type: 'product', status: 'claimed' }],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    approveClaim: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Prize claim approved successfully',
+        data: { claim: { id: parseInt(req.params.id), status: 'approved' } }
+      });
+    }),
+    rejectClaim: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Prize claim rejected successfully',
+        data: { claim: { id: parseInt(req.params.id), status: 'rejected', rejection_reason: req.body.reason } }
+      });
+    }),
+    shipClaim: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Prize marked as shipped',
+        data: { claim: { id: parseInt(req.params.id), status: 'shipped', tracking_number: req.body.tracking_number } }
+      });
+    })
+  },
+  SpinTicketController: {
+    getMemberTickets: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          wallet: { member_id: parseInt(req.params.memberId), balance: 2, ticket_price_points: null },
+          transactions: [{ id: 1, amount: 2, source: 'admin', balance_after: 2 }],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    grantTickets: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Spin tickets granted successfully',
+        data: { transaction: { amount: req.body.quantity, source: 'admin', description: req.body.reason }, balance: req.body.quantity }
+      });
+    })
+  },
+  WheelVersionController: {
+    listVersions: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          live_version_id: 'version-1',
+          versions: [{ id: 'version-1', wheel_id: req.params.id, version_number: 1, status: 'live' }],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    createDraft: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Wheel version saved as draft',
+        data: { version: { id: 'version-2', wheel_id: req.params.id, version_number: 2, status: 'draft', notes: req.body.notes } }
+      });
+    }),
+    getVersion: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { version: { id: req.params.versionId, wheel_id: req.params.id, version_number: 1, status: 'live' } }
+      });
+    }),
+    diffVersions: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          diff: {
+            from: { id: req.query.from, version_number: 1 },
+            to: { id: req.query.to, version_number: 2 },
+            probability_changes: [{ item_id: 'item-1', name: 'Gold', from: 0.1, to: 0.2 }]
+          }
+        }
+      });
+    }),
+    publishVersion: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Wheel version published successfully',
+        data: { version: { id: req.params.versionId, status: req.body.publish_at ? 'scheduled' : 'live' } }
+      });
+    }),
+    unscheduleVersion: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { version: { id: req.params.versionId, status: 'draft' } }
+      });
+    }),
+    rollbackToVersion: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Wheel rolled back successfully',
+        data: { version: { id: 'version-3', status: 'live', rolled_back_from: req.params.versionId }, probability_changes: [] }
+      });
+    })
+  },
+  WheelExperimentController: {
+    listExperiments: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          experiments: [{ id: 'experiment-1', wheel_id: req.params.id, status: 'running' }],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    createExperiment: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Wheel experiment created successfully',
+        data: { experiment: { id: 'experiment-2', wheel_id: req.params.id, name: req.body.name, status: 'draft', variants: req.body.variants } }
+      });
+    }),
+    getExperiment: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { experiment: { id: req.params.experimentId, wheel_id: req.params.id, status: 'running' } }
+      });
+    }),
+    startExperiment: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { experiment: { id: req.params.experimentId, status: 'running' } }
+      });
+    }),
+    stopExperiment: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { experiment: { id: req.params.experimentId, status: 'completed' } }
+      });
+    }),
+    getExperimentResults: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          experiment: { id: req.params.experimentId, status: 'running' },
+          variants: [
+            { key: 'control', participants: 120, spins_per_participant: 2.5, lift: null },
+            { key: 'generous', participants: 118, spins_per_participant: 3, lift: { spins_per_participant: 0.2 } }
+          ]
+        }
+      });
+    })
+  },
+  QuestController: {
+    listQuests: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          quests: [{ id: 'quest-1', name: 'Starter', status: 'active' }],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    createQuest: jest.fn((req, res) => {
+      res.status(201).json({
+        success: true,
+        message: 'Quest created successfully',
+        data: { quest: { id: 'quest-2', name: req.body.name, status: 'draft', steps: req.body.steps } }
+      });
+    }),
+    getQuest: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { quest: { id: req.params.questId, name: 'Starter', status: 'active' } }
+      });
+    }),
+    updateQuest: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Quest updated successfully',
+        data: { quest: { id: req.params.questId, ...req.body } }
+      });
+    })
+  }
+}));
+
+// Get reference to mocked controllers for test assertions
+const { AdminController, UserController, BrandController, MemberController, MissionController, WheelController, TransactionController, TierController, RewardController, WebhookController, ApiKeyController, IngestController, PointsRuleController, LedgerController, PrizeClaimController, SpinTicketController, WheelVersionController, WheelExperimentController, QuestController } = require('../../src/controllers');
+
+// Import routes after mocks
+const adminPortalRoutes = require('../../src/routes/adminPortal');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminPortalRoutes);
+
+describe('Admin Portal Routes', () => {
+  let superAdminToken;
+  let brandAdminToken;
+  let userToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    superAdminToken = 'super-admin-token';
+    brandAdminToken = 'brand-admin-token';
+    userToken = 'user-token';
+  });
+
+  describe('System Administration Routes', () => {
+    describe('GET /dashboard', () => {
+      test('should get system dashboard for super admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/dashboard')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('totalUsers');
+        expect(response.body.data).toHaveProperty('totalBrands');
+        expect(response.body.data).toHaveProperty('systemHealth');
+        expect(AdminController.getSystemDashboard).toHaveBeenCalled();
+      });
+
+      test('should reject access for non-super admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/dashboard')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.success).toBe(false);
+      });
+
+      test('should reject unauthenticated requests', async () => {
+        const response = await request(app)
+          .get('/api/admin/dashboard');
+
+        expect(response.status).toBe(401);
+        expect(response.body.success).toBe(false);
+      });
+    });
+
+    describe('GET /analytics', () => {
+      test('should get system analytics for super admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/analytics')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('userGrowth');
+        expect(response.body.data).toHaveProperty('engagement');
+        expect(AdminController.getSystemAnalytics).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /health', () => {
+      test('should get system health status', async () => {
+        const response = await request(app)
+          .get('/api/admin/health')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('status');
+        expect(response.body.data).toHaveProperty('database');
+        expect(AdminController.getSystemHealth).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /audit-logs', () => {
+      test('should get audit logs for super admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/audit-logs')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('logs');
+        expect(response.body.data).toHaveProperty('pagination');
+        expect(AdminController.getAuditLogs).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('User Management Routes', () => {
+    describe('GET /users', () => {
+      test('should list all users for super admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/users')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('users');
+        expect(response.body.data).toHaveProperty('pagination');
+        expect(UserController.listUsers).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /users', () => {
+      test('should create new user for super admin', async () => {
+        const userData = {
+          email: 'newuser@example.com',
+          firstName: 'New',
+          lastName: 'User',
+          role: 'user'
+        };
+
+        const response = await request(app)
+          .post('/api/admin/users')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(userData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('user');
+        expect(UserController.createUser).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /users/:id', () => {
+      test('should get user by ID', async () => {
+        const response = await request(app)
+          .get('/api/admin/users/1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('user');
+        expect(UserController.getUserById).toHaveBeenCalled();
+      });
+    });
+
+    describe('PUT /users/:id', () => {
+      test('should update user', async () => {
+        const updateData = {
+          firstName: 'Updated',
+          lastName: 'Name'
+        };
+
+        const response = await request(app)
+          .put('/api/admin/users/1')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(updateData);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(UserController.updateUser).toHaveBeenCalled();
+      });
+    });
+
+    describe('DELETE /users/:id', () => {
+      test('should delete user', async () => {
+        const response = await request(app)
+          .delete('/api/admin/users/1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(UserController.deleteUser).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Brand Management Routes', () => {
+    describe('GET /brands', () => {
+      test('should list brands for super admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('brands');
+        expect(BrandController.listBrands).toHaveBeenCalled();
+      });
+
+      test('should list brands for brand admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(BrandController.listBrands).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands', () => {
+      test('should create brand for super admin', async () => {
+        const brandData = {
+          name: 'New Brand',
+          slug: 'new-brand',
+          description: 'New brand description'
+        };
+
+        const response = await request(app)
+          .post('/api/admin/brands')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(brandData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(BrandController.createBrand).toHaveBeenCalled();
+      });
+
+      test('should reject brand creation for brand admin', async () => {
+        const brandData = {
+          name: 'New Brand',
+          slug: 'new-brand'
+        };
+
+        const response = await request(app)
+          .post('/api/admin/brands')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send(brandData);
+
+        expect(response.status).toBe(403);
+        expect(response.body.success).toBe(false);
+      });
+    });
+
+    describe('GET /brands/:id', () => {
+      test('should get brand by ID for super admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(BrandController.getBrandById).toHaveBeenCalled();
+      });
+
+      test('should get own brand for brand admin', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(BrandController.getBrandById).toHaveBeenCalled();
+      });
+    });
+
+    describe('PUT /brands/:id', () => {
+      test('should update brand', async () => {
+        const updateData = {
+          name: 'Updated Brand Name'
+        };
+
+        const response = await request(app)
+          .put('/api/admin/brands/1')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(updateData);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(BrandController.updateBrand).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Member Management Routes', () => {
+    describe('GET /brands/:brandId/members', () => {
+      test('should list brand members', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/members')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('members');
+        expect(MemberController.listMembers).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/members', () => {
+      test('should create new member', async () => {
+        const memberData = {
+          userId: 1,
+          tierId: 1
+        };
+
+        const response = await request(app)
+          .post('/api/admin/brands/1/members')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(memberData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(MemberController.createMember).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/members/:id/points', () => {
+      test('should adjust member points', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/members/5/points')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .set('Idempotency-Key', 'adjustment-5-1')
+          .send({ type: 'credit', amount: 50 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.member.points_balance).toBe(150);
+        expect(MemberController.updateMemberPoints).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/members/:id', () => {
+      test('should get member by ID', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/members/1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(MemberController.getMemberById).toHaveBeenCalled();
+      });
+    });
+
+    describe('PUT /brands/:brandId/members/:id', () => {
+      test('should update member', async () => {
+        const updateData = {
+          points: 200
+        };
+
+        const response = await request(app)
+          .put('/api/admin/brands/1/members/1')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(updateData);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(MemberController.updateMember).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Mission Management Routes', () => {
+    describe('GET /brands/:brandId/missions', () => {
+      test('should list brand missions', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/missions')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('missions');
+        expect(MissionController.listMissions).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/missions', () => {
+      test('should create new mission', async () => {
+        const missionData = {
+          title: 'New Mission',
+          description: 'Complete this mission',
+          type: 'purchase',
+          target: 100,
+          reward: 50
+        };
+
+        const response = await request(app)
+          .post('/api/admin/brands/1/missions')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(missionData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(MissionController.createMission).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Quest Routes', () => {
+    describe('GET /brands/:brandId/quests', () => {
+      test('should list brand quests', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/quests')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.quests[0]).toMatchObject({ id: 'quest-1', status: 'active' });
+        expect(QuestController.listQuests).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/quests', () => {
+      const steps = [
+        { mission_ids: ['mission-signup'] },
+        { mission_ids: ['mission-deposit', 'mission-purchase'] },
+        { mission_ids: ['mission-referral'], optional: true }
+      ];
+
+      test('should create a quest', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/quests')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Starter', steps, bonus_points: 500 });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.quest).toMatchObject({ name: 'Starter', status: 'draft' });
+        expect(response.body.data.quest.steps).toHaveLength(3);
+        expect(QuestController.createQuest).toHaveBeenCalled();
+      });
+
+      test('should deny creating a quest for another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/quests')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Starter', steps });
+
+        expect(response.status).toBe(403);
+        expect(QuestController.createQuest).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/quests/:questId', () => {
+      test('should get a quest', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/quests/quest-1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.quest.id).toBe('quest-1');
+        expect(QuestController.getQuest).toHaveBeenCalled();
+      });
+    });
+
+    describe('PUT /brands/:brandId/quests/:questId', () => {
+      test('should update a quest', async () => {
+        const response = await request(app)
+          .put('/api/admin/brands/1/quests/quest-1')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send({ status: 'active' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.quest).toMatchObject({ id: 'quest-1', status: 'active' });
+        expect(QuestController.updateQuest).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Wheel Management Routes', () => {
+    describe('GET /brands/:brandId/wheels', () => {
+      test('should list brand wheels', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('wheels');
+        expect(WheelController.listWheels).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels', () => {
+      test('should create new wheel', async () => {
+        const wheelData = {
+          name: 'New Wheel',
+          description: 'New wheel description',
+          segments: [
+            { label: 'Prize 1', probability: 0.5, reward: { type: 'points', value: 10 } }
+          ],
+          costToSpin: 10
+        };
+
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(wheelData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(WheelController.createWheel).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/simulate', () => {
+      test('should simulate the wheel', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/simulate')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send({ spins: 5000 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.simulation).toMatchObject({ wheel_id: 'wheel-1', spins: 5000 });
+        expect(WheelController.simulateWheel).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/wheels/:id/drift', () => {
+      test('should get the wheel probability drift checks', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels/wheel-1/drift')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.drift.checks[0]).toMatchObject({ window_hours: 24, status: 'ok' });
+        expect(WheelController.getWheelDrift).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Wheel Version Routes', () => {
+    describe('GET /brands/:brandId/wheels/:id/versions', () => {
+      test('should list the wheel versions', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels/wheel-1/versions')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.versions[0]).toMatchObject({ version_number: 1, status: 'live' });
+        expect(WheelVersionController.listVersions).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/versions', () => {
+      test('should save a draft version', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/versions')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ items: [], notes: 'Holiday odds' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.version).toMatchObject({ status: 'draft', notes: 'Holiday odds' });
+        expect(WheelVersionController.createDraft).toHaveBeenCalled();
+      });
+
+      test('should deny saving a draft on another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/wheels/wheel-1/versions')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ items: [] });
+
+        expect(response.status).toBe(403);
+        expect(WheelVersionController.createDraft).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/wheels/:id/versions/diff', () => {
+      test('should route the diff before the version lookup', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels/wheel-1/versions/diff?from=version-1&to=version-2')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.diff.probability_changes).toHaveLength(1);
+        expect(WheelVersionController.diffVersions).toHaveBeenCalled();
+        expect(WheelVersionController.getVersion).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/wheels/:id/versions/:versionId', () => {
+      test('should get a wheel version', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels/wheel-1/versions/version-1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.version.id).toBe('version-1');
+        expect(WheelVersionController.getVersion).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/versions/:versionId/publish', () => {
+      test('should publish a wheel version', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/versions/version-2/publish')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send({});
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.version.status).toBe('live');
+        expect(WheelVersionController.publishVersion).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/versions/:versionId/unschedule', () => {
+      test('should unschedule a wheel version', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/versions/version-2/unschedule')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.version.status).toBe('draft');
+        expect(WheelVersionController.unscheduleVersion).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/versions/:versionId/rollback', () => {
+      test('should roll back to a wheel version', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/versions/version-1/rollback')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.version.rolled_back_from).toBe('version-1');
+        expect(WheelVersionController.rollbackToVersion).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Wheel Experiment Routes', () => {
+    describe('GET /brands/:brandId/wheels/:id/experiments', () => {
+      test('should list the wheel experiments', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels/wheel-1/experiments')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.experiments[0]).toMatchObject({ id: 'experiment-1', status: 'running' });
+        expect(WheelExperimentController.listExperiments).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/experiments', () => {
+      const variants = [
+        { key: 'control', weight: 1, wheel_version_id: 'version-1' },
+        { key: 'generous', weight: 1, wheel_version_id: 'version-2' }
+      ];
+
+      test('should create a draft experiment', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/experiments')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Generous odds', variants });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.experiment).toMatchObject({ name: 'Generous odds', status: 'draft' });
+        expect(response.body.data.experiment.variants).toHaveLength(2);
+        expect(WheelExperimentController.createExperiment).toHaveBeenCalled();
+      });
+
+      test('should deny creating an experiment on another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/wheels/wheel-1/experiments')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Generous odds', variants });
+
+        expect(response.status).toBe(403);
+        expect(WheelExperimentController.createExperiment).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/wheels/:id/experiments/:experimentId', () => {
+      test('should get a wheel experiment', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels/wheel-1/experiments/experiment-1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.experiment.id).toBe('experiment-1');
+        expect(WheelExperimentController.getExperiment).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/experiments/:experimentId/start', () => {
+      test('should start a wheel experiment', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/experiments/experiment-2/start')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.experiment.status).toBe('running');
+        expect(WheelExperimentController.startExperiment).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/wheels/:id/experiments/:experimentId/stop', () => {
+      test('should stop a wheel experiment', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/wheels/wheel-1/experiments/experiment-1/stop')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.experiment.status).toBe('completed');
+        expect(WheelExperimentController.stopExperiment).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/wheels/:id/experiments/:experimentId/results', () => {
+      test('should get the experiment results per variant', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/wheels/wheel-1/experiments/experiment-1/results')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.variants).toHaveLength(2);
+        expect(response.body.data.variants[1].lift.spins_per_participant).toBe(0.2);
+        expect(WheelExperimentController.getExperimentResults).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Transaction Management Routes', () => {
+    describe('GET /brands/:brandId/transactions', () => {
+      test('should list brand transactions', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/transactions')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('transactions');
+        expect(TransactionController.listTransactions).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/transactions', () => {
+      test('should create a transaction', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/transactions')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .set('Idempotency-Key', 'pos-order-1001')
+          .send({ member_id: 1, type: 'credit', amount: 50 });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.transaction.amount).toBe(50);
+        expect(TransactionController.createTransaction).toHaveBeenCalled();
+      });
+
+      test('should deny creating transactions for another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/transactions')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ member_id: 1, type: 'credit', amount: 50 });
+
+        expect(response.status).toBe(403);
+        expect(TransactionController.createTransaction).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Tier Management Routes', () => {
+    describe('GET /brands/:brandId/tiers', () => {
+      test('should list brand tiers', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/tiers')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('tiers');
+        expect(TierController.listTiers).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/tiers', () => {
+      test('should create new tier', async () => {
+        const tierData = {
+          name: 'Gold',
+          description: 'Gold tier',
+          minPoints: 1000,
+          maxPoints: 4999
+        };
+
+        const response = await request(app)
+          .post('/api/admin/brands/1/tiers')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send(tierData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(TierController.createTier).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Reward Management Routes', () => {
+    describe('GET /brands/:brandId/rewards', () => {
+      test('should list brand rewards', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/rewards')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('rewards');
+        expect(RewardController.listRewards).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/rewards', () => {
+      test('should create new reward', async () => {
+        const rewardData = {
+          name: 'Free Coffee',
+          category: 'product',
+          points_cost: 300,
+          max_per_member: 1,
+          allowed_tier_ids: []
+        };
+
+        const response = await request(app)
+          .post('/api/admin/brands/1/rewards')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send(rewardData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(RewardController.createReward).toHaveBeenCalled();
+      });
+
+      test('should deny reward creation for another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/rewards')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Free Coffee' });
+
+        expect(response.status).toBe(403);
+        expect(RewardController.createReward).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('PUT /brands/:brandId/rewards/:id', () => {
+      test('should update reward', async () => {
+        const response = await request(app)
+          .put('/api/admin/brands/1/rewards/1')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send({ points_cost: 400 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(RewardController.updateReward).toHaveBeenCalled();
+      });
+    });
+
+    describe('DELETE /brands/:brandId/rewards/:id', () => {
+      test('should delete reward', async () => {
+        const response = await request(app)
+          .delete('/api/admin/brands/1/rewards/1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(RewardController.deleteReward).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/rewards/:id/codes', () => {
+      test('should import reward codes', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/rewards/1/codes')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ codes: ['GIFT-0001', 'GIFT-0002'] });
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.inserted).toBe(2);
+        expect(RewardController.importRewardCodes).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Redemption Management Routes', () => {
+    describe('GET /brands/:brandId/redemptions', () => {
+      test('should list brand redemptions', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/redemptions')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('redemptions');
+        expect(RewardController.listRedemptions).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/redemptions/:id/fulfill', () => {
+      test('should fulfill redemption', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/redemptions/1/fulfill')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ notes: 'Shipped via courier' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.redemption.status).toBe('fulfilled');
+        expect(RewardController.fulfillRedemption).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/redemptions/:id/cancel', () => {
+      test('should cancel redemption', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/redemptions/1/cancel')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send({ reason: 'Item discontinued' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.redemption.status).toBe('cancelled');
+        expect(RewardController.cancelRedemption).toHaveBeenCalled();
+      });
+
+      test('should deny cancellation for another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/redemptions/1/cancel')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ reason: 'Item discontinued' });
+
+        expect(response.status).toBe(403);
+        expect(RewardController.cancelRedemption).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Webhook Management Routes', () => {
+    describe('GET /brands/:brandId/webhooks', () => {
+      test('should list brand webhook subscriptions', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/webhooks')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty('subscriptions');
+        expect(WebhookController.listSubscriptions).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/webhooks', () => {
+      test('should create webhook subscription', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/webhooks')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ url: 'https://hooks.example.com/engage', events: ['points.credited', 'tier.changed'] });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.subscription).toHaveProperty('secret');
+        expect(WebhookController.createSubscription).toHaveBeenCalled();
+      });
+
+      test('should deny webhook creation for another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/webhooks')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ url: 'https://hooks.example.com/engage', events: ['member.created'] });
+
+        expect(response.status).toBe(403);
+        expect(WebhookController.createSubscription).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('PUT /brands/:brandId/webhooks/:id', () => {
+      test('should update webhook subscription', async () => {
+        const response = await request(app)
+          .put('/api/admin/brands/1/webhooks/1')
+          .set('Authorization', `Bearer ${superAdminToken}`)
+          .send({ is_active: false });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.subscription.is_active).toBe(false);
+        expect(WebhookController.updateSubscription).toHaveBeenCalled();
+      });
+    });
+
+    describe('DELETE /brands/:brandId/webhooks/:id', () => {
+      test('should delete webhook subscription', async () => {
+        const response = await request(app)
+          .delete('/api/admin/brands/1/webhooks/1')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(WebhookController.deleteSubscription).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/webhooks/:id/deliveries', () => {
+      test('should list webhook deliveries', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/webhooks/1/deliveries')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty('deliveries');
+        expect(WebhookController.listDeliveries).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/webhooks/:id/test', () => {
+      test('should send webhook test event', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/webhooks/1/test')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.delivery.eventType).toBe('webhook.test');
+        expect(WebhookController.sendTestEvent).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/webhook-deliveries/:id/redeliver', () => {
+      test('should resend webhook delivery', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/webhook-deliveries/1/redeliver')
+          .set('Authorization', `Bearer ${superAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(WebhookController.redeliver).toHaveBeenCalled();
+      });
+
+      test('should deny redelivery for another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/webhook-deliveries/1/redeliver')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(403);
+        expect(WebhookController.redeliver).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('API Key Management Routes', () => {
+    describe('GET /brands/:brandId/api-keys', () => {
+      test('should list brand API keys', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/api-keys')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(BrandController.listBrands).toHaveBeenCalled();
+        expect(response.body.data).toHaveProperty('api_keys');
+        expect(ApiKeyController.listApiKeys).toHaveBeenCalled();
       });
     });
 
-    describe('POST /brands', () => {
-      test('should create brand for super admin', async () => {
-        const brandData = {
-          name: 'New Brand',
-          slug: 'new-brand',
-          description: 'New brand description'
-        };
-
+    describe('POST /brands/:brandId/api-keys', () => {
+      test('should create API key and return the plain key once', async () => {
         const response = await request(app)
-          .post('/api/admin/brands')
-          .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(brandData);
+          .post('/api/admin/brands/1/api-keys')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Checkout backend', scopes: ['points:credit', 'members:read'] });
 
         expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(BrandController.createBrand).toHaveBeenCalled();
+        expect(response.body.data).toHaveProperty('key');
+        expect(response.body.data.api_key.scopes).toEqual(['points:credit', 'members:read']);
+        expect(ApiKeyController.createApiKey).toHaveBeenCalled();
       });
 
-      test('should reject brand creation for brand admin', async () => {
-        const brandData = {
-          name: 'New Brand',
-          slug: 'new-brand'
-        };
-
+      test('should deny API key creation for another brand', async () => {
         const response = await request(app)
-          .post('/api/admin/brands')
+          .post('/api/admin/brands/2/api-keys')
           .set('Authorization', `Bearer ${brandAdminToken}`)
-          .send(brandData);
+          .send({ name: 'Checkout backend', scopes: ['points:credit'] });
 
         expect(response.status).toBe(403);
-        expect(response.body.success).toBe(false);
+        expect(ApiKeyController.createApiKey).not.toHaveBeenCalled();
       });
     });
 
-    describe('GET /brands/:id', () => {
-      test('should get brand by ID for super admin', async () => {
+    describe('GET /brands/:brandId/api-keys/:id', () => {
+      test('should get API key details', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1')
+          .get('/api/admin/brands/1/api-keys/1')
           .set('Authorization', `Bearer ${superAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(BrandController.getBrandById).toHaveBeenCalled();
+        expect(ApiKeyController.getApiKeyById).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/api-keys/:id/revoke', () => {
+      test('should revoke API key', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/api-keys/1/revoke')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ reason: 'Key leaked in logs' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.api_key).toHaveProperty('revokedAt');
+        expect(ApiKeyController.revokeApiKey).toHaveBeenCalled();
       });
 
-      test('should get own brand for brand admin', async () => {
+      test('should reject unauthenticated revocation', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1')
+          .post('/api/admin/brands/1/api-keys/1/revoke');
+
+        expect(response.status).toBe(401);
+        expect(ApiKeyController.revokeApiKey).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Points Rule Routes', () => {
+    describe('GET /brands/:brandId/points-rules', () => {
+      test('should list points rules', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/points-rules')
           .set('Authorization', `Bearer ${brandAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(BrandController.getBrandById).toHaveBeenCalled();
+        expect(response.body.data).toHaveProperty('rules');
+        expect(PointsRuleController.listRules).toHaveBeenCalled();
       });
     });
 
-    describe('PUT /brands/:id', () => {
-      test('should update brand', async () => {
-        const updateData = {
-          name: 'Updated Brand Name'
-        };
+    describe('POST /brands/:brandId/points-rules', () => {
+      test('should create a points rule', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/points-rules')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Weekend double', rule_type: 'multiplier', config: { multiplier: 2 }, conditions: { days_of_week: [0, 6] } });
 
+        expect(response.status).toBe(201);
+        expect(response.body.data.rule.rule_type).toBe('multiplier');
+        expect(PointsRuleController.createRule).toHaveBeenCalled();
+      });
+
+      test('should deny rule creation for another brand', async () => {
         const response = await request(app)
-          .put('/api/admin/brands/1')
-          .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(updateData);
+          .post('/api/admin/brands/2/points-rules')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ name: 'Weekend double', rule_type: 'multiplier', config: { multiplier: 2 } });
+
+        expect(response.status).toBe(403);
+        expect(PointsRuleController.createRule).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/points-rules/preview', () => {
+      test('should preview points without routing to a rule', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/points-rules/preview')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ event_type: 'deposit', amount: 100 });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(BrandController.updateBrand).toHaveBeenCalled();
+        expect(response.body.data.points).toBe(20);
+        expect(PointsRuleController.previewPoints).toHaveBeenCalled();
+        expect(PointsRuleController.getRuleById).not.toHaveBeenCalled();
       });
     });
-  });
 
-  describe('Member Management Routes', () => {
-    describe('GET /brands/:brandId/members', () => {
-      test('should list brand members', async () => {
+    describe('GET /brands/:brandId/points-rules/:id', () => {
+      test('should get points rule details', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1/members')
+          .get('/api/admin/brands/1/points-rules/1')
           .set('Authorization', `Bearer ${superAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('members');
-        expect(MemberController.listMembers).toHaveBeenCalled();
+        expect(PointsRuleController.getRuleById).toHaveBeenCalled();
       });
     });
 
-    describe('POST /brands/:brandId/members', () => {
-      test('should create new member', async () => {
-        const memberData = {
-          userId: 1,
-          tierId: 1
-        };
-
+    describe('PUT /brands/:brandId/points-rules/:id', () => {
+      test('should update a points rule', async () => {
         const response = await request(app)
-          .post('/api/admin/brands/1/members')
-          .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(memberData);
+          .put('/api/admin/brands/1/points-rules/1')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ is_active: false });
 
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(MemberController.createMember).toHaveBeenCalled();
+        expect(response.status).toBe(200);
+        expect(response.body.data.rule.is_active).toBe(false);
+        expect(PointsRuleController.updateRule).toHaveBeenCalled();
       });
     });
 
-    describe('GET /brands/:brandId/members/:id', () => {
-      test('should get member by ID', async () => {
+    describe('DELETE /brands/:brandId/points-rules/:id', () => {
+      test('should delete a points rule', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1/members/1')
-          .set('Authorization', `Bearer ${superAdminToken}`);
+          .delete('/api/admin/brands/1/points-rules/1')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(MemberController.getMemberById).toHaveBeenCalled();
+        expect(PointsRuleController.deleteRule).toHaveBeenCalled();
       });
-    });
 
-    describe('PUT /brands/:brandId/members/:id', () => {
-      test('should update member', async () => {
-        const updateData = {
-          points: 200
-        };
+      test('should deny rule deletion for regular users', async () => {
+        const response = await request(app)
+          .delete('/api/admin/brands/1/points-rules/1')
+          .set('Authorization', `Bearer ${userToken}`);
+
+        expect(response.status).toBe(403);
+        expect(PointsRuleController.deleteRule).not.toHaveBeenCalled();
+      });
+    });
 
+    describe('GET /brands/:brandId/transactions/:id/points-rules', () => {
+      test('should get the rules behind a transaction', async () => {
         const response = await request(app)
-          .put('/api/admin/brands/1/members/1')
-          .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(updateData);
+          .get('/api/admin/brands/1/transactions/7/points-rules')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(MemberController.updateMember).toHaveBeenCalled();
+        expect(response.body.data.applications[0].transaction_id).toBe(7);
+        expect(PointsRuleController.getTransactionApplications).toHaveBeenCalled();
       });
     });
   });
 
-  describe('Mission Management Routes', () => {
-    describe('GET /brands/:brandId/missions', () => {
-      test('should list brand missions', async () => {
+  describe('Points Ledger Routes', () => {
+    describe('GET /brands/:brandId/ledger/reconciliation', () => {
+      test('should report balance mismatches', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1/missions')
+          .get('/api/admin/brands/1/ledger/reconciliation')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.report.mismatch_count).toBe(1);
+        expect(LedgerController.getReconciliation).toHaveBeenCalled();
+      });
+
+      test('should deny reconciliation for another brand', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/2/ledger/reconciliation')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(403);
+        expect(LedgerController.getReconciliation).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /brands/:brandId/members/:memberId/ledger', () => {
+      test('should get a member ledger', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/members/5/ledger')
           .set('Authorization', `Bearer ${superAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('missions');
-        expect(MissionController.listMissions).toHaveBeenCalled();
+        expect(response.body.data.member_id).toBe(5);
+        expect(LedgerController.getMemberLedger).toHaveBeenCalled();
       });
     });
+  });
 
-    describe('POST /brands/:brandId/missions', () => {
-      test('should create new mission', async () => {
-        const missionData = {
-          title: 'New Mission',
-          description: 'Complete this mission',
-          type: 'purchase',
-          target: 100,
-          reward: 50
-        };
+  describe('Prize Claim Routes', () => {
+    describe('GET /brands/:brandId/prize-claims', () => {
+      test('should list prize claims', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/1/prize-claims')
+          .query({ status: 'claimed' })
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty('claims');
+        expect(PrizeClaimController.listClaims).toHaveBeenCalled();
+      });
 
+      test('should deny listing claims of another brand', async () => {
         const response = await request(app)
-          .post('/api/admin/brands/1/missions')
+          .get('/api/admin/brands/2/prize-claims')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(403);
+        expect(PrizeClaimController.listClaims).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/prize-claims/:id/approve', () => {
+      test('should approve a prize claim', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/prize-claims/3/approve')
           .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(missionData);
+          .send({ notes: 'Address verified' });
 
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(MissionController.createMission).toHaveBeenCalled();
+        expect(response.status).toBe(200);
+        expect(response.body.data.claim.status).toBe('approved');
+        expect(PrizeClaimController.approveClaim).toHaveBeenCalled();
       });
     });
-  });
 
-  describe('Wheel Management Routes', () => {
-    describe('GET /brands/:brandId/wheels', () => {
-      test('should list brand wheels', async () => {
+    describe('POST /brands/:brandId/prize-claims/:id/reject', () => {
+      test('should reject a prize claim', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1/wheels')
-          .set('Authorization', `Bearer ${superAdminToken}`);
+          .post('/api/admin/brands/1/prize-claims/3/reject')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ reason: 'Duplicate account' });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('wheels');
-        expect(WheelController.listWheels).toHaveBeenCalled();
+        expect(response.body.data.claim.rejection_reason).toBe('Duplicate account');
+        expect(PrizeClaimController.rejectClaim).toHaveBeenCalled();
       });
     });
 
-    describe('POST /brands/:brandId/wheels', () => {
-      test('should create new wheel', async () => {
-        const wheelData = {
-          name: 'New Wheel',
-          description: 'New wheel description',
-          segments: [
-            { label: 'Prize 1', probability: 0.5, reward: { type: 'points', value: 10 } }
-          ],
-          costToSpin: 10
-        };
+    describe('POST /brands/:brandId/prize-claims/:id/ship', () => {
+      test('should mark a prize as shipped', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/prize-claims/3/ship')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ carrier: 'DHL', tracking_number: 'JD014600003' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.claim.tracking_number).toBe('JD014600003');
+        expect(PrizeClaimController.shipClaim).toHaveBeenCalled();
+      });
+    });
+  });
 
+  describe('Spin Ticket Routes', () => {
+    describe('GET /brands/:brandId/members/:memberId/spin-tickets', () => {
+      test('should get a member spin ticket wallet and history', async () => {
         const response = await request(app)
-          .post('/api/admin/brands/1/wheels')
+          .get('/api/admin/brands/1/members/5/spin-tickets')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.wallet.member_id).toBe(5);
+        expect(SpinTicketController.getMemberTickets).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /brands/:brandId/members/:memberId/spin-tickets', () => {
+      test('should grant spin tickets', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/members/5/spin-tickets')
           .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(wheelData);
+          .send({ quantity: 2, reason: 'Support goodwill' });
 
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(WheelController.createWheel).toHaveBeenCalled();
+        expect(response.status).toBe(200);
+        expect(response.body.data.balance).toBe(2);
+        expect(SpinTicketController.grantTickets).toHaveBeenCalled();
+      });
+
+      test('should deny granting tickets on another brand', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/2/members/5/spin-tickets')
+          .set('Authorization', `Bearer ${brandAdminToken}`)
+          .send({ quantity: 2, reason: 'Support goodwill' });
+
+        expect(response.status).toBe(403);
+        expect(SpinTicketController.grantTickets).not.toHaveBeenCalled();
       });
     });
   });
 
-  describe('Transaction Management Routes', () => {
-    describe('GET /brands/:brandId/transactions', () => {
-      test('should list brand transactions', async () => {
+  describe('Ingested Event Routes', () => {
+    describe('GET /brands/:brandId/ingested-events', () => {
+      test('should list ingested events', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1/transactions')
-          .set('Authorization', `Bearer ${superAdminToken}`);
+          .get('/api/admin/brands/1/ingested-events')
+          .query({ status: 'processed' })
+          .set('Authorization', `Bearer ${brandAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('transactions');
-        expect(TransactionController.listTransactions).toHaveBeenCalled();
+        expect(response.body.data).toHaveProperty('events');
+        expect(IngestController.listEvents).toHaveBeenCalled();
+      });
+
+      test('should deny listing events of another brand', async () => {
+        const response = await request(app)
+          .get('/api/admin/brands/2/ingested-events')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(403);
+        expect(IngestController.listEvents).not.toHaveBeenCalled();
       });
     });
-  });
 
-  describe('Tier Management Routes', () => {
-    describe('GET /brands/:brandId/tiers', () => {
-      test('should list brand tiers', async () => {
+    describe('GET /brands/:brandId/ingested-events/:id', () => {
+      test('should get ingested event details', async () => {
         const response = await request(app)
-          .get('/api/admin/brands/1/tiers')
+          .get('/api/admin/brands/1/ingested-events/1')
           .set('Authorization', `Bearer ${superAdminToken}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveProperty('tiers');
-        expect(TierController.listTiers).toHaveBeenCalled();
+        expect(response.body.data.event.id).toBe(1);
+        expect(IngestController.getEventById).toHaveBeenCalled();
       });
     });
 
-    describe('POST /brands/:brandId/tiers', () => {
-      test('should create new tier', async () => {
-        const tierData = {
-          name: 'Gold',
-          description: 'Gold tier',
-          minPoints: 1000,
-          maxPoints: 4999
-        };
+    describe('POST /brands/:brandId/ingested-events/:id/replay', () => {
+      test('should replay an ingested event', async () => {
+        const response = await request(app)
+          .post('/api/admin/brands/1/ingested-events/1/replay')
+          .set('Authorization', `Bearer ${brandAdminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.event.status).toBe('processed');
+        expect(IngestController.replayEvent).toHaveBeenCalled();
+      });
 
+      test('should deny replay for regular users', async () => {
         const response = await request(app)
-          .post('/api/admin/brands/1/tiers')
-          .set('Authorization', `Bearer ${superAdminToken}`)
-          .send(tierData);
+          .post('/api/admin/brands/1/ingested-events/1/replay')
+          .set('Authorization', `Bearer ${userToken}`);
 
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(TierController.createTier).toHaveBeenCalled();
+        expect(response.status).toBe(403);
+        expect(IngestController.replayEvent).not.toHaveBeenCalled();
       });
     });
   });
@@ -0,0 +1,72 @@
+/**
+ * Fairness Routes Tests
+ * Tests the public provably fair spin verification endpoint
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock middleware; request validation runs for real so the spin ID is checked
+jest.mock('../../src/middleware', () => ({
+  validation: jest.requireActual('../../src/middleware/validation'),
+  rateLimit: {
+    generalRateLimit: (req, res, next) => next()
+  }
+}));
+
+// Mock controllers
+jest.mock('../../src/controllers', () => ({
+  WheelFairnessController: {
+    verifySpin: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Spin verified',
+        data: {
+          verification: {
+            spin_id: req.params.spinId,
+            server_seed: 'revealed-server-seed',
+            client_seed: 'lucky',
+            nonce: 4,
+            verified: true
+          }
+        }
+      });
+    })
+  }
+}));
+
+const { WheelFairnessController } = require('../../src/controllers');
+
+// Import routes after mocks
+const fairnessRoutes = require('../../src/routes/fairness');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/fairness', fairnessRoutes);
+
+describe('Fairness Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /spins/:spinId', () => {
+    test('should verify a spin without authentication', async () => {
+      const spinId = '5f1c2a7e-9b3d-4c8e-a1f2-3d4e5f6a7b8c';
+
+      const response = await request(app).get(`/api/fairness/spins/${spinId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.verification.spin_id).toBe(spinId);
+      expect(response.body.data.verification.verified).toBe(true);
+      expect(WheelFairnessController.verifySpin).toHaveBeenCalled();
+    });
+
+    test('should reject a spin ID that is not a UUID', async () => {
+      const response = await request(app).get('/api/fairness/spins/not-a-spin');
+
+      expect(response.status).toBe(422);
+      expect(WheelFairnessController.verifySpin).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Ingest Routes Tests
+ * Tests the API-key-authenticated event ingestion endpoint
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock middleware; request validation runs for real so the event schema is exercised
+jest.mock('../../src/middleware', () => ({
+  auth: {
+    validateApiKey: (req, res, next) => {
+      const apiKey = req.headers['x-api-key'];
+      if (apiKey === 'ingest-key') {
+        req.apiKey = { id: 'key-1', name: 'Commerce backend', brand_id: 'brand-1', scopes: ['events:ingest'] };
+        next();
+      } else if (apiKey === 'points-key') {
+        req.apiKey = { id: 'key-2', name: 'POS', brand_id: 'brand-1', scopes: ['points:credit'] };
+        next();
+      } else {
+        res.status(401).json({ success: false, message: 'Invalid API key' });
+      }
+    },
+    requireApiKeyScope: (scopes) => (req, res, next) => {
+      if (scopes.every(scope => req.apiKey.scopes.includes(scope))) {
+        next();
+      } else {
+        res.status(403).json({ success: false, message: 'API key is missing scope' });
+      }
+    }
+  },
+  validation: jest.requireActual('../../src/middleware/validation'),
+  rateLimit: {
+    apiKeyRateLimit: (req, res, next) => next()
+  }
+}));
+
+// Mock controllers
+jest.mock('../../src/controllers', () => ({
+  IngestController: {
+    ingestEvents: jest.fn((req, res) => {
+      if (Array.isArray(req.body.events)) {
+        return res.json({
+          success: true,
+          message: 'Events ingested',
+          data: {
+            events: req.body.events.map((event, index) => ({ event: { id: index + 1, status: 'processed' }, duplicate: false })),
+            summary: { total: req.body.events.length, processed: req.body.events.length, failed: 0, duplicates: 0 }
+          }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Event ingested',
+        data: { event: { id: 1, brandId: req.apiKey.brand_id, eventType: req.body.event_type, status: 'processed' }, duplicate: false }
+      });
+    })
+  }
+}));
+
+const { IngestController } = require('../../src/controllers');
+
+// Import routes after mocks
+const ingestRoutes = require('../../src/routes/ingest');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/ingest', ingestRoutes);
+
+describe('Ingest Routes', () => {
+  const purchaseEvent = {
+    event_type: 'purchase',
+    member_id: 'CUST-1001',
+    idempotency_key: 'order-1001',
+    amount: 59.9,
+    currency: 'usd',
+    points: 60
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /events', () => {
+    test('should ingest a single event', async () => {
+      const response = await request(app)
+        .post('/api/ingest/events')
+        .set('x-api-key', 'ingest-key')
+        .send(purchaseEvent);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.event.brandId).toBe('brand-1');
+      expect(IngestController.ingestEvents).toHaveBeenCalled();
+      expect(IngestController.ingestEvents.mock.calls[0][0].body).toMatchObject({ currency: 'USD', data: {} });
+    });
+
+    test('should ingest a batch of events', async () => {
+      const response = await request(app)
+        .post('/api/ingest/events')
+        .set('x-api-key', 'ingest-key')
+        .send({
+          events: [
+            purchaseEvent,
+            { event_type: 'login', member_id: 'CUST-1001', idempotency_key: 'login-2026-10-19' }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.total).toBe(2);
+      expect(IngestController.ingestEvents).toHaveBeenCalled();
+    });
+
+    test('should reject a batch that repeats an idempotency key', async () => {
+      const response = await request(app)
+        .post('/api/ingest/events')
+        .set('x-api-key', 'ingest-key')
+        .send({ events: [purchaseEvent, purchaseEvent] });
+
+      expect(response.status).toBe(422);
+      expect(IngestController.ingestEvents).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown event types', async () => {
+      const response = await request(app)
+        .post('/api/ingest/events')
+        .set('x-api-key', 'ingest-key')
+        .send({ ...purchaseEvent, event_type: 'refund' });
+
+      expect(response.status).toBe(422);
+      expect(IngestController.ingestEvents).not.toHaveBeenCalled();
+    });
+
+    test('should reject requests without an API key', async () => {
+      const response = await request(app)
+        .post('/api/ingest/events')
+        .send(purchaseEvent);
+
+      expect(response.status).toBe(401);
+      expect(IngestController.ingestEvents).not.toHaveBeenCalled();
+    });
+
+    test('should reject API keys without the events:ingest scope', async () => {
+      const response = await request(app)
+        .post('/api/ingest/events')
+        .set('x-api-key', 'points-key')
+        .send(purchaseEvent);
+
+      expect(response.status).toBe(403);
+      expect(IngestController.ingestEvents).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Integration Routes Tests
+ * Tests API key scopes and brand scoping of the server-to-server member endpoints
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const mockBrandId = '2b3c4d5e-6f70-4a81-9b2c-3d4e5f607182';
+
+const mockApiKeys = {
+  'points-key': { id: 'key-1', name: 'POS', brand_id: mockBrandId, scopes: ['points:credit'] },
+  'engagement-key': { id: 'key-2', name: 'Game server', brand_id: mockBrandId, scopes: ['wheels:spin', 'rewards:redeem'] }
+};
+
+// Mock middleware; scope checks, brand scoping and request validation run for real
+jest.mock('../../src/middleware', () => {
+  const actualAuth = jest.requireActual('../../src/middleware/auth');
+  return {
+    auth: {
+      validateApiKey: (req, res, next) => {
+        const apiKey = mockApiKeys[req.headers['x-api-key']];
+        if (!apiKey) {
+          return res.status(401).json({ success: false, message: 'Invalid API key' });
+        }
+        req.apiKey = apiKey;
+        next();
+      },
+      requireApiKeyScope: actualAuth.requireApiKeyScope,
+      useApiKeyBrand: actualAuth.useApiKeyBrand
+    },
+    validation: jest.requireActual('../../src/middleware/validation'),
+    rateLimit: {
+      apiKeyRateLimit: (req, res, next) => next()
+    },
+    idempotency: {
+      idempotent: (req, res, next) => next()
+    }
+  };
+});
+
+// Mock controllers
+const mockHandler = () => jest.fn((req, res) => res.json({ success: true, params: req.params, body: req.body }));
+
+jest.mock('../../src/controllers', () => ({
+  MemberController: {
+    createMember: mockHandler(),
+    getMemberById: mockHandler(),
+    updateMember: mockHandler(),
+    getMemberTransactions: mockHandler(),
+    updateMemberPoints: mockHandler()
+  },
+  MissionController: {
+    completeMission: mockHandler()
+  },
+  WheelController: {
+    spinWheel: mockHandler()
+  },
+  RewardController: {
+    redeemReward: mockHandler()
+  }
+}));
+
+const { MemberController, WheelController, RewardController } = require('../../src/controllers');
+
+// Import routes after mocks
+const integrationRoutes = require('../../src/routes/integration');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/integration', integrationRoutes);
+
+describe('Integration Routes', () => {
+  const memberId = '4f6c1b2e-8a7d-4c3b-9e1f-2a3b4c5d6e7f';
+  const wheelId = '7a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+  const rewardId = '9c8b7a6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/integration/members/:id/points', () => {
+    test('should credit points for the brand that owns the key', async () => {
+      const response = await request(app)
+        .post(`/api/integration/members/${memberId}/points`)
+        .set('x-api-key', 'points-key')
+        .send({ type: 'credit', amount: 100, description: 'In-store purchase' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.params).toEqual({ id: memberId, brandId: mockBrandId });
+      expect(MemberController.updateMemberPoints).toHaveBeenCalled();
+    });
+
+    test('should require the points:debit scope to debit points', async () => {
+      const response = await request(app)
+        .post(`/api/integration/members/${memberId}/points`)
+        .set('x-api-key', 'points-key')
+        .send({ type: 'debit', amount: 100 });
+
+      expect(response.status).toBe(403);
+      expect(MemberController.updateMemberPoints).not.toHaveBeenCalled();
+    });
+
+    test('should reject requests without an API key', async () => {
+      const response = await request(app)
+        .post(`/api/integration/members/${memberId}/points`)
+        .send({ type: 'credit', amount: 100 });
+
+      expect(response.status).toBe(401);
+      expect(MemberController.updateMemberPoints).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('member routes', () => {
+    test('should reject keys without the members:read scope', async () => {
+      const response = await request(app)
+        .get(`/api/integration/members/${memberId}`)
+        .set('x-api-key', 'points-key');
+
+      expect(response.status).toBe(403);
+      expect(MemberController.getMemberById).not.toHaveBeenCalled();
+    });
+
+    test('should reject keys without the members:write scope', async () => {
+      const response = await request(app)
+        .post('/api/integration/members')
+        .set('x-api-key', 'points-key')
+        .send({ first_name: 'Ada' });
+
+      expect(response.status).toBe(403);
+      expect(MemberController.createMember).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('engagement routes', () => {
+    test('should spin a wheel for a member of the key\'s brand', async () => {
+      const response = await request(app)
+        .post(`/api/integration/wheels/${wheelId}/spin`)
+        .set('x-api-key', 'engagement-key')
+        .send({ member_id: memberId });
+
+      expect(response.status).toBe(200);
+      expect(response.body.params).toEqual({ id: wheelId, brandId: mockBrandId });
+      expect(response.body.body).toMatchObject({ member_id: memberId, payment_method: 'free' });
+      expect(WheelController.spinWheel).toHaveBeenCalled();
+    });
+
+    test('should redeem a reward for a member', async () => {
+      const response = await request(app)
+        .post(`/api/integration/rewards/${rewardId}/redeem`)
+        .set('x-api-key', 'engagement-key')
+        .send({ member_id: memberId });
+
+      expect(response.status).toBe(200);
+      expect(response.body.params).toEqual({ id: rewardId, brandId: mockBrandId });
+      expect(RewardController.redeemReward).toHaveBeenCalled();
+    });
+
+    test('should require a member ID to redeem a reward', async () => {
+      const response = await request(app)
+        .post(`/api/integration/rewards/${rewardId}/redeem`)
+        .set('x-api-key', 'engagement-key')
+        .send({});
+
+      expect(response.status).toBe(422);
+      expect(RewardController.redeemReward).not.toHaveBeenCalled();
+    });
+
+    test('should reject keys without the missions:complete scope', async () => {
+      const response = await request(app)
+        .post(`/api/integration/missions/${wheelId}/complete`)
+        .set('x-api-key', 'engagement-key')
+        .send({ member_id: memberId });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
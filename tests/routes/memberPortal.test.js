@@ -18,12 +18,34 @@ jest.mock('../../src/validators', () => ({
   },
   wheelValidators: {
     spinWheelSchema: {},
-    getWheelHistorySchema: {}
+    getWheelHistorySchema: {},
+    getMemberPrizeClaimsSchema: {},
+    submitPrizeClaimSchema: {},
+    getWheelSeedSchema: {},
+    rotateWheelSeedSchema: {},
+    getSpinTicketHistorySchema: {},
+    purchaseSpinTicketsSchema: {}
   },
   missionValidators: {
     getMemberMissionsSchema: {},
     completeMissionSchema: {},
-    getCompletedMissionsSchema: {}
+    getCompletedMissionsSchema: {},
+    claimMissionRewardSchema: {},
+    getMemberQuestSchema: {},
+    getStreakSchema: {},
+    purchaseStreakFreezesSchema: {}
+  },
+  rewardValidators: {
+    getMemberRewardsSchema: {},
+    getMemberRedemptionsSchema: {},
+    redeemRewardSchema: {}
+  },
+  notificationValidators: {
+    getMemberNotificationsSchema: {},
+    getUnreadCountSchema: {},
+    markNotificationReadSchema: {},
+    markAllNotificationsReadSchema: {},
+    deleteNotificationSchema: {}
   }
 }));
 
@@ -82,6 +104,9 @@ jest.mock('../../src/middleware', () => ({
   rateLimit: {
     generalRateLimit: (req, res, next) => next(),
     wheelSpinRateLimit: (req, res, next) => next()
+  },
+  idempotency: {
+    idempotent: (req, res, next) => next()
   }
 }));
 
@@ -121,6 +146,16 @@ jest.mock('../../src/controllers', () => ({
         }
       });
     }),
+    getMemberDashboard: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          member: { id: req.user.member_id },
+          recent_transactions: [],
+          streak: { current_streak: 3, longest_streak: 5 }
+        }
+      });
+    }),
     updateMemberProfile: jest.fn((req, res) => {
       res.json({
         success: true,
@@ -241,6 +276,17 @@ jest.mock('../../src/controllers', () => ({
         }
       });
     }),
+    getMemberRedemptions: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          redemptions: [
+            { id: 1, rewardId: 1, status: 'issued', code: 'RDM-4F9A2C7E1B', pointsSpent: 100 }
+          ],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
     getMemberNotifications: jest.fn((req, res) => {
       res.json({
         success: true,
@@ -278,6 +324,25 @@ jest.mock('../../src/controllers', () => ({
           readAt: new Date()
         }
       });
+    }),
+    getUnreadNotificationCount: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { unread_count: 3 }
+      });
+    }),
+    markAllNotificationsAsRead: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Notifications marked as read',
+        data: { updated_count: 3 }
+      });
+    }),
+    deleteMemberNotification: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Notification deleted successfully'
+      });
     })
   },
   MissionController: {
@@ -355,6 +420,35 @@ jest.mock('../../src/controllers', () => ({
           pagination: { page: 1, limit: 10, total: 2 }
         }
       });
+    }),
+    getMemberClaimableRewards: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          rewards: [
+            {
+              completion_id: 'completion-1',
+              mission_id: 'mission-1',
+              mission_name: 'First Purchase',
+              reward_points: 100,
+              reward_spin_tickets: 1,
+              expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+              expires_in_seconds: 86400
+            }
+          ]
+        }
+      });
+    }),
+    claimMemberMissionReward: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Mission reward claimed successfully',
+        data: {
+          completion: { id: req.params.completion_id, reward_claimed: true },
+          transaction: { id: 'transaction-1', amount: 100 },
+          spin_tickets: { earned: 1, balance: 3 }
+        }
+      });
     })
   },
   WheelController: {
@@ -494,11 +588,124 @@ jest.mock('../../src/controllers', () => ({
         }
       });
     })
+  },
+  WheelFairnessController: {
+    getMemberSeed: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { seed: { server_seed_hash: 'a3f1c9', client_seed: 'lucky', nonce: 3 } }
+      });
+    }),
+    rotateMemberSeed: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Seed pair rotated successfully',
+        data: {
+          previous_seed: { server_seed: 'revealed-server-seed', server_seed_hash: 'a3f1c9', client_seed: 'lucky', spins: 3 },
+          current_seed: { server_seed_hash: 'b7e2d4', client_seed: req.body.client_seed, nonce: 0 }
+        }
+      });
+    })
+  },
+  PrizeClaimController: {
+    getMemberClaims: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          claims: [{ id: 1, prize_type: 'product', status: 'pending' }],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    submitMemberClaim: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Prize claim submitted successfully',
+        data: { claim: { id: parseInt(req.params.id), status: 'claimed' } }
+      });
+    })
+  },
+  SpinTicketController: {
+    getMyWallet: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: { wallet: { member_id: req.user.member_id, balance: 4, ticket_price_points: 100 } }
+      });
+    }),
+    getMyHistory: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          transactions: [{ id: 1, amount: 2, source: 'mission', balance_after: 4 }],
+          pagination: { page: 1, limit: 20, total: 1 }
+        }
+      });
+    }),
+    purchaseTickets: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Spin tickets purchased successfully',
+        data: { tickets_balance: 4 + req.body.quantity, points_balance: 700 }
+      });
+    })
+  },
+  QuestController: {
+    getMemberQuests: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          quests: [{ id: 'quest-1', name: 'Starter', completed: false, progress: { completed_steps: 1, required_steps: 2, percentage: 50 } }]
+        }
+      });
+    }),
+    getMemberQuest: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          quest: {
+            id: req.params.questId,
+            name: 'Starter',
+            steps: [
+              { step: 1, optional: false, status: 'completed', missions: [{ id: 'mission-signup', completed: true }] },
+              { step: 2, optional: false, status: 'unlocked', missions: [{ id: 'mission-deposit', completed: false }] }
+            ]
+          }
+        }
+      });
+    })
+  },
+  StreakController: {
+    checkIn: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Checked in successfully',
+        data: { check_in: { checked_in: true, current_streak: 3, milestone: { day: 3, reward_points: 50 } } }
+      });
+    }),
+    getStreak: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          streak: {
+            current_streak: 3,
+            longest_streak: 5,
+            calendar: { month: req.query.month || '2026-10', days: [{ date: '2026-10-01', status: 'checked_in' }] }
+          }
+        }
+      });
+    }),
+    purchaseFreezes: jest.fn((req, res) => {
+      res.json({
+        success: true,
+        message: 'Streak freezes purchased successfully',
+        data: { freezes_available: req.body.quantity, points_balance: 900 }
+      });
+    })
   }
 }));
 
 // Get reference to mocked controllers for test assertions
-const { MemberController, MissionController, WheelController, TransactionController } = require('../../src/controllers');
+const { MemberController, MissionController, WheelController, WheelFairnessController, TransactionController, PrizeClaimController, SpinTicketController, QuestController, StreakController } = require('../../src/controllers');
 
 // Create test app
 const app = express();
@@ -542,6 +749,26 @@ describe('Member Portal Routes', () => {
       });
     });
 
+    describe('GET /dashboard', () => {
+      test('should get the dashboard with the member\'s streak', async () => {
+        const response = await request(app)
+          .get('/api/member/dashboard')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.streak.current_streak).toBe(3);
+        expect(MemberController.getMemberDashboard).toHaveBeenCalled();
+      });
+
+      test('should reject unauthenticated requests', async () => {
+        const response = await request(app)
+          .get('/api/member/dashboard');
+
+        expect(response.status).toBe(401);
+        expect(MemberController.getMemberDashboard).not.toHaveBeenCalled();
+      });
+    });
+
     describe('PUT /profile', () => {
       test('should update member profile successfully', async () => {
         const updateData = {
@@ -650,6 +877,112 @@ describe('Member Portal Routes', () => {
         expect(MissionController.getMemberCompletedMissions).toHaveBeenCalled();
       });
     });
+
+    describe('GET /missions/rewards', () => {
+      test('should get the rewards waiting to be claimed', async () => {
+        const response = await request(app)
+          .get('/api/member/missions/rewards')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.rewards[0]).toHaveProperty('expires_at');
+        expect(MissionController.getMemberClaimableRewards).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /missions/rewards/:completion_id/claim', () => {
+      test('should claim a mission reward', async () => {
+        const response = await request(app)
+          .post('/api/member/missions/rewards/completion-1/claim')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toContain('claimed successfully');
+        expect(response.body.data.completion).toEqual({ id: 'completion-1', reward_claimed: true });
+        expect(MissionController.claimMemberMissionReward).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Quests', () => {
+    describe('GET /quests', () => {
+      test('should get active quests with the member progress', async () => {
+        const response = await request(app)
+          .get('/api/member/quests')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.quests[0].progress).toEqual({ completed_steps: 1, required_steps: 2, percentage: 50 });
+        expect(QuestController.getMemberQuests).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /quests/:questId', () => {
+      test('should get a quest with its step statuses', async () => {
+        const response = await request(app)
+          .get('/api/member/quests/quest-1')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.quest.steps.map(step => step.status)).toEqual(['completed', 'unlocked']);
+        expect(QuestController.getMemberQuest).toHaveBeenCalled();
+      });
+
+      test('should reject unauthenticated requests', async () => {
+        const response = await request(app)
+          .get('/api/member/quests/quest-1');
+
+        expect(response.status).toBe(401);
+        expect(QuestController.getMemberQuest).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Streaks', () => {
+    describe('POST /check-in', () => {
+      test('should check the member in', async () => {
+        const response = await request(app)
+          .post('/api/member/check-in')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.check_in.current_streak).toBe(3);
+        expect(StreakController.checkIn).toHaveBeenCalled();
+      });
+
+      test('should reject unauthenticated requests', async () => {
+        const response = await request(app)
+          .post('/api/member/check-in');
+
+        expect(response.status).toBe(401);
+        expect(StreakController.checkIn).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /streak', () => {
+      test('should get the streak with its calendar', async () => {
+        const response = await request(app)
+          .get('/api/member/streak?month=2026-09')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.streak.calendar.month).toBe('2026-09');
+        expect(StreakController.getStreak).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /streak/freezes/purchase', () => {
+      test('should buy streak freezes', async () => {
+        const response = await request(app)
+          .post('/api/member/streak/freezes/purchase')
+          .set('Authorization', `Bearer ${memberToken}`)
+          .send({ quantity: 2 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.freezes_available).toBe(2);
+        expect(StreakController.purchaseFreezes).toHaveBeenCalled();
+      });
+    });
   });
 
   describe('Transaction History', () => {
@@ -721,6 +1054,108 @@ describe('Member Portal Routes', () => {
         expect(WheelController.getMemberWheelHistory).toHaveBeenCalled();
       });
     });
+
+    describe('GET /wheels/:id/fairness', () => {
+      test('should get the provably fair seed pair', async () => {
+        const response = await request(app)
+          .get('/api/member/wheels/1/fairness')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.seed).toHaveProperty('server_seed_hash');
+        expect(response.body.data.seed).not.toHaveProperty('server_seed');
+        expect(WheelFairnessController.getMemberSeed).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /wheels/:id/fairness/rotate', () => {
+      test('should reveal the old server seed and start a new pair', async () => {
+        const response = await request(app)
+          .post('/api/member/wheels/1/fairness/rotate')
+          .set('Authorization', `Bearer ${memberToken}`)
+          .send({ client_seed: 'my-new-seed' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.previous_seed.server_seed).toBe('revealed-server-seed');
+        expect(response.body.data.current_seed.client_seed).toBe('my-new-seed');
+        expect(WheelFairnessController.rotateMemberSeed).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Prize Claims', () => {
+    describe('GET /prize-claims', () => {
+      test('should get member prize claims', async () => {
+        const response = await request(app)
+          .get('/api/member/prize-claims')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty('claims');
+        expect(PrizeClaimController.getMemberClaims).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /prize-claims/:id/submit', () => {
+      test('should submit prize claim details', async () => {
+        const response = await request(app)
+          .post('/api/member/prize-claims/1/submit')
+          .set('Authorization', `Bearer ${memberToken}`)
+          .send({ shipping_address: { recipient_name: 'Jane Doe', line1: '1 Main St', city: 'Austin', postal_code: '73301', country: 'US' } });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.claim.status).toBe('claimed');
+        expect(PrizeClaimController.submitMemberClaim).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Spin Tickets', () => {
+    describe('GET /spin-tickets', () => {
+      test('should get member spin ticket wallet', async () => {
+        const response = await request(app)
+          .get('/api/member/spin-tickets')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.wallet.balance).toBe(4);
+        expect(SpinTicketController.getMyWallet).toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /spin-tickets/history', () => {
+      test('should get member spin ticket history', async () => {
+        const response = await request(app)
+          .get('/api/member/spin-tickets/history')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty('transactions');
+        expect(SpinTicketController.getMyHistory).toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /spin-tickets/purchase', () => {
+      test('should buy spin tickets with points', async () => {
+        const response = await request(app)
+          .post('/api/member/spin-tickets/purchase')
+          .set('Authorization', `Bearer ${memberToken}`)
+          .send({ quantity: 3 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.tickets_balance).toBe(7);
+        expect(SpinTicketController.purchaseTickets).toHaveBeenCalled();
+      });
+
+      test('should require authentication', async () => {
+        const response = await request(app)
+          .post('/api/member/spin-tickets/purchase')
+          .send({ quantity: 3 });
+
+        expect(response.status).toBe(401);
+        expect(SpinTicketController.purchaseTickets).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('Leaderboard', () => {
@@ -774,6 +1209,21 @@ describe('Member Portal Routes', () => {
         expect(MemberController.redeemMemberReward).toHaveBeenCalled();
       });
     });
+
+    describe('GET /rewards/redemptions', () => {
+      test('should get member redemptions', async () => {
+        const response = await request(app)
+          .get('/api/member/rewards/redemptions')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveProperty('redemptions');
+        expect(Array.isArray(response.body.data.redemptions)).toBe(true);
+        expect(MemberController.getMemberRedemptions).toHaveBeenCalled();
+        expect(MemberController.redeemMemberReward).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('Notifications Management', () => {
@@ -808,6 +1258,44 @@ describe('Member Portal Routes', () => {
         expect(MemberController.markNotificationAsRead).toHaveBeenCalled();
       });
     });
+
+    describe('GET /notifications/unread-count', () => {
+      test('should get unread notification count', async () => {
+        const response = await request(app)
+          .get('/api/member/notifications/unread-count')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.unread_count).toBe(3);
+        expect(MemberController.getUnreadNotificationCount).toHaveBeenCalled();
+      });
+    });
+
+    describe('PUT /notifications/read-all', () => {
+      test('should mark all notifications as read', async () => {
+        const response = await request(app)
+          .put('/api/member/notifications/read-all')
+          .set('Authorization', `Bearer ${memberToken}`)
+          .send({ type: 'points_earned' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty('updated_count');
+        expect(MemberController.markAllNotificationsAsRead).toHaveBeenCalled();
+        expect(MemberController.markNotificationAsRead).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('DELETE /notifications/:id', () => {
+      test('should delete notification', async () => {
+        const response = await request(app)
+          .delete('/api/member/notifications/1')
+          .set('Authorization', `Bearer ${memberToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(MemberController.deleteMemberNotification).toHaveBeenCalled();
+      });
+    });
   });
 
   describe('Authentication and Authorization Tests', () => {
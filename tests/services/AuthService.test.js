@@ -0,0 +1,126 @@
+/**
+ * Auth Service Tests
+ * Covers counting member logins as mission activity and streak check-ins
+ */
+
+const mockUserRepository = {
+  findByEmail: jest.fn(),
+  findById: jest.fn(),
+  updateLastLogin: jest.fn()
+};
+
+const mockMissionProgressService = {
+  recordActivity: jest.fn()
+};
+
+const mockMissionService = {
+  completeReachedMissions: jest.fn()
+};
+
+const mockStreakService = {
+  recordActivity: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  UserRepository: jest.fn(() => mockUserRepository),
+  AuditLogRepository: jest.fn(() => ({ logUserAction: jest.fn() }))
+}));
+
+jest.mock('../../src/services/MissionProgressService', () => jest.fn(() => mockMissionProgressService));
+jest.mock('../../src/services/MissionService', () => jest.fn(() => mockMissionService));
+jest.mock('../../src/services/StreakService', () => jest.fn(() => mockStreakService));
+
+const { encryption, jwt } = require('../../src/utils');
+const AuthService = require('../../src/services/AuthService');
+
+describe('AuthService', () => {
+  let service;
+
+  const memberUser = {
+    id: 'user-1',
+    email: 'ada@example.com',
+    role: 'member',
+    member_id: 'member-1',
+    brand_id: 'brand-1',
+    status: 'active',
+    password_hash: 'hash'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(encryption, 'comparePassword').mockResolvedValue(true);
+    jest.spyOn(jwt, 'generateAccessToken').mockReturnValue('access-token');
+    jest.spyOn(jwt, 'generateRefreshToken').mockReturnValue('refresh-token');
+    mockUserRepository.findByEmail.mockResolvedValue(memberUser);
+    mockUserRepository.findById.mockResolvedValue(memberUser);
+    mockStreakService.recordActivity.mockResolvedValue({ current_streak: 1 });
+    mockMissionProgressService.recordActivity.mockResolvedValue([]);
+    mockMissionService.completeReachedMissions.mockResolvedValue({ reached: 1, completed: 1, failed: 0, completions: [] });
+    service = new AuthService();
+  });
+
+  describe('login', () => {
+    test('should count a member login towards login missions and complete the ones it reached', async () => {
+      mockMissionProgressService.recordActivity.mockResolvedValue([{ id: 'progress-1', progress: 5, target: 5 }]);
+
+      const result = await service.login('ada@example.com', 'secret', { ip: '127.0.0.1' });
+
+      expect(result.user).not.toHaveProperty('password_hash');
+      expect(mockMissionProgressService.recordActivity).toHaveBeenCalledWith('member-1', 'brand-1', 'login');
+      expect(mockMissionService.completeReachedMissions).toHaveBeenCalledWith({ memberId: 'member-1' }, { ip: '127.0.0.1' });
+    });
+
+    test('should not look for completed missions when the login reached none', async () => {
+      await service.login('ada@example.com', 'secret');
+
+      expect(mockMissionProgressService.recordActivity).toHaveBeenCalled();
+      expect(mockMissionService.completeReachedMissions).not.toHaveBeenCalled();
+    });
+
+    test('should not count logins of back office users', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue({ ...memberUser, role: 'brand_admin', member_id: null });
+
+      await service.login('ada@example.com', 'secret');
+
+      expect(mockMissionProgressService.recordActivity).not.toHaveBeenCalled();
+    });
+
+    test('should check the member in for their streak', async () => {
+      await service.login('ada@example.com', 'secret', { ip: '127.0.0.1' });
+
+      expect(mockStreakService.recordActivity).toHaveBeenCalledWith('member-1', 'brand-1', { ip: '127.0.0.1' });
+    });
+
+    test('should still log the member in when recording the activity fails', async () => {
+      mockMissionProgressService.recordActivity.mockRejectedValue(new Error('connection reset'));
+      mockStreakService.recordActivity.mockRejectedValue(new Error('connection reset'));
+
+      const result = await service.login('ada@example.com', 'secret');
+
+      expect(result.tokens.access_token).toBe('access-token');
+    });
+  });
+
+  describe('refreshToken', () => {
+    beforeEach(() => {
+      jest.spyOn(jwt, 'verifyRefreshToken').mockReturnValue({ userId: 'user-1' });
+    });
+
+    test('should check a member in for their streak without counting a login', async () => {
+      const tokens = await service.refreshToken('refresh-token');
+
+      expect(tokens.access_token).toBe('access-token');
+      expect(mockStreakService.recordActivity).toHaveBeenCalledWith('member-1', 'brand-1', {});
+      expect(mockMissionProgressService.recordActivity).not.toHaveBeenCalled();
+    });
+
+    test('should not check in back office users', async () => {
+      mockUserRepository.findById.mockResolvedValue({ ...memberUser, role: 'brand_admin', member_id: null });
+
+      await service.refreshToken('refresh-token');
+
+      expect(mockStreakService.recordActivity).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Event Ingestion Service Tests
+ * Covers idempotent storage, point credits, mission progress, streak check-ins and replay of ingested events
+ */
+
+const mockIngestedEventRepository = {
+  createIfAbsent: jest.fn(),
+  findByIdempotencyKey: jest.fn(),
+  findByIdForBrand: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  markProcessed: jest.fn(async (id, outcome) => ({ id, status: 'processed', ...outcome })),
+  markFailed: jest.fn(async (id, errorMessage) => ({ id, status: 'failed', error_message: errorMessage })),
+  update: jest.fn(async (id, data) => ({ id, status: 'processed', ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockMemberRepository = {
+  findOne: jest.fn()
+};
+
+const mockApplicationRepository = {
+  recordApplications: jest.fn()
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+const mockTransactionService = {
+  createTransaction: jest.fn()
+};
+
+const mockMissionService = {
+  completeReachedMissions: jest.fn()
+};
+
+const mockMissionProgressService = {
+  recordActivity: jest.fn()
+};
+
+const mockPointsRuleService = {
+  evaluate: jest.fn()
+};
+
+const mockStreakService = {
+  recordActivity: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  IngestedEventRepository: jest.fn(() => mockIngestedEventRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  PointsRuleApplicationRepository: jest.fn(() => mockApplicationRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+jest.mock('../../src/services/TransactionService', () => jest.fn(() => mockTransactionService));
+jest.mock('../../src/services/MissionService', () => jest.fn(() => mockMissionService));
+jest.mock('../../src/services/MissionProgressService', () => jest.fn(() => mockMissionProgressService));
+jest.mock('../../src/services/PointsRuleService', () => jest.fn(() => mockPointsRuleService));
+jest.mock('../../src/services/StreakService', () => jest.fn(() => mockStreakService));
+
+const EventIngestionService = require('../../src/services/EventIngestionService');
+
+describe('EventIngestionService', () => {
+  let service;
+
+  const member = { id: 'member-uuid', member_id: 'CUST-1', brand_id: 'brand-1' };
+
+  const buildEventData = (overrides = {}) => ({
+    event_type: 'purchase',
+    member_id: 'CUST-1',
+    idempotency_key: 'order-1001',
+    amount: 120,
+    currency: 'USD',
+    points: 50,
+    data: { order_id: '1001' },
+    ...overrides
+  });
+
+  const buildStoredEvent = (overrides = {}) => ({
+    id: 'event-1',
+    brand_id: 'brand-1',
+    event_type: 'purchase',
+    external_member_id: 'CUST-1',
+    amount: 120,
+    points: 50,
+    status: 'received',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new EventIngestionService();
+    mockMemberRepository.findOne.mockResolvedValue(member);
+    mockMissionService.completeReachedMissions.mockResolvedValue({ reached: 0, completed: 0, failed: 0, completions: [] });
+    mockTransactionService.createTransaction.mockResolvedValue({ id: 'transaction-1' });
+    mockIngestedEventRepository.findByIdForUpdate.mockImplementation(async (id) => buildStoredEvent({ id }));
+  });
+
+  test('should store a new event and credit its points in the same transaction as the status change', async () => {
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(buildStoredEvent());
+
+    const result = await service.ingestEvent(buildEventData(), 'brand-1', 'key-1', { ip: '10.0.0.1' });
+
+    expect(result.duplicate).toBe(false);
+    expect(result.event.status).toBe('processed');
+    expect(mockIngestedEventRepository.createIfAbsent).toHaveBeenCalledWith(expect.objectContaining({
+      brand_id: 'brand-1',
+      api_key_id: 'key-1',
+      idempotency_key: 'order-1001',
+      external_member_id: 'CUST-1',
+      status: 'received'
+    }));
+    expect(mockTransactionService.createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        member_id: 'member-uuid',
+        type: 'credit',
+        amount: 50,
+        reference_type: 'ingested_event',
+        reference_id: 'event-1'
+      }),
+      'brand-1',
+      null,
+      { ip: '10.0.0.1' },
+      'tx-client'
+    );
+    expect(mockIngestedEventRepository.markProcessed).toHaveBeenCalledWith('event-1', {
+      member_id: 'member-uuid',
+      points_awarded: 50,
+      transaction_id: 'transaction-1',
+      result: {}
+    }, 'tx-client');
+    expect(mockPointsRuleService.evaluate).not.toHaveBeenCalled();
+  });
+
+  test('should let the points rules decide when the event carries no points', async () => {
+    const applications = [
+      { rule_id: 'rule-rate', rule_name: 'Deposit rate', rule_type: 'rate', points: 12 },
+      { rule_id: 'rule-weekend', rule_name: 'Weekend double', rule_type: 'multiplier', points: 12 }
+    ];
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(buildStoredEvent({ event_type: 'deposit', points: null }));
+    mockPointsRuleService.evaluate.mockResolvedValue({ points: 24, applications, occurred_at: new Date('2026-10-19T09:30:00.000Z') });
+
+    const result = await service.ingestEvent(buildEventData({ event_type: 'deposit', points: undefined }), 'brand-1', 'key-1');
+
+    expect(mockPointsRuleService.evaluate).toHaveBeenCalledWith(
+      expect.objectContaining({ event_type: 'deposit', amount: 120 }),
+      member,
+      'brand-1',
+      'tx-client'
+    );
+    expect(mockTransactionService.createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 24, metadata: { points_rules: applications } }),
+      'brand-1',
+      null,
+      {},
+      'tx-client'
+    );
+    expect(mockApplicationRepository.recordApplications).toHaveBeenCalledWith(
+      'transaction-1', 'member-uuid', 'brand-1', applications, new Date('2026-10-19T09:30:00.000Z'), 'tx-client'
+    );
+    expect(result.event.points_awarded).toBe(24);
+  });
+
+  test('should return the stored event for a reused idempotency key without processing it again', async () => {
+    const storedEvent = buildStoredEvent({ status: 'processed' });
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(null);
+    mockIngestedEventRepository.findByIdempotencyKey.mockResolvedValue(storedEvent);
+
+    const result = await service.ingestEvent(buildEventData(), 'brand-1', 'key-1');
+
+    expect(result).toEqual({ event: storedEvent, duplicate: true });
+    expect(mockIngestedEventRepository.findByIdempotencyKey).toHaveBeenCalledWith('brand-1', 'order-1001');
+    expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should mark the event failed when the member is unknown', async () => {
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(buildStoredEvent());
+    mockMemberRepository.findOne.mockResolvedValue(null);
+
+    const result = await service.ingestEvent(buildEventData(), 'brand-1', 'key-1');
+
+    expect(result.event.status).toBe('failed');
+    expect(mockIngestedEventRepository.markFailed).toHaveBeenCalledWith('event-1', 'Member not found for ingested event');
+    expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should count the event amount towards missions in the event transaction and complete the ones it reaches', async () => {
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(buildStoredEvent({ points: 0 }));
+    mockMissionService.completeReachedMissions.mockResolvedValue({
+      reached: 1,
+      completed: 1,
+      failed: 0,
+      completions: [{ mission_id: 'mission-purchase', member_id: 'member-uuid', completion_id: 'completion-1' }]
+    });
+
+    const result = await service.ingestEvent(buildEventData({ points: 0 }), 'brand-1', 'key-1');
+
+    expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+    expect(mockMissionProgressService.recordActivity).toHaveBeenCalledWith('member-uuid', 'brand-1', 'purchase', 120, 'tx-client');
+    expect(mockMissionService.completeReachedMissions).toHaveBeenCalledWith({ memberId: 'member-uuid' }, {});
+    expect(result.event.result).toEqual({
+      completed_missions: [{ mission_id: 'mission-purchase', completion_id: 'completion-1' }]
+    });
+  });
+
+  test('should count events without an amount once and stay processed when missions fail', async () => {
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(buildStoredEvent({ event_type: 'login', amount: null, points: 0 }));
+    mockMissionService.completeReachedMissions.mockRejectedValue(new Error('connection reset'));
+
+    const result = await service.ingestEvent(buildEventData({ event_type: 'login', amount: undefined, points: 0 }), 'brand-1', 'key-1');
+
+    expect(mockMissionProgressService.recordActivity).toHaveBeenCalledWith('member-uuid', 'brand-1', 'login', 1, 'tx-client');
+    expect(result.event.status).toBe('processed');
+    expect(mockStreakService.recordActivity).toHaveBeenCalledWith('member-uuid', 'brand-1', {});
+    expect(mockIngestedEventRepository.update).not.toHaveBeenCalled();
+  });
+
+  test('should stay processed when the streak check-in of a login fails', async () => {
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(buildStoredEvent({ event_type: 'login', amount: null, points: 0 }));
+    mockStreakService.recordActivity.mockRejectedValueOnce(new Error('connection reset'));
+
+    const result = await service.ingestEvent(buildEventData({ event_type: 'login', amount: undefined, points: 0 }), 'brand-1', 'key-1');
+
+    expect(result.event.status).toBe('processed');
+  });
+
+  test('should summarise a batch by outcome', async () => {
+    mockIngestedEventRepository.createIfAbsent
+      .mockResolvedValueOnce(buildStoredEvent({ id: 'event-1' }))
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(buildStoredEvent({ id: 'event-3', external_member_id: 'UNKNOWN' }));
+    mockIngestedEventRepository.findByIdempotencyKey.mockResolvedValue(buildStoredEvent({ id: 'event-0', status: 'processed' }));
+    mockMemberRepository.findOne
+      .mockResolvedValueOnce(member)
+      .mockResolvedValueOnce(null);
+
+    const result = await service.ingestEvents([
+      buildEventData({ idempotency_key: 'order-1' }),
+      buildEventData({ idempotency_key: 'order-0' }),
+      buildEventData({ idempotency_key: 'order-3', member_id: 'UNKNOWN' })
+    ], 'brand-1', 'key-1');
+
+    expect(result.events).toHaveLength(3);
+    expect(result.summary).toEqual({ total: 3, processed: 1, failed: 1, duplicates: 1 });
+  });
+
+  test('should refuse to replay an event that was already processed', async () => {
+    mockIngestedEventRepository.findByIdForBrand.mockResolvedValue(buildStoredEvent({ status: 'processed' }));
+
+    await expect(service.replayEvent('event-1', 'brand-1', 'user-1')).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should not credit a replay that another caller processed after it was read', async () => {
+    mockIngestedEventRepository.findByIdForBrand.mockResolvedValue(buildStoredEvent({ status: 'failed' }));
+    mockIngestedEventRepository.findByIdForUpdate.mockResolvedValue(buildStoredEvent({ status: 'processed' }));
+
+    await expect(service.replayEvent('event-1', 'brand-1', 'user-1')).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockIngestedEventRepository.findByIdForUpdate).toHaveBeenCalledWith('event-1', 'tx-client');
+    expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+    expect(mockIngestedEventRepository.markProcessed).not.toHaveBeenCalled();
+    expect(mockIngestedEventRepository.markFailed).not.toHaveBeenCalled();
+  });
+
+  test('should return a new event a replay processed first as a duplicate', async () => {
+    mockIngestedEventRepository.createIfAbsent.mockResolvedValue(buildStoredEvent());
+    mockIngestedEventRepository.findByIdForUpdate.mockResolvedValue(buildStoredEvent({ status: 'processed' }));
+    mockIngestedEventRepository.findByIdempotencyKey.mockResolvedValue(buildStoredEvent({ status: 'processed' }));
+
+    const result = await service.ingestEvent(buildEventData(), 'brand-1', 'key-1');
+
+    expect(result).toEqual({ event: expect.objectContaining({ status: 'processed' }), duplicate: true });
+    expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should replay a failed event and audit the replay', async () => {
+    mockIngestedEventRepository.findByIdForBrand.mockResolvedValue(buildStoredEvent({ status: 'failed' }));
+
+    const event = await service.replayEvent('event-1', 'brand-1', 'user-1', { ip: '10.0.0.2' });
+
+    expect(event.status).toBe('processed');
+    expect(mockAuditLogRepository.logUserAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'ingest_event_replay',
+      resource_id: 'event-1',
+      metadata: expect.objectContaining({ previousStatus: 'failed', status: 'processed' })
+    }));
+  });
+});
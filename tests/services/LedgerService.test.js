@@ -0,0 +1,163 @@
+/**
+ * Ledger Service Tests
+ * Covers member postings to the double-entry ledger, reconciliation and snapshots
+ */
+
+const mockLedgerRepository = {
+  findBalanceMismatches: jest.fn(),
+  findUnbalancedJournals: jest.fn(),
+  getAccountTypeTotals: jest.fn(),
+  getAccountBalance: jest.fn(),
+  findMemberEntries: jest.fn(),
+  getBalancesAsOf: jest.fn()
+};
+
+const mockLedgerSnapshotRepository = {
+  getLatestSnapshotAt: jest.fn(),
+  findByAccount: jest.fn(),
+  recordSnapshots: jest.fn()
+};
+
+const mockMemberRepository = {
+  findById: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  LedgerRepository: jest.fn(() => mockLedgerRepository),
+  LedgerSnapshotRepository: jest.fn(() => mockLedgerSnapshotRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository)
+}));
+
+const LedgerService = require('../../src/services/LedgerService');
+const LedgerRepository = require('../../src/repositories/LedgerRepository');
+
+describe('LedgerRepository member postings', () => {
+  let repository;
+  let query;
+
+  const member = { id: 'member-1', brand_id: 'brand-1', points_balance: 0 };
+
+  // Lines of the journal posted by the nth INSERT
+  const postedLines = (call) => {
+    const values = query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ledger_entries'))[call][1];
+    const lines = [];
+    for (let i = 0; i < values.length; i += 10) {
+      lines.push({ account_type: values[i + 3], direction: values[i + 6], amount: values[i + 7], entry_type: values[i + 8] });
+    }
+    return lines;
+  };
+
+  beforeEach(() => {
+    repository = new LedgerRepository();
+    query = jest.spyOn(repository, 'query').mockImplementation(async () => ({ rows: [], rowCount: 0 }));
+  });
+
+  test('should credit the member against the promo budget for earned points', async () => {
+    await repository.postMemberMovement(member, 50, 'points_earned', 'transaction-1', 'tx-client');
+
+    expect(postedLines(0)).toEqual([
+      { account_type: 'member', direction: 'credit', amount: 50, entry_type: 'points_earned' },
+      { account_type: 'promo_budget', direction: 'debit', amount: 50, entry_type: 'points_earned' }
+    ]);
+    expect(query.mock.calls[0][2]).toBe('tx-client');
+  });
+
+  test('should debit the member to brand liability for spent points', async () => {
+    // The member already has entries, so no opening balance is posted
+    query.mockImplementation(async (sql) => ({ rows: sql.includes('SELECT 1') ? [{ '?column?': 1 }] : [] }));
+
+    await repository.postMemberMovement({ ...member, points_balance: 80 }, -30, 'debit', 'transaction-2', 'tx-client');
+
+    expect(postedLines(0)).toEqual([
+      { account_type: 'member', direction: 'debit', amount: 30, entry_type: 'debit' },
+      { account_type: 'brand_liability', direction: 'credit', amount: 30, entry_type: 'debit' }
+    ]);
+  });
+
+  test('should open the ledger with a balance held before the first posting', async () => {
+    await repository.postMemberMovement({ ...member, points_balance: 200 }, 10, 'points_earned', 'transaction-3', 'tx-client');
+
+    expect(postedLines(0)).toEqual([
+      { account_type: 'member', direction: 'credit', amount: 200, entry_type: 'opening_balance' },
+      { account_type: 'promo_budget', direction: 'debit', amount: 200, entry_type: 'opening_balance' }
+    ]);
+    expect(postedLines(1)[0]).toMatchObject({ amount: 10, entry_type: 'points_earned' });
+  });
+
+  test('should refuse a journal that does not balance and never change entries', async () => {
+    await expect(repository.postJournal('brand-1', 'points_earned', [
+      { account_type: 'member', account_id: 'member-1', direction: 'credit', amount: 10 },
+      { account_type: 'promo_budget', account_id: 'brand-1', direction: 'debit', amount: 5 }
+    ])).rejects.toThrow('Ledger journal does not balance');
+    await expect(repository.update('entry-1', { amount: 1 })).rejects.toThrow('append-only');
+    await expect(repository.delete('entry-1')).rejects.toThrow('append-only');
+  });
+});
+
+describe('LedgerService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new LedgerService();
+  });
+
+  test('should report members whose cached balance disagrees with the ledger', async () => {
+    mockLedgerRepository.findBalanceMismatches.mockResolvedValue({
+      membersChecked: 3,
+      mismatchCount: 1,
+      mismatches: [{ member_id: 'member-2', external_member_id: 'CUST-2', cached_balance: 150, ledger_balance: '100', entry_count: '4' }]
+    });
+    mockLedgerRepository.findUnbalancedJournals.mockResolvedValue([]);
+    mockLedgerRepository.getAccountTypeTotals.mockResolvedValue([
+      { account_type: 'member', balance: '300' },
+      { account_type: 'promo_budget', balance: '-400' },
+      { account_type: 'brand_liability', balance: '100' }
+    ]);
+    mockLedgerSnapshotRepository.getLatestSnapshotAt.mockResolvedValue(null);
+
+    const report = await service.getReconciliationReport('brand-1', { limit: 50 });
+
+    expect(mockLedgerRepository.findBalanceMismatches).toHaveBeenCalledWith('brand-1', 50);
+    expect(report).toMatchObject({
+      balanced: false,
+      members_checked: 3,
+      mismatch_count: 1,
+      mismatches: [{ member_id: 'member-2', cached_balance: 150, ledger_balance: 100, difference: 50, entry_count: 4 }],
+      accounts: { member: 300, promo_budget: -400, brand_liability: 100 },
+      last_snapshot_at: null
+    });
+  });
+
+  test('should call a brand balanced when balances and journals agree', async () => {
+    mockLedgerRepository.findBalanceMismatches.mockResolvedValue({ membersChecked: 3, mismatchCount: 0, mismatches: [] });
+    mockLedgerRepository.findUnbalancedJournals.mockResolvedValue([]);
+    mockLedgerRepository.getAccountTypeTotals.mockResolvedValue([]);
+
+    const report = await service.getReconciliationReport('brand-1');
+
+    expect(report.balanced).toBe(true);
+    expect(report.accounts).toEqual({ member: 0, brand_liability: 0, promo_budget: 0 });
+  });
+
+  test('should not show the ledger of another brand member', async () => {
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-9', brand_id: 'brand-2' });
+
+    await expect(service.getMemberLedger('member-9', 'brand-1')).rejects.toMatchObject({ statusCode: 404 });
+    expect(mockLedgerRepository.findMemberEntries).not.toHaveBeenCalled();
+  });
+
+  test('should snapshot every account balance at one point in time', async () => {
+    const snapshotAt = new Date('2026-10-19T00:00:00.000Z');
+    const balances = [{ brand_id: 'brand-1', account_type: 'member', account_id: 'member-1', balance: '100', entry_count: '2' }];
+    mockLedgerRepository.getBalancesAsOf.mockResolvedValue(balances);
+    mockLedgerSnapshotRepository.recordSnapshots.mockResolvedValue(1);
+
+    const summary = await service.takeSnapshots(snapshotAt);
+
+    expect(mockLedgerRepository.getBalancesAsOf).toHaveBeenCalledWith(snapshotAt);
+    expect(mockLedgerSnapshotRepository.recordSnapshots).toHaveBeenCalledWith(balances, snapshotAt);
+    expect(summary).toEqual({ accounts: 1, snapshotAt });
+  });
+});
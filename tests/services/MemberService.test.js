@@ -0,0 +1,80 @@
+/**
+ * Member Service Tests
+ * Covers crediting a new member's starting balance
+ */
+
+const mockMemberRepository = {
+  findByEmail: jest.fn(),
+  findByMemberId: jest.fn(),
+  findById: jest.fn(),
+  getMembershipTiers: jest.fn(),
+  create: jest.fn(),
+  updatePoints: jest.fn()
+};
+
+const mockTransactionRepository = {
+  create: jest.fn(async (data) => ({ id: 'tx-1', ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  TransactionRepository: jest.fn(() => mockTransactionRepository),
+  AuditLogRepository: jest.fn(() => ({ logUserAction: jest.fn() }))
+}));
+
+jest.mock('../../src/services/WebhookService', () => jest.fn(() => ({ dispatchEvent: jest.fn() })));
+
+const MemberService = require('../../src/services/MemberService');
+
+describe('MemberService', () => {
+  let service;
+
+  const memberData = {
+    member_id: 'CUST-1',
+    email: 'ada@example.com',
+    first_name: 'Ada',
+    last_name: 'Lovelace'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMemberRepository.findByEmail.mockResolvedValue(null);
+    mockMemberRepository.findByMemberId.mockResolvedValue(null);
+    mockMemberRepository.getMembershipTiers.mockResolvedValue([{ id: 'tier-bronze', slug: 'bronze' }]);
+    mockMemberRepository.create.mockImplementation(async (data) => ({ id: 'member-uuid', ...data }));
+    mockMemberRepository.updatePoints.mockImplementation(async (id, delta) => ({ id, ...memberData, points_balance: delta }));
+    mockMemberRepository.findById.mockImplementation(async (id) => ({ id, ...memberData }));
+    service = new MemberService();
+  });
+
+  describe('createMember', () => {
+    test('should credit a starting balance through the points ledger in the member\'s transaction', async () => {
+      await service.createMember({ ...memberData, points_balance: 500 }, 'brand-1', 'user-1');
+
+      expect(mockMemberRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        member_id: 'CUST-1',
+        points_balance: 0,
+        total_points_earned: 0
+      }), 'tx-client');
+      expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        member_id: 'member-uuid',
+        type: 'credit',
+        amount: 500,
+        reference_type: 'member_creation'
+      }), 'tx-client');
+      expect(mockMemberRepository.updatePoints).toHaveBeenCalledWith(
+        'member-uuid', 500, 'points_earned', 'tx-client', 'tx-1'
+      );
+    });
+
+    test('should create a member without points without a transaction', async () => {
+      await service.createMember(memberData, 'brand-1', 'user-1');
+
+      expect(mockMemberRepository.create).toHaveBeenCalledWith(expect.objectContaining({ points_balance: 0 }), 'tx-client');
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+      expect(mockMemberRepository.updatePoints).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Mission Progress Service Tests
+ * Covers counting member actions towards missions, reset periods in members' timezones and the progress shown to members
+ */
+
+const mockMissionRepository = {
+  findActiveByAction: jest.fn()
+};
+
+const mockProgressRepository = {
+  increment: jest.fn(),
+  findForPeriod: jest.fn(),
+  findByMemberAndMissions: jest.fn()
+};
+
+const mockMemberRepository = {
+  findById: jest.fn()
+};
+
+const mockBrandRepository = {
+  getMissionConfig: jest.fn()
+};
+
+const mockQuestService = {
+  getLockedMissions: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  MissionRepository: jest.fn(() => mockMissionRepository),
+  MissionProgressRepository: jest.fn(() => mockProgressRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  BrandRepository: jest.fn(() => mockBrandRepository)
+}));
+
+jest.mock('../../src/services/QuestService', () => jest.fn(() => mockQuestService));
+
+const MissionProgressService = require('../../src/services/MissionProgressService');
+
+const spinsMission = {
+  id: 'mission-spins',
+  type: 'daily',
+  target_value: 3,
+  requirements: { action: 'spins_completed' }
+};
+
+const pointsMission = {
+  id: 'mission-points',
+  type: 'one_time',
+  requirements: { action: 'points_earned', target_value: 500 }
+};
+
+describe('MissionProgressService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuestService.getLockedMissions.mockResolvedValue(new Map());
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', preferences: {} });
+    mockBrandRepository.getMissionConfig.mockResolvedValue({});
+    service = new MissionProgressService();
+  });
+
+  describe('recordActivity', () => {
+    test('should add the action to every active mission requiring it and return the progress that reached its target', async () => {
+      mockMissionRepository.findActiveByAction.mockResolvedValue([spinsMission, { ...spinsMission, id: 'mission-spins-weekly', type: 'weekly', target_value: 20 }]);
+      mockProgressRepository.increment
+        .mockResolvedValueOnce({ id: 'progress-1', mission_id: 'mission-spins', progress: '3', target: '3' })
+        .mockResolvedValueOnce({ id: 'progress-2', mission_id: 'mission-spins-weekly', progress: '8', target: '20' });
+
+      const reached = await service.recordActivity('member-1', 'brand-1', 'spins_completed', 1, 'tx-client');
+
+      expect(mockMissionRepository.findActiveByAction).toHaveBeenCalledWith('brand-1', 'spins_completed', 'tx-client');
+      expect(mockProgressRepository.increment).toHaveBeenCalledWith(expect.objectContaining({
+        member_id: 'member-1',
+        mission_id: 'mission-spins',
+        brand_id: 'brand-1',
+        amount: 1,
+        target: 3
+      }), 'tx-client');
+      expect(reached.map(progress => progress.id)).toEqual(['progress-1']);
+    });
+
+    test('should count the action in the period of the member\'s timezone', async () => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-10-15T18:30:00Z'));
+      mockMissionRepository.findActiveByAction.mockResolvedValue([spinsMission]);
+      mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', preferences: { timezone: 'Asia/Tokyo' } });
+      mockProgressRepository.increment.mockResolvedValue(null);
+
+      try {
+        await service.recordActivity('member-1', 'brand-1', 'spins_completed');
+      } finally {
+        jest.useRealTimers();
+      }
+
+      // 03:30 on October 16th in Tokyo
+      expect(mockProgressRepository.increment).toHaveBeenCalledWith(expect.objectContaining({
+        period_start: new Date('2026-10-15T15:00:00Z')
+      }), null);
+    });
+
+    test('should not look up the member for missions that never reset', async () => {
+      mockMissionRepository.findActiveByAction.mockResolvedValue([pointsMission]);
+      mockProgressRepository.increment.mockResolvedValue(null);
+
+      await service.recordActivity('member-1', 'brand-1', 'points_earned', 100);
+
+      expect(mockMemberRepository.findById).not.toHaveBeenCalled();
+      expect(mockProgressRepository.increment).toHaveBeenCalledWith(expect.objectContaining({ period_start: new Date(0) }), null);
+    });
+
+    test('should not add progress to missions that are still locked', async () => {
+      mockMissionRepository.findActiveByAction.mockResolvedValue([spinsMission, { ...spinsMission, id: 'mission-step-2' }]);
+      mockQuestService.getLockedMissions.mockResolvedValue(new Map([['mission-step-2', 'Mission is locked until the earlier steps of quest "Starter" are completed']]));
+      mockProgressRepository.increment.mockResolvedValue({ id: 'progress-1', progress: '1', target: '3' });
+
+      await service.recordActivity('member-1', 'brand-1', 'spins_completed');
+
+      expect(mockQuestService.getLockedMissions).toHaveBeenCalledWith('member-1', expect.any(Array), 'brand-1');
+      expect(mockProgressRepository.increment).toHaveBeenCalledTimes(1);
+      expect(mockProgressRepository.increment).toHaveBeenCalledWith(expect.objectContaining({ mission_id: 'mission-spins' }), null);
+    });
+
+    test('should skip progress on periods that were already completed', async () => {
+      mockMissionRepository.findActiveByAction.mockResolvedValue([spinsMission]);
+      mockProgressRepository.increment.mockResolvedValue(null);
+
+      const reached = await service.recordActivity('member-1', 'brand-1', 'spins_completed');
+
+      expect(reached).toEqual([]);
+    });
+
+    test('should ignore actions that count for nothing', async () => {
+      const reached = await service.recordActivity('member-1', 'brand-1', 'purchase', 0);
+
+      expect(reached).toEqual([]);
+      expect(mockMissionRepository.findActiveByAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordTransaction', () => {
+    beforeEach(() => {
+      mockMissionRepository.findActiveByAction.mockResolvedValue([]);
+    });
+
+    test('should count a credit as a transaction and as points earned', async () => {
+      await service.recordTransaction({ member_id: 'member-1', brand_id: 'brand-1', type: 'credit', amount: '250' }, 'tx-client');
+
+      expect(mockMissionRepository.findActiveByAction).toHaveBeenCalledWith('brand-1', 'transactions', 'tx-client');
+      expect(mockMissionRepository.findActiveByAction).toHaveBeenCalledWith('brand-1', 'points_earned', 'tx-client');
+    });
+
+    test('should count a debit as a transaction only', async () => {
+      await service.recordTransaction({ member_id: 'member-1', brand_id: 'brand-1', type: 'debit', amount: '100' });
+
+      expect(mockMissionRepository.findActiveByAction).toHaveBeenCalledTimes(1);
+      expect(mockMissionRepository.findActiveByAction).toHaveBeenCalledWith('brand-1', 'transactions', null);
+    });
+
+    test('should not count mission rewards', async () => {
+      await service.recordTransaction({ member_id: 'member-1', brand_id: 'brand-1', type: 'credit', amount: '100', reference_type: 'mission_completion' });
+
+      expect(mockMissionRepository.findActiveByAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPeriodStart', () => {
+    // A Thursday
+    const at = new Date('2026-10-15T18:30:00Z');
+
+    test('should reset daily and recurring missions at UTC midnight', () => {
+      expect(service.getPeriodStart({ type: 'daily' }, at)).toEqual(new Date('2026-10-15T00:00:00Z'));
+      expect(service.getPeriodStart({ type: 'recurring' }, at)).toEqual(new Date('2026-10-15T00:00:00Z'));
+    });
+
+    test('should reset weekly missions on Monday and monthly missions on the 1st', () => {
+      expect(service.getPeriodStart({ type: 'weekly' }, at)).toEqual(new Date('2026-10-12T00:00:00Z'));
+      expect(service.getPeriodStart({ type: 'weekly' }, new Date('2026-10-18T23:00:00Z'))).toEqual(new Date('2026-10-12T00:00:00Z'));
+      expect(service.getPeriodStart({ type: 'monthly' }, at)).toEqual(new Date('2026-10-01T00:00:00Z'));
+    });
+
+    test('should keep all progress of missions that never reset in one period', () => {
+      expect(service.getPeriodStart({ type: 'one_time' }, at)).toEqual(new Date(0));
+      expect(service.getNextReset({ type: 'one_time' }, at)).toBeNull();
+    });
+
+    test('should reset at local midnight, week start and month start in a timezone', () => {
+      // 14:30 on Thursday October 15th in New York (UTC-4)
+      expect(service.getPeriodStart({ type: 'daily' }, at, 'America/New_York')).toEqual(new Date('2026-10-15T04:00:00Z'));
+      expect(service.getPeriodStart({ type: 'weekly' }, at, 'America/New_York')).toEqual(new Date('2026-10-12T04:00:00Z'));
+      // Already Friday October 16th in Tokyo (UTC+9)
+      expect(service.getPeriodStart({ type: 'daily' }, at, 'Asia/Tokyo')).toEqual(new Date('2026-10-15T15:00:00Z'));
+      expect(service.getNextReset({ type: 'monthly' }, at, 'Asia/Tokyo')).toEqual(new Date('2026-10-31T15:00:00Z'));
+    });
+
+    test('should follow daylight saving time changes', () => {
+      // New York leaves daylight saving time on November 1st, so that day lasts 25 hours
+      const lastDay = new Date('2026-11-01T12:00:00Z');
+
+      expect(service.getPeriodStart({ type: 'daily' }, lastDay, 'America/New_York')).toEqual(new Date('2026-11-01T04:00:00Z'));
+      expect(service.getNextReset({ type: 'daily' }, lastDay, 'America/New_York')).toEqual(new Date('2026-11-02T05:00:00Z'));
+    });
+  });
+
+  describe('getTimezone', () => {
+    test('should use the member\'s timezone', async () => {
+      expect(await service.getTimezone({ brand_id: 'brand-1', preferences: { timezone: 'Europe/Berlin' } })).toBe('Europe/Berlin');
+      expect(mockBrandRepository.getMissionConfig).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the brand\'s timezone, then UTC', async () => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ timezone: 'America/Chicago' });
+
+      expect(await service.getTimezone({ brand_id: 'brand-1', preferences: { timezone: 'Not/AZone' } })).toBe('America/Chicago');
+      expect(mockBrandRepository.getMissionConfig).toHaveBeenCalledWith('brand-1', null);
+
+      mockBrandRepository.getMissionConfig.mockResolvedValue({});
+      expect(await service.getTimezone({ brand_id: 'brand-1' })).toBe('UTC');
+    });
+  });
+
+  describe('attachProgress', () => {
+    test('should add the current period progress to tracked missions', async () => {
+      mockProgressRepository.findByMemberAndMissions.mockResolvedValue([
+        { mission_id: 'mission-points', period_start: new Date(0), progress: '620', completion_id: 'completion-1' },
+        { mission_id: 'mission-spins', period_start: new Date('2020-01-01T00:00:00Z'), progress: '3', completion_id: null }
+      ]);
+
+      const missions = await service.attachProgress('member-1', [spinsMission, pointsMission, { id: 'mission-profile', type: 'profile_completion', requirements: {} }]);
+
+      expect(mockProgressRepository.findByMemberAndMissions).toHaveBeenCalledWith('member-1', ['mission-spins', 'mission-points']);
+      // Progress from an earlier day does not count towards today's daily mission
+      expect(missions[0].progress).toEqual(expect.objectContaining({ current: 0, target: 3, percentage: 0, completed: false }));
+      expect(missions[1].progress).toEqual(expect.objectContaining({ current: 620, target: 500, percentage: 100, completed: true }));
+      expect(missions[2].progress).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,656 @@
+/**
+ * Mission Service Tests
+ * Covers completing missions on server-tracked progress, completion limits per reset window, prerequisites
+ * and quest bonuses, claiming rewards before their deadline, and listing member missions with their progress
+ * and next reset
+ */
+
+const mockMissionRepository = {
+  findById: jest.fn(),
+  findByIds: jest.fn(),
+  create: jest.fn(async (data) => ({ id: 'mission-new', ...data })),
+  getMemberAvailableMissions: jest.fn(),
+  claimReward: jest.fn()
+};
+
+const mockMissionCompletionRepository = {
+  countCompletionsSince: jest.fn(),
+  create: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  findClaimableByMember: jest.fn(),
+  findUnclaimedOverdue: jest.fn(),
+  expireReward: jest.fn()
+};
+
+const mockProgressRepository = {
+  findReached: jest.fn(),
+  claim: jest.fn(),
+  recordCompletion: jest.fn(),
+  restart: jest.fn(),
+  recordFailure: jest.fn()
+};
+
+const mockMemberRepository = {
+  findById: jest.fn(),
+  updatePoints: jest.fn()
+};
+
+const mockBrandRepository = {
+  getMissionConfig: jest.fn()
+};
+
+const mockTransactionRepository = {
+  create: jest.fn(),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+const mockProgressService = {
+  isTracked: jest.fn(),
+  getCurrentProgress: jest.fn(),
+  getTarget: jest.fn(),
+  attachProgress: jest.fn(),
+  getTimezone: jest.fn(),
+  getPeriodStart: jest.fn(),
+  getNextReset: jest.fn()
+};
+
+const mockQuestService = {
+  getLockReason: jest.fn(),
+  getLockedMissions: jest.fn(),
+  findFinishedQuests: jest.fn(),
+  recordCompletion: jest.fn()
+};
+
+const mockSpinTicketService = {
+  creditTickets: jest.fn()
+};
+
+const mockNotificationService = {
+  notifyMissionCompleted: jest.fn()
+};
+
+const mockWebhookService = {
+  dispatchEvent: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  MissionRepository: jest.fn(() => mockMissionRepository),
+  MissionCompletionRepository: jest.fn(() => mockMissionCompletionRepository),
+  MissionProgressRepository: jest.fn(() => mockProgressRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  BrandRepository: jest.fn(() => mockBrandRepository),
+  TransactionRepository: jest.fn(() => mockTransactionRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+jest.mock('../../src/services/MissionProgressService', () => jest.fn(() => mockProgressService));
+jest.mock('../../src/services/NotificationService', () => jest.fn(() => mockNotificationService));
+jest.mock('../../src/services/WebhookService', () => jest.fn(() => mockWebhookService));
+jest.mock('../../src/services/QuestService', () => jest.fn(() => mockQuestService));
+jest.mock('../../src/services/SpinTicketService', () => jest.fn(() => mockSpinTicketService));
+
+const MissionService = require('../../src/services/MissionService');
+
+const spinsMission = {
+  id: 'mission-1',
+  brand_id: 'brand-1',
+  name: 'Spin ten times',
+  type: 'one_time',
+  status: 'active',
+  target_value: 10,
+  reward_points: 0,
+  requirements: { action: 'spins_completed' }
+};
+
+const member = { id: 'member-1', member_id: 'M-1', brand_id: 'brand-1', points_balance: 100 };
+
+describe('MissionService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMissionRepository.findById.mockResolvedValue(spinsMission);
+    mockMemberRepository.findById.mockResolvedValue(member);
+    mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(0);
+    mockMissionCompletionRepository.create.mockImplementation(async (data) => ({ id: 'completion-1', ...data }));
+    mockProgressRepository.claim.mockImplementation(async (id) => ({ id, completed_at: new Date() }));
+    mockProgressService.isTracked.mockReturnValue(true);
+    mockProgressService.getTarget.mockReturnValue(10);
+    mockProgressService.getTimezone.mockResolvedValue('UTC');
+    mockProgressService.getPeriodStart.mockReturnValue(new Date(0));
+    mockProgressService.getNextReset.mockReturnValue(null);
+    mockQuestService.getLockReason.mockResolvedValue(null);
+    mockQuestService.getLockedMissions.mockResolvedValue(new Map());
+    mockQuestService.findFinishedQuests.mockResolvedValue([]);
+    mockBrandRepository.getMissionConfig.mockResolvedValue({});
+    mockTransactionRepository.create.mockImplementation(async (data) => ({ id: 'transaction-1', ...data }));
+    mockMemberRepository.updatePoints.mockResolvedValue({ ...member, points_balance: 150 });
+    service = new MissionService();
+  });
+
+  describe('completeMission', () => {
+    test('should reject a tracked mission below its target whatever progress the request claims', async () => {
+      mockProgressService.getCurrentProgress.mockResolvedValue({ id: 'progress-1', progress: '3', completion_id: null });
+
+      await expect(service.completeMission('mission-1', 'member-1', { progress: 1000 }, 'brand-1'))
+        .rejects.toThrow('Mission progress is 3 of 10');
+      expect(mockMissionCompletionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject a tracked mission the member has made no progress on', async () => {
+      mockProgressService.getCurrentProgress.mockResolvedValue(null);
+
+      await expect(service.completeMission('mission-1', 'member-1', {}, 'brand-1'))
+        .rejects.toThrow('Mission progress is 0 of 10');
+    });
+
+    test('should reject a period that was already completed', async () => {
+      mockProgressService.getCurrentProgress.mockResolvedValue({ id: 'progress-1', progress: '10', completion_id: 'completion-0' });
+
+      await expect(service.completeMission('mission-1', 'member-1', {}, 'brand-1'))
+        .rejects.toThrow('Mission has already been completed');
+    });
+
+    test('should complete on the progress the server measured and link the completion to it', async () => {
+      mockProgressService.getCurrentProgress.mockResolvedValue({ id: 'progress-1', progress: '12', completion_id: null });
+
+      const result = await service.completeMission('mission-1', 'member-1', { progress: 1 }, 'brand-1');
+
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ progress_value: 12 }), 'tx-client');
+      expect(mockProgressRepository.recordCompletion).toHaveBeenCalledWith('progress-1', 'completion-1', 'tx-client');
+      expect(result.completion.id).toBe('completion-1');
+    });
+
+    test('should claim the progress in the same transaction as the completion', async () => {
+      mockProgressService.getCurrentProgress.mockResolvedValue({ id: 'progress-1', progress: '10', completion_id: null });
+
+      await service.completeMission('mission-1', 'member-1', {}, 'brand-1');
+
+      expect(mockProgressRepository.claim).toHaveBeenCalledWith('progress-1', 'tx-client');
+      expect(mockProgressRepository.claim.mock.invocationCallOrder[0])
+        .toBeLessThan(mockMissionCompletionRepository.create.mock.invocationCallOrder[0]);
+    });
+
+    test('should not complete progress a concurrent completion claimed first', async () => {
+      mockProgressService.getCurrentProgress.mockResolvedValue({ id: 'progress-1', progress: '10', completion_id: null });
+      mockProgressRepository.claim.mockResolvedValue(null);
+
+      await expect(service.completeMission('mission-1', 'member-1', {}, 'brand-1'))
+        .rejects.toThrow('Mission has already been completed');
+      expect(mockMissionCompletionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject a mission locked behind its prerequisites or an earlier quest step', async () => {
+      mockQuestService.getLockReason.mockResolvedValue('Mission is locked until its prerequisite missions are completed');
+
+      await expect(service.completeMission('mission-1', 'member-1', {}, 'brand-1'))
+        .rejects.toThrow('Mission is locked until its prerequisite missions are completed');
+      expect(mockQuestService.getLockReason).toHaveBeenCalledWith(spinsMission, 'member-1');
+    });
+
+    test('should award the bonus of a quest the mission finishes', async () => {
+      mockProgressService.isTracked.mockReturnValue(false);
+      mockQuestService.findFinishedQuests.mockResolvedValue([
+        { id: 'quest-1', brand_id: 'brand-1', name: 'Starter', bonus_points: 200, bonus_spin_tickets: 2 }
+      ]);
+      mockQuestService.recordCompletion.mockResolvedValue({ id: 'quest-completion-1' });
+      mockTransactionRepository.create.mockResolvedValue({ id: 'transaction-bonus', description: 'Quest completion bonus: Starter' });
+      mockMemberRepository.updatePoints.mockResolvedValue({ points_balance: 300 });
+
+      const result = await service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1');
+
+      expect(mockQuestService.findFinishedQuests).toHaveBeenCalledWith('mission-1', 'member-1', 'brand-1');
+      expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 200,
+        reference_type: 'quest_completion',
+        reference_id: 'quest-completion-1'
+      }), 'tx-client');
+      expect(mockMemberRepository.updatePoints).toHaveBeenCalledWith('member-1', 200, 'points_earned', 'tx-client', 'transaction-bonus');
+      expect(mockSpinTicketService.creditTickets).toHaveBeenCalledWith(expect.objectContaining({ quantity: 2, source: 'quest' }), 'tx-client');
+      expect(mockWebhookService.dispatchEvent).toHaveBeenCalledWith('brand-1', 'quest.completed', expect.objectContaining({ quest_id: 'quest-1' }));
+      expect(result.quests).toEqual([{
+        quest_id: 'quest-1',
+        quest_completion_id: 'quest-completion-1',
+        bonus_points: 200,
+        bonus_spin_tickets: 2,
+        transaction_id: 'transaction-bonus'
+      }]);
+      expect(result.member.points_balance).toBe(300);
+    });
+
+    test('should credit a quest bonus straight away when the brand holds mission rewards for claiming', async () => {
+      mockProgressService.isTracked.mockReturnValue(false);
+      mockMissionRepository.findById.mockResolvedValue({ ...spinsMission, reward_points: 50 });
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ reward_claims: { enabled: true } });
+      mockQuestService.findFinishedQuests.mockResolvedValue([{ id: 'quest-1', brand_id: 'brand-1', name: 'Starter', bonus_points: 200 }]);
+      mockQuestService.recordCompletion.mockResolvedValue({ id: 'quest-completion-1' });
+
+      const result = await service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1');
+
+      expect(result.reward_claim).toEqual(expect.objectContaining({ reward_points: 50 }));
+      expect(mockTransactionRepository.create).toHaveBeenCalledTimes(1);
+      expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 200,
+        reference_type: 'quest_completion'
+      }), 'tx-client');
+      expect(mockWebhookService.dispatchEvent).toHaveBeenCalledWith('brand-1', 'points.credited', expect.objectContaining({
+        amount: 200,
+        reference_id: 'quest-completion-1'
+      }), 'tx-client');
+    });
+
+    test('should not award a quest bonus twice', async () => {
+      mockProgressService.isTracked.mockReturnValue(false);
+      mockQuestService.findFinishedQuests.mockResolvedValue([{ id: 'quest-1', brand_id: 'brand-1', name: 'Starter', bonus_points: 200 }]);
+      mockQuestService.recordCompletion.mockResolvedValue(null);
+
+      const result = await service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1');
+
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+      expect(result.quests).toEqual([]);
+    });
+
+    test('should reject a daily mission already completed today in the member\'s timezone', async () => {
+      const dailyMission = { ...spinsMission, type: 'daily' };
+      mockMissionRepository.findById.mockResolvedValue(dailyMission);
+      mockProgressService.getTimezone.mockResolvedValue('Asia/Tokyo');
+      mockProgressService.getPeriodStart.mockReturnValue(new Date('2026-10-15T15:00:00Z'));
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(1);
+
+      await expect(service.completeMission('mission-1', 'member-1', {}, 'brand-1'))
+        .rejects.toThrow('Mission has already been completed today');
+      expect(mockProgressService.getTimezone).toHaveBeenCalledWith(member);
+      expect(mockProgressService.getPeriodStart).toHaveBeenCalledWith(dailyMission, expect.any(Date), 'Asia/Tokyo');
+      expect(mockMissionCompletionRepository.countCompletionsSince).toHaveBeenCalledWith('member-1', 'mission-1', new Date('2026-10-15T15:00:00Z'));
+      expect(mockMissionCompletionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should allow a mission\'s max completions in each window', async () => {
+      mockProgressService.isTracked.mockReturnValue(false);
+      mockMissionRepository.findById.mockResolvedValue({ ...spinsMission, type: 'weekly', max_completions: 3 });
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(2);
+
+      await service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1');
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalled();
+
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(3);
+      await expect(service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1'))
+        .rejects.toThrow('Mission has already been completed 3 times this week');
+    });
+
+    test('should restart tracked progress after each completion while the window allows more', async () => {
+      const dailyMission = { ...spinsMission, type: 'daily', max_completions: 2 };
+      mockMissionRepository.findById.mockResolvedValue(dailyMission);
+      mockProgressService.getCurrentProgress.mockResolvedValue({
+        id: 'progress-1', period_start: new Date(0), progress: '10', completion_id: null
+      });
+
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(0);
+      await service.completeMission('mission-1', 'member-1', {}, 'brand-1');
+
+      expect(mockProgressRepository.restart).toHaveBeenCalledWith('progress-1', 'tx-client');
+      expect(mockProgressRepository.recordCompletion).not.toHaveBeenCalled();
+
+      // The second completion uses up the window, so the period's progress stays completed
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(1);
+      await service.completeMission('mission-1', 'member-1', {}, 'brand-1');
+
+      expect(mockProgressRepository.restart).toHaveBeenCalledTimes(1);
+      expect(mockProgressRepository.recordCompletion).toHaveBeenCalledWith('progress-1', 'completion-1', 'tx-client');
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledTimes(2);
+
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(2);
+      await expect(service.completeMission('mission-1', 'member-1', {}, 'brand-1'))
+        .rejects.toThrow('Mission has already been completed 2 times today');
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('should restart tracked progress of repeatable missions without a limit', async () => {
+      mockMissionRepository.findById.mockResolvedValue({ ...spinsMission, repeatable: true });
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(5);
+      mockProgressService.getCurrentProgress.mockResolvedValue({
+        id: 'progress-1', period_start: new Date(0), progress: '10', completion_id: null
+      });
+
+      await service.completeMission('mission-1', 'member-1', {}, 'brand-1');
+
+      expect(mockProgressRepository.restart).toHaveBeenCalledWith('progress-1', 'tx-client');
+    });
+
+    test('should not restart claimed progress from a period that has already reset', async () => {
+      mockMissionRepository.findById.mockResolvedValue({ ...spinsMission, type: 'daily', max_completions: 2 });
+      mockProgressService.getPeriodStart.mockReturnValue(new Date('2026-10-19T00:00:00Z'));
+      const claimed = {
+        id: 'progress-1', period_start: new Date('2026-10-18T00:00:00Z'), progress: '10', completion_id: null, completed_at: new Date()
+      };
+
+      await service.completeMission('mission-1', 'member-1', {}, 'brand-1', {}, claimed);
+
+      expect(mockProgressRepository.restart).not.toHaveBeenCalled();
+      expect(mockProgressRepository.recordCompletion).toHaveBeenCalledWith('progress-1', 'completion-1', 'tx-client');
+    });
+
+    test('should reject one time missions completed before and repeat repeatable ones', async () => {
+      mockProgressService.isTracked.mockReturnValue(false);
+      mockMissionCompletionRepository.countCompletionsSince.mockResolvedValue(1);
+
+      await expect(service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1'))
+        .rejects.toThrow('Mission has already been completed');
+
+      mockMissionRepository.findById.mockResolvedValue({ ...spinsMission, type: 'special_event', repeatable: true });
+      await service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1');
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalled();
+    });
+
+    test('should complete untracked missions on request', async () => {
+      mockProgressService.isTracked.mockReturnValue(false);
+
+      await service.completeMission('mission-1', 'member-1', { progress: 10 }, 'brand-1');
+
+      expect(mockProgressService.getCurrentProgress).not.toHaveBeenCalled();
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ progress_value: 10 }), 'tx-client');
+      expect(mockProgressRepository.recordCompletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reward claims', () => {
+    const rewardMission = { ...spinsMission, reward_points: 50, reward_spin_tickets: 1 };
+    const pendingReward = {
+      id: 'completion-1',
+      mission_id: 'mission-1',
+      member_id: 'member-1',
+      brand_id: 'brand-1',
+      status: 'completed',
+      reward_points: 50,
+      reward_spin_tickets: 1,
+      reward_claimed: false,
+      reward_claim_expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      reward_expired_at: null
+    };
+
+    beforeEach(() => {
+      mockMissionRepository.findById.mockResolvedValue(rewardMission);
+      mockProgressService.getCurrentProgress.mockResolvedValue({ id: 'progress-1', progress: '10', completion_id: null });
+      mockMissionCompletionRepository.findByIdForUpdate.mockResolvedValue(pendingReward);
+      mockMissionRepository.claimReward.mockResolvedValue({ ...pendingReward, reward_claimed: true });
+      mockSpinTicketService.creditTickets.mockResolvedValue({ balance: 3 });
+    });
+
+    test('should credit the reward on completion when the brand does not ask for claims', async () => {
+      const result = await service.completeMission('mission-1', 'member-1', {}, 'brand-1');
+
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        reward_points: 50,
+        reward_spin_tickets: 1,
+        reward_claimed: true,
+        reward_claim_expires_at: null
+      }), 'tx-client');
+      expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 50 }), 'tx-client');
+      expect(result.reward_claim).toBeNull();
+      expect(result.member.points_balance).toBe(150);
+    });
+
+    test('should hold the reward back until the member claims it', async () => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ reward_claims: { enabled: true, claim_window_hours: 24 } });
+
+      const before = Date.now();
+      const result = await service.completeMission('mission-1', 'member-1', {}, 'brand-1');
+
+      const expiresAt = result.reward_claim.expires_at.getTime();
+      expect(expiresAt).toBeGreaterThanOrEqual(before + 24 * 60 * 60 * 1000);
+      expect(expiresAt).toBeLessThanOrEqual(Date.now() + 24 * 60 * 60 * 1000);
+      expect(result.reward_claim).toEqual(expect.objectContaining({ completion_id: 'completion-1', reward_points: 50, reward_spin_tickets: 1 }));
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ reward_claimed: false }), 'tx-client');
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+      expect(mockSpinTicketService.creditTickets).not.toHaveBeenCalled();
+      expect(result.transaction).toBeNull();
+      expect(result.member.points_balance).toBe(100);
+    });
+
+    test('should credit the points and spin tickets of a claimed reward', async () => {
+      const result = await service.claimMissionReward('completion-1', 'member-1', 'brand-1');
+
+      expect(mockMissionRepository.claimReward).toHaveBeenCalledWith('completion-1', 'tx-client');
+      expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 50,
+        reference_type: 'mission_completion',
+        reference_id: 'completion-1'
+      }), 'tx-client');
+      expect(mockSpinTicketService.creditTickets).toHaveBeenCalledWith(expect.objectContaining({ quantity: 1, source: 'mission' }), 'tx-client');
+      expect(mockAuditLogRepository.logUserAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'mission_claim_reward' }));
+      expect(result.spin_tickets).toEqual({ earned: 1, balance: 3 });
+    });
+
+    test('should reject a reward that was already claimed', async () => {
+      mockMissionCompletionRepository.findByIdForUpdate.mockResolvedValue({ ...pendingReward, reward_claimed: true });
+
+      await expect(service.claimMissionReward('completion-1', 'member-1', 'brand-1'))
+        .rejects.toThrow('Mission reward has already been claimed');
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject a reward past its claim deadline', async () => {
+      mockMissionCompletionRepository.findByIdForUpdate.mockResolvedValue({
+        ...pendingReward,
+        reward_claim_expires_at: new Date(Date.now() - 1000)
+      });
+
+      await expect(service.claimMissionReward('completion-1', 'member-1', 'brand-1'))
+        .rejects.toThrow('Mission reward claim deadline has passed');
+      expect(mockMissionRepository.claimReward).not.toHaveBeenCalled();
+    });
+
+    test('should not let members claim other members\' rewards or rewards already credited', async () => {
+      await expect(service.claimMissionReward('completion-1', 'member-2', 'brand-1'))
+        .rejects.toThrow('Mission reward not found');
+
+      mockMissionCompletionRepository.findByIdForUpdate.mockResolvedValue({ ...pendingReward, reward_claim_expires_at: null });
+      await expect(service.claimMissionReward('completion-1', 'member-1', 'brand-1'))
+        .rejects.toThrow('Mission reward not found');
+    });
+
+    test('should list claimable rewards with the time left to claim them', async () => {
+      mockMissionCompletionRepository.findClaimableByMember.mockResolvedValue([{ ...pendingReward, mission_name: 'Spin ten times' }]);
+
+      const rewards = await service.getClaimableRewards('member-1', 'brand-1');
+
+      expect(rewards).toEqual([expect.objectContaining({
+        completion_id: 'completion-1',
+        mission_name: 'Spin ten times',
+        reward_points: 50,
+        expires_at: pendingReward.reward_claim_expires_at
+      })]);
+      expect(rewards[0].expires_in_seconds).toBeGreaterThan(3500);
+    });
+
+    test('should expire overdue rewards and carry on past failures', async () => {
+      mockMissionCompletionRepository.findUnclaimedOverdue.mockResolvedValue(['completion-1', 'completion-2', 'completion-3']);
+      mockMissionCompletionRepository.expireReward
+        .mockResolvedValueOnce(pendingReward)
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      const at = new Date();
+      const summary = await service.expireUnclaimedRewards(50, at);
+
+      expect(mockMissionCompletionRepository.findUnclaimedOverdue).toHaveBeenCalledWith(at, 50);
+      expect(summary).toEqual({ due: 3, expired: 1, failed: 1 });
+    });
+  });
+
+  describe('completeReachedMissions', () => {
+    const reached = { id: 'progress-1', mission_id: 'mission-1', member_id: 'member-1', brand_id: 'brand-1', progress: '10', target: '10' };
+
+    test('should claim and complete reached progress', async () => {
+      mockProgressRepository.findReached.mockResolvedValue([reached]);
+      mockProgressRepository.claim.mockResolvedValue({ ...reached, completed_at: new Date() });
+
+      const summary = await service.completeReachedMissions({ memberId: 'member-1' });
+
+      expect(mockProgressRepository.findReached).toHaveBeenCalledWith({ memberId: 'member-1' });
+      expect(mockProgressRepository.claim).toHaveBeenCalledWith('progress-1', 'tx-client');
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        completion_data: { mission_progress_id: 'progress-1' }
+      }), 'tx-client');
+      expect(mockProgressRepository.recordCompletion).toHaveBeenCalledWith('progress-1', 'completion-1', 'tx-client');
+      expect(summary).toEqual({
+        reached: 1,
+        completed: 1,
+        failed: 0,
+        completions: [{ mission_id: 'mission-1', member_id: 'member-1', completion_id: 'completion-1' }]
+      });
+    });
+
+    test('should complete on the reached progress when its period reset before completion', async () => {
+      mockMissionRepository.findById.mockResolvedValue({ ...spinsMission, type: 'daily' });
+      mockProgressRepository.findReached.mockResolvedValue([reached]);
+      mockProgressRepository.claim.mockResolvedValue({ ...reached, completed_at: new Date() });
+      // The new day's progress row has nothing on it yet
+      mockProgressService.getCurrentProgress.mockResolvedValue(null);
+
+      const summary = await service.completeReachedMissions();
+
+      expect(mockProgressService.getCurrentProgress).not.toHaveBeenCalled();
+      expect(mockMissionCompletionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ progress_value: 10 }), 'tx-client');
+      expect(mockProgressRepository.recordFailure).not.toHaveBeenCalled();
+      expect(summary).toEqual(expect.objectContaining({ completed: 1, failed: 0 }));
+    });
+
+    test('should skip progress another caller already claimed', async () => {
+      mockProgressRepository.findReached.mockResolvedValue([reached]);
+      mockProgressRepository.claim.mockResolvedValue(null);
+      mockProgressRepository.recordFailure.mockResolvedValue(null);
+
+      const summary = await service.completeReachedMissions();
+
+      expect(mockMissionCompletionRepository.create).not.toHaveBeenCalled();
+      expect(summary).toEqual(expect.objectContaining({ reached: 1, completed: 0, failed: 0 }));
+    });
+
+    test('should record why a mission could not be completed', async () => {
+      mockProgressRepository.findReached.mockResolvedValue([reached]);
+      mockProgressRepository.recordFailure.mockResolvedValue({ ...reached, completion_error: 'Mission is not active' });
+      mockMissionRepository.findById.mockResolvedValue({ ...spinsMission, status: 'paused' });
+
+      const summary = await service.completeReachedMissions();
+
+      expect(mockProgressRepository.claim).not.toHaveBeenCalled();
+      expect(mockProgressRepository.recordFailure).toHaveBeenCalledWith('progress-1', 'Mission is not active');
+      expect(summary).toEqual(expect.objectContaining({ completed: 0, failed: 1 }));
+    });
+
+    test('should leave progress to be retried when its completion fails unexpectedly', async () => {
+      mockProgressRepository.findReached.mockResolvedValue([reached]);
+      mockProgressRepository.claim.mockResolvedValue({ ...reached, completed_at: new Date() });
+      mockMissionCompletionRepository.create.mockRejectedValue(new Error('connection reset'));
+
+      const summary = await service.completeReachedMissions();
+
+      // The claim was made in the completion's transaction, which rolled back
+      expect(mockProgressRepository.claim).toHaveBeenCalledWith('progress-1', 'tx-client');
+      expect(mockProgressRepository.recordFailure).not.toHaveBeenCalled();
+      expect(summary).toEqual(expect.objectContaining({ completed: 0, failed: 1 }));
+    });
+  });
+
+  describe('getMemberMissions', () => {
+    test('should page the available missions and add their progress', async () => {
+      const missions = [{ id: 'mission-1' }, { id: 'mission-2' }, { id: 'mission-3' }];
+      mockMissionRepository.getMemberAvailableMissions.mockResolvedValue(missions);
+      mockProgressService.attachProgress.mockImplementation(async (memberId, pageMissions) => (
+        pageMissions.map(mission => ({ ...mission, progress: { current: 1, target: 2, percentage: 50 } }))
+      ));
+
+      const result = await service.getMemberMissions('member-1', { page: 2, limit: 2, type: 'daily' }, 'brand-1');
+
+      expect(mockMissionRepository.getMemberAvailableMissions).toHaveBeenCalledWith('member-1', 'brand-1', { type: 'daily', timezone: 'UTC' });
+      expect(mockProgressService.attachProgress).toHaveBeenCalledWith('member-1', [{ id: 'mission-3' }], 'UTC');
+      expect(result.missions).toEqual([{
+        id: 'mission-3',
+        progress: { current: 1, target: 2, percentage: 50 },
+        locked: false,
+        locked_reason: null,
+        resets_at: null,
+        resets_in_seconds: null
+      }]);
+      expect(result.pagination).toEqual({ page: 2, limit: 2, total: 3, totalPages: 2, hasNext: false, hasPrev: true });
+    });
+
+    test('should mark missions that are still locked', async () => {
+      mockMissionRepository.getMemberAvailableMissions.mockResolvedValue([{ id: 'mission-1' }, { id: 'mission-2' }]);
+      mockProgressService.attachProgress.mockImplementation(async (memberId, pageMissions) => pageMissions);
+      mockQuestService.getLockedMissions.mockResolvedValue(new Map([['mission-2', 'Mission is locked until the earlier steps of quest "Starter" are completed']]));
+
+      const result = await service.getMemberMissions('member-1', {}, 'brand-1');
+
+      expect(result.missions[0].locked).toBe(false);
+      expect(result.missions[1]).toEqual(expect.objectContaining({
+        locked: true,
+        locked_reason: 'Mission is locked until the earlier steps of quest "Starter" are completed'
+      }));
+    });
+
+    test('should show when missions reset in the member\'s timezone', async () => {
+      mockMissionRepository.getMemberAvailableMissions.mockResolvedValue([{ id: 'mission-1', type: 'daily' }]);
+      mockProgressService.attachProgress.mockImplementation(async (memberId, pageMissions) => pageMissions);
+      mockProgressService.getTimezone.mockResolvedValue('America/New_York');
+      mockProgressService.getNextReset.mockImplementation((mission, now) => new Date(now.getTime() + 90 * 60 * 1000));
+
+      const result = await service.getMemberMissions('member-1', {}, 'brand-1');
+
+      expect(mockProgressService.getNextReset).toHaveBeenCalledWith({ id: 'mission-1', type: 'daily' }, expect.any(Date), 'America/New_York');
+      expect(result.timezone).toBe('America/New_York');
+      expect(result.missions[0].resets_at).toEqual(expect.any(Date));
+      expect(result.missions[0].resets_in_seconds).toBe(5400);
+    });
+
+    test('should reject members of another brand', async () => {
+      mockMemberRepository.findById.mockResolvedValue({ ...member, brand_id: 'brand-2' });
+
+      await expect(service.getMemberMissions('member-1', {}, 'brand-1')).rejects.toThrow('Member not found');
+    });
+  });
+
+  describe('validatePrerequisites', () => {
+    test('should accept other missions of the brand', async () => {
+      mockMissionRepository.findByIds
+        .mockResolvedValueOnce([{ id: 'mission-a', prerequisite_mission_ids: ['mission-b'] }])
+        .mockResolvedValueOnce([{ id: 'mission-b', prerequisite_mission_ids: null }]);
+
+      await expect(service.validatePrerequisites('mission-1', ['mission-a'], 'brand-1')).resolves.toBeUndefined();
+      expect(mockMissionRepository.findByIds).toHaveBeenCalledWith(['mission-a'], 'brand-1');
+    });
+
+    test('should reject missions of other brands', async () => {
+      mockMissionRepository.findByIds.mockResolvedValue([]);
+
+      await expect(service.validatePrerequisites(null, ['mission-other-brand'], 'brand-1'))
+        .rejects.toThrow('Prerequisites must be other missions of the brand and cannot form a cycle');
+    });
+
+    test('should reject a mission requiring itself, directly or through other missions', async () => {
+      await expect(service.validatePrerequisites('mission-1', ['mission-1'], 'brand-1'))
+        .rejects.toThrow('Prerequisites must be other missions of the brand and cannot form a cycle');
+
+      mockMissionRepository.findByIds
+        .mockResolvedValueOnce([{ id: 'mission-a', prerequisite_mission_ids: ['mission-b'] }])
+        .mockResolvedValueOnce([{ id: 'mission-b', prerequisite_mission_ids: ['mission-1'] }]);
+
+      await expect(service.validatePrerequisites('mission-1', ['mission-a'], 'brand-1'))
+        .rejects.toThrow('Prerequisites must be other missions of the brand and cannot form a cycle');
+    });
+
+    test('should be checked when a mission is created with prerequisites', async () => {
+      mockMissionRepository.findByIds.mockResolvedValue([]);
+
+      await expect(service.createMission({ name: 'Second', type: 'one_time', prerequisite_mission_ids: ['mission-x'] }, 'brand-1', 'user-1'))
+        .rejects.toThrow('Prerequisites must be other missions of the brand and cannot form a cycle');
+      expect(mockMissionRepository.create).not.toHaveBeenCalled();
+    });
+  });
+});
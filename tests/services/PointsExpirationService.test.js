@@ -0,0 +1,199 @@
+/**
+ * Points Expiration Service Tests
+ * Covers expiry dates per policy, expiring due lots and the member "expiring soon" summary
+ */
+
+const mockPointsLotRepository = {
+  findMembersWithDueLots: jest.fn(),
+  findDueLotsForUpdate: jest.fn(),
+  markExpired: jest.fn(),
+  getPointConfig: jest.fn(),
+  findExpiringForMember: jest.fn()
+};
+
+const mockMemberRepository = {
+  findByIdForUpdate: jest.fn(),
+  updatePoints: jest.fn()
+};
+
+const mockTransactionRepository = {
+  create: jest.fn(async (data) => ({ id: 'transaction-1', ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockNotificationService = {
+  notifyPointsExpired: jest.fn()
+};
+
+const mockWebhookService = {
+  dispatchEvent: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  PointsLotRepository: jest.fn(() => mockPointsLotRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  TransactionRepository: jest.fn(() => mockTransactionRepository)
+}));
+
+jest.mock('../../src/services/NotificationService', () => jest.fn(() => mockNotificationService));
+jest.mock('../../src/services/WebhookService', () => jest.fn(() => mockWebhookService));
+
+const PointsExpirationService = require('../../src/services/PointsExpirationService');
+const { calculateExpiresAt, isValidExpiryDate } = require('../../src/utils/pointsExpiry');
+const { brandValidators } = require('../../src/validators');
+
+describe('pointsExpiry.calculateExpiresAt', () => {
+  test('should never expire points without a policy', () => {
+    expect(calculateExpiresAt({ expiry_policy: 'none' }, new Date('2026-03-10T08:00:00.000Z'))).toBeNull();
+    expect(calculateExpiresAt({}, new Date('2026-03-10T08:00:00.000Z'))).toBeNull();
+  });
+
+  test('should expire rolling points N months after they were earned, clamped to month end', () => {
+    expect(calculateExpiresAt({ expiry_policy: 'rolling', expiry_months: 12 }, new Date('2026-03-10T08:00:00.000Z')))
+      .toEqual(new Date('2027-03-10T08:00:00.000Z'));
+    expect(calculateExpiresAt({ expiry_policy: 'rolling', expiry_months: 1 }, new Date('2026-01-31T08:00:00.000Z')))
+      .toEqual(new Date('2026-02-28T08:00:00.000Z'));
+  });
+
+  test('should expire fixed date points on the next occurrence of the date', () => {
+    const policy = { expiry_policy: 'fixed_date', expiry_date: '12-31' };
+
+    expect(calculateExpiresAt(policy, new Date('2026-03-10T08:00:00.000Z'))).toEqual(new Date('2026-12-31T00:00:00.000Z'));
+    expect(calculateExpiresAt(policy, new Date('2026-12-31T08:00:00.000Z'))).toEqual(new Date('2027-12-31T00:00:00.000Z'));
+  });
+
+  test('should expire 02-29 points on 02-28 in common years', () => {
+    const policy = { expiry_policy: 'fixed_date', expiry_date: '02-29' };
+
+    expect(calculateExpiresAt(policy, new Date('2026-03-10T08:00:00.000Z'))).toEqual(new Date('2027-02-28T00:00:00.000Z'));
+    expect(calculateExpiresAt(policy, new Date('2027-03-10T08:00:00.000Z'))).toEqual(new Date('2028-02-29T00:00:00.000Z'));
+  });
+});
+
+describe('pointsExpiry.isValidExpiryDate', () => {
+  test('should only accept days that exist in their month', () => {
+    expect(['01-31', '02-29', '04-30', '12-31'].every(isValidExpiryDate)).toBe(true);
+    expect(['02-30', '04-31', '06-31', '13-01', '00-10', '12-00', '1-5', null].some(isValidExpiryDate)).toBe(false);
+  });
+
+  test('should be enforced when a brand sets a fixed expiry date', () => {
+    const { error } = brandValidators.updateBrandSettingsSchema.body.validate({
+      point_config: { expiry_policy: 'fixed_date', expiry_date: '02-30' }
+    });
+
+    expect(error.message).toBe('Expiry date must be a day that exists in its month');
+  });
+});
+
+describe('PointsExpirationService', () => {
+  let service;
+
+  const at = new Date('2026-10-19T12:00:00.000Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new PointsExpirationService();
+    mockMemberRepository.findByIdForUpdate.mockResolvedValue({ id: 'member-1', points_balance: 500 });
+    mockMemberRepository.updatePoints.mockImplementation(async (id, change) => ({ id, points_balance: 500 + change }));
+  });
+
+  test('should expire due lots with a single points_expired debit in one transaction', async () => {
+    mockPointsLotRepository.findDueLotsForUpdate.mockResolvedValue([
+      { id: 'lot-1', remaining_points: 100 },
+      { id: 'lot-2', remaining_points: 50 }
+    ]);
+
+    const result = await service.expireMemberPoints('member-1', 'brand-1', at);
+
+    expect(mockPointsLotRepository.findDueLotsForUpdate).toHaveBeenCalledWith('member-1', at, 'tx-client');
+    expect(mockMemberRepository.findByIdForUpdate).toHaveBeenCalledWith('member-1', 'tx-client');
+    expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      member_id: 'member-1',
+      brand_id: 'brand-1',
+      type: 'points_expired',
+      amount: 150,
+      status: 'completed',
+      metadata: { lot_ids: ['lot-1', 'lot-2'] }
+    }), 'tx-client');
+    expect(mockMemberRepository.updatePoints).toHaveBeenCalledWith('member-1', -150, 'points_expired', 'tx-client', 'transaction-1');
+    expect(mockPointsLotRepository.markExpired).toHaveBeenCalledWith(['lot-1', 'lot-2'], 'transaction-1', 'tx-client');
+    expect(mockWebhookService.dispatchEvent).toHaveBeenCalledWith('brand-1', 'points.expired', expect.objectContaining({
+      amount: 150,
+      new_balance: 350
+    }), 'tx-client');
+    expect(result).toMatchObject({ points: 150, lots: 2, newBalance: 350 });
+  });
+
+  test('should lock the member before the lots, in the order updatePoints takes them', async () => {
+    mockPointsLotRepository.findDueLotsForUpdate.mockResolvedValue([{ id: 'lot-1', remaining_points: 100 }]);
+
+    await service.expireMemberPoints('member-1', 'brand-1', at);
+
+    expect(mockMemberRepository.findByIdForUpdate.mock.invocationCallOrder[0])
+      .toBeLessThan(mockPointsLotRepository.findDueLotsForUpdate.mock.invocationCallOrder[0]);
+  });
+
+  test('should not expire more points than the member still holds', async () => {
+    mockPointsLotRepository.findDueLotsForUpdate.mockResolvedValue([{ id: 'lot-1', remaining_points: 100 }]);
+    mockMemberRepository.findByIdForUpdate.mockResolvedValue({ id: 'member-1', points_balance: 0 });
+
+    const result = await service.expireMemberPoints('member-1', 'brand-1', at);
+
+    expect(result.points).toBe(0);
+    expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+    expect(mockMemberRepository.updatePoints).not.toHaveBeenCalled();
+    expect(mockPointsLotRepository.markExpired).toHaveBeenCalledWith(['lot-1'], null, 'tx-client');
+  });
+
+  test('should keep going when one member fails', async () => {
+    mockPointsLotRepository.findMembersWithDueLots.mockResolvedValue([
+      { member_id: 'member-1', brand_id: 'brand-1' },
+      { member_id: 'member-2', brand_id: 'brand-1' }
+    ]);
+    mockPointsLotRepository.findDueLotsForUpdate
+      .mockRejectedValueOnce(new Error('lock timeout'))
+      .mockResolvedValueOnce([{ id: 'lot-3', remaining_points: 40 }]);
+
+    const summary = await service.expireDuePoints(100, at);
+
+    expect(mockPointsLotRepository.findMembersWithDueLots).toHaveBeenCalledWith(at, 100);
+    expect(summary).toEqual({ members: 2, expired: 1, failed: 1, points: 40 });
+  });
+
+  test('should group expiring lots within the brand warning window', async () => {
+    mockPointsLotRepository.getPointConfig.mockResolvedValue({ expiry_policy: 'fixed_date', expiry_date: '12-31', expiry_warning_days: 90 });
+    mockPointsLotRepository.findExpiringForMember.mockResolvedValue([
+      { id: 'lot-1', remaining_points: 30, expires_at: '2026-12-31T00:00:00.000Z' },
+      { id: 'lot-2', remaining_points: 20, expires_at: '2026-12-31T00:00:00.000Z' }
+    ]);
+
+    const before = Date.now();
+    const result = await service.getExpiringPoints('member-1', 'brand-1');
+
+    const until = mockPointsLotRepository.findExpiringForMember.mock.calls[0][1];
+    expect(until.getTime() - before).toBeGreaterThanOrEqual(90 * 24 * 60 * 60 * 1000);
+    expect(result).toEqual({
+      expiry_policy: 'fixed_date',
+      window_days: 90,
+      total_points: 50,
+      next_expiry_at: '2026-12-31T00:00:00.000Z',
+      lots: [{ points: 50, expires_at: '2026-12-31T00:00:00.000Z' }]
+    });
+  });
+
+  test('should report nothing expiring for brands without a policy', async () => {
+    mockPointsLotRepository.getPointConfig.mockResolvedValue({});
+    mockPointsLotRepository.findExpiringForMember.mockResolvedValue([]);
+
+    const result = await service.getExpiringPoints('member-1', 'brand-1');
+
+    expect(result).toEqual({
+      expiry_policy: 'none',
+      window_days: 30,
+      total_points: 0,
+      next_expiry_at: null,
+      lots: []
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Points Rule Service Tests
+ * Covers rule evaluation: rates, fixed points, multipliers, conditions and daily caps in the brand's timezone
+ */
+
+const mockPointsRuleRepository = {
+  findApplicable: jest.fn(),
+  findByIdForBrand: jest.fn(),
+  nameExists: jest.fn(),
+  update: jest.fn(async (id, data) => ({ id, ...data }))
+};
+
+const mockApplicationRepository = {
+  getMemberPointsForPeriod: jest.fn()
+};
+
+const mockMemberRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn()
+};
+
+const mockBrandRepository = {
+  getMissionConfig: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  PointsRuleRepository: jest.fn(() => mockPointsRuleRepository),
+  PointsRuleApplicationRepository: jest.fn(() => mockApplicationRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  BrandRepository: jest.fn(() => mockBrandRepository),
+  AuditLogRepository: jest.fn(() => ({ logUserAction: jest.fn() }))
+}));
+
+const PointsRuleService = require('../../src/services/PointsRuleService');
+
+describe('PointsRuleService', () => {
+  let service;
+
+  // 2026-10-17 is a Saturday, 2026-10-19 a Monday
+  const saturday = '2026-10-17T12:00:00.000Z';
+  const monday = '2026-10-19T12:00:00.000Z';
+  const member = { id: 'member-1', tier_id: 'tier-silver' };
+
+  const rule = (id, ruleType, config, conditions = {}) => ({
+    id,
+    name: id,
+    rule_type: ruleType,
+    config,
+    conditions
+  });
+
+  const depositRate = rule('deposit-rate', 'rate', { points: 1, per_amount: 10 });
+  const weekendDouble = rule('weekend-double', 'multiplier', { multiplier: 2 }, { days_of_week: [0, 6] });
+  const goldBoost = rule('gold-boost', 'multiplier', { multiplier: 1.5 }, { tier_ids: ['tier-gold'] });
+  const dailyCap = rule('daily-cap', 'daily_cap', { max_points: 5000 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new PointsRuleService();
+    mockApplicationRepository.getMemberPointsForPeriod.mockResolvedValue(0);
+    mockBrandRepository.getMissionConfig.mockResolvedValue({});
+  });
+
+  test('should award rate points per whole currency unit block', async () => {
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([depositRate]);
+
+    const result = await service.evaluate({ event_type: 'deposit', amount: 259, occurred_at: monday }, member, 'brand-1');
+
+    expect(result.points).toBe(25);
+    expect(result.applications).toEqual([
+      { rule_id: 'deposit-rate', rule_name: 'deposit-rate', rule_type: 'rate', points: 25 }
+    ]);
+    expect(mockPointsRuleRepository.findApplicable).toHaveBeenCalledWith('brand-1', 'deposit', new Date(monday));
+  });
+
+  test('should apply multipliers only when their conditions hold', async () => {
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([depositRate, weekendDouble, goldBoost]);
+
+    const weekday = await service.evaluate({ event_type: 'deposit', amount: 100, occurred_at: monday }, member, 'brand-1');
+    const weekend = await service.evaluate({ event_type: 'deposit', amount: 100, occurred_at: saturday }, member, 'brand-1');
+    const goldWeekend = await service.evaluate(
+      { event_type: 'deposit', amount: 100, occurred_at: saturday },
+      { id: 'member-2', tier_id: 'tier-gold' },
+      'brand-1'
+    );
+
+    expect(weekday.points).toBe(10);
+    expect(weekend.points).toBe(20);
+    expect(weekend.applications.map(a => [a.rule_id, a.points])).toEqual([['deposit-rate', 10], ['weekend-double', 10]]);
+    expect(goldWeekend.points).toBe(30);
+  });
+
+  test('should add fixed points and skip rate rules for events without an amount', async () => {
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([
+      depositRate,
+      rule('login-bonus', 'fixed', { points: 5 })
+    ]);
+
+    const result = await service.evaluate({ event_type: 'login', occurred_at: monday }, member, 'brand-1');
+
+    expect(result.points).toBe(5);
+    expect(result.applications).toHaveLength(1);
+  });
+
+  test('should respect minimum amount and currency conditions', async () => {
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([
+      rule('big-usd-purchase', 'fixed', { points: 100 }, { min_amount: 50, currencies: ['USD'] })
+    ]);
+
+    const small = await service.evaluate({ event_type: 'purchase', amount: 20, currency: 'USD', occurred_at: monday }, member, 'brand-1');
+    const euro = await service.evaluate({ event_type: 'purchase', amount: 80, currency: 'EUR', occurred_at: monday }, member, 'brand-1');
+    const matching = await service.evaluate({ event_type: 'purchase', amount: 80, currency: 'USD', occurred_at: monday }, member, 'brand-1');
+
+    expect(small.points).toBe(0);
+    expect(euro.points).toBe(0);
+    expect(matching.points).toBe(100);
+  });
+
+  test('should cap points by what the member can still earn today', async () => {
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([depositRate, dailyCap]);
+    mockApplicationRepository.getMemberPointsForPeriod.mockResolvedValue(4900);
+
+    const result = await service.evaluate({ event_type: 'deposit', amount: 2000, occurred_at: monday }, member, 'brand-1', 'tx-client');
+
+    expect(result.points).toBe(100);
+    expect(result.applications).toEqual([
+      { rule_id: 'deposit-rate', rule_name: 'deposit-rate', rule_type: 'rate', points: 200 },
+      { rule_id: 'daily-cap', rule_name: 'daily-cap', rule_type: 'daily_cap', points: -100 }
+    ]);
+    expect(mockApplicationRepository.getMemberPointsForPeriod).toHaveBeenCalledWith(
+      'member-1', new Date('2026-10-19T00:00:00.000Z'), new Date('2026-10-20T00:00:00.000Z'), 'tx-client'
+    );
+    expect(mockMemberRepository.findByIdForUpdate).toHaveBeenCalledWith('member-1', 'tx-client');
+    expect(mockMemberRepository.findByIdForUpdate.mock.invocationCallOrder[0])
+      .toBeLessThan(mockApplicationRepository.getMemberPointsForPeriod.mock.invocationCallOrder[0]);
+  });
+
+  test('should take the day of the week and the capped day in the brand\'s timezone', async () => {
+    mockBrandRepository.getMissionConfig.mockResolvedValue({ timezone: 'America/New_York' });
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([depositRate, weekendDouble, dailyCap]);
+
+    // Monday 02:00 UTC is still Sunday evening in New York
+    const result = await service.evaluate(
+      { event_type: 'deposit', amount: 100, occurred_at: '2026-10-19T02:00:00.000Z' }, member, 'brand-1', 'tx-client'
+    );
+
+    expect(result.points).toBe(20);
+    expect(mockApplicationRepository.getMemberPointsForPeriod).toHaveBeenCalledWith(
+      'member-1', new Date('2026-10-18T04:00:00.000Z'), new Date('2026-10-19T04:00:00.000Z'), 'tx-client'
+    );
+  });
+
+  test('should preview for a tier without reading member history', async () => {
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([depositRate, goldBoost, dailyCap]);
+
+    const result = await service.previewPoints({
+      event_type: 'deposit',
+      amount: 1000,
+      occurred_at: monday,
+      tier_id: 'tier-gold'
+    }, 'brand-1');
+
+    expect(result.points).toBe(150);
+    expect(mockApplicationRepository.getMemberPointsForPeriod).not.toHaveBeenCalled();
+    expect(mockMemberRepository.findByIdForUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should reject a preview for a member of another brand', async () => {
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-9', brand_id: 'brand-2' });
+
+    await expect(service.previewPoints({ event_type: 'deposit', amount: 10, member_id: 'member-9' }, 'brand-1'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should reject a config update that does not fit the stored rule type', async () => {
+    mockPointsRuleRepository.findByIdForBrand.mockResolvedValue(depositRate);
+
+    await expect(service.updateRule('deposit-rate', { config: { multiplier: 2 } }, 'brand-1', 'user-1'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(mockPointsRuleRepository.update).not.toHaveBeenCalled();
+  });
+});
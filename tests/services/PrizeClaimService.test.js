@@ -0,0 +1,190 @@
+/**
+ * Prize Claim Service Tests
+ * Covers winner submission, the admin review steps, expiry of unclaimed prizes and returning prizes to stock
+ */
+
+const mockPrizeClaimRepository = {
+  findByIdForUpdate: jest.fn(),
+  update: jest.fn(async (id, data) => ({ id, ...data })),
+  findOverdue: jest.fn(),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockWheelRepository = {
+  addBudgetSpent: jest.fn(),
+  findSpinById: jest.fn()
+};
+
+const mockStockRepository = {
+  returnWin: jest.fn()
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+const mockNotificationService = {
+  notifyPrizeClaimUpdate: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  WheelPrizeClaimRepository: jest.fn(() => mockPrizeClaimRepository),
+  WheelRepository: jest.fn(() => mockWheelRepository),
+  WheelItemStockRepository: jest.fn(() => mockStockRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+jest.mock('../../src/services/NotificationService', () => jest.fn(() => mockNotificationService));
+
+const PrizeClaimService = require('../../src/services/PrizeClaimService');
+
+const buildClaim = (overrides = {}) => ({
+  id: 'claim-1',
+  brand_id: 'brand-1',
+  member_id: 'member-1',
+  wheel_id: 'wheel-1',
+  wheel_spin_id: 'spin-1',
+  wheel_item_id: 'item-headphones',
+  prize_type: 'product',
+  prize_name: 'Headphones',
+  budget_cost: 80,
+  status: 'pending',
+  expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+const address = { recipient_name: 'Jane Doe', line1: '1 Main St', city: 'Austin', postal_code: '73301', country: 'US' };
+
+describe('PrizeClaimService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWheelRepository.findSpinById.mockResolvedValue({ id: 'spin-1', spin_data: { stock_day: '2026-10-18' } });
+    service = new PrizeClaimService();
+  });
+
+  describe('submitClaim', () => {
+    test('should store the shipping address and mark the claim as claimed', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim());
+
+      const claim = await service.submitClaim('claim-1', { shipping_address: address }, 'member-1', 'brand-1');
+
+      expect(claim.status).toBe('claimed');
+      expect(mockPrizeClaimRepository.update).toHaveBeenCalledWith('claim-1', expect.objectContaining({
+        status: 'claimed',
+        claim_details: { shipping_address: address, bank_details: null, notes: null }
+      }), 'tx-client');
+    });
+
+    test('should require bank details for a cash prize', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim({ prize_type: 'cash' }));
+
+      await expect(service.submitClaim('claim-1', { shipping_address: address }, 'member-1', 'brand-1'))
+        .rejects.toThrow('bank_details is required to claim a cash prize');
+      expect(mockPrizeClaimRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a claim of another member', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim({ member_id: 'member-2' }));
+
+      await expect(service.submitClaim('claim-1', { shipping_address: address }, 'member-1', 'brand-1'))
+        .rejects.toThrow('Prize claim not found');
+    });
+
+    test('should refuse a claim past its deadline', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim({ expires_at: new Date(Date.now() - 1000) }));
+
+      await expect(service.submitClaim('claim-1', { shipping_address: address }, 'member-1', 'brand-1'))
+        .rejects.toThrow('The deadline to claim this prize has passed');
+    });
+  });
+
+  describe('review', () => {
+    test('should approve a submitted claim and notify the winner', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim({ status: 'claimed' }));
+
+      const claim = await service.approveClaim('claim-1', { notes: 'Verified' }, 'brand-1', 'user-1');
+
+      expect(claim.status).toBe('approved');
+      expect(claim.reviewed_by).toBe('user-1');
+      expect(mockNotificationService.notifyPrizeClaimUpdate).toHaveBeenCalledWith('member-1', 'brand-1', claim, 'tx-client');
+      expect(mockWheelRepository.addBudgetSpent).not.toHaveBeenCalled();
+      expect(mockStockRepository.returnWin).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to approve a claim that was not submitted', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim());
+
+      await expect(service.approveClaim('claim-1', {}, 'brand-1', 'user-1'))
+        .rejects.toThrow('Cannot approve a pending prize claim');
+    });
+
+    test('should refund the wheel budget when a claim is rejected', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim({ status: 'claimed' }));
+
+      const claim = await service.rejectClaim('claim-1', 'Duplicate account', 'brand-1', 'user-1');
+
+      expect(claim.status).toBe('rejected');
+      expect(claim.rejection_reason).toBe('Duplicate account');
+      expect(mockWheelRepository.addBudgetSpent).toHaveBeenCalledWith('wheel-1', -80, 'tx-client');
+      expect(mockWheelRepository.findSpinById).toHaveBeenCalledWith('spin-1', 'tx-client');
+      expect(mockStockRepository.returnWin).toHaveBeenCalledWith({
+        wheel_id: 'wheel-1',
+        wheel_item_id: 'item-headphones',
+        member_id: 'member-1',
+        day: '2026-10-18'
+      }, 'tx-client');
+    });
+
+    test('should ship an approved product prize', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim({ status: 'approved' }));
+
+      const claim = await service.shipClaim('claim-1', { carrier: 'DHL', tracking_number: 'JD014600003' }, 'brand-1', 'user-1');
+
+      expect(claim.status).toBe('shipped');
+      expect(claim.tracking_number).toBe('JD014600003');
+    });
+
+    test('should refuse to ship a cash prize', async () => {
+      mockPrizeClaimRepository.findByIdForUpdate.mockResolvedValue(buildClaim({ status: 'approved', prize_type: 'cash' }));
+
+      await expect(service.shipClaim('claim-1', { carrier: 'DHL', tracking_number: 'JD014600003' }, 'brand-1', 'user-1'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(mockPrizeClaimRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireOverdueClaims', () => {
+    test('should expire overdue claims and return their prizes', async () => {
+      const at = new Date();
+      mockPrizeClaimRepository.findOverdue.mockResolvedValue(['claim-1', 'claim-2']);
+      mockPrizeClaimRepository.findByIdForUpdate
+        .mockResolvedValueOnce(buildClaim({ expires_at: new Date(at.getTime() - 1000) }))
+        .mockResolvedValueOnce(buildClaim({ id: 'claim-2', status: 'claimed', expires_at: new Date(at.getTime() - 1000) }));
+
+      const summary = await service.expireOverdueClaims(50, at);
+
+      expect(mockPrizeClaimRepository.findOverdue).toHaveBeenCalledWith(at, 50);
+      expect(summary).toEqual({ due: 2, expired: 1, failed: 0 });
+      expect(mockPrizeClaimRepository.update).toHaveBeenCalledTimes(1);
+      expect(mockPrizeClaimRepository.update).toHaveBeenCalledWith('claim-1', { status: 'expired', expired_at: at }, 'tx-client');
+      expect(mockWheelRepository.addBudgetSpent).toHaveBeenCalledWith('wheel-1', -80, 'tx-client');
+      expect(mockStockRepository.returnWin).toHaveBeenCalledTimes(1);
+      expect(mockNotificationService.notifyPrizeClaimUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep going when one claim fails', async () => {
+      const at = new Date();
+      mockPrizeClaimRepository.findOverdue.mockResolvedValue(['claim-1', 'claim-2']);
+      mockPrizeClaimRepository.findByIdForUpdate
+        .mockRejectedValueOnce(new Error('lock timeout'))
+        .mockResolvedValueOnce(buildClaim({ id: 'claim-2', expires_at: new Date(at.getTime() - 1000) }));
+
+      const summary = await service.expireOverdueClaims(50, at);
+
+      expect(summary).toEqual({ due: 2, expired: 1, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Quest Service Tests
+ * Covers building quests, members' progress through their steps and which missions stay locked
+ */
+
+const mockQuestRepository = {
+  findById: jest.fn(),
+  findByBrand: jest.fn(),
+  findActiveByBrand: jest.fn(),
+  findCompletions: jest.fn(),
+  recordCompletion: jest.fn(),
+  createQuest: jest.fn(async (data) => ({ id: 'quest-new', ...data })),
+  updateQuest: jest.fn(async (id, data) => ({ id, ...data }))
+};
+
+const mockMissionRepository = {
+  findByIds: jest.fn()
+};
+
+const mockMissionCompletionRepository = {
+  findCompletedMissionIds: jest.fn()
+};
+
+const mockMemberRepository = {
+  findById: jest.fn()
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  QuestRepository: jest.fn(() => mockQuestRepository),
+  MissionRepository: jest.fn(() => mockMissionRepository),
+  MissionCompletionRepository: jest.fn(() => mockMissionCompletionRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+const QuestService = require('../../src/services/QuestService');
+
+// Sign up, then either a deposit or a purchase, an optional referral, and finally a spin
+const quest = {
+  id: 'quest-1',
+  brand_id: 'brand-1',
+  name: 'Starter',
+  status: 'active',
+  bonus_points: 500,
+  bonus_spin_tickets: 1,
+  steps: [
+    { mission_ids: ['mission-signup'], optional: false },
+    { mission_ids: ['mission-deposit', 'mission-purchase'], optional: false },
+    { mission_ids: ['mission-referral'], optional: true },
+    { mission_ids: ['mission-spin'], optional: false }
+  ]
+};
+
+const missions = ['signup', 'deposit', 'purchase', 'referral', 'spin'].map(key => ({
+  id: `mission-${key}`,
+  brand_id: 'brand-1',
+  name: key,
+  type: 'one_time',
+  reward_points: 10
+}));
+
+describe('QuestService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuestRepository.findById.mockResolvedValue(quest);
+    mockQuestRepository.findActiveByBrand.mockResolvedValue([quest]);
+    mockQuestRepository.findCompletions.mockResolvedValue([]);
+    mockMissionRepository.findByIds.mockImplementation(async (ids) => missions.filter(mission => ids.includes(mission.id)));
+    mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue([]);
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1' });
+    service = new QuestService();
+  });
+
+  describe('createQuest', () => {
+    test('should create a draft quest from missions of the brand', async () => {
+      const created = await service.createQuest({
+        name: 'Starter',
+        steps: [{ mission_ids: ['mission-signup'] }, { mission_ids: ['mission-deposit', 'mission-purchase'], optional: false }],
+        bonus_points: 500
+      }, 'brand-1', 'user-1');
+
+      expect(mockQuestRepository.createQuest).toHaveBeenCalledWith(expect.objectContaining({
+        brand_id: 'brand-1',
+        status: 'draft',
+        bonus_points: 500,
+        bonus_spin_tickets: 0,
+        steps: [
+          { mission_ids: ['mission-signup'], optional: false },
+          { mission_ids: ['mission-deposit', 'mission-purchase'], optional: false }
+        ]
+      }));
+      expect(mockAuditLogRepository.logUserAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'quest_create' }));
+      expect(created.id).toBe('quest-new');
+    });
+
+    test('should reject missions of other brands', async () => {
+      await expect(service.createQuest({ name: 'Starter', steps: [{ mission_ids: ['mission-other-brand'] }] }, 'brand-1', 'user-1'))
+        .rejects.toThrow('Quest steps must use missions of the brand');
+    });
+
+    test('should reject a mission on more than one step', async () => {
+      await expect(service.createQuest({
+        name: 'Starter',
+        steps: [{ mission_ids: ['mission-signup'] }, { mission_ids: ['mission-signup', 'mission-spin'] }]
+      }, 'brand-1', 'user-1')).rejects.toThrow('A mission can only be on one quest step');
+    });
+
+    test('should reject quests with only optional steps', async () => {
+      await expect(service.createQuest({ name: 'Starter', steps: [{ mission_ids: ['mission-referral'], optional: true }] }, 'brand-1', 'user-1'))
+        .rejects.toThrow('A quest needs at least one required step');
+    });
+  });
+
+  describe('updateQuest', () => {
+    test('should reject quests of other brands', async () => {
+      await expect(service.updateQuest('quest-1', { status: 'active' }, 'brand-2', 'user-1')).rejects.toThrow('Quest not found');
+      expect(mockQuestRepository.updateQuest).not.toHaveBeenCalled();
+    });
+
+    test('should validate new steps', async () => {
+      await service.updateQuest('quest-1', { steps: [{ mission_ids: ['mission-spin'] }] }, 'brand-1', 'user-1');
+
+      expect(mockQuestRepository.updateQuest).toHaveBeenCalledWith('quest-1', { steps: [{ mission_ids: ['mission-spin'], optional: false }] });
+    });
+  });
+
+  describe('getMemberQuest', () => {
+    test('should show completed, unlocked and locked steps', async () => {
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-signup']);
+
+      const result = await service.getMemberQuest('quest-1', 'member-1', 'brand-1');
+
+      expect(result.steps.map(step => step.status)).toEqual(['completed', 'unlocked', 'locked', 'locked']);
+      expect(result.steps[1].missions.map(mission => mission.name)).toEqual(['deposit', 'purchase']);
+      expect(result.progress).toEqual({ completed_steps: 1, required_steps: 3, percentage: 33 });
+      expect(result.completed).toBe(false);
+    });
+
+    test('should unlock the steps after a branch and an optional step', async () => {
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-signup', 'mission-purchase']);
+
+      const result = await service.getMemberQuest('quest-1', 'member-1', 'brand-1');
+
+      // The referral step is optional, so the spin step unlocks alongside it
+      expect(result.steps.map(step => step.status)).toEqual(['completed', 'completed', 'unlocked', 'unlocked']);
+    });
+
+    test('should finish once every required step is completed', async () => {
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-signup', 'mission-deposit', 'mission-spin']);
+      mockQuestRepository.findCompletions.mockResolvedValue([{ quest_id: 'quest-1', created_at: '2026-10-01T00:00:00Z' }]);
+
+      const result = await service.getMemberQuest('quest-1', 'member-1', 'brand-1');
+
+      expect(result.completed).toBe(true);
+      expect(result.completed_at).toBe('2026-10-01T00:00:00Z');
+      expect(result.progress.percentage).toBe(100);
+    });
+
+    test('should hide quests that are not active', async () => {
+      mockQuestRepository.findById.mockResolvedValue({ ...quest, status: 'draft' });
+
+      await expect(service.getMemberQuest('quest-1', 'member-1', 'brand-1')).rejects.toThrow('Quest not found');
+    });
+  });
+
+  describe('getLockedMissions', () => {
+    test('should lock missions after a required step the member has not completed', async () => {
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-signup']);
+
+      const locked = await service.getLockedMissions('member-1', missions, 'brand-1');
+
+      expect([...locked.keys()]).toEqual(['mission-referral', 'mission-spin']);
+      expect(locked.get('mission-spin')).toBe('Mission is locked until the earlier steps of quest "Starter" are completed');
+    });
+
+    test('should lock missions until their prerequisites are completed', async () => {
+      mockQuestRepository.findActiveByBrand.mockResolvedValue([]);
+      const mission = { id: 'mission-b', brand_id: 'brand-1', prerequisite_mission_ids: ['mission-a'] };
+
+      expect(await service.getLockReason(mission, 'member-1')).toBe('Mission is locked until its prerequisite missions are completed');
+
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-a']);
+      expect(await service.getLockReason(mission, 'member-1')).toBeNull();
+    });
+
+    test('should not look up completions for missions without prerequisites or quests', async () => {
+      mockQuestRepository.findActiveByBrand.mockResolvedValue([]);
+
+      const locked = await service.getLockedMissions('member-1', [{ id: 'mission-free' }], 'brand-1');
+
+      expect(locked.size).toBe(0);
+      expect(mockMissionCompletionRepository.findCompletedMissionIds).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findFinishedQuests', () => {
+    test('should return quests the mission finished', async () => {
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-signup', 'mission-deposit', 'mission-spin']);
+
+      const finished = await service.findFinishedQuests('mission-spin', 'member-1', 'brand-1');
+
+      expect(finished.map(candidate => candidate.id)).toEqual(['quest-1']);
+    });
+
+    test('should leave out quests the member had already finished or has not finished yet', async () => {
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-signup', 'mission-deposit', 'mission-spin']);
+      mockQuestRepository.findCompletions.mockResolvedValue([{ quest_id: 'quest-1' }]);
+
+      expect(await service.findFinishedQuests('mission-spin', 'member-1', 'brand-1')).toEqual([]);
+
+      mockQuestRepository.findCompletions.mockResolvedValue([]);
+      mockMissionCompletionRepository.findCompletedMissionIds.mockResolvedValue(['mission-signup', 'mission-spin']);
+
+      expect(await service.findFinishedQuests('mission-spin', 'member-1', 'brand-1')).toEqual([]);
+    });
+
+    test('should ignore quests without the mission', async () => {
+      expect(await service.findFinishedQuests('mission-unrelated', 'member-1', 'brand-1')).toEqual([]);
+      expect(mockMissionCompletionRepository.findCompletedMissionIds).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Reward Service Tests
+ * Covers fulfilling redemptions under the redemption's row lock
+ */
+
+const mockRedemptionRepository = {
+  findByIdForUpdate: jest.fn(),
+  update: jest.fn(async (id, data) => ({ id, ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  RewardRedemptionRepository: jest.fn(() => mockRedemptionRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+jest.mock('../../src/services/TransactionService', () => jest.fn(() => ({ createTransaction: jest.fn() })));
+jest.mock('../../src/services/WebhookService', () => jest.fn(() => ({ dispatchEvent: jest.fn() })));
+
+const RewardService = require('../../src/services/RewardService');
+
+describe('RewardService', () => {
+  let service;
+
+  const buildRedemption = (overrides = {}) => ({
+    id: 'redemption-1',
+    brand_id: 'brand-1',
+    member_id: 'member-1',
+    reward_id: 'reward-1',
+    status: 'pending',
+    points_spent: 500,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new RewardService();
+  });
+
+  describe('fulfillRedemption', () => {
+    test('should fulfill a redemption read under its row lock in one transaction', async () => {
+      mockRedemptionRepository.findByIdForUpdate.mockResolvedValue(buildRedemption());
+
+      const result = await service.fulfillRedemption('redemption-1', { notes: 'Shipped' }, 'brand-1', 'user-1');
+
+      expect(mockRedemptionRepository.findByIdForUpdate).toHaveBeenCalledWith('redemption-1', 'tx-client');
+      expect(mockRedemptionRepository.update).toHaveBeenCalledWith('redemption-1', expect.objectContaining({
+        status: 'fulfilled',
+        fulfilled_by: 'user-1',
+        fulfillment_notes: 'Shipped'
+      }), 'tx-client');
+      expect(mockAuditLogRepository.logUserAction).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'redemption_fulfill', resource_id: 'redemption-1' }),
+        'tx-client'
+      );
+      expect(result.status).toBe('fulfilled');
+    });
+
+    test('should not fulfill a redemption cancelled meanwhile', async () => {
+      mockRedemptionRepository.findByIdForUpdate.mockResolvedValue(buildRedemption({ status: 'cancelled' }));
+
+      await expect(service.fulfillRedemption('redemption-1', {}, 'brand-1', 'user-1'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(mockRedemptionRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should not fulfill a redemption of another brand', async () => {
+      mockRedemptionRepository.findByIdForUpdate.mockResolvedValue(buildRedemption({ brand_id: 'brand-2' }));
+
+      await expect(service.fulfillRedemption('redemption-1', {}, 'brand-1', 'user-1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
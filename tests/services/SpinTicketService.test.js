@@ -0,0 +1,149 @@
+/**
+ * Spin Ticket Service Tests
+ * Covers the ticket wallet, buying tickets with points, admin grants and paying for spins with tickets
+ */
+
+const mockSpinTicketRepository = {
+  getBalance: jest.fn(),
+  credit: jest.fn(),
+  debit: jest.fn(),
+  recordTransaction: jest.fn(async (data) => ({ id: 'ticket-tx-1', ...data })),
+  findTransactionsByMember: jest.fn(),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockMemberRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn()
+};
+
+const mockBrandRepository = {
+  findWithSettings: jest.fn()
+};
+
+const mockTransactionService = {
+  createTransaction: jest.fn(async (data) => ({ id: 'transaction-1', ...data }))
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  SpinTicketRepository: jest.fn(() => mockSpinTicketRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  BrandRepository: jest.fn(() => mockBrandRepository)
+}));
+
+jest.mock('../../src/services/TransactionService', () => jest.fn(() => mockTransactionService));
+
+const SpinTicketService = require('../../src/services/SpinTicketService');
+
+describe('SpinTicketService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new SpinTicketService();
+
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', points_balance: 500 });
+    mockMemberRepository.findByIdForUpdate.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', points_balance: 500 });
+    mockBrandRepository.findWithSettings.mockResolvedValue({ id: 'brand-1', point_config: { spin_ticket_price: 100 } });
+  });
+
+  describe('getWallet', () => {
+    test('should return the ticket balance and the ticket price', async () => {
+      mockSpinTicketRepository.getBalance.mockResolvedValue(4);
+
+      const wallet = await service.getWallet('member-1', 'brand-1');
+
+      expect(wallet).toEqual({ member_id: 'member-1', balance: 4, ticket_price_points: 100 });
+    });
+
+    test('should refuse a member of another brand', async () => {
+      mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-2' });
+
+      await expect(service.getWallet('member-1', 'brand-1')).rejects.toThrow('Member not found');
+    });
+  });
+
+  describe('purchaseTickets', () => {
+    test('should debit the points and credit the tickets together', async () => {
+      mockSpinTicketRepository.credit.mockResolvedValue({ member_id: 'member-1', balance: '5' });
+
+      const result = await service.purchaseTickets('member-1', 'brand-1', 3);
+
+      expect(mockMemberRepository.findByIdForUpdate).toHaveBeenCalledWith('member-1', 'tx-client');
+      expect(mockSpinTicketRepository.credit).toHaveBeenCalledWith('member-1', 'brand-1', 3, 'tx-client');
+      expect(mockSpinTicketRepository.recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 3,
+        source: 'purchase',
+        balance_after: 5
+      }), 'tx-client');
+      expect(mockTransactionService.createTransaction).toHaveBeenCalledWith({
+        member_id: 'member-1',
+        type: 'debit',
+        amount: 300,
+        description: 'Spin ticket purchase: 3 ticket(s)',
+        reference_type: 'spin_ticket_purchase',
+        reference_id: 'ticket-tx-1'
+      }, 'brand-1', null, {}, 'tx-client');
+      expect(result.tickets_balance).toBe(5);
+      expect(result.points_balance).toBe(200);
+    });
+
+    test('should refuse when the brand does not sell tickets', async () => {
+      mockBrandRepository.findWithSettings.mockResolvedValue({ id: 'brand-1', point_config: { spin_ticket_price: null } });
+
+      await expect(service.purchaseTickets('member-1', 'brand-1', 1)).rejects.toThrow('Spin tickets cannot be bought with points');
+      expect(mockSpinTicketRepository.withTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a purchase the member cannot afford', async () => {
+      await expect(service.purchaseTickets('member-1', 'brand-1', 6)).rejects.toThrow('Insufficient points to buy spin tickets');
+      expect(mockSpinTicketRepository.credit).not.toHaveBeenCalled();
+      expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('grantTickets', () => {
+    test('should record the admin who gave the tickets and why', async () => {
+      mockSpinTicketRepository.credit.mockResolvedValue({ member_id: 'member-1', balance: '2' });
+
+      const result = await service.grantTickets('member-1', 'brand-1', 2, 'Support goodwill', 'user-1');
+
+      expect(mockSpinTicketRepository.recordTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        member_id: 'member-1',
+        amount: 2,
+        source: 'admin',
+        description: 'Support goodwill',
+        created_by: 'user-1'
+      }), 'tx-client');
+      expect(result.balance).toBe(2);
+    });
+  });
+
+  describe('debitTickets', () => {
+    test('should record the tickets a spin used as a negative amount', async () => {
+      mockSpinTicketRepository.debit.mockResolvedValue({ member_id: 'member-1', balance: '1' });
+
+      const result = await service.debitTickets({
+        memberId: 'member-1',
+        brandId: 'brand-1',
+        quantity: 2,
+        source: 'spin',
+        referenceType: 'wheel',
+        referenceId: 'wheel-1'
+      }, 'tx-client');
+
+      expect(mockSpinTicketRepository.debit).toHaveBeenCalledWith('member-1', 2, 'tx-client');
+      expect(mockSpinTicketRepository.recordTransaction.mock.calls[0][0]).toMatchObject({ amount: -2, balance_after: 1 });
+      expect(result.balance).toBe(1);
+    });
+
+    test('should refuse when the wallet holds too few tickets', async () => {
+      mockSpinTicketRepository.debit.mockResolvedValue(null);
+
+      await expect(service.debitTickets({ memberId: 'member-1', brandId: 'brand-1', quantity: 2, source: 'spin' }, 'tx-client'))
+        .rejects.toThrow('Insufficient spin tickets');
+      expect(mockSpinTicketRepository.recordTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
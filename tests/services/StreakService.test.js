@@ -0,0 +1,364 @@
+/**
+ * Streak Service Tests
+ * Covers checking in, bridging missed days with freezes, milestone rewards, buying freezes and the streak calendar
+ */
+
+const mockStreakRepository = {
+  withTransaction: jest.fn(async (fn) => fn('tx-client')),
+  findByMember: jest.fn(),
+  findOrCreateForUpdate: jest.fn(),
+  updateStreak: jest.fn(async (id, data) => ({ id, ...data })),
+  recordCheckIn: jest.fn(async (data) => ({ id: `check-in-${data.check_in_date}`, ...data })),
+  findCheckIns: jest.fn()
+};
+
+const mockMemberRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  updateLastActivity: jest.fn()
+};
+
+const mockBrandRepository = {
+  getMissionConfig: jest.fn()
+};
+
+const mockTransactionService = {
+  createTransaction: jest.fn(async (data) => ({ id: 'transaction-1', ...data }))
+};
+
+const mockSpinTicketService = {
+  creditTickets: jest.fn()
+};
+
+const mockMissionProgressService = {
+  getTimezone: jest.fn()
+};
+
+const mockWebhookService = {
+  dispatchEvent: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  StreakRepository: jest.fn(() => mockStreakRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  BrandRepository: jest.fn(() => mockBrandRepository)
+}));
+
+jest.mock('../../src/services/TransactionService', () => jest.fn(() => mockTransactionService));
+jest.mock('../../src/services/SpinTicketService', () => jest.fn(() => mockSpinTicketService));
+jest.mock('../../src/services/MissionProgressService', () => jest.fn(() => mockMissionProgressService));
+jest.mock('../../src/services/WebhookService', () => jest.fn(() => mockWebhookService));
+
+const StreakService = require('../../src/services/StreakService');
+
+const member = { id: 'member-1', brand_id: 'brand-1', points_balance: 1000 };
+
+const streakFor = (overrides = {}) => ({
+  id: 'streak-1',
+  member_id: 'member-1',
+  brand_id: 'brand-1',
+  current_streak: 0,
+  longest_streak: 0,
+  freezes_available: 0,
+  last_check_in_date: null,
+  created_at: new Date('2026-10-01T08:00:00Z'),
+  ...overrides
+});
+
+describe('StreakService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // 09:00 on October 19th in New York
+    jest.useFakeTimers().setSystemTime(new Date('2026-10-19T13:00:00Z'));
+    mockMemberRepository.findById.mockResolvedValue(member);
+    mockMemberRepository.findByIdForUpdate.mockResolvedValue(member);
+    mockBrandRepository.getMissionConfig.mockResolvedValue({ timezone: 'UTC', streaks: { enabled: true } });
+    mockMissionProgressService.getTimezone.mockResolvedValue('America/New_York');
+    mockStreakRepository.findOrCreateForUpdate.mockResolvedValue(streakFor());
+    service = new StreakService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('checkIn', () => {
+    test('should start a streak on the member\'s first check-in', async () => {
+      const result = await service.checkIn('member-1', 'brand-1');
+
+      expect(result).toEqual(expect.objectContaining({
+        checked_in: true,
+        check_in_date: '2026-10-19',
+        current_streak: 1,
+        longest_streak: 1,
+        frozen_days: 0,
+        milestone: null
+      }));
+      expect(mockStreakRepository.recordCheckIn).toHaveBeenCalledWith(expect.objectContaining({
+        check_in_date: '2026-10-19',
+        source: 'check_in',
+        streak_day: 1
+      }), 'tx-client');
+    });
+
+    test('should continue the streak from yesterday', async () => {
+      mockStreakRepository.findOrCreateForUpdate.mockResolvedValue(streakFor({
+        current_streak: 4,
+        longest_streak: 10,
+        last_check_in_date: '2026-10-18'
+      }));
+
+      const result = await service.checkIn('member-1', 'brand-1');
+
+      expect(result.current_streak).toBe(5);
+      expect(result.longest_streak).toBe(10);
+    });
+
+    test('should not check in twice on the same day', async () => {
+      mockStreakRepository.findOrCreateForUpdate.mockResolvedValue(streakFor({
+        current_streak: 2,
+        longest_streak: 2,
+        last_check_in_date: '2026-10-19'
+      }));
+
+      const result = await service.checkIn('member-1', 'brand-1');
+
+      expect(result).toEqual(expect.objectContaining({ checked_in: false, current_streak: 2 }));
+      expect(mockStreakRepository.recordCheckIn).not.toHaveBeenCalled();
+      expect(mockStreakRepository.updateStreak).not.toHaveBeenCalled();
+    });
+
+    test('should cover missed days with freezes', async () => {
+      mockStreakRepository.findOrCreateForUpdate.mockResolvedValue(streakFor({
+        current_streak: 5,
+        longest_streak: 5,
+        freezes_available: 2,
+        last_check_in_date: '2026-10-16'
+      }));
+
+      const result = await service.checkIn('member-1', 'brand-1');
+
+      expect(result).toEqual(expect.objectContaining({ current_streak: 6, frozen_days: 2, freezes_available: 0 }));
+      expect(mockStreakRepository.recordCheckIn).toHaveBeenCalledWith(expect.objectContaining({
+        check_in_date: '2026-10-17',
+        source: 'freeze'
+      }), 'tx-client');
+      expect(mockStreakRepository.recordCheckIn).toHaveBeenCalledWith(expect.objectContaining({
+        check_in_date: '2026-10-18',
+        source: 'freeze'
+      }), 'tx-client');
+    });
+
+    test('should start over when freezes do not cover every missed day', async () => {
+      mockStreakRepository.findOrCreateForUpdate.mockResolvedValue(streakFor({
+        current_streak: 5,
+        longest_streak: 5,
+        freezes_available: 1,
+        last_check_in_date: '2026-10-16'
+      }));
+
+      const result = await service.checkIn('member-1', 'brand-1');
+
+      expect(result).toEqual(expect.objectContaining({
+        current_streak: 1,
+        longest_streak: 5,
+        frozen_days: 0,
+        freezes_available: 1
+      }));
+      expect(mockStreakRepository.recordCheckIn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should award the milestone reached', async () => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({
+        streaks: {
+          enabled: true,
+          milestones: [{ day: 7, reward_points: 150, reward_spin_tickets: 2, reward_freezes: 3 }],
+          max_freezes: 2
+        }
+      });
+      mockStreakRepository.findOrCreateForUpdate.mockResolvedValue(streakFor({
+        current_streak: 6,
+        longest_streak: 6,
+        last_check_in_date: '2026-10-18'
+      }));
+
+      const result = await service.checkIn('member-1', 'brand-1');
+
+      expect(result.milestone).toEqual({
+        day: 7,
+        reward_points: 150,
+        reward_spin_tickets: 2,
+        reward_freezes: 2,
+        transaction_id: 'transaction-1'
+      });
+      expect(result.freezes_available).toBe(2);
+      expect(mockTransactionService.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        member_id: 'member-1',
+        type: 'credit',
+        amount: 150,
+        reference_type: 'streak_check_in',
+        reference_id: 'check-in-2026-10-19'
+      }), 'brand-1', null, {}, 'tx-client');
+      expect(mockSpinTicketService.creditTickets).toHaveBeenCalledWith(expect.objectContaining({
+        memberId: 'member-1',
+        quantity: 2,
+        source: 'streak'
+      }), 'tx-client');
+      expect(mockWebhookService.dispatchEvent).toHaveBeenCalledWith(
+        'brand-1',
+        'streak.milestone_reached',
+        expect.objectContaining({ member_id: 'member-1', day: 7 }),
+        'tx-client'
+      );
+    });
+
+    test('should reject check-ins when the brand disabled streaks', async () => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ streaks: { enabled: false } });
+
+      await expect(service.checkIn('member-1', 'brand-1')).rejects.toThrow('Check-in streaks are not enabled for this brand');
+      expect(mockStreakRepository.withTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject members of another brand', async () => {
+      await expect(service.checkIn('member-1', 'brand-2')).rejects.toThrow('Member not found');
+    });
+  });
+
+  describe('recordActivity', () => {
+    test('should check the member in from their activity', async () => {
+      const result = await service.recordActivity('member-1', 'brand-1');
+
+      expect(mockMemberRepository.updateLastActivity).toHaveBeenCalledWith('member-1');
+      expect(result.current_streak).toBe(1);
+      expect(mockStreakRepository.recordCheckIn).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'activity'
+      }), 'tx-client');
+    });
+
+    test('should leave streaks off for brands that have not configured them', async () => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ timezone: 'UTC' });
+
+      const result = await service.recordActivity('member-1', 'brand-1');
+
+      expect(result).toBeNull();
+      expect(mockStreakRepository.recordCheckIn).not.toHaveBeenCalled();
+      await expect(service.checkIn('member-1', 'brand-1')).rejects.toThrow('Check-in streaks are not enabled for this brand');
+    });
+
+    test('should only update the last activity when streaks are disabled', async () => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ streaks: { enabled: false } });
+
+      const result = await service.recordActivity('member-1', 'brand-1');
+
+      expect(result).toBeNull();
+      expect(mockMemberRepository.updateLastActivity).toHaveBeenCalledWith('member-1');
+      expect(mockStreakRepository.withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purchaseFreezes', () => {
+    beforeEach(() => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ streaks: { enabled: true, freeze_price: 200, max_freezes: 3 } });
+      mockStreakRepository.findOrCreateForUpdate.mockResolvedValue(streakFor({ freezes_available: 1 }));
+    });
+
+    test('should debit the freeze price and add the freezes', async () => {
+      const result = await service.purchaseFreezes('member-1', 'brand-1', 2);
+
+      expect(mockTransactionService.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        member_id: 'member-1',
+        type: 'debit',
+        amount: 400,
+        reference_type: 'streak_freeze_purchase',
+        reference_id: 'streak-1'
+      }), 'brand-1', null, {}, 'tx-client');
+      expect(result).toEqual(expect.objectContaining({ freezes_available: 3, points_balance: 600 }));
+    });
+
+    test('should reject purchases when freezes are not for sale', async () => {
+      mockBrandRepository.getMissionConfig.mockResolvedValue({ streaks: { enabled: true } });
+
+      await expect(service.purchaseFreezes('member-1', 'brand-1', 1)).rejects.toThrow('Streak freezes cannot be bought with points');
+    });
+
+    test('should reject purchases beyond the freeze limit', async () => {
+      await expect(service.purchaseFreezes('member-1', 'brand-1', 3)).rejects.toThrow('Members can hold at most 3 streak freeze(s)');
+      expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject purchases the member cannot afford', async () => {
+      mockMemberRepository.findByIdForUpdate.mockResolvedValue({ ...member, points_balance: 300 });
+
+      await expect(service.purchaseFreezes('member-1', 'brand-1', 2)).rejects.toThrow('Insufficient points to buy streak freezes');
+      expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStreak', () => {
+    test('should return the streak, next milestone and calendar', async () => {
+      mockStreakRepository.findByMember.mockResolvedValue(streakFor({
+        current_streak: 2,
+        longest_streak: 4,
+        freezes_available: 1,
+        last_check_in_date: '2026-10-18',
+        created_at: new Date('2026-10-14T12:00:00Z')
+      }));
+      mockStreakRepository.findCheckIns.mockResolvedValue([
+        { check_in_date: '2026-10-14', source: 'check_in', milestone_day: null },
+        { check_in_date: '2026-10-17', source: 'freeze', milestone_day: null },
+        { check_in_date: '2026-10-18', source: 'activity', milestone_day: null }
+      ]);
+
+      const result = await service.getStreak('member-1', 'brand-1');
+
+      expect(result).toEqual(expect.objectContaining({
+        enabled: true,
+        current_streak: 2,
+        longest_streak: 4,
+        checked_in_today: false,
+        freezes_available: 1,
+        timezone: 'America/New_York',
+        next_milestone: { day: 3, reward_points: 50, days_left: 1 }
+      }));
+      expect(mockStreakRepository.findCheckIns).toHaveBeenCalledWith('member-1', '2026-10-01', '2026-10-31');
+
+      const statuses = Object.fromEntries(result.calendar.days.map(day => [day.date, day.status]));
+      expect(result.calendar.days).toHaveLength(31);
+      expect(statuses['2026-10-13']).toBeNull();
+      expect(statuses['2026-10-14']).toBe('checked_in');
+      expect(statuses['2026-10-15']).toBe('missed');
+      expect(statuses['2026-10-17']).toBe('frozen');
+      expect(statuses['2026-10-18']).toBe('checked_in');
+      expect(statuses['2026-10-19']).toBeNull();
+    });
+
+    test('should drop a streak the member can no longer keep', async () => {
+      mockStreakRepository.findByMember.mockResolvedValue(streakFor({
+        current_streak: 8,
+        longest_streak: 8,
+        last_check_in_date: '2026-10-16'
+      }));
+      mockStreakRepository.findCheckIns.mockResolvedValue([]);
+
+      const result = await service.getStreak('member-1', 'brand-1', { month: '2026-09' });
+
+      expect(result.current_streak).toBe(0);
+      expect(result.longest_streak).toBe(8);
+      expect(result.calendar.month).toBe('2026-09');
+      expect(result.calendar.days).toHaveLength(30);
+    });
+
+    test('should return an empty streak for members who never checked in', async () => {
+      mockStreakRepository.findByMember.mockResolvedValue(null);
+
+      const result = await service.getStreak('member-1', 'brand-1');
+
+      expect(result).toEqual(expect.objectContaining({ current_streak: 0, longest_streak: 0, last_check_in_date: null }));
+      expect(mockStreakRepository.findCheckIns).not.toHaveBeenCalled();
+      expect(result.calendar.days.every(day => day.status === null)).toBe(true);
+    });
+  });
+});
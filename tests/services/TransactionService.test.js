@@ -0,0 +1,147 @@
+/**
+ * Transaction Service Tests
+ * Covers points credits for transactions synced from a brand's platform
+ */
+
+const mockTransactionRepository = {
+  findOne: jest.fn(),
+  create: jest.fn(async (data) => ({ id: 'tx-1', ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockMemberRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  updatePoints: jest.fn(async (id, delta) => ({ id, points_balance: 100 + delta }))
+};
+
+const mockPointsRuleRepository = {
+  findApplicable: jest.fn()
+};
+
+const mockApplicationRepository = {
+  getMemberPointsForPeriod: jest.fn(),
+  recordApplications: jest.fn()
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+const mockMissionProgressService = {
+  recordTransaction: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  TransactionRepository: jest.fn(() => mockTransactionRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  PointsRuleRepository: jest.fn(() => mockPointsRuleRepository),
+  PointsRuleApplicationRepository: jest.fn(() => mockApplicationRepository),
+  BrandRepository: jest.fn(() => ({ getMissionConfig: jest.fn(async () => ({})) })),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+jest.mock('../../src/services/NotificationService', () => jest.fn(() => ({ notifyPointsEarned: jest.fn() })));
+jest.mock('../../src/services/WebhookService', () => jest.fn(() => ({ dispatchEvent: jest.fn() })));
+jest.mock('../../src/services/MissionProgressService', () => jest.fn(() => mockMissionProgressService));
+
+const TransactionService = require('../../src/services/TransactionService');
+
+describe('TransactionService', () => {
+  let service;
+
+  const member = { id: 'member-uuid', member_id: 'CUST-1', brand_id: 'brand-1', points_balance: 100 };
+
+  const depositRate = {
+    id: 'deposit-rate',
+    name: 'Deposit rate',
+    rule_type: 'rate',
+    config: { points: 1, per_amount: 10 },
+    conditions: {}
+  };
+
+  const buildSyncedTransaction = (overrides = {}) => ({
+    external_id: 'ext-1001',
+    member_id: 'member-uuid',
+    type: 'DEPOSIT',
+    amount: 250,
+    status: 'COMPLETED',
+    created_date_time: '2026-10-19T12:00:00.000Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new TransactionService();
+    mockTransactionRepository.findOne.mockResolvedValue(null);
+    mockMemberRepository.findById.mockResolvedValue(member);
+    mockPointsRuleRepository.findApplicable.mockResolvedValue([depositRate]);
+    mockApplicationRepository.getMemberPointsForPeriod.mockResolvedValue(0);
+  });
+
+  describe('createSyncedTransaction', () => {
+    test('should credit the points the brand rules award for a synced deposit', async () => {
+      const transaction = await service.createSyncedTransaction(buildSyncedTransaction(), 'brand-1');
+
+      expect(mockPointsRuleRepository.findApplicable).toHaveBeenCalledWith(
+        'brand-1', 'deposit', new Date('2026-10-19T12:00:00.000Z')
+      );
+      expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        member_id: 'member-uuid',
+        type: 'credit',
+        amount: 25,
+        reference_type: 'synced_transaction',
+        reference_id: 'ext-1001'
+      }), 'tx-client');
+      expect(mockMemberRepository.updatePoints).toHaveBeenCalledWith(
+        'member-uuid', 25, 'points_earned', 'tx-client', 'tx-1'
+      );
+      expect(mockApplicationRepository.recordApplications).toHaveBeenCalledWith(
+        'tx-1', 'member-uuid', 'brand-1',
+        [expect.objectContaining({ rule_id: 'deposit-rate', points: 25 })],
+        new Date('2026-10-19T12:00:00.000Z'),
+        'tx-client'
+      );
+      expect(transaction).toMatchObject({ id: 'tx-1', amount: 25 });
+    });
+
+    test('should not credit a synced transaction that has already been credited', async () => {
+      mockTransactionRepository.findOne.mockResolvedValue({ id: 'tx-earlier', amount: 25 });
+
+      const transaction = await service.createSyncedTransaction(buildSyncedTransaction(), 'brand-1');
+
+      expect(transaction).toEqual({ id: 'tx-earlier', amount: 25 });
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+      expect(mockApplicationRepository.recordApplications).not.toHaveBeenCalled();
+    });
+
+    test('should not credit a synced transaction that is not completed', async () => {
+      const transaction = await service.createSyncedTransaction(
+        buildSyncedTransaction({ status: 'PENDING' }), 'brand-1'
+      );
+
+      expect(transaction).toBeNull();
+      expect(mockPointsRuleRepository.findApplicable).not.toHaveBeenCalled();
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should not credit a synced withdrawal', async () => {
+      const transaction = await service.createSyncedTransaction(
+        buildSyncedTransaction({ type: 'WITHDRAWAL' }), 'brand-1'
+      );
+
+      expect(transaction).toBeNull();
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should not credit a synced transaction no rule awards points for', async () => {
+      mockPointsRuleRepository.findApplicable.mockResolvedValue([]);
+
+      const transaction = await service.createSyncedTransaction(buildSyncedTransaction(), 'brand-1');
+
+      expect(transaction).toBeNull();
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Webhook Service Tests
+ * Exercises signed delivery and retry scheduling against a local HTTP stand-in
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const mockSubscriptionRepository = {
+  findById: jest.fn(),
+  create: jest.fn(async (data) => ({ id: 'subscription-new', ...data }))
+};
+
+const mockDeliveryRepository = {
+  create: jest.fn(async (data) => ({ id: 'delivery-test', ...data })),
+  update: jest.fn(async (id, data) => ({ id, ...data })),
+  claimDue: jest.fn(),
+  buildPayload: jest.fn((brandId, eventType, data) => ({
+    id: 'event-test',
+    type: eventType,
+    brand_id: brandId,
+    created_at: new Date().toISOString(),
+    data
+  }))
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  WebhookSubscriptionRepository: jest.fn(() => mockSubscriptionRepository),
+  WebhookDeliveryRepository: jest.fn(() => mockDeliveryRepository),
+  AuditLogRepository: jest.fn(() => ({ logUserAction: jest.fn() }))
+}));
+
+const config = require('../../config');
+const WebhookService = require('../../src/services/WebhookService');
+
+describe('WebhookService', () => {
+  let server;
+  let receiverUrl;
+  let receivedRequests;
+  let responseStatus;
+  let webhookService;
+
+  const secret = 'whsec_test_secret';
+
+  const buildSubscription = (overrides = {}) => ({
+    id: 'subscription-1',
+    brand_id: 'brand-1',
+    url: receiverUrl,
+    secret,
+    is_active: true,
+    ...overrides
+  });
+
+  const buildDelivery = (overrides = {}) => ({
+    id: 'delivery-1',
+    subscription_id: 'subscription-1',
+    brand_id: 'brand-1',
+    event_type: 'points.credited',
+    payload: { id: 'event-1', type: 'points.credited', brand_id: 'brand-1', data: { amount: 100 } },
+    attempts: 0,
+    is_test: false,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        receivedRequests.push({ headers: req.headers, body });
+        res.writeHead(responseStatus, { 'Content-Type': 'text/plain' });
+        res.end(responseStatus < 300 ? 'ok' : 'receiver error');
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    receivedRequests = [];
+    responseStatus = 200;
+    // The stand-in receiver listens on loopback
+    config.webhook.allowPrivateUrls = true;
+    webhookService = new WebhookService();
+  });
+
+  afterAll(() => {
+    config.webhook.allowPrivateUrls = false;
+  });
+
+  describe('attemptDelivery', () => {
+    test('should POST a payload signed over the timestamp and body', async () => {
+      const result = await webhookService.attemptDelivery(buildDelivery(), buildSubscription());
+
+      expect(receivedRequests).toHaveLength(1);
+      const { headers, body } = receivedRequests[0];
+      const expectedSignature = crypto
+        .createHmac('sha256', secret)
+        .update(`${headers['x-engagecore-timestamp']}.${body}`)
+        .digest('hex');
+
+      expect(JSON.parse(body).data.amount).toBe(100);
+      expect(headers['x-engagecore-event']).toBe('points.credited');
+      expect(headers['x-engagecore-delivery']).toBe('delivery-1');
+      expect(headers['x-engagecore-signature']).toBe(`sha256=${expectedSignature}`);
+      expect(result.status).toBe('succeeded');
+      expect(result.attempts).toBe(1);
+      expect(result.response_status).toBe(200);
+      expect(result.next_attempt_at).toBeNull();
+    });
+
+    test('should schedule a retry with backoff when the receiver fails', async () => {
+      responseStatus = 500;
+      const before = Date.now();
+
+      const result = await webhookService.attemptDelivery(buildDelivery({ attempts: 1 }), buildSubscription());
+
+      expect(result.status).toBe('pending');
+      expect(result.attempts).toBe(2);
+      expect(result.response_status).toBe(500);
+      expect(result).not.toHaveProperty('response_body');
+      expect(result.error_message).toBe('Receiver responded with HTTP 500');
+      expect(result.next_attempt_at.getTime()).toBeGreaterThanOrEqual(
+        before + config.webhook.retryBaseDelaySeconds * 2 * 1000
+      );
+    });
+
+    test('should give up once the last attempt fails', async () => {
+      responseStatus = 503;
+
+      const result = await webhookService.attemptDelivery(
+        buildDelivery({ attempts: config.webhook.maxAttempts - 1 }),
+        buildSubscription()
+      );
+
+      expect(result.status).toBe('failed');
+      expect(result.next_attempt_at).toBeNull();
+    });
+
+    test('should record connection errors and retry', async () => {
+      const result = await webhookService.attemptDelivery(
+        buildDelivery(),
+        buildSubscription({ url: 'http://127.0.0.1:1/unreachable' })
+      );
+
+      expect(result.status).toBe('pending');
+      expect(result.response_status).toBeNull();
+      expect(result.error_message).toMatch(/ECONNREFUSED/);
+    });
+
+    test('should fail without sending when the subscription is inactive', async () => {
+      const result = await webhookService.attemptDelivery(buildDelivery(), buildSubscription({ is_active: false }));
+
+      expect(receivedRequests).toHaveLength(0);
+      expect(result.status).toBe('failed');
+    });
+  });
+
+  describe('getRetryDelaySeconds', () => {
+    test('should double the delay per attempt up to the maximum', () => {
+      const { retryBaseDelaySeconds, retryMaxDelaySeconds } = config.webhook;
+
+      expect(webhookService.getRetryDelaySeconds(1)).toBe(retryBaseDelaySeconds);
+      expect(webhookService.getRetryDelaySeconds(2)).toBe(retryBaseDelaySeconds * 2);
+      expect(webhookService.getRetryDelaySeconds(3)).toBe(retryBaseDelaySeconds * 4);
+      expect(webhookService.getRetryDelaySeconds(50)).toBe(retryMaxDelaySeconds);
+    });
+  });
+
+  describe('sendTestEvent', () => {
+    test('should deliver a test event immediately', async () => {
+      mockSubscriptionRepository.findById.mockResolvedValue(buildSubscription());
+
+      const result = await webhookService.sendTestEvent('subscription-1', 'brand-1', 'user-1');
+
+      expect(receivedRequests).toHaveLength(1);
+      expect(JSON.parse(receivedRequests[0].body).type).toBe('webhook.test');
+      expect(mockDeliveryRepository.create).toHaveBeenCalledWith(expect.objectContaining({ is_test: true }));
+      expect(result.status).toBe('succeeded');
+    });
+
+    test('should not retry a failed test event', async () => {
+      responseStatus = 500;
+      mockSubscriptionRepository.findById.mockResolvedValue(buildSubscription());
+
+      const result = await webhookService.sendTestEvent('subscription-1', 'brand-1', 'user-1');
+
+      expect(result.status).toBe('failed');
+    });
+
+    test('should reject subscriptions of another brand', async () => {
+      mockSubscriptionRepository.findById.mockResolvedValue(buildSubscription({ brand_id: 'brand-2' }));
+
+      await expect(webhookService.sendTestEvent('subscription-1', 'brand-1', 'user-1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(receivedRequests).toHaveLength(0);
+    });
+  });
+
+  describe('processDueDeliveries', () => {
+    test('should send claimed deliveries and summarise the outcome', async () => {
+      mockDeliveryRepository.claimDue.mockResolvedValue([
+        buildDelivery({ id: 'delivery-1' }),
+        buildDelivery({ id: 'delivery-2', subscription_id: 'subscription-removed' })
+      ]);
+      mockSubscriptionRepository.findById.mockImplementation(async (id) => (
+        id === 'subscription-1' ? buildSubscription() : null
+      ));
+
+      const summary = await webhookService.processDueDeliveries(10);
+
+      expect(mockDeliveryRepository.claimDue).toHaveBeenCalledWith(10);
+      expect(receivedRequests).toHaveLength(1);
+      expect(summary).toEqual({ processed: 2, succeeded: 1, retrying: 0, failed: 1 });
+    });
+  });
+
+  describe('private addresses', () => {
+    beforeEach(() => {
+      config.webhook.allowPrivateUrls = false;
+    });
+
+    test.each([
+      'http://169.254.169.254/latest/meta-data',
+      'http://localhost/hooks',
+      'http://10.0.0.5/hooks',
+      'http://[::1]/hooks',
+      'http://[::ffff:127.0.0.1]/hooks'
+    ])('should reject a subscription to %s', async (url) => {
+      await expect(webhookService.createSubscription({ url, events: ['points.credited'] }, 'brand-1', 'user-1'))
+        .rejects.toThrow('Webhook URL must point to a public address');
+      expect(mockSubscriptionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should not deliver to a host that resolves to a private address', async () => {
+      const port = new URL(receiverUrl).port;
+
+      const result = await webhookService.attemptDelivery(
+        buildDelivery(),
+        buildSubscription({ url: `http://localhost:${port}/hooks` })
+      );
+
+      expect(receivedRequests).toHaveLength(0);
+      expect(result.response_status).toBeNull();
+      expect(result.error_message).toMatch(/EPRIVATEADDRESS/);
+    });
+
+    test('should not deliver to a private IP address', async () => {
+      const result = await webhookService.attemptDelivery(buildDelivery(), buildSubscription());
+
+      expect(receivedRequests).toHaveLength(0);
+      expect(result.error_message).toMatch(/resolves to private address 127\.0\.0\.1/);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Wheel Drift Service Tests
+ * Covers chi-square drift checks over rolling windows, drift alerts and the drift report
+ */
+
+const mockWheelRepository = {
+  findActiveForDriftCheck: jest.fn(),
+  findWithItems: jest.fn(),
+  findById: jest.fn(),
+  getConfiguredOddsOutcomes: jest.fn()
+};
+
+const mockDriftCheckRepository = {
+  recordCheck: jest.fn(async (data) => ({ id: 'check-1', ...data })),
+  findLatestByWheel: jest.fn(),
+  findActiveDrifts: jest.fn()
+};
+
+const mockAuditLogRepository = {
+  logSystemAction: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  WheelRepository: jest.fn(() => mockWheelRepository),
+  WheelDriftCheckRepository: jest.fn(() => mockDriftCheckRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+const WheelDriftService = require('../../src/services/WheelDriftService');
+const config = require('../../config');
+
+const items = [
+  { id: 'item-points', name: '50 points', type: 'points', probability: 0.2, is_active: true },
+  { id: 'item-coupon', name: 'Coupon', type: 'coupon', probability: 0.3, is_active: true },
+  { id: 'item-nothing', name: 'Try again', type: 'nothing', probability: 0.5, is_active: true }
+];
+
+const wheel = { id: 'wheel-1', brand_id: 'brand-1', name: 'Daily Wheel', items_changed_at: null };
+const at = new Date('2026-10-19T12:00:00Z');
+
+const outcomes = (points, coupon, nothing) => ([
+  { wheel_item_id: 'item-points', spins: String(points) },
+  { wheel_item_id: 'item-coupon', spins: String(coupon) },
+  { wheel_item_id: 'item-nothing', spins: String(nothing) }
+]);
+
+describe('WheelDriftService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelDriftService();
+    mockWheelRepository.findActiveForDriftCheck.mockResolvedValue([wheel]);
+    mockWheelRepository.findWithItems.mockResolvedValue({ ...wheel, items });
+    mockDriftCheckRepository.findLatestByWheel.mockResolvedValue([]);
+  });
+
+  describe('checkWheelWindow', () => {
+    test('should pass outcomes that fit the configured probabilities', async () => {
+      mockWheelRepository.getConfiguredOddsOutcomes.mockResolvedValue(outcomes(205, 290, 505));
+
+      const check = await service.checkWheelWindow(wheel, items, 24, at);
+
+      expect(mockWheelRepository.getConfiguredOddsOutcomes).toHaveBeenCalledWith('wheel-1', new Date('2026-10-18T12:00:00Z'), at);
+      expect(check.status).toBe('ok');
+      expect(check.total_spins).toBe(1000);
+      expect(check.degrees_of_freedom).toBe(2);
+      expect(check.p_value).toBeGreaterThan(0.5);
+      expect(check.items[0]).toMatchObject({ item_id: 'item-points', configured_probability: 0.2, expected_spins: 200, observed_spins: 205 });
+    });
+
+    test('should flag outcomes that differ significantly', async () => {
+      mockWheelRepository.getConfiguredOddsOutcomes.mockResolvedValue(outcomes(300, 250, 450));
+
+      const check = await service.checkWheelWindow(wheel, items, 24, at);
+
+      expect(check.status).toBe('drift');
+      expect(check.p_value).toBeLessThan(config.wheel.driftSignificanceLevel);
+      expect(check.items[0].observed_probability).toBe(0.3);
+    });
+
+    test('should not test a window with too few spins', async () => {
+      mockWheelRepository.getConfiguredOddsOutcomes.mockResolvedValue(outcomes(30, 0, 20));
+
+      const check = await service.checkWheelWindow(wheel, items, 24, at);
+
+      expect(check.status).toBe('insufficient_data');
+      expect(check.p_value).toBeNull();
+    });
+
+    test('should start the window at the last change to the items', async () => {
+      mockWheelRepository.getConfiguredOddsOutcomes.mockResolvedValue([]);
+
+      await service.checkWheelWindow({ ...wheel, items_changed_at: '2026-10-19T06:00:00Z' }, items, 24, at);
+
+      expect(mockWheelRepository.getConfiguredOddsOutcomes).toHaveBeenCalledWith('wheel-1', new Date('2026-10-19T06:00:00Z'), at);
+    });
+  });
+
+  describe('runDriftChecks', () => {
+    test('should check every window and raise an alert when drift starts', async () => {
+      mockWheelRepository.getConfiguredOddsOutcomes.mockResolvedValue(outcomes(300, 250, 450));
+
+      const summary = await service.runDriftChecks(at);
+
+      expect(summary).toEqual({ wheels: 1, checks: config.wheel.driftWindowsHours.length, drifts: config.wheel.driftWindowsHours.length, failed: 0 });
+      expect(mockAuditLogRepository.logSystemAction).toHaveBeenCalledTimes(config.wheel.driftWindowsHours.length);
+      expect(mockAuditLogRepository.logSystemAction.mock.calls[0][0]).toMatchObject({
+        brand_id: 'brand-1',
+        action: 'wheel_probability_drift',
+        resource_type: 'wheel',
+        resource_id: 'wheel-1'
+      });
+    });
+
+    test('should not alert again while the drift lasts', async () => {
+      mockWheelRepository.getConfiguredOddsOutcomes.mockResolvedValue(outcomes(300, 250, 450));
+      mockDriftCheckRepository.findLatestByWheel.mockResolvedValue(
+        config.wheel.driftWindowsHours.map(hours => ({ window_hours: hours, status: 'drift' }))
+      );
+
+      await service.runDriftChecks(at);
+
+      expect(mockAuditLogRepository.logSystemAction).not.toHaveBeenCalled();
+    });
+
+    test('should carry on with other wheels when one fails', async () => {
+      mockWheelRepository.findActiveForDriftCheck.mockResolvedValue([wheel, { ...wheel, id: 'wheel-2' }]);
+      mockWheelRepository.findWithItems
+        .mockRejectedValueOnce(new Error('connection reset'))
+        .mockResolvedValueOnce({ ...wheel, id: 'wheel-2', items });
+      mockWheelRepository.getConfiguredOddsOutcomes.mockResolvedValue(outcomes(205, 290, 505));
+
+      const summary = await service.runDriftChecks(at);
+
+      expect(summary).toMatchObject({ wheels: 2, drifts: 0, failed: 1 });
+    });
+  });
+
+  describe('getWheelDrift', () => {
+    test('should report the latest check of each window', async () => {
+      mockWheelRepository.findById.mockResolvedValue(wheel);
+      mockDriftCheckRepository.findLatestByWheel.mockResolvedValue([
+        { window_hours: 24, total_spins: '1000', statistic: '14.5833', degrees_of_freedom: 2, p_value: '0.000681', significance_level: '0.001', status: 'drift', items: [] },
+        { window_hours: 168, total_spins: '150', statistic: null, degrees_of_freedom: null, p_value: null, significance_level: '0.001', status: 'insufficient_data', items: [] }
+      ]);
+
+      const drift = await service.getWheelDrift('wheel-1', 'brand-1');
+
+      expect(drift.drifting).toBe(true);
+      expect(drift.checks[0]).toMatchObject({ window_hours: 24, total_spins: 1000, statistic: 14.5833, p_value: 0.000681 });
+      expect(drift.checks[1].p_value).toBeNull();
+    });
+
+    test('should refuse a wheel of another brand', async () => {
+      mockWheelRepository.findById.mockResolvedValue(wheel);
+
+      await expect(service.getWheelDrift('wheel-1', 'brand-2')).rejects.toThrow('Wheel not found');
+    });
+  });
+});
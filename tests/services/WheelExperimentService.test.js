@@ -0,0 +1,270 @@
+/**
+ * Wheel Experiment Service Tests
+ * Covers experiment setup, member bucketing into variants and the per-variant results
+ */
+
+const mockWheelRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  getWheelStatistics: jest.fn()
+};
+
+const mockWheelItemRepository = {
+  findByWheelId: jest.fn(),
+  create: jest.fn()
+};
+
+const mockVersionRepository = {
+  findById: jest.fn()
+};
+
+const mockExperimentRepository = {
+  findById: jest.fn(),
+  findByWheel: jest.fn(),
+  findRunningByWheel: jest.fn(),
+  getVariantEngagement: jest.fn(),
+  createExperiment: jest.fn(async (data) => ({ id: 'experiment-new', status: 'draft', ...data })),
+  update: jest.fn(async (id, data) => ({ id, ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  WheelRepository: jest.fn(() => mockWheelRepository),
+  WheelItemRepository: jest.fn(() => mockWheelItemRepository),
+  WheelVersionRepository: jest.fn(() => mockVersionRepository),
+  WheelExperimentRepository: jest.fn(() => mockExperimentRepository)
+}));
+
+const WheelExperimentService = require('../../src/services/WheelExperimentService');
+
+const gold = { id: 'item-gold', name: 'Gold', type: 'points', value: 500, probability: 0.1 };
+const nothing = { id: 'item-nothing', name: 'Try again', type: 'nothing', value: 0, probability: 0.9 };
+const platinum = { id: 'item-platinum', name: 'Platinum', type: 'points', value: 1000, probability: 0.05 };
+
+const versions = {
+  'version-1': { id: 'version-1', wheel_id: 'wheel-1', config: { items: [gold, nothing], pity_rules: [] } },
+  'version-2': {
+    id: 'version-2',
+    wheel_id: 'wheel-1',
+    config: { items: [{ ...gold, probability: 0.2 }, { ...nothing, probability: 0.75 }, platinum], pity_rules: [{ type: 'losing_streak', spins: 5 }] }
+  },
+  'version-other': { id: 'version-other', wheel_id: 'wheel-2', config: { items: [], pity_rules: [] } }
+};
+
+const variants = [
+  { key: 'control', name: 'Control', weight: 1, wheel_version_id: 'version-1' },
+  { key: 'generous', name: 'Generous', weight: 1, wheel_version_id: 'version-2' }
+];
+
+const buildExperiment = (overrides = {}) => ({
+  id: 'experiment-1',
+  wheel_id: 'wheel-1',
+  brand_id: 'brand-1',
+  name: 'Generous odds',
+  status: 'draft',
+  variants,
+  ...overrides
+});
+
+describe('WheelExperimentService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelExperimentService();
+
+    const wheel = { id: 'wheel-1', brand_id: 'brand-1', name: 'Summer wheel', live_version_id: 'version-1' };
+    mockWheelRepository.findById.mockResolvedValue(wheel);
+    mockWheelRepository.findByIdForUpdate.mockResolvedValue(wheel);
+    mockWheelItemRepository.findByWheelId.mockResolvedValue([gold, nothing]);
+    mockVersionRepository.findById.mockImplementation(async (id) => versions[id] || null);
+    mockExperimentRepository.findById.mockResolvedValue(buildExperiment());
+    mockExperimentRepository.findRunningByWheel.mockResolvedValue(null);
+  });
+
+  describe('createExperiment', () => {
+    test('should create a draft with the variants of the wheel versions', async () => {
+      const experiment = await service.createExperiment('wheel-1', {
+        name: 'Generous odds',
+        variants: [
+          { key: 'control', weight: 1, wheel_version_id: 'version-1' },
+          { key: 'generous', name: 'Generous', weight: 3, wheel_version_id: 'version-2' }
+        ]
+      }, 'brand-1', 'user-1');
+
+      expect(experiment.status).toBe('draft');
+      expect(mockExperimentRepository.createExperiment).toHaveBeenCalledWith(expect.objectContaining({
+        wheel_id: 'wheel-1',
+        brand_id: 'brand-1',
+        created_by: 'user-1',
+        variants: [
+          { key: 'control', name: 'control', weight: 1, wheel_version_id: 'version-1' },
+          { key: 'generous', name: 'Generous', weight: 3, wheel_version_id: 'version-2' }
+        ]
+      }));
+    });
+
+    test('should reject a variant using another wheel\'s version', async () => {
+      await expect(service.createExperiment('wheel-1', {
+        name: 'Generous odds',
+        variants: [
+          { key: 'control', weight: 1, wheel_version_id: 'version-1' },
+          { key: 'other', weight: 1, wheel_version_id: 'version-other' }
+        ]
+      }, 'brand-1', 'user-1')).rejects.toThrow('Variant "other" must use a version of the wheel');
+
+      expect(mockExperimentRepository.createExperiment).not.toHaveBeenCalled();
+    });
+
+    test('should not create experiments on another brand\'s wheel', async () => {
+      await expect(service.createExperiment('wheel-1', { name: 'Generous odds', variants }, 'brand-2', 'user-1'))
+        .rejects.toThrow('Wheel not found');
+    });
+  });
+
+  describe('startExperiment', () => {
+    test('should add the variant-only items to the wheel inactive and start the experiment', async () => {
+      const experiment = await service.startExperiment('wheel-1', 'experiment-1', 'brand-1', 'user-1');
+
+      expect(mockWheelRepository.findByIdForUpdate).toHaveBeenCalledWith('wheel-1', 'tx-client');
+      expect(mockWheelItemRepository.create).toHaveBeenCalledTimes(1);
+      expect(mockWheelItemRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'item-platinum', wheel_id: 'wheel-1', is_active: false }),
+        'tx-client'
+      );
+      expect(experiment.status).toBe('running');
+      expect(experiment.started_at).toBeInstanceOf(Date);
+    });
+
+    test('should not start while another experiment runs on the wheel', async () => {
+      mockExperimentRepository.findRunningByWheel.mockResolvedValue(buildExperiment({ id: 'experiment-0', name: 'Bigger jackpot', status: 'running' }));
+
+      await expect(service.startExperiment('wheel-1', 'experiment-1', 'brand-1', 'user-1'))
+        .rejects.toThrow('Experiment "Bigger jackpot" is already running on the wheel');
+      expect(mockExperimentRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should only start draft experiments', async () => {
+      mockExperimentRepository.findById.mockResolvedValue(buildExperiment({ status: 'completed' }));
+
+      await expect(service.startExperiment('wheel-1', 'experiment-1', 'brand-1', 'user-1'))
+        .rejects.toThrow('Only draft experiments can be started (experiment is completed)');
+    });
+  });
+
+  describe('stopExperiment', () => {
+    test('should complete a running experiment', async () => {
+      mockExperimentRepository.findById.mockResolvedValue(buildExperiment({ status: 'running' }));
+
+      const experiment = await service.stopExperiment('wheel-1', 'experiment-1', 'brand-1', 'user-1');
+
+      expect(experiment.status).toBe('completed');
+      expect(experiment.ended_at).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('resolveVariant', () => {
+    test('should return null when no experiment runs on the wheel', async () => {
+      await expect(service.resolveVariant({ id: 'wheel-1' }, 'member-1')).resolves.toBeNull();
+    });
+
+    test('should bucket a member into the same variant on every spin', async () => {
+      mockExperimentRepository.findRunningByWheel.mockResolvedValue(buildExperiment({ status: 'running' }));
+
+      const first = await service.resolveVariant({ id: 'wheel-1' }, 'member-1');
+      const second = await service.resolveVariant({ id: 'wheel-1' }, 'member-1');
+
+      expect(second).toEqual(first);
+      expect(first.experiment_id).toBe('experiment-1');
+      expect(versions[first.wheel_version_id].config.items).toEqual(first.items);
+    });
+
+    test('should split members across variants by weight', async () => {
+      mockExperimentRepository.findRunningByWheel.mockResolvedValue(buildExperiment({
+        status: 'running',
+        variants: [{ ...variants[0], weight: 3 }, variants[1]]
+      }));
+
+      const counts = { control: 0, generous: 0 };
+      for (let index = 0; index < 2000; index++) {
+        const variant = await service.resolveVariant({ id: 'wheel-1' }, `member-${index}`);
+        counts[variant.variant]++;
+      }
+
+      expect(counts.control / 2000).toBeGreaterThan(0.7);
+      expect(counts.control / 2000).toBeLessThan(0.8);
+    });
+
+    test('should use the variant version\'s pity rules', async () => {
+      mockExperimentRepository.findRunningByWheel.mockResolvedValue(buildExperiment({
+        status: 'running',
+        variants: [{ ...variants[1], weight: 1 }, { ...variants[0], weight: 0 }]
+      }));
+
+      const variant = await service.resolveVariant({ id: 'wheel-1' }, 'member-1');
+
+      expect(variant).toMatchObject({ variant: 'generous', wheel_version_id: 'version-2', pity_rules: [{ type: 'losing_streak', spins: 5 }] });
+    });
+  });
+
+  describe('getExperimentResults', () => {
+    test('should compare spin rate, prize cost and engagement against the control', async () => {
+      mockExperimentRepository.findById.mockResolvedValue(buildExperiment({
+        status: 'completed',
+        started_at: new Date('2024-06-01T00:00:00Z'),
+        ended_at: new Date('2024-06-11T00:00:00Z')
+      }));
+      mockWheelRepository.getWheelStatistics.mockImplementation(async (wheelId, { variant }) => (variant === 'control'
+        ? { total_spins: '200', unique_spinners: '100', winning_spins: '20', points_distributed: '10000', currency_value_distributed: '0' }
+        : { total_spins: '300', unique_spinners: '100', winning_spins: '75', points_distributed: '30000', currency_value_distributed: '0' }));
+      mockExperimentRepository.getVariantEngagement.mockResolvedValue([
+        { wheel_variant: 'control', participants: '100', returning_members: '40', transactions: '150', points_earned: '5000' },
+        { wheel_variant: 'generous', participants: '100', returning_members: '50', transactions: '180', points_earned: '6000' }
+      ]);
+
+      const results = await service.getExperimentResults('wheel-1', 'experiment-1', 'brand-1');
+
+      expect(mockWheelRepository.getWheelStatistics).toHaveBeenCalledWith('wheel-1', { experimentId: 'experiment-1', variant: 'generous' });
+      expect(mockExperimentRepository.getVariantEngagement).toHaveBeenCalledWith('experiment-1', new Date('2024-06-11T00:00:00Z'));
+      expect(results.days).toBe(10);
+
+      const [control, generous] = results.variants;
+      expect(control).toMatchObject({
+        key: 'control',
+        traffic_share: 0.5,
+        spins_per_participant: 2,
+        spins_per_participant_per_day: 0.2,
+        win_rate: 0.1,
+        prize_cost: { points: 10000, points_per_spin: 50 },
+        engagement: { returning_members: 40, return_rate: 0.4, transactions_per_participant: 1.5, points_earned_per_participant: 50 },
+        lift: null
+      });
+      expect(generous.lift).toMatchObject({
+        spins_per_participant: 0.5,
+        win_rate: 1.5,
+        points_per_spin: 1,
+        currency_per_spin: null,
+        return_rate: 0.25,
+        transactions_per_participant: 0.2
+      });
+      expect(generous.win_rate_confidence_interval.low).toBeLessThan(0.25);
+      expect(generous.win_rate_confidence_interval.high).toBeGreaterThan(0.25);
+    });
+
+    test('should report zeros for variants without spins', async () => {
+      mockWheelRepository.getWheelStatistics.mockResolvedValue({ total_spins: 0, unique_spinners: 0, winning_spins: 0, points_distributed: 0, currency_value_distributed: 0 });
+      mockExperimentRepository.getVariantEngagement.mockResolvedValue([]);
+
+      const results = await service.getExperimentResults('wheel-1', 'experiment-1', 'brand-1');
+
+      expect(results.variants[1]).toMatchObject({ participants: 0, spins_per_participant: 0, traffic_share: 0, engagement: { return_rate: 0 } });
+    });
+
+    test('should not return another wheel\'s experiment', async () => {
+      mockExperimentRepository.findById.mockResolvedValue(buildExperiment({ wheel_id: 'wheel-2' }));
+
+      await expect(service.getExperimentResults('wheel-1', 'experiment-1', 'brand-1')).rejects.toThrow('Wheel experiment not found');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Wheel Fairness Service Tests
+ * Covers seed commitments, nonce use, seed rotation and recomputing spins from revealed seeds
+ */
+
+const crypto = require('crypto');
+
+const mockWheelRepository = {
+  findById: jest.fn(),
+  findSpinById: jest.fn()
+};
+
+const mockSeedRepository = {
+  findActive: jest.fn(),
+  createActive: jest.fn(async (data) => ({ id: 'seed-2', nonce: 0, status: 'active', ...data })),
+  incrementNonce: jest.fn(),
+  reveal: jest.fn(),
+  findById: jest.fn(),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockMemberRepository = {
+  findById: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  WheelRepository: jest.fn(() => mockWheelRepository),
+  WheelSeedRepository: jest.fn(() => mockSeedRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository)
+}));
+
+const WheelFairnessService = require('../../src/services/WheelFairnessService');
+const { probability } = require('../../src/utils');
+
+const SERVER_SEED = 'b0f3a9c1d2e4f5061728394a5b6c7d8e9f00112233445566778899aabbccddee';
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const buildSeed = (overrides = {}) => ({
+  id: 'seed-1',
+  member_id: 'member-1',
+  wheel_id: 'wheel-1',
+  brand_id: 'brand-1',
+  server_seed: SERVER_SEED,
+  server_seed_hash: sha256(SERVER_SEED),
+  client_seed: 'lucky',
+  nonce: 4,
+  status: 'active',
+  ...overrides
+});
+
+const draw = [
+  { id: 'item-cash', probability: 0.1 },
+  { id: 'item-points', probability: 0.3 },
+  { id: 'item-nothing', probability: 0.6 }
+];
+
+describe('probability.provablyFairRoll', () => {
+  test('should derive the roll from HMAC-SHA256 of the client seed and nonce', () => {
+    const hmac = crypto.createHmac('sha256', SERVER_SEED).update('lucky:4').digest('hex');
+
+    expect(probability.provablyFairRoll(SERVER_SEED, 'lucky', 4)).toBe(parseInt(hmac.slice(0, 13), 16) / 2 ** 52);
+  });
+
+  test('should give a different roll for every nonce', () => {
+    const rolls = [0, 1, 2].map(nonce => probability.provablyFairRoll(SERVER_SEED, 'lucky', nonce));
+
+    expect(new Set(rolls).size).toBe(3);
+    rolls.forEach(roll => {
+      expect(roll).toBeGreaterThanOrEqual(0);
+      expect(roll).toBeLessThan(1);
+    });
+  });
+});
+
+describe('WheelFairnessService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelFairnessService();
+
+    mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', brand_id: 'brand-1', provably_fair: true });
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1' });
+  });
+
+  describe('getSeedPair', () => {
+    test('should create the first seed pair and only show the server seed hash', async () => {
+      mockSeedRepository.findActive
+        .mockResolvedValueOnce(null)
+        .mockImplementationOnce(async () => mockSeedRepository.createActive.mock.results[0].value);
+
+      const seed = await service.getSeedPair('wheel-1', 'member-1', 'brand-1');
+      const created = mockSeedRepository.createActive.mock.calls[0][0];
+
+      expect(created.server_seed_hash).toBe(sha256(created.server_seed));
+      expect(seed).not.toHaveProperty('server_seed');
+      expect(seed.server_seed_hash).toBe(created.server_seed_hash);
+      expect(seed.nonce).toBe(0);
+    });
+
+    test('should refuse a wheel that is not provably fair', async () => {
+      mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', brand_id: 'brand-1', provably_fair: false });
+
+      await expect(service.getSeedPair('wheel-1', 'member-1', 'brand-1'))
+        .rejects.toThrow('This wheel does not use provably fair mode');
+    });
+  });
+
+  describe('drawRoll', () => {
+    test('should roll with the current nonce and then move the nonce on', async () => {
+      mockSeedRepository.findActive.mockResolvedValue(buildSeed());
+
+      const result = await service.drawRoll({ id: 'wheel-1', brand_id: 'brand-1' }, 'member-1', 'tx-client');
+
+      expect(mockSeedRepository.findActive).toHaveBeenCalledWith('member-1', 'wheel-1', 'tx-client', true);
+      expect(mockSeedRepository.incrementNonce).toHaveBeenCalledWith('seed-1', 'tx-client');
+      expect(result).toEqual({
+        seed_id: 'seed-1',
+        server_seed_hash: sha256(SERVER_SEED),
+        client_seed: 'lucky',
+        nonce: 4,
+        roll: probability.provablyFairRoll(SERVER_SEED, 'lucky', 4)
+      });
+    });
+  });
+
+  describe('rotateSeed', () => {
+    test('should reveal the old server seed and start a pair with the chosen client seed', async () => {
+      mockSeedRepository.findActive.mockResolvedValue(buildSeed());
+      mockSeedRepository.reveal.mockResolvedValue(buildSeed({ status: 'revealed', revealed_at: new Date() }));
+
+      const result = await service.rotateSeed('wheel-1', 'member-1', 'brand-1', 'my-new-seed');
+
+      expect(mockSeedRepository.reveal).toHaveBeenCalledWith('seed-1', 'tx-client');
+      expect(result.previous_seed.server_seed).toBe(SERVER_SEED);
+      expect(result.previous_seed.spins).toBe(4);
+      expect(result.current_seed.client_seed).toBe('my-new-seed');
+      expect(result.current_seed.server_seed_hash).not.toBe(sha256(SERVER_SEED));
+    });
+  });
+
+  describe('verifySpin', () => {
+    const buildSpin = (wheelItemId) => ({
+      id: 'spin-1',
+      wheel_id: 'wheel-1',
+      wheel_item_id: wheelItemId,
+      spin_data: {
+        fairness: {
+          seed_id: 'seed-1',
+          server_seed_hash: sha256(SERVER_SEED),
+          client_seed: 'lucky',
+          nonce: 4,
+          roll: probability.provablyFairRoll(SERVER_SEED, 'lucky', 4),
+          draw
+        }
+      }
+    });
+
+    test('should recompute the recorded outcome from the revealed seed', async () => {
+      const expectedItem = probability.weightedRandomSelection(draw, probability.provablyFairRoll(SERVER_SEED, 'lucky', 4));
+      mockWheelRepository.findSpinById.mockResolvedValue(buildSpin(expectedItem.id));
+      mockSeedRepository.findById.mockResolvedValue(buildSeed({ status: 'revealed' }));
+
+      const verification = await service.verifySpin('spin-1');
+
+      expect(verification.server_seed).toBe(SERVER_SEED);
+      expect(verification.computed_item_id).toBe(expectedItem.id);
+      expect(verification.verified).toBe(true);
+    });
+
+    test('should flag a spin whose recorded outcome does not match', async () => {
+      const expectedItem = probability.weightedRandomSelection(draw, probability.provablyFairRoll(SERVER_SEED, 'lucky', 4));
+      const otherItem = draw.find(item => item.id !== expectedItem.id);
+      mockWheelRepository.findSpinById.mockResolvedValue(buildSpin(otherItem.id));
+      mockSeedRepository.findById.mockResolvedValue(buildSeed({ status: 'revealed' }));
+
+      const verification = await service.verifySpin('spin-1');
+
+      expect(verification.verified).toBe(false);
+    });
+
+    test('should not reveal a server seed that is still in use', async () => {
+      mockWheelRepository.findSpinById.mockResolvedValue(buildSpin('item-cash'));
+      mockSeedRepository.findById.mockResolvedValue(buildSeed());
+
+      await expect(service.verifySpin('spin-1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should refuse a spin that was not provably fair', async () => {
+      mockWheelRepository.findSpinById.mockResolvedValue({ id: 'spin-1', wheel_item_id: 'item-cash', spin_data: {} });
+
+      await expect(service.verifySpin('spin-1')).rejects.toThrow('This spin was not made in provably fair mode');
+    });
+  });
+});
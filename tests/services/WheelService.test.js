@@ -0,0 +1,859 @@
+/**
+ * Wheel Service Tests
+ * Covers prize stock and budget limits in the draw, tier odds and pity rules, spin recording, provably fair rolls,
+ * spin payment methods, prize fulfilment, item stock reporting, simulation and the initial wheel version
+ */
+
+const mockWheelRepository = {
+  findWithItems: jest.fn(),
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  recordSpin: jest.fn(async (data) => ({ id: 'spin-1', ...data })),
+  addBudgetSpent: jest.fn(),
+  getMemberDailyFreeSpinCount: jest.fn(),
+  getMemberLastSpin: jest.fn(),
+  getMemberRecentSpins: jest.fn(),
+  getItemPerformance: jest.fn(),
+  create: jest.fn(async (data) => ({ id: 'wheel-1', ...data })),
+  update: jest.fn()
+};
+
+const mockStockRepository = {
+  getUsage: jest.fn(async () => []),
+  recordWin: jest.fn()
+};
+
+const mockBrandRepository = {
+  getMissionConfig: jest.fn(async () => ({}))
+};
+
+const mockWheelItemRepository = {
+  create: jest.fn(async (data) => ({ id: `item-${data.position}`, ...data }))
+};
+
+const mockWheelVersionRepository = {
+  createVersion: jest.fn(async (data) => ({ id: 'version-1', version_number: 1, ...data }))
+};
+
+const mockSpinCreditRepository = {
+  grant: jest.fn(),
+  getBalance: jest.fn(),
+  consume: jest.fn()
+};
+
+const mockPrizeClaimRepository = {
+  create: jest.fn(async (data) => ({ id: 'claim-1', ...data }))
+};
+
+const mockMemberRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  updatePoints: jest.fn(),
+  getNextTier: jest.fn(),
+  manualTierUpgrade: jest.fn()
+};
+
+const mockRewardCodeRepository = {
+  assignNextAvailableToSpin: jest.fn()
+};
+
+const mockTransactionRepository = {
+  create: jest.fn(async (data) => ({ id: 'transaction-1', ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+const mockNotificationService = {
+  notifyWheelPrize: jest.fn()
+};
+
+const mockWebhookService = {
+  dispatchEvent: jest.fn()
+};
+
+const mockFairnessService = {
+  drawRoll: jest.fn()
+};
+
+const mockExperimentService = {
+  resolveVariant: jest.fn(async () => null)
+};
+
+const mockMissionService = {
+  completeReachedMissions: jest.fn(async () => ({ reached: 0, completed: 0, failed: 0, completions: [] }))
+};
+
+const mockMissionProgressService = {
+  recordActivity: jest.fn(async () => []),
+  recordTransaction: jest.fn(async () => [])
+};
+
+const mockSpinTicketService = {
+  getBalance: jest.fn(),
+  debitTickets: jest.fn()
+};
+
+const mockTransactionService = {
+  createTransaction: jest.fn(async (data) => ({ id: 'transaction-spin', ...data }))
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  WheelRepository: jest.fn(() => mockWheelRepository),
+  WheelItemRepository: jest.fn(() => mockWheelItemRepository),
+  WheelItemStockRepository: jest.fn(() => mockStockRepository),
+  BrandRepository: jest.fn(() => mockBrandRepository),
+  WheelVersionRepository: jest.fn(() => mockWheelVersionRepository),
+  WheelSpinCreditRepository: jest.fn(() => mockSpinCreditRepository),
+  WheelPrizeClaimRepository: jest.fn(() => mockPrizeClaimRepository),
+  MemberRepository: jest.fn(() => mockMemberRepository),
+  RewardCodeRepository: jest.fn(() => mockRewardCodeRepository),
+  TransactionRepository: jest.fn(() => mockTransactionRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+jest.mock('../../src/services/NotificationService', () => jest.fn(() => mockNotificationService));
+jest.mock('../../src/services/WebhookService', () => jest.fn(() => mockWebhookService));
+jest.mock('../../src/services/WheelFairnessService', () => jest.fn(() => mockFairnessService));
+jest.mock('../../src/services/WheelExperimentService', () => jest.fn(() => mockExperimentService));
+jest.mock('../../src/services/SpinTicketService', () => jest.fn(() => mockSpinTicketService));
+jest.mock('../../src/services/TransactionService', () => jest.fn(() => mockTransactionService));
+jest.mock('../../src/services/MissionService', () => jest.fn(() => mockMissionService));
+jest.mock('../../src/services/MissionProgressService', () => jest.fn(() => mockMissionProgressService));
+
+const WheelService = require('../../src/services/WheelService');
+
+const buildItems = () => ([
+  { id: 'item-cash', name: '$100', type: 'cash', value: 100, probability: 0.1, is_active: true, stock_total: 5 },
+  { id: 'item-points', name: '50 points', type: 'points', value: 50, probability: 0.3, is_active: true, stock_per_member: 2 },
+  { id: 'item-nothing', name: 'Try again', type: 'nothing', value: 0, probability: 0.6, is_active: true, is_fallback: true }
+]);
+
+const probabilities = (items) => Object.fromEntries(items.map(item => [item.id, Number(item.probability.toFixed(6))]));
+
+describe('WheelService.createWheel', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelService();
+  });
+
+  test('should record the initial configuration as the live version', async () => {
+    const items = buildItems().map(({ id, ...item }) => item);
+
+    const wheel = await service.createWheel({ name: 'Summer wheel', items }, 'brand-1', 'user-1');
+
+    expect(mockWheelVersionRepository.createVersion).toHaveBeenCalledWith(expect.objectContaining({
+      wheel_id: 'wheel-1',
+      brand_id: 'brand-1',
+      status: 'live',
+      items: [
+        expect.objectContaining({ id: 'item-0', name: '$100' }),
+        expect.objectContaining({ id: 'item-1', name: '50 points' }),
+        expect.objectContaining({ id: 'item-2', name: 'Try again' })
+      ],
+      published_by: 'user-1'
+    }));
+    expect(mockWheelRepository.update).toHaveBeenCalledWith('wheel-1', { live_version_id: 'version-1' });
+    expect(wheel.live_version_id).toBe('version-1');
+  });
+});
+
+describe('WheelService inventory limits', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelService();
+  });
+
+  test('should draw from every item while stock and budget remain', () => {
+    const items = service.applyInventoryLimits({}, buildItems(), [
+      { wheel_item_id: 'item-cash', total_won: '4', won_today: '1', member_won: '0' }
+    ]);
+
+    expect(items.map(item => item.id)).toEqual(['item-cash', 'item-points', 'item-nothing']);
+  });
+
+  test('should send the probability of an exhausted item to the fallback item', () => {
+    const items = service.applyInventoryLimits({}, buildItems(), [
+      { wheel_item_id: 'item-cash', total_won: '5', won_today: '2', member_won: '0' }
+    ]);
+
+    expect(probabilities(items)).toEqual({ 'item-points': 0.3, 'item-nothing': 0.7 });
+  });
+
+  test('should redistribute over the remaining items without a fallback item', () => {
+    const wheelItems = buildItems().map(item => ({ ...item, is_fallback: false }));
+
+    const items = service.applyInventoryLimits({}, wheelItems, [
+      { wheel_item_id: 'item-points', total_won: '40', won_today: '3', member_won: '2' }
+    ]);
+
+    expect(probabilities(items)).toEqual({ 'item-cash': 0.142857, 'item-nothing': 0.857143 });
+  });
+
+  test('should remove prizes the wheel budget can no longer pay for', () => {
+    const wheel = { budget_type: 'currency', budget_limit: '1000', budget_spent: '950' };
+
+    const items = service.applyInventoryLimits(wheel, buildItems(), []);
+
+    expect(items.map(item => item.id)).toEqual(['item-points', 'item-nothing']);
+    expect(service.getItemBudgetCost({ budget_type: 'points' }, buildItems()[1])).toBe(50);
+    expect(service.getItemBudgetCost({ budget_type: 'points' }, buildItems()[0])).toBe(0);
+  });
+
+  test('should refuse to spin when every prize is exhausted', () => {
+    const wheelItems = buildItems().map(item => ({ ...item, stock_daily: 1 }));
+    const usage = wheelItems.map(item => ({ wheel_item_id: item.id, total_won: '1', won_today: '1', member_won: '0' }));
+
+    expect(() => service.applyInventoryLimits({}, wheelItems, usage)).toThrow('No prizes are left on this wheel');
+  });
+});
+
+describe('WheelService tier odds and pity rules', () => {
+  let service;
+
+  const losses = (count) => Array.from({ length: count }, () => ({ wheel_item_id: 'item-nothing', is_winner: false }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelService();
+  });
+
+  test('should use the probabilities of the member tier and drop items the tier cannot win', () => {
+    const wheelItems = buildItems();
+    wheelItems[0].tier_probabilities = { 'tier-gold': 0.4 };
+    wheelItems[1].tier_probabilities = { 'tier-gold': 0 };
+    wheelItems[2].tier_probabilities = { 'tier-gold': 0.6 };
+
+    expect(probabilities(service.applyTierProbabilities(wheelItems, 'tier-gold'))).toEqual({ 'item-cash': 0.4, 'item-nothing': 0.6 });
+    expect(probabilities(service.applyTierProbabilities(wheelItems, 'tier-silver'))).toEqual({ 'item-cash': 0.1, 'item-points': 0.3, 'item-nothing': 0.6 });
+  });
+
+  test('should guarantee a winning prize after a losing streak', () => {
+    const rules = [{ type: 'losing_streak', spins: 10 }];
+
+    const result = service.applyPityRules(rules, buildItems(), losses(10));
+
+    expect(result.rule).toEqual({ type: 'losing_streak', spins: 10 });
+    expect(probabilities(result.items)).toEqual({ 'item-cash': 0.25, 'item-points': 0.75 });
+  });
+
+  test('should not apply the losing streak rule when the member won within the streak', () => {
+    const recentSpins = [...losses(9), { wheel_item_id: 'item-points', is_winner: true }];
+
+    const result = service.applyPityRules([{ type: 'losing_streak', spins: 10 }], buildItems(), recentSpins);
+
+    expect(result.rule).toBeNull();
+    expect(result.items).toHaveLength(3);
+  });
+
+  test('should guarantee a rare item on the last spin of its window', () => {
+    const wheelItems = buildItems().map(item => ({ ...item, is_rare: item.id === 'item-cash' }));
+    const rules = [{ type: 'rare_item', spins: 5 }];
+
+    expect(service.applyPityRules(rules, wheelItems, losses(3)).rule).toBeNull();
+
+    const result = service.applyPityRules(rules, wheelItems, losses(4));
+    expect(result.rule).toEqual({ type: 'rare_item', spins: 5 });
+    expect(result.items.map(item => item.id)).toEqual(['item-cash']);
+  });
+
+  test('should skip a rule whose guaranteed items are unavailable', () => {
+    const wheelItems = buildItems().map(item => ({ ...item, is_rare: item.id === 'item-cash' }));
+    const available = wheelItems.filter(item => item.id !== 'item-cash');
+
+    const result = service.applyPityRules([{ type: 'rare_item', spins: 5 }], available, losses(4), wheelItems);
+
+    expect(result.rule).toBeNull();
+    expect(result.items).toBe(available);
+  });
+
+  test('should draw with the cryptographically secure random number generator', () => {
+    const crypto = require('crypto');
+    const randomInt = jest.spyOn(crypto, 'randomInt').mockReturnValue(Math.floor((2 ** 48 - 1) * 0.35));
+
+    expect(service.selectWinningItem(buildItems()).id).toBe('item-points');
+    expect(randomInt).toHaveBeenCalledWith(0, 2 ** 48 - 1);
+
+    randomInt.mockRestore();
+  });
+
+  test('should refuse a rare item rule without rare items', () => {
+    expect(() => service.validatePityRules([{ type: 'rare_item', spins: 50 }], buildItems()))
+      .toThrow('A rare_item pity rule needs at least one item marked is_rare');
+  });
+});
+
+describe('WheelService.spinWheel', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelService();
+
+    mockWheelRepository.findWithItems.mockResolvedValue({
+      id: 'wheel-1',
+      brand_id: 'brand-1',
+      name: 'Summer wheel',
+      is_active: true,
+      live_version_id: 'version-3',
+      items: buildItems()
+    });
+    mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', max_spins_per_day: 3 });
+    mockWheelRepository.getMemberDailyFreeSpinCount.mockResolvedValue(0);
+    mockSpinCreditRepository.getBalance.mockResolvedValue(0);
+    mockWheelRepository.findByIdForUpdate.mockResolvedValue({
+      id: 'wheel-1',
+      max_spins_per_day: 3,
+      budget_type: 'currency',
+      budget_limit: '5000',
+      budget_spent: '0'
+    });
+    mockStockRepository.getUsage.mockResolvedValue([]);
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', member_id: 'CUST-1', points_balance: 10 });
+  });
+
+  test('should record the spin and charge the budget inside the wheel lock', async () => {
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-cash'));
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1', { ip: '127.0.0.1' });
+
+    expect(mockWheelRepository.findByIdForUpdate).toHaveBeenCalledWith('wheel-1', 'tx-client');
+    expect(mockStockRepository.getUsage).toHaveBeenCalledWith('wheel-1', 'member-1', expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/), 'tx-client');
+    expect(mockWheelRepository.recordSpin).toHaveBeenCalledWith(expect.objectContaining({
+      member_id: 'member-1',
+      wheel_version_id: 'version-3',
+      wheel_item_id: 'item-cash',
+      result_type: 'cash',
+      is_winner: true
+    }), 'tx-client');
+    expect(mockWheelRepository.addBudgetSpent).toHaveBeenCalledWith('wheel-1', 100, 'tx-client');
+    expect(mockWheelRepository.recordSpin.mock.calls[0][0].spin_data.configured_odds).toBe(true);
+    expect(mockStockRepository.recordWin).toHaveBeenCalledWith({
+      wheel_id: 'wheel-1',
+      wheel_item_id: 'item-cash',
+      member_id: 'member-1',
+      day: mockWheelRepository.recordSpin.mock.calls[0][0].spin_data.stock_day
+    }, 'tx-client');
+    expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+    expect(result.spin.winning_item.probability).toBe(0.1);
+  });
+
+  test('should count daily stock on the brand-local day', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T02:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    mockBrandRepository.getMissionConfig.mockResolvedValueOnce({ timezone: 'America/New_York' });
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-nothing'));
+
+    try {
+      await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(mockBrandRepository.getMissionConfig).toHaveBeenCalledWith('brand-1', 'tx-client');
+    expect(mockStockRepository.getUsage).toHaveBeenCalledWith('wheel-1', 'member-1', '2026-10-18', 'tx-client');
+    expect(mockWheelRepository.recordSpin.mock.calls[0][0].spin_data.stock_day).toBe('2026-10-18');
+  });
+
+  test('should draw a provably fair wheel with the member seed roll and keep the draw table', async () => {
+    mockWheelRepository.findByIdForUpdate.mockResolvedValue({ id: 'wheel-1', brand_id: 'brand-1', provably_fair: true });
+    mockFairnessService.drawRoll.mockResolvedValue({
+      seed_id: 'seed-1',
+      server_seed_hash: 'a3f1c9',
+      client_seed: 'lucky',
+      nonce: 7,
+      roll: 0.7
+    });
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockFairnessService.drawRoll).toHaveBeenCalledWith(expect.objectContaining({ id: 'wheel-1' }), 'member-1', 'tx-client');
+    const spinData = mockWheelRepository.recordSpin.mock.calls[0][0];
+    expect(spinData.wheel_item_id).toBe('item-nothing');
+    expect(spinData.spin_data.fairness).toEqual({
+      seed_id: 'seed-1',
+      server_seed_hash: 'a3f1c9',
+      client_seed: 'lucky',
+      nonce: 7,
+      roll: 0.7,
+      draw: [
+        { id: 'item-cash', probability: 0.1 },
+        { id: 'item-points', probability: 0.3 },
+        { id: 'item-nothing', probability: 0.6 }
+      ]
+    });
+    expect(result.fairness).toEqual({ server_seed_hash: 'a3f1c9', client_seed: 'lucky', nonce: 7 });
+  });
+
+  test('should not use a seed pair on a regular wheel', async () => {
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-nothing'));
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockFairnessService.drawRoll).not.toHaveBeenCalled();
+    expect(mockWheelRepository.recordSpin.mock.calls[0][0].spin_data.fairness).toBeUndefined();
+    expect(result.fairness).toBeNull();
+  });
+
+  test('should record when a pity rule forced the result', async () => {
+    mockWheelRepository.findByIdForUpdate.mockResolvedValue({ id: 'wheel-1', pity_rules: [{ type: 'losing_streak', spins: 3 }] });
+    mockWheelRepository.getMemberRecentSpins.mockResolvedValue([
+      { wheel_item_id: 'item-nothing', is_winner: false },
+      { wheel_item_id: 'item-nothing', is_winner: false },
+      { wheel_item_id: 'item-nothing', is_winner: false }
+    ]);
+    const selectWinningItem = jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-cash'));
+
+    await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockWheelRepository.getMemberRecentSpins).toHaveBeenCalledWith('member-1', 'wheel-1', 3, 'tx-client');
+    expect(selectWinningItem.mock.calls[0][0].map(item => item.id)).toEqual(['item-cash', 'item-points']);
+    const spinData = mockWheelRepository.recordSpin.mock.calls[0][0].spin_data;
+    expect(spinData.pity_triggered).toBe(true);
+    expect(spinData.pity_rule).toEqual({ type: 'losing_streak', spins: 3 });
+    expect(spinData.configured_odds).toBe(false);
+  });
+
+  test('should draw from the member\'s experiment variant and attribute the spin to it', async () => {
+    mockExperimentService.resolveVariant.mockResolvedValueOnce({
+      experiment_id: 'experiment-1',
+      variant: 'generous',
+      wheel_version_id: 'version-4',
+      items: [
+        { id: 'item-points', name: '50 points', type: 'points', value: 50, probability: 0.5 },
+        { id: 'item-nothing', name: 'Nothing', type: 'nothing', value: 0, probability: 0.5 }
+      ],
+      pity_rules: []
+    });
+    const selectWinningItem = jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-nothing'));
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockExperimentService.resolveVariant).toHaveBeenCalledWith(expect.objectContaining({ id: 'wheel-1' }), 'member-1');
+    expect(selectWinningItem.mock.calls[0][0].map(item => item.probability)).toEqual([0.5, 0.5]);
+    const spinData = mockWheelRepository.recordSpin.mock.calls[0][0];
+    expect(spinData).toMatchObject({
+      wheel_version_id: 'version-4',
+      wheel_experiment_id: 'experiment-1',
+      wheel_variant: 'generous',
+      wheel_item_id: 'item-nothing'
+    });
+    // Variant odds differ from the live configuration, so drift checks leave the spin out
+    expect(spinData.spin_data.configured_odds).toBe(false);
+    expect(result.spin.winning_item.probability).toBe(0.5);
+  });
+
+  test('should create a pending claim for cash and product prizes', async () => {
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-cash'));
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockPrizeClaimRepository.create).toHaveBeenCalledWith({
+      brand_id: 'brand-1',
+      member_id: 'member-1',
+      wheel_id: 'wheel-1',
+      wheel_spin_id: 'spin-1',
+      wheel_item_id: 'item-cash',
+      prize_type: 'cash',
+      prize_name: '$100',
+      prize_value: 100,
+      budget_cost: 100,
+      status: 'pending',
+      expires_at: expect.any(Date)
+    }, 'tx-client');
+    expect(result.prize.claim.id).toBe('claim-1');
+    expect(result.member.points_balance).toBe(10);
+  });
+
+  test('should use a bonus spin once the daily limit is reached', async () => {
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-nothing'));
+    mockWheelRepository.getMemberDailyFreeSpinCount.mockResolvedValue(3);
+    mockSpinCreditRepository.getBalance.mockResolvedValue(2);
+    mockSpinCreditRepository.consume.mockResolvedValue({ credits: 1 });
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockSpinCreditRepository.consume).toHaveBeenCalledWith('member-1', 'wheel-1', 'tx-client');
+    expect(mockWheelRepository.recordSpin.mock.calls[0][0].spin_data.bonus_spin).toBe(true);
+    expect(result.prize).toBeNull();
+  });
+
+  test('should refuse to spin past the daily limit without bonus spins', async () => {
+    mockWheelRepository.getMemberDailyFreeSpinCount.mockResolvedValue(3);
+    mockSpinCreditRepository.getBalance.mockResolvedValue(0);
+
+    await expect(service.spinWheel('wheel-1', 'member-1', 'brand-1')).rejects.toThrow('Daily spin limit reached');
+    expect(mockWheelRepository.recordSpin).not.toHaveBeenCalled();
+  });
+
+  test('should recount free spins under the wheel lock so concurrent spins cannot exceed the allowance', async () => {
+    // The eligibility check saw 2 of 3 free spins; a concurrent spin committed the third before the lock was taken
+    mockWheelRepository.getMemberDailyFreeSpinCount.mockResolvedValueOnce(2).mockResolvedValueOnce(3);
+    mockSpinCreditRepository.consume.mockResolvedValue(null);
+
+    await expect(service.spinWheel('wheel-1', 'member-1', 'brand-1')).rejects.toThrow('Daily spin limit reached');
+    expect(mockWheelRepository.getMemberDailyFreeSpinCount).toHaveBeenLastCalledWith('member-1', 'wheel-1', 'tx-client');
+    expect(mockWheelRepository.recordSpin).not.toHaveBeenCalled();
+  });
+
+  test('should recheck the cooldown under the wheel lock', async () => {
+    mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', max_spins_per_day: 3, cooldown_minutes: 60 });
+    mockWheelRepository.findByIdForUpdate.mockResolvedValue({ id: 'wheel-1', max_spins_per_day: 3, cooldown_minutes: 60 });
+    // No spin yet when eligibility was checked; a concurrent spin committed one before the lock was taken
+    mockWheelRepository.getMemberLastSpin
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'spin-0', created_at: new Date() });
+
+    await expect(service.spinWheel('wheel-1', 'member-1', 'brand-1')).rejects.toThrow('Cooldown active');
+    expect(mockWheelRepository.getMemberLastSpin).toHaveBeenLastCalledWith('member-1', 'wheel-1', 'tx-client');
+    expect(mockWheelRepository.recordSpin).not.toHaveBeenCalled();
+  });
+
+  test('should award points prizes in the same transaction', async () => {
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-points'));
+    mockMemberRepository.updatePoints.mockResolvedValue({ id: 'member-1', points_balance: 60 });
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockWheelRepository.addBudgetSpent).not.toHaveBeenCalled();
+    expect(mockMemberRepository.updatePoints).toHaveBeenCalledWith('member-1', 50, 'points_earned', 'tx-client', 'transaction-1');
+    expect(mockMissionProgressService.recordTransaction).toHaveBeenCalledWith(expect.objectContaining({ id: 'transaction-1' }), 'tx-client');
+    expect(result.member.points_balance).toBe(60);
+  });
+
+  test('should count the spin towards missions and complete the ones it reaches after it commits', async () => {
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-nothing'));
+    mockMissionService.completeReachedMissions.mockResolvedValueOnce({
+      reached: 1,
+      completed: 1,
+      failed: 0,
+      completions: [{ mission_id: 'mission-spins', member_id: 'member-1', completion_id: 'completion-1' }]
+    });
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(mockMissionProgressService.recordActivity).toHaveBeenCalledWith('member-1', 'brand-1', 'spins_completed', 1, 'tx-client');
+    expect(mockMissionService.completeReachedMissions).toHaveBeenCalledWith({ memberId: 'member-1' }, {});
+    expect(result.completed_missions).toEqual([{ mission_id: 'mission-spins', member_id: 'member-1', completion_id: 'completion-1' }]);
+  });
+
+  test('should keep a committed spin when completing missions fails', async () => {
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-nothing'));
+    mockMissionService.completeReachedMissions.mockRejectedValueOnce(new Error('connection reset'));
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1');
+
+    expect(result.spin.wheel_item_id).toBe('item-nothing');
+    expect(result.completed_missions).toEqual([]);
+  });
+});
+
+describe('WheelService spin payments', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelService();
+
+    mockWheelRepository.findWithItems.mockResolvedValue({
+      id: 'wheel-1',
+      brand_id: 'brand-1',
+      name: 'Summer wheel',
+      is_active: true,
+      items: buildItems()
+    });
+    mockWheelRepository.findById.mockResolvedValue({
+      id: 'wheel-1',
+      max_spins_per_day: 3,
+      spin_cost_points: 100,
+      spin_cost_tickets: 2
+    });
+    mockWheelRepository.findByIdForUpdate.mockResolvedValue({
+      id: 'wheel-1',
+      name: 'Summer wheel',
+      spin_cost_points: 100,
+      spin_cost_tickets: 2
+    });
+    mockWheelRepository.getMemberDailyFreeSpinCount.mockResolvedValue(3);
+    mockStockRepository.getUsage.mockResolvedValue([]);
+    mockSpinCreditRepository.getBalance.mockResolvedValue(0);
+    mockSpinTicketService.getBalance.mockResolvedValue(5);
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', member_id: 'CUST-1', points_balance: 250 });
+    mockMemberRepository.findByIdForUpdate.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', points_balance: 250 });
+    jest.spyOn(service, 'selectWinningItem').mockImplementation(items => items.find(item => item.id === 'item-nothing'));
+  });
+
+  test('should report every payment option the member has left', async () => {
+    const eligibility = await service.checkSpinEligibility('wheel-1', 'member-1', 'brand-1');
+
+    expect(eligibility.eligible).toBe(true);
+    expect(eligibility.payment_methods).toEqual(['ticket', 'points']);
+    expect(eligibility.payment_options).toEqual({
+      free: { available: false, spins_left: 0, bonus_spins: 0, reason: 'Daily spin limit reached' },
+      ticket: { available: true, cost: 2, balance: 5 },
+      points: { available: true, cost: 100, balance: 250 }
+    });
+  });
+
+  test('should report a payment method the wheel does not accept', async () => {
+    mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', max_spins_per_day: 3, spin_cost_points: null });
+
+    const eligibility = await service.checkSpinEligibility('wheel-1', 'member-1', 'brand-1', 'points');
+
+    expect(eligibility.eligible).toBe(false);
+    expect(eligibility.reason).toBe('This wheel does not accept points');
+    expect(mockMemberRepository.findById).not.toHaveBeenCalled();
+  });
+
+  test('should debit points before the draw once the free spins are used up', async () => {
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1', {}, 'points');
+
+    expect(mockMemberRepository.findByIdForUpdate).toHaveBeenCalledWith('member-1', 'tx-client');
+    expect(mockTransactionService.createTransaction).toHaveBeenCalledWith({
+      member_id: 'member-1',
+      type: 'debit',
+      amount: 100,
+      description: 'Wheel spin: Summer wheel',
+      reference_type: 'wheel',
+      reference_id: 'wheel-1'
+    }, 'brand-1', null, {}, 'tx-client');
+    expect(mockTransactionService.createTransaction.mock.invocationCallOrder[0])
+      .toBeLessThan(mockWheelRepository.recordSpin.mock.invocationCallOrder[0]);
+
+    const spinData = mockWheelRepository.recordSpin.mock.calls[0][0].spin_data;
+    expect(spinData.payment_method).toBe('points');
+    expect(spinData.payment).toEqual({ method: 'points', points: 100, transaction_id: 'transaction-spin', points_balance: 150 });
+    expect(result.member.points_balance).toBe(150);
+  });
+
+  test('should refuse a points spin the member cannot afford', async () => {
+    mockMemberRepository.findById.mockResolvedValue({ id: 'member-1', brand_id: 'brand-1', points_balance: 40 });
+
+    await expect(service.spinWheel('wheel-1', 'member-1', 'brand-1', {}, 'points'))
+      .rejects.toThrow('Insufficient points to pay for the spin');
+    expect(mockTransactionService.createTransaction).not.toHaveBeenCalled();
+    expect(mockWheelRepository.recordSpin).not.toHaveBeenCalled();
+  });
+
+  test('should pay with spin tickets from the wallet', async () => {
+    mockSpinTicketService.debitTickets.mockResolvedValue({ transaction: { id: 'ticket-tx-1' }, balance: 3 });
+
+    const result = await service.spinWheel('wheel-1', 'member-1', 'brand-1', {}, 'ticket');
+
+    expect(mockSpinTicketService.debitTickets).toHaveBeenCalledWith({
+      memberId: 'member-1',
+      brandId: 'brand-1',
+      quantity: 2,
+      source: 'spin',
+      referenceType: 'wheel',
+      referenceId: 'wheel-1',
+      description: 'Wheel spin: Summer wheel'
+    }, 'tx-client');
+    expect(result.payment).toEqual({ method: 'ticket', tickets: 2, ticket_transaction_id: 'ticket-tx-1', tickets_balance: 3 });
+    expect(mockSpinCreditRepository.consume).not.toHaveBeenCalled();
+  });
+
+  test('should not offer free spins on a wheel without a daily allowance', async () => {
+    mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', max_spins_per_day: 0, spin_cost_points: 100 });
+
+    await expect(service.spinWheel('wheel-1', 'member-1', 'brand-1')).rejects.toThrow('This wheel has no free spins');
+    expect(mockWheelRepository.getMemberDailyFreeSpinCount).not.toHaveBeenCalled();
+  });
+});
+
+describe('WheelService prize handlers', () => {
+  let service;
+  const prizeContext = (item) => ({
+    wheel: { id: 'wheel-1', name: 'Summer wheel' },
+    item,
+    member: { id: 'member-1', tier_id: 'tier-silver', points_balance: 10 },
+    spin: { id: 'spin-1' },
+    brandId: 'brand-1',
+    client: 'tx-client'
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelService();
+  });
+
+  test('should grant bonus spins on the wheel', async () => {
+    mockSpinCreditRepository.grant.mockResolvedValue({ credits: 3 });
+
+    const prize = await service.fulfillPrize(prizeContext({ id: 'item-spin', type: 'bonus_spin', value: 2 }));
+
+    expect(mockSpinCreditRepository.grant).toHaveBeenCalledWith('member-1', 'wheel-1', 'brand-1', 2, 'tx-client');
+    expect(prize).toEqual({ bonus_spins: 2, bonus_spins_balance: 3 });
+  });
+
+  test('should upgrade the member to the next tier', async () => {
+    mockMemberRepository.getNextTier.mockResolvedValue({ id: 'tier-gold', name: 'Gold' });
+
+    const prize = await service.fulfillPrize(prizeContext({ id: 'item-tier', type: 'tier_upgrade', value: 0 }));
+
+    expect(mockMemberRepository.manualTierUpgrade).toHaveBeenCalledWith('member-1', 'tier-gold', null, 'wheel_prize', 'tx-client');
+    expect(mockWebhookService.dispatchEvent).toHaveBeenCalledWith('brand-1', 'tier.changed', expect.objectContaining({
+      previous_tier_id: 'tier-silver',
+      new_tier_id: 'tier-gold'
+    }), 'tx-client');
+    expect(prize).toEqual({ tier: { id: 'tier-gold', name: 'Gold' } });
+  });
+
+  test('should leave members on the top tier where they are', async () => {
+    mockMemberRepository.getNextTier.mockResolvedValue(null);
+
+    const prize = await service.fulfillPrize(prizeContext({ id: 'item-tier', type: 'tier_upgrade', value: 0 }));
+
+    expect(mockMemberRepository.manualTierUpgrade).not.toHaveBeenCalled();
+    expect(prize).toEqual({ tier: null });
+  });
+
+  test('should issue coupon codes from the reward code pool', async () => {
+    mockRewardCodeRepository.assignNextAvailableToSpin.mockResolvedValue({ code: 'SPIN-10-OFF' });
+
+    const prize = await service.fulfillPrize(prizeContext({ id: 'item-coupon', type: 'coupon', reward_id: 'reward-1' }));
+
+    expect(mockRewardCodeRepository.assignNextAvailableToSpin).toHaveBeenCalledWith('reward-1', 'spin-1', 'tx-client');
+    expect(prize).toEqual({ code: 'SPIN-10-OFF', reward_id: 'reward-1' });
+  });
+
+  test('should fall back to a claim when the code pool is empty', async () => {
+    mockRewardCodeRepository.assignNextAvailableToSpin.mockResolvedValue(null);
+
+    const prize = await service.fulfillPrize(prizeContext({ id: 'item-discount', name: '10% off', type: 'discount', value: 10, reward_id: 'reward-1' }));
+
+    expect(mockPrizeClaimRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      wheel_item_id: 'item-discount',
+      status: 'pending'
+    }), 'tx-client');
+    expect(prize.claim.id).toBe('claim-1');
+  });
+
+  test('should use handlers registered for an item type', async () => {
+    const handler = jest.fn(async () => ({ custom: true }));
+    service.registerPrizeHandler('nothing', handler);
+
+    const context = prizeContext({ id: 'item-nothing', type: 'nothing' });
+    const prize = await service.fulfillPrize(context);
+
+    expect(handler).toHaveBeenCalledWith(context);
+    expect(prize).toEqual({ custom: true });
+  });
+});
+
+describe('WheelService.getItemPerformance', () => {
+  test('should report remaining stock per item', async () => {
+    jest.clearAllMocks();
+    const service = new WheelService();
+    mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', brand_id: 'brand-1' });
+    mockWheelRepository.getItemPerformance.mockResolvedValue([
+      { id: 'item-cash', stock_total: 5, stock_daily: 2, total_won: '7', won_today: '1' },
+      { id: 'item-nothing', stock_total: null, stock_daily: null, total_won: '30', won_today: '4' }
+    ]);
+
+    const performance = await service.getItemPerformance('wheel-1', { start_date: '2026-10-01' }, 'brand-1');
+
+    expect(mockWheelRepository.getItemPerformance).toHaveBeenCalledWith('wheel-1', {
+      startDate: '2026-10-01',
+      endDate: undefined,
+      stockDay: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)
+    });
+    expect(performance).toEqual([
+      { id: 'item-cash', stock_total: 5, stock_daily: 2, total_won: 7, won_today: 1, remaining_stock: 0, remaining_today: 1 },
+      { id: 'item-nothing', stock_total: null, stock_daily: null, total_won: 30, won_today: 4, remaining_stock: null, remaining_today: null }
+    ]);
+  });
+});
+
+describe('WheelService.simulateWheel', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelService();
+    mockWheelRepository.findWithItems.mockResolvedValue({
+      id: 'wheel-1',
+      brand_id: 'brand-1',
+      max_spins_per_day: 3,
+      budget_type: null,
+      budget_limit: null,
+      spin_cost_points: 40,
+      pity_rules: [],
+      items: buildItems()
+    });
+  });
+
+  test('should keep to stock limits without recording spins', async () => {
+    const simulation = await service.simulateWheel('wheel-1', { spins: 2000, members: 10 }, 'brand-1');
+    const wins = Object.fromEntries(simulation.distribution.map(item => [item.item_id, item.wins]));
+
+    expect(simulation.spins).toBe(2000);
+    expect(simulation.item_set).toBe('current');
+    expect(wins['item-cash']).toBeLessThanOrEqual(5);
+    expect(wins['item-points']).toBeLessThanOrEqual(20);
+    expect(wins['item-cash'] + wins['item-points'] + wins['item-nothing']).toBe(2000);
+    expect(mockWheelRepository.recordSpin).not.toHaveBeenCalled();
+    expect(mockWheelRepository.addBudgetSpent).not.toHaveBeenCalled();
+    expect(mockTransactionRepository.withTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should report the points cost and return to player of a proposed item set', async () => {
+    const simulation = await service.simulateWheel('wheel-1', {
+      spins: 5000,
+      items: [
+        { name: '100 points', type: 'points', value: 100, probability: 0.5 },
+        { name: 'Try again', type: 'nothing', value: 0, probability: 0.5 }
+      ]
+    }, 'brand-1');
+
+    expect(simulation.item_set).toBe('proposed');
+    expect(simulation.distribution.map(item => item.item_id)).toEqual(['proposed-1', 'proposed-2']);
+    expect(simulation.expected_points_cost.configured).toBe(50);
+    expect(simulation.expected_points_cost.confidence_interval.low).toBeLessThan(50);
+    expect(simulation.expected_points_cost.confidence_interval.high).toBeGreaterThan(50);
+    expect(simulation.return_to_player.spin_cost_points).toBe(40);
+    expect(simulation.return_to_player.value).toBeCloseTo(simulation.expected_points_cost.simulated / 40, 3);
+  });
+
+  test('should project the budget burn-down and stop the prizes it cannot pay for', async () => {
+    const simulation = await service.simulateWheel('wheel-1', {
+      spins: 1000,
+      spins_per_day: 100,
+      budget_type: 'points',
+      budget_limit: 1000,
+      spin_cost_points: null
+    }, 'brand-1');
+
+    expect(simulation.return_to_player).toBeNull();
+    expect(simulation.days).toBe(10);
+    expect(simulation.budget.spent).toBeLessThanOrEqual(1000);
+    expect(simulation.budget.exhausted_at_spin).not.toBeNull();
+    expect(simulation.budget.burn_down).toHaveLength(10);
+    expect(simulation.budget.burn_down[9]).toMatchObject({ spin: 1000, day: 10 });
+  });
+
+  test('should force results with proposed pity rules', async () => {
+    const simulation = await service.simulateWheel('wheel-1', {
+      spins: 500,
+      members: 1,
+      pity_rules: [{ type: 'losing_streak', spins: 2 }],
+      items: [
+        { name: '10 points', type: 'points', value: 10, probability: 0.01 },
+        { name: 'Try again', type: 'nothing', value: 0, probability: 0.99 }
+      ]
+    }, 'brand-1');
+
+    expect(simulation.pity.triggered).toBeGreaterThan(0);
+    expect(simulation.win_rate.value).toBeGreaterThan(0.3);
+  });
+
+  test('should refuse a wheel of another brand', async () => {
+    await expect(service.simulateWheel('wheel-1', {}, 'brand-2')).rejects.toThrow('Wheel not found');
+  });
+});
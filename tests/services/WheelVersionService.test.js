@@ -0,0 +1,271 @@
+/**
+ * Wheel Version Service Tests
+ * Covers drafts, publishing (immediate and scheduled), diffs and rollback of wheel configuration versions
+ */
+
+const mockWheelRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  findWithItems: jest.fn(),
+  update: jest.fn()
+};
+
+const mockWheelItemRepository = {
+  findByWheelId: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn()
+};
+
+const mockVersionRepository = {
+  findById: jest.fn(),
+  findByIdForUpdate: jest.fn(),
+  findItemIds: jest.fn(),
+  findDueScheduled: jest.fn(),
+  createVersion: jest.fn(async (data) => ({ id: 'version-new', version_number: 4, ...data })),
+  update: jest.fn(async (id, data) => ({ id, ...data })),
+  withTransaction: jest.fn(async (fn) => fn('tx-client'))
+};
+
+const mockAuditLogRepository = {
+  logUserAction: jest.fn()
+};
+
+const mockWheelService = {
+  validateWheelProbabilities: jest.fn(),
+  validatePrizeRewards: jest.fn(),
+  validatePityRules: jest.fn()
+};
+
+jest.mock('../../src/repositories', () => ({
+  ...jest.requireActual('../../src/repositories'),
+  WheelRepository: jest.fn(() => mockWheelRepository),
+  WheelItemRepository: jest.fn(() => mockWheelItemRepository),
+  WheelVersionRepository: jest.fn(() => mockVersionRepository),
+  AuditLogRepository: jest.fn(() => mockAuditLogRepository)
+}));
+
+jest.mock('../../src/services/WheelService', () => jest.fn(() => mockWheelService));
+
+const WheelVersionService = require('../../src/services/WheelVersionService');
+
+const gold = { id: 'item-gold', name: 'Gold', type: 'points', value: 500, probability: 0.1 };
+const silver = { id: 'item-silver', name: 'Silver', type: 'points', value: 100, probability: 0.3 };
+const nothing = { id: 'item-nothing', name: 'Try again', type: 'nothing', value: 0, probability: 0.6 };
+
+const buildVersion = (overrides = {}) => ({
+  id: 'version-2',
+  wheel_id: 'wheel-1',
+  brand_id: 'brand-1',
+  version_number: 2,
+  status: 'draft',
+  config: {
+    items: [{ ...gold, probability: 0.2 }, { ...nothing, probability: 0.5 }, { id: 'item-bronze', name: 'Bronze', type: 'points', value: 10, probability: 0.3 }],
+    pity_rules: []
+  },
+  ...overrides
+});
+
+describe('WheelVersionService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new WheelVersionService();
+
+    const wheel = { id: 'wheel-1', brand_id: 'brand-1', name: 'Summer wheel', live_version_id: 'version-1', pity_rules: [] };
+    mockWheelRepository.findById.mockResolvedValue(wheel);
+    mockWheelRepository.findByIdForUpdate.mockResolvedValue(wheel);
+    mockWheelItemRepository.findByWheelId.mockResolvedValue([gold, silver, nothing]);
+    mockVersionRepository.findItemIds.mockResolvedValue([]);
+    mockVersionRepository.findById.mockResolvedValue(buildVersion());
+    mockVersionRepository.findByIdForUpdate.mockImplementation(async (id) => (id === 'version-1'
+      ? { id: 'version-1', version_number: 1, status: 'live', config: { items: [gold, silver, nothing], pity_rules: [] } }
+      : buildVersion()));
+  });
+
+  describe('createDraft', () => {
+    test('should give new items an ID and default to the wheel pity rules', async () => {
+      mockWheelRepository.findById.mockResolvedValue({ id: 'wheel-1', brand_id: 'brand-1', pity_rules: [{ type: 'losing_streak', spins: 5 }] });
+
+      const version = await service.createDraft('wheel-1', {
+        items: [gold, { name: 'Bronze', type: 'points', value: 10, probability: 0.9 }],
+        notes: 'Holiday odds'
+      }, 'brand-1', 'user-1');
+
+      expect(mockWheelRepository.findByIdForUpdate).toHaveBeenCalledWith('wheel-1', 'tx-client');
+      const versionData = mockVersionRepository.createVersion.mock.calls[0][0];
+      expect(versionData).toMatchObject({
+        wheel_id: 'wheel-1',
+        status: 'draft',
+        pity_rules: [{ type: 'losing_streak', spins: 5 }],
+        notes: 'Holiday odds',
+        created_by: 'user-1'
+      });
+      expect(versionData.items[0].id).toBe('item-gold');
+      expect(versionData.items[1].id).toEqual(expect.any(String));
+      expect(mockWheelService.validatePityRules).toHaveBeenCalledWith([{ type: 'losing_streak', spins: 5 }], versionData.items);
+      expect(version.status).toBe('draft');
+      expect(mockWheelItemRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an item of another wheel', async () => {
+      await expect(service.createDraft('wheel-1', {
+        items: [{ ...gold, id: 'item-of-other-wheel' }, nothing]
+      }, 'brand-1', 'user-1')).rejects.toThrow('Item item-of-other-wheel does not belong to the wheel');
+      expect(mockVersionRepository.createVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publishVersion', () => {
+    test('should apply the version, retire the previous one and audit-log the probability changes', async () => {
+      const result = await service.publishVersion('wheel-1', 'version-2', 'brand-1', 'user-1', { ip: '127.0.0.1' });
+
+      expect(mockWheelItemRepository.update).toHaveBeenCalledWith('item-gold', expect.objectContaining({ probability: 0.2, is_active: true }), 'tx-client');
+      expect(mockWheelItemRepository.create).toHaveBeenCalledWith(expect.objectContaining({ id: 'item-bronze', wheel_id: 'wheel-1' }), 'tx-client');
+      // Dropped items stay for the spins that won them
+      expect(mockWheelItemRepository.update).toHaveBeenCalledWith('item-silver', { is_active: false }, 'tx-client');
+      expect(mockWheelRepository.update).toHaveBeenCalledWith('wheel-1', { live_version_id: 'version-2', pity_rules: '[]' }, 'tx-client');
+      expect(mockVersionRepository.update).toHaveBeenCalledWith('version-1', expect.objectContaining({ status: 'retired' }), 'tx-client');
+      expect(mockVersionRepository.update).toHaveBeenCalledWith('version-2', expect.objectContaining({ status: 'live', published_by: 'user-1' }), 'tx-client');
+
+      const expectedChanges = [
+        { item_id: 'item-gold', name: 'Gold', from: 0.1, to: 0.2 },
+        { item_id: 'item-silver', name: 'Silver', from: 0.3, to: 0 },
+        { item_id: 'item-nothing', name: 'Try again', from: 0.6, to: 0.5 },
+        { item_id: 'item-bronze', name: 'Bronze', from: 0, to: 0.3 }
+      ];
+      expect(mockAuditLogRepository.logUserAction).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'user-1',
+        action: 'wheel_version_publish',
+        resource_id: 'wheel-1',
+        metadata: expect.objectContaining({
+          version_id: 'version-2',
+          previous_version_id: 'version-1',
+          probability_changes: expectedChanges
+        })
+      }), 'tx-client');
+      expect(result.probability_changes).toEqual(expectedChanges);
+    });
+
+    test('should refuse a version that is already live', async () => {
+      mockVersionRepository.findByIdForUpdate.mockResolvedValue(buildVersion({ status: 'live' }));
+
+      await expect(service.publishVersion('wheel-1', 'version-2', 'brand-1', 'user-1'))
+        .rejects.toThrow('Only draft or scheduled versions can be published (version is live)');
+      expect(mockWheelItemRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a version of another wheel', async () => {
+      mockVersionRepository.findById.mockResolvedValue(buildVersion({ wheel_id: 'wheel-2' }));
+
+      await expect(service.publishVersion('wheel-1', 'version-2', 'brand-1', 'user-1')).rejects.toThrow('Wheel version not found');
+      expect(mockVersionRepository.withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scheduleVersion', () => {
+    test('should schedule a draft for later', async () => {
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const version = await service.scheduleVersion('wheel-1', 'version-2', publishAt, 'brand-1', 'user-1');
+
+      expect(mockVersionRepository.update).toHaveBeenCalledWith('version-2', {
+        status: 'scheduled',
+        publish_at: new Date(publishAt),
+        scheduled_by: 'user-1'
+      });
+      expect(version.status).toBe('scheduled');
+    });
+
+    test('should refuse a publish time in the past', async () => {
+      await expect(service.scheduleVersion('wheel-1', 'version-2', '2020-01-01T00:00:00Z', 'brand-1', 'user-1'))
+        .rejects.toThrow('Publish time must be in the future');
+    });
+
+    test('should return a scheduled version to draft when unscheduled', async () => {
+      mockVersionRepository.findById.mockResolvedValue(buildVersion({ status: 'scheduled' }));
+
+      const version = await service.unscheduleVersion('wheel-1', 'version-2', 'brand-1', 'user-1');
+
+      expect(version).toMatchObject({ status: 'draft', publish_at: null });
+    });
+  });
+
+  describe('rollbackToVersion', () => {
+    test('should publish a copy of the earlier version as a new version', async () => {
+      mockVersionRepository.findById.mockResolvedValue({
+        id: 'version-1',
+        wheel_id: 'wheel-1',
+        brand_id: 'brand-1',
+        version_number: 1,
+        status: 'retired',
+        config: { items: [gold, silver, nothing], pity_rules: [] }
+      });
+      mockWheelRepository.findByIdForUpdate.mockResolvedValue({ id: 'wheel-1', brand_id: 'brand-1', name: 'Summer wheel', live_version_id: 'version-2' });
+      mockVersionRepository.findByIdForUpdate.mockImplementation(async (id) => (id === 'version-2'
+        ? buildVersion({ status: 'live' })
+        : { id, wheel_id: 'wheel-1', version_number: 4, status: 'draft', rolled_back_from: 'version-1', config: { items: [gold, silver, nothing], pity_rules: [] } }));
+
+      const result = await service.rollbackToVersion('wheel-1', 'version-1', 'brand-1', 'user-1');
+
+      expect(mockVersionRepository.createVersion).toHaveBeenCalledWith(expect.objectContaining({
+        items: [gold, silver, nothing],
+        notes: 'Rollback to version 1',
+        rolled_back_from: 'version-1'
+      }), 'tx-client');
+      expect(mockWheelService.validateWheelProbabilities).toHaveBeenCalledWith([gold, silver, nothing]);
+      expect(mockWheelItemRepository.update).toHaveBeenCalledWith('item-silver', expect.objectContaining({ is_active: true }), 'tx-client');
+      expect(mockVersionRepository.update).toHaveBeenCalledWith('version-2', expect.objectContaining({ status: 'retired' }), 'tx-client');
+      expect(result.version).toMatchObject({ id: 'version-new', status: 'live' });
+      expect(mockAuditLogRepository.logUserAction.mock.calls[0][0].metadata.rolled_back_from).toBe('version-1');
+    });
+  });
+
+  describe('diffVersions', () => {
+    test('should list added, removed and changed items', async () => {
+      mockVersionRepository.findById.mockImplementation(async (id) => (id === 'version-1'
+        ? { id, wheel_id: 'wheel-1', brand_id: 'brand-1', version_number: 1, status: 'retired', config: { items: [gold, silver, { ...nothing, probability: '0.6000' }], pity_rules: [] } }
+        : buildVersion({ config: { ...buildVersion().config, pity_rules: [{ type: 'losing_streak', spins: 5 }] } })));
+
+      const diff = await service.diffVersions('wheel-1', 'version-1', 'version-2', 'brand-1');
+
+      expect(diff.from).toEqual({ id: 'version-1', version_number: 1, status: 'retired' });
+      expect(diff.added).toEqual([{ item_id: 'item-bronze', name: 'Bronze', type: 'points', probability: 0.3 }]);
+      expect(diff.removed).toEqual([{ item_id: 'item-silver', name: 'Silver', type: 'points', probability: 0.3 }]);
+      expect(diff.changed).toEqual([
+        { item_id: 'item-gold', name: 'Gold', changes: { probability: { from: 0.1, to: 0.2 } } },
+        { item_id: 'item-nothing', name: 'Try again', changes: { probability: { from: 0.6, to: 0.5 } } }
+      ]);
+      expect(diff.probability_changes).toHaveLength(4);
+      expect(diff.pity_rules).toEqual({ changed: true, from: [], to: [{ type: 'losing_streak', spins: 5 }] });
+    });
+  });
+
+  describe('publishDueVersions', () => {
+    test('should publish due versions as the admin who scheduled them', async () => {
+      mockVersionRepository.findDueScheduled.mockResolvedValue(['version-2', 'version-5']);
+      mockVersionRepository.findByIdForUpdate.mockImplementation(async (id) => {
+        if (id === 'version-2') return buildVersion({ status: 'scheduled', scheduled_by: 'user-7' });
+        if (id === 'version-5') return buildVersion({ id: 'version-5', status: 'draft' });
+        return { id, status: 'live', config: { items: [gold, silver, nothing], pity_rules: [] } };
+      });
+
+      const summary = await service.publishDueVersions(new Date('2026-06-01T12:00:00Z'));
+
+      expect(summary).toEqual({ due: 2, published: 1, skipped: 1, failed: 0 });
+      expect(mockVersionRepository.update).toHaveBeenCalledWith('version-2', expect.objectContaining({ status: 'live', published_by: 'user-7' }), 'tx-client');
+      // Unscheduled since it was found
+      expect(mockVersionRepository.update).not.toHaveBeenCalledWith('version-5', expect.anything(), 'tx-client');
+      expect(mockAuditLogRepository.logUserAction.mock.calls[0][0].metadata.scheduled).toBe(true);
+    });
+
+    test('should count a version that fails to publish and carry on', async () => {
+      mockVersionRepository.findDueScheduled.mockResolvedValue(['version-2']);
+      mockVersionRepository.findByIdForUpdate.mockRejectedValueOnce(new Error('connection lost'));
+
+      const summary = await service.publishDueVersions();
+
+      expect(summary).toEqual({ due: 1, published: 0, skipped: 0, failed: 1 });
+    });
+  });
+});